@@ -0,0 +1,53 @@
+/**
+ * Redis client configuration
+ * Used by shared-state backends (matchmaking queue, Socket.IO state) when REDIS_URL is set
+ */
+const { createClient } = require('redis');
+const logger = require('../utils/logger');
+
+// Single shared client, created on first use
+let redisClient = null;
+let connectPromise = null;
+
+/**
+ * Check whether Redis is configured for this process
+ * @returns {boolean} True if REDIS_URL is set
+ */
+const isRedisConfigured = () => !!process.env.REDIS_URL;
+
+/**
+ * Get a connected Redis client
+ * @returns {Promise<object>} Connected node-redis client
+ */
+const getRedisClient = async () => {
+  if (!isRedisConfigured()) {
+    throw new Error('Redis is not configured: REDIS_URL is missing');
+  }
+
+  if (!redisClient) {
+    redisClient = createClient({ url: process.env.REDIS_URL });
+
+    redisClient.on('error', (err) => {
+      logger.error(`Redis client error: ${err.message}`);
+    });
+
+    connectPromise = redisClient.connect()
+      .then(() => {
+        logger.info('Redis client connected');
+        return redisClient;
+      })
+      .catch((err) => {
+        logger.error(`Failed to connect to Redis: ${err.message}`);
+        redisClient = null;
+        connectPromise = null;
+        throw err;
+      });
+  }
+
+  return connectPromise;
+};
+
+module.exports = {
+  isRedisConfigured,
+  getRedisClient
+};
@@ -1,4 +1,14 @@
 const achievementService = require('../services/achievementService');
+const { getUserById, getProfileFacts } = require('../services/userService');
+const { EVENTS, publish } = require('../services/eventBus');
+const {
+  ACHIEVEMENT_AGGREGATES,
+  ACHIEVEMENT_EVENT_FIELDS,
+  achievementSchema,
+  achievementUpdateSchema,
+  achievementBackfillSchema,
+  achievementEventSchema
+} = require('../models/achievement');
 const logger = require('../utils/logger');
 
 /**
@@ -153,7 +163,16 @@ const checkProfileCompletion = async (req, res) => {
   try {
     const userId = req.user.id;
     
-    const completedAchievements = await achievementService.checkProfileCompletion(userId);
+    const user = await getUserById(userId);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const completedAchievements = await publish(EVENTS.PROFILE_UPDATED, { userId, ...getProfileFacts(user) });
     
     return res.status(200).json({
       success: true,
@@ -171,33 +190,23 @@ const checkProfileCompletion = async (req, res) => {
 };
 
 /**
- * Manually check for a specific achievement type
+ * Evaluate an event for a user as if it had been published
  * Only used for debugging or admin purposes
  */
 const manuallyCheckAchievement = async (req, res) => {
   try {
-    // Ensure this is only callable by admins
-    if (!req.user.is_admin) {
-      return res.status(403).json({
-        success: false,
-        message: 'Only admins can manually check achievements'
-      });
-    }
-    
-    const { userId, type, count } = req.body;
+    const { error, value } = achievementEventSchema.validate(req.body);
     
-    if (!userId || !type) {
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'User ID and achievement type are required'
+        message: error.details[0].message
       });
     }
     
-    const completedAchievements = await achievementService.checkAchievementProgress(
-      userId,
-      type,
-      count || 1
-    );
+    const { userId, eventType, payload } = value;
+    
+    const completedAchievements = await achievementService.evaluateEvent(eventType, { ...payload, userId });
     
     return res.status(200).json({
       success: true,
@@ -214,6 +223,130 @@ const manuallyCheckAchievement = async (req, res) => {
   }
 };
 
+/**
+ * List the events achievements can be defined on, with their payload fields
+ */
+const getAchievementEvents = async (req, res) => {
+  return res.status(200).json({
+    success: true,
+    data: {
+      events: Object.entries(ACHIEVEMENT_EVENT_FIELDS).map(([type, fields]) => ({ type, fields })),
+      aggregates: ACHIEVEMENT_AGGREGATES
+    }
+  });
+};
+
+/**
+ * Create an achievement
+ * It takes effect for new events within a minute; run a backfill to award it for past activity
+ */
+const createAchievement = async (req, res) => {
+  try {
+    const { error, value } = achievementSchema.validate(req.body);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+    
+    const result = await achievementService.createAchievement(value);
+    
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Achievement created successfully',
+      data: result.data
+    });
+  } catch (error) {
+    logger.error(`Error creating achievement: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create achievement'
+    });
+  }
+};
+
+/**
+ * Update an achievement; { is_active: false } stops awarding it
+ */
+const updateAchievement = async (req, res) => {
+  try {
+    const { error, value } = achievementUpdateSchema.validate(req.body);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+    
+    const result = await achievementService.updateAchievement(req.params.achievementId, value);
+    
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Achievement updated successfully',
+      data: result.data
+    });
+  } catch (error) {
+    logger.error(`Error updating achievement ${req.params.achievementId}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update achievement'
+    });
+  }
+};
+
+/**
+ * Award achievements from existing users' history, one batch of users at a time
+ */
+const backfillAchievements = async (req, res) => {
+  try {
+    const { error, value } = achievementBackfillSchema.validate(req.body);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+    
+    const result = await achievementService.backfillAchievements(value);
+    
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    logger.error(`Error backfilling achievements: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to backfill achievements'
+    });
+  }
+};
+
 module.exports = {
   getAllAchievements,
   getAchievementsByCategory,
@@ -222,5 +355,9 @@ module.exports = {
   getUserAchievements,
   getCurrentUserProgress,
   checkProfileCompletion,
-  manuallyCheckAchievement
+  manuallyCheckAchievement,
+  getAchievementEvents,
+  createAchievement,
+  updateAchievement,
+  backfillAchievements
 }; 
\ No newline at end of file
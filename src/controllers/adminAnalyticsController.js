@@ -549,7 +549,7 @@ const getRecentActivity = async (req, res) => {
       });
     }
 
-    // Get recent admin activity logs, including Gemini AI actions
+    // Get recent admin activity logs, including AI moderation actions
     const { data: adminActivities, error: adminActivitiesError } = await supabase
       .from('admin_activity_log')
       .select(`
@@ -591,10 +591,10 @@ const getRecentActivity = async (req, res) => {
     // Add admin activities if we got them successfully
     if (adminActivities && adminActivities.length > 0) {
       const formattedAdminActivities = adminActivities.map(activity => {
-        // Check if this is a Gemini AI action (using the fixed UUID)
-        const isGeminiAI = activity.admin_id === '00000000-0000-4000-a000-000000000001';
-        const adminName = isGeminiAI 
-          ? 'Gemini AI' 
+        // Check if this is an AI moderation action (using the fixed UUID)
+        const isAIModerator = activity.admin_id === '00000000-0000-4000-a000-000000000001';
+        const adminName = isAIModerator 
+          ? 'AI Moderation' 
           : (activity.admin 
             ? `${activity.admin.first_name} ${activity.admin.last_name}` 
             : 'Unknown Admin');
@@ -615,7 +615,7 @@ const getRecentActivity = async (req, res) => {
             action: activity.action,
             resourceType: activity.resource_type,
             resourceId: activity.resource_id,
-            isAI: isGeminiAI
+            isAI: isAIModerator
           }
         };
       });
@@ -648,7 +648,7 @@ const getRecentActivity = async (req, res) => {
           let resolverInfo = "Pending";
           if (report.resolved_by) {
             if (report.resolved_by === '00000000-0000-4000-a000-000000000001') {
-              resolverInfo = "Gemini AI";
+              resolverInfo = "AI Moderation";
             } else {
               const { data: resolver } = await supabase
                 .from('users')
@@ -0,0 +1,172 @@
+const appealService = require('../services/appealService');
+const { APPEAL_STATUSES } = require('../models/appeal');
+const logger = require('../utils/logger');
+const { parsePageParams } = require('../utils/pagination');
+
+/**
+ * Send a failed service result as a response
+ * @param {object} res - Express response object
+ * @param {object} result - { status, message }
+ */
+const sendFailure = (res, result) => res.status(result.status).json({
+  success: false,
+  message: result.message
+});
+
+/**
+ * Get the appeal queue, filterable by status, assignee and user
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getAppeals = async (req, res) => {
+  try {
+    const { status, assignedTo, userId } = req.query;
+    const page = parsePageParams(req.query);
+
+    if (page.error) {
+      return sendFailure(res, { status: 400, message: page.error });
+    }
+    if (status && !APPEAL_STATUSES.includes(status)) {
+      return sendFailure(res, { status: 400, message: `Status must be one of: ${APPEAL_STATUSES.join(', ')}` });
+    }
+
+    const { appeals, pagination } = await appealService.listAppeals(page, {
+      status,
+      assignedTo: assignedTo === 'me' ? req.user.id : assignedTo,
+      userId
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        appeals,
+        pagination
+      }
+    });
+  } catch (error) {
+    logger.error(`Error getting appeals: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving appeals'
+    });
+  }
+};
+
+/**
+ * Get an appeal with the report or enforcement it contests
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getAppeal = async (req, res) => {
+  try {
+    const result = await appealService.getAppeal(req.params.appealId);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        appeal: result.appeal,
+        report: result.report,
+        enforcement: result.enforcement
+      }
+    });
+  } catch (error) {
+    logger.error(`Error getting appeal ${req.params.appealId}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving appeal'
+    });
+  }
+};
+
+/**
+ * Assign an appeal to an admin, the current one by default
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const assignAppeal = async (req, res) => {
+  try {
+    const result = await appealService.assignAppeal(req.params.appealId, { adminId: req.body.adminId }, req.user.id);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Appeal assigned',
+      data: result.appeal
+    });
+  } catch (error) {
+    logger.error(`Error assigning appeal ${req.params.appealId}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error assigning appeal'
+    });
+  }
+};
+
+/**
+ * Approve an appeal, reversing the decision it contests
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const approveAppeal = async (req, res) => {
+  try {
+    const result = await appealService.approveAppeal(req.params.appealId, { note: req.body.note }, req.user.id);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Appeal approved and decision reversed',
+      data: result.appeal
+    });
+  } catch (error) {
+    logger.error(`Error approving appeal ${req.params.appealId}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error approving appeal'
+    });
+  }
+};
+
+/**
+ * Deny an appeal; the decision stands
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const denyAppeal = async (req, res) => {
+  try {
+    const result = await appealService.denyAppeal(req.params.appealId, { note: req.body.note }, req.user.id);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Appeal denied',
+      data: result.appeal
+    });
+  } catch (error) {
+    logger.error(`Error denying appeal ${req.params.appealId}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error denying appeal'
+    });
+  }
+};
+
+module.exports = {
+  getAppeals,
+  getAppeal,
+  assignAppeal,
+  approveAppeal,
+  denyAppeal
+};
@@ -1,7 +1,9 @@
 const supabase = require('../config/database');
-const { activeMatches, matchmakingPool, cleanupUserConnections } = require('../socket/socketManager');
+const { cleanupUserConnections } = require('../socket/socketManager');
+const { getActiveMatchCount, getQueueSize } = require('../services/matchmaking/matchmakingService');
 const logger = require('../utils/logger');
 const { sendBroadcastNotification } = require('../services/firebase/notificationService');
+const { applyEnforcement, liftAccountBlocks } = require('../services/enforcementService');
 
 /**
  * Get all users with pagination
@@ -297,16 +299,22 @@ const updateUserBanStatus = async (req, res) => {
       });
     }
     
-    // Update user ban status
+    // Bans go through the enforcement ladder, which notifies the user and logs the action
+    const result = isBanned
+      ? await applyEnforcement(userId, { action: 'ban', reason: reason || 'Violated terms of service' }, req.user.id)
+      : await liftAccountBlocks(userId, { reason }, req.user.id);
+    
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+    
     const { data, error } = await supabase
       .from('users')
-      .update({
-        is_banned: isBanned,
-        ban_reason: isBanned ? (reason || 'Violated terms of service') : null,
-        banned_at: isBanned ? new Date() : null
-      })
-      .eq('id', userId)
       .select('id, first_name, last_name, username, is_banned')
+      .eq('id', userId)
       .single();
     
     if (error) {
@@ -359,8 +367,8 @@ const getDetailedMatchmakingStats = async (req, res) => {
     const pending = matchStats.filter(match => match.status === 'pending').length;
     
     // Get current matchmaking queue status
-    const queueSize = matchmakingPool.size;
-    const activeMatchesCount = activeMatches.size;
+    const queueSize = await getQueueSize();
+    const activeMatchesCount = await getActiveMatchCount();
     
     // Get the most popular interests
     const { data: interests, error: interestsError } = await supabase
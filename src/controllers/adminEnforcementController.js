@@ -0,0 +1,174 @@
+const enforcementService = require('../services/enforcementService');
+const logger = require('../utils/logger');
+
+/**
+ * Send a failed service result as a response
+ * @param {object} res - Express response object
+ * @param {object} result - { status, message }
+ */
+const sendFailure = (res, result) => res.status(result.status).json({
+  success: false,
+  message: result.message
+});
+
+/**
+ * Get the enforcement ladder and how long strikes count
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getLadder = (req, res) => res.status(200).json({
+  success: true,
+  data: {
+    ladder: enforcementService.ENFORCEMENT_LADDER,
+    strikeDecayDays: enforcementService.STRIKE_DECAY_DAYS,
+    restrictedMessagesPerMinute: enforcementService.RESTRICTED_MESSAGES_PER_MINUTE
+  }
+});
+
+/**
+ * Get a user's standing and enforcement history
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getUserEnforcement = async (req, res) => {
+  try {
+    const history = await enforcementService.getEnforcementHistory(req.params.userId);
+
+    return res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    logger.error(`Error getting enforcement history of user ${req.params.userId}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving enforcement history'
+    });
+  }
+};
+
+/**
+ * Give a user a strike; the ladder step their active strikes reach is applied
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const issueStrike = async (req, res) => {
+  try {
+    const { reason, points } = req.body;
+    const result = await enforcementService.issueStrike(req.params.userId, {
+      reason,
+      points,
+      source: 'admin'
+    }, req.user.id);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: result.enforcement ? `Strike issued: ${result.enforcement.action} applied` : 'Strike issued',
+      data: {
+        strike: result.strike,
+        points: result.points,
+        enforcement: result.enforcement
+      }
+    });
+  } catch (error) {
+    logger.error(`Error issuing strike to user ${req.params.userId}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error issuing strike'
+    });
+  }
+};
+
+/**
+ * Apply a warning, restriction, suspension or ban directly
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const applyEnforcement = async (req, res) => {
+  try {
+    const result = await enforcementService.applyEnforcement(req.params.userId, req.body, req.user.id);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: `${result.enforcement.action} applied`,
+      data: { enforcement: result.enforcement }
+    });
+  } catch (error) {
+    logger.error(`Error applying enforcement to user ${req.params.userId}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error applying enforcement'
+    });
+  }
+};
+
+/**
+ * Revoke a strike
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const revokeStrike = async (req, res) => {
+  try {
+    const result = await enforcementService.revokeStrike(req.params.strikeId, req.body, req.user.id);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Strike revoked',
+      data: { strike: result.strike }
+    });
+  } catch (error) {
+    logger.error(`Error revoking strike ${req.params.strikeId}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error revoking strike'
+    });
+  }
+};
+
+/**
+ * Lift a restriction, suspension or ban early
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const liftEnforcement = async (req, res) => {
+  try {
+    const result = await enforcementService.liftEnforcement(req.params.enforcementId, req.body, req.user.id);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `${result.enforcement.action} lifted`,
+      data: { enforcement: result.enforcement }
+    });
+  } catch (error) {
+    logger.error(`Error lifting enforcement ${req.params.enforcementId}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error lifting enforcement'
+    });
+  }
+};
+
+module.exports = {
+  getLadder,
+  getUserEnforcement,
+  issueStrike,
+  applyEnforcement,
+  revokeStrike,
+  liftEnforcement
+};
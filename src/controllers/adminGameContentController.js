@@ -0,0 +1,155 @@
+const gameContentService = require('../services/gameContentService');
+const logger = require('../utils/logger');
+
+/**
+ * Send a failed service result as a response
+ * @param {object} res - Express response object
+ * @param {object} result - { status, message, code }
+ */
+const sendFailure = (res, result) => res.status(result.status).json({
+  success: false,
+  message: result.message,
+  ...(result.code ? { code: result.code } : {})
+});
+
+/**
+ * List content packs, imported and built-in (?gameType= to filter)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getContentPacks = async (req, res) => {
+  try {
+    const packs = await gameContentService.listPacks(req.query.gameType || null);
+
+    return res.status(200).json({
+      success: true,
+      data: { packs }
+    });
+  } catch (error) {
+    logger.error(`Error listing content packs: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving content packs'
+    });
+  }
+};
+
+/**
+ * Import a content pack, or a newer version of one
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const importContentPack = async (req, res) => {
+  try {
+    const result = await gameContentService.importPack(req.body, req.user.id);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: `Content pack ${result.pack.id} v${result.pack.version} imported`,
+      data: { pack: result.pack }
+    });
+  } catch (error) {
+    logger.error(`Error importing content pack: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error importing content pack'
+    });
+  }
+};
+
+/**
+ * Export a content pack in the import format
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const exportContentPack = async (req, res) => {
+  try {
+    const result = await gameContentService.exportPack(req.params.packId);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.attachment(`${result.pack.id}-v${result.pack.version}.json`);
+    return res.status(200).json(result.pack);
+  } catch (error) {
+    logger.error(`Error exporting content pack ${req.params.packId}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error exporting content pack'
+    });
+  }
+};
+
+/**
+ * Enable or disable an imported content pack ({ enabled })
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const updateContentPack = async (req, res) => {
+  try {
+    const { enabled } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'enabled must be true or false'
+      });
+    }
+
+    const result = await gameContentService.setPackEnabled(req.params.packId, enabled);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: { pack: result.pack }
+    });
+  } catch (error) {
+    logger.error(`Error updating content pack ${req.params.packId}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error updating content pack'
+    });
+  }
+};
+
+/**
+ * Delete an imported content pack
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const deleteContentPack = async (req, res) => {
+  try {
+    const result = await gameContentService.deletePack(req.params.packId);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Content pack deleted'
+    });
+  } catch (error) {
+    logger.error(`Error deleting content pack ${req.params.packId}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error deleting content pack'
+    });
+  }
+};
+
+module.exports = {
+  getContentPacks,
+  importContentPack,
+  exportContentPack,
+  updateContentPack,
+  deleteContentPack
+};
@@ -0,0 +1,225 @@
+const moderationService = require('../services/moderationService');
+const { moderationCheckSchema } = require('../models/moderation');
+const { parsePageParams } = require('../utils/pagination');
+const logger = require('../utils/logger');
+
+/**
+ * Send a failed service result as a response
+ * @param {object} res - Express response object
+ * @param {object} result - { status, message }
+ */
+const sendFailure = (res, result) => res.status(result.status).json({
+  success: false,
+  message: result.message
+});
+
+/**
+ * List moderation policies
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getPolicies = async (req, res) => {
+  try {
+    const policies = await moderationService.listPolicies();
+
+    return res.status(200).json({
+      success: true,
+      data: { policies }
+    });
+  } catch (error) {
+    logger.error(`Error listing moderation policies: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving moderation policies'
+    });
+  }
+};
+
+/**
+ * Create a moderation policy
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const createPolicy = async (req, res) => {
+  try {
+    const result = await moderationService.createPolicy(req.body, req.user.id);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Moderation policy created',
+      data: { policy: result.policy }
+    });
+  } catch (error) {
+    logger.error(`Error creating moderation policy: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error creating moderation policy'
+    });
+  }
+};
+
+/**
+ * Update a moderation policy (action, config, surfaces, warning, is_active...)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const updatePolicy = async (req, res) => {
+  try {
+    const result = await moderationService.updatePolicy(req.params.policyId, req.body, req.user.id);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Moderation policy updated',
+      data: { policy: result.policy }
+    });
+  } catch (error) {
+    logger.error(`Error updating moderation policy ${req.params.policyId}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error updating moderation policy'
+    });
+  }
+};
+
+/**
+ * Delete a moderation policy
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const deletePolicy = async (req, res) => {
+  try {
+    const result = await moderationService.deletePolicy(req.params.policyId, req.user.id);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Moderation policy deleted'
+    });
+  } catch (error) {
+    logger.error(`Error deleting moderation policy ${req.params.policyId}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error deleting moderation policy'
+    });
+  }
+};
+
+/**
+ * Check content against the active policies without sending or recording anything
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const checkContent = async (req, res) => {
+  try {
+    const { error, value } = moderationCheckSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { action, violations, moderation } = await moderationService.screenContent({
+      userId: req.user.id,
+      surface: value.surface,
+      content: value.content,
+      dryRun: true
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: { action, violations, moderation }
+    });
+  } catch (error) {
+    logger.error(`Error checking content against moderation policies: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error checking content'
+    });
+  }
+};
+
+/**
+ * List moderation flags (?reviewed=true|false, ?action=, ?policyKey=, ?userId=, cursor pagination)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getFlags = async (req, res) => {
+  try {
+    const page = parsePageParams(req.query);
+
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        message: page.error
+      });
+    }
+
+    const { reviewed, action, policyKey, userId } = req.query;
+    const result = await moderationService.listFlags(page, {
+      reviewed: reviewed === undefined ? undefined : reviewed === 'true',
+      action,
+      policyKey,
+      userId
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Error listing moderation flags: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving moderation flags'
+    });
+  }
+};
+
+/**
+ * Mark a moderation flag as reviewed
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const reviewFlag = async (req, res) => {
+  try {
+    const result = await moderationService.reviewFlag(req.params.flagId, req.user.id);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: { flag: result.flag }
+    });
+  } catch (error) {
+    logger.error(`Error reviewing moderation flag ${req.params.flagId}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error reviewing moderation flag'
+    });
+  }
+};
+
+module.exports = {
+  getPolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  checkContent,
+  getFlags,
+  reviewFlag
+};
@@ -0,0 +1,74 @@
+const appealService = require('../services/appealService');
+const logger = require('../utils/logger');
+const { parsePageParams } = require('../utils/pagination');
+
+/**
+ * Appeal a report resolved against the current user or an action on their account
+ * Reachable while suspended or banned
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const submitAppeal = async (req, res) => {
+  try {
+    const { reportId, enforcementId, reason } = req.body;
+    const result = await appealService.submitAppeal(req.user.id, { reportId, enforcementId, reason });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Appeal submitted',
+      data: result.appeal
+    });
+  } catch (error) {
+    logger.error(`Error submitting appeal for user ${req.user.id}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error submitting appeal'
+    });
+  }
+};
+
+/**
+ * Get the current user's appeals and their outcomes
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getMyAppeals = async (req, res) => {
+  try {
+    const page = parsePageParams(req.query);
+
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        message: page.error
+      });
+    }
+
+    const { appeals, pagination } = await appealService.listUserAppeals(req.user.id, page);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        appeals,
+        pagination
+      }
+    });
+  } catch (error) {
+    logger.error(`Error getting appeals of user ${req.user.id}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving appeals'
+    });
+  }
+};
+
+module.exports = {
+  submitAppeal,
+  getMyAppeals
+};
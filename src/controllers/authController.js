@@ -2,6 +2,7 @@ const supabase = require('../config/database');
 const { hashPassword, comparePassword } = require('../utils/password');
 const { generateToken } = require('../utils/jwt');
 const { userRegistrationSchema, userLoginSchema } = require('../models/user');
+const { EVENTS, publish } = require('../services/eventBus');
 
 /**
  * Register a new user
@@ -97,6 +98,8 @@ const register = async (req, res) => {
     // Remove password from response
     delete newUser.password;
 
+    await publish(EVENTS.USER_REGISTERED, { userId: newUser.id, createdAt: newUser.created_at });
+
     // Generate JWT token
     const token = generateToken(newUser);
 
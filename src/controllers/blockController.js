@@ -0,0 +1,144 @@
+const supabase = require('../config/database');
+const { userBlockSchema } = require('../models/user');
+const blockService = require('../services/blockService');
+const { getUserActiveMatches, respondToMatch } = require('../services/matchmaking/matchmakingService');
+const logger = require('../utils/logger');
+
+/**
+ * Get the users the current user has blocked or muted
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getBlocks = async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    if (type && !['block', 'mute'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Type must be either block or mute'
+      });
+    }
+
+    const blocks = await blockService.getBlocks(req.user.id, type || null);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        blocks
+      }
+    });
+  } catch (error) {
+    console.error('Get blocks error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching blocked users'
+    });
+  }
+};
+
+/**
+ * Block or mute a user
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const blockUser = async (req, res) => {
+  try {
+    const blockerId = req.user.id;
+
+    const { error, value } = userBlockSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { userId: blockedId, type, reason } = value;
+
+    if (blockedId === blockerId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot block yourself'
+      });
+    }
+
+    // Check if user exists
+    const { data: blockedUser, error: userError } = await supabase
+      .from('users')
+      .select('id')
+      .eq('id', blockedId)
+      .single();
+
+    if (userError || !blockedUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const block = await blockService.blockUser(blockerId, blockedId, { type, reason });
+
+    // Decline any pending match between the two users
+    if (type === 'block') {
+      const pendingMatches = await getUserActiveMatches(blockerId);
+      for (const match of pendingMatches.filter(m => m.users.includes(blockedId))) {
+        await respondToMatch(match.id, blockerId, false).catch(err => {
+          logger.error(`Error declining match ${match.id} after block: ${err.message}`);
+        });
+      }
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: type === 'mute' ? 'User muted' : 'User blocked',
+      data: {
+        block
+      }
+    });
+  } catch (error) {
+    console.error('Block user error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while blocking user'
+    });
+  }
+};
+
+/**
+ * Remove a block or mute
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const unblockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const removed = await blockService.unblockUser(req.user.id, userId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not blocked or muted'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'User unblocked'
+    });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while unblocking user'
+    });
+  }
+};
+
+module.exports = {
+  getBlocks,
+  blockUser,
+  unblockUser
+};
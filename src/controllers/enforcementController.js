@@ -0,0 +1,39 @@
+const { getStanding, STRIKE_DECAY_DAYS } = require('../services/enforcementService');
+const logger = require('../utils/logger');
+
+/**
+ * Get the current user's standing: active strikes, restrictions, suspension or ban
+ * Reachable while suspended or banned
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getMyStanding = async (req, res) => {
+  try {
+    const standing = await getStanding(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...standing,
+        strikes: standing.strikes.map(strike => ({
+          id: strike.id,
+          points: strike.points,
+          reason: strike.reason,
+          createdAt: strike.created_at,
+          expiresAt: strike.expires_at
+        })),
+        strikeDecayDays: STRIKE_DECAY_DAYS
+      }
+    });
+  } catch (error) {
+    logger.error(`Error getting standing of user ${req.user.id}: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving account standing'
+    });
+  }
+};
+
+module.exports = {
+  getMyStanding
+};
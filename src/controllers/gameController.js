@@ -1,7 +1,54 @@
 const gameService = require('../services/gameService');
+const gamePlayService = require('../services/gamePlayService');
+const gameRatingService = require('../services/gameRatingService');
+const gameSeriesService = require('../services/gameSeriesService');
+const { hasGameEngine } = require('../services/games');
+const { leaderboardQuerySchema } = require('../models/gameRating');
 const logger = require('../utils/logger');
 const { isValidUUID } = require('../utils/validators');
-const supabase = require('../config/database');
+
+/**
+ * Send a game event over the socket
+ * @param {object|null} group - Group the game belongs to
+ * @param {string} userId - Player to notify (one-to-one games)
+ * @param {string} event - Event name
+ * @param {object} payload - Event payload
+ */
+const notifyGameEvent = (group, userId, event, payload) => {
+  // Lazy require to avoid a circular dependency with the socket manager
+  const { emitToGroup, emitToUser } = require('../socket/socketManager');
+  
+  if (group) {
+    emitToGroup(group.id, event, { ...payload, groupId: group.id });
+  } else {
+    emitToUser(userId, event, payload);
+  }
+};
+
+/**
+ * Broadcast the game's state to both players, as the socket game events do
+ * @param {object} gameInstance - Game instance
+ * @param {object|null} group - Group the game belongs to
+ * @param {object} details - Extra payload fields ({ event, ... })
+ */
+const broadcastGameState = (gameInstance, group, details) => {
+  const { emitGameState } = require('../socket/socketManager');
+  emitGameState(gameInstance, group, details);
+};
+
+/**
+ * Notify the invited player (or the group) of a new game
+ * @param {object} result - { game, series, group } from inviteToGame or rematchGame
+ * @param {string} senderId - Inviting player
+ */
+const announceInvitation = ({ game, series, group }, senderId) => {
+  notifyGameEvent(group, game.responder_id, 'game_invitation', {
+    gameInstance: game,
+    series,
+    sender: senderId
+  });
+  broadcastGameState(game, group, { event: 'invited', series });
+};
 
 /**
  * Get all available game types
@@ -24,7 +71,7 @@ const getAvailableGames = async (req, res) => {
 };
 
 /**
- * Get active games in a conversation
+ * Get the open games of a conversation, with its recent finished games and series
  */
 const getActiveGamesByConversation = async (req, res) => {
   try {
@@ -37,11 +84,17 @@ const getActiveGamesByConversation = async (req, res) => {
       });
     }
     
-    const games = await gameService.getActiveGamesByConversation(conversationId);
+    const [games, history, series] = await Promise.all([
+      gameService.getActiveGamesByConversation(conversationId),
+      gameService.getFinishedGamesByConversation(conversationId),
+      gameSeriesService.getSeriesByConversation(conversationId)
+    ]);
     
     return res.status(200).json({
       success: true,
-      games
+      games,
+      history,
+      series
     });
   } catch (error) {
     logger.error(`Error getting active games: ${error.message}`);
@@ -52,6 +105,72 @@ const getActiveGamesByConversation = async (req, res) => {
   }
 };
 
+/**
+ * Get a mini-game leaderboard (global, among the user's matches, or this week)
+ */
+const getLeaderboard = async (req, res) => {
+  try {
+    const { error, value } = leaderboardQuerySchema.validate(req.query);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+    
+    if (!hasGameEngine(value.gameType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Game type ${value.gameType} not found`
+      });
+    }
+    
+    const leaderboard = await gameRatingService.getLeaderboard(req.user.id, value);
+    
+    return res.status(200).json({
+      success: true,
+      leaderboard
+    });
+  } catch (error) {
+    logger.error(`Error getting game leaderboard: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving leaderboard'
+    });
+  }
+};
+
+/**
+ * Get a player's lifetime game stats and ratings (the current user's by default)
+ */
+const getPlayerStats = async (req, res) => {
+  try {
+    const userId = req.params.userId || req.user.id;
+    
+    if (!isValidUUID(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+    
+    const stats = await gameRatingService.getPlayerStats(userId);
+    
+    return res.status(200).json({
+      success: true,
+      userId,
+      ...stats
+    });
+  } catch (error) {
+    logger.error(`Error getting game stats: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving game stats'
+    });
+  }
+};
+
 /**
  * Get game instance details
  */
@@ -93,80 +212,63 @@ const getGameInstance = async (req, res) => {
  */
 const createGame = async (req, res) => {
   try {
-    const { conversationId, gameType, responderId } = req.body;
-    const initiatorId = req.userId; // From auth middleware
+    const initiatorId = req.user.id; // From auth middleware
+    const result = await gamePlayService.inviteToGame(initiatorId, req.body);
     
-    if (!conversationId || !gameType || !responderId) {
-      return res.status(400).json({
+    if (!result.success) {
+      return res.status(result.status).json({
         success: false,
-        message: 'Missing required fields'
+        message: result.message,
+        ...(result.code ? { code: result.code } : {})
       });
     }
     
-    if (!isValidUUID(conversationId) || !isValidUUID(responderId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid ID format'
-      });
-    }
+    announceInvitation(result, initiatorId);
+    
+    return res.status(201).json({
+      success: true,
+      game: result.game,
+      series: result.series
+    });
+  } catch (error) {
+    logger.error(`Error creating game: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error creating game'
+    });
+  }
+};
+
+/**
+ * Offer a rematch of a finished game
+ */
+const rematchGame = async (req, res) => {
+  try {
+    const { gameInstanceId } = req.params;
+    const userId = req.user.id; // From auth middleware
     
-    const result = await gameService.createGame(gameType, conversationId, initiatorId, responderId);
+    const result = await gamePlayService.rematchGame(gameInstanceId, userId);
     
     if (!result.success) {
-      return res.status(400).json({
+      return res.status(result.status).json({
         success: false,
-        message: result.message
+        message: result.message,
+        ...(result.code ? { code: result.code } : {})
       });
     }
     
-    // Send a system message to the conversation with game invitation
-    try {
-      const gameDetails = result.game.gameDetails;
-      
-      // Create system message with game data
-      const { error: messageError } = await supabase
-        .from('messages')
-        .insert({
-          conversation_id: conversationId,
-          sender_id: initiatorId,
-          receiver_id: responderId,
-          content: `Invited you to play ${gameDetails.name}`,
-          message_type: 'game_invitation',
-          metadata: {
-            gameInstanceId: result.game.id,
-            gameType: gameDetails.type,
-            gameName: gameDetails.name,
-            gameDescription: gameDetails.description
-          },
-          created_at: new Date(),
-          updated_at: new Date()
-        });
-      
-      if (messageError) {
-        logger.error(`Failed to create game invitation message: ${messageError.message}`);
-      }
-      
-      // Notify via socket if available
-      if (req.io) {
-        req.io.to(responderId).emit('game_invitation', {
-          gameInstance: result.game,
-          sender: initiatorId
-        });
-      }
-    } catch (messageErr) {
-      logger.error(`Error sending game invitation message: ${messageErr.message}`);
-      // Don't fail the request if only the message fails
-    }
+    announceInvitation(result, userId);
     
     return res.status(201).json({
       success: true,
-      game: result.game
+      game: result.game,
+      series: result.series
     });
   } catch (error) {
-    logger.error(`Error creating game: ${error.message}`);
+    logger.error(`Error offering rematch: ${error.message}`);
     return res.status(500).json({
       success: false,
-      message: 'Error creating game'
+      message: 'Error offering rematch'
     });
   }
 };
@@ -177,65 +279,24 @@ const createGame = async (req, res) => {
 const acceptGame = async (req, res) => {
   try {
     const { gameInstanceId } = req.params;
-    const userId = req.userId; // From auth middleware
-    
-    if (!isValidUUID(gameInstanceId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid game instance ID'
-      });
-    }
+    const userId = req.user.id; // From auth middleware
     
-    const result = await gameService.acceptGame(gameInstanceId, userId);
+    const { gameInstance, group, status, ...result } = await gamePlayService.acceptInvitation(gameInstanceId, userId);
     
     if (!result.success) {
-      return res.status(400).json({
+      return res.status(status).json({
         success: false,
         message: result.message
       });
     }
     
-    // Get game instance details to send a message
-    const gameInstance = await gameService.getGameInstance(gameInstanceId);
-    
     if (gameInstance) {
-      // Send a system message that the game was accepted
-      try {
-        // Create system message with game acceptance
-        const { error: messageError } = await supabase
-          .from('messages')
-          .insert({
-            conversation_id: gameInstance.conversation_id,
-            sender_id: userId,
-            receiver_id: gameInstance.initiator_id,
-            content: `Accepted the invitation to play ${gameInstance.gameDetails.name}`,
-            message_type: 'game_accepted',
-            metadata: {
-              gameInstanceId: gameInstance.id,
-              gameType: gameInstance.gameDetails.type,
-              gameName: gameInstance.gameDetails.name,
-              currentTurn: result.gameState.currentTurn
-            },
-            created_at: new Date(),
-            updated_at: new Date()
-          });
-        
-        if (messageError) {
-          logger.error(`Failed to create game acceptance message: ${messageError.message}`);
-        }
-        
-        // Notify via socket if available
-        if (req.io) {
-          req.io.to(gameInstance.initiator_id).emit('game_accepted', {
-            gameInstance: gameInstance,
-            acceptedBy: userId,
-            gameState: result.gameState
-          });
-        }
-      } catch (messageErr) {
-        logger.error(`Error sending game acceptance message: ${messageErr.message}`);
-        // Don't fail the request if only the message fails
-      }
+      notifyGameEvent(group, gameInstance.initiator_id, 'game_accepted', {
+        gameInstance,
+        acceptedBy: userId,
+        gameState: result.gameState
+      });
+      broadcastGameState(gameInstance, group, { event: 'accepted' });
     }
     
     return res.status(200).json(result);
@@ -254,103 +315,48 @@ const acceptGame = async (req, res) => {
 const makeMove = async (req, res) => {
   try {
     const { gameInstanceId } = req.params;
-    const userId = req.userId; // From auth middleware
+    const userId = req.user.id; // From auth middleware
     const moveData = req.body;
     
-    if (!isValidUUID(gameInstanceId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid game instance ID'
-      });
-    }
+    const { gameInstance, group, opponentId, status, nextGame, ...result } =
+      await gamePlayService.playMove(gameInstanceId, userId, moveData);
     
-    // Get game instance before making the move
-    const gameInstanceBefore = await gameService.getGameInstance(gameInstanceId);
-    if (!gameInstanceBefore) {
-      return res.status(404).json({
+    if (!result.success) {
+      return res.status(status).json({
         success: false,
-        message: 'Game not found'
+        message: result.message
       });
     }
     
-    // Make the move
-    const result = await gameService.makeMove(gameInstanceId, userId, moveData);
+    notifyGameEvent(group, opponentId, 'game_move', {
+      gameInstanceId,
+      moveBy: userId,
+      moveData,
+      newState: result.state,
+      score: result.score,
+      isComplete: result.isComplete
+    });
     
-    if (!result.success) {
-      return res.status(400).json({
-        success: false,
-        message: result.message
+    if (result.isComplete) {
+      notifyGameEvent(group, opponentId, 'game_completed', {
+        gameInstanceId,
+        finalState: result.state,
+        finalScore: result.score
       });
     }
     
-    // Get opponent ID
-    const opponentId = userId === gameInstanceBefore.initiator_id 
-      ? gameInstanceBefore.responder_id 
-      : gameInstanceBefore.initiator_id;
-    
-    // Send a message about the move
-    try {
-      // Create a message about the move
-      const moveMessage = createMoveMessage(
-        gameInstanceBefore.gameDetails.type,
-        moveData,
-        result.isComplete
-      );
-      
-      const metadata = {
-        gameInstanceId,
-        gameType: gameInstanceBefore.gameDetails.type,
-        moveData: moveData,
-        isComplete: result.isComplete,
-        newState: result.state,
-        score: result.score
-      };
-      
-      // Insert the message
-      const { error: messageError } = await supabase
-        .from('messages')
-        .insert({
-          conversation_id: gameInstanceBefore.conversation_id,
-          sender_id: userId,
-          receiver_id: opponentId,
-          content: moveMessage,
-          message_type: result.isComplete ? 'game_completed' : 'game_move',
-          metadata: metadata,
-          created_at: new Date(),
-          updated_at: new Date()
-        });
-      
-      if (messageError) {
-        logger.error(`Failed to create game move message: ${messageError.message}`);
-      }
-      
-      // Notify via socket if available
-      if (req.io) {
-        req.io.to(opponentId).emit('game_move', {
-          gameInstanceId,
-          moveBy: userId,
-          moveData,
-          newState: result.state,
-          score: result.score,
-          isComplete: result.isComplete
-        });
-        
-        // If game is complete, send completion event
-        if (result.isComplete) {
-          const room = gameInstanceBefore.conversation_id;
-          req.io.to(room).emit('game_completed', {
-            gameInstanceId,
-            finalState: result.state,
-            finalScore: result.score
-          });
-        }
-      }
-    } catch (messageErr) {
-      logger.error(`Error sending game move message: ${messageErr.message}`);
-      // Don't fail the request if only the message fails
+    broadcastGameState(gameInstance, group, {
+      event: result.isComplete ? 'completed' : 'move',
+      lastMove: { userId, moveData },
+      ...(result.isComplete ? { ratingChanges: result.ratingChanges } : {}),
+      ...(result.series ? { series: result.series } : {})
+    });
+    
+    if (nextGame) {
+      broadcastGameState(nextGame, group, { event: 'invited', series: result.series });
     }
     
-    return res.status(200).json(result);
+    return res.status(200).json({ ...result, nextGame });
   } catch (error) {
     logger.error(`Error making move: ${error.message}`);
     return res.status(500).json({
@@ -361,48 +367,59 @@ const makeMove = async (req, res) => {
 };
 
 /**
- * Create a message describing a game move
- * @param {string} gameType - Type of game
- * @param {object} moveData - Move data
- * @param {boolean} isComplete - Whether the game is complete
- * @returns {string} Message text
+ * Forfeit a game, or decline or cancel an invitation
  */
-const createMoveMessage = (gameType, moveData, isComplete) => {
-  if (isComplete) {
-    return 'Completed their turn and finished the game';
-  }
-  
-  switch (gameType) {
-    case 'emoji_guess':
-      return `Guessed: "${moveData.guess}"`;
-      
-    case 'word_association':
-      return `Responded with: "${moveData.word}"`;
-      
-    case 'truth_or_dare':
-      return `Chose ${moveData.type}: "${moveData.response}"`;
-      
-    case 'trivia':
-      return 'Answered the trivia question';
-      
-    case 'two_truths_lie':
-      if (moveData.statements) {
-        return 'Submitted their statements';
-      } else if (moveData.guess !== undefined) {
-        return `Made their guess for the lie`;
-      }
-      return 'Made their move';
-      
-    default:
-      return 'Made their move';
+const forfeitGame = async (req, res) => {
+  try {
+    const { gameInstanceId } = req.params;
+    const userId = req.user.id; // From auth middleware
+    
+    const result = await gamePlayService.forfeitGame(gameInstanceId, userId);
+    
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+    
+    broadcastGameState(result.gameInstance, result.group, {
+      event: 'forfeited',
+      winnerId: result.winnerId,
+      ratingChanges: result.ratingChanges,
+      ...(result.series ? { series: result.series } : {})
+    });
+    
+    if (result.nextGame) {
+      broadcastGameState(result.nextGame, result.group, { event: 'invited', series: result.series });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      game: result.gameInstance,
+      winnerId: result.winnerId,
+      ratingChanges: result.ratingChanges,
+      series: result.series,
+      nextGame: result.nextGame
+    });
+  } catch (error) {
+    logger.error(`Error forfeiting game: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error forfeiting game'
+    });
   }
 };
 
 module.exports = {
   getAvailableGames,
+  getLeaderboard,
+  getPlayerStats,
   getActiveGamesByConversation,
   getGameInstance,
   createGame,
+  rematchGame,
   acceptGame,
-  makeMove
-}; 
\ No newline at end of file
+  makeMove,
+  forfeitGame
+};
@@ -0,0 +1,580 @@
+const {
+  groupCreateSchema,
+  groupUpdateSchema,
+  groupInviteSchema,
+  groupMemberRoleSchema,
+  groupMessageSchema,
+  groupReadSchema
+} = require('../models/group');
+const groupService = require('../services/groupService');
+const { processGroupStreak } = require('../services/achievement/streakService');
+const {
+  emitToUser,
+  emitToGroup,
+  joinGroupRoom,
+  leaveGroupRoom,
+  closeGroupRoom
+} = require('../socket/socketManager');
+const { parsePageParams } = require('../utils/pagination');
+const logger = require('../utils/logger');
+
+/**
+ * Send a failed service result as a response
+ * @param {object} res - Express response object
+ * @param {object} result - { status, message, code }
+ */
+const sendFailure = (res, result) => res.status(result.status).json({
+  success: false,
+  message: result.message,
+  ...(result.code ? { code: result.code } : {})
+});
+
+/**
+ * Validate a request body against a schema
+ * @param {object} res - Express response object
+ * @param {object} schema - Joi schema
+ * @param {object} body - Request body
+ * @returns {object|null} Validated value, or null if a 400 response was sent
+ */
+const validateBody = (res, schema, body) => {
+  const { error, value } = schema.validate(body);
+
+  if (error) {
+    res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+    return null;
+  }
+
+  return value;
+};
+
+/**
+ * Get the current user's groups
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getMyGroups = async (req, res) => {
+  try {
+    const groups = await groupService.getUserGroups(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        groups
+      }
+    });
+  } catch (error) {
+    logger.error(`Get groups error: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching groups'
+    });
+  }
+};
+
+/**
+ * Create a group and invite its first members
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const createGroup = async (req, res) => {
+  try {
+    const value = validateBody(res, groupCreateSchema, req.body);
+    if (!value) return;
+
+    const result = await groupService.createGroup(req.user.id, value);
+
+    joinGroupRoom(req.user.id, result.group.id);
+    for (const invite of result.invites) {
+      emitToUser(invite.invitee_id, 'group:invite', { invite, group: result.group });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Group created',
+      data: {
+        group: result.group,
+        invites: result.invites,
+        skipped: result.skipped
+      }
+    });
+  } catch (error) {
+    logger.error(`Create group error: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while creating group'
+    });
+  }
+};
+
+/**
+ * Get a group with its members
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getGroup = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const membership = await groupService.getMembership(groupId, req.user.id);
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    const [group, members] = await Promise.all([
+      groupService.getGroup(groupId),
+      groupService.getMembers(groupId)
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        group: {
+          ...group,
+          role: membership.role,
+          members
+        }
+      }
+    });
+  } catch (error) {
+    logger.error(`Get group error: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching group'
+    });
+  }
+};
+
+/**
+ * Update group details
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const updateGroup = async (req, res) => {
+  try {
+    const value = validateBody(res, groupUpdateSchema, req.body);
+    if (!value) return;
+
+    const result = await groupService.updateGroup(req.params.groupId, req.user.id, value);
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    emitToGroup(result.group.id, 'group:updated', { group: result.group });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Group updated',
+      data: {
+        group: result.group
+      }
+    });
+  } catch (error) {
+    logger.error(`Update group error: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while updating group'
+    });
+  }
+};
+
+/**
+ * Delete a group
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const deleteGroup = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const result = await groupService.deleteGroup(groupId, req.user.id);
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    emitToGroup(groupId, 'group:deleted', { groupId, deletedBy: req.user.id });
+    closeGroupRoom(groupId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Group deleted'
+    });
+  } catch (error) {
+    logger.error(`Delete group error: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while deleting group'
+    });
+  }
+};
+
+/**
+ * Invite a user to a group
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const inviteMember = async (req, res) => {
+  try {
+    const value = validateBody(res, groupInviteSchema, req.body);
+    if (!value) return;
+
+    const { groupId } = req.params;
+
+    const result = await groupService.inviteMember(groupId, req.user.id, value.userId);
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    const group = await groupService.getGroup(groupId);
+    emitToUser(value.userId, 'group:invite', { invite: result.invite, group });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Invite sent',
+      data: {
+        invite: result.invite
+      }
+    });
+  } catch (error) {
+    logger.error(`Group invite error: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while sending invite'
+    });
+  }
+};
+
+/**
+ * Get the current user's pending group invites
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getMyInvites = async (req, res) => {
+  try {
+    const invites = await groupService.getPendingInvites(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        invites
+      }
+    });
+  } catch (error) {
+    logger.error(`Get group invites error: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invites'
+    });
+  }
+};
+
+/**
+ * Accept or decline a group invite
+ * @param {boolean} accept - True to join the group
+ * @returns {Function} Express handler
+ */
+const respondToInvite = (accept) => async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await groupService.respondToInvite(req.params.inviteId, userId, accept);
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    const groupId = result.invite.group_id;
+
+    if (accept) {
+      joinGroupRoom(userId, groupId);
+      emitToGroup(groupId, 'group:memberJoined', {
+        groupId,
+        userId,
+        role: result.membership ? result.membership.role : 'member'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: accept ? 'Joined group' : 'Invite declined',
+      data: {
+        invite: result.invite
+      }
+    });
+  } catch (error) {
+    logger.error(`Respond to group invite error: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while responding to invite'
+    });
+  }
+};
+
+const acceptInvite = respondToInvite(true);
+
+const declineInvite = respondToInvite(false);
+
+/**
+ * Leave a group
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const leaveGroup = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const userId = req.user.id;
+
+    const result = await groupService.leaveGroup(groupId, userId);
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    leaveGroupRoom(userId, groupId);
+
+    if (result.groupDeleted) {
+      closeGroupRoom(groupId);
+    } else {
+      emitToGroup(groupId, 'group:memberLeft', {
+        groupId,
+        userId,
+        newOwnerId: result.newOwnerId
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Left group',
+      data: {
+        newOwnerId: result.newOwnerId,
+        groupDeleted: result.groupDeleted
+      }
+    });
+  } catch (error) {
+    logger.error(`Leave group error: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while leaving group'
+    });
+  }
+};
+
+/**
+ * Remove (kick) a member from a group
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const removeMember = async (req, res) => {
+  try {
+    const { groupId, userId } = req.params;
+
+    const result = await groupService.removeMember(groupId, req.user.id, userId);
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    // Tell the group (including the removed member) before taking them out of the room
+    emitToGroup(groupId, 'group:memberRemoved', {
+      groupId,
+      userId,
+      removedBy: req.user.id
+    });
+    leaveGroupRoom(userId, groupId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Member removed'
+    });
+  } catch (error) {
+    logger.error(`Remove group member error: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while removing member'
+    });
+  }
+};
+
+/**
+ * Change a member's role
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const updateMemberRole = async (req, res) => {
+  try {
+    const value = validateBody(res, groupMemberRoleSchema, req.body);
+    if (!value) return;
+
+    const { groupId, userId } = req.params;
+
+    const result = await groupService.setMemberRole(groupId, req.user.id, userId, value.role);
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    emitToGroup(groupId, 'group:roleChanged', {
+      groupId,
+      userId,
+      role: result.role,
+      changedBy: req.user.id
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Role updated',
+      data: {
+        role: result.role
+      }
+    });
+  } catch (error) {
+    logger.error(`Update group role error: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while updating role'
+    });
+  }
+};
+
+/**
+ * Get a page of group messages
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getGroupMessages = async (req, res) => {
+  try {
+    const page = parsePageParams(req.query, { defaultLimit: 50 });
+
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        message: page.error
+      });
+    }
+
+    const result = await groupService.getGroupMessagesPage(req.params.groupId, req.user.id, page);
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        messages: result.messages,
+        pagination: result.pagination
+      }
+    });
+  } catch (error) {
+    logger.error(`Get group messages error: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching group messages'
+    });
+  }
+};
+
+/**
+ * Send a message to a group
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const sendGroupMessage = async (req, res) => {
+  try {
+    const value = validateBody(res, groupMessageSchema, req.body);
+    if (!value) return;
+
+    const { groupId } = req.params;
+
+    const result = await groupService.sendGroupMessage(groupId, req.user.id, value);
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    emitToGroup(groupId, 'group:message', { groupId, message: result.message });
+
+    const streakInfo = await processGroupStreak(groupId, result.message.created_at);
+    if (streakInfo) {
+      emitToGroup(groupId, 'group:streak', {
+        groupId,
+        streakDays: streakInfo.streak_days,
+        expiresAt: streakInfo.expires_at
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Message sent successfully',
+      data: {
+        message: result.message
+      }
+    });
+  } catch (error) {
+    logger.error(`Send group message error: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while sending message'
+    });
+  }
+};
+
+/**
+ * Mark a group as read up to a message
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const markGroupRead = async (req, res) => {
+  try {
+    const value = validateBody(res, groupReadSchema, req.body);
+    if (!value) return;
+
+    const { groupId } = req.params;
+    const userId = req.user.id;
+
+    const result = await groupService.markGroupRead(groupId, userId, value.messageId);
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    if (result.updated) {
+      emitToGroup(groupId, 'group:read', {
+        groupId,
+        userId,
+        messageId: result.messageId,
+        readAt: result.readAt
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        messageId: result.messageId,
+        readAt: result.readAt
+      }
+    });
+  } catch (error) {
+    logger.error(`Mark group read error: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while updating read receipt'
+    });
+  }
+};
+
+module.exports = {
+  getMyGroups,
+  createGroup,
+  getGroup,
+  updateGroup,
+  deleteGroup,
+  inviteMember,
+  getMyInvites,
+  acceptInvite,
+  declineInvite,
+  leaveGroup,
+  removeMember,
+  updateMemberRole,
+  getGroupMessages,
+  sendGroupMessage,
+  markGroupRead
+};
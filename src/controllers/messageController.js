@@ -1,8 +1,21 @@
 const supabase = require('../config/database');
-const { messageCreateSchema, messageMediaSchema } = require('../models/message');
+const { messageCreateSchema, messageMediaSchema, messageSearchSchema } = require('../models/message');
 const { generateUploadUrl } = require('../utils/awsS3');
 const { notifyConversationDeleted } = require('../socket/socketManager');
 const streakService = require('../services/streakService');
+const { EVENTS, publish } = require('../services/eventBus');
+const { USER_BLOCKED_CODE, isBlockedBetween } = require('../services/blockService');
+const { screenContent, recordScreening, blockedError } = require('../services/moderationService');
+const {
+  getConversationPage,
+  getConversationAround,
+  searchMessages: searchUserMessages,
+  scheduleMessage,
+  getScheduledMessages: getUserScheduledMessages,
+  cancelScheduledMessage: cancelUserScheduledMessage
+} = require('../services/messageService');
+const { parsePageParams, paginateList } = require('../utils/pagination');
+const { isValidUUID } = require('../utils/validators');
 const logger = require('../utils/logger');
 
 /**
@@ -22,7 +35,7 @@ const sendMessage = async (req, res) => {
       });
     }
 
-    const { receiverId, content, mediaUrl } = value;
+    const { receiverId, content, mediaUrl, deliverAt, ttlSeconds } = value;
     const senderId = req.user.id;
 
     // Check if receiver exists
@@ -39,6 +52,37 @@ const sendMessage = async (req, res) => {
       });
     }
 
+    if (await isBlockedBetween(senderId, receiverId)) {
+      return res.status(403).json({
+        success: false,
+        code: USER_BLOCKED_CODE,
+        message: 'You cannot message this user'
+      });
+    }
+
+    // Screen the message before it is sent or scheduled
+    const screening = await screenContent({ userId: senderId, surface: 'message', content });
+    if (screening.action === 'block') {
+      return res.status(422).json({
+        success: false,
+        ...blockedError(screening)
+      });
+    }
+
+    // Send-later messages wait for the scheduler; the streak counts them on delivery
+    if (deliverAt) {
+      const scheduledMessage = await scheduleMessage(senderId, { receiverId, content, mediaUrl, deliverAt, ttlSeconds, moderation: screening.moderation });
+      recordScreening(screening);
+
+      return res.status(202).json({
+        success: true,
+        message: 'Message scheduled successfully',
+        data: {
+          scheduledMessage
+        }
+      });
+    }
+
     // Create message in database
     const { data: message, error: messageError } = await supabase
       .from('messages')
@@ -47,6 +91,8 @@ const sendMessage = async (req, res) => {
         receiver_id: receiverId,
         content,
         media_url: mediaUrl || null,
+        ttl_seconds: ttlSeconds || null,
+        moderation: screening.moderation,
         is_read: false,
         created_at: new Date(),
         updated_at: new Date()
@@ -62,9 +108,11 @@ const sendMessage = async (req, res) => {
       });
     }
 
+    recordScreening(screening, message.id);
+
     // Update conversation streak
     try {
-      const conversationId = message.conversation_id || `conv_${Math.min(senderId, receiverId)}_${Math.max(senderId, receiverId)}`;
+      const conversationId = message.conversation_id || streakService.getConversationId(senderId, receiverId);
       const streakResult = await streakService.updateConversationStreak(
         conversationId,
         senderId,
@@ -87,6 +135,9 @@ const sendMessage = async (req, res) => {
       // Don't fail the whole request if streak update fails
     }
 
+    // Achievements are evaluated in the background, they don't hold up the response
+    publish(EVENTS.MESSAGE_SENT, { userId: senderId, receiverId, hasMedia: Boolean(mediaUrl) });
+
     return res.status(201).json({
       success: true,
       message: 'Message sent successfully',
@@ -112,23 +163,29 @@ const getConversation = async (req, res) => {
   try {
     const currentUserId = req.user.id;
     const { userId } = req.params;
-    const { limit = 50, before } = req.query;
+    const page = parsePageParams(req.query, { defaultLimit: 50 });
 
-    let query = supabase
-      .from('messages')
-      .select('*')
-      .or(`and(sender_id.eq.${currentUserId},receiver_id.eq.${userId}),and(sender_id.eq.${userId},receiver_id.eq.${currentUserId})`)
-      .order('created_at', { ascending: false })
-      .limit(parseInt(limit));
-
-    // Add pagination if before timestamp is provided
-    if (before) {
-      query = query.lt('created_at', before);
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        message: page.error
+      });
     }
 
-    const { data: messages, error } = await query;
+    if (req.query.around && !isValidUUID(req.query.around)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid message ID'
+      });
+    }
 
-    if (error) {
+    let conversation;
+    try {
+      // ?around=<messageId> opens the conversation at a search result
+      conversation = req.query.around
+        ? await getConversationAround(currentUserId, userId, req.query.around, page.limit)
+        : await getConversationPage(currentUserId, userId, page);
+    } catch (error) {
       console.error('Error fetching conversation:', error);
       return res.status(500).json({
         success: false,
@@ -136,10 +193,17 @@ const getConversation = async (req, res) => {
       });
     }
 
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found in this conversation'
+      });
+    }
+
     // Update unread messages from other user to read
     await supabase
       .from('messages')
-      .update({ is_read: true, updated_at: new Date() })
+      .update({ is_read: true, status: 'read', read_at: new Date(), updated_at: new Date() })
       .eq('sender_id', userId)
       .eq('receiver_id', currentUserId)
       .eq('is_read', false);
@@ -147,7 +211,9 @@ const getConversation = async (req, res) => {
     return res.status(200).json({
       success: true,
       data: {
-        messages: messages.reverse() // Return in ascending order
+        messages: conversation.messages, // Ascending order
+        anchorId: conversation.anchorId,
+        pagination: conversation.pagination
       }
     });
   } catch (error) {
@@ -159,6 +225,114 @@ const getConversation = async (req, res) => {
   }
 };
 
+/**
+ * Search the current user's messages
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const searchMessages = async (req, res) => {
+  try {
+    const { error, value } = messageSearchSchema.validate(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const page = parsePageParams(value);
+
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        message: page.error
+      });
+    }
+
+    const { results, pagination } = await searchUserMessages(req.user.id, value, page);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        results,
+        pagination
+      }
+    });
+  } catch (error) {
+    console.error('Message search error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while searching messages'
+    });
+  }
+};
+
+/**
+ * Get the current user's messages waiting to be delivered
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getScheduledMessages = async (req, res) => {
+  try {
+    const scheduledMessages = await getUserScheduledMessages(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        scheduledMessages
+      }
+    });
+  } catch (error) {
+    console.error('Scheduled messages fetch error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching scheduled messages'
+    });
+  }
+};
+
+/**
+ * Cancel a scheduled message before it is delivered
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const cancelScheduledMessage = async (req, res) => {
+  try {
+    const { scheduledId } = req.params;
+
+    if (!isValidUUID(scheduledId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scheduled message ID'
+      });
+    }
+
+    const result = await cancelUserScheduledMessage(scheduledId, req.user.id);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Scheduled message cancelled',
+      data: {
+        scheduledMessage: result.scheduledMessage
+      }
+    });
+  } catch (error) {
+    console.error('Scheduled message cancel error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling scheduled message'
+    });
+  }
+};
+
 /**
  * Get all conversations for the current user
  * @param {object} req - Express request object
@@ -197,6 +371,15 @@ const getConversations = async (req, res) => {
       });
     }
 
+    const page = parsePageParams(req.query);
+
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        message: page.error
+      });
+    }
+
     // First get all accepted matches for the user
     const { data: matches, error: matchError } = await supabase
       .from('matches')
@@ -283,12 +466,18 @@ const getConversations = async (req, res) => {
     }
     
     // Sort by most recent activity
-    conversations.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    conversations.sort((a, b) => (new Date(b.updatedAt) - new Date(a.updatedAt)) || (a.id < b.id ? 1 : -1));
+
+    const { items, pagination } = paginateList(conversations, page, conversation => ({
+      createdAt: conversation.updatedAt,
+      id: conversation.id
+    }));
 
     return res.status(200).json({
       success: true,
       data: {
-        conversations
+        conversations: items,
+        pagination
       }
     });
   } catch (error) {
@@ -441,6 +630,9 @@ module.exports = {
   sendMessage,
   getConversation,
   getConversations,
+  searchMessages,
+  getScheduledMessages,
+  cancelScheduledMessage,
   getMessageMediaUploadUrl,
   deleteConversation
 }; 
\ No newline at end of file
@@ -1,11 +1,12 @@
 const { 
-  getUserNotifications: fetchUserNotifications, 
+  getUserNotificationPage, 
   markNotificationRead, 
   deleteNotification: removeNotification 
 } = require('../services/notification/notificationService');
 const supabase = require('../config/database');
 const logger = require('../utils/logger');
 const { sendUserNotification } = require('../services/firebase/notificationService');
+const { parsePageParams } = require('../utils/pagination');
 
 /**
  * Get user notifications
@@ -15,25 +16,23 @@ const { sendUserNotification } = require('../services/firebase/notificationServi
 const getUserNotifications = async (req, res) => {
   try {
     const userId = req.user.id;
-    const limit = parseInt(req.query.limit) || 20;
-    const offset = parseInt(req.query.offset) || 0;
     const unreadOnly = req.query.unreadOnly === 'true';
+    const page = parsePageParams(req.query);
+
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        message: page.error
+      });
+    }
     
-    const notifications = await fetchUserNotifications(userId, {
-      limit, 
-      offset,
-      unreadOnly
-    });
+    const { items: notifications, pagination } = await getUserNotificationPage(userId, page, { unreadOnly });
     
     return res.status(200).json({
       success: true,
       data: {
         notifications,
-        pagination: {
-          limit,
-          offset,
-          hasMore: notifications.length === limit
-        }
+        pagination
       }
     });
   } catch (err) {
@@ -7,6 +7,46 @@ const {
   reactionSchema
 } = require('../models/post');
 const { generateUploadUrl } = require('../utils/awsS3');
+const { parsePageParams, applyCursor, buildPage } = require('../utils/pagination');
+const { USER_BLOCKED_CODE, getHiddenUserIds, isBlockedBetween } = require('../services/blockService');
+const { getSpotlightUserIds } = require('../services/rewardEffectService');
+const { screenContent, recordScreening, blockedError } = require('../services/moderationService');
+
+const FEED_SPOTLIGHT_LIMIT = 5;
+
+/**
+ * Profiles featured at the top of the feed by a spotlight wheel reward
+ * A failed lookup leaves the spotlight empty rather than failing the feed
+ * @param {string} userId - Viewing user
+ * @param {Set<string>} hiddenIds - Users hidden from the viewer
+ * @returns {Promise<Array>} Spotlighted user profiles
+ */
+const getSpotlightProfiles = async (userId, hiddenIds) => {
+  try {
+    const spotlightIds = (await getSpotlightUserIds(FEED_SPOTLIGHT_LIMIT + hiddenIds.size + 1))
+      .filter(id => id !== userId && !hiddenIds.has(id))
+      .slice(0, FEED_SPOTLIGHT_LIMIT);
+
+    if (spotlightIds.length === 0) {
+      return [];
+    }
+
+    const { data: users, error } = await supabase
+      .from('users')
+      .select('id, first_name, last_name, username, profile_picture_url, bio')
+      .in('id', spotlightIds);
+
+    if (error) throw error;
+
+    // Keep the spotlight order, most recently started first
+    return spotlightIds
+      .map(id => (users || []).find(user => user.id === id))
+      .filter(Boolean);
+  } catch (error) {
+    console.error('Error fetching feed spotlight:', error);
+    return [];
+  }
+};
 
 /**
  * Create a new post
@@ -38,6 +78,15 @@ const createPost = async (req, res) => {
       });
     }
 
+    // Screen the caption before the post is published
+    const screening = await screenContent({ userId, surface: 'post', content: caption });
+    if (screening.action === 'block') {
+      return res.status(422).json({
+        success: false,
+        ...blockedError(screening)
+      });
+    }
+
     // Create post in database
     const { data: post, error: postError } = await supabase
       .from('posts')
@@ -48,6 +97,7 @@ const createPost = async (req, res) => {
         media_type: mediaType,
         location,
         tags,
+        moderation: screening.moderation,
         like_count: 0,
         comment_count: 0,
         share_count: 0,
@@ -74,6 +124,8 @@ const createPost = async (req, res) => {
       });
     }
 
+    recordScreening(screening, post.id);
+
     return res.status(201).json({
       success: true,
       message: 'Post created successfully',
@@ -98,7 +150,14 @@ const createPost = async (req, res) => {
 const getFeed = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { limit = 20, offset = 0 } = req.query;
+    const page = parsePageParams(req.query);
+
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        message: page.error
+      });
+    }
 
     // Get current user's interests
     const { data: currentUser, error: userError } = await supabase
@@ -129,14 +188,15 @@ const getFeed = async (req, res) => {
       similarUsers = [];
     }
 
-    // Get IDs of users to include in feed
-    const followingIds = similarUsers.map(user => user.id);
+    // Get IDs of users to include in feed, leaving out blocked and muted users
+    const hiddenIds = await getHiddenUserIds(userId);
+    const followingIds = similarUsers.map(user => user.id).filter(id => !hiddenIds.has(id));
     if (!followingIds.includes(userId)) {
       followingIds.push(userId); // Include current user's posts
     }
 
     // Get feed posts
-    const { data: posts, error: postsError, count } = await supabase
+    const feedQuery = supabase
       .from('posts')
       .select(`
         *,
@@ -148,10 +208,10 @@ const getFeed = async (req, res) => {
           profile_picture_url
         ),
         user_reaction:reactions!inner(type)
-      `, { count: 'exact' })
-      .in('user_id', followingIds)
-      .order('created_at', { ascending: false })
-      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+      `)
+      .in('user_id', followingIds);
+
+    const { data: rows, error: postsError } = await applyCursor(feedQuery, page);
 
     if (postsError) {
       console.error('Error fetching feed posts:', postsError);
@@ -161,16 +221,17 @@ const getFeed = async (req, res) => {
       });
     }
 
+    const { items: posts, pagination } = buildPage(rows, page);
+
+    // Spotlighted profiles are featured once, on the first page
+    const spotlight = page.cursor ? [] : await getSpotlightProfiles(userId, hiddenIds);
+
     return res.status(200).json({
       success: true,
       data: {
         posts,
-        pagination: {
-          total: count,
-          limit: parseInt(limit),
-          offset: parseInt(offset),
-          hasMore: count > (parseInt(offset) + parseInt(limit))
-        }
+        spotlight,
+        pagination
       }
     });
   } catch (error) {
@@ -193,6 +254,14 @@ const getUserPosts = async (req, res) => {
     const { limit = 20, offset = 0 } = req.query;
     const currentUserId = req.user.id;
 
+    // Posts of blocked users are not visible in either direction
+    if (userId !== currentUserId && await isBlockedBetween(currentUserId, userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
     // Get user posts
     const { data: posts, error: postsError, count } = await supabase
       .from('posts')
@@ -272,7 +341,7 @@ const getPost = async (req, res) => {
       .eq('id', postId)
       .single();
 
-    if (postError || !post) {
+    if (postError || !post || (post.user_id !== userId && await isBlockedBetween(userId, post.user_id))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -395,6 +464,24 @@ const addComment = async (req, res) => {
       });
     }
 
+    // Blocked users can't comment on each other's posts
+    if (post.user_id !== userId && await isBlockedBetween(userId, post.user_id)) {
+      return res.status(403).json({
+        success: false,
+        code: USER_BLOCKED_CODE,
+        message: 'You cannot comment on this post'
+      });
+    }
+
+    // Screen the comment before it is posted
+    const screening = await screenContent({ userId, surface: 'comment', content });
+    if (screening.action === 'block') {
+      return res.status(422).json({
+        success: false,
+        ...blockedError(screening)
+      });
+    }
+
     // Create comment in database
     const { data: comment, error: commentError } = await supabase
       .from('comments')
@@ -402,6 +489,7 @@ const addComment = async (req, res) => {
         post_id: postId,
         user_id: userId,
         content,
+        moderation: screening.moderation,
         created_at: new Date(),
         updated_at: new Date()
       })
@@ -425,6 +513,8 @@ const addComment = async (req, res) => {
       });
     }
 
+    recordScreening(screening, comment.id);
+
     // Increment comment count on post
     await supabase
       .from('posts')
@@ -459,23 +549,25 @@ const getComments = async (req, res) => {
   try {
     const { postId } = req.params;
     const { limit = 20, offset = 0 } = req.query;
+    const userId = req.user.id;
 
     // Check if post exists
     const { data: post, error: postError } = await supabase
       .from('posts')
-      .select('id')
+      .select('id, user_id')
       .eq('id', postId)
       .single();
 
-    if (postError || !post) {
+    if (postError || !post || (post.user_id !== userId && await isBlockedBetween(userId, post.user_id))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
       });
     }
 
-    // Get comments
-    const { data: comments, error: commentsError, count } = await supabase
+    // Get comments, leaving out blocked and muted users
+    const hiddenIds = await getHiddenUserIds(userId);
+    let commentsQuery = supabase
       .from('comments')
       .select(`
         *,
@@ -487,7 +579,13 @@ const getComments = async (req, res) => {
           profile_picture_url
         )
       `, { count: 'exact' })
-      .eq('post_id', postId)
+      .eq('post_id', postId);
+
+    if (hiddenIds.size > 0) {
+      commentsQuery = commentsQuery.not('user_id', 'in', `(${Array.from(hiddenIds).join(',')})`);
+    }
+
+    const { data: comments, error: commentsError, count } = await commentsQuery
       .order('created_at', { ascending: false })
       .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
 
@@ -556,6 +654,15 @@ const reactToPost = async (req, res) => {
       });
     }
 
+    // Blocked users can't react to each other's posts
+    if (post.user_id !== userId && await isBlockedBetween(userId, post.user_id)) {
+      return res.status(403).json({
+        success: false,
+        code: USER_BLOCKED_CODE,
+        message: 'You cannot react to this post'
+      });
+    }
+
     // Check if user already reacted to this post
     const { data: existingReaction, error: reactionError } = await supabase
       .from('reactions')
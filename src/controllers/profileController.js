@@ -1,11 +1,12 @@
 const supabase = require('../config/database');
 const { error, info } = require('../utils/logger');
-const { getUserById, updateUserProfile } = require('../services/userService');
+const { getUserById, updateUserProfile, getProfileFacts } = require('../services/userService');
 const { uploadFile, deleteFile, generateSignedUrl } = require('../services/fileService');
-const { profileUpdateSchema } = require('../models/user');
+const { profileUpdateSchema, timeZoneSettingsSchema } = require('../models/user');
 const { generateUploadUrl } = require('../utils/awsS3');
 const { validateInterests } = require('../utils/interests');
-const achievementService = require('../services/achievementService');
+const { EVENTS, publish } = require('../services/eventBus');
+const { getProfileBadges } = require('../services/rewardEffectService');
 
 /**
  * Get user profile
@@ -39,7 +40,8 @@ const getUserProfile = async (req, res) => {
       instagram_handle: user.instagram_handle || null,
       twitter_handle: user.twitter_handle || null,
       spotify_handle: user.spotify_handle || null,
-      linkedin_handle: user.linkedin_handle || null
+      linkedin_handle: user.linkedin_handle || null,
+      badges: await getProfileBadges(userId)
     };
 
     return res.status(200).json({
@@ -83,7 +85,12 @@ const updateProfile = async (req, res) => {
       instagram_handle,
       twitter_handle,
       spotify_handle,
-      linkedin_handle
+      linkedin_handle,
+      // Timezone and quiet hours
+      timezone,
+      quiet_hours_enabled,
+      quiet_hours_start,
+      quiet_hours_end
     } = req.body;
 
     // Build update object with only provided fields
@@ -109,6 +116,22 @@ const updateProfile = async (req, res) => {
     if (spotify_handle !== undefined) updates.spotify_handle = spotify_handle;
     if (linkedin_handle !== undefined) updates.linkedin_handle = linkedin_handle;
     
+    // Validate timezone settings; the timezone is stored under its canonical name
+    const { error: timeZoneError, value: timeZoneSettings } = timeZoneSettingsSchema.validate(
+      { timezone, quiet_hours_enabled, quiet_hours_start, quiet_hours_end }
+    );
+    
+    if (timeZoneError) {
+      return res.status(400).json({
+        success: false,
+        message: timeZoneError.details[0].message
+      });
+    }
+    
+    Object.entries(timeZoneSettings)
+      .filter(([, value]) => value !== undefined)
+      .forEach(([field, value]) => { updates[field] = value; });
+    
     console.log(`Updating profile for user ${userId} with fields:`, Object.keys(updates));
     console.log(`Full update data:`, updates);
     
@@ -137,12 +160,12 @@ const updateProfile = async (req, res) => {
       });
     }
 
-    // Check for profile completion achievement
-    const completedAchievements = await achievementService.checkProfileCompletion(userId);
-
     // Get updated user data to return in response
     const updatedUser = await getUserById(userId);
 
+    // Check for profile achievements
+    const completedAchievements = await publish(EVENTS.PROFILE_UPDATED, { userId, ...getProfileFacts(updatedUser) });
+
     return res.status(200).json({
       success: true,
       message: 'Profile updated successfully',
@@ -167,6 +190,10 @@ const updateProfile = async (req, res) => {
           twitter_handle: updatedUser.twitter_handle,
           spotify_handle: updatedUser.spotify_handle,
           linkedin_handle: updatedUser.linkedin_handle,
+          timezone: updatedUser.timezone,
+          quiet_hours_enabled: updatedUser.quiet_hours_enabled,
+          quiet_hours_start: updatedUser.quiet_hours_start,
+          quiet_hours_end: updatedUser.quiet_hours_end,
           updated_at: updatedUser.updated_at
         },
         achievementsCompleted: completedAchievements
@@ -250,7 +277,10 @@ const uploadVoiceBio = async (req, res) => {
     info(`User ${userId} uploaded new voice bio`);
 
     // Check for voice bio achievement
-    const completedAchievements = await achievementService.checkVoiceBioAchievement(userId);
+    const completedAchievements = await publish(EVENTS.PROFILE_UPDATED, {
+      userId,
+      ...getProfileFacts({ ...user, voice_bio_url: filepath })
+    });
     
     return res.status(200).json({
       success: true,
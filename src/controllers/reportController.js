@@ -1,7 +1,7 @@
 const supabase = require('../config/database');
 const logger = require('../utils/logger');
 const axios = require('axios');
-const geminiAI = require('../services/geminiAI');
+const { getSafeErrorDetails } = require('../services/ai/aiService');
 
 // Valid report types
 const VALID_REPORT_TYPES = [
@@ -198,7 +198,7 @@ const submitReport = async (req, res) => {
     
     logger.info(`New report submitted: ${reportType} for ${contentType} ${contentId} by user ${req.user.id}`);
     
-    // If this is a message report, trigger Gemini AI processing
+    // If this is a message report, trigger AI moderation
     if (contentType === 'message' && process.env.AI_MODERATION_ENABLED === 'true') {
       try {
         // Add debug logging
@@ -311,7 +311,7 @@ const triggerAIProcessing = async (reportId) => {
           }
         } catch (err) {
           // Use shared safe error handling
-          const safeError = geminiAI.getSafeErrorDetails(err);
+          const safeError = getSafeErrorDetails(err);
           logger.error(`Error in local AI processing for report ${reportId}: ${safeError.name} - ${safeError.message}`);
           
           // Add stack trace for debugging if available
@@ -325,7 +325,7 @@ const triggerAIProcessing = async (reportId) => {
     }
   } catch (error) {
     // Use shared safe error handling
-    const safeError = geminiAI.getSafeErrorDetails(error);
+    const safeError = getSafeErrorDetails(error);
     logger.error(`Error triggering AI processing for report ${reportId}: ${safeError.name} - ${safeError.message}`);
     
     // Don't throw error to prevent request failure
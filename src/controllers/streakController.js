@@ -57,7 +57,7 @@ const getStreakWithUser = async (req, res) => {
 };
 
 /**
- * Get streak details for a specific conversation
+ * Get streak details for a specific conversation, with its freezes, repair window and history
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  */
@@ -72,7 +72,14 @@ const getConversationStreak = async (req, res) => {
       });
     }
     
-    const streak = await streakService.getConversationStreak(conversationId);
+    const streak = await streakService.getConversationStreakDetails(conversationId, req.user.id);
+    
+    if (!streak) {
+      return res.status(404).json({
+        success: false,
+        message: 'Streak not found'
+      });
+    }
     
     return res.status(200).json({
       success: true,
@@ -87,6 +94,59 @@ const getConversationStreak = async (req, res) => {
   }
 };
 
+/**
+ * Repair a broken conversation streak within its repair window
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const repairStreak = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const result = await streakService.repairStreak(conversationId, req.user.id);
+    
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Streak repaired',
+      data: result.streak
+    });
+  } catch (error) {
+    logger.error(`Error repairing streak: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error repairing streak'
+    });
+  }
+};
+
+/**
+ * Get the current user's streak freezes
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getMyFreezes = async (req, res) => {
+  try {
+    const freezes = await streakService.getUserStreakFreezes(req.user.id);
+    
+    return res.status(200).json({
+      success: true,
+      data: freezes
+    });
+  } catch (error) {
+    logger.error(`Error getting streak freezes: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving streak freezes'
+    });
+  }
+};
+
 /**
  * Get all available streak bonuses
  * @param {object} req - Express request object
@@ -147,12 +207,24 @@ const getExpiringStreaks = async (req, res) => {
       });
     }
     
-    const { hoursLower = 20, hoursUpper = 23 } = req.query;
+    // hoursLower / hoursUpper keep their original meaning, hours since the last message;
+    // hoursLeftMin / hoursLeftMax select by hours left before the streak is lost instead
+    const {
+      hoursLower = 20,
+      hoursUpper = 23,
+      hoursLeftMin,
+      hoursLeftMax
+    } = req.query;
     
-    const expiringStreaks = await streakService.findExpiringStreaks(
-      parseInt(hoursLower),
-      parseInt(hoursUpper)
-    );
+    const expiringStreaks = hoursLeftMin !== undefined || hoursLeftMax !== undefined
+      ? await streakService.findExpiringStreaks(
+        parseInt(hoursLeftMin || 0),
+        parseInt(hoursLeftMax || 4)
+      )
+      : await streakService.findStreaksByLastMessage(
+        parseInt(hoursLower),
+        parseInt(hoursUpper)
+      );
     
     return res.status(200).json({
       success: true,
@@ -171,6 +243,8 @@ module.exports = {
   getMyActiveStreaks,
   getStreakWithUser,
   getConversationStreak,
+  repairStreak,
+  getMyFreezes,
   getStreakBonuses,
   getMyMilestones,
   getExpiringStreaks
@@ -1,4 +1,7 @@
 const supabase = require('../config/database');
+const { getBlockedUserIds } = require('../services/blockService');
+const { getProfileBadges } = require('../services/rewardEffectService');
+const { applyEnforcement, liftAccountBlocks } = require('../services/enforcementService');
 
 /**
  * Search for users by name or username
@@ -17,12 +20,21 @@ const searchUsers = async (req, res) => {
       });
     }
 
+    // Users separated by a block in either direction never see each other
+    const blockedIds = Array.from(await getBlockedUserIds(currentUserId));
+
     // Search by first name, last name, or username
-    const { data: users, error, count } = await supabase
+    let searchQuery = supabase
       .from('users')
       .select('id, first_name, last_name, username, profile_picture_url, interests, preference', { count: 'exact' })
       .or(`first_name.ilike.%${query}%,last_name.ilike.%${query}%,username.ilike.%${query}%`)
-      .neq('id', currentUserId) // Exclude current user
+      .neq('id', currentUserId); // Exclude current user
+
+    if (blockedIds.length > 0) {
+      searchQuery = searchQuery.not('id', 'in', `(${blockedIds.join(',')})`);
+    }
+
+    const { data: users, error, count } = await searchQuery
       .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1)
       .order('username', { ascending: true });
 
@@ -99,6 +111,9 @@ const getUserProfile = async (req, res) => {
       }
     }
 
+    // Cosmetic badges from claimed wheel rewards
+    user.badges = await getProfileBadges(userId);
+
     return res.status(200).json({
       success: true,
       data: {
@@ -456,52 +471,32 @@ const banOrSuspendUser = async (req, res) => {
       });
     }
     
-    // Prepare update object
-    const updateObj = {};
+    // Bans go through the enforcement ladder, which notifies the user and logs the action
+    const result = action === 'ban'
+      ? await applyEnforcement(userId, { action: 'ban', reason }, req.user.id)
+      : await liftAccountBlocks(userId, { reason }, req.user.id);
     
-    if (action === 'ban') {
-      updateObj.is_banned = true;
-      updateObj.ban_reason = reason;
-      updateObj.banned_at = new Date();
-    } else if (action === 'unban') {
-      updateObj.is_banned = false;
-      updateObj.ban_reason = null;
-      updateObj.banned_at = null;
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
     }
     
-    // Update user in database
     const { data: updatedUser, error } = await supabase
       .from('users')
-      .update(updateObj)
-      .eq('id', userId)
       .select('id, username, is_banned, ban_reason, banned_at')
+      .eq('id', userId)
       .single();
     
     if (error) {
-      console.error('Error updating user ban status:', error);
+      console.error('Error fetching user ban status:', error);
       return res.status(500).json({
         success: false,
         message: 'Failed to update user status'
       });
     }
     
-    // Create admin activity log
-    const adminActionText = action === 'ban' ? 'banned' : 'unbanned';
-    const { error: logError } = await supabase
-      .from('admin_activities')
-      .insert({
-        admin_id: req.user.id,
-        activity_type: `user_${action}`,
-        description: `Admin ${req.user.username} ${adminActionText} user ${updatedUser.username} ${reason ? `for: ${reason}` : ''}`,
-        target_id: userId,
-        created_at: new Date()
-      });
-    
-    if (logError) {
-      console.error('Error logging admin activity:', logError);
-      // Don't return error, just log it
-    }
-    
     return res.status(200).json({
       success: true,
       message: `User ${action === 'ban' ? 'banned' : 'unbanned'} successfully`,
@@ -1,7 +1,7 @@
 const supabase = require('../config/database');
 const { error, info } = require('../utils/logger');
 const { getUserById, updateUserProfile } = require('../services/userService');
-const achievementService = require('../services/achievementService');
+const { EVENTS, publish } = require('../services/eventBus');
 const { videoVerificationSchema, videoUploadUrlSchema } = require('../models/videoVerification');
 const { generateUploadUrl } = require('../utils/awsS3');
 const AWS = require('aws-sdk');
@@ -304,7 +304,10 @@ const approveVerification = async (req, res) => {
     });
 
     // Check for verification achievement
-    await achievementService.checkVerificationAchievement(verificationRequest.user_id);
+    await publish(EVENTS.VERIFICATION_APPROVED, {
+      userId: verificationRequest.user_id,
+      verificationId: verification_id
+    });
 
     info(`Verification ${verification_id} for user ${verificationRequest.user_id} approved`);
     
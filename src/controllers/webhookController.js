@@ -4,14 +4,14 @@ const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../database/dbConfig');
 const { info, error, warn } = require('../utils/logger');
 const autoModeration = require('../services/autoModeration');
-const geminiAI = require('../services/geminiAI');
+const { getSafeErrorDetails } = require('../services/ai/aiService');
 
 /**
  * @swagger
  * /api/webhook/test-report-moderation:
  *   post:
  *     summary: Test the automated report moderation system
- *     description: Creates a test report and processes it through Gemini AI
+ *     description: Creates a test report and processes it through AI moderation
  *     requestBody:
  *       required: true
  *       content:
@@ -153,7 +153,7 @@ const processNewReport = async (req, res) => {
     
   } catch (err) {
     // Use shared safe error handling
-    const safeError = geminiAI.getSafeErrorDetails(err);
+    const safeError = getSafeErrorDetails(err);
     error(`Error in webhook processNewReport: ${safeError.name} - ${safeError.message}`);
     return res.status(500).json({
       success: false,
@@ -163,7 +163,7 @@ const processNewReport = async (req, res) => {
 };
 
 /**
- * Process a report asynchronously with Gemini AI
+ * Process a report asynchronously with AI moderation
  * @param {string} reportId - Report ID to process
  */
 const processReportAsync = async (reportId) => {
@@ -225,7 +225,7 @@ const processReportAsync = async (reportId) => {
     }
   } catch (err) {
     // Use shared safe error handling
-    const safeError = geminiAI.getSafeErrorDetails(err);
+    const safeError = getSafeErrorDetails(err);
     
     error(`Error in processReportAsync for report ${reportId}: ${safeError.name} - ${safeError.message}`);
     
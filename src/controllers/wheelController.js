@@ -1,4 +1,6 @@
 const wheelService = require('../services/wheelService');
+const wheelFairnessService = require('../services/wheelFairnessService');
+const { spinRequestSchema, oddsReportQuerySchema, simulationSchema } = require('../models/wheel');
 const logger = require('../utils/logger');
 
 /**
@@ -31,8 +33,17 @@ const checkAvailability = async (req, res) => {
  */
 const spinWheel = async (req, res) => {
   try {
+    const { error, value } = spinRequestSchema.validate(req.body || {});
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+    
     const userId = req.user.id;
-    const result = await wheelService.spinWheel(userId);
+    const result = await wheelService.spinWheel(userId, value);
     
     if (!result.success) {
       return res.status(400).json({
@@ -55,7 +66,9 @@ const spinWheel = async (req, res) => {
         },
         message: result.message,
         nextSpinAt: result.nextSpinAt,
-        wheelPosition: result.wheelPosition
+        usedExtraSpin: result.usedExtraSpin,
+        wheelPosition: result.wheelPosition,
+        fairness: result.fairness
       }
     });
   } catch (error) {
@@ -118,7 +131,11 @@ const claimReward = async (req, res) => {
     
     return res.status(200).json({
       success: true,
-      message: result.message
+      message: result.message,
+      data: {
+        effects: result.effects,
+        streakFreezes: result.streakFreezes
+      }
     });
   } catch (error) {
     logger.error(`Error claiming reward: ${error.message}`);
@@ -129,6 +146,106 @@ const claimReward = async (req, res) => {
   }
 };
 
+/**
+ * Get user's active reward effects
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getMyEffects = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const effects = await wheelService.getActiveRewardEffects(userId);
+    
+    return res.status(200).json({
+      success: true,
+      data: effects
+    });
+  } catch (error) {
+    logger.error(`Error getting reward effects: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving reward effects'
+    });
+  }
+};
+
+/**
+ * Get the commitment to the server seed of the user's next spin
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getFairnessCommitment = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const commitment = await wheelFairnessService.getCommitment(userId);
+    
+    return res.status(200).json({
+      success: true,
+      data: commitment
+    });
+  } catch (error) {
+    logger.error(`Error getting wheel seed commitment: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving seed commitment'
+    });
+  }
+};
+
+/**
+ * Get user's recent spins with their revealed seeds
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getMySpins = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const spins = await wheelFairnessService.getSpinHistory(userId);
+    
+    return res.status(200).json({
+      success: true,
+      data: spins
+    });
+  } catch (error) {
+    logger.error(`Error getting wheel spins: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving spins'
+    });
+  }
+};
+
+/**
+ * Recompute one of the user's spins from its revealed seed
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const verifySpin = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { spinId } = req.params;
+    const result = await wheelFairnessService.verifyUserSpin(userId, spinId);
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Spin not found'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Error verifying wheel spin: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error verifying spin'
+    });
+  }
+};
+
 /**
  * Get all available wheel rewards for display
  * @param {object} req - Express request object
@@ -181,11 +298,88 @@ const cleanupExpiredRewards = async (req, res) => {
   }
 };
 
+/**
+ * For admins: Compare configured reward probabilities with observed spins
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getOddsReport = async (req, res) => {
+  try {
+    const { error, value } = oddsReportQuerySchema.validate(req.query);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+    
+    const report = await wheelFairnessService.getOddsReport(value);
+    
+    return res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error(`Error building wheel odds report: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error building odds report'
+    });
+  }
+};
+
+/**
+ * For admins: Dry-run a probability table
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const simulateSpins = async (req, res) => {
+  try {
+    const { error, value } = simulationSchema.validate(req.body || {});
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+    
+    const rewards = value.rewards || await wheelService.getWheelRewards();
+    
+    if (rewards.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No rewards to simulate'
+      });
+    }
+    
+    const simulation = wheelFairnessService.simulateSpins(rewards, value);
+    
+    return res.status(200).json({
+      success: true,
+      data: simulation
+    });
+  } catch (error) {
+    logger.error(`Error simulating wheel spins: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Error simulating spins'
+    });
+  }
+};
+
 module.exports = {
   checkAvailability,
   spinWheel,
   getMyRewards,
   claimReward,
+  getMyEffects,
+  getFairnessCommitment,
+  getMySpins,
+  verifySpin,
   getWheelRewards,
-  cleanupExpiredRewards
+  cleanupExpiredRewards,
+  getOddsReport,
+  simulateSpins
 }; 
\ No newline at end of file
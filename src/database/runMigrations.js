@@ -11,7 +11,27 @@ const migrations = [
   require('../migrations/20240615_achievements'),
   require('../migrations/20240620_conversation_streaks'),
   require('../migrations/20240625_daily_match_wheel'),
-  require('../migrations/20240630_mini_games')
+  require('../migrations/20240630_mini_games'),
+  require('../migrations/20240715_match_compatibility'),
+  require('../migrations/20240716_user_match_filters'),
+  require('../migrations/20240717_user_blocks'),
+  require('../migrations/20240718_message_search'),
+  require('../migrations/20240719_group_conversations'),
+  require('../migrations/20240720_message_delivery'),
+  require('../migrations/20240721_scheduled_messages'),
+  require('../migrations/20240722_game_turn_timers'),
+  require('../migrations/20240723_game_content_packs'),
+  require('../migrations/20240724_game_ratings'),
+  require('../migrations/20240725_game_series'),
+  require('../migrations/20240726_reward_effects'),
+  require('../migrations/20240727_wheel_fairness'),
+  require('../migrations/20240728_streak_freezes'),
+  require('../migrations/20240729_user_timezones'),
+  require('../migrations/20240730_achievement_rules'),
+  require('../migrations/20240731_moderation_policies'),
+  require('../migrations/20240801_enforcement_ladder'),
+  require('../migrations/20240802_moderation_appeals'),
+  require('../migrations/20240803_group_streak_days')
 ];
 
 /**
@@ -18,6 +18,7 @@ const { initializeSocket, connectedUsers } = require('./socket/socketManager');
 
 // Import middleware
 const { authenticate } = require('./middlewares/auth');
+const { requireFeature } = require('./middlewares/enforcement');
 
 // Import logger
 const logger = require('./utils/logger');
@@ -30,8 +31,11 @@ const { runMigrations } = require('./database/runMigrations');
 
 // Import scheduled notifications
 const { initializeScheduledNotifications } = require('./services/notification/scheduledNotifications');
+const { initializeScheduledMessages } = require('./services/notification/scheduledMessages');
 const { initializeStreakNotifications } = require('./services/notification/streakNotifications');
 const { initializeWheelNotifications } = require('./services/notification/wheelNotifications');
+const { initializeEnforcementNotifications } = require('./services/notification/enforcementNotifications');
+const { initializeAchievementEngine } = require('./services/achievementService');
 
 // Routes
 const authRoutes = require('./routes/authRoutes');
@@ -61,6 +65,11 @@ const gameRoutes = require('./routes/gameRoutes');
 const memeRoutes = require('./routes/memeRoutes');
 const apiKeyRoutes = require('./routes/apiKeyRoutes');
 const adminApiKeyRoutes = require('./routes/adminApiKeyRoutes');
+const groupRoutes = require('./routes/groupRoutes');
+const adminGameContentRoutes = require('./routes/adminGameContentRoutes');
+const adminModerationRoutes = require('./routes/adminModerationRoutes');
+const adminEnforcementRoutes = require('./routes/adminEnforcementRoutes');
+const enforcementRoutes = require('./routes/enforcementRoutes');
 
 // Initialize Express app
 const app = express();
@@ -97,14 +106,25 @@ initializeSocket(io);
 // Initialize scheduled notifications
 initializeScheduledNotifications();
 
+// Initialize scheduled and disappearing messages
+initializeScheduledMessages();
+
 // Initialize streak notifications
 initializeStreakNotifications();
 
 // Initialize wheel notifications
 initializeWheelNotifications();
 
+// End restrictions and suspensions when they run out
+initializeEnforcementNotifications();
+
+// Evaluate achievements from published events
+initializeAchievementEngine();
+
 // Apply global middleware
 app.use(cors());
+// Content packs are larger than the default body limit allows
+app.use('/api/admin/game-content/packs/import', express.json({ limit: '5mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -161,16 +181,21 @@ app.use('/api/profile', profileRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/messages/user', userMessageRoutes);
+app.use('/api/groups', groupRoutes);
 app.use('/api/matchmaking', matchmakingRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/enforcement', enforcementRoutes);
 app.use('/api/admin/auth', authLimiter, adminAuthRoutes);
 app.use('/api/admin/messages', adminMessageRoutes);
 app.use('/api/admin/analytics', adminAnalyticsRoutes);
 app.use('/api/admin/reports', adminReportRoutes);
 app.use('/api/admin/verification', adminVerificationRoutes);
 app.use('/api/admin/keys', adminApiKeyRoutes);
+app.use('/api/admin/game-content', adminGameContentRoutes);
+app.use('/api/admin/moderation', adminModerationRoutes);
+app.use('/api/admin/enforcement', adminEnforcementRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/health', healthRoutes);
 app.use('/api/webhooks', webhookRoutes);
@@ -184,7 +209,7 @@ app.use('/api/memes', memeRoutes);
 app.use('/api/keys', apiKeyRoutes);
 
 // Add route for creating conversation between matched users
-app.post('/api/messages/conversations', authenticate, async (req, res) => {
+app.post('/api/messages/conversations', authenticate, requireFeature('matching'), async (req, res) => {
   try {
     const { userId } = req.body;
     const currentUserId = req.user.id;
@@ -2,9 +2,11 @@ const { verifyToken } = require('../utils/jwt');
 const supabase = require('../config/database');
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
+const { enforceAccountStanding } = require('./enforcement');
 
 /**
  * Middleware to authenticate requests using JWT
+ * Suspended and banned users are turned away once authenticated
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  * @param {function} next - Express next function
@@ -24,7 +26,7 @@ const authenticate = async (req, res, next) => {
       
       // Continue if this is all we need
       if (process.env.ALLOW_HEADER_AUTH === 'true') {
-        return next();
+        return enforceAccountStanding(req, res, next);
       }
     }
     
@@ -72,8 +74,8 @@ const authenticate = async (req, res, next) => {
       logger.warn(`User ID mismatch: header=${headerUserId}, token=${req.user.id}`);
     }
     
-    // Continue to the next middleware
-    next();
+    // Continue to the next middleware, unless the account is suspended or banned
+    return enforceAccountStanding(req, res, next);
   } catch (error) {
     logger.error('Authentication error:', error);
     
@@ -0,0 +1,74 @@
+const { checkAccountAccess, checkFeature, standingUnavailable } = require('../services/enforcementService');
+const logger = require('../utils/logger');
+
+// Still reachable while suspended or banned, so users can see why and appeal
+const ALLOWED_WHILE_BLOCKED = ['/api/auth', '/api/enforcement', '/api/reports/appeals'];
+
+/**
+ * Send a failed enforcement check as a response
+ * @param {object} res - Express response object
+ * @param {object} result - { status, code, message, enforcement, retryAfterSeconds }
+ */
+const sendEnforcementFailure = (res, result) => {
+  if (result.retryAfterSeconds) {
+    res.set('Retry-After', String(result.retryAfterSeconds));
+  }
+
+  return res.status(result.status).json({
+    success: false,
+    code: result.code,
+    message: result.message,
+    enforcement: result.enforcement,
+    ...(result.retryAfterSeconds ? { retryAfterSeconds: result.retryAfterSeconds } : {})
+  });
+};
+
+/**
+ * Middleware to turn away suspended and banned users
+ * Runs after authentication. A failed standing lookup refuses the request with a 503.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+const enforceAccountStanding = async (req, res, next) => {
+  if (ALLOWED_WHILE_BLOCKED.some(prefix => req.originalUrl.startsWith(prefix))) {
+    return next();
+  }
+
+  try {
+    const result = await checkAccountAccess(req.user.id);
+    if (!result.success) {
+      return sendEnforcementFailure(res, result);
+    }
+  } catch (error) {
+    logger.error(`Error checking account standing of user ${req.user.id}: ${error.message}`);
+    return sendEnforcementFailure(res, standingUnavailable());
+  }
+
+  next();
+};
+
+/**
+ * Middleware factory for features the enforcement ladder can restrict
+ * A failed lookup refuses the request with a 503, as in enforceAccountStanding
+ * @param {string} feature - 'matching', 'posting' or 'messaging'
+ * @returns {function} Express middleware
+ */
+const requireFeature = (feature) => async (req, res, next) => {
+  try {
+    const result = await checkFeature(req.user.id, feature);
+    if (!result.success) {
+      return sendEnforcementFailure(res, result);
+    }
+  } catch (error) {
+    logger.error(`Error checking ${feature} restriction of user ${req.user.id}: ${error.message}`);
+    return sendEnforcementFailure(res, standingUnavailable());
+  }
+
+  next();
+};
+
+module.exports = {
+  enforceAccountStanding,
+  requireFeature
+};
@@ -0,0 +1,54 @@
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply match compatibility migration
+ */
+const up = async () => {
+  try {
+    logger.info('Running match compatibility migration - up');
+    
+    // Store the per-factor breakdown next to the overall score. compatibility_score and
+    // shared_interests have been written on every match since before migrations tracked
+    // them, so they are only created here where they are missing and kept on down.
+    await supabase.query(`
+      ALTER TABLE matches
+        ADD COLUMN IF NOT EXISTS compatibility_score INTEGER DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS shared_interests TEXT[] DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS compatibility_breakdown JSONB DEFAULT NULL;
+      
+      -- Index for ranking and analytics queries on the score
+      CREATE INDEX IF NOT EXISTS idx_matches_compatibility_score
+        ON matches(compatibility_score);
+    `);
+    
+    logger.info('Match compatibility migration - up completed');
+  } catch (error) {
+    logger.error(`Match compatibility migration - up failed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revert match compatibility migration
+ */
+const down = async () => {
+  try {
+    logger.info('Running match compatibility migration - down');
+    
+    await supabase.query(`
+      DROP INDEX IF EXISTS idx_matches_compatibility_score;
+      ALTER TABLE matches DROP COLUMN IF EXISTS compatibility_breakdown;
+    `);
+    
+    logger.info('Match compatibility migration - down completed');
+  } catch (error) {
+    logger.error(`Match compatibility migration - down failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  up,
+  down
+};
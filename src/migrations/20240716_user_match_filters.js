@@ -0,0 +1,69 @@
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply user match filters migration
+ */
+const up = async () => {
+  try {
+    logger.info('Running user match filters migration - up');
+    
+    // One row of saved filters per user; NULL/empty values mean "no restriction"
+    await supabase.query(`
+      CREATE TABLE IF NOT EXISTS user_match_filters (
+        user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        min_age INTEGER,
+        max_age INTEGER,
+        max_distance_km NUMERIC(6, 1),
+        genders TEXT[] DEFAULT '{}',
+        verified_only BOOLEAN DEFAULT false,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        
+        CONSTRAINT valid_match_filter_age_range CHECK (
+          min_age IS NULL OR max_age IS NULL OR min_age <= max_age
+        )
+      );
+    `);
+    
+    // Enable Row Level Security
+    await supabase.query(`
+      ALTER TABLE user_match_filters ENABLE ROW LEVEL SECURITY;
+      
+      -- Users can view and manage their own filters
+      CREATE POLICY "Users can manage their own match filters"
+        ON user_match_filters
+        FOR ALL
+        USING (user_id = auth.uid());
+    `);
+    
+    logger.info('User match filters migration - up completed');
+  } catch (error) {
+    logger.error(`User match filters migration - up failed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revert user match filters migration
+ */
+const down = async () => {
+  try {
+    logger.info('Running user match filters migration - down');
+    
+    await supabase.query(`
+      DROP POLICY IF EXISTS "Users can manage their own match filters" ON user_match_filters;
+      DROP TABLE IF EXISTS user_match_filters;
+    `);
+    
+    logger.info('User match filters migration - down completed');
+  } catch (error) {
+    logger.error(`User match filters migration - down failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,71 @@
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply user blocks migration
+ */
+const up = async () => {
+  try {
+    logger.info('Running user blocks migration - up');
+    
+    // One row per (blocker, blocked) pair; 'mute' hides content without cutting contact
+    await supabase.query(`
+      CREATE TABLE IF NOT EXISTS user_blocks (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        blocker_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        blocked_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        type TEXT NOT NULL DEFAULT 'block',
+        reason TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        
+        CONSTRAINT unique_user_block UNIQUE (blocker_id, blocked_id),
+        CONSTRAINT valid_user_block_type CHECK (type IN ('block', 'mute')),
+        CONSTRAINT no_self_block CHECK (blocker_id <> blocked_id)
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_user_blocks_blocker ON user_blocks(blocker_id, type);
+      CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON user_blocks(blocked_id, type);
+    `);
+    
+    // Enable Row Level Security
+    await supabase.query(`
+      ALTER TABLE user_blocks ENABLE ROW LEVEL SECURITY;
+      
+      -- Users can view and manage the blocks they created
+      CREATE POLICY "Users can manage their own blocks"
+        ON user_blocks
+        FOR ALL
+        USING (blocker_id = auth.uid());
+    `);
+    
+    logger.info('User blocks migration - up completed');
+  } catch (error) {
+    logger.error(`User blocks migration - up failed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revert user blocks migration
+ */
+const down = async () => {
+  try {
+    logger.info('Running user blocks migration - down');
+    
+    await supabase.query(`
+      DROP POLICY IF EXISTS "Users can manage their own blocks" ON user_blocks;
+      DROP TABLE IF EXISTS user_blocks;
+    `);
+    
+    logger.info('User blocks migration - down completed');
+  } catch (error) {
+    logger.error(`User blocks migration - down failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  up,
+  down
+};
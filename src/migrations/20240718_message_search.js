@@ -0,0 +1,61 @@
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply message search migration
+ */
+const up = async () => {
+  try {
+    logger.info('Running message search migration - up');
+    
+    // Per-user soft delete flags used by message:delete and userMessageController
+    await supabase.query(`
+      ALTER TABLE messages
+        ADD COLUMN IF NOT EXISTS deleted_by_sender BOOLEAN DEFAULT false,
+        ADD COLUMN IF NOT EXISTS deleted_by_receiver BOOLEAN DEFAULT false;
+    `);
+    
+    // 'simple' config keeps search language-agnostic (no stemming or stop words)
+    await supabase.query(`
+      ALTER TABLE messages
+        ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+        GENERATED ALWAYS AS (to_tsvector('simple', COALESCE(content, ''))) STORED;
+      
+      CREATE INDEX IF NOT EXISTS idx_messages_search_vector ON messages USING GIN (search_vector);
+      CREATE INDEX IF NOT EXISTS idx_messages_sender_created ON messages(sender_id, created_at DESC, id DESC);
+      CREATE INDEX IF NOT EXISTS idx_messages_receiver_created ON messages(receiver_id, created_at DESC, id DESC);
+    `);
+    
+    logger.info('Message search migration - up completed');
+  } catch (error) {
+    logger.error(`Message search migration - up failed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revert message search migration
+ * The soft delete flags are left in place since existing code depends on them
+ */
+const down = async () => {
+  try {
+    logger.info('Running message search migration - down');
+    
+    await supabase.query(`
+      DROP INDEX IF EXISTS idx_messages_receiver_created;
+      DROP INDEX IF EXISTS idx_messages_sender_created;
+      DROP INDEX IF EXISTS idx_messages_search_vector;
+      ALTER TABLE messages DROP COLUMN IF EXISTS search_vector;
+    `);
+    
+    logger.info('Message search migration - down completed');
+  } catch (error) {
+    logger.error(`Message search migration - down failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,172 @@
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply group conversations migration
+ */
+const up = async () => {
+  try {
+    logger.info('Running group conversations migration - up');
+
+    // Groups ("circles") and their members
+    await supabase.query(`
+      CREATE TABLE IF NOT EXISTS groups (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        avatar_url TEXT,
+        owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS group_members (
+        group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role VARCHAR(20) NOT NULL DEFAULT 'member',
+        joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        -- Per-member read receipt: everything up to this message has been read
+        last_read_message_id UUID,
+        last_read_at TIMESTAMP WITH TIME ZONE,
+
+        PRIMARY KEY (group_id, user_id),
+        CONSTRAINT valid_group_member_role CHECK (role IN ('owner', 'admin', 'member'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_group_members_user ON group_members(user_id);
+    `);
+
+    // Invitations; only one pending invite per user and group
+    await supabase.query(`
+      CREATE TABLE IF NOT EXISTS group_invites (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+        inviter_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        invitee_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        responded_at TIMESTAMP WITH TIME ZONE,
+
+        CONSTRAINT valid_group_invite_status CHECK (status IN ('pending', 'accepted', 'declined', 'revoked'))
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_group_invites_pending
+        ON group_invites(group_id, invitee_id) WHERE status = 'pending';
+      CREATE INDEX IF NOT EXISTS idx_group_invites_invitee ON group_invites(invitee_id, status);
+    `);
+
+    // Group messages live in messages with group_id set and no receiver
+    await supabase.query(`
+      ALTER TABLE messages
+        ADD COLUMN IF NOT EXISTS group_id UUID REFERENCES groups(id) ON DELETE CASCADE,
+        ADD COLUMN IF NOT EXISTS hidden_for UUID[] DEFAULT '{}';
+
+      ALTER TABLE messages ALTER COLUMN receiver_id DROP NOT NULL;
+
+      CREATE INDEX IF NOT EXISTS idx_messages_group_created
+        ON messages(group_id, created_at DESC, id DESC) WHERE group_id IS NOT NULL;
+    `);
+
+    // Group streaks (a day counts when anyone in the group sends a message)
+    await supabase.query(`
+      CREATE TABLE IF NOT EXISTS group_streaks (
+        group_id UUID PRIMARY KEY REFERENCES groups(id) ON DELETE CASCADE,
+        streak_days INTEGER DEFAULT 1,
+        last_message_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        expires_at TIMESTAMP WITH TIME ZONE,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+
+    // Enable Row Level Security
+    await supabase.query(`
+      ALTER TABLE groups ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE group_members ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE group_invites ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE group_streaks ENABLE ROW LEVEL SECURITY;
+
+      -- Members can view their groups
+      CREATE POLICY "Members can view their groups"
+        ON groups
+        FOR SELECT
+        USING (
+          EXISTS (
+            SELECT 1 FROM group_members
+            WHERE group_members.group_id = groups.id
+            AND group_members.user_id = auth.uid()
+          )
+        );
+
+      -- Members can view the member list of their groups
+      CREATE POLICY "Members can view group members"
+        ON group_members
+        FOR SELECT
+        USING (
+          EXISTS (
+            SELECT 1 FROM group_members AS self
+            WHERE self.group_id = group_members.group_id
+            AND self.user_id = auth.uid()
+          )
+        );
+
+      -- Users can view invites they sent or received
+      CREATE POLICY "Users can view their group invites"
+        ON group_invites
+        FOR SELECT
+        USING (inviter_id = auth.uid() OR invitee_id = auth.uid());
+
+      -- Members can view their group streaks
+      CREATE POLICY "Members can view group streaks"
+        ON group_streaks
+        FOR SELECT
+        USING (
+          EXISTS (
+            SELECT 1 FROM group_members
+            WHERE group_members.group_id = group_streaks.group_id
+            AND group_members.user_id = auth.uid()
+          )
+        );
+    `);
+
+    logger.info('Group conversations migration - up completed');
+  } catch (error) {
+    logger.error(`Group conversations migration - up failed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revert group conversations migration
+ */
+const down = async () => {
+  try {
+    logger.info('Running group conversations migration - down');
+
+    await supabase.query(`
+      DELETE FROM messages WHERE group_id IS NOT NULL;
+      DROP INDEX IF EXISTS idx_messages_group_created;
+      ALTER TABLE messages DROP COLUMN IF EXISTS hidden_for;
+      ALTER TABLE messages DROP COLUMN IF EXISTS group_id;
+
+      DROP POLICY IF EXISTS "Members can view group streaks" ON group_streaks;
+      DROP POLICY IF EXISTS "Users can view their group invites" ON group_invites;
+      DROP POLICY IF EXISTS "Members can view group members" ON group_members;
+      DROP POLICY IF EXISTS "Members can view their groups" ON groups;
+
+      DROP TABLE IF EXISTS group_streaks;
+      DROP TABLE IF EXISTS group_invites;
+      DROP TABLE IF EXISTS group_members;
+      DROP TABLE IF EXISTS groups;
+    `);
+
+    logger.info('Group conversations migration - down completed');
+  } catch (error) {
+    logger.error(`Group conversations migration - down failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  up,
+  down
+};
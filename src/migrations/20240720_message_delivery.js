@@ -0,0 +1,126 @@
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply message delivery migration
+ */
+const up = async () => {
+  try {
+    logger.info('Running message delivery migration - up');
+
+    // Per-conversation sequence numbers and delivery state
+    await supabase.query(`
+      ALTER TABLE messages
+        ADD COLUMN IF NOT EXISTS conversation_key TEXT,
+        ADD COLUMN IF NOT EXISTS seq BIGINT,
+        ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'sent',
+        ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS read_at TIMESTAMP WITH TIME ZONE;
+
+      ALTER TABLE messages DROP CONSTRAINT IF EXISTS valid_message_status;
+      ALTER TABLE messages ADD CONSTRAINT valid_message_status CHECK (status IN ('sent', 'delivered', 'read'));
+
+      CREATE TABLE IF NOT EXISTS conversation_sequences (
+        conversation_key TEXT PRIMARY KEY,
+        last_seq BIGINT NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      ALTER TABLE conversation_sequences ENABLE ROW LEVEL SECURITY;
+    `);
+
+    // Backfill existing messages in creation order
+    await supabase.query(`
+      UPDATE messages SET conversation_key = CASE
+        WHEN group_id IS NOT NULL THEN 'group:' || group_id::text
+        ELSE 'dm:' || LEAST(sender_id, receiver_id)::text || ':' || GREATEST(sender_id, receiver_id)::text
+      END
+      WHERE conversation_key IS NULL;
+
+      UPDATE messages SET seq = numbered.seq
+      FROM (
+        SELECT id, ROW_NUMBER() OVER (PARTITION BY conversation_key ORDER BY created_at, id) AS seq
+        FROM messages
+      ) AS numbered
+      WHERE messages.id = numbered.id AND messages.seq IS NULL;
+
+      UPDATE messages SET status = 'read', read_at = COALESCE(read_at, updated_at)
+      WHERE is_read = true AND status <> 'read';
+
+      INSERT INTO conversation_sequences (conversation_key, last_seq)
+      SELECT conversation_key, MAX(seq) FROM messages GROUP BY conversation_key
+      ON CONFLICT (conversation_key) DO UPDATE SET last_seq = EXCLUDED.last_seq;
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_conversation_seq ON messages(conversation_key, seq);
+      CREATE INDEX IF NOT EXISTS idx_messages_receiver_status ON messages(receiver_id, status) WHERE status = 'sent';
+    `);
+
+    // Every insert gets the next sequence number of its conversation, whichever code path inserts it
+    await supabase.query(`
+      CREATE OR REPLACE FUNCTION assign_message_seq()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        NEW.conversation_key = CASE
+          WHEN NEW.group_id IS NOT NULL THEN 'group:' || NEW.group_id::text
+          ELSE 'dm:' || LEAST(NEW.sender_id, NEW.receiver_id)::text || ':' || GREATEST(NEW.sender_id, NEW.receiver_id)::text
+        END;
+
+        INSERT INTO conversation_sequences (conversation_key, last_seq, updated_at)
+        VALUES (NEW.conversation_key, 1, NOW())
+        ON CONFLICT (conversation_key)
+        DO UPDATE SET last_seq = conversation_sequences.last_seq + 1, updated_at = NOW()
+        RETURNING last_seq INTO NEW.seq;
+
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS assign_message_seq_trigger ON messages;
+      CREATE TRIGGER assign_message_seq_trigger
+      BEFORE INSERT ON messages
+      FOR EACH ROW
+      EXECUTE FUNCTION assign_message_seq();
+    `);
+
+    logger.info('Message delivery migration - up completed');
+  } catch (error) {
+    logger.error(`Message delivery migration - up failed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revert message delivery migration
+ */
+const down = async () => {
+  try {
+    logger.info('Running message delivery migration - down');
+
+    await supabase.query(`
+      DROP TRIGGER IF EXISTS assign_message_seq_trigger ON messages;
+      DROP FUNCTION IF EXISTS assign_message_seq();
+
+      DROP INDEX IF EXISTS idx_messages_receiver_status;
+      DROP INDEX IF EXISTS idx_messages_conversation_seq;
+      ALTER TABLE messages DROP CONSTRAINT IF EXISTS valid_message_status;
+      ALTER TABLE messages
+        DROP COLUMN IF EXISTS read_at,
+        DROP COLUMN IF EXISTS delivered_at,
+        DROP COLUMN IF EXISTS status,
+        DROP COLUMN IF EXISTS seq,
+        DROP COLUMN IF EXISTS conversation_key;
+
+      DROP TABLE IF EXISTS conversation_sequences;
+    `);
+
+    logger.info('Message delivery migration - down completed');
+  } catch (error) {
+    logger.error(`Message delivery migration - down failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  up,
+  down
+};
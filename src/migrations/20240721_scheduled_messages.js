@@ -0,0 +1,113 @@
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply scheduled and disappearing messages migration
+ */
+const up = async () => {
+  try {
+    logger.info('Running scheduled messages migration - up');
+
+    // Send-later messages wait here until the scheduler moves them into messages
+    await supabase.query(`
+      CREATE TABLE IF NOT EXISTS scheduled_messages (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        sender_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        receiver_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        content TEXT NOT NULL,
+        media_url TEXT,
+        ttl_seconds INTEGER,
+        deliver_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+        message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+        delivered_at TIMESTAMP WITH TIME ZONE,
+        -- When a scheduler claimed the message; stale claims are released again
+        claimed_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+        CONSTRAINT valid_scheduled_message_status CHECK (status IN ('scheduled', 'sending', 'delivered', 'cancelled', 'failed'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_scheduled_messages_due
+        ON scheduled_messages(deliver_at) WHERE status = 'scheduled';
+      CREATE INDEX IF NOT EXISTS idx_scheduled_messages_claimed
+        ON scheduled_messages(claimed_at) WHERE status = 'sending';
+      CREATE INDEX IF NOT EXISTS idx_scheduled_messages_sender ON scheduled_messages(sender_id, status);
+    `);
+
+    // Disappearing messages: the countdown starts when the receiver reads the message
+    await supabase.query(`
+      ALTER TABLE messages
+        ADD COLUMN IF NOT EXISTS ttl_seconds INTEGER,
+        ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+
+      CREATE INDEX IF NOT EXISTS idx_messages_expires_at ON messages(expires_at) WHERE expires_at IS NOT NULL;
+
+      CREATE OR REPLACE FUNCTION set_message_expiry()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        IF NEW.ttl_seconds IS NOT NULL AND NEW.expires_at IS NULL
+          AND (NEW.is_read = true OR NEW.status = 'read') THEN
+          NEW.expires_at = COALESCE(NEW.read_at, NOW()) + make_interval(secs => NEW.ttl_seconds);
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS set_message_expiry_trigger ON messages;
+      CREATE TRIGGER set_message_expiry_trigger
+      BEFORE UPDATE ON messages
+      FOR EACH ROW
+      EXECUTE FUNCTION set_message_expiry();
+    `);
+
+    // Enable Row Level Security
+    await supabase.query(`
+      ALTER TABLE scheduled_messages ENABLE ROW LEVEL SECURITY;
+
+      -- Senders can view their scheduled messages
+      CREATE POLICY "Senders can view their scheduled messages"
+        ON scheduled_messages
+        FOR SELECT
+        USING (sender_id = auth.uid());
+    `);
+
+    logger.info('Scheduled messages migration - up completed');
+  } catch (error) {
+    logger.error(`Scheduled messages migration - up failed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revert scheduled and disappearing messages migration
+ */
+const down = async () => {
+  try {
+    logger.info('Running scheduled messages migration - down');
+
+    await supabase.query(`
+      DROP TRIGGER IF EXISTS set_message_expiry_trigger ON messages;
+      DROP FUNCTION IF EXISTS set_message_expiry();
+
+      DROP INDEX IF EXISTS idx_messages_expires_at;
+      ALTER TABLE messages
+        DROP COLUMN IF EXISTS expires_at,
+        DROP COLUMN IF EXISTS ttl_seconds;
+
+      DROP POLICY IF EXISTS "Senders can view their scheduled messages" ON scheduled_messages;
+      DROP TABLE IF EXISTS scheduled_messages;
+    `);
+
+    logger.info('Scheduled messages migration - down completed');
+  } catch (error) {
+    logger.error(`Scheduled messages migration - down failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  up,
+  down
+};
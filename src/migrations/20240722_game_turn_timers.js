@@ -0,0 +1,52 @@
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply game turn timers migration
+ */
+const up = async () => {
+  try {
+    logger.info('Running game turn timers migration - up');
+
+    // Deadline of the current turn; the turn sweeper skips or forfeits turns past it
+    await supabase.query(`
+      ALTER TABLE game_instances
+        ADD COLUMN IF NOT EXISTS turn_expires_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS forfeited_by UUID REFERENCES users(id);
+
+      CREATE INDEX IF NOT EXISTS idx_game_instances_turn_expires
+        ON game_instances(turn_expires_at) WHERE status = 'active';
+    `);
+
+    logger.info('Game turn timers migration - up completed');
+  } catch (error) {
+    logger.error(`Game turn timers migration - up failed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revert game turn timers migration
+ */
+const down = async () => {
+  try {
+    logger.info('Running game turn timers migration - down');
+
+    await supabase.query(`
+      DROP INDEX IF EXISTS idx_game_instances_turn_expires;
+      ALTER TABLE game_instances
+        DROP COLUMN IF EXISTS forfeited_by,
+        DROP COLUMN IF EXISTS turn_expires_at;
+    `);
+
+    logger.info('Game turn timers migration - down completed');
+  } catch (error) {
+    logger.error(`Game turn timers migration - down failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,111 @@
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply game content packs migration
+ */
+const up = async () => {
+  try {
+    logger.info('Running game content packs migration - up');
+
+    // Imported question banks; item IDs are "<pack id>/<item key>" so they survive new pack versions
+    await supabase.query(`
+      CREATE TABLE IF NOT EXISTS game_content_packs (
+        id VARCHAR(64) PRIMARY KEY,
+        version INTEGER NOT NULL,
+        game_type VARCHAR(50) NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        locale VARCHAR(10) NOT NULL DEFAULT 'en',
+        enabled BOOLEAN NOT NULL DEFAULT true,
+        item_count INTEGER NOT NULL DEFAULT 0,
+        imported_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_game_content_packs_type ON game_content_packs(game_type) WHERE enabled = true;
+
+      CREATE TABLE IF NOT EXISTS game_content_items (
+        id VARCHAR(130) PRIMARY KEY,
+        pack_id VARCHAR(64) NOT NULL REFERENCES game_content_packs(id) ON DELETE CASCADE,
+        pack_version INTEGER NOT NULL,
+        item_key VARCHAR(64) NOT NULL,
+        game_type VARCHAR(50) NOT NULL,
+        category VARCHAR(50) NOT NULL DEFAULT 'general',
+        difficulty VARCHAR(10) NOT NULL DEFAULT 'medium',
+        locale VARCHAR(10) NOT NULL DEFAULT 'en',
+        content JSONB NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+        CONSTRAINT valid_content_difficulty CHECK (difficulty IN ('easy', 'medium', 'hard'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_game_content_items_pack ON game_content_items(pack_id, pack_version);
+      CREATE INDEX IF NOT EXISTS idx_game_content_items_sampling
+        ON game_content_items(game_type, locale, category, difficulty);
+    `);
+
+    // Content each pair of players has already seen, so it isn't repeated between them
+    await supabase.query(`
+      CREATE TABLE IF NOT EXISTS game_content_history (
+        user_low UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        user_high UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        item_id VARCHAR(130) NOT NULL,
+        game_type VARCHAR(50) NOT NULL,
+        game_instance_id UUID REFERENCES game_instances(id) ON DELETE SET NULL,
+        used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+        PRIMARY KEY (user_low, user_high, item_id),
+        CONSTRAINT ordered_content_pair CHECK (user_low < user_high)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_game_content_history_pair
+        ON game_content_history(user_low, user_high, game_type);
+    `);
+
+    // Enable Row Level Security (content is managed by admins through the API)
+    await supabase.query(`
+      ALTER TABLE game_content_packs ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE game_content_items ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE game_content_history ENABLE ROW LEVEL SECURITY;
+
+      -- Players can view their own content history
+      CREATE POLICY "Players can view their content history"
+        ON game_content_history
+        FOR SELECT
+        USING (user_low = auth.uid() OR user_high = auth.uid());
+    `);
+
+    logger.info('Game content packs migration - up completed');
+  } catch (error) {
+    logger.error(`Game content packs migration - up failed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revert game content packs migration
+ */
+const down = async () => {
+  try {
+    logger.info('Running game content packs migration - down');
+
+    await supabase.query(`
+      DROP POLICY IF EXISTS "Players can view their content history" ON game_content_history;
+      DROP TABLE IF EXISTS game_content_history;
+      DROP TABLE IF EXISTS game_content_items;
+      DROP TABLE IF EXISTS game_content_packs;
+    `);
+
+    logger.info('Game content packs migration - down completed');
+  } catch (error) {
+    logger.error(`Game content packs migration - down failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,263 @@
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply mini-game ratings and leaderboards migration
+ */
+const up = async () => {
+  try {
+    logger.info('Running game ratings migration - up');
+
+    // Elo rating and record of a player in one game type
+    await supabase.query(`
+      CREATE TABLE IF NOT EXISTS game_ratings (
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        game_type VARCHAR(50) NOT NULL,
+        rating INTEGER NOT NULL DEFAULT 1200,
+        peak_rating INTEGER NOT NULL DEFAULT 1200,
+        games_played INTEGER NOT NULL DEFAULT 0,
+        wins INTEGER NOT NULL DEFAULT 0,
+        losses INTEGER NOT NULL DEFAULT 0,
+        draws INTEGER NOT NULL DEFAULT 0,
+        current_streak INTEGER NOT NULL DEFAULT 0,
+        best_streak INTEGER NOT NULL DEFAULT 0,
+        last_played_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+        PRIMARY KEY (user_id, game_type)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_game_ratings_leaderboard ON game_ratings(game_type, rating DESC);
+
+      -- Lifetime record across all game types
+      CREATE TABLE IF NOT EXISTS game_player_stats (
+        user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        games_played INTEGER NOT NULL DEFAULT 0,
+        wins INTEGER NOT NULL DEFAULT 0,
+        losses INTEGER NOT NULL DEFAULT 0,
+        draws INTEGER NOT NULL DEFAULT 0,
+        current_streak INTEGER NOT NULL DEFAULT 0,
+        best_streak INTEGER NOT NULL DEFAULT 0,
+        last_played_at TIMESTAMP WITH TIME ZONE,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      -- One row per player of every rated game; a game is never rated twice
+      CREATE TABLE IF NOT EXISTS game_rating_events (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        game_instance_id UUID NOT NULL REFERENCES game_instances(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        opponent_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        game_type VARCHAR(50) NOT NULL,
+        result VARCHAR(10) NOT NULL,
+        rating_before INTEGER NOT NULL,
+        rating_after INTEGER NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+        CONSTRAINT unique_game_rating_event UNIQUE (game_instance_id, user_id),
+        CONSTRAINT valid_game_result CHECK (result IN ('win', 'loss', 'draw'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_game_rating_events_weekly ON game_rating_events(game_type, created_at);
+      CREATE INDEX IF NOT EXISTS idx_game_rating_events_user ON game_rating_events(user_id, created_at DESC);
+    `);
+
+    // Rates a finished game in one transaction: both rating rows are locked, so
+    // concurrent games of the same players apply one after the other
+    await supabase.query(`
+      CREATE OR REPLACE FUNCTION record_game_result(
+        p_game_instance_id UUID,
+        p_game_type VARCHAR,
+        p_player_a UUID,
+        p_player_b UUID,
+        p_score_a NUMERIC,
+        p_k_factor INTEGER DEFAULT 32
+      )
+      RETURNS SETOF game_rating_events AS $$
+      DECLARE
+        rating_a INTEGER;
+        rating_b INTEGER;
+        expected_a NUMERIC;
+        new_rating_a INTEGER;
+        new_rating_b INTEGER;
+        result_a VARCHAR;
+        result_b VARCHAR;
+      BEGIN
+        PERFORM pg_advisory_xact_lock(hashtext(p_game_instance_id::text));
+
+        IF EXISTS (SELECT 1 FROM game_rating_events WHERE game_instance_id = p_game_instance_id) THEN
+          RETURN;
+        END IF;
+
+        INSERT INTO game_ratings (user_id, game_type)
+        VALUES (p_player_a, p_game_type), (p_player_b, p_game_type)
+        ON CONFLICT (user_id, game_type) DO NOTHING;
+
+        -- Lock in a fixed order so two games of the same pair can't deadlock
+        PERFORM 1 FROM game_ratings
+        WHERE game_type = p_game_type AND user_id IN (p_player_a, p_player_b)
+        ORDER BY user_id
+        FOR UPDATE;
+
+        SELECT rating INTO rating_a FROM game_ratings WHERE user_id = p_player_a AND game_type = p_game_type;
+        SELECT rating INTO rating_b FROM game_ratings WHERE user_id = p_player_b AND game_type = p_game_type;
+
+        expected_a := 1 / (1 + power(10, (rating_b - rating_a) / 400.0));
+        new_rating_a := round(rating_a + p_k_factor * (p_score_a - expected_a));
+        new_rating_b := round(rating_b + p_k_factor * ((1 - p_score_a) - (1 - expected_a)));
+
+        result_a := CASE WHEN p_score_a = 1 THEN 'win' WHEN p_score_a = 0 THEN 'loss' ELSE 'draw' END;
+        result_b := CASE WHEN p_score_a = 1 THEN 'loss' WHEN p_score_a = 0 THEN 'win' ELSE 'draw' END;
+
+        UPDATE game_ratings AS ratings SET
+          rating = player.new_rating,
+          peak_rating = GREATEST(ratings.peak_rating, player.new_rating),
+          games_played = ratings.games_played + 1,
+          wins = ratings.wins + (player.result = 'win')::int,
+          losses = ratings.losses + (player.result = 'loss')::int,
+          draws = ratings.draws + (player.result = 'draw')::int,
+          current_streak = CASE WHEN player.result = 'win' THEN ratings.current_streak + 1 ELSE 0 END,
+          best_streak = GREATEST(ratings.best_streak,
+            CASE WHEN player.result = 'win' THEN ratings.current_streak + 1 ELSE 0 END),
+          last_played_at = NOW(),
+          updated_at = NOW()
+        FROM (VALUES (p_player_a, new_rating_a, result_a), (p_player_b, new_rating_b, result_b))
+          AS player(user_id, new_rating, result)
+        WHERE ratings.user_id = player.user_id AND ratings.game_type = p_game_type;
+
+        INSERT INTO game_player_stats AS stats
+          (user_id, games_played, wins, losses, draws, current_streak, best_streak, last_played_at, updated_at)
+        SELECT player.user_id, 1,
+          (player.result = 'win')::int, (player.result = 'loss')::int, (player.result = 'draw')::int,
+          (player.result = 'win')::int, (player.result = 'win')::int, NOW(), NOW()
+        FROM (VALUES (p_player_a, result_a), (p_player_b, result_b)) AS player(user_id, result)
+        ON CONFLICT (user_id) DO UPDATE SET
+          games_played = stats.games_played + 1,
+          wins = stats.wins + EXCLUDED.wins,
+          losses = stats.losses + EXCLUDED.losses,
+          draws = stats.draws + EXCLUDED.draws,
+          current_streak = CASE WHEN EXCLUDED.wins = 1 THEN stats.current_streak + 1 ELSE 0 END,
+          best_streak = GREATEST(stats.best_streak, CASE WHEN EXCLUDED.wins = 1 THEN stats.current_streak + 1 ELSE 0 END),
+          last_played_at = NOW(),
+          updated_at = NOW();
+
+        INSERT INTO game_rating_events
+          (game_instance_id, user_id, opponent_id, game_type, result, rating_before, rating_after)
+        VALUES
+          (p_game_instance_id, p_player_a, p_player_b, p_game_type, result_a, rating_a, new_rating_a),
+          (p_game_instance_id, p_player_b, p_player_a, p_game_type, result_b, rating_b, new_rating_b);
+
+        RETURN QUERY SELECT * FROM game_rating_events WHERE game_instance_id = p_game_instance_id;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    // Rating gained since a point in time, ranked; returns the top rows and the given user's row
+    await supabase.query(`
+      CREATE OR REPLACE FUNCTION get_weekly_game_leaderboard(
+        p_game_type VARCHAR,
+        p_since TIMESTAMP WITH TIME ZONE,
+        p_limit INTEGER,
+        p_user_id UUID DEFAULT NULL
+      )
+      RETURNS TABLE (
+        player_id UUID,
+        rating_change BIGINT,
+        games_played BIGINT,
+        wins BIGINT,
+        player_rank BIGINT
+      ) AS $$
+        SELECT ranked.* FROM (
+          SELECT
+            events.user_id,
+            SUM(events.rating_after - events.rating_before),
+            COUNT(*),
+            COUNT(*) FILTER (WHERE events.result = 'win'),
+            RANK() OVER (ORDER BY SUM(events.rating_after - events.rating_before) DESC)
+          FROM game_rating_events events
+          WHERE events.game_type = p_game_type AND events.created_at >= p_since
+          GROUP BY events.user_id
+        ) AS ranked(player_id, rating_change, games_played, wins, player_rank)
+        WHERE ranked.player_rank <= p_limit OR ranked.player_id = p_user_id
+        ORDER BY ranked.player_rank, ranked.wins DESC;
+      $$ LANGUAGE sql STABLE;
+    `);
+
+    // Rank-based achievements
+    await supabase.query(`
+      INSERT INTO achievements (name, description, badge_icon, badge_color, points, requirement_type, requirement_count, category)
+      SELECT achievement.* FROM (VALUES
+        ('Contender', 'Reach the top 100 of a mini-game leaderboard', 'podium', 'teal', 50, 'game_leaderboard_top_100', 1, 'games'),
+        ('Top Ten', 'Reach the top 10 of a mini-game leaderboard', 'medal', 'purple', 150, 'game_leaderboard_top_10', 1, 'games'),
+        ('Number One', 'Reach first place on a mini-game leaderboard', 'crown', 'gold', 300, 'game_leaderboard_first', 1, 'games')
+      ) AS achievement(name, description, badge_icon, badge_color, points, requirement_type, requirement_count, category)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM achievements WHERE achievements.requirement_type = achievement.requirement_type
+      );
+    `);
+
+    // Enable Row Level Security
+    await supabase.query(`
+      ALTER TABLE game_ratings ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE game_player_stats ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE game_rating_events ENABLE ROW LEVEL SECURITY;
+
+      -- Leaderboards are public to signed-in users
+      CREATE POLICY "Users can view game ratings"
+        ON game_ratings
+        FOR SELECT
+        USING (auth.uid() IS NOT NULL);
+
+      CREATE POLICY "Users can view game stats"
+        ON game_player_stats
+        FOR SELECT
+        USING (auth.uid() IS NOT NULL);
+
+      CREATE POLICY "Users can view their rating history"
+        ON game_rating_events
+        FOR SELECT
+        USING (user_id = auth.uid());
+    `);
+
+    logger.info('Game ratings migration - up completed');
+  } catch (error) {
+    logger.error(`Game ratings migration - up failed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revert mini-game ratings and leaderboards migration
+ */
+const down = async () => {
+  try {
+    logger.info('Running game ratings migration - down');
+
+    await supabase.query(`
+      DELETE FROM achievements
+      WHERE requirement_type IN ('game_leaderboard_top_100', 'game_leaderboard_top_10', 'game_leaderboard_first');
+
+      DROP FUNCTION IF EXISTS get_weekly_game_leaderboard(VARCHAR, TIMESTAMP WITH TIME ZONE, INTEGER, UUID);
+      DROP FUNCTION IF EXISTS record_game_result(UUID, VARCHAR, UUID, UUID, NUMERIC, INTEGER);
+
+      DROP POLICY IF EXISTS "Users can view their rating history" ON game_rating_events;
+      DROP POLICY IF EXISTS "Users can view game stats" ON game_player_stats;
+      DROP POLICY IF EXISTS "Users can view game ratings" ON game_ratings;
+
+      DROP TABLE IF EXISTS game_rating_events;
+      DROP TABLE IF EXISTS game_player_stats;
+      DROP TABLE IF EXISTS game_ratings;
+    `);
+
+    logger.info('Game ratings migration - down completed');
+  } catch (error) {
+    logger.error(`Game ratings migration - down failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,106 @@
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply game rematch and series migration
+ */
+const up = async () => {
+  try {
+    logger.info('Running game series migration - up');
+
+    // A best-of-N series; each of its games is a game_instances row
+    await supabase.query(`
+      CREATE TABLE IF NOT EXISTS game_series (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        game_id UUID NOT NULL REFERENCES mini_games(id),
+        conversation_id UUID NOT NULL,
+        initiator_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        responder_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        best_of INTEGER NOT NULL,
+        locale VARCHAR(10),
+        status VARCHAR(20) NOT NULL DEFAULT 'active',
+        wins JSONB NOT NULL DEFAULT '{}',
+        score JSONB NOT NULL DEFAULT '{}',
+        games_played INTEGER NOT NULL DEFAULT 0,
+        winner_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        completed_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+        CONSTRAINT valid_series_best_of CHECK (best_of IN (3, 5, 7)),
+        CONSTRAINT valid_series_status CHECK (status IN ('active', 'completed', 'cancelled'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_game_series_conversation ON game_series(conversation_id, created_at DESC);
+    `);
+
+    // Settings a rematch carries over, and the series a game belongs to
+    await supabase.query(`
+      ALTER TABLE game_instances
+        ADD COLUMN IF NOT EXISTS locale VARCHAR(10),
+        ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES game_series(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS series_game_number INTEGER,
+        ADD COLUMN IF NOT EXISTS rematch_of UUID REFERENCES game_instances(id) ON DELETE SET NULL;
+
+      -- Only one next game per series step and one rematch per game, even if both players ask at once
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_game_instances_series_game
+        ON game_instances(series_id, series_game_number) WHERE series_id IS NOT NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_game_instances_rematch
+        ON game_instances(rematch_of) WHERE rematch_of IS NOT NULL;
+
+      -- Invitations past expires_at are expired by the game sweep
+      CREATE INDEX IF NOT EXISTS idx_game_instances_pending_expiry
+        ON game_instances(expires_at) WHERE status = 'pending';
+    `);
+
+    // Enable Row Level Security
+    await supabase.query(`
+      ALTER TABLE game_series ENABLE ROW LEVEL SECURITY;
+
+      -- Players can view their series
+      CREATE POLICY "Players can view their game series"
+        ON game_series
+        FOR SELECT
+        USING (initiator_id = auth.uid() OR responder_id = auth.uid());
+    `);
+
+    logger.info('Game series migration - up completed');
+  } catch (error) {
+    logger.error(`Game series migration - up failed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revert game rematch and series migration
+ */
+const down = async () => {
+  try {
+    logger.info('Running game series migration - down');
+
+    await supabase.query(`
+      DROP INDEX IF EXISTS idx_game_instances_pending_expiry;
+      DROP INDEX IF EXISTS idx_game_instances_rematch;
+      DROP INDEX IF EXISTS idx_game_instances_series_game;
+
+      ALTER TABLE game_instances
+        DROP COLUMN IF EXISTS rematch_of,
+        DROP COLUMN IF EXISTS series_game_number,
+        DROP COLUMN IF EXISTS series_id,
+        DROP COLUMN IF EXISTS locale;
+
+      DROP POLICY IF EXISTS "Players can view their game series" ON game_series;
+      DROP TABLE IF EXISTS game_series;
+    `);
+
+    logger.info('Game series migration - down completed');
+  } catch (error) {
+    logger.error(`Game series migration - down failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  up,
+  down
+};
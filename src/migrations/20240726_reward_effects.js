@@ -0,0 +1,113 @@
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply wheel reward effects migration
+ */
+const up = async () => {
+  try {
+    logger.info('Running reward effects migration - up');
+
+    // What a claimed reward does in the product, and until when
+    await supabase.query(`
+      CREATE TABLE IF NOT EXISTS user_reward_effects (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        user_reward_id UUID NOT NULL REFERENCES user_rewards(id) ON DELETE CASCADE,
+        type VARCHAR(50) NOT NULL,
+        config JSONB NOT NULL DEFAULT '{}',
+        remaining INTEGER,
+        status VARCHAR(20) NOT NULL DEFAULT 'active',
+        starts_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        expires_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+        -- Claiming a reward twice can't stack its effects
+        CONSTRAINT unique_reward_effect UNIQUE (user_reward_id, type),
+        CONSTRAINT valid_reward_effect_status CHECK (status IN ('active', 'consumed', 'expired'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_user_reward_effects_active
+        ON user_reward_effects(type, user_id) WHERE status = 'active';
+      CREATE INDEX IF NOT EXISTS idx_user_reward_effects_expiry
+        ON user_reward_effects(expires_at) WHERE status = 'active';
+    `);
+
+    // Effects of the default rewards, configured in wheel_rewards.value.effects
+    await supabase.query(`
+      UPDATE wheel_rewards
+      SET value = value || '{"effects": [
+        {"type": "matchmaking_boost", "duration_hours": 24, "boost_percentage": 50},
+        {"type": "profile_spotlight", "duration_hours": 24}
+      ]}'::jsonb
+      WHERE type = 'profile_boost' AND NOT (value ? 'effects');
+
+      UPDATE wheel_rewards
+      SET value = value || '{"effects": [
+        {"type": "matchmaking_boost", "duration_hours": 24, "boost_percentage": 100}
+      ]}'::jsonb,
+        description = 'Get matched ahead of the queue for 24 hours'
+      WHERE type = 'extra_matches' AND NOT (value ? 'effects');
+
+      INSERT INTO wheel_rewards (name, type, description, value, probability)
+      SELECT reward.* FROM (VALUES
+        ('Bonus Spin', 'extra_spins', 'Spin the wheel one more time, even on cooldown',
+          '{"effects": [{"type": "extra_spins", "count": 1}]}'::jsonb, 8),
+        ('Spotlight', 'profile_spotlight', 'Be featured at the top of other users'' feeds for 24 hours',
+          '{"effects": [{"type": "profile_spotlight", "duration_hours": 24}]}'::jsonb, 6),
+        ('Lucky Badge', 'profile_badge', 'Show a golden wheel badge on your profile for 7 days',
+          '{"effects": [{"type": "profile_badge", "duration_hours": 168, "badge": "golden_wheel"}]}'::jsonb, 6)
+      ) AS reward(name, type, description, value, probability)
+      WHERE NOT EXISTS (SELECT 1 FROM wheel_rewards WHERE wheel_rewards.type = reward.type);
+    `);
+
+    // Enable Row Level Security
+    await supabase.query(`
+      ALTER TABLE user_reward_effects ENABLE ROW LEVEL SECURITY;
+
+      -- Users can view their own reward effects
+      CREATE POLICY "Users can view their own reward effects"
+        ON user_reward_effects
+        FOR SELECT
+        USING (user_id = auth.uid());
+    `);
+
+    logger.info('Reward effects migration - up completed');
+  } catch (error) {
+    logger.error(`Reward effects migration - up failed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revert wheel reward effects migration
+ */
+const down = async () => {
+  try {
+    logger.info('Running reward effects migration - down');
+
+    await supabase.query(`
+      DROP POLICY IF EXISTS "Users can view their own reward effects" ON user_reward_effects;
+      DROP TABLE IF EXISTS user_reward_effects;
+
+      DELETE FROM wheel_rewards WHERE type IN ('extra_spins', 'profile_spotlight', 'profile_badge');
+
+      UPDATE wheel_rewards
+      SET description = 'Get 5 additional daily matches'
+      WHERE type = 'extra_matches';
+
+      UPDATE wheel_rewards SET value = value - 'effects' WHERE value ? 'effects';
+    `);
+
+    logger.info('Reward effects migration - down completed');
+  } catch (error) {
+    logger.error(`Reward effects migration - down failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,86 @@
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply provably-fair wheel migration
+ */
+const up = async () => {
+  try {
+    logger.info('Running wheel fairness migration - up');
+
+    // The server seed of each user's next spin; only its hash is ever shown before the spin
+    await supabase.query(`
+      CREATE TABLE IF NOT EXISTS wheel_seed_commitments (
+        user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        server_seed VARCHAR(64) NOT NULL,
+        server_seed_hash VARCHAR(64) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+
+    // Audit log of every spin, with everything needed to recompute its outcome
+    await supabase.query(`
+      CREATE TABLE IF NOT EXISTS wheel_spins (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        reward_id UUID REFERENCES wheel_rewards(id) ON DELETE SET NULL,
+        user_reward_id UUID REFERENCES user_rewards(id) ON DELETE SET NULL,
+        server_seed VARCHAR(64) NOT NULL,
+        server_seed_hash VARCHAR(64) NOT NULL,
+        client_seed VARCHAR(64) NOT NULL,
+        roll NUMERIC NOT NULL,
+        reward_table JSONB NOT NULL,
+        used_extra_spin BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_wheel_spins_user ON wheel_spins(user_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_wheel_spins_created ON wheel_spins(created_at);
+    `);
+
+    // Enable Row Level Security
+    await supabase.query(`
+      ALTER TABLE wheel_seed_commitments ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE wheel_spins ENABLE ROW LEVEL SECURITY;
+
+      -- Unrevealed server seeds are read by the server only, so wheel_seed_commitments has no policies
+
+      -- Users can view their own spins
+      CREATE POLICY "Users can view their own wheel spins"
+        ON wheel_spins
+        FOR SELECT
+        USING (user_id = auth.uid());
+    `);
+
+    logger.info('Wheel fairness migration - up completed');
+  } catch (error) {
+    logger.error(`Wheel fairness migration - up failed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revert provably-fair wheel migration
+ */
+const down = async () => {
+  try {
+    logger.info('Running wheel fairness migration - down');
+
+    await supabase.query(`
+      DROP POLICY IF EXISTS "Users can view their own wheel spins" ON wheel_spins;
+      DROP TABLE IF EXISTS wheel_spins;
+      DROP TABLE IF EXISTS wheel_seed_commitments;
+    `);
+
+    logger.info('Wheel fairness migration - down completed');
+  } catch (error) {
+    logger.error(`Wheel fairness migration - down failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  up,
+  down
+};
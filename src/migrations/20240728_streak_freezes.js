@@ -0,0 +1,132 @@
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply streak freezes and repair migration
+ */
+const up = async () => {
+  try {
+    logger.info('Running streak freezes migration - up');
+
+    // Freezes each user has earned; one is used up for every day a streak would have been lost
+    await supabase.query(`
+      CREATE TABLE IF NOT EXISTS streak_freezes (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        source VARCHAR(20) NOT NULL,
+        source_id VARCHAR(100) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'available',
+        used_conversation_id UUID,
+        earned_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        used_at TIMESTAMP WITH TIME ZONE,
+
+        -- A reward or milestone grants its freezes once
+        CONSTRAINT unique_streak_freeze_source UNIQUE (user_id, source, source_id),
+        CONSTRAINT valid_streak_freeze_source CHECK (source IN ('wheel_reward', 'milestone')),
+        CONSTRAINT valid_streak_freeze_status CHECK (status IN ('available', 'used'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_streak_freezes_available
+        ON streak_freezes(user_id, earned_at) WHERE status = 'available';
+    `);
+
+    // How long a streak is protected by freezes, and the repair window after it breaks
+    await supabase.query(`
+      ALTER TABLE conversation_streaks
+        ADD COLUMN IF NOT EXISTS frozen_until TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS repairable_streak INTEGER,
+        ADD COLUMN IF NOT EXISTS repair_until TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS last_repaired_at TIMESTAMP WITH TIME ZONE;
+    `);
+
+    // History of freezes, repairs and resets of each streak
+    await supabase.query(`
+      CREATE TABLE IF NOT EXISTS streak_events (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        streak_id UUID NOT NULL REFERENCES conversation_streaks(id) ON DELETE CASCADE,
+        conversation_id UUID NOT NULL,
+        type VARCHAR(20) NOT NULL,
+        user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        streak_count INTEGER NOT NULL,
+        details JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+        CONSTRAINT valid_streak_event_type CHECK (type IN ('freeze', 'repair', 'reset'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_streak_events_conversation
+        ON streak_events(conversation_id, created_at DESC);
+    `);
+
+    // Streak freezes can be won on the wheel
+    await supabase.query(`
+      INSERT INTO wheel_rewards (name, type, description, value, probability)
+      SELECT 'Streak Freeze', 'streak_freeze', 'Keeps a conversation streak alive through one missed day', '{"count": 1}'::jsonb, 8
+      WHERE NOT EXISTS (SELECT 1 FROM wheel_rewards WHERE type = 'streak_freeze');
+    `);
+
+    // Enable Row Level Security
+    await supabase.query(`
+      ALTER TABLE streak_freezes ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE streak_events ENABLE ROW LEVEL SECURITY;
+
+      -- Users can view their own streak freezes
+      CREATE POLICY "Users can view their own streak freezes"
+        ON streak_freezes
+        FOR SELECT
+        USING (user_id = auth.uid());
+
+      -- Users can view the events of their streaks
+      CREATE POLICY "Users can view their own streak events"
+        ON streak_events
+        FOR SELECT
+        USING (
+          EXISTS (
+            SELECT 1 FROM conversation_streaks
+            WHERE conversation_streaks.id = streak_events.streak_id
+            AND (conversation_streaks.user1_id = auth.uid() OR conversation_streaks.user2_id = auth.uid())
+          )
+        );
+    `);
+
+    logger.info('Streak freezes migration - up completed');
+  } catch (error) {
+    logger.error(`Streak freezes migration - up failed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revert streak freezes and repair migration
+ */
+const down = async () => {
+  try {
+    logger.info('Running streak freezes migration - down');
+
+    await supabase.query(`
+      DELETE FROM wheel_rewards WHERE type = 'streak_freeze';
+
+      DROP POLICY IF EXISTS "Users can view their own streak events" ON streak_events;
+      DROP TABLE IF EXISTS streak_events;
+
+      ALTER TABLE conversation_streaks
+        DROP COLUMN IF EXISTS last_repaired_at,
+        DROP COLUMN IF EXISTS repair_until,
+        DROP COLUMN IF EXISTS repairable_streak,
+        DROP COLUMN IF EXISTS frozen_until;
+
+      DROP POLICY IF EXISTS "Users can view their own streak freezes" ON streak_freezes;
+      DROP TABLE IF EXISTS streak_freezes;
+    `);
+
+    logger.info('Streak freezes migration - down completed');
+  } catch (error) {
+    logger.error(`Streak freezes migration - down failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  up,
+  down
+};
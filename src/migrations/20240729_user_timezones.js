@@ -0,0 +1,75 @@
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply user timezones and quiet hours migration
+ */
+const up = async () => {
+  try {
+    logger.info('Running user timezones migration - up');
+
+    // Where each user lives, which decides where streak days begin, and when not to notify them
+    await supabase.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+        ADD COLUMN IF NOT EXISTS quiet_hours_enabled BOOLEAN NOT NULL DEFAULT true,
+        ADD COLUMN IF NOT EXISTS quiet_hours_start VARCHAR(5) NOT NULL DEFAULT '22:00',
+        ADD COLUMN IF NOT EXISTS quiet_hours_end VARCHAR(5) NOT NULL DEFAULT '08:00';
+    `);
+
+    // Scheduled notifications held back until the user's quiet hours end
+    await supabase.query(`
+      CREATE TABLE IF NOT EXISTS deferred_notifications (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        notification JSONB NOT NULL,
+        deliver_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        expires_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_deferred_notifications_deliver_at ON deferred_notifications(deliver_at);
+    `);
+
+    // Enable Row Level Security
+    await supabase.query(`
+      ALTER TABLE deferred_notifications ENABLE ROW LEVEL SECURITY;
+
+      -- Deferred notifications are only read by the server until they are delivered, so there are no policies
+    `);
+
+    logger.info('User timezones migration - up completed');
+  } catch (error) {
+    logger.error(`User timezones migration - up failed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revert user timezones and quiet hours migration
+ */
+const down = async () => {
+  try {
+    logger.info('Running user timezones migration - down');
+
+    await supabase.query(`
+      DROP TABLE IF EXISTS deferred_notifications;
+
+      ALTER TABLE users
+        DROP COLUMN IF EXISTS quiet_hours_end,
+        DROP COLUMN IF EXISTS quiet_hours_start,
+        DROP COLUMN IF EXISTS quiet_hours_enabled,
+        DROP COLUMN IF EXISTS timezone;
+    `);
+
+    logger.info('User timezones migration - down completed');
+  } catch (error) {
+    logger.error(`User timezones migration - down failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  up,
+  down
+};
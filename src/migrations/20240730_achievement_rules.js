@@ -0,0 +1,136 @@
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply achievement rules migration
+ */
+const up = async () => {
+  try {
+    logger.info('Running achievement rules migration - up');
+
+    // Achievements are defined as data: the event that feeds them, how its payloads add up, and tiers
+    await supabase.query(`
+      ALTER TABLE achievements
+        ADD COLUMN IF NOT EXISTS key VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS event_type VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS rule JSONB NOT NULL DEFAULT '{"aggregate": "count"}',
+        ADD COLUMN IF NOT EXISTS tiers JSONB NOT NULL DEFAULT '[]',
+        ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE;
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_achievements_key ON achievements(key);
+      CREATE INDEX IF NOT EXISTS idx_achievements_event_type ON achievements(event_type) WHERE is_active;
+    `);
+
+    // Tiers reached, points earned, the current counting window and the distinct values seen
+    await supabase.query(`
+      ALTER TABLE user_achievements
+        ADD COLUMN IF NOT EXISTS tier INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS points_earned INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS window_started_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS distinct_values JSONB NOT NULL DEFAULT '[]',
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+      UPDATE user_achievements
+      SET tier = 1, points_earned = achievements.points
+      FROM achievements
+      WHERE achievements.id = user_achievements.achievement_id
+        AND user_achievements.completed = true
+        AND user_achievements.tier = 0;
+    `);
+
+    // Turn the existing achievements into rules with a single tier
+    await supabase.query(`
+      UPDATE achievements
+      SET key = rules.key,
+        event_type = rules.event_type,
+        rule = rules.rule::jsonb,
+        tiers = jsonb_build_array(jsonb_build_object('threshold', achievements.requirement_count, 'points', achievements.points))
+      FROM (VALUES
+        ('profile_completion', 'profile_perfectionist', 'profile.updated', '{"aggregate": "max", "field": "completion"}'),
+        ('conversations_started', 'conversation_starter', 'message.sent', '{"aggregate": "distinct", "field": "receiverId"}'),
+        ('matches', 'social_butterfly', 'match.accepted', '{"aggregate": "count"}'),
+        ('daily_matches', 'speed_dater', 'match.accepted', '{"aggregate": "count", "window_hours": 24}'),
+        ('conversation_streak', 'streak_master', 'streak.milestone', '{"aggregate": "max", "field": "streakDays"}'),
+        ('profile_pictures', 'photo_maven', 'profile.updated', '{"aggregate": "max", "field": "pictureCount"}'),
+        ('voice_bio', 'voice_virtuoso', 'profile.updated', '{"aggregate": "max", "field": "hasVoiceBio"}'),
+        ('verified', 'verified_user', 'verification.approved', '{"aggregate": "count"}'),
+        ('early_adopter', 'early_adopter', 'user.registered', '{"aggregate": "count", "where": {"createdAt": {"lte": "2024-01-31T00:00:00.000Z"}}}'),
+        ('login_streak', 'daily_logger', NULL, '{"aggregate": "count"}'),
+        ('game_leaderboard_top_100', 'game_leaderboard_top_100', 'game.ranked', '{"aggregate": "min", "field": "rank"}'),
+        ('game_leaderboard_top_10', 'game_leaderboard_top_10', 'game.ranked', '{"aggregate": "min", "field": "rank"}'),
+        ('game_leaderboard_first', 'game_leaderboard_first', 'game.ranked', '{"aggregate": "min", "field": "rank"}')
+      ) AS rules(requirement_type, key, event_type, rule)
+      WHERE achievements.requirement_type = rules.requirement_type
+        AND achievements.key IS NULL;
+
+      -- Leaderboard achievements count places rather than games
+      UPDATE achievements
+      SET tiers = jsonb_build_array(jsonb_build_object('threshold',
+        CASE key WHEN 'game_leaderboard_top_100' THEN 100 WHEN 'game_leaderboard_top_10' THEN 10 ELSE 1 END, 'points', points))
+      WHERE key IN ('game_leaderboard_top_100', 'game_leaderboard_top_10', 'game_leaderboard_first');
+    `);
+
+    // Tiered achievements for messaging and mini-games
+    await supabase.query(`
+      INSERT INTO achievements (key, name, description, badge_icon, badge_color, points, requirement_type, requirement_count, category, event_type, rule, tiers)
+      SELECT achievement.key, achievement.name, achievement.description, achievement.badge_icon, achievement.badge_color,
+        achievement.points, achievement.key, 1, achievement.category, achievement.event_type, achievement.rule::jsonb, achievement.tiers::jsonb
+      FROM (VALUES
+        ('messenger', 'Messenger', 'Send messages to your matches and groups', 'envelope', 'blue', 60, 'messaging', 'message.sent', '{"aggregate": "count"}',
+          '[{"name": "bronze", "threshold": 1, "points": 5}, {"name": "silver", "threshold": 100, "points": 20}, {"name": "gold", "threshold": 1000, "points": 35}]'),
+        ('game_player', 'Game Player', 'Finish mini-games', 'gamepad', 'green', 85, 'games', 'game.completed', '{"aggregate": "count"}',
+          '[{"name": "bronze", "threshold": 1, "points": 10}, {"name": "silver", "threshold": 5, "points": 25}, {"name": "gold", "threshold": 20, "points": 50}]'),
+        ('game_winner', 'Game Winner', 'Win mini-games', 'trophy', 'gold', 130, 'games', 'game.won', '{"aggregate": "count"}',
+          '[{"name": "bronze", "threshold": 1, "points": 15}, {"name": "silver", "threshold": 5, "points": 40}, {"name": "gold", "threshold": 15, "points": 75}]')
+      ) AS achievement(key, name, description, badge_icon, badge_color, points, category, event_type, rule, tiers)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM achievements WHERE achievements.key = achievement.key
+      );
+    `);
+
+    logger.info('Achievement rules migration - up completed');
+  } catch (error) {
+    logger.error(`Achievement rules migration - up failed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revert achievement rules migration
+ */
+const down = async () => {
+  try {
+    logger.info('Running achievement rules migration - down');
+
+    await supabase.query(`
+      DELETE FROM achievements WHERE key IN ('messenger', 'game_player', 'game_winner');
+
+      ALTER TABLE user_achievements
+        DROP COLUMN IF EXISTS updated_at,
+        DROP COLUMN IF EXISTS distinct_values,
+        DROP COLUMN IF EXISTS window_started_at,
+        DROP COLUMN IF EXISTS points_earned,
+        DROP COLUMN IF EXISTS tier;
+
+      DROP INDEX IF EXISTS idx_achievements_event_type;
+      DROP INDEX IF EXISTS idx_achievements_key;
+
+      ALTER TABLE achievements
+        DROP COLUMN IF EXISTS is_active,
+        DROP COLUMN IF EXISTS tiers,
+        DROP COLUMN IF EXISTS rule,
+        DROP COLUMN IF EXISTS event_type,
+        DROP COLUMN IF EXISTS key;
+    `);
+
+    logger.info('Achievement rules migration - down completed');
+  } catch (error) {
+    logger.error(`Achievement rules migration - down failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,111 @@
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply moderation policies migration
+ */
+const up = async () => {
+  try {
+    logger.info('Running moderation policies migration - up');
+
+    // Policies checked before content is sent, and what happens when one matches
+    await supabase.query(`
+      CREATE TABLE IF NOT EXISTS moderation_policies (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        key VARCHAR(100) NOT NULL UNIQUE,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        detector VARCHAR(20) NOT NULL CHECK (detector IN ('keyword', 'regex', 'url', 'phone', 'spam', 'ai')),
+        config JSONB NOT NULL DEFAULT '{}',
+        action VARCHAR(10) NOT NULL CHECK (action IN ('block', 'blur', 'flag')),
+        surfaces JSONB NOT NULL DEFAULT '["message", "comment", "post"]',
+        warning TEXT,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_moderation_policies_active ON moderation_policies(is_active);
+    `);
+
+    // Content that matched a policy, for admins to review
+    await supabase.query(`
+      CREATE TABLE IF NOT EXISTS moderation_flags (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        policy_id UUID REFERENCES moderation_policies(id) ON DELETE SET NULL,
+        policy_key VARCHAR(100) NOT NULL,
+        surface VARCHAR(20) NOT NULL,
+        content_id UUID,
+        content_excerpt TEXT,
+        action VARCHAR(10) NOT NULL,
+        details JSONB NOT NULL DEFAULT '{}',
+        reviewed_at TIMESTAMP WITH TIME ZONE,
+        reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_moderation_flags_created ON moderation_flags(created_at DESC, id DESC);
+      CREATE INDEX IF NOT EXISTS idx_moderation_flags_unreviewed ON moderation_flags(created_at DESC) WHERE reviewed_at IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_moderation_flags_user ON moderation_flags(user_id, created_at DESC);
+    `);
+
+    // Blurred content carries its warning, so clients can hide it behind a tap
+    await supabase.query(`
+      ALTER TABLE messages ADD COLUMN IF NOT EXISTS moderation JSONB;
+      ALTER TABLE scheduled_messages ADD COLUMN IF NOT EXISTS moderation JSONB;
+      ALTER TABLE posts ADD COLUMN IF NOT EXISTS moderation JSONB;
+      ALTER TABLE comments ADD COLUMN IF NOT EXISTS moderation JSONB;
+    `);
+
+    // Starting policies; the AI policy stays off until a provider is configured
+    await supabase.query(`
+      INSERT INTO moderation_policies (key, name, description, detector, config, action, surfaces, warning, is_active)
+      VALUES
+        ('repeated_spam', 'Repeated messages', 'The same text sent several times in a short time', 'spam',
+          '{"maxRepeats": 3, "windowSeconds": 60}', 'block', '["message", "comment", "post"]', NULL, TRUE),
+        ('phone_numbers', 'Phone numbers', 'Sharing phone numbers before people know each other', 'phone',
+          '{}', 'blur', '["message", "comment", "post"]', 'This message contains a phone number. Only share contact details with people you trust.', TRUE),
+        ('links', 'Links', 'Links to other sites', 'url',
+          '{"allowDomains": []}', 'flag', '["message", "comment", "post"]', NULL, TRUE),
+        ('ai_harmful_content', 'Harmful content (AI)', 'Content the AI moderation provider classifies as inappropriate', 'ai',
+          '{"minConfidence": 0.85, "timeoutMs": 1500}', 'blur', '["message", "comment", "post"]', 'This content may be offensive.', FALSE)
+      ON CONFLICT (key) DO NOTHING;
+    `);
+
+    logger.info('Moderation policies migration - up completed');
+  } catch (error) {
+    logger.error(`Moderation policies migration - up failed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revert moderation policies migration
+ */
+const down = async () => {
+  try {
+    logger.info('Running moderation policies migration - down');
+
+    await supabase.query(`
+      ALTER TABLE comments DROP COLUMN IF EXISTS moderation;
+      ALTER TABLE posts DROP COLUMN IF EXISTS moderation;
+      ALTER TABLE scheduled_messages DROP COLUMN IF EXISTS moderation;
+      ALTER TABLE messages DROP COLUMN IF EXISTS moderation;
+
+      DROP TABLE IF EXISTS moderation_flags;
+      DROP TABLE IF EXISTS moderation_policies;
+    `);
+
+    logger.info('Moderation policies migration - down completed');
+  } catch (error) {
+    logger.error(`Moderation policies migration - down failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,108 @@
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply enforcement ladder migration
+ */
+const up = async () => {
+  try {
+    logger.info('Running enforcement ladder migration - up');
+
+    // Strikes count towards the ladder until they expire or are revoked
+    await supabase.query(`
+      CREATE TABLE IF NOT EXISTS user_strikes (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        points INTEGER NOT NULL DEFAULT 1 CHECK (points BETWEEN 1 AND 10),
+        reason TEXT NOT NULL,
+        source VARCHAR(20) NOT NULL CHECK (source IN ('report', 'moderation', 'admin')),
+        source_id UUID,
+        issued_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        revoked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        revoke_reason TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_user_strikes_user ON user_strikes(user_id, expires_at DESC);
+    `);
+
+    // Warnings, restrictions, suspensions and bans; ends_at is NULL for bans and warnings
+    await supabase.query(`
+      CREATE TABLE IF NOT EXISTS user_enforcements (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        strike_id UUID REFERENCES user_strikes(id) ON DELETE SET NULL,
+        action VARCHAR(20) NOT NULL CHECK (action IN ('warning', 'restriction', 'suspension', 'ban')),
+        restrictions JSONB NOT NULL DEFAULT '[]',
+        reason TEXT NOT NULL,
+        issued_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        starts_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        ends_at TIMESTAMP WITH TIME ZONE,
+        ended_notified_at TIMESTAMP WITH TIME ZONE,
+        lifted_at TIMESTAMP WITH TIME ZONE,
+        lifted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        lift_reason TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_user_enforcements_user ON user_enforcements(user_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_user_enforcements_ending ON user_enforcements(ends_at)
+        WHERE lifted_at IS NULL AND ended_notified_at IS NULL AND ends_at IS NOT NULL;
+    `);
+
+    // Audit log of admin and automated actions on users
+    await supabase.query(`
+      CREATE TABLE IF NOT EXISTS admin_activities (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        admin_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        activity_type VARCHAR(50) NOT NULL,
+        description TEXT,
+        target_id UUID,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      ALTER TABLE admin_activities ADD COLUMN IF NOT EXISTS details JSONB;
+      CREATE INDEX IF NOT EXISTS idx_admin_activities_target ON admin_activities(target_id, created_at DESC);
+    `);
+
+    // users.is_banned mirrors the active suspension or ban, for existing admin views
+    await supabase.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS ban_until TIMESTAMP WITH TIME ZONE;
+    `);
+
+    logger.info('Enforcement ladder migration - up completed');
+  } catch (error) {
+    logger.error(`Enforcement ladder migration - up failed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revert enforcement ladder migration
+ * admin_activities and users.ban_until predate the ladder and are kept
+ */
+const down = async () => {
+  try {
+    logger.info('Running enforcement ladder migration - down');
+
+    await supabase.query(`
+      DROP INDEX IF EXISTS idx_admin_activities_target;
+      ALTER TABLE admin_activities DROP COLUMN IF EXISTS details;
+
+      DROP TABLE IF EXISTS user_enforcements;
+      DROP TABLE IF EXISTS user_strikes;
+    `);
+
+    logger.info('Enforcement ladder migration - down completed');
+  } catch (error) {
+    logger.error(`Enforcement ladder migration - down failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,72 @@
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply moderation appeals migration
+ */
+const up = async () => {
+  try {
+    logger.info('Running moderation appeals migration - up');
+
+    // Messages removed by moderation are hidden from both participants instead of deleted,
+    // so an approved appeal can restore them; removal keeps the flags to put back
+    await supabase.query(`
+      ALTER TABLE messages ADD COLUMN IF NOT EXISTS removal JSONB;
+    `);
+
+    // A user's appeal against a report outcome or an enforcement action
+    await supabase.query(`
+      CREATE TABLE IF NOT EXISTS moderation_appeals (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        report_id UUID REFERENCES reports(id) ON DELETE SET NULL,
+        enforcement_id UUID REFERENCES user_enforcements(id) ON DELETE SET NULL,
+        reason TEXT NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'in_review', 'deciding', 'approved', 'denied')),
+        assigned_to UUID REFERENCES users(id) ON DELETE SET NULL,
+        assigned_at TIMESTAMP WITH TIME ZONE,
+        decided_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        decided_at TIMESTAMP WITH TIME ZONE,
+        decision_note TEXT,
+        reversal JSONB,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        CHECK ((report_id IS NULL) <> (enforcement_id IS NULL))
+      );
+
+      -- One appeal per decision
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_moderation_appeals_report ON moderation_appeals(user_id, report_id) WHERE report_id IS NOT NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_moderation_appeals_enforcement ON moderation_appeals(user_id, enforcement_id) WHERE enforcement_id IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_moderation_appeals_queue ON moderation_appeals(status, created_at DESC, id DESC);
+    `);
+
+    logger.info('Moderation appeals migration - up completed');
+  } catch (error) {
+    logger.error(`Moderation appeals migration - up failed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revert moderation appeals migration
+ */
+const down = async () => {
+  try {
+    logger.info('Running moderation appeals migration - down');
+
+    await supabase.query(`
+      DROP TABLE IF EXISTS moderation_appeals;
+      ALTER TABLE messages DROP COLUMN IF EXISTS removal;
+    `);
+
+    logger.info('Moderation appeals migration - down completed');
+  } catch (error) {
+    logger.error(`Moderation appeals migration - down failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  up,
+  down
+};
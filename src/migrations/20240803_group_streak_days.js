@@ -0,0 +1,49 @@
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Apply group streak days migration
+ */
+const up = async () => {
+  try {
+    logger.info('Running group streak days migration - up');
+
+    // The UTC day that last counted towards the streak, so days are compared on the
+    // calendar rather than from the last message, which every message moves
+    await supabase.query(`
+      ALTER TABLE group_streaks ADD COLUMN IF NOT EXISTS last_counted_day DATE;
+
+      UPDATE group_streaks
+        SET last_counted_day = (last_message_at AT TIME ZONE 'UTC')::date
+        WHERE last_counted_day IS NULL;
+    `);
+
+    logger.info('Group streak days migration - up completed');
+  } catch (error) {
+    logger.error(`Group streak days migration - up failed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revert group streak days migration
+ */
+const down = async () => {
+  try {
+    logger.info('Running group streak days migration - down');
+
+    await supabase.query(`
+      ALTER TABLE group_streaks DROP COLUMN IF EXISTS last_counted_day;
+    `);
+
+    logger.info('Group streak days migration - down completed');
+  } catch (error) {
+    logger.error(`Group streak days migration - down failed: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  up,
+  down
+};
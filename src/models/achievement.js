@@ -0,0 +1,149 @@
+const Joi = require('joi');
+const { EVENTS } = require('../services/eventBus');
+
+const ACHIEVEMENT_AGGREGATES = ['count', 'distinct', 'max', 'min', 'latest'];
+const WHERE_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in'];
+const MAX_TIERS = 10;
+const MAX_WINDOW_HOURS = 24 * 365;
+const MAX_BACKFILL_BATCH = 500;
+
+/**
+ * Payload fields achievement rules can use, by event type
+ */
+const ACHIEVEMENT_EVENT_FIELDS = {
+  [EVENTS.MESSAGE_SENT]: ['receiverId', 'groupId', 'hasMedia'],
+  [EVENTS.MATCH_ACCEPTED]: ['matchId', 'otherUserId', 'compatibilityScore'],
+  [EVENTS.GAME_COMPLETED]: ['gameInstanceId', 'gameType', 'opponentId'],
+  [EVENTS.GAME_WON]: ['gameInstanceId', 'gameType', 'opponentId'],
+  [EVENTS.GAME_RANKED]: ['gameType', 'rank'],
+  [EVENTS.STREAK_MILESTONE]: ['conversationId', 'streakDays'],
+  [EVENTS.VERIFICATION_APPROVED]: ['verificationId'],
+  [EVENTS.PROFILE_UPDATED]: ['completion', 'hasVoiceBio', 'pictureCount'],
+  [EVENTS.USER_REGISTERED]: ['createdAt']
+};
+
+const scalar = Joi.alternatives().try(Joi.string().max(200), Joi.number(), Joi.boolean());
+
+// A value to equal, a list of values, or comparisons such as { gte: 5 }
+const condition = Joi.alternatives().try(
+  scalar,
+  Joi.array().items(scalar).min(1),
+  Joi.object(Object.fromEntries(WHERE_OPERATORS.map(operator => [
+    operator,
+    operator === 'in' ? Joi.array().items(scalar).min(1) : scalar
+  ]))).min(1)
+);
+
+const ruleSchema = Joi.object({
+  aggregate: Joi.string().valid(...ACHIEVEMENT_AGGREGATES).default('count'),
+  field: Joi.when('aggregate', {
+    is: 'count',
+    then: Joi.forbidden(),
+    otherwise: Joi.string().required()
+  }),
+  where: Joi.object().pattern(Joi.string(), condition),
+  window_hours: Joi.when('aggregate', {
+    is: 'count',
+    then: Joi.number().integer().min(1).max(MAX_WINDOW_HOURS),
+    otherwise: Joi.forbidden()
+  })
+});
+
+const tierSchema = Joi.object({
+  name: Joi.string().trim().max(30),
+  threshold: Joi.number().integer().min(0).required(),
+  points: Joi.number().integer().min(0).default(0)
+});
+
+const achievementFields = {
+  key: Joi.string().pattern(/^[a-z0-9_]+$/).max(100),
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().min(1).max(500),
+  badge_icon: Joi.string().trim().min(1).max(255),
+  badge_color: Joi.string().trim().min(1).max(50),
+  category: Joi.string().trim().min(1).max(50),
+  event_type: Joi.string().valid(...Object.values(EVENTS)),
+  rule: ruleSchema,
+  tiers: Joi.array().items(tierSchema).min(1).max(MAX_TIERS),
+  is_active: Joi.boolean()
+};
+
+/**
+ * Rule fields must be ones the event carries, and each tier must be harder than the last
+ * (a higher threshold, or a lower one for 'min' rules such as leaderboard ranks)
+ */
+const checkAchievementRule = (achievement, helpers) => {
+  const fields = ACHIEVEMENT_EVENT_FIELDS[achievement.event_type];
+  const { rule, tiers } = achievement;
+
+  const unknownField = [rule.field, ...Object.keys(rule.where || {})]
+    .find(field => field !== undefined && !fields.includes(field));
+  if (unknownField) {
+    return helpers.message(`${achievement.event_type} events have no field "${unknownField}"; use one of: ${fields.join(', ') || 'none'}`);
+  }
+
+  const harder = rule.aggregate === 'min'
+    ? (tier, index) => index === 0 || tier.threshold < tiers[index - 1].threshold
+    : (tier, index) => index === 0 || tier.threshold > tiers[index - 1].threshold;
+  if (!tiers.every(harder)) {
+    return helpers.message(rule.aggregate === 'min'
+      ? 'Tier thresholds must decrease for min rules'
+      : 'Tier thresholds must increase');
+  }
+
+  return achievement;
+};
+
+/**
+ * Achievement definition validation schema
+ */
+const achievementSchema = Joi.object({
+  ...achievementFields,
+  key: achievementFields.key.required(),
+  name: achievementFields.name.required(),
+  description: achievementFields.description.required(),
+  badge_icon: achievementFields.badge_icon.required(),
+  badge_color: achievementFields.badge_color.required(),
+  category: achievementFields.category.required(),
+  event_type: achievementFields.event_type.required(),
+  rule: ruleSchema.default({ aggregate: 'count' }),
+  tiers: achievementFields.tiers.required(),
+  is_active: achievementFields.is_active.default(true)
+}).custom(checkAchievementRule);
+
+/**
+ * Achievement update validation schema
+ * The key can't change; the updated definition is checked again as a whole
+ */
+const achievementUpdateSchema = Joi.object({
+  ...achievementFields,
+  key: Joi.forbidden()
+}).min(1);
+
+/**
+ * Achievement backfill validation schema
+ * Users are processed in batches ordered by ID; pass the returned cursor to continue
+ */
+const achievementBackfillSchema = Joi.object({
+  achievementId: Joi.string().uuid(),
+  afterUserId: Joi.string().uuid(),
+  limit: Joi.number().integer().min(1).max(MAX_BACKFILL_BATCH).default(100)
+});
+
+/**
+ * Manual achievement event validation schema
+ */
+const achievementEventSchema = Joi.object({
+  userId: Joi.string().uuid().required(),
+  eventType: Joi.string().valid(...Object.values(EVENTS)).required(),
+  payload: Joi.object().default({})
+});
+
+module.exports = {
+  ACHIEVEMENT_AGGREGATES,
+  ACHIEVEMENT_EVENT_FIELDS,
+  achievementSchema,
+  achievementUpdateSchema,
+  achievementBackfillSchema,
+  achievementEventSchema
+};
@@ -0,0 +1,35 @@
+const Joi = require('joi');
+
+// 'deciding' while an admin's approval or denial is being carried out
+const APPEAL_STATUSES = ['pending', 'in_review', 'deciding', 'approved', 'denied'];
+
+/**
+ * Appeal validation schema
+ * An appeal contests either a report outcome or an enforcement action
+ */
+const appealCreateSchema = Joi.object({
+  reportId: Joi.string().guid(),
+  enforcementId: Joi.string().guid(),
+  reason: Joi.string().trim().min(10).max(2000).required()
+}).xor('reportId', 'enforcementId');
+
+/**
+ * Assigning an appeal (to the current admin by default)
+ */
+const appealAssignSchema = Joi.object({
+  adminId: Joi.string().guid()
+});
+
+/**
+ * Approving or denying an appeal
+ */
+const appealDecisionSchema = Joi.object({
+  note: Joi.string().trim().max(1000).allow(null, '')
+});
+
+module.exports = {
+  APPEAL_STATUSES,
+  appealCreateSchema,
+  appealAssignSchema,
+  appealDecisionSchema
+};
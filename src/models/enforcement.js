@@ -0,0 +1,54 @@
+const Joi = require('joi');
+
+const ENFORCEMENT_ACTIONS = ['warning', 'restriction', 'suspension', 'ban'];
+const RESTRICTIONS = ['matching', 'posting', 'messaging_rate'];
+const STRIKE_SOURCES = ['report', 'moderation', 'admin'];
+const MAX_ENFORCEMENT_DURATION_HOURS = 24 * 365;
+
+const reason = Joi.string().trim().min(1).max(500);
+
+/**
+ * Strike validation schema
+ * sourceId is the report or moderation flag behind the strike
+ */
+const strikeSchema = Joi.object({
+  reason: reason.required(),
+  points: Joi.number().integer().min(1).max(10).default(1),
+  source: Joi.string().valid(...STRIKE_SOURCES).default('admin'),
+  sourceId: Joi.string().guid().allow(null).default(null)
+});
+
+/**
+ * Manual enforcement validation schema
+ * Restrictions need at least one restricted feature; bans and warnings have no duration
+ */
+const enforcementSchema = Joi.object({
+  action: Joi.string().valid(...ENFORCEMENT_ACTIONS).required(),
+  reason: reason.required(),
+  restrictions: Joi.when('action', {
+    is: 'restriction',
+    then: Joi.array().items(Joi.string().valid(...RESTRICTIONS)).min(1).unique().required(),
+    otherwise: Joi.forbidden()
+  }),
+  durationHours: Joi.when('action', {
+    is: Joi.valid('restriction', 'suspension'),
+    then: Joi.number().integer().min(1).max(MAX_ENFORCEMENT_DURATION_HOURS).required(),
+    otherwise: Joi.forbidden()
+  })
+});
+
+/**
+ * Revoking a strike or lifting an enforcement
+ */
+const enforcementReviewSchema = Joi.object({
+  reason: reason.allow(null, '')
+});
+
+module.exports = {
+  ENFORCEMENT_ACTIONS,
+  RESTRICTIONS,
+  STRIKE_SOURCES,
+  strikeSchema,
+  enforcementSchema,
+  enforcementReviewSchema
+};
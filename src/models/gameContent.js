@@ -0,0 +1,99 @@
+const Joi = require('joi');
+
+const CONTENT_PACK_FORMAT = 1;
+const DEFAULT_CONTENT_LOCALE = 'en';
+const MAX_PACK_ITEMS = 5000;
+const CONTENT_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const slug = Joi.string().trim().lowercase().pattern(/^[a-z0-9][a-z0-9-]*$/).max(64);
+const locale = Joi.string().trim().pattern(/^[a-z]{2}(-[A-Z]{2})?$/);
+
+/**
+ * Item content schema of each game type that uses content packs
+ */
+const contentItemSchemas = {
+  trivia: Joi.object({
+    question: Joi.string().trim().min(1).max(300).required(),
+    options: Joi.array().items(Joi.string().trim().min(1).max(100)).min(2).max(6).unique().required(),
+    correctAnswer: Joi.number().integer().min(0).required()
+  }).custom((value, helpers) => (
+    value.correctAnswer < value.options.length ? value : helpers.message('correctAnswer must be the index of an option')
+  )),
+  emoji_guess: Joi.object({
+    emojis: Joi.string().trim().min(1).max(50).required(),
+    meaning: Joi.string().trim().min(1).max(100).required()
+  }),
+  truth_or_dare: Joi.object({
+    text: Joi.string().trim().min(1).max(300).required()
+  }),
+  word_association: Joi.object({
+    word: Joi.string().trim().lowercase().pattern(/^[a-z][a-z-]*$/).max(40).required()
+  })
+};
+
+/**
+ * Categories a game type's items must use (others accept any category)
+ */
+const contentCategories = {
+  truth_or_dare: ['truth', 'dare']
+};
+
+/**
+ * Content pack validation schema (item content is checked per game type by validateContentPack)
+ */
+const contentPackSchema = Joi.object({
+  format: Joi.number().valid(CONTENT_PACK_FORMAT).required(),
+  id: slug.required(),
+  version: Joi.number().integer().min(1).required(),
+  gameType: Joi.string().valid(...Object.keys(contentItemSchemas)).required(),
+  name: Joi.string().trim().min(1).max(100).required(),
+  description: Joi.string().trim().max(500).allow(null, ''),
+  locale: locale.default(DEFAULT_CONTENT_LOCALE),
+  items: Joi.array().items(Joi.object({
+    key: slug.required(),
+    category: Joi.string().trim().lowercase().max(50).default('general'),
+    difficulty: Joi.string().valid(...CONTENT_DIFFICULTIES).default('medium'),
+    locale,
+    content: Joi.object().required()
+  })).min(1).max(MAX_PACK_ITEMS).unique('key').required()
+});
+
+/**
+ * Validate a content pack, including the content of every item
+ * @param {object} pack - Content pack
+ * @returns {object} { error, value } like Joi's validate
+ */
+const validateContentPack = (pack) => {
+  const { error, value } = contentPackSchema.validate(pack);
+  if (error) {
+    return { error };
+  }
+
+  const itemSchema = contentItemSchemas[value.gameType];
+  const categories = contentCategories[value.gameType];
+
+  for (const [index, item] of value.items.entries()) {
+    if (categories && !categories.includes(item.category)) {
+      return { error: new Error(`items[${index}].category must be one of ${categories.join(', ')}`) };
+    }
+
+    const { error: contentError, value: content } = itemSchema.validate(item.content);
+    if (contentError) {
+      return { error: new Error(`items[${index}].content: ${contentError.message}`) };
+    }
+
+    item.content = content;
+    item.locale = item.locale || value.locale;
+  }
+
+  return { value };
+};
+
+module.exports = {
+  CONTENT_PACK_FORMAT,
+  DEFAULT_CONTENT_LOCALE,
+  MAX_PACK_ITEMS,
+  contentLocaleSchema: locale,
+  contentPackSchema,
+  validateContentPack
+};
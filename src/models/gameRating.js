@@ -0,0 +1,19 @@
+const Joi = require('joi');
+
+const LEADERBOARD_SCOPES = ['global', 'matches', 'weekly'];
+const DEFAULT_LEADERBOARD_LIMIT = 25;
+const MAX_LEADERBOARD_LIMIT = 100;
+
+/**
+ * Leaderboard query validation schema
+ */
+const leaderboardQuerySchema = Joi.object({
+  gameType: Joi.string().trim().max(50).required(),
+  scope: Joi.string().valid(...LEADERBOARD_SCOPES).default('global'),
+  limit: Joi.number().integer().min(1).max(MAX_LEADERBOARD_LIMIT).default(DEFAULT_LEADERBOARD_LIMIT)
+});
+
+module.exports = {
+  LEADERBOARD_SCOPES,
+  leaderboardQuerySchema
+};
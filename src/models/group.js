@@ -0,0 +1,59 @@
+const Joi = require('joi');
+
+/**
+ * Group creation validation schema
+ */
+const groupCreateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  description: Joi.string().trim().max(500).allow(null, ''),
+  avatarUrl: Joi.string().uri().allow(null, ''),
+  memberIds: Joi.array().items(Joi.string().uuid()).unique().max(49).default([])
+});
+
+/**
+ * Group update validation schema
+ */
+const groupUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().max(500).allow(null, ''),
+  avatarUrl: Joi.string().uri().allow(null, '')
+}).min(1);
+
+/**
+ * Group invite validation schema
+ */
+const groupInviteSchema = Joi.object({
+  userId: Joi.string().uuid().required()
+});
+
+/**
+ * Group member role change validation schema
+ */
+const groupMemberRoleSchema = Joi.object({
+  role: Joi.string().valid('owner', 'admin', 'member').required()
+});
+
+/**
+ * Group message validation schema
+ */
+const groupMessageSchema = Joi.object({
+  content: Joi.string().trim().min(1).max(2000).required(),
+  mediaUrl: Joi.string().uri().allow(null, ''),
+  replyToMessageId: Joi.string().uuid().allow(null)
+});
+
+/**
+ * Group read receipt validation schema
+ */
+const groupReadSchema = Joi.object({
+  messageId: Joi.string().uuid().required()
+});
+
+module.exports = {
+  groupCreateSchema,
+  groupUpdateSchema,
+  groupInviteSchema,
+  groupMemberRoleSchema,
+  groupMessageSchema,
+  groupReadSchema
+};
@@ -13,6 +13,30 @@ const matchmakingRequestSchema = Joi.object({
   interests: Joi.array().items(Joi.string()).min(0)
 });
 
+/**
+ * Persisted match filters validation schema
+ * Omitted/null values mean "no restriction"
+ */
+const matchFiltersSchema = Joi.object({
+  ageRange: Joi.object({
+    min: Joi.number().integer().min(18).max(80).default(18),
+    max: Joi.number().integer().min(18).max(80).default(80)
+  }).allow(null),
+  maxDistance: Joi.number().min(1).max(500).allow(null), // in km
+  genders: Joi.array().items(Joi.string().valid(
+    'male', 'female', 'transgender', 'trans', 'non-binary', 
+    'nonbinary', 'genderqueer', 'genderfluid', 'agender', 
+    'bigender', 'two-spirit', 'third-gender', 'queer', 
+    'questioning', 'intersex', 'other'
+  )).unique().default([]),
+  verifiedOnly: Joi.boolean().default(false)
+}).custom((value, helpers) => {
+  if (value.ageRange && value.ageRange.min > value.ageRange.max) {
+    return helpers.message('ageRange.min must be less than or equal to ageRange.max');
+  }
+  return value;
+});
+
 /**
  * Match response validation schema
  */
@@ -23,5 +47,6 @@ const matchResponseSchema = Joi.object({
 
 module.exports = {
   matchmakingRequestSchema,
+  matchFiltersSchema,
   matchResponseSchema
 }; 
\ No newline at end of file
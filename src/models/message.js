@@ -1,5 +1,10 @@
 const Joi = require('joi');
 
+// Limits for send-later and disappearing messages
+const MAX_SCHEDULE_DAYS = 30;
+const MIN_MESSAGE_TTL_SECONDS = 5;
+const MAX_MESSAGE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
 /**
  * Message creation validation schema
  */
@@ -9,7 +14,15 @@ const messageCreateSchema = Joi.object({
   mediaUrl: Joi.string().uri().allow(null, ''),
   messageType: Joi.string().valid('text', 'image', 'audio', 'video', 'file', 'location', 
     'game_invitation', 'game_accepted', 'game_move', 'game_completed').default('text'),
-  metadata: Joi.object().allow(null)
+  metadata: Joi.object().allow(null),
+  // Send later: held back until this time (at most 30 days ahead)
+  deliverAt: Joi.date().iso().greater('now').custom((value, helpers) => (
+    value.getTime() - Date.now() > MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000
+      ? helpers.message(`"deliverAt" must be within ${MAX_SCHEDULE_DAYS} days`)
+      : value
+  )),
+  // Disappearing: removed this many seconds after the receiver reads it
+  ttlSeconds: Joi.number().integer().min(MIN_MESSAGE_TTL_SECONDS).max(MAX_MESSAGE_TTL_SECONDS)
 });
 
 /**
@@ -20,6 +33,19 @@ const messageMediaSchema = Joi.object({
   contentType: Joi.string().required()
 });
 
+/**
+ * Message search query validation schema
+ */
+const messageSearchSchema = Joi.object({
+  q: Joi.string().trim().min(1).max(200).required(),
+  withUserId: Joi.string().uuid(),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+  mediaType: Joi.string().valid('any', 'image', 'audio', 'video', 'file'),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+  cursor: Joi.string()
+});
+
 /**
  * Game invitation message validation schema
  */
@@ -38,8 +64,12 @@ const gameMoveSchema = Joi.object({
 });
 
 module.exports = {
+  MAX_SCHEDULE_DAYS,
+  MIN_MESSAGE_TTL_SECONDS,
+  MAX_MESSAGE_TTL_SECONDS,
   messageCreateSchema,
   messageMediaSchema,
+  messageSearchSchema,
   gameInvitationSchema,
   gameMoveSchema
 }; 
\ No newline at end of file
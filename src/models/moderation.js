@@ -0,0 +1,144 @@
+const Joi = require('joi');
+const { findUnsafeConstruct } = require('../utils/regexSafety');
+
+const MODERATION_DETECTORS = ['keyword', 'regex', 'url', 'phone', 'spam', 'ai'];
+const MODERATION_ACTIONS = ['block', 'blur', 'flag'];
+const MODERATION_SURFACES = ['message', 'comment', 'post'];
+const MAX_POLICY_TERMS = 1000;
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * A regular expression that compiles and can't backtrack exponentially (see regexSafety)
+ */
+const pattern = Joi.string().min(1).max(MAX_PATTERN_LENGTH).custom((value, helpers) => {
+  try {
+    new RegExp(value, 'u');
+  } catch (err) {
+    return helpers.message(`Invalid pattern ${value}: ${err.message}`);
+  }
+
+  const unsafe = findUnsafeConstruct(value);
+  if (unsafe) {
+    return helpers.message(`Unsafe pattern ${value}: ${unsafe} can make matching take too long`);
+  }
+  return value;
+});
+
+const domain = Joi.string().trim().lowercase().pattern(/^[a-z0-9.-]+\.[a-z]{2,}$/).max(253);
+
+/**
+ * Detector settings, by detector
+ */
+const detectorConfigSchemas = {
+  // Words or phrases, matched case-insensitively on word boundaries
+  keyword: Joi.object({
+    terms: Joi.array().items(Joi.string().trim().min(1).max(100)).min(1).max(MAX_POLICY_TERMS).unique().required()
+  }),
+  regex: Joi.object({
+    patterns: Joi.array().items(pattern).min(1).max(100).required(),
+    caseSensitive: Joi.boolean().default(false)
+  }),
+  // Links, except to the allowed domains and their subdomains
+  url: Joi.object({
+    allowDomains: Joi.array().items(domain).max(MAX_POLICY_TERMS).default([])
+  }),
+  phone: Joi.object({
+    minDigits: Joi.number().integer().min(7).max(15).default(9)
+  }),
+  // The same text sent again by the same user within the window
+  spam: Joi.object({
+    maxRepeats: Joi.number().integer().min(2).max(50).default(3),
+    windowSeconds: Joi.number().integer().min(5).max(24 * 60 * 60).default(60)
+  }),
+  // The AI moderation provider's classification; content is allowed if it doesn't answer in time
+  ai: Joi.object({
+    minConfidence: Joi.number().min(0).max(1).default(0.85),
+    includeBorderline: Joi.boolean().default(false),
+    timeoutMs: Joi.number().integer().min(100).max(10000).default(1500)
+  })
+};
+
+const policyFields = {
+  key: Joi.string().pattern(/^[a-z0-9_]+$/).max(100),
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().max(500).allow(null, ''),
+  detector: Joi.string().valid(...MODERATION_DETECTORS),
+  config: Joi.object(),
+  action: Joi.string().valid(...MODERATION_ACTIONS),
+  surfaces: Joi.array().items(Joi.string().valid(...MODERATION_SURFACES)).min(1).unique(),
+  warning: Joi.string().trim().max(200).allow(null, ''),
+  is_active: Joi.boolean()
+};
+
+/**
+ * Check a policy's config against its detector, filling in defaults
+ * @param {object} policy - Policy definition
+ * @returns {object} { value, error } like Joi's validate
+ */
+const validatePolicyConfig = (policy) => {
+  const { error, value } = detectorConfigSchemas[policy.detector].validate(policy.config || {});
+  if (error) {
+    return { error: new Error(`config: ${error.details[0].message}`) };
+  }
+  return { value: { ...policy, config: value } };
+};
+
+/**
+ * Moderation policy validation schema (config is checked per detector by validatePolicyConfig)
+ */
+const moderationPolicySchema = Joi.object({
+  ...policyFields,
+  key: policyFields.key.required(),
+  name: policyFields.name.required(),
+  detector: policyFields.detector.required(),
+  config: policyFields.config.default({}),
+  action: policyFields.action.required(),
+  surfaces: policyFields.surfaces.default(MODERATION_SURFACES),
+  is_active: policyFields.is_active.default(true)
+});
+
+/**
+ * Moderation policy update validation schema
+ * The key and detector can't change; the updated config is checked again
+ */
+const moderationPolicyUpdateSchema = Joi.object({
+  ...policyFields,
+  key: Joi.forbidden(),
+  detector: Joi.forbidden()
+}).min(1);
+
+/**
+ * Dry run of the pre-send checks validation schema
+ */
+const moderationCheckSchema = Joi.object({
+  content: Joi.string().min(1).max(5000).required(),
+  surface: Joi.string().valid(...MODERATION_SURFACES).default('message')
+});
+
+/**
+ * Labeled sample of a moderation evaluation dataset
+ * label is what AI moderation should classify the content as; policies lists every
+ * policy that should match it, so a policy left out should not. A sample is used by
+ * each evaluation it has a ground truth for.
+ */
+const moderationEvalSampleSchema = Joi.object({
+  id: Joi.string().trim().min(1).max(100).required(),
+  content: Joi.string().min(1).max(5000).required(),
+  surface: Joi.string().valid(...MODERATION_SURFACES).default('message'),
+  label: Joi.string().valid('ACCEPTABLE', 'BORDERLINE', 'INAPPROPRIATE'),
+  policies: Joi.array().items(policyFields.key).unique(),
+  reportReason: Joi.string().trim().max(500),
+  userId: Joi.string().trim().max(100),
+  notes: Joi.string().max(1000).allow('')
+}).or('label', 'policies');
+
+module.exports = {
+  MODERATION_DETECTORS,
+  MODERATION_ACTIONS,
+  MODERATION_SURFACES,
+  moderationPolicySchema,
+  moderationPolicyUpdateSchema,
+  moderationCheckSchema,
+  moderationEvalSampleSchema,
+  validatePolicyConfig
+};
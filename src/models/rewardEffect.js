@@ -0,0 +1,33 @@
+const Joi = require('joi');
+
+const REWARD_EFFECT_TYPES = ['matchmaking_boost', 'extra_spins', 'profile_spotlight', 'profile_badge'];
+const MAX_EFFECT_DURATION_HOURS = 24 * 90;
+
+/**
+ * Reward effect validation schema
+ * One entry of a wheel reward's value.effects
+ */
+const rewardEffectSchema = Joi.object({
+  type: Joi.string().valid(...REWARD_EFFECT_TYPES).required(),
+  duration_hours: Joi.number().integer().min(1).max(MAX_EFFECT_DURATION_HOURS),
+  boost_percentage: Joi.when('type', {
+    is: 'matchmaking_boost',
+    then: Joi.number().integer().min(1).max(500).default(50),
+    otherwise: Joi.forbidden()
+  }),
+  count: Joi.when('type', {
+    is: 'extra_spins',
+    then: Joi.number().integer().min(1).max(10).default(1),
+    otherwise: Joi.forbidden()
+  }),
+  badge: Joi.when('type', {
+    is: 'profile_badge',
+    then: Joi.string().pattern(/^[a-z0-9_]+$/).max(50).required(),
+    otherwise: Joi.forbidden()
+  })
+});
+
+module.exports = {
+  REWARD_EFFECT_TYPES,
+  rewardEffectSchema
+};
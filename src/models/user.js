@@ -1,5 +1,6 @@
 const Joi = require('joi');
 const { validateInterests } = require('../utils/interests');
+const { normalizeTimeZone, CLOCK_TIME_PATTERN } = require('../utils/timezone');
 
 /**
  * Custom Joi validator for interests
@@ -16,6 +17,25 @@ const interestValidator = (value, helpers) => {
   return value;
 };
 
+/**
+ * Custom Joi validator for timezones; converts them to their canonical IANA name
+ */
+const timeZoneValidator = (value, helpers) => {
+  const timeZone = normalizeTimeZone(value);
+  return timeZone || helpers.message('"timezone" must be an IANA timezone such as "Europe/Paris"');
+};
+
+/**
+ * Timezone and quiet hours validation schema
+ * Quiet hours are local 'HH:MM' times; a range ending earlier than it starts spans midnight
+ */
+const timeZoneSettingsSchema = Joi.object({
+  timezone: Joi.string().custom(timeZoneValidator, 'timezone validation'),
+  quiet_hours_enabled: Joi.boolean(),
+  quiet_hours_start: Joi.string().pattern(CLOCK_TIME_PATTERN, 'HH:MM'),
+  quiet_hours_end: Joi.string().pattern(CLOCK_TIME_PATTERN, 'HH:MM')
+});
+
 /**
  * User registration validation schema
  */
@@ -73,7 +93,7 @@ const profileUpdateSchema = Joi.object({
   twitter_handle: Joi.string().max(15).allow(null, ''),
   spotify_handle: Joi.string().max(30).allow(null, ''),
   linkedin_handle: Joi.string().max(100).allow(null, '')
-});
+}).concat(timeZoneSettingsSchema);
 
 /**
  * Change password validation schema
@@ -84,9 +104,20 @@ const changePasswordSchema = Joi.object({
   confirmNewPassword: Joi.string().valid(Joi.ref('newPassword')).required()
 });
 
+/**
+ * Block or mute user validation schema
+ */
+const userBlockSchema = Joi.object({
+  userId: Joi.string().uuid().required(),
+  type: Joi.string().valid('block', 'mute').default('block'),
+  reason: Joi.string().max(500).allow(null, '')
+});
+
 module.exports = {
   userRegistrationSchema,
   userLoginSchema,
   profileUpdateSchema,
-  changePasswordSchema
+  timeZoneSettingsSchema,
+  changePasswordSchema,
+  userBlockSchema
 }; 
\ No newline at end of file
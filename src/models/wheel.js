@@ -0,0 +1,46 @@
+const Joi = require('joi');
+
+const DEFAULT_SIMULATION_SPINS = 10000;
+const MAX_SIMULATION_SPINS = 100000;
+
+const seed = Joi.string().trim().pattern(/^[A-Za-z0-9_-]+$/).min(1).max(64);
+
+/**
+ * Wheel spin request validation schema
+ * A client seed lets the user take part in the outcome; one is generated if omitted
+ */
+const spinRequestSchema = Joi.object({
+  clientSeed: seed
+});
+
+/**
+ * Odds report query validation schema
+ */
+const oddsReportQuerySchema = Joi.object({
+  since: Joi.date().iso(),
+  until: Joi.date().iso().greater(Joi.ref('since'))
+});
+
+/**
+ * Probability table simulation validation schema
+ * Without rewards, the enabled wheel rewards are simulated
+ */
+const simulationSchema = Joi.object({
+  spins: Joi.number().integer().min(1).max(MAX_SIMULATION_SPINS).default(DEFAULT_SIMULATION_SPINS),
+  seed,
+  rewards: Joi.array().items(Joi.object({
+    id: Joi.string().trim().max(64),
+    name: Joi.string().trim().min(1).max(100).required(),
+    type: Joi.string().trim().max(50),
+    probability: Joi.number().integer().min(0).required()
+  })).min(1).unique('name')
+    .custom((value, helpers) => (
+      value.some(reward => reward.probability > 0) ? value : helpers.message('At least one reward needs a probability above 0')
+    ))
+});
+
+module.exports = {
+  spinRequestSchema,
+  oddsReportQuerySchema,
+  simulationSchema
+};
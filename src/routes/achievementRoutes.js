@@ -10,7 +10,11 @@ const {
   getUserAchievements,
   getCurrentUserProgress,
   checkProfileCompletion,
-  manuallyCheckAchievement
+  manuallyCheckAchievement,
+  getAchievementEvents,
+  createAchievement,
+  updateAchievement,
+  backfillAchievements
 } = require('../controllers/achievementController');
 
 // Public routes - anyone can view available achievements
@@ -28,6 +32,10 @@ router.get('/user/:userId', getUserAchievements);
 
 // Admin routes
 const adminAuth = [authenticate, isAdmin];
+router.get('/admin/events', adminAuth, getAchievementEvents);
+router.post('/admin', adminAuth, createAchievement);
+router.put('/admin/:achievementId', adminAuth, updateAchievement);
+router.post('/admin/backfill', adminAuth, backfillAchievements);
 router.post('/admin/check', adminAuth, manuallyCheckAchievement);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const adminEnforcementController = require('../controllers/adminEnforcementController');
+const { authenticate } = require('../middlewares/auth');
+const { isAdmin } = require('../middlewares/admin');
+
+// All enforcement routes require authentication and admin privileges
+router.use(authenticate);
+router.use(isAdmin);
+
+// Ladder steps and strike decay
+router.get('/ladder', adminEnforcementController.getLadder);
+
+// A user's standing, strikes and actions
+router.get('/users/:userId', adminEnforcementController.getUserEnforcement);
+
+// Give a user a strike (applies the ladder)
+router.post('/users/:userId/strikes', adminEnforcementController.issueStrike);
+
+// Apply a warning, restriction, suspension or ban directly
+router.post('/users/:userId/actions', adminEnforcementController.applyEnforcement);
+
+// Revoke a strike
+router.post('/strikes/:strikeId/revoke', adminEnforcementController.revokeStrike);
+
+// Lift an action early
+router.post('/actions/:enforcementId/lift', adminEnforcementController.liftEnforcement);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const adminGameContentController = require('../controllers/adminGameContentController');
+const { authenticate } = require('../middlewares/auth');
+const { isAdmin } = require('../middlewares/admin');
+
+// All game content routes require authentication and admin privileges
+router.use(authenticate);
+router.use(isAdmin);
+
+// List content packs (imported and built-in)
+router.get('/packs', adminGameContentController.getContentPacks);
+
+// Import a content pack or a new version of one
+router.post('/packs/import', adminGameContentController.importContentPack);
+
+// Export a content pack as JSON
+router.get('/packs/:packId/export', adminGameContentController.exportContentPack);
+
+// Enable or disable a content pack
+router.patch('/packs/:packId', adminGameContentController.updateContentPack);
+
+// Delete a content pack
+router.delete('/packs/:packId', adminGameContentController.deleteContentPack);
+
+module.exports = router;
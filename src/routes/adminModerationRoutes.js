@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const adminModerationController = require('../controllers/adminModerationController');
+const { authenticate } = require('../middlewares/auth');
+const { isAdmin } = require('../middlewares/admin');
+
+// All moderation routes require authentication and admin privileges
+router.use(authenticate);
+router.use(isAdmin);
+
+// List pre-send moderation policies
+router.get('/policies', adminModerationController.getPolicies);
+
+// Create a policy
+router.post('/policies', adminModerationController.createPolicy);
+
+// Check content against the active policies (dry run)
+router.post('/policies/check', adminModerationController.checkContent);
+
+// Update a policy (action, config, surfaces, warning, enabled)
+router.put('/policies/:policyId', adminModerationController.updatePolicy);
+
+// Delete a policy
+router.delete('/policies/:policyId', adminModerationController.deletePolicy);
+
+// List content that matched a policy
+router.get('/flags', adminModerationController.getFlags);
+
+// Mark a flag as reviewed
+router.post('/flags/:flagId/review', adminModerationController.reviewFlag);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const adminReportController = require('../controllers/adminReportController');
+const adminAppealController = require('../controllers/adminAppealController');
 const { authenticate } = require('../middlewares/auth');
 const { isAdmin } = require('../middlewares/admin');
 
@@ -11,6 +12,13 @@ router.use(isAdmin);
 // Get all reports with filtering and pagination
 router.get('/', adminReportController.getAllReports);
 
+// Appeal queue, before /:reportId so 'appeals' isn't taken for a report ID
+router.get('/appeals', adminAppealController.getAppeals);
+router.get('/appeals/:appealId', adminAppealController.getAppeal);
+router.post('/appeals/:appealId/assign', adminAppealController.assignAppeal);
+router.post('/appeals/:appealId/approve', adminAppealController.approveAppeal);
+router.post('/appeals/:appealId/deny', adminAppealController.denyAppeal);
+
 // Get report details
 router.get('/:reportId', adminReportController.getReportDetails);
 
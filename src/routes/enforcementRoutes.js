@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { getMyStanding } = require('../controllers/enforcementController');
+const { authenticate } = require('../middlewares/auth');
+
+// All enforcement routes require authentication (and stay open to suspended users)
+router.use(authenticate);
+
+// Current user's strikes, restrictions and suspension
+router.get('/me', getMyStanding);
+
+module.exports = router;
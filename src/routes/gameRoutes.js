@@ -12,9 +12,16 @@ router.use(authenticate);
 // Get all available game types
 router.get('/available', gameController.getAvailableGames);
 
-// Get active games in a conversation
+// Get the games of a conversation (open games, recent finished games and series)
 router.get('/conversation/:conversationId', gameController.getActiveGamesByConversation);
 
+// Leaderboard of a game type (?gameType=&scope=global|matches|weekly&limit=)
+router.get('/leaderboard', gameController.getLeaderboard);
+
+// Lifetime stats and ratings of the current user or another player
+router.get('/stats', gameController.getPlayerStats);
+router.get('/stats/:userId', gameController.getPlayerStats);
+
 // Get game instance details
 router.get('/:gameInstanceId', gameController.getGameInstance);
 
@@ -27,4 +34,10 @@ router.post('/:gameInstanceId/accept', gameController.acceptGame);
 // Make a move in a game
 router.post('/:gameInstanceId/move', gameController.makeMove);
 
+// Forfeit a game, or decline or cancel an invitation
+router.post('/:gameInstanceId/forfeit', gameController.forfeitGame);
+
+// Offer a rematch of a finished game
+router.post('/:gameInstanceId/rematch', gameController.rematchGame);
+
 module.exports = router; 
\ No newline at end of file
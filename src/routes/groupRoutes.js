@@ -0,0 +1,54 @@
+/**
+ * Group conversation routes
+ */
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middlewares/auth');
+const { requireFeature } = require('../middlewares/enforcement');
+const {
+  getMyGroups,
+  createGroup,
+  getGroup,
+  updateGroup,
+  deleteGroup,
+  inviteMember,
+  getMyInvites,
+  acceptInvite,
+  declineInvite,
+  leaveGroup,
+  removeMember,
+  updateMemberRole,
+  getGroupMessages,
+  sendGroupMessage,
+  markGroupRead
+} = require('../controllers/groupController');
+
+// All group routes require authentication
+router.use(authenticate);
+
+// Groups of the current user
+router.get('/', getMyGroups);
+router.post('/', createGroup);
+
+// Invites received by the current user
+router.get('/invites', getMyInvites);
+router.post('/invites/:inviteId/accept', acceptInvite);
+router.post('/invites/:inviteId/decline', declineInvite);
+
+// Group details
+router.get('/:groupId', getGroup);
+router.patch('/:groupId', updateGroup);
+router.delete('/:groupId', deleteGroup);
+
+// Membership
+router.post('/:groupId/invites', inviteMember);
+router.delete('/:groupId/members/me', leaveGroup);
+router.delete('/:groupId/members/:userId', removeMember);
+router.patch('/:groupId/members/:userId', updateMemberRole);
+
+// Messages
+router.get('/:groupId/messages', getGroupMessages);
+router.post('/:groupId/messages', requireFeature('messaging'), sendGroupMessage);
+router.post('/:groupId/read', markGroupRead);
+
+module.exports = router;
@@ -5,16 +5,20 @@ const {
   cancelMatchmaking,
   respondToMatch,
   getPendingMatches,
-  getMatchmakingStats
+  getMatchmakingStats,
+  getFilters,
+  updateFilters,
+  resetFilters
 } = require('../controllers/matchmakingController');
 const { authenticate } = require('../middlewares/auth');
-const { activeMatches, matchmakingPool } = require('../socket/socketManager');
+const { requireFeature } = require('../middlewares/enforcement');
+const { getUserActiveMatches, getQueueEntry } = require('../services/matchmaking/matchmakingService');
 
 // All matchmaking routes require authentication
 router.use(authenticate);
 
 // Start matchmaking
-router.post('/start', startMatchmaking);
+router.post('/start', requireFeature('matching'), startMatchmaking);
 
 // Cancel matchmaking
 router.post('/cancel', cancelMatchmaking);
@@ -25,39 +29,42 @@ router.post('/respond', respondToMatch);
 // Get pending matches
 router.get('/pending', getPendingMatches);
 
+// Manage saved match filters (age range, max distance, genders, verified-only)
+router.get('/filters', getFilters);
+router.put('/filters', updateFilters);
+router.delete('/filters', resetFilters);
+
 // Get active matches - used by client to check current match status
-router.get('/active', (req, res) => {
+router.get('/active', async (req, res) => {
   try {
     const userId = req.user.id;
-    const userMatches = [];
     
-    // Check for matches in activeMatches Map
-    for (const [matchId, matchData] of activeMatches.entries()) {
-      if (matchData.users.includes(userId)) {
-        // Get the other user ID
-        const otherUserId = matchData.users.find(id => id !== userId);
-        
-        userMatches.push({
-          matchId,
-          otherUserId,
-          status: 'pending',
-          sharedInterests: matchData.sharedInterests || [],
-          createdAt: matchData.createdAt.toISOString(),
-          userAccepted: matchData.acceptances[userId] === true,
-          otherUserAccepted: matchData.acceptances[otherUserId] === true
-        });
-      }
-    }
+    // Pending matches from the shared matchmaking service
+    const userMatches = (await getUserActiveMatches(userId)).map(matchData => {
+      // Get the other user ID
+      const otherUserId = matchData.users.find(id => id !== userId);
+      
+      return {
+        matchId: matchData.id,
+        otherUserId,
+        status: 'pending',
+        sharedInterests: matchData.sharedInterests || [],
+        compatibilityScore: matchData.compatibility ? matchData.compatibility.score : null,
+        createdAt: new Date(matchData.createdAt).toISOString(),
+        userAccepted: matchData.acceptances[userId] === true,
+        otherUserAccepted: matchData.acceptances[otherUserId] === true
+      };
+    });
     
-    // Check if user is in matchmaking pool
-    const isInMatchmakingPool = matchmakingPool.has(userId);
+    // Check if user is in the matchmaking queue
+    const queueEntry = await getQueueEntry(userId);
     
     return res.status(200).json({
       success: true,
       data: {
         activeMatches: userMatches,
-        isInMatchmakingPool,
-        joinedPoolAt: isInMatchmakingPool ? matchmakingPool.get(userId).joinedAt.toISOString() : null
+        isInMatchmakingPool: !!queueEntry,
+        joinedPoolAt: queueEntry ? new Date(queueEntry.joinedAt).toISOString() : null
       }
     });
   } catch (error) {
@@ -4,10 +4,14 @@ const {
   sendMessage,
   getConversation,
   getConversations,
+  searchMessages,
+  getScheduledMessages,
+  cancelScheduledMessage,
   getMessageMediaUploadUrl,
   deleteConversation
 } = require('../controllers/messageController');
 const { authenticate } = require('../middlewares/auth');
+const { requireFeature } = require('../middlewares/enforcement');
 const supabase = require('../config/database');
 const jwt = require('jsonwebtoken');
 
@@ -128,11 +132,18 @@ router.use(extractUserInfo);
 // Get all conversations for the current user
 router.get('/conversations', getConversations);
 
+// Search the current user's messages
+router.get('/search', searchMessages);
+
+// Messages scheduled for later delivery
+router.get('/scheduled', getScheduledMessages);
+router.delete('/scheduled/:scheduledId', cancelScheduledMessage);
+
 // Get messages between current user and another user
 router.get('/conversation/:userId', getConversation);
 
 // Send a new message
-router.post('/', sendMessage);
+router.post('/', requireFeature('messaging'), sendMessage);
 
 // Get pre-signed URL for message media upload
 router.post('/media-upload-url', getMessageMediaUploadUrl);
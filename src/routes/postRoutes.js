@@ -11,6 +11,7 @@ const {
   reactToPost
 } = require('../controllers/postController');
 const { authenticate } = require('../middlewares/auth');
+const { requireFeature } = require('../middlewares/enforcement');
 
 // All post routes require authentication
 router.use(authenticate);
@@ -19,7 +20,7 @@ router.use(authenticate);
 router.get('/feed', getFeed);
 
 // Post creation routes
-router.post('/', createPost);
+router.post('/', requireFeature('posting'), createPost);
 router.post('/media-upload-url', getPostMediaUploadUrl);
 
 // Post viewing routes
@@ -27,7 +28,7 @@ router.get('/user/:userId', getUserPosts);
 router.get('/:postId', getPost);
 
 // Comment routes
-router.post('/:postId/comments', addComment);
+router.post('/:postId/comments', requireFeature('posting'), addComment);
 router.get('/:postId/comments', getComments);
 
 // Reaction routes
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const reportController = require('../controllers/reportController');
+const appealController = require('../controllers/appealController');
 const { authenticate } = require('../middlewares/auth');
 const { isAdmin } = require('../middlewares/admin');
 
@@ -13,6 +14,12 @@ router.post('/', reportController.submitReport);
 // Get current user's reports
 router.get('/my-reports', reportController.getUserReports);
 
+// Appeal a report outcome or an action on the current user's account
+router.post('/appeals', appealController.submitAppeal);
+
+// Get current user's appeals
+router.get('/appeals', appealController.getMyAppeals);
+
 // Get user report analytics (admin or self only)
 router.get('/analytics/user/:userId', reportController.getUserReportAnalytics);
 
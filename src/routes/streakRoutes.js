@@ -9,8 +9,10 @@ const { isAdmin } = require('../middlewares/admin');
 // User routes - authenticated users can access their own streak data
 router.get('/my/active', authenticate, streakController.getMyActiveStreaks);
 router.get('/my/milestones', authenticate, streakController.getMyMilestones);
+router.get('/my/freezes', authenticate, streakController.getMyFreezes);
 router.get('/with/:userId', authenticate, streakController.getStreakWithUser);
 router.get('/conversation/:conversationId', authenticate, streakController.getConversationStreak);
+router.post('/conversation/:conversationId/repair', authenticate, streakController.repairStreak);
 router.get('/bonuses', authenticate, streakController.getStreakBonuses);
 
 // Admin routes
@@ -7,6 +7,7 @@ const {
   updateUserDetails,
   banOrSuspendUser
 } = require('../controllers/userController');
+const { getBlocks, blockUser, unblockUser } = require('../controllers/blockController');
 const { authenticate } = require('../middlewares/auth');
 const { isAdmin } = require('../middlewares/admin');
 
@@ -16,6 +17,11 @@ router.use(authenticate);
 // Search for users
 router.get('/search', searchUsers);
 
+// Block list (also used for mutes)
+router.get('/blocks', getBlocks);
+router.post('/blocks', blockUser);
+router.delete('/blocks/:userId', unblockUser);
+
 // Get comprehensive user details
 router.get('/details/:userId', getUserDetails);
 
@@ -11,9 +11,15 @@ router.get('/availability', authenticate, wheelController.checkAvailability);
 router.post('/spin', authenticate, wheelController.spinWheel);
 router.get('/rewards', authenticate, wheelController.getMyRewards);
 router.post('/rewards/:rewardId/claim', authenticate, wheelController.claimReward);
+router.get('/effects', authenticate, wheelController.getMyEffects);
+router.get('/fairness', authenticate, wheelController.getFairnessCommitment);
+router.get('/spins', authenticate, wheelController.getMySpins);
+router.get('/spins/:spinId/verify', authenticate, wheelController.verifySpin);
 router.get('/options', authenticate, wheelController.getWheelRewards);
 
 // Admin routes
 router.post('/admin/cleanup', authenticate, isAdmin, wheelController.cleanupExpiredRewards);
+router.get('/admin/odds-report', authenticate, isAdmin, wheelController.getOddsReport);
+router.post('/admin/simulate', authenticate, isAdmin, wheelController.simulateSpins);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,283 +1,139 @@
 const supabase = require('../../config/database');
 const { info, error } = require('../../utils/logger');
-const { checkStreakAchievements } = require('./achievementService');
-const { createNotification, NotificationType } = require('../notification/notificationService');
 
 /**
- * Get conversation ID from sender and receiver IDs
- * @param {string} user1Id - First user ID
- * @param {string} user2Id - Second user ID
- * @returns {string} Normalized conversation ID
+ * Group streaks
+ * Conversation streaks live in ../streakService, which every message path uses.
  */
-const getConversationId = (user1Id, user2Id) => {
-  return user1Id < user2Id 
-    ? `${user1Id}_${user2Id}` 
-    : `${user2Id}_${user1Id}`;
-};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * UTC calendar day of an instant; groups span timezones, so they share UTC days
+ * @param {Date} date - Instant
+ * @returns {string} YYYY-MM-DD
+ */
+const toUtcDay = (date) => date.toISOString().slice(0, 10);
 
 /**
- * Process conversation streak update when a message is sent
- * @param {string} senderId - Sender user ID
- * @param {string} receiverId - Receiver user ID
- * @returns {Promise<object>} Updated streak information
+ * Whole days from one UTC day to another
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number} Days
  */
-const processConversationStreak = async (senderId, receiverId) => {
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+/**
+ * Process group streak update when a message is sent to a group
+ * A UTC day counts towards the streak when any member sends a message: the first
+ * message of the next day adds one, and a day without messages resets the streak.
+ * @param {string} groupId - Group ID
+ * @param {Date|string} messageTimestamp - When the message was sent, now by default
+ * @returns {Promise<object>} Updated group streak information
+ */
+const processGroupStreak = async (groupId, messageTimestamp = new Date()) => {
   try {
-    const conversationId = getConversationId(senderId, receiverId);
-    const now = new Date();
+    const now = new Date(messageTimestamp);
+    const today = toUtcDay(now);
+    // Lost unless someone writes before the end of the next day
+    const expiresAt = new Date(Date.parse(today) + 2 * DAY_MS);
     
-    // Get current streak record if exists
     const { data: currentStreak, error: fetchError } = await supabase
-      .from('conversation_streaks')
+      .from('group_streaks')
       .select('*')
-      .eq('conversation_id', conversationId)
-      .single();
+      .eq('group_id', groupId)
+      .maybeSingle();
     
-    if (fetchError && fetchError.code !== 'PGRST116') { // PGRST116 is "no rows returned"
-      error(`Error fetching conversation streak: ${fetchError.message}`);
+    if (fetchError) {
+      error(`Error fetching group streak: ${fetchError.message}`);
       return null;
     }
     
-    let streak = {
-      conversation_id: conversationId,
-      user1_id: senderId < receiverId ? senderId : receiverId,
-      user2_id: senderId < receiverId ? receiverId : senderId,
-      streak_days: 1,
-      last_message_at: now,
-      expires_at: new Date(now.getTime() + 24 * 60 * 60 * 1000), // 24 hours from now
-      updated_at: now
-    };
-    
-    // If existing streak, check if it's still active
-    if (currentStreak) {
-      const lastMessageDate = new Date(currentStreak.last_message_at);
-      const daysSinceLastMessage = Math.floor((now - lastMessageDate) / (1000 * 60 * 60 * 24));
+    if (!currentStreak) {
+      const { data: createdStreak, error: insertError } = await supabase
+        .from('group_streaks')
+        .upsert({
+          group_id: groupId,
+          streak_days: 1,
+          last_counted_day: today,
+          last_message_at: now,
+          expires_at: expiresAt,
+          updated_at: now
+        }, { onConflict: 'group_id', ignoreDuplicates: true })
+        .select()
+        .maybeSingle();
       
-      if (daysSinceLastMessage <= 1) {
-        // Streak is still active
-        if (daysSinceLastMessage === 1) {
-          // It's a new day, increase streak count
-          streak.streak_days = currentStreak.streak_days + 1;
-          
-          // Check for achievements for both users
-          await checkStreakAchievements(streak.user1_id, streak.streak_days);
-          await checkStreakAchievements(streak.user2_id, streak.streak_days);
-          
-          // Notify both users about streak milestone
-          if (streak.streak_days % 3 === 0) { // Notify on every 3rd day
-            await notifyStreakMilestone(streak);
-          }
-        } else {
-          // Same day, keep streak count
-          streak.streak_days = currentStreak.streak_days;
-        }
-      } else {
-        // Streak was broken, reset to 1 day
-        streak.streak_days = 1;
-        
-        // Notify about streak being reset
-        if (currentStreak.streak_days >= 3) {
-          await notifyStreakReset(currentStreak);
-        }
+      if (insertError) {
+        error(`Error creating group streak: ${insertError.message}`);
+        return null;
       }
-    } else {
-      // New streak, check for achievement
-      await checkStreakAchievements(streak.user1_id, 1);
-      await checkStreakAchievements(streak.user2_id, 1);
-    }
-    
-    // Update or insert streak
-    const { data: updatedStreak, error: upsertError } = await supabase
-      .from('conversation_streaks')
-      .upsert(streak)
-      .select()
-      .single();
-    
-    if (upsertError) {
-      error(`Error updating conversation streak: ${upsertError.message}`);
-      return null;
+      
+      // Another message created it first: count this one against that
+      return createdStreak || processGroupStreak(groupId, now);
     }
     
-    info(`Processed streak for conversation ${conversationId}: ${updatedStreak.streak_days} days`);
-    return updatedStreak;
-  } catch (err) {
-    error(`Error in processConversationStreak: ${err.message}`);
-    return null;
-  }
-};
-
-/**
- * Get active streak between two users
- * @param {string} user1Id - First user ID
- * @param {string} user2Id - Second user ID
- * @returns {Promise<object|null>} Streak information or null if no streak
- */
-const getActiveStreak = async (user1Id, user2Id) => {
-  try {
-    const conversationId = getConversationId(user1Id, user2Id);
-    
-    const { data: streak, error: fetchError } = await supabase
-      .from('conversation_streaks')
-      .select('*')
-      .eq('conversation_id', conversationId)
-      .single();
-    
-    if (fetchError) {
-      if (fetchError.code === 'PGRST116') { // "no rows returned"
+    const lastCountedDay = currentStreak.last_counted_day || toUtcDay(new Date(currentStreak.last_message_at));
+    const daysSinceCounted = daysBetween(lastCountedDay, today);
+    
+    // Same day, or a message older than the last counted day: only note the activity
+    if (daysSinceCounted <= 0) {
+      const lastMessageAt = new Date(currentStreak.last_message_at) > now ? currentStreak.last_message_at : now;
+      const { data: updatedStreak, error: updateError } = await supabase
+        .from('group_streaks')
+        .update({ last_message_at: lastMessageAt, updated_at: new Date() })
+        .eq('group_id', groupId)
+        .select()
+        .single();
+      
+      if (updateError) {
+        error(`Error updating group streak: ${updateError.message}`);
         return null;
       }
-      error(`Error fetching active streak: ${fetchError.message}`);
-      return null;
+      return updatedStreak;
     }
     
-    // Check if streak is still active
-    const now = new Date();
-    const expiresAt = new Date(streak.expires_at);
-    
-    if (now > expiresAt) {
-      return null; // Streak has expired
+    // The next day extends the streak; a missed day starts it again
+    const streakDays = daysSinceCounted === 1 ? currentStreak.streak_days + 1 : 1;
+    if (streakDays === 1) {
+      info(`Group ${groupId} missed ${daysSinceCounted - 1} day(s), streak of ${currentStreak.streak_days} reset`);
     }
     
-    return streak;
-  } catch (err) {
-    error(`Error in getActiveStreak: ${err.message}`);
-    return null;
-  }
-};
-
-/**
- * Get all active streaks for a user
- * @param {string} userId - User ID
- * @returns {Promise<Array>} Active streaks
- */
-const getUserActiveStreaks = async (userId) => {
-  try {
-    const now = new Date();
-    
-    // Query streaks where user is involved and streak hasn't expired
-    const { data: streaks, error: fetchError } = await supabase
-      .from('conversation_streaks')
-      .select(`
-        *,
-        user1:user1_id (id, username, profile_picture_url),
-        user2:user2_id (id, username, profile_picture_url)
-      `)
-      .or(`user1_id.eq.${userId},user2_id.eq.${userId}`)
-      .gt('expires_at', now.toISOString())
-      .order('streak_days', { ascending: false });
-    
-    if (fetchError) {
-      error(`Error fetching user streaks: ${fetchError.message}`);
-      return [];
-    }
+    // Claimed on the day it replaces, so concurrent messages count the day once
+    let claim = supabase
+      .from('group_streaks')
+      .update({
+        streak_days: streakDays,
+        last_counted_day: today,
+        last_message_at: now,
+        expires_at: expiresAt,
+        updated_at: new Date()
+      })
+      .eq('group_id', groupId);
+    claim = currentStreak.last_counted_day
+      ? claim.eq('last_counted_day', currentStreak.last_counted_day)
+      : claim.is('last_counted_day', null);
+    
+    const { data: updatedStreak, error: updateError } = await claim
+      .select()
+      .maybeSingle();
     
-    // Format the streak data for easier consumption
-    return streaks.map(streak => {
-      const isUser1 = streak.user1_id === userId;
-      return {
-        conversationId: streak.conversation_id,
-        streakDays: streak.streak_days,
-        lastMessageAt: streak.last_message_at,
-        expiresAt: streak.expires_at,
-        otherUser: isUser1 ? streak.user2 : streak.user1
-      };
-    });
-  } catch (err) {
-    error(`Error in getUserActiveStreaks: ${err.message}`);
-    return [];
-  }
-};
-
-/**
- * Notify users about streak milestone
- * @param {object} streak - Streak data
- */
-const notifyStreakMilestone = async (streak) => {
-  try {
-    // Get user details
-    const { data: user1, error: user1Error } = await supabase
-      .from('users')
-      .select('username, profile_picture_url')
-      .eq('id', streak.user1_id)
-      .single();
-      
-    const { data: user2, error: user2Error } = await supabase
-      .from('users')
-      .select('username, profile_picture_url')
-      .eq('id', streak.user2_id)
-      .single();
-      
-    if (user1Error || user2Error) {
-      error('Error fetching user details for streak notification');
-      return;
+    if (updateError) {
+      error(`Error updating group streak: ${updateError.message}`);
+      return null;
     }
     
-    // Create notification for user1
-    await createNotification(streak.user1_id, NotificationType.STREAK_MILESTONE, {
-      streakDays: streak.streak_days,
-      userName: user2.username,
-      userPhoto: user2.profile_picture_url,
-      conversationId: streak.conversation_id
-    });
-    
-    // Create notification for user2
-    await createNotification(streak.user2_id, NotificationType.STREAK_MILESTONE, {
-      streakDays: streak.streak_days,
-      userName: user1.username,
-      userPhoto: user1.profile_picture_url,
-      conversationId: streak.conversation_id
-    });
-  } catch (err) {
-    error(`Error in notifyStreakMilestone: ${err.message}`);
-  }
-};
-
-/**
- * Notify users about streak reset
- * @param {object} streak - Streak data
- */
-const notifyStreakReset = async (streak) => {
-  try {
-    // Get user details
-    const { data: user1, error: user1Error } = await supabase
-      .from('users')
-      .select('username, profile_picture_url')
-      .eq('id', streak.user1_id)
-      .single();
-      
-    const { data: user2, error: user2Error } = await supabase
-      .from('users')
-      .select('username, profile_picture_url')
-      .eq('id', streak.user2_id)
-      .single();
-      
-    if (user1Error || user2Error) {
-      error('Error fetching user details for streak reset notification');
-      return;
+    if (!updatedStreak) {
+      return processGroupStreak(groupId, now);
     }
     
-    // Create notification for user1
-    await createNotification(streak.user1_id, NotificationType.STREAK_RESET, {
-      streakDays: streak.streak_days,
-      userName: user2.username,
-      userPhoto: user2.profile_picture_url,
-      conversationId: streak.conversation_id
-    });
-    
-    // Create notification for user2
-    await createNotification(streak.user2_id, NotificationType.STREAK_RESET, {
-      streakDays: streak.streak_days,
-      userName: user1.username,
-      userPhoto: user1.profile_picture_url,
-      conversationId: streak.conversation_id
-    });
+    info(`Processed streak for group ${groupId}: ${updatedStreak.streak_days} days`);
+    return updatedStreak;
   } catch (err) {
-    error(`Error in notifyStreakReset: ${err.message}`);
+    error(`Error in processGroupStreak: ${err.message}`);
+    return null;
   }
 };
 
 module.exports = {
-  processConversationStreak,
-  getActiveStreak,
-  getUserActiveStreaks
-}; 
\ No newline at end of file
+  processGroupStreak
+};
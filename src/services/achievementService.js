@@ -1,6 +1,48 @@
 const supabase = require('../config/database');
 const logger = require('../utils/logger');
 const notificationService = require('./notification/notificationService');
+const eventBus = require('./eventBus');
+const { getProfileFacts } = require('./userService');
+const { achievementSchema } = require('../models/achievement');
+
+/**
+ * Achievements are defined as data. Each one names the event that feeds it
+ * (event_type), how the events' payloads add up to its progress (rule) and the
+ * thresholds of its tiers. Services publish events on the event bus and one
+ * engine evaluates every active achievement of the event's type.
+ *
+ * rule: { aggregate, field, where, window_hours }
+ *   count    - matching events; with window_hours the count starts over when the window runs out
+ *   distinct - different values of field, such as the people a user messaged
+ *   max/min  - highest or lowest value of field; a min rule reaches a tier at or below its threshold
+ *   latest   - last value of field
+ *   where    - { field: value | [values] | { eq, ne, gt, gte, lt, lte, in } } that payloads must match
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const RULE_CACHE_TTL_MS = 60 * 1000;
+const MAX_PROGRESS_ATTEMPTS = 3;
+const BACKFILL_ROW_LIMIT = 5000;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T/;
+const UNIQUE_VIOLATION = '23505';
+
+const DEFINITION_FIELDS = ['key', 'name', 'description', 'badge_icon', 'badge_color', 'category', 'event_type', 'rule', 'tiers', 'is_active'];
+
+// Active achievements by event type; other nodes pick up admin changes when their entry expires
+const ruleCache = new Map();
+let engineInitialized = false;
+
+/**
+ * Failed service result
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {object} Failed result
+ */
+const fail = (status, message) => ({
+  success: false,
+  status,
+  message
+});
 
 /**
  * Get all available achievements
@@ -12,7 +54,7 @@ const getAllAchievements = async () => {
       .select('*')
       .order('category', { ascending: true })
       .order('points', { ascending: false });
-      
+
     if (error) throw error;
     return data;
   } catch (error) {
@@ -31,7 +73,7 @@ const getAchievementsByCategory = async (category) => {
       .select('*')
       .eq('category', category)
       .order('points', { ascending: false });
-      
+
     if (error) throw error;
     return data;
   } catch (error) {
@@ -53,7 +95,7 @@ const getUserAchievements = async (userId) => {
       `)
       .eq('user_id', userId)
       .order('earned_at', { ascending: false });
-      
+
     if (error) throw error;
     return data;
   } catch (error) {
@@ -64,6 +106,7 @@ const getUserAchievements = async (userId) => {
 
 /**
  * Get all completed achievements for a user
+ * An achievement is completed once its first tier is reached
  */
 const getUserCompletedAchievements = async (userId) => {
   try {
@@ -76,7 +119,7 @@ const getUserCompletedAchievements = async (userId) => {
       .eq('user_id', userId)
       .eq('completed', true)
       .order('earned_at', { ascending: false });
-      
+
     if (error) throw error;
     return data;
   } catch (error) {
@@ -95,31 +138,21 @@ const getUserAchievementProgress = async (userId) => {
     const { count: totalCount, error: countError } = await supabase
       .from('achievements')
       .select('id', { count: 'exact', head: true });
-      
+
     if (countError) throw countError;
-    
-    // Get completed achievements count
-    const { count: completedCount, error: completedError } = await supabase
+
+    // Get completed achievements and the points of the tiers reached
+    const { data: completed, error: completedError } = await supabase
       .from('user_achievements')
-      .select('id', { count: 'exact', head: true })
+      .select('points_earned')
       .eq('user_id', userId)
       .eq('completed', true);
-      
+
     if (completedError) throw completedError;
-    
-    // Get total points earned
-    const { data: pointsData, error: pointsError } = await supabase
-      .from('user_achievements')
-      .select(`
-        achievements (points)
-      `)
-      .eq('user_id', userId)
-      .eq('completed', true);
-      
-    if (pointsError) throw pointsError;
-    
-    const totalPoints = pointsData.reduce((sum, item) => sum + (item.achievements?.points || 0), 0);
-    
+
+    const completedCount = completed.length;
+    const totalPoints = completed.reduce((sum, item) => sum + (item.points_earned || 0), 0);
+
     return {
       total: totalCount,
       completed: completedCount,
@@ -133,443 +166,670 @@ const getUserAchievementProgress = async (userId) => {
 };
 
 /**
- * Check and update achievement progress for a user
- * @param {string} userId - User ID
- * @param {string} type - Achievement requirement type
- * @param {number} count - Current count/value for the achievement
+ * Value that can be compared; ISO dates compare by instant
+ * @param {*} value - Payload or rule value
+ * @returns {*} Comparable value
  */
-const checkAchievementProgress = async (userId, type, count = 1) => {
-  try {
-    // Get achievements that match this requirement type
-    const { data: achievements, error: achievementError } = await supabase
-      .from('achievements')
-      .select('*')
-      .eq('requirement_type', type);
-      
-    if (achievementError) throw achievementError;
-    
-    if (!achievements || achievements.length === 0) return [];
-    
-    const completedAchievements = [];
-    
-    for (const achievement of achievements) {
-      try {
-        // Check if user already has this achievement tracked
-        const { data: existingProgress, error: progressError } = await supabase
-          .from('user_achievements')
-          .select('*')
-          .eq('user_id', userId)
-          .eq('achievement_id', achievement.id)
-          .single();
-          
-        if (progressError && progressError.code !== 'PGRST116') { // Not found error is okay
-          throw progressError;
-        }
-        
-        if (existingProgress?.completed) {
-          // Achievement already completed, skip
-          continue;
-        }
-        
-        // Check if this update completes the achievement
-        const isCompleted = count >= achievement.requirement_count;
-        
-        if (existingProgress) {
-          // Update existing progress
-          const { error: updateError } = await supabase
-            .from('user_achievements')
-            .update({
-              progress: count,
-              completed: isCompleted,
-              earned_at: isCompleted ? new Date() : existingProgress.earned_at,
-              notified: false // Reset notification flag if status changed
-            })
-            .eq('id', existingProgress.id);
-            
-          if (updateError) throw updateError;
-          
-          if (isCompleted) {
-            completedAchievements.push({
-              ...achievement,
-              isNew: true
-            });
-          }
-        } else {
-          // Create new achievement progress entry
-          const { error: insertError } = await supabase
-            .from('user_achievements')
-            .insert({
-              user_id: userId,
-              achievement_id: achievement.id,
-              progress: count,
-              completed: isCompleted,
-              earned_at: new Date()
-            });
-            
-          if (insertError) throw insertError;
-          
-          if (isCompleted) {
-            completedAchievements.push({
-              ...achievement,
-              isNew: true
-            });
-          }
-        }
-      } catch (achError) {
-        logger.error(`Error processing achievement ${achievement.id} for user ${userId}: ${achError.message}`);
-      }
-    }
-    
-    // Send notification for new completed achievements
-    for (const achievement of completedAchievements) {
-      try {
-        await notificationService.createNotification(
-          userId,
-          'ACHIEVEMENT_EARNED',
-          {
-            achievementId: achievement.id,
-            name: achievement.name,
-            description: achievement.description,
-            badgeIcon: achievement.badge_icon,
-            badgeColor: achievement.badge_color,
-            points: achievement.points
-          }
-        );
-        
-        // Mark as notified
-        await supabase
-          .from('user_achievements')
-          .update({ notified: true })
-          .eq('user_id', userId)
-          .eq('achievement_id', achievement.id);
-      } catch (notifyError) {
-        logger.error(`Error notifying user ${userId} about achievement ${achievement.id}: ${notifyError.message}`);
-      }
-    }
-    
-    return completedAchievements;
-  } catch (error) {
-    logger.error(`Failed to check achievements for user ${userId} (${type}): ${error.message}`);
-    return [];
+const toComparable = (value) => (
+  typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? Date.parse(value) : value
+);
+
+const COMPARATORS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  gt: (actual, expected) => actual > expected,
+  gte: (actual, expected) => actual >= expected,
+  lt: (actual, expected) => actual < expected,
+  lte: (actual, expected) => actual <= expected,
+  in: (actual, expected) => expected.map(toComparable).includes(actual)
+};
+
+/**
+ * Whether a payload value meets a where condition
+ * @param {*} actual - Payload value
+ * @param {*} condition - Value, list of values, or { operator: value }
+ * @returns {boolean} True if it does
+ */
+const matchesCondition = (actual, condition) => {
+  if (actual === undefined || actual === null) {
+    return false;
+  }
+
+  if (Array.isArray(condition)) {
+    return COMPARATORS.in(toComparable(actual), condition);
   }
+
+  if (condition !== null && typeof condition === 'object') {
+    return Object.entries(condition).every(([operator, expected]) =>
+      COMPARATORS[operator](toComparable(actual), operator === 'in' ? expected : toComparable(expected)));
+  }
+
+  return toComparable(actual) === toComparable(condition);
 };
 
 /**
- * Check and update profile completion achievement
+ * Whether a payload matches a rule's where conditions
+ * @param {object} rule - Achievement rule
+ * @param {object} payload - Event payload
+ * @returns {boolean} True if it does
  */
-const checkProfileCompletion = async (userId) => {
-  try {
-    // Get user profile data
-    const { data: user, error: userError } = await supabase
-      .from('users')
-      .select('*')
-      .eq('id', userId)
-      .single();
-      
-    if (userError) throw userError;
-    
-    // Define required profile fields for 100% completion
-    const requiredFields = [
-      'first_name', 
-      'last_name', 
-      'username',
-      'email', 
-      'bio', 
-      'date_of_birth', 
-      'location',
-      'profile_picture_url'
-    ];
-    
-    // Optional fields that add to completion
-    const optionalFields = [
-      'phone_number',
-      'voice_bio_url',
-      'website',
-      'occupation'
-    ];
-    
-    // Calculate completion percentage
-    let filledRequiredFields = 0;
-    requiredFields.forEach(field => {
-      if (user[field] && user[field].toString().trim() !== '') {
-        filledRequiredFields++;
-      }
-    });
-    
-    let filledOptionalFields = 0;
-    optionalFields.forEach(field => {
-      if (user[field] && user[field].toString().trim() !== '') {
-        filledOptionalFields++;
-      }
-    });
-    
-    // Required fields make up 80% of completion, optional make up 20%
-    const requiredPercentage = (filledRequiredFields / requiredFields.length) * 80;
-    const optionalPercentage = (filledOptionalFields / optionalFields.length) * 20;
-    const completionPercentage = Math.min(100, Math.round(requiredPercentage + optionalPercentage));
-    
-    // Check for profile completion achievement
-    return await checkAchievementProgress(userId, 'profile_completion', completionPercentage);
-  } catch (error) {
-    logger.error(`Failed to check profile completion for user ${userId}: ${error.message}`);
-    return [];
+const matchesRule = (rule, payload) =>
+  Object.entries(rule.where || {}).every(([field, condition]) => matchesCondition(payload[field], condition));
+
+/**
+ * Numeric value of a payload field; true and false count as 1 and 0
+ * @param {*} value - Payload value
+ * @returns {number|null} Value, or null if it isn't a number
+ */
+const toProgressValue = (value) => {
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
   }
+  const number = Number(value);
+  return value !== null && value !== '' && Number.isFinite(number) ? Math.round(number) : null;
 };
 
 /**
- * Check for login streak achievement
+ * Whether progress reaches a tier
+ * @param {object} achievement - Achievement
+ * @param {number|null} progress - Progress
+ * @param {object} tier - { threshold }
+ * @returns {boolean} True if it does
  */
-const checkLoginStreak = async (userId, currentStreak) => {
-  try {
-    return await checkAchievementProgress(userId, 'login_streak', currentStreak);
-  } catch (error) {
-    logger.error(`Failed to check login streak for user ${userId}: ${error.message}`);
-    return [];
+const reachesTier = (achievement, progress, tier) => {
+  if (progress === null || progress === undefined) {
+    return false;
   }
+  return achievement.rule.aggregate === 'min' ? progress <= tier.threshold : progress >= tier.threshold;
 };
 
 /**
- * Check for conversation streak achievement
+ * Number of tiers a progress reaches; tiers are ordered from easiest to hardest
+ * @param {object} achievement - Achievement
+ * @param {number|null} progress - Progress
+ * @returns {number} Tiers reached
  */
-const checkConversationStreak = async (userId, conversationId, currentStreak) => {
-  try {
-    return await checkAchievementProgress(userId, 'conversation_streak', currentStreak);
-  } catch (error) {
-    logger.error(`Failed to check conversation streak for user ${userId}: ${error.message}`);
-    return [];
+const countTiersReached = (achievement, progress) => {
+  const index = achievement.tiers.findIndex(tier => !reachesTier(achievement, progress, tier));
+  return index === -1 ? achievement.tiers.length : index;
+};
+
+/**
+ * Points of the first tiers of an achievement
+ * @param {object} achievement - Achievement
+ * @param {number} tier - Tiers reached
+ * @returns {number} Points
+ */
+const pointsForTiers = (achievement, tier) =>
+  achievement.tiers.slice(0, tier).reduce((sum, { points }) => sum + (points || 0), 0);
+
+/**
+ * Progress of a user on an achievement, from its user_achievements row
+ * @param {object|null} row - user_achievements row
+ * @returns {object} { progress, tier, windowStartedAt, distinctValues }
+ */
+const toProgressState = (row) => ({
+  progress: row ? row.progress : null,
+  tier: row ? row.tier || 0 : 0,
+  windowStartedAt: row ? row.window_started_at : null,
+  distinctValues: row ? row.distinct_values || [] : []
+});
+
+/**
+ * Progress after an event
+ * @param {object} achievement - Achievement
+ * @param {object} state - Current progress, from toProgressState
+ * @param {object} payload - Event payload
+ * @param {Date} now - When the event happened
+ * @returns {object|null} New progress, or null if the event doesn't change it
+ */
+const applyEvent = (achievement, state, payload, now) => {
+  const { rule } = achievement;
+
+  if (rule.aggregate === 'count') {
+    const windowMs = rule.window_hours ? rule.window_hours * HOUR_MS : null;
+    if (windowMs && (!state.windowStartedAt || now - new Date(state.windowStartedAt) >= windowMs)) {
+      return { ...state, progress: 1, windowStartedAt: now.toISOString() };
+    }
+    return { ...state, progress: (state.progress || 0) + 1 };
   }
+
+  if (rule.aggregate === 'distinct') {
+    const value = payload[rule.field];
+    // Values stop being kept once the last tier is reached
+    if (value === undefined || value === null || state.distinctValues.includes(value)
+      || state.tier === achievement.tiers.length) {
+      return null;
+    }
+    return { ...state, progress: state.distinctValues.length + 1, distinctValues: [...state.distinctValues, value] };
+  }
+
+  const value = toProgressValue(payload[rule.field]);
+  if (value === null || value === state.progress) {
+    return null;
+  }
+  if (state.progress !== null && rule.aggregate === 'max' && value < state.progress) {
+    return null;
+  }
+  if (state.progress !== null && rule.aggregate === 'min' && value > state.progress) {
+    return null;
+  }
+  return { ...state, progress: value };
 };
 
 /**
- * Helper function to check for match-related achievements
+ * Progress after a backfill; backfilled progress never lowers what events recorded
+ * @param {object} achievement - Achievement
+ * @param {object} state - Current progress, from toProgressState
+ * @param {object} backfilled - { progress, distinctValues } computed from history
+ * @returns {object|null} New progress, or null if it doesn't change
  */
-const checkMatchAchievements = async (userId) => {
-  try {
-    // Get total match count
-    const { count: matchCount, error: countError } = await supabase
-      .from('matches')
-      .select('id', { count: 'exact', head: true })
-      .or(`user1_id.eq.${userId},user2_id.eq.${userId}`)
-      .eq('status', 'accepted');
-      
-    if (countError) throw countError;
-    
-    // Check for total matches achievement
-    const totalMatchAchievements = await checkAchievementProgress(userId, 'matches', matchCount);
-    
-    // Count matches from the last 24 hours
-    const oneDayAgo = new Date();
-    oneDayAgo.setDate(oneDayAgo.getDate() - 1);
-    
-    const { count: dailyMatchCount, error: dailyError } = await supabase
-      .from('matches')
-      .select('id', { count: 'exact', head: true })
-      .or(`user1_id.eq.${userId},user2_id.eq.${userId}`)
-      .eq('status', 'accepted')
-      .gte('accepted_at', oneDayAgo.toISOString());
-      
-    if (dailyError) throw dailyError;
-    
-    // Check for daily matches achievement
-    const dailyMatchAchievements = await checkAchievementProgress(userId, 'daily_matches', dailyMatchCount);
-    
-    return [...totalMatchAchievements, ...dailyMatchAchievements];
-  } catch (error) {
-    logger.error(`Failed to check match achievements for user ${userId}: ${error.message}`);
-    return [];
+const applyBackfill = (achievement, state, backfilled) => {
+  const { aggregate } = achievement.rule;
+
+  if (aggregate === 'distinct') {
+    const values = [...new Set([...state.distinctValues, ...backfilled.distinctValues])]
+      .slice(0, achievement.tiers[achievement.tiers.length - 1].threshold);
+    return values.length > state.distinctValues.length
+      ? { ...state, progress: values.length, distinctValues: values }
+      : null;
   }
+
+  const keepsCurrent = state.progress !== null && (aggregate === 'min'
+    ? backfilled.progress >= state.progress
+    : aggregate !== 'latest' && backfilled.progress <= state.progress);
+
+  return keepsCurrent || backfilled.progress === state.progress
+    ? null
+    : { ...state, progress: backfilled.progress };
 };
 
 /**
- * Check for verification achievement when a user gets verified
+ * Save a user's progress on an achievement
+ * Progress is read and written conditionally, so concurrent events for the same
+ * user are applied one after another instead of overwriting each other
+ * @param {string} userId - User ID
+ * @param {object} achievement - Achievement
+ * @param {Function} update - (state) => new state, or null to leave it
+ * @returns {Promise<object|null>} { achievement, previousTier, tier } or null if nothing changed
  */
-const checkVerificationAchievement = async (userId) => {
-  try {
-    return await checkAchievementProgress(userId, 'verified', 1);
-  } catch (error) {
-    logger.error(`Failed to check verification achievement for user ${userId}: ${error.message}`);
-    return [];
+const recordProgress = async (userId, achievement, update) => {
+  for (let attempt = 0; attempt < MAX_PROGRESS_ATTEMPTS; attempt++) {
+    const { data: existing, error: fetchError } = await supabase
+      .from('user_achievements')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('achievement_id', achievement.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+
+    const state = toProgressState(existing);
+    const next = update(state);
+    if (!next) {
+      return null;
+    }
+
+    const now = new Date();
+    const tier = Math.max(state.tier, countTiersReached(achievement, next.progress));
+    const changes = {
+      progress: next.progress,
+      window_started_at: next.windowStartedAt,
+      distinct_values: next.distinctValues,
+      tier,
+      points_earned: pointsForTiers(achievement, tier),
+      completed: tier > 0,
+      updated_at: now.toISOString(),
+      ...(tier > state.tier ? { notified: false } : {}),
+      ...(tier > 0 && state.tier === 0 ? { earned_at: now.toISOString() } : {})
+    };
+
+    let saved;
+    if (existing) {
+      const { data, error } = await supabase
+        .from('user_achievements')
+        .update(changes)
+        .eq('id', existing.id)
+        .eq('updated_at', existing.updated_at)
+        .select('id');
+
+      if (error) throw error;
+      saved = data && data.length > 0;
+    } else {
+      const { error } = await supabase
+        .from('user_achievements')
+        .insert({
+          user_id: userId,
+          achievement_id: achievement.id,
+          earned_at: null,
+          ...changes
+        });
+
+      if (error && error.code !== UNIQUE_VIOLATION) throw error;
+      saved = !error;
+    }
+
+    if (saved) {
+      return { achievement, previousTier: state.tier, tier };
+    }
   }
+
+  logger.warn(`Gave up recording progress on achievement ${achievement.id} for user ${userId}: too many concurrent updates`);
+  return null;
 };
 
 /**
- * Check for voice bio achievement
+ * Achievement as returned when tiers are newly reached
+ * @param {object} result - From recordProgress
+ * @returns {object} Achievement with tier, tierName, points of the new tiers and isNew
  */
-const checkVoiceBioAchievement = async (userId) => {
-  try {
-    // Check if user has a voice bio
-    const { data: user, error: userError } = await supabase
-      .from('users')
-      .select('voice_bio_url')
-      .eq('id', userId)
-      .single();
-      
-    if (userError) throw userError;
-    
-    const hasVoiceBio = user && user.voice_bio_url ? 1 : 0;
-    return await checkAchievementProgress(userId, 'voice_bio', hasVoiceBio);
-  } catch (error) {
-    logger.error(`Failed to check voice bio achievement for user ${userId}: ${error.message}`);
-    return [];
+const toEarnedAchievement = ({ achievement, previousTier, tier }) => ({
+  ...achievement,
+  tier,
+  tierName: achievement.tiers[tier - 1].name || null,
+  points: pointsForTiers(achievement, tier) - pointsForTiers(achievement, previousTier),
+  isNew: true
+});
+
+/**
+ * Notify a user about newly reached achievement tiers
+ * @param {string} userId - User ID
+ * @param {Array<object>} earned - From toEarnedAchievement
+ */
+const notifyEarned = async (userId, earned) => {
+  for (const achievement of earned) {
+    try {
+      await notificationService.createNotification(
+        userId,
+        'ACHIEVEMENT_EARNED',
+        {
+          achievementId: achievement.id,
+          name: achievement.name,
+          description: achievement.description,
+          badgeIcon: achievement.badge_icon,
+          badgeColor: achievement.badge_color,
+          tier: achievement.tier,
+          tierName: achievement.tierName,
+          points: achievement.points
+        }
+      );
+
+      // Mark as notified
+      await supabase
+        .from('user_achievements')
+        .update({ notified: true })
+        .eq('user_id', userId)
+        .eq('achievement_id', achievement.id);
+    } catch (notifyError) {
+      logger.error(`Error notifying user ${userId} about achievement ${achievement.id}: ${notifyError.message}`);
+    }
   }
 };
 
 /**
- * Check for conversation started achievement
+ * Active achievements fed by an event type
+ * @param {string} eventType - Event type
+ * @returns {Promise<Array<object>>} Achievements
  */
-const checkConversationsStarted = async (userId) => {
-  try {
-    // Get count of conversations started by this user
-    const { count, error } = await supabase
-      .from('messages')
-      .select('conversation_id', { count: 'exact', head: true, distinct: true })
-      .eq('sender_id', userId);
-      
-    if (error) throw error;
-    
-    return await checkAchievementProgress(userId, 'conversations_started', count || 0);
-  } catch (error) {
-    logger.error(`Failed to check conversations started for user ${userId}: ${error.message}`);
-    return [];
+const getActiveAchievements = async (eventType) => {
+  const cached = ruleCache.get(eventType);
+  if (cached && Date.now() - cached.loadedAt < RULE_CACHE_TTL_MS) {
+    return cached.achievements;
   }
+
+  const { data, error } = await supabase
+    .from('achievements')
+    .select('*')
+    .eq('event_type', eventType)
+    .eq('is_active', true);
+
+  if (error) throw error;
+
+  ruleCache.set(eventType, { achievements: data || [], loadedAt: Date.now() });
+  return data || [];
 };
 
 /**
- * Check for profile pictures achievement
+ * Evaluate the achievements fed by an event
+ * @param {string} eventType - Event type
+ * @param {object} payload - Event payload, with the userId it is about
+ * @returns {Promise<Array<object>>} Achievements with newly reached tiers
  */
-const checkProfilePictures = async (userId) => {
-  try {
-    // In real implementation, you would count from a photos or gallery table
-    // For this example, we'll just check if they have a profile picture
-    const { data: user, error: userError } = await supabase
-      .from('users')
-      .select('profile_picture_url')
-      .eq('id', userId)
-      .single();
-      
-    if (userError) throw userError;
-    
-    const hasPicture = user && user.profile_picture_url ? 1 : 0;
-    return await checkAchievementProgress(userId, 'profile_pictures', hasPicture);
-  } catch (error) {
-    logger.error(`Failed to check profile pictures for user ${userId}: ${error.message}`);
+const evaluateEvent = async (eventType, payload) => {
+  if (!payload || !payload.userId) {
     return [];
   }
+
+  const { userId } = payload;
+  const achievements = (await getActiveAchievements(eventType))
+    .filter(achievement => matchesRule(achievement.rule, payload));
+
+  const earned = [];
+  for (const achievement of achievements) {
+    try {
+      const result = await recordProgress(userId, achievement, state => applyEvent(achievement, state, payload, new Date()));
+      if (result && result.tier > result.previousTier) {
+        earned.push(toEarnedAchievement(result));
+      }
+    } catch (achError) {
+      logger.error(`Error processing achievement ${achievement.id} for user ${userId}: ${achError.message}`);
+    }
+  }
+
+  await notifyEarned(userId, earned);
+  return earned;
 };
 
 /**
- * Check early adopter achievement for new users
+ * Subscribe the achievement engine to every event on the bus
  */
-const checkEarlyAdopter = async (userId, createdAt) => {
-  try {
-    // Get app launch date (hardcoded example - in real app, would be from settings)
-    const appLaunchDate = new Date('2024-01-01'); // Example launch date
-    const userCreationDate = new Date(createdAt);
-    
-    // Check if user joined within 30 days of launch
-    const timeDifference = userCreationDate - appLaunchDate;
-    const daysDifference = timeDifference / (1000 * 60 * 60 * 24);
-    
-    const isEarlyAdopter = daysDifference <= 30 ? 1 : 0;
-    return await checkAchievementProgress(userId, 'early_adopter', isEarlyAdopter);
-  } catch (error) {
-    logger.error(`Failed to check early adopter status for user ${userId}: ${error.message}`);
-    return [];
+const initializeAchievementEngine = () => {
+  if (engineInitialized) {
+    return;
   }
+  engineInitialized = true;
+
+  Object.values(eventBus.EVENTS).forEach(eventType => {
+    eventBus.subscribe(eventType, payload => evaluateEvent(eventType, payload));
+  });
+
+  logger.info('Achievement engine subscribed to events');
 };
 
 /**
- * Check for mini-game completion achievements
+ * Backfilled progress from a single set of facts, matched like an event payload
+ * @param {object} rule - Achievement rule
+ * @param {object} facts - Payload-like facts about the user
+ * @returns {object|null} { progress, distinctValues }, or null if the facts don't count
+ */
+const progressFromFacts = (rule, facts) => {
+  if (!matchesRule(rule, facts)) {
+    return null;
+  }
+  if (rule.aggregate === 'count') {
+    return { progress: 1, distinctValues: [] };
+  }
+  if (rule.aggregate === 'distinct') {
+    const value = facts[rule.field];
+    return value === undefined || value === null ? null : { progress: 1, distinctValues: [value] };
+  }
+  const value = toProgressValue(facts[rule.field]);
+  return value === null ? null : { progress: value, distinctValues: [] };
+};
+
+/**
+ * Completed games of a user
  * @param {string} userId - User ID
+ * @returns {Promise<Array<object>>} Game instances
  */
-const checkMiniGameCompletion = async (userId) => {
-  try {
-    // Count completed games for this user
-    const { data: gameCount, error: countError } = await supabase
-      .from('game_instances')
+const getCompletedGames = async (userId) => {
+  const { data, error } = await supabase
+    .from('game_instances')
+    .select('id, initiator_id, responder_id, score')
+    .or(`initiator_id.eq.${userId},responder_id.eq.${userId}`)
+    .eq('status', 'completed')
+    .limit(BACKFILL_ROW_LIMIT);
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Whether a user won a completed game
+ * @param {object} game - Game instance
+ * @param {string} userId - User ID
+ * @returns {boolean} True if they scored higher than their opponent
+ */
+const isGameWon = (game, userId) => {
+  const score = game.score || {};
+  const opponentId = game.initiator_id === userId ? game.responder_id : game.initiator_id;
+  return (score[userId] || 0) > (score[opponentId] || 0);
+};
+
+/**
+ * Progress of a user computed from history, by event type
+ * Each returns { progress, distinctValues }, or null when the rule can't be
+ * computed from history (such as rules with where conditions on message fields)
+ */
+const BACKFILL_SOURCES = {
+  'message.sent': async (user, rule) => {
+    const columns = { receiverId: 'receiver_id', groupId: 'group_id' };
+    if (rule.where || (rule.aggregate !== 'count' && !(rule.aggregate === 'distinct' && columns[rule.field]))) {
+      return null;
+    }
+
+    if (rule.aggregate === 'count') {
+      const { count, error } = await supabase
+        .from('messages')
+        .select('id', { count: 'exact', head: true })
+        .eq('sender_id', user.id);
+
+      if (error) throw error;
+      return { progress: count || 0, distinctValues: [] };
+    }
+
+    const column = columns[rule.field];
+    const { data, error } = await supabase
+      .from('messages')
+      .select(column)
+      .eq('sender_id', user.id)
+      .not(column, 'is', null)
+      .limit(BACKFILL_ROW_LIMIT);
+
+    if (error) throw error;
+    const values = [...new Set((data || []).map(row => row[column]))];
+    return { progress: values.length, distinctValues: values };
+  },
+
+  'match.accepted': async (user, rule) => {
+    if (rule.aggregate !== 'count' || rule.where || rule.window_hours) {
+      return null;
+    }
+
+    const { count, error } = await supabase
+      .from('matches')
       .select('id', { count: 'exact', head: true })
-      .or(`initiator_id.eq.${userId},responder_id.eq.${userId}`)
-      .eq('status', 'completed');
-      
-    if (countError) throw countError;
-    
-    // Map game count to achievement thresholds
-    const count = gameCount || 0;
-    const thresholds = [
-      { count: 1, achievement: 'first_mini_game' },
-      { count: 5, achievement: 'mini_game_enthusiast' },
-      { count: 20, achievement: 'game_master' }
-    ];
-    
-    // Check each threshold
-    const unlockedAchievements = [];
-    for (const threshold of thresholds) {
-      if (count >= threshold.count) {
-        const result = await checkAchievementProgress(userId, threshold.achievement, 1);
-        if (result && result.length > 0) {
-          unlockedAchievements.push(...result);
+      .or(`user1_id.eq.${user.id},user2_id.eq.${user.id}`)
+      .eq('status', 'accepted');
+
+    if (error) throw error;
+    return { progress: count || 0, distinctValues: [] };
+  },
+
+  'game.completed': async (user, rule) => {
+    if (rule.aggregate !== 'count' || rule.where || rule.window_hours) {
+      return null;
+    }
+    return { progress: (await getCompletedGames(user.id)).length, distinctValues: [] };
+  },
+
+  'game.won': async (user, rule) => {
+    if (rule.aggregate !== 'count' || rule.where || rule.window_hours) {
+      return null;
+    }
+    const wins = (await getCompletedGames(user.id)).filter(game => isGameWon(game, user.id));
+    return { progress: wins.length, distinctValues: [] };
+  },
+
+  'streak.milestone': async (user, rule) => {
+    if (rule.aggregate !== 'max' || rule.field !== 'streakDays' || rule.where) {
+      return null;
+    }
+
+    const { data, error } = await supabase
+      .from('conversation_streaks')
+      .select('longest_streak')
+      .or(`user1_id.eq.${user.id},user2_id.eq.${user.id}`)
+      .order('longest_streak', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    return data && data.length > 0 ? { progress: data[0].longest_streak || 0, distinctValues: [] } : null;
+  },
+
+  'verification.approved': async (user, rule) =>
+    (user.is_verified && !rule.window_hours ? progressFromFacts(rule, {}) : null),
+
+  'profile.updated': async (user, rule) => progressFromFacts(rule, getProfileFacts(user)),
+
+  'user.registered': async (user, rule) => progressFromFacts(rule, { createdAt: user.created_at })
+};
+
+/**
+ * Award achievements from users' history, for achievements added after the fact
+ * Users are processed in batches ordered by ID. Backfilled tiers aren't notified.
+ * Achievements whose event has no history source (such as leaderboard ranks) are skipped.
+ * @param {object} options - { achievementId, afterUserId, limit }
+ * @returns {Promise<object>} { success, data: { processed, awarded, skipped, nextCursor } } or a failed result
+ */
+const backfillAchievements = async ({ achievementId = null, afterUserId = null, limit = 100 } = {}) => {
+  let query = supabase
+    .from('achievements')
+    .select('*')
+    .eq('is_active', true)
+    .not('event_type', 'is', null);
+
+  if (achievementId) {
+    query = query.eq('id', achievementId);
+  }
+
+  const { data: achievements, error: achievementsError } = await query;
+  if (achievementsError) throw achievementsError;
+
+  if (achievementId && (!achievements || achievements.length === 0)) {
+    return fail(404, 'Active achievement not found');
+  }
+
+  const backfillable = achievements.filter(achievement => BACKFILL_SOURCES[achievement.event_type]);
+  const skipped = achievements
+    .filter(achievement => !BACKFILL_SOURCES[achievement.event_type])
+    .map(achievement => achievement.key);
+
+  let usersQuery = supabase
+    .from('users')
+    .select('*')
+    .order('id', { ascending: true })
+    .limit(limit);
+
+  if (afterUserId) {
+    usersQuery = usersQuery.gt('id', afterUserId);
+  }
+
+  const { data: users, error: usersError } = await usersQuery;
+  if (usersError) throw usersError;
+
+  let awarded = 0;
+
+  for (const user of users || []) {
+    for (const achievement of backfillable) {
+      try {
+        const backfilled = await BACKFILL_SOURCES[achievement.event_type](user, achievement.rule);
+        if (!backfilled) continue;
+
+        const result = await recordProgress(user.id, achievement, state => applyBackfill(achievement, state, backfilled));
+        if (result && result.tier > result.previousTier) {
+          awarded++;
         }
+      } catch (backfillError) {
+        logger.error(`Error backfilling achievement ${achievement.id} for user ${user.id}: ${backfillError.message}`);
       }
     }
-    
-    return unlockedAchievements;
-  } catch (error) {
-    logger.error(`Failed to check mini-game completion for user ${userId}: ${error.message}`);
-    return [];
   }
+
+  const processed = (users || []).length;
+  logger.info(`Backfilled ${backfillable.length} achievements for ${processed} users: ${awarded} tiers awarded`);
+
+  return {
+    success: true,
+    data: {
+      processed,
+      awarded,
+      skipped,
+      nextCursor: processed === limit ? users[processed - 1].id : null
+    }
+  };
 };
 
 /**
- * Check for mini-game win achievements
- * @param {string} userId - User ID
+ * Columns of an achievement definition, with the legacy columns derived from it
+ * @param {object} definition - Validated definition
+ * @returns {object} achievements columns
  */
-const checkMiniGameWin = async (userId) => {
-  try {
-    // Count wins (we determine wins by checking if the user's score was higher)
-    const { data: games, error: gamesError } = await supabase
-      .from('game_instances')
-      .select('*')
-      .or(`initiator_id.eq.${userId},responder_id.eq.${userId}`)
-      .eq('status', 'completed');
-      
-    if (gamesError) throw gamesError;
-    
-    // Count wins
-    let winCount = 0;
-    if (games) {
-      winCount = games.filter(game => {
-        const isInitiator = game.initiator_id === userId;
-        const userScore = isInitiator ? (game.score[userId] || 0) : (game.score[userId] || 0);
-        const opponentId = isInitiator ? game.responder_id : game.initiator_id;
-        const opponentScore = game.score[opponentId] || 0;
-        
-        return userScore > opponentScore;
-      }).length;
-    }
-    
-    // Map win count to achievement thresholds
-    const thresholds = [
-      { count: 1, achievement: 'first_game_win' },
-      { count: 5, achievement: 'winning_streak' },
-      { count: 15, achievement: 'game_champion' }
-    ];
-    
-    // Check each threshold
-    const unlockedAchievements = [];
-    for (const threshold of thresholds) {
-      if (winCount >= threshold.count) {
-        const result = await checkAchievementProgress(userId, threshold.achievement, 1);
-        if (result && result.length > 0) {
-          unlockedAchievements.push(...result);
-        }
-      }
+const toAchievementColumns = (definition) => ({
+  ...definition,
+  points: pointsForTiers(definition, definition.tiers.length),
+  requirement_type: definition.key,
+  requirement_count: definition.tiers[definition.tiers.length - 1].threshold,
+  updated_at: new Date().toISOString()
+});
+
+/**
+ * Create an achievement
+ * @param {object} definition - Validated by achievementSchema
+ * @returns {Promise<object>} { success, data } or a failed result
+ */
+const createAchievement = async (definition) => {
+  const { data, error } = await supabase
+    .from('achievements')
+    .insert(toAchievementColumns(definition))
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      return fail(409, `An achievement with key ${definition.key} already exists`);
     }
-    
-    return unlockedAchievements;
-  } catch (error) {
-    logger.error(`Failed to check mini-game wins for user ${userId}: ${error.message}`);
-    return [];
+    throw error;
+  }
+
+  ruleCache.delete(data.event_type);
+  logger.info(`Achievement ${data.key} created for ${data.event_type} events`);
+
+  return { success: true, data };
+};
+
+/**
+ * Update an achievement, or deactivate it with { is_active: false }
+ * Progress already recorded is kept; tiers already reached are never taken away
+ * @param {string} achievementId - Achievement ID
+ * @param {object} changes - Validated by achievementUpdateSchema
+ * @returns {Promise<object>} { success, data } or a failed result
+ */
+const updateAchievement = async (achievementId, changes) => {
+  const { data: existing, error: fetchError } = await supabase
+    .from('achievements')
+    .select('*')
+    .eq('id', achievementId)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  if (!existing) {
+    return fail(404, 'Achievement not found');
   }
+
+  const current = Object.fromEntries(DEFINITION_FIELDS
+    .filter(field => existing[field] !== null && existing[field] !== undefined)
+    .map(field => [field, existing[field]]));
+
+  const { error: validationError, value: definition } = achievementSchema.validate({ ...current, ...changes });
+  if (validationError) {
+    return fail(400, validationError.details[0].message);
+  }
+
+  const { data, error } = await supabase
+    .from('achievements')
+    .update(toAchievementColumns(definition))
+    .eq('id', achievementId)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  ruleCache.delete(existing.event_type);
+  ruleCache.delete(data.event_type);
+  logger.info(`Achievement ${data.key} updated`);
+
+  return { success: true, data };
 };
 
 module.exports = {
@@ -578,16 +838,9 @@ module.exports = {
   getUserAchievements,
   getUserCompletedAchievements,
   getUserAchievementProgress,
-  checkAchievementProgress,
-  checkProfileCompletion,
-  checkLoginStreak,
-  checkConversationStreak,
-  checkMatchAchievements,
-  checkVerificationAchievement,
-  checkVoiceBioAchievement,
-  checkConversationsStarted,
-  checkProfilePictures,
-  checkEarlyAdopter,
-  checkMiniGameCompletion,
-  checkMiniGameWin
-}; 
\ No newline at end of file
+  evaluateEvent,
+  initializeAchievementEngine,
+  backfillAchievements,
+  createAchievement,
+  updateAchievement
+};
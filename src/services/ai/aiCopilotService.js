@@ -0,0 +1,327 @@
+/**
+ * AI copilot
+ * Message suggestions, profile bios, icebreakers, conversation mood and
+ * re-engagement notifications, through the provider configured for the
+ * assistant (and notifications) feature. Each feature has a data-only form
+ * (suggestMessages, writeProfileBio...) that can run offline against the fake
+ * provider, and a loader (generateMessageSuggestions...) used by the socket
+ * handlers. When the provider fails, features answer with fallbacks instead.
+ */
+
+const supabase = require('../../config/database');
+const logger = require('../../utils/logger');
+const userService = require('../userService');
+const { getConversationPage } = require('../messageService');
+const { AI_FEATURES, generateText, generateJson, classify } = require('./aiService');
+
+const SUGGESTION_COUNT = 3;
+const ICEBREAKER_COUNT = 3;
+const SUGGESTION_CONTEXT_MESSAGES = 20;
+const MOOD_CONTEXT_MESSAGES = 30;
+const MAX_BIO_LENGTH = 500;
+
+const CONVERSATION_MOODS = ['happy', 'excited', 'romantic', 'curious', 'neutral', 'bored', 'sad', 'tense'];
+
+const FALLBACK_SUGGESTIONS = [
+  'How has your day been?',
+  'What are you up to this weekend?',
+  'Tell me more about that!'
+];
+
+const FALLBACK_ICEBREAKERS = [
+  "What's something you're looking forward to this month?",
+  "What's the best trip you've ever taken?",
+  'If you could pick up any new skill overnight, what would it be?'
+];
+
+const FALLBACK_BIO = "I'm here to meet new people, share good conversations and see where they lead. Say hi!";
+
+const FALLBACK_MOOD = { mood: 'neutral', confidence: 0.5 };
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const stringListSchema = (name, count) => ({
+  type: 'object',
+  properties: {
+    [name]: {
+      type: 'array',
+      items: { type: 'string', minLength: 1, maxLength: 200 },
+      minItems: count,
+      maxItems: count
+    }
+  },
+  required: [name],
+  additionalProperties: false
+});
+
+/**
+ * Describe a user's profile for a prompt
+ * @param {object|null} user - users row
+ * @returns {string} Profile summary
+ */
+const describeProfile = (user) => [
+  user?.first_name && `Name: ${user.first_name}`,
+  Array.isArray(user?.interests) && user.interests.length > 0 && `Interests: ${user.interests.join(', ')}`,
+  user?.occupation && `Occupation: ${user.occupation}`,
+  user?.education && `Education: ${user.education}`,
+  user?.preference && `Looking for: ${user.preference}`,
+  user?.bio && `Current bio: ${user.bio}`
+].filter(Boolean).join('\n') || 'No profile details';
+
+/**
+ * Format messages as a transcript, oldest first
+ * @param {Array<object>} messages - messages rows, oldest first
+ * @param {string} userId - User the transcript is written for
+ * @returns {string} Transcript
+ */
+const formatTranscript = (messages, userId) => messages
+  .filter(message => message.content)
+  .map(message => `${message.sender_id === userId ? 'Me' : 'Them'}: ${message.content}`)
+  .join('\n');
+
+/**
+ * Run a feature, answering with its fallback if the provider fails
+ * @param {string} name - Feature name, for logs
+ * @param {Function} run - async () => result
+ * @param {*} fallback - Result when run fails
+ * @returns {Promise<*>} Result
+ */
+const withFallback = async (name, run, fallback) => {
+  try {
+    return await run();
+  } catch (err) {
+    logger.warn(`AI ${name} unavailable, using fallback: ${err.message}`);
+    return fallback;
+  }
+};
+
+/**
+ * Suggest replies for a conversation
+ * @param {object} context - { user, messages (oldest first) }
+ * @returns {Promise<Array<string>>} Suggestions
+ */
+const suggestMessages = ({ user, messages }) => withFallback('message suggestions', async () => {
+  const prompt = `
+    Suggest ${SUGGESTION_COUNT} short, friendly messages I could send next in this chat on a social app.
+    Keep each under 150 characters, match the tone of the conversation and don't repeat what was already said.
+
+    About me:
+    ${describeProfile(user)}
+
+    Conversation:
+    ${formatTranscript(messages, user.id) || '(no messages yet)'}
+  `;
+
+  const { suggestions } = await generateJson(AI_FEATURES.ASSISTANT, prompt, stringListSchema('suggestions', SUGGESTION_COUNT), { temperature: 0.7 });
+  return suggestions;
+}, FALLBACK_SUGGESTIONS);
+
+/**
+ * Write a profile bio
+ * @param {object} user - users row
+ * @returns {Promise<string>} Bio, first person
+ */
+const writeProfileBio = (user) => withFallback('profile bio', async () => {
+  const prompt = `
+    Write a short profile bio for a social app, in the first person, natural and warm, under 300 characters.
+    Use only the details below; don't invent facts. Answer with the bio only.
+
+    ${describeProfile(user)}
+  `;
+
+  const bio = await generateText(AI_FEATURES.ASSISTANT, prompt, { temperature: 0.8, maxTokens: 200 });
+  return bio.replace(/^["']|["']$/g, '').slice(0, MAX_BIO_LENGTH);
+}, FALLBACK_BIO);
+
+/**
+ * Write icebreakers for a new match
+ * @param {object} context - { user, otherUser, sharedInterests }
+ * @returns {Promise<Array<string>>} Icebreaker questions
+ */
+const writeIcebreakers = ({ user, otherUser, sharedInterests = [] }) => withFallback('icebreakers', async () => {
+  const prompt = `
+    Write ${ICEBREAKER_COUNT} open-ended icebreaker questions I could send to a new match on a social app.
+    Base them on what we have in common and on their profile; keep each under 150 characters.
+
+    Shared interests: ${sharedInterests.length > 0 ? sharedInterests.join(', ') : 'none known'}
+
+    About me:
+    ${describeProfile(user)}
+
+    About them:
+    ${describeProfile(otherUser)}
+  `;
+
+  const { icebreakers } = await generateJson(AI_FEATURES.ASSISTANT, prompt, stringListSchema('icebreakers', ICEBREAKER_COUNT), { temperature: 0.8 });
+  return icebreakers;
+}, FALLBACK_ICEBREAKERS);
+
+/**
+ * Detect the mood of a conversation
+ * @param {Array<object>} messages - messages rows, oldest first
+ * @returns {Promise<object>} { mood, confidence }
+ */
+const detectMood = (messages) => {
+  const transcript = messages
+    .filter(message => message.content)
+    .map(message => `${message.sender_id}: ${message.content}`)
+    .join('\n');
+
+  if (!transcript) {
+    return Promise.resolve(FALLBACK_MOOD);
+  }
+
+  return withFallback('mood detection', async () => {
+    const { label, confidence } = await classify(AI_FEATURES.ASSISTANT, transcript, CONVERSATION_MOODS, {
+      instructions: 'Detect the overall emotional tone of this chat conversation between two people.'
+    });
+    return { mood: label, confidence };
+  }, FALLBACK_MOOD);
+};
+
+/**
+ * Write a re-engagement notification for an inactive user
+ * @param {object} userActivity - { daysSinceLogin, unreadMessages, newMatches, activeConversations,
+ *   streakAboutToExpire, currentStreakDays }
+ * @returns {Promise<object>} { type, text, priority }
+ */
+const generatePersonalizedNotification = async (userActivity) => {
+  const priority = userActivity.streakAboutToExpire ? 'high' : 'normal';
+
+  const fallbackText = userActivity.streakAboutToExpire
+    ? `Your ${userActivity.currentStreakDays}-day streak is about to end. Send a message to keep it going!`
+    : userActivity.unreadMessages > 0
+      ? `You have ${userActivity.unreadMessages} unread message${userActivity.unreadMessages === 1 ? '' : 's'} waiting for you.`
+      : "You have new matches waiting. Come back and say hi!";
+
+  const text = await withFallback('re-engagement notification', async () => {
+    const prompt = `
+      Write one push notification (under 120 characters, no hashtags) inviting a user back to a social app.
+      Mention the most compelling item below. Answer with the notification text only.
+
+      Days since last visit: ${userActivity.daysSinceLogin}
+      Unread messages: ${userActivity.unreadMessages}
+      New matches: ${userActivity.newMatches}
+      Active conversations: ${userActivity.activeConversations}
+      Streak about to expire: ${userActivity.streakAboutToExpire ? `yes, ${userActivity.currentStreakDays} days` : 'no'}
+    `;
+
+    return (await generateText(AI_FEATURES.NOTIFICATIONS, prompt, { temperature: 0.8, maxTokens: 100 })).slice(0, 200);
+  }, fallbackText);
+
+  return { type: 'RE_ENGAGEMENT', text, priority };
+};
+
+/**
+ * The other participant of a direct conversation the user is part of
+ * @param {string} userId - Requesting user
+ * @param {string} conversationId - Other user's ID, or conv_<userA>_<userB>
+ * @returns {string} Other user's ID
+ * @throws {Error} If the conversation doesn't involve the user
+ */
+const resolveOtherUserId = (userId, conversationId) => {
+  if (typeof conversationId === 'string' && conversationId.startsWith('conv_')) {
+    const participants = conversationId.substring(5).split('_');
+    if (participants.length === 2 && participants.includes(userId)) {
+      return participants.find(participant => participant !== userId) || userId;
+    }
+  } else if (typeof conversationId === 'string' && UUID_PATTERN.test(conversationId)) {
+    return conversationId;
+  }
+
+  throw new Error(`Invalid conversation ${conversationId} for user ${userId}`);
+};
+
+/**
+ * Load the latest messages of a direct conversation, oldest first
+ * Only messages visible to the user are returned
+ */
+const loadConversation = async (userId, conversationId, limit) => {
+  const otherUserId = resolveOtherUserId(userId, conversationId);
+  const { messages } = await getConversationPage(userId, otherUserId, { limit, cursor: null });
+  return messages;
+};
+
+/**
+ * Suggest replies for one of the user's conversations
+ * @param {string} userId - Requesting user
+ * @param {string} conversationId - Other user's ID, or conv_<userA>_<userB>
+ * @returns {Promise<Array<string>>} Suggestions
+ */
+const generateMessageSuggestions = async (userId, conversationId) => {
+  const [user, messages] = await Promise.all([
+    userService.getUserById(userId),
+    loadConversation(userId, conversationId, SUGGESTION_CONTEXT_MESSAGES)
+  ]);
+
+  return suggestMessages({ user: user || { id: userId }, messages });
+};
+
+/**
+ * Write a profile bio for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} Bio
+ */
+const generateProfileBio = async (userId) => {
+  const user = await userService.getUserById(userId);
+  if (!user) {
+    throw new Error(`User ${userId} not found`);
+  }
+
+  return writeProfileBio(user);
+};
+
+/**
+ * Write icebreakers for one of the user's matches
+ * @param {string} userId - Requesting user
+ * @param {string} matchId - Match ID or chat room ID
+ * @returns {Promise<Array<string>>} Icebreaker questions
+ */
+const generateIcebreakers = async (userId, matchId) => {
+  if (!UUID_PATTERN.test(String(matchId))) {
+    throw new Error(`Invalid match ID ${matchId}`);
+  }
+
+  const { data: match, error } = await supabase
+    .from('matches')
+    .select('user1_id, user2_id, shared_interests')
+    .or(`id.eq.${matchId},chat_room_id.eq.${matchId}`)
+    .or(`user1_id.eq.${userId},user2_id.eq.${userId}`)
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!match) {
+    throw new Error(`Match ${matchId} not found for user ${userId}`);
+  }
+
+  const otherUserId = match.user1_id === userId ? match.user2_id : match.user1_id;
+  const [user, otherUser] = await Promise.all([
+    userService.getUserById(userId),
+    userService.getUserById(otherUserId)
+  ]);
+
+  return writeIcebreakers({ user, otherUser, sharedInterests: match.shared_interests || [] });
+};
+
+/**
+ * Detect the mood of one of the user's conversations
+ * @param {string} userId - Requesting user
+ * @param {string} conversationId - Other user's ID, or conv_<userA>_<userB>
+ * @returns {Promise<object>} { mood, confidence }
+ */
+const detectConversationMood = async (userId, conversationId) =>
+  detectMood(await loadConversation(userId, conversationId, MOOD_CONTEXT_MESSAGES));
+
+module.exports = {
+  CONVERSATION_MOODS,
+  suggestMessages,
+  writeProfileBio,
+  writeIcebreakers,
+  detectMood,
+  generatePersonalizedNotification,
+  generateMessageSuggestions,
+  generateProfileBio,
+  generateIcebreakers,
+  detectConversationMood
+};
@@ -0,0 +1,53 @@
+/**
+ * Errors raised by the AI layer
+ * Every provider failure carries one of these codes, so features can fall back
+ * the same way whichever provider is configured.
+ */
+
+const AI_NOT_CONFIGURED_CODE = 'AI_NOT_CONFIGURED';
+const AI_REQUEST_FAILED_CODE = 'AI_REQUEST_FAILED';
+const AI_INVALID_RESPONSE_CODE = 'AI_INVALID_RESPONSE';
+
+/**
+ * Create an AI error
+ * @param {string} code - One of the AI_*_CODE constants
+ * @param {string} message - Error message
+ * @param {object} details - Extra properties, such as the HTTP status
+ * @returns {Error} Error with a code
+ */
+const aiError = (code, message, details = {}) => {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, details);
+  return err;
+};
+
+/**
+ * Safely extract error details to avoid circular references
+ * @param {Error} error - The error object
+ * @returns {Object} Safe error object without circular references
+ */
+const getSafeErrorDetails = (error) => {
+  try {
+    // Extract only the properties we care about
+    return {
+      message: error.message || 'Unknown error',
+      name: error.name || 'UnknownError',
+      code: error.code,
+      status: error.status,
+      // Only include stack in development
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    };
+  } catch (e) {
+    // If anything goes wrong, return a simple error object
+    return { message: 'Error extracting error details', name: 'ErrorExtractionError' };
+  }
+};
+
+module.exports = {
+  AI_NOT_CONFIGURED_CODE,
+  AI_REQUEST_FAILED_CODE,
+  AI_INVALID_RESPONSE_CODE,
+  aiError,
+  getSafeErrorDetails
+};
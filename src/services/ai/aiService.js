@@ -0,0 +1,234 @@
+/**
+ * AI service
+ * The one entry point AI features use: generate text, generate JSON matching a
+ * schema, and classify text into labels. Each feature names itself and gets the
+ * provider configured for it:
+ *
+ *   AI_PROVIDER_<FEATURE>=openai:gpt-4o-mini   (e.g. AI_PROVIDER_MODERATION)
+ *   AI_PROVIDER=gemini                         (default for every feature)
+ *
+ * A provider spec is name[:model], with name one of gemini, openai or fake.
+ * Providers implement generateText(prompt, options) and generateJson(prompt,
+ * schema, options), both resolving to text, and optionally classify(text,
+ * labels, options). This service parses and validates JSON output, so features
+ * get the same errors whichever provider answered: every failure is an Error
+ * with one of the codes in ./aiErrors.
+ */
+
+const logger = require('../../utils/logger');
+const { createGeminiProvider } = require('./geminiProvider');
+const { createOpenAiProvider } = require('./openAiProvider');
+const { createFakeProvider } = require('./fakeProvider');
+const { validateJson } = require('./jsonSchema');
+const {
+  AI_NOT_CONFIGURED_CODE,
+  AI_REQUEST_FAILED_CODE,
+  AI_INVALID_RESPONSE_CODE,
+  aiError,
+  getSafeErrorDetails
+} = require('./aiErrors');
+
+const AI_FEATURES = {
+  MODERATION: 'moderation',
+  ASSISTANT: 'assistant',
+  NOTIFICATIONS: 'notifications'
+};
+
+const DEFAULT_PROVIDER = 'gemini';
+
+const PROVIDER_FACTORIES = {
+  gemini: (model) => createGeminiProvider(model ? { model } : {}),
+  openai: (model) => createOpenAiProvider(model ? { model } : {}),
+  fake: () => createFakeProvider()
+};
+
+const CLASSIFICATION_SCHEMA_PROPERTIES = {
+  confidence: { type: 'number', minimum: 0, maximum: 1 },
+  explanation: { type: 'string' }
+};
+
+// Providers built from configuration, by spec, and providers set for a feature
+const configuredProviders = new Map();
+const overrides = new Map();
+
+/**
+ * Provider spec configured for a feature
+ * @param {string} feature - One of AI_FEATURES
+ * @returns {string} name[:model]
+ */
+const getProviderSpec = (feature) =>
+  process.env[`AI_PROVIDER_${feature.toUpperCase()}`] || process.env.AI_PROVIDER || DEFAULT_PROVIDER;
+
+/**
+ * Get the provider of a feature
+ * @param {string} feature - One of AI_FEATURES
+ * @returns {object} AI provider
+ * @throws {Error} With code AI_NOT_CONFIGURED if the configured provider doesn't exist
+ */
+const getProvider = (feature) => {
+  if (overrides.has(feature)) {
+    return overrides.get(feature);
+  }
+
+  const spec = getProviderSpec(feature).trim();
+
+  if (!configuredProviders.has(spec)) {
+    const [name, ...model] = spec.split(':');
+    const factory = PROVIDER_FACTORIES[name.toLowerCase()];
+
+    if (!factory) {
+      throw aiError(AI_NOT_CONFIGURED_CODE, `Unknown AI provider "${name}" for ${feature}; use one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+    }
+
+    configuredProviders.set(spec, factory(model.join(':') || null));
+  }
+
+  return configuredProviders.get(spec);
+};
+
+/**
+ * Replace the provider of a feature (used by tests and offline scripts)
+ * @param {string} feature - One of AI_FEATURES
+ * @param {object|null} provider - Provider, or null to go back to configuration
+ */
+const setProvider = (feature, provider) => {
+  if (provider) {
+    overrides.set(feature, provider);
+  } else {
+    overrides.delete(feature);
+  }
+};
+
+/**
+ * Run a provider call, turning unexpected failures into AI errors
+ * @param {string} feature - Feature making the call
+ * @param {Function} call - async (provider) => result
+ * @returns {Promise<*>} Result of the call
+ */
+const withProvider = async (feature, call) => {
+  const provider = getProvider(feature);
+
+  try {
+    return await call(provider);
+  } catch (err) {
+    const safeError = getSafeErrorDetails(err);
+    logger.warn(`AI ${feature} request to ${provider.name} failed: ${safeError.message}`);
+    throw err.code && err.code.startsWith('AI_') ? err : aiError(AI_REQUEST_FAILED_CODE, safeError.message);
+  }
+};
+
+/**
+ * Parse JSON output, tolerating code fences and text around the JSON
+ * @param {string} text - Model output
+ * @returns {*} Parsed value
+ * @throws {Error} With code AI_INVALID_RESPONSE if there is no JSON
+ */
+const parseJsonOutput = (text) => {
+  const unfenced = String(text).replace(/```(?:json)?/gi, '').trim();
+
+  try {
+    return JSON.parse(unfenced);
+  } catch (err) {
+    const start = unfenced.search(/[[{]/);
+    const end = Math.max(unfenced.lastIndexOf('}'), unfenced.lastIndexOf(']'));
+
+    try {
+      if (start !== -1 && end > start) {
+        return JSON.parse(unfenced.slice(start, end + 1));
+      }
+    } catch (innerErr) {
+      // Reported below
+    }
+
+    throw aiError(AI_INVALID_RESPONSE_CODE, 'AI response is not valid JSON');
+  }
+};
+
+/**
+ * Generate text
+ * @param {string} feature - One of AI_FEATURES
+ * @param {string} prompt - Prompt
+ * @param {object} options - { system, temperature, maxTokens }
+ * @returns {Promise<string>} Generated text
+ */
+const generateText = (feature, prompt, options = {}) =>
+  withProvider(feature, async (provider) => (await provider.generateText(prompt, options)).trim());
+
+/**
+ * Generate JSON matching a schema
+ * @param {string} feature - One of AI_FEATURES
+ * @param {string} prompt - Prompt
+ * @param {object} schema - JSON Schema the output must match (see ./jsonSchema for the supported subset)
+ * @param {object} options - { system, temperature, maxTokens }
+ * @returns {Promise<*>} Parsed, validated value
+ * @throws {Error} With code AI_INVALID_RESPONSE if the output doesn't match the schema
+ */
+const generateJson = (feature, prompt, schema, options = {}) =>
+  withProvider(feature, async (provider) => {
+    const value = parseJsonOutput(await provider.generateJson(prompt, schema, options));
+    const problems = validateJson(value, schema);
+
+    if (problems.length > 0) {
+      throw aiError(AI_INVALID_RESPONSE_CODE, `AI response doesn't match the schema: ${problems.slice(0, 3).join('; ')}`);
+    }
+
+    return value;
+  });
+
+/**
+ * Classify text into one of a set of labels
+ * Providers with their own classify answer directly; others are asked for JSON
+ * @param {string} feature - One of AI_FEATURES
+ * @param {string} text - Text to classify
+ * @param {Array<string>} labels - Allowed labels
+ * @param {object} options - { instructions, context, system, temperature, maxTokens }; instructions describe the labels,
+ *   context is extra information shown with the text
+ * @returns {Promise<object>} { label, confidence (0-1), explanation }
+ */
+const classify = async (feature, text, labels, options = {}) => {
+  const schema = {
+    type: 'object',
+    properties: {
+      label: { type: 'string', enum: labels },
+      ...CLASSIFICATION_SCHEMA_PROPERTIES
+    },
+    required: ['label', 'confidence', 'explanation'],
+    additionalProperties: false
+  };
+
+  if (typeof getProvider(feature).classify === 'function') {
+    return withProvider(feature, async (provider) => {
+      const result = await provider.classify(text, labels, options);
+      const problems = validateJson(result, schema);
+
+      if (problems.length > 0) {
+        throw aiError(AI_INVALID_RESPONSE_CODE, `AI classification is invalid: ${problems.slice(0, 3).join('; ')}`);
+      }
+
+      return result;
+    });
+  }
+
+  const prompt = [
+    options.instructions,
+    `Classify the text as one of: ${labels.join(', ')}.`,
+    'Give your confidence from 0 to 1 and a brief explanation.',
+    options.context ? `Context: ${options.context}` : null,
+    `Text: """${text}"""`
+  ].filter(Boolean).join('\n\n');
+
+  return generateJson(feature, prompt, schema, options);
+};
+
+module.exports = {
+  AI_FEATURES,
+  AI_NOT_CONFIGURED_CODE,
+  AI_REQUEST_FAILED_CODE,
+  AI_INVALID_RESPONSE_CODE,
+  getProvider,
+  setProvider,
+  generateText,
+  generateJson,
+  classify,
+  getSafeErrorDetails
+};
@@ -0,0 +1,77 @@
+/**
+ * Deterministic local AI provider
+ * Answers from rules instead of a model, so every AI feature can run offline
+ * (AI_PROVIDER=fake, or setProvider in tests). The same input always gets the
+ * same output. Without a matching rule:
+ * - generateText answers "Fake response <hash of the prompt>"
+ * - generateJson answers the simplest value satisfying the schema
+ * - classify answers the first label with confidence 0.5, low enough that
+ *   moderation leaves the decision to a human
+ */
+
+const crypto = require('crypto');
+const { exampleFor } = require('./jsonSchema');
+
+const FAKE_DEFAULT_CONFIDENCE = 0.5;
+
+/**
+ * Whether a rule applies to some input
+ * @param {object} rule - Rule with match as a RegExp, or a string the input must contain (case-insensitive)
+ * @param {string} input - Prompt or classified text
+ * @returns {boolean} Whether it matches
+ */
+const ruleMatches = (rule, input) => (rule.match instanceof RegExp
+  ? rule.match.test(input)
+  : input.toLowerCase().includes(String(rule.match).toLowerCase()));
+
+/**
+ * Create a fake provider
+ * @param {object} options - { rules }: [{ match, text, json, label, confidence, explanation }], first match wins;
+ *   text answers generateText, json answers generateJson, label/confidence answer classify
+ * @returns {object} AI provider; calls lists every request it answered
+ */
+const createFakeProvider = ({ rules = [] } = {}) => {
+  const calls = [];
+
+  const findRule = (input, key) => rules.find(rule => rule[key] !== undefined && ruleMatches(rule, input));
+
+  return {
+    name: 'fake',
+    model: 'fake',
+    calls,
+
+    generateText: async (prompt, options = {}) => {
+      calls.push({ method: 'generateText', prompt, options });
+      const rule = findRule(prompt, 'text');
+      if (rule) return rule.text;
+
+      const hash = crypto.createHash('sha256').update(`${options.system || ''}\n${prompt}`).digest('hex');
+      return `Fake response ${hash.slice(0, 12)}`;
+    },
+
+    generateJson: async (prompt, schema, options = {}) => {
+      calls.push({ method: 'generateJson', prompt, schema, options });
+      const rule = findRule(prompt, 'json');
+      return JSON.stringify(rule ? rule.json : exampleFor(schema));
+    },
+
+    classify: async (text, labels, options = {}) => {
+      calls.push({ method: 'classify', text, labels, options });
+      const rule = findRule(text, 'label');
+
+      if (!rule) {
+        return { label: labels[0], confidence: FAKE_DEFAULT_CONFIDENCE, explanation: 'No fake rule matched' };
+      }
+
+      return {
+        label: rule.label,
+        confidence: rule.confidence !== undefined ? rule.confidence : 1,
+        explanation: rule.explanation || `Matched fake rule ${rule.match}`
+      };
+    }
+  };
+};
+
+module.exports = {
+  createFakeProvider
+};
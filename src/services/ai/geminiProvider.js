@@ -0,0 +1,90 @@
+/**
+ * Gemini provider
+ * Calls the Gemini REST API (https://ai.google.dev/api/generate-content).
+ */
+
+const { postWithRetry } = require('./httpClient');
+const { AI_NOT_CONFIGURED_CODE, AI_INVALID_RESPONSE_CODE, aiError } = require('./aiErrors');
+
+const GEMINI_API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+const DEFAULT_GEMINI_MODEL = 'gemini-2.0-flash';
+
+// Schema keywords Gemini's responseSchema accepts; others are only checked after the response
+const GEMINI_SCHEMA_KEYS = ['type', 'properties', 'required', 'enum', 'items', 'minimum', 'maximum', 'minItems', 'maxItems', 'description'];
+
+/**
+ * Convert a JSON Schema to Gemini's responseSchema dialect
+ * @param {object} schema - JSON Schema
+ * @returns {object} Gemini schema
+ */
+const toGeminiSchema = (schema) => {
+  const converted = {};
+
+  for (const key of GEMINI_SCHEMA_KEYS.filter(key => schema[key] !== undefined)) {
+    if (key === 'type') {
+      converted.type = [].concat(schema.type)[0].toUpperCase();
+    } else if (key === 'properties') {
+      converted.properties = Object.fromEntries(Object.entries(schema.properties)
+        .map(([name, propertySchema]) => [name, toGeminiSchema(propertySchema)]));
+    } else if (key === 'items') {
+      converted.items = toGeminiSchema(schema.items);
+    } else {
+      converted[key] = schema[key];
+    }
+  }
+
+  return converted;
+};
+
+/**
+ * Create a Gemini provider
+ * @param {object} options - { apiKey, model }
+ * @returns {object} AI provider
+ */
+const createGeminiProvider = ({ apiKey = process.env.GEMINI_API_KEY, model = process.env.GEMINI_MODEL || DEFAULT_GEMINI_MODEL } = {}) => {
+  const generate = async (prompt, { system, temperature = 0.2, maxTokens = 500 } = {}, generationConfig = {}) => {
+    if (!apiKey) {
+      throw aiError(AI_NOT_CONFIGURED_CODE, 'Gemini provider needs GEMINI_API_KEY');
+    }
+
+    const data = await postWithRetry('Gemini', {
+      url: `${GEMINI_API_BASE_URL}/${model}:generateContent`,
+      headers: { 'x-goog-api-key': apiKey },
+      data: {
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        ...(system && { systemInstruction: { parts: [{ text: system }] } }),
+        generationConfig: {
+          temperature,
+          topK: 40,
+          topP: 0.95,
+          maxOutputTokens: maxTokens,
+          ...generationConfig
+        }
+      }
+    });
+
+    const text = data?.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('');
+    if (!text) {
+      throw aiError(AI_INVALID_RESPONSE_CODE, `Gemini returned no text (finish reason: ${data?.candidates?.[0]?.finishReason || 'none'})`);
+    }
+
+    return text;
+  };
+
+  return {
+    name: 'gemini',
+    model,
+
+    generateText: (prompt, options) => generate(prompt, options),
+
+    generateJson: (prompt, schema, options) => generate(prompt, options, {
+      responseMimeType: 'application/json',
+      responseSchema: toGeminiSchema(schema)
+    })
+  };
+};
+
+module.exports = {
+  DEFAULT_GEMINI_MODEL,
+  createGeminiProvider
+};
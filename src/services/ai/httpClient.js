@@ -0,0 +1,46 @@
+/**
+ * HTTP calls to hosted AI providers, with retries on rate limits and server errors
+ */
+
+const axios = require('axios');
+const logger = require('../../utils/logger');
+const { AI_REQUEST_FAILED_CODE, aiError } = require('./aiErrors');
+
+const MAX_RETRIES = 3;
+const INITIAL_RETRY_DELAY = 1000; // 1 second
+const REQUEST_TIMEOUT = 30000;
+
+/**
+ * POST to a provider with exponential backoff for rate limits (429) and server errors (5xx)
+ * @param {string} providerName - Provider name, for logs and errors
+ * @param {object} config - Axios request configuration (url, data, headers)
+ * @returns {Promise<object>} Response body
+ * @throws {Error} With code AI_REQUEST_FAILED once retries are exhausted or the error can't be retried
+ */
+const postWithRetry = async (providerName, config) => {
+  let delay = INITIAL_RETRY_DELAY;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await axios({ method: 'post', timeout: REQUEST_TIMEOUT, ...config });
+      return response.data;
+    } catch (err) {
+      const status = err.response?.status;
+      const retryable = status === 429 || (status >= 500 && status < 600);
+
+      if (!retryable || attempt >= MAX_RETRIES) {
+        // Don't pass the axios error on: it holds the request, API key included
+        throw aiError(AI_REQUEST_FAILED_CODE, `${providerName} request failed: ${status ? `HTTP ${status}` : err.message}`, { status });
+      }
+
+      // Exponential backoff with jitter between 0.85 and 1.15
+      delay = delay * 2 * (Math.random() * 0.3 + 0.85);
+      logger.warn(`${providerName} request failed with ${status}. Retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${MAX_RETRIES})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+};
+
+module.exports = {
+  postWithRetry
+};
@@ -0,0 +1,112 @@
+/**
+ * JSON Schema helpers for structured AI output
+ * Supports the subset of JSON Schema the AI features use: type, properties,
+ * required, additionalProperties: false, enum, items, minimum/maximum,
+ * minItems/maxItems and minLength/maxLength. Providers pass the schema to the
+ * model and the AI service validates what comes back, so a model that ignores
+ * the schema is caught the same way whichever provider is used.
+ */
+
+/**
+ * Type of a JSON value, as JSON Schema names it
+ * @param {*} value - Parsed JSON value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Parsed JSON value
+ * @param {object} schema - JSON Schema
+ * @param {string} path - Location of the value, used in error messages
+ * @returns {Array<string>} Problems found; empty when the value is valid
+ */
+const validateJson = (value, schema, path = '$') => {
+  if (schema.type && ![].concat(schema.type).some(type => matchesType(value, type))) {
+    return [`${path} should be ${[].concat(schema.type).join(' or ')}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} should be one of ${schema.enum.join(', ')}`];
+  }
+
+  const errors = [];
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} is too short`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} is too long`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} needs at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} allows at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateJson(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateJson(propertyValue, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Build the simplest value that satisfies a schema
+ * Used by the fake provider, so offline runs get well-formed output
+ * @param {object} schema - JSON Schema
+ * @returns {*} Example value
+ */
+const exampleFor = (schema) => {
+  if (schema.enum) return schema.enum[0];
+
+  switch ([].concat(schema.type)[0]) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties || {})
+        .map(([key, propertySchema]) => [key, exampleFor(propertySchema)]));
+    case 'array':
+      return Array.from({ length: schema.minItems || 0 }, () => exampleFor(schema.items || {}));
+    case 'integer':
+    case 'number':
+      return schema.minimum !== undefined ? schema.minimum : 0;
+    case 'boolean':
+      return false;
+    case 'null':
+      return null;
+    default:
+      return 'example'.padEnd(schema.minLength || 0, '.');
+  }
+};
+
+module.exports = {
+  validateJson,
+  exampleFor
+};
@@ -0,0 +1,69 @@
+/**
+ * OpenAI-compatible provider
+ * Calls a /chat/completions endpoint, so it works with OpenAI and with servers
+ * that implement the same API (Azure OpenAI, vLLM, Ollama, LM Studio...).
+ */
+
+const { postWithRetry } = require('./httpClient');
+const { AI_NOT_CONFIGURED_CODE, AI_INVALID_RESPONSE_CODE, aiError } = require('./aiErrors');
+
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+
+/**
+ * Create an OpenAI-compatible provider
+ * The API key is optional for self-hosted servers, which is why only the base URL is required
+ * @param {object} options - { apiKey, baseUrl, model }
+ * @returns {object} AI provider
+ */
+const createOpenAiProvider = ({
+  apiKey = process.env.OPENAI_API_KEY,
+  baseUrl = process.env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL,
+  model = process.env.OPENAI_MODEL || DEFAULT_OPENAI_MODEL
+} = {}) => {
+  const complete = async (prompt, { system, temperature = 0.2, maxTokens = 500 } = {}, responseFormat = null) => {
+    if (!apiKey && baseUrl === DEFAULT_OPENAI_BASE_URL) {
+      throw aiError(AI_NOT_CONFIGURED_CODE, 'OpenAI provider needs OPENAI_API_KEY or OPENAI_BASE_URL');
+    }
+
+    const data = await postWithRetry('OpenAI', {
+      url: `${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      data: {
+        model,
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          { role: 'user', content: prompt }
+        ],
+        temperature,
+        max_tokens: maxTokens,
+        ...(responseFormat && { response_format: responseFormat })
+      }
+    });
+
+    const text = data?.choices?.[0]?.message?.content;
+    if (!text) {
+      throw aiError(AI_INVALID_RESPONSE_CODE, `OpenAI returned no text (finish reason: ${data?.choices?.[0]?.finish_reason || 'none'})`);
+    }
+
+    return text;
+  };
+
+  return {
+    name: 'openai',
+    model,
+
+    generateText: (prompt, options) => complete(prompt, options),
+
+    generateJson: (prompt, schema, options) => complete(prompt, options, {
+      type: 'json_schema',
+      json_schema: { name: 'response', schema }
+    })
+  };
+};
+
+module.exports = {
+  DEFAULT_OPENAI_BASE_URL,
+  DEFAULT_OPENAI_MODEL,
+  createOpenAiProvider
+};
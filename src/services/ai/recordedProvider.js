@@ -0,0 +1,79 @@
+/**
+ * Recorded AI provider
+ * Replays answers recorded from another provider, so evaluations give the same
+ * results on every run without calling a model. Given a provider to record from,
+ * requests that weren't recorded are passed on and their answers kept in
+ * recordings; without one they fail with AI_REQUEST_FAILED, like an unavailable
+ * provider. Requests are keyed by a hash of everything sent, so a changed prompt
+ * needs a new recording.
+ */
+
+const crypto = require('crypto');
+const { AI_REQUEST_FAILED_CODE, aiError } = require('./aiErrors');
+
+const INPUT_EXCERPT_LENGTH = 200;
+
+/**
+ * Key of a request in the recordings
+ * @param {string} method - Provider method
+ * @param {Array} args - Arguments of the call
+ * @returns {string} sha256 hex digest
+ */
+const recordingKey = (method, args) => crypto.createHash('sha256').update(JSON.stringify([method, ...args])).digest('hex');
+
+/**
+ * Create a recorded provider
+ * @param {object} options - { recordings, provider }: recordings maps keys to { method, input, output }
+ *   (an object loaded from JSON, added to when recording); provider answers requests not recorded yet
+ * @returns {object} AI provider; misses lists the keys of requests without a recorded answer
+ */
+const createRecordedProvider = ({ recordings = {}, provider = null } = {}) => {
+  const misses = [];
+
+  const replay = async (method, args, call) => {
+    const key = recordingKey(method, args);
+
+    if (Object.prototype.hasOwnProperty.call(recordings, key)) {
+      return recordings[key].output;
+    }
+
+    if (!provider) {
+      misses.push(key);
+      throw aiError(AI_REQUEST_FAILED_CODE, `No recorded answer for ${method} request ${key.slice(0, 12)}`);
+    }
+
+    const output = await call();
+    recordings[key] = { method, input: String(args[0]).substring(0, INPUT_EXCERPT_LENGTH), output };
+    return output;
+  };
+
+  const recorded = {
+    name: 'recorded',
+    model: provider ? `${provider.name}:${provider.model}` : 'recorded',
+    recordings,
+    misses,
+
+    generateText: (prompt, options = {}) =>
+      replay('generateText', [prompt, options], () => provider.generateText(prompt, options)),
+
+    generateJson: (prompt, schema, options = {}) =>
+      replay('generateJson', [prompt, schema, options], () => provider.generateJson(prompt, schema, options))
+  };
+
+  // Classify the way the recorded provider did: directly, or through generateJson
+  const classifies = provider
+    ? typeof provider.classify === 'function'
+    : Object.values(recordings).some(recording => recording.method === 'classify');
+
+  if (classifies) {
+    recorded.classify = (text, labels, options = {}) =>
+      replay('classify', [text, labels, options], () => provider.classify(text, labels, options));
+  }
+
+  return recorded;
+};
+
+module.exports = {
+  createRecordedProvider,
+  recordingKey
+};
@@ -0,0 +1,530 @@
+/**
+ * Moderation appeals
+ * Users appeal a report resolved against them or an action on their account, within
+ * APPEAL_WINDOW_DAYS of the decision and once per decision. Admins take appeals from a
+ * queue and approve or deny them. Approving reverses the decision: the removed message
+ * is restored, the strikes it gave are revoked with the actions they caused, and the
+ * report is dismissed. The user is notified of the outcome either way.
+ */
+
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+const { applyCursor, buildPage } = require('../utils/pagination');
+const { restoreMessage } = require('./messageService');
+const { reverseStrike, liftEnforcement, logActivity } = require('./enforcementService');
+const { createNotification, NotificationType } = require('./notification/notificationService');
+const {
+  appealCreateSchema,
+  appealAssignSchema,
+  appealDecisionSchema
+} = require('../models/appeal');
+
+const APPEAL_WINDOW_DAYS = 30;
+const OPEN_STATUSES = ['pending', 'in_review'];
+const UNIQUE_VIOLATION = '23505';
+const MAX_REVIEW_REASON_LENGTH = 500;
+
+/**
+ * Failed service result
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {object} Failed result
+ */
+const fail = (status, message) => ({ success: false, status, message });
+
+const isWithinWindow = (decidedAt) => Date.now() - new Date(decidedAt).getTime() <= APPEAL_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+/**
+ * Check a report can be appealed by a user: resolved against them, recently
+ * Report statuses are 'resolved' from admins and 'RESOLVED' from AI moderation
+ * @param {string} userId - Appealing user
+ * @param {string} reportId - Report ID
+ * @returns {Promise<object>} { success } or failed result
+ */
+const checkReportAppealable = async (userId, reportId) => {
+  const { data: report, error } = await supabase
+    .from('reports')
+    .select('id, reported_user_id, status, created_at, updated_at')
+    .eq('id', reportId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!report || report.reported_user_id !== userId) {
+    return fail(404, 'Report not found');
+  }
+  if (String(report.status).toLowerCase() !== 'resolved') {
+    return fail(409, 'Only reports resolved against you can be appealed');
+  }
+  if (!isWithinWindow(report.updated_at || report.created_at)) {
+    return fail(409, `Decisions can only be appealed within ${APPEAL_WINDOW_DAYS} days`);
+  }
+
+  return { success: true };
+};
+
+/**
+ * Check an enforcement action can be appealed by a user: theirs, not lifted, recent
+ * @param {string} userId - Appealing user
+ * @param {string} enforcementId - Enforcement ID
+ * @returns {Promise<object>} { success } or failed result
+ */
+const checkEnforcementAppealable = async (userId, enforcementId) => {
+  const { data: enforcement, error } = await supabase
+    .from('user_enforcements')
+    .select('id, user_id, lifted_at, created_at')
+    .eq('id', enforcementId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!enforcement || enforcement.user_id !== userId) {
+    return fail(404, 'Enforcement not found');
+  }
+  if (enforcement.lifted_at) {
+    return fail(409, 'This action has already been lifted');
+  }
+  if (!isWithinWindow(enforcement.created_at)) {
+    return fail(409, `Decisions can only be appealed within ${APPEAL_WINDOW_DAYS} days`);
+  }
+
+  return { success: true };
+};
+
+/**
+ * Appeal a report outcome or an enforcement action
+ * @param {string} userId - Appealing user
+ * @param {object} appeal - { reportId | enforcementId, reason }
+ * @returns {Promise<object>} { success, appeal } or failed result
+ */
+const submitAppeal = async (userId, appeal) => {
+  const { error: validationError, value } = appealCreateSchema.validate(appeal);
+  if (validationError) {
+    return fail(400, validationError.details[0].message);
+  }
+
+  const target = value.reportId
+    ? await checkReportAppealable(userId, value.reportId)
+    : await checkEnforcementAppealable(userId, value.enforcementId);
+  if (!target.success) {
+    return target;
+  }
+
+  const { data, error } = await supabase
+    .from('moderation_appeals')
+    .insert({
+      user_id: userId,
+      report_id: value.reportId || null,
+      enforcement_id: value.enforcementId || null,
+      reason: value.reason
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      return fail(409, 'You have already appealed this decision');
+    }
+    logger.error(`Error submitting appeal for user ${userId}: ${error.message}`);
+    throw error;
+  }
+
+  logger.info(`User ${userId} appealed ${value.reportId ? `report ${value.reportId}` : `enforcement ${value.enforcementId}`}`);
+  return { success: true, appeal: data };
+};
+
+/**
+ * A user's own appeals, newest first
+ * @param {string} userId - User ID
+ * @param {object} page - { limit, cursor } from parsePageParams
+ * @returns {Promise<object>} { appeals, pagination }
+ */
+const listUserAppeals = async (userId, page) => {
+  const query = supabase
+    .from('moderation_appeals')
+    .select('id, report_id, enforcement_id, reason, status, decided_at, decision_note, created_at')
+    .eq('user_id', userId);
+
+  const { data, error } = await applyCursor(query, page);
+  if (error) throw error;
+
+  const { items, pagination } = buildPage(data || [], page);
+  return { appeals: items, pagination };
+};
+
+/**
+ * The admin appeal queue, newest first
+ * @param {object} page - { limit, cursor } from parsePageParams
+ * @param {object} filters - { status, assignedTo, userId }
+ * @returns {Promise<object>} { appeals, pagination }
+ */
+const listAppeals = async (page, { status, assignedTo, userId } = {}) => {
+  let query = supabase
+    .from('moderation_appeals')
+    .select('*, user:user_id(id, username, first_name, last_name)');
+
+  if (status) query = query.eq('status', status);
+  if (assignedTo) query = query.eq('assigned_to', assignedTo);
+  if (userId) query = query.eq('user_id', userId);
+
+  const { data, error } = await applyCursor(query, page);
+  if (error) throw error;
+
+  const { items, pagination } = buildPage(data || [], page);
+  return { appeals: items, pagination };
+};
+
+/**
+ * An appeal with the decision it contests
+ * @param {string} appealId - Appeal ID
+ * @returns {Promise<object>} { success, appeal, report, enforcement } or failed result
+ */
+const getAppeal = async (appealId) => {
+  const { data: appeal, error } = await supabase
+    .from('moderation_appeals')
+    .select('*, user:user_id(id, username, first_name, last_name)')
+    .eq('id', appealId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!appeal) {
+    return fail(404, 'Appeal not found');
+  }
+
+  let report = null;
+  let enforcement = null;
+
+  if (appeal.report_id) {
+    const { data } = await supabase
+      .from('reports')
+      .select('*')
+      .eq('id', appeal.report_id)
+      .maybeSingle();
+    report = data || null;
+  }
+
+  if (appeal.enforcement_id) {
+    const { data } = await supabase
+      .from('user_enforcements')
+      .select('*, strike:strike_id(*)')
+      .eq('id', appeal.enforcement_id)
+      .maybeSingle();
+    enforcement = data || null;
+  }
+
+  return { success: true, appeal, report, enforcement };
+};
+
+/**
+ * An appeal that is still waiting for a decision
+ * @param {string} appealId - Appeal ID
+ * @returns {Promise<object>} { success, appeal } or failed result
+ */
+const getOpenAppeal = async (appealId) => {
+  const { data: appeal, error } = await supabase
+    .from('moderation_appeals')
+    .select('*')
+    .eq('id', appealId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!appeal) {
+    return fail(404, 'Appeal not found');
+  }
+  if (appeal.status === 'deciding') {
+    return fail(409, 'Appeal is being decided');
+  }
+  if (!OPEN_STATUSES.includes(appeal.status)) {
+    return fail(409, `Appeal already ${appeal.status}`);
+  }
+
+  return { success: true, appeal };
+};
+
+/**
+ * Assign an appeal to an admin and mark it in review
+ * @param {string} appealId - Appeal ID
+ * @param {object} assignment - { adminId }, the current admin by default
+ * @param {string} adminId - Admin assigning it
+ * @returns {Promise<object>} { success, appeal } or failed result
+ */
+const assignAppeal = async (appealId, assignment, adminId) => {
+  const { error: validationError, value } = appealAssignSchema.validate(assignment || {});
+  if (validationError) {
+    return fail(400, validationError.details[0].message);
+  }
+
+  const assignee = value.adminId || adminId;
+  if (assignee !== adminId) {
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, is_admin')
+      .eq('id', assignee)
+      .maybeSingle();
+
+    if (!user || !user.is_admin) {
+      return fail(400, 'Appeals can only be assigned to admins');
+    }
+  }
+
+  const open = await getOpenAppeal(appealId);
+  if (!open.success) {
+    return open;
+  }
+
+  const now = new Date();
+  const { data: appeal, error } = await supabase
+    .from('moderation_appeals')
+    .update({ assigned_to: assignee, assigned_at: now, status: 'in_review', updated_at: now })
+    .eq('id', appealId)
+    .in('status', OPEN_STATUSES)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!appeal) {
+    return fail(409, 'Appeal was decided in the meantime');
+  }
+
+  await logActivity(adminId, 'appeal_assigned', `Appeal assigned to ${assignee === adminId ? 'self' : assignee}`, appeal.user_id, {
+    appealId,
+    assignedTo: assignee
+  });
+
+  return { success: true, appeal };
+};
+
+/**
+ * Reverse the decision an appeal contests
+ * Each step is skipped if already undone, so running it twice does no harm
+ * @param {object} appeal - moderation_appeals row
+ * @param {string|null} note - Decision note
+ * @param {string} adminId - Approving admin
+ * @returns {Promise<object>} What was reversed
+ */
+const reverseDecision = async (appeal, note, adminId) => {
+  const review = { reason: `Appeal approved${note ? `: ${note}` : ''}`.substring(0, MAX_REVIEW_REASON_LENGTH) };
+  const reversal = {
+    restoredMessageId: null,
+    dismissedReportId: null,
+    revokedStrikeIds: [],
+    liftedEnforcementIds: []
+  };
+
+  // The user hears about the appeal, not each lifted action
+  const reverse = async (strikeId) => {
+    const result = await reverseStrike(strikeId, review, adminId, { notify: false });
+    if (result.success) {
+      reversal.revokedStrikeIds.push(strikeId);
+      reversal.liftedEnforcementIds.push(...result.lifted.map(enforcement => enforcement.id));
+    }
+  };
+
+  if (appeal.report_id) {
+    const { data: report, error } = await supabase
+      .from('reports')
+      .select('id, content_type, content_id')
+      .eq('id', appeal.report_id)
+      .single();
+
+    if (error) throw error;
+
+    if (report.content_type === 'message' && report.content_id) {
+      const restored = await restoreMessage(report.content_id);
+      reversal.restoredMessageId = restored ? restored.id : null;
+    }
+
+    const { data: strikes, error: strikesError } = await supabase
+      .from('user_strikes')
+      .select('id')
+      .eq('source', 'report')
+      .eq('source_id', report.id)
+      .is('revoked_at', null);
+
+    if (strikesError) throw strikesError;
+
+    for (const strike of strikes || []) {
+      await reverse(strike.id);
+    }
+
+    const { error: reportError } = await supabase
+      .from('reports')
+      .update({
+        status: 'dismissed',
+        admin_comment: review.reason,
+        resolved_by: adminId,
+        updated_at: new Date()
+      })
+      .eq('id', report.id);
+
+    if (reportError) throw reportError;
+    reversal.dismissedReportId = report.id;
+  }
+
+  if (appeal.enforcement_id) {
+    const { data: enforcement, error } = await supabase
+      .from('user_enforcements')
+      .select('id, strike_id, lifted_at')
+      .eq('id', appeal.enforcement_id)
+      .single();
+
+    if (error) throw error;
+
+    if (enforcement.strike_id) {
+      await reverse(enforcement.strike_id);
+    }
+
+    // Applied directly, or its strike was already revoked
+    if (!enforcement.lifted_at && !reversal.liftedEnforcementIds.includes(enforcement.id)) {
+      const result = await liftEnforcement(enforcement.id, review, adminId, { notify: false });
+      if (result.success) {
+        reversal.liftedEnforcementIds.push(enforcement.id);
+      }
+    }
+  }
+
+  return reversal;
+};
+
+/**
+ * Tell the user how their appeal was decided
+ * Never throws: the decision stands even if the notice can't be sent
+ * @param {object} appeal - Decided moderation_appeals row
+ */
+const notifyDecision = async (appeal) => {
+  const approved = appeal.status === 'approved';
+  const note = appeal.decision_note ? ` ${appeal.decision_note}` : '';
+
+  try {
+    await createNotification(appeal.user_id, NotificationType.APPEAL_DECIDED, {
+      title: approved ? 'Your appeal was approved' : 'Your appeal was denied',
+      message: approved
+        ? `We reviewed your appeal and reversed the decision.${note}`
+        : `We reviewed your appeal and the decision stands.${note}`,
+      appealId: appeal.id,
+      status: appeal.status,
+      reportId: appeal.report_id,
+      enforcementId: appeal.enforcement_id
+    });
+  } catch (err) {
+    logger.error(`Error notifying user ${appeal.user_id} of appeal ${appeal.id}: ${err.message}`);
+  }
+};
+
+/**
+ * Claim an open appeal for a decision
+ * Only one admin's claim succeeds, so a decision is never carried out twice
+ * @param {object} appeal - Open moderation_appeals row
+ * @param {string} adminId - Deciding admin
+ * @returns {Promise<object|null>} Claimed row, or null if it was claimed or decided in the meantime
+ */
+const claimAppeal = async (appeal, adminId) => {
+  const { data, error } = await supabase
+    .from('moderation_appeals')
+    .update({ status: 'deciding', decided_by: adminId, updated_at: new Date() })
+    .eq('id', appeal.id)
+    .in('status', OPEN_STATUSES)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Give a claimed appeal back to the queue when its decision couldn't be carried out
+ * @param {object} appeal - Appeal as it was before the claim
+ */
+const releaseAppeal = async (appeal) => {
+  const { error } = await supabase
+    .from('moderation_appeals')
+    .update({ status: appeal.status, decided_by: null, updated_at: new Date() })
+    .eq('id', appeal.id)
+    .eq('status', 'deciding');
+
+  if (error) {
+    logger.error(`Error releasing appeal ${appeal.id}: ${error.message}`);
+  }
+};
+
+/**
+ * Approve or deny an open appeal
+ * The appeal is claimed first; the decision is reversed only by the admin holding the claim
+ * @param {string} appealId - Appeal ID
+ * @param {object} decision - { note }
+ * @param {string} adminId - Deciding admin
+ * @param {string} status - 'approved' or 'denied'
+ * @returns {Promise<object>} { success, appeal } or failed result
+ */
+const decideAppeal = async (appealId, decision, adminId, status) => {
+  const { error: validationError, value } = appealDecisionSchema.validate(decision || {});
+  if (validationError) {
+    return fail(400, validationError.details[0].message);
+  }
+
+  const open = await getOpenAppeal(appealId);
+  if (!open.success) {
+    return open;
+  }
+
+  if (!(await claimAppeal(open.appeal, adminId))) {
+    return fail(409, 'Appeal was decided in the meantime');
+  }
+
+  const note = value.note || null;
+  let appeal;
+  let reversal = null;
+
+  try {
+    if (status === 'approved') {
+      reversal = await reverseDecision(open.appeal, note, adminId);
+    }
+
+    const now = new Date();
+    const { data, error } = await supabase
+      .from('moderation_appeals')
+      .update({
+        status,
+        decided_at: now,
+        decision_note: note,
+        reversal,
+        updated_at: now
+      })
+      .eq('id', appealId)
+      .eq('status', 'deciding')
+      .select()
+      .single();
+
+    if (error) throw error;
+    appeal = data;
+  } catch (err) {
+    // Reversal steps already taken are skipped when the appeal is decided again
+    await releaseAppeal(open.appeal);
+    throw err;
+  }
+
+  await logActivity(adminId, `appeal_${status}`, `Appeal ${status}${note ? `: ${note}` : ''}`, appeal.user_id, {
+    appealId,
+    reportId: appeal.report_id,
+    enforcementId: appeal.enforcement_id,
+    reversal
+  });
+
+  await notifyDecision(appeal);
+
+  logger.info(`Appeal ${appealId} ${status} by admin ${adminId}`);
+  return { success: true, appeal };
+};
+
+const approveAppeal = (appealId, decision, adminId) => decideAppeal(appealId, decision, adminId, 'approved');
+
+const denyAppeal = (appealId, decision, adminId) => decideAppeal(appealId, decision, adminId, 'denied');
+
+module.exports = {
+  APPEAL_WINDOW_DAYS,
+  submitAppeal,
+  listUserAppeals,
+  listAppeals,
+  getAppeal,
+  assignAppeal,
+  approveAppeal,
+  denyAppeal
+};
@@ -1,10 +1,12 @@
 const supabase = require('../config/database');
 const { info, error, warn } = require('../utils/logger');
-const geminiAI = require('./geminiAI');
+const { REPORT_OUTCOMES, decideReport, analyzeMessageContent } = require('./ai/contentModeration');
+const { issueStrike } = require('./enforcementService');
+const { removeMessage } = require('./messageService');
 const crypto = require('crypto');
 
-// Use a fixed UUID for Gemini AI in the database
-const GEMINI_AI_USER_ID = '00000000-0000-4000-a000-000000000001'; // Special UUID for Gemini AI
+// Use a fixed UUID for AI moderation in the database
+const AI_MODERATOR_USER_ID = '00000000-0000-4000-a000-000000000001'; // Special UUID for AI moderation
 
 /**
  * Check if a user has been reported multiple times
@@ -66,62 +68,22 @@ const getMessageContent = async (messageId) => {
 };
 
 /**
- * Ban a user based on AI recommendation
- * @param {string} userId - User ID to ban
- * @param {string} reason - Reason for the ban
- * @param {string} duration - Ban duration (PERMANENT, 7_DAYS, 30_DAYS)
- * @returns {Promise<boolean>} Success status
- */
-const banUser = async (userId, reason, duration) => {
-  try {
-    let banUntil = null;
-    
-    if (duration === '7_DAYS') {
-      banUntil = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-    } else if (duration === '30_DAYS') {
-      banUntil = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
-    }
-    
-    const { error } = await supabase
-      .from('users')
-      .update({
-        is_banned: true,
-        ban_reason: reason,
-        banned_at: new Date(),
-        ban_until: banUntil
-      })
-      .eq('id', userId);
-      
-    if (error) {
-      info('Error banning user:', error);
-      return false;
-    }
-    
-    info(`User ${userId} banned. Reason: ${reason}, Duration: ${duration}`);
-    return true;
-  } catch (error) {
-    info('Error in banUser:', error);
-    return false;
-  }
-};
-
-/**
- * Delete inappropriate message from database
- * @param {string} messageId - Message ID to delete
+ * Remove an inappropriate message from both participants' view
+ * The message is kept, so an approved appeal can restore it
+ * @param {string} messageId - Message ID to remove
  * @returns {Promise<boolean>} Success status
  */
 const deleteInappropriateMessage = async (messageId) => {
   try {
-    info(`🤖 Attempting to delete inappropriate message: ${messageId}`);
+    info(`🤖 Attempting to remove inappropriate message: ${messageId}`);
     
-    // Delete the message directly without trying to access conversation_id
-    const { error: deleteError } = await supabase
-      .from('messages')
-      .delete()
-      .eq('id', messageId);
+    const removed = await removeMessage(messageId, {
+      removedBy: AI_MODERATOR_USER_ID,
+      reason: 'Automated removal of inappropriate content by AI moderation'
+    });
     
-    if (deleteError) {
-      info(`❌ Error deleting message ${messageId}: ${deleteError.message}`);
+    if (!removed) {
+      info(`❌ Message ${messageId} not found or already removed`);
       return false;
     }
     
@@ -130,12 +92,12 @@ const deleteInappropriateMessage = async (messageId) => {
       const { error: logError } = await supabase
         .from('admin_activity_log')
         .insert({
-          admin_id: GEMINI_AI_USER_ID,
+          admin_id: AI_MODERATOR_USER_ID,
           action: 'delete_message',
           target_type: 'message',
           target_id: messageId,
           details: JSON.stringify({
-            reason: 'Automated removal of inappropriate content by Gemini AI'
+            reason: 'Automated removal of inappropriate content by AI moderation'
           }),
           created_at: new Date().toISOString()
         });
@@ -149,7 +111,7 @@ const deleteInappropriateMessage = async (messageId) => {
       info(`❌ Could not log to admin_activity_log: ${logError.message}`);
     }
     
-    info(`✅ Successfully deleted inappropriate message: ${messageId}`);
+    info(`✅ Successfully removed inappropriate message: ${messageId}`);
     return true;
   } catch (error) {
     info(`❌ Error in deleteInappropriateMessage: ${error.message}`);
@@ -158,7 +120,7 @@ const deleteInappropriateMessage = async (messageId) => {
 };
 
 /**
- * Process a user report using the Gemini AI
+ * Process a user report with AI moderation
  * @param {Object} report - Report object from database
  * @returns {Promise<Object>} Updated report status
  */
@@ -182,77 +144,57 @@ const processReportWithAI = async (report) => {
       messageContent = await getMessageContent(reportData.content_id);
     }
 
-    // Construct prompt for AI
-    const prompt = `
-      You are a content moderator for a messaging app. You need to evaluate if the following message violates our community guidelines.
-      
-      Message: "${messageContent}"
-      
-      User Report Reason: "${reportData.reason}"
-      
-      Based on this information, classify this message as one of the following:
-      - INAPPROPRIATE (clear violation that should be removed)
-      - BORDERLINE (potentially problematic but not clear violation)
-      - ACCEPTABLE (no violation, false report)
-      
-      Also rate your confidence level from 0.0 to 1.0.
-      Return your response in the following JSON format only:
-      {
-        "classification": "CLASSIFICATION",
-        "confidence": CONFIDENCE_SCORE,
-        "explanation": "Brief explanation of your decision"
-      }
-    `;
+    if (!messageContent) {
+      return updateReportStatus(reportData.id, 'PENDING_REVIEW', 'No message content for AI moderation');
+    }
 
-    // Process with Gemini AI
-    const response = await geminiAI.generateContent(prompt);
-    const responseText = response.text().trim();
-    
     let aiDecision;
     try {
-      // Extract JSON from the AI's response
-      const jsonStr = responseText.replace(/```json|```/g, '').trim();
-      aiDecision = JSON.parse(jsonStr);
-    } catch (error) {
-      info('Error parsing AI response:', error);
+      aiDecision = await analyzeMessageContent(messageContent, { reportReason: reportData.reason });
+    } catch (err) {
+      info(`AI moderation unavailable for report ${reportData.id}: ${err.message}`);
       return updateReportStatus(reportData.id, 'PENDING_REVIEW', 'Error processing with AI');
     }
 
     // Logic based on AI decision
-    if (aiDecision.classification === 'INAPPROPRIATE' && aiDecision.confidence >= 0.85) {
+    const decision = decideReport(aiDecision);
+    if (decision === REPORT_OUTCOMES.RESOLVED) {
       // High confidence inappropriate content - take action automatically
       if (reportData.content_type === 'message' && reportData.content_id) {
         await deleteInappropriateMessage(reportData.content_id);
       }
       
-      // Check user history - only if we have a valid reported_user_id
+      // A confirmed violation is a strike; the enforcement ladder decides what follows
+      let outcome = '';
       if (reportData.reported_user_id) {
-        const userHistory = await getUserReportHistory(reportData.reported_user_id);
-        if (userHistory.length >= 3) {
-          // This user has been reported multiple times - consider banning
-          await banUser(reportData.reported_user_id);
-          return updateReportStatus(
-            reportData.id, 
-            'RESOLVED', 
-            `Auto-resolved by Gemini AI: ${aiDecision.explanation}. User banned due to multiple violations.`,
-            GEMINI_AI_USER_ID
-          );
+        try {
+          const strike = await issueStrike(reportData.reported_user_id, {
+            reason: `Inappropriate message: ${aiDecision.explanation}`.substring(0, 500),
+            source: 'report',
+            sourceId: reportData.id
+          }, AI_MODERATOR_USER_ID);
+
+          if (strike.success) {
+            outcome = `. Strike issued (${strike.points} active points)${strike.enforcement ? `, ${strike.enforcement.action} applied` : ''}`;
+          }
+        } catch (err) {
+          error(`Could not issue strike for report ${reportData.id}: ${err.message}`);
         }
       }
       
       return updateReportStatus(
         reportData.id, 
         'RESOLVED', 
-        `Auto-resolved by Gemini AI: ${aiDecision.explanation}`,
-        GEMINI_AI_USER_ID
+        `Auto-resolved by AI moderation: ${aiDecision.explanation}${outcome}`,
+        AI_MODERATOR_USER_ID
       );
-    } else if (aiDecision.classification === 'ACCEPTABLE' && aiDecision.confidence >= 0.9) {
+    } else if (decision === REPORT_OUTCOMES.REJECTED) {
       // High confidence that this is acceptable content
       return updateReportStatus(
         reportData.id, 
         'REJECTED', 
-        `Rejected by Gemini AI: ${aiDecision.explanation}`,
-        GEMINI_AI_USER_ID
+        `Rejected by AI moderation: ${aiDecision.explanation}`,
+        AI_MODERATOR_USER_ID
       );
     } else {
       // Borderline cases or lower confidence - mark for human review
@@ -326,6 +268,5 @@ const updateReportStatus = async (reportId, status, adminComment, resolvedBy = n
 module.exports = {
   processReportWithAI,
   getUserReportHistory,
-  banUser,
   deleteInappropriateMessage
 }; 
\ No newline at end of file
@@ -0,0 +1,214 @@
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+
+// Error code returned to clients when a block prevents an action
+const USER_BLOCKED_CODE = 'USER_BLOCKED';
+
+/**
+ * Key for an unordered pair of users
+ * @param {string} userId1 - First user ID
+ * @param {string} userId2 - Second user ID
+ * @returns {string} Pair key
+ */
+const pairKey = (userId1, userId2) => [userId1, userId2].sort().join(':');
+
+/**
+ * Block or mute a user (re-blocking updates the type and reason)
+ * @param {string} blockerId - User creating the block
+ * @param {string} blockedId - User being blocked
+ * @param {object} options - { type: 'block'|'mute', reason }
+ * @returns {Promise<object>} Saved block row
+ */
+const blockUser = async (blockerId, blockedId, { type = 'block', reason = null } = {}) => {
+  const { data, error } = await supabase
+    .from('user_blocks')
+    .upsert({
+      blocker_id: blockerId,
+      blocked_id: blockedId,
+      type,
+      reason: reason || null,
+      updated_at: new Date()
+    }, { onConflict: 'blocker_id,blocked_id' })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error(`Error blocking user ${blockedId} for ${blockerId}: ${error.message}`);
+    throw error;
+  }
+
+  logger.info(`User ${blockerId} ${type === 'mute' ? 'muted' : 'blocked'} user ${blockedId}`);
+  return data;
+};
+
+/**
+ * Remove a block or mute
+ * @param {string} blockerId - User who created the block
+ * @param {string} blockedId - Blocked user
+ * @returns {Promise<boolean>} True if a block was removed
+ */
+const unblockUser = async (blockerId, blockedId) => {
+  const { data, error } = await supabase
+    .from('user_blocks')
+    .delete()
+    .eq('blocker_id', blockerId)
+    .eq('blocked_id', blockedId)
+    .select('id');
+
+  if (error) {
+    logger.error(`Error unblocking user ${blockedId} for ${blockerId}: ${error.message}`);
+    throw error;
+  }
+
+  return (data || []).length > 0;
+};
+
+/**
+ * List the users someone has blocked or muted
+ * @param {string} blockerId - User ID
+ * @param {string} type - Optional 'block' or 'mute' filter
+ * @returns {Promise<Array>} Block rows with basic profile of the blocked user
+ */
+const getBlocks = async (blockerId, type = null) => {
+  let query = supabase
+    .from('user_blocks')
+    .select(`
+      id,
+      type,
+      reason,
+      created_at,
+      user:blocked_id(
+        id,
+        first_name,
+        last_name,
+        username,
+        profile_picture_url
+      )
+    `)
+    .eq('blocker_id', blockerId)
+    .order('created_at', { ascending: false });
+
+  if (type) {
+    query = query.eq('type', type);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    logger.error(`Error fetching blocks for user ${blockerId}: ${error.message}`);
+    throw error;
+  }
+
+  return data || [];
+};
+
+/**
+ * Get users separated from a user by a block in either direction
+ * @param {string} userId - User ID
+ * @returns {Promise<Set>} IDs of users the user blocked or was blocked by
+ * @throws {Error} If the lookup fails, so callers never treat blocked users as unblocked
+ */
+const getBlockedUserIds = async (userId) => {
+  const { data, error } = await supabase
+    .from('user_blocks')
+    .select('blocker_id, blocked_id')
+    .eq('type', 'block')
+    .or(`blocker_id.eq.${userId},blocked_id.eq.${userId}`);
+
+  if (error) {
+    logger.error(`Error fetching blocked users for ${userId}: ${error.message}`);
+    throw error;
+  }
+
+  return new Set((data || []).map(row => (row.blocker_id === userId ? row.blocked_id : row.blocker_id)));
+};
+
+/**
+ * Get users whose content should be hidden from a user: blocks in either direction plus the user's mutes
+ * @param {string} userId - User ID
+ * @returns {Promise<Set>} Hidden user IDs
+ * @throws {Error} If the lookup fails
+ */
+const getHiddenUserIds = async (userId) => {
+  const { data, error } = await supabase
+    .from('user_blocks')
+    .select('blocker_id, blocked_id, type')
+    .or(`blocker_id.eq.${userId},and(blocked_id.eq.${userId},type.eq.block)`);
+
+  if (error) {
+    logger.error(`Error fetching hidden users for ${userId}: ${error.message}`);
+    throw error;
+  }
+
+  return new Set((data || []).map(row => (row.blocker_id === userId ? row.blocked_id : row.blocker_id)));
+};
+
+/**
+ * Check whether either user has blocked the other
+ * @param {string} userId1 - First user ID
+ * @param {string} userId2 - Second user ID
+ * @returns {Promise<boolean>} True if a block exists in either direction
+ * @throws {Error} If the check fails; callers must refuse the action rather than allow it
+ */
+const isBlockedBetween = async (userId1, userId2) => {
+  const { data, error } = await supabase
+    .from('user_blocks')
+    .select('id')
+    .eq('type', 'block')
+    .or(`and(blocker_id.eq.${userId1},blocked_id.eq.${userId2}),and(blocker_id.eq.${userId2},blocked_id.eq.${userId1})`)
+    .limit(1);
+
+  if (error) {
+    logger.error(`Error checking block between ${userId1} and ${userId2}: ${error.message}`);
+    throw error;
+  }
+
+  return (data || []).length > 0;
+};
+
+/**
+ * Get all blocked pairs among a group of users in one query
+ * @param {Array<string>} userIds - User IDs
+ * @returns {Promise<Set>} Pair keys (see hasBlockedPair)
+ * @throws {Error} If the lookup fails
+ */
+const getBlockedPairs = async (userIds) => {
+  if (userIds.length < 2) {
+    return new Set();
+  }
+
+  const { data, error } = await supabase
+    .from('user_blocks')
+    .select('blocker_id, blocked_id')
+    .eq('type', 'block')
+    .in('blocker_id', userIds)
+    .in('blocked_id', userIds);
+
+  if (error) {
+    logger.error(`Error fetching blocked pairs for ${userIds.length} users: ${error.message}`);
+    throw error;
+  }
+
+  return new Set((data || []).map(row => pairKey(row.blocker_id, row.blocked_id)));
+};
+
+/**
+ * Check a pair against the result of getBlockedPairs
+ * @param {Set} blockedPairs - Pair keys
+ * @param {string} userId1 - First user ID
+ * @param {string} userId2 - Second user ID
+ * @returns {boolean} True if the pair is blocked
+ */
+const hasBlockedPair = (blockedPairs, userId1, userId2) => blockedPairs.has(pairKey(userId1, userId2));
+
+module.exports = {
+  USER_BLOCKED_CODE,
+  blockUser,
+  unblockUser,
+  getBlocks,
+  getBlockedUserIds,
+  getHiddenUserIds,
+  isBlockedBetween,
+  getBlockedPairs,
+  hasBlockedPair
+};
@@ -0,0 +1,263 @@
+const { interests } = require('../utils/interests');
+
+// Relative weight of each factor in the final score (must add up to 1)
+const COMPATIBILITY_WEIGHTS = {
+  interests: 0.4,
+  distance: 0.2,
+  age: 0.15,
+  preference: 0.1,
+  activity: 0.1,
+  verification: 0.05
+};
+
+const CATEGORY_MATCH_CREDIT = 0.5; // Partial credit for sharing a category but not the exact interest
+const DEFAULT_MAX_DISTANCE_KM = 50;
+const AGE_FALLOFF_YEARS = 5; // Years outside the requested range before the age score reaches 0
+const ACTIVITY_DECAY_HOURS = 72; // Hours of inactivity at which the activity score drops to ~37%
+const NEUTRAL_SCORE = 0.5; // Used when a factor can't be evaluated (missing location, birth date, ...)
+
+// Lookup from lowercase interest name to its category
+const interestCategoryMap = interests.reduce((acc, item) => {
+  item.subcategories.forEach(subcategory => {
+    acc[subcategory.toLowerCase()] = item.category;
+  });
+  return acc;
+}, {});
+
+/**
+ * Calculate distance between two coordinates in kilometers using Haversine formula
+ * @param {object} coord1 - First coordinate {latitude, longitude}
+ * @param {object} coord2 - Second coordinate {latitude, longitude}
+ * @returns {number} Distance in kilometers
+ */
+const calculateDistance = (coord1, coord2) => {
+  const R = 6371; // Earth radius in kilometers
+  const dLat = (coord2.latitude - coord1.latitude) * (Math.PI / 180);
+  const dLon = (coord2.longitude - coord1.longitude) * (Math.PI / 180);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(coord1.latitude * (Math.PI / 180)) * Math.cos(coord2.latitude * (Math.PI / 180)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+};
+
+/**
+ * Calculate age from date of birth
+ * @param {string} dateOfBirth - Date of birth in ISO format
+ * @returns {number} Age in years
+ */
+const calculateAge = (dateOfBirth) => {
+  const dob = new Date(dateOfBirth);
+  const today = new Date();
+  let age = today.getFullYear() - dob.getFullYear();
+  const monthDiff = today.getMonth() - dob.getMonth();
+  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < dob.getDate())) {
+    age--;
+  }
+  return age;
+};
+
+/**
+ * Check whether a location object has usable coordinates
+ * @param {object} location - Location {latitude, longitude}
+ * @returns {boolean} True if both coordinates are numbers
+ */
+const hasCoordinates = (location) => {
+  return !!location &&
+    typeof location.latitude === 'number' &&
+    typeof location.longitude === 'number';
+};
+
+/**
+ * Round a factor score to keep breakdowns readable
+ * @param {number} value - Raw score
+ * @returns {number} Score rounded to 3 decimals
+ */
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Score interest overlap, giving partial credit for interests in a shared category
+ * @param {Array} interests1 - First user's interests
+ * @param {Array} interests2 - Second user's interests
+ * @returns {object} Factor score with shared interests and categories
+ */
+const scoreInterests = (interests1 = [], interests2 = []) => {
+  if (interests1.length === 0 || interests2.length === 0) {
+    return { score: 0, sharedInterests: [], sharedCategories: [] };
+  }
+
+  const lower2 = new Set(interests2.map(interest => interest.toLowerCase()));
+  const lower1 = new Set(interests1.map(interest => interest.toLowerCase()));
+  const categories1 = new Set(interests1.map(i => interestCategoryMap[i.toLowerCase()]).filter(Boolean));
+  const categories2 = new Set(interests2.map(i => interestCategoryMap[i.toLowerCase()]).filter(Boolean));
+
+  const sharedInterests = interests1.filter(interest => lower2.has(interest.toLowerCase()));
+  const sharedCategories = Array.from(categories1).filter(category => categories2.has(category));
+
+  // Each interest earns full credit for an exact match, partial credit for a category match
+  const creditFor = (interest, otherInterests, otherCategories) => {
+    const key = interest.toLowerCase();
+    if (otherInterests.has(key)) return 1;
+    const category = interestCategoryMap[key];
+    return category && otherCategories.has(category) ? CATEGORY_MATCH_CREDIT : 0;
+  };
+
+  const credit1 = interests1.reduce((sum, i) => sum + creditFor(i, lower2, categories2), 0) / interests1.length;
+  const credit2 = interests2.reduce((sum, i) => sum + creditFor(i, lower1, categories1), 0) / interests2.length;
+
+  return {
+    score: round((credit1 + credit2) / 2),
+    sharedInterests,
+    sharedCategories
+  };
+};
+
+/**
+ * Score physical distance with exponential decay relative to the requested max distance
+ * @param {object} location1 - First user's location
+ * @param {object} location2 - Second user's location
+ * @param {number} maxDistance - Requested max distance in km
+ * @returns {object} Factor score with distance in km
+ */
+const scoreDistance = (location1, location2, maxDistance = DEFAULT_MAX_DISTANCE_KM) => {
+  if (!hasCoordinates(location1) || !hasCoordinates(location2)) {
+    return { score: NEUTRAL_SCORE, distanceKm: null };
+  }
+
+  const distanceKm = calculateDistance(location1, location2);
+
+  return {
+    score: round(Math.exp(-distanceKm / maxDistance)),
+    distanceKm: Math.round(distanceKm * 10) / 10
+  };
+};
+
+/**
+ * Score how well a user's age fits the range the other user requested
+ * @param {string} dateOfBirth - Date of birth of the user being scored
+ * @param {object} ageRange - Requested range {min, max}
+ * @returns {object} Factor score with the age
+ */
+const scoreAge = (dateOfBirth, ageRange) => {
+  if (!dateOfBirth) {
+    return { score: NEUTRAL_SCORE, age: null };
+  }
+
+  const age = calculateAge(dateOfBirth);
+  if (!ageRange) {
+    return { score: 1, age };
+  }
+
+  const min = ageRange.min || 18;
+  const max = ageRange.max || 80;
+  const yearsOutside = age < min ? min - age : (age > max ? age - max : 0);
+
+  return {
+    score: round(Math.max(0, 1 - yearsOutside / AGE_FALLOFF_YEARS)),
+    age
+  };
+};
+
+/**
+ * Score how recently a user was active
+ * @param {object} user - User being scored
+ * @returns {object} Factor score with hours since last activity
+ */
+const scoreActivity = (user) => {
+  if (user.is_online) {
+    return { score: 1, hoursInactive: 0 };
+  }
+
+  if (!user.last_active) {
+    return { score: NEUTRAL_SCORE, hoursInactive: null };
+  }
+
+  const hoursInactive = Math.max(0, (Date.now() - new Date(user.last_active).getTime()) / (1000 * 60 * 60));
+
+  return {
+    score: round(Math.exp(-hoursInactive / ACTIVITY_DECAY_HOURS)),
+    hoursInactive: Math.round(hoursInactive)
+  };
+};
+
+/**
+ * Keep the lower of two factor scores, so a pair only scores well if it suits both users
+ * @param {object} factor - Factor seen by the user looking for a match
+ * @param {object} reverse - Same factor seen by the candidate
+ * @param {object} reverseDetails - Details to keep from the reverse factor, renamed
+ * @returns {object} Factor with the lower score and both sets of details
+ */
+const lowerOf = (factor, reverse, reverseDetails) => ({
+  ...factor,
+  ...reverseDetails,
+  score: Math.min(factor.score, reverse.score)
+});
+
+/**
+ * Calculate a weighted, explainable compatibility score between two users
+ * Age and activity are scored both ways and the lower score counts
+ * @param {object} user1 - User looking for a match
+ * @param {object} user2 - Candidate user
+ * @param {object} criteria - user1's matchmaking criteria {preference, maxDistance, ageRange}
+ * @param {object} otherCriteria - user2's matchmaking criteria, used to score user1's age
+ * @returns {object} { score: 0-100, breakdown: per-factor details, sharedInterests }
+ */
+const calculateCompatibility = (user1, user2, criteria = {}, otherCriteria = {}) => {
+  const preference = criteria.preference || user1.preference;
+
+  // Hard requirements - these make a pair incompatible regardless of other factors
+  if (user2.is_bot) {
+    return { score: 0, breakdown: null, sharedInterests: [], reason: 'bot_user' };
+  }
+
+  if (preference && user2.preference && preference !== user2.preference) {
+    return { score: 0, breakdown: null, sharedInterests: [], reason: 'preference_mismatch' };
+  }
+
+  const interestFactor = scoreInterests(user1.interests, user2.interests);
+  if (interestFactor.score === 0) {
+    return { score: 0, breakdown: null, sharedInterests: [], reason: 'no_shared_interests' };
+  }
+
+  const age = scoreAge(user2.date_of_birth, criteria.ageRange);
+  const userAge = scoreAge(user1.date_of_birth, otherCriteria.ageRange);
+  const activity = scoreActivity(user2);
+  const userActivity = scoreActivity(user1);
+
+  const factors = {
+    interests: interestFactor,
+    distance: scoreDistance(user1.location, user2.location, criteria.maxDistance),
+    age: lowerOf(age, userAge, { userAge: userAge.age }),
+    preference: { score: preference && user2.preference ? 1 : NEUTRAL_SCORE },
+    activity: lowerOf(activity, userActivity, { userHoursInactive: userActivity.hoursInactive }),
+    verification: { score: user2.is_verified ? 1 : 0, verified: !!user2.is_verified }
+  };
+
+  // Attach weights and weighted contributions so clients can explain the score
+  const breakdown = {};
+  let total = 0;
+  for (const [factor, details] of Object.entries(factors)) {
+    const weight = COMPATIBILITY_WEIGHTS[factor];
+    const contribution = details.score * weight * 100;
+    total += contribution;
+    breakdown[factor] = {
+      ...details,
+      weight,
+      contribution: Math.round(contribution * 10) / 10
+    };
+  }
+
+  return {
+    score: Math.round(total),
+    breakdown,
+    sharedInterests: interestFactor.sharedInterests
+  };
+};
+
+module.exports = {
+  COMPATIBILITY_WEIGHTS,
+  calculateCompatibility,
+  calculateDistance,
+  calculateAge
+};
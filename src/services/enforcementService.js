@@ -0,0 +1,803 @@
+/**
+ * Graduated enforcement
+ * Confirmed violations give users strikes. A strike counts for STRIKE_DECAY_DAYS, and
+ * the points of a user's active strikes pick the step of the ladder to apply:
+ *
+ *   1 point    warning
+ *   2 points   messages rate-limited for a day
+ *   3 points   no new matches, no posting and rate-limited messages for 3 days
+ *   4 points   suspended for 7 days
+ *   5 points   suspended for 30 days
+ *   6 points   banned
+ *
+ * Admins can also apply any action directly, lift actions and revoke strikes. Users are
+ * notified of every action with its reason, and every action is logged to admin_activities.
+ * The enforcement middleware checks a user's standing, which is cached in shared state
+ * so that all nodes see a change as soon as it is made.
+ */
+
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+const { getSharedState } = require('./sharedState/sharedStateService');
+const { createNotification, NotificationType } = require('./notification/notificationService');
+const { removeUserFromMatchmaking } = require('./matchmaking/matchmakingService');
+const {
+  strikeSchema,
+  enforcementSchema,
+  enforcementReviewSchema
+} = require('../models/enforcement');
+
+const ACCOUNT_SUSPENDED_CODE = 'ACCOUNT_SUSPENDED';
+const ACCOUNT_BANNED_CODE = 'ACCOUNT_BANNED';
+const FEATURE_RESTRICTED_CODE = 'FEATURE_RESTRICTED';
+const MESSAGE_RATE_LIMITED_CODE = 'MESSAGE_RATE_LIMITED';
+const STANDING_UNAVAILABLE_CODE = 'STANDING_UNAVAILABLE';
+
+const HOUR_MS = 60 * 60 * 1000;
+const STRIKE_DECAY_DAYS = parseInt(process.env.STRIKE_DECAY_DAYS, 10) || 90;
+const STANDING_NAMESPACE = 'enforcement_standing';
+const STANDING_CACHE_TTL_MS = 60 * 1000;
+const MESSAGE_RATE_NAMESPACE = 'enforcement_message_rate';
+const MESSAGE_RATE_WINDOW_MS = 60 * 1000;
+const RESTRICTED_MESSAGES_PER_MINUTE = 5;
+const STANDING_RETRY_AFTER_SECONDS = 5;
+const HISTORY_LIMIT = 100;
+const ENDED_BATCH_SIZE = 200;
+
+/**
+ * Ladder steps, by active strike points; the highest step reached applies
+ */
+const ENFORCEMENT_LADDER = [
+  { points: 1, action: 'warning' },
+  { points: 2, action: 'restriction', restrictions: ['messaging_rate'], durationHours: 24 },
+  { points: 3, action: 'restriction', restrictions: ['matching', 'posting', 'messaging_rate'], durationHours: 72 },
+  { points: 4, action: 'suspension', durationHours: 7 * 24 },
+  { points: 5, action: 'suspension', durationHours: 30 * 24 },
+  { points: 6, action: 'ban' }
+];
+
+// Features the middleware guards, and the restriction that limits each
+const FEATURE_RESTRICTIONS = {
+  matching: 'matching',
+  posting: 'posting',
+  messaging: 'messaging_rate'
+};
+
+// What each restriction stops, for notices
+const RESTRICTION_DESCRIPTIONS = {
+  matching: 'find new matches',
+  posting: 'post or comment',
+  messaging_rate: `send more than ${RESTRICTED_MESSAGES_PER_MINUTE} messages a minute`
+};
+
+/**
+ * Failed service result
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {string|null} code - Error code for clients
+ * @param {object} extra - More fields for the client (enforcement, retryAfterSeconds)
+ * @returns {object} Failed result
+ */
+const fail = (status, message, code = null, extra = {}) => ({
+  success: false,
+  status,
+  message,
+  ...(code ? { code } : {}),
+  ...extra
+});
+
+const formatDate = (date) => new Date(date).toUTCString();
+
+/**
+ * Failed result for a standing that couldn't be checked
+ * Enforcement fails closed: the request is refused rather than let through unchecked
+ * @returns {object} Failed result
+ */
+const standingUnavailable = () => fail(503, 'Your account standing could not be checked. Please try again shortly', STANDING_UNAVAILABLE_CODE, {
+  retryAfterSeconds: STANDING_RETRY_AFTER_SECONDS
+});
+
+/**
+ * Whether an enforcement currently limits the user (warnings never do)
+ * @param {object} enforcement - user_enforcements row
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+const isInForce = (enforcement, now) => enforcement.action !== 'warning'
+  && !enforcement.lifted_at
+  && new Date(enforcement.starts_at) <= now
+  && (!enforcement.ends_at || new Date(enforcement.ends_at) > now);
+
+/**
+ * What users are told about an action
+ * @param {object} enforcement - user_enforcements row
+ * @returns {object} { action, reason, restrictions, endsAt }
+ */
+const toNotice = (enforcement) => ({
+  id: enforcement.id,
+  action: enforcement.action,
+  reason: enforcement.reason,
+  restrictions: enforcement.restrictions || [],
+  endsAt: enforcement.ends_at || null
+});
+
+/**
+ * Load a user's active strikes and the actions in force
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { strikes, enforcements, loadedAt }
+ */
+const loadStanding = async (userId) => {
+  const now = new Date().toISOString();
+
+  const [strikesResult, enforcementsResult] = await Promise.all([
+    supabase
+      .from('user_strikes')
+      .select('id, points, reason, source, expires_at, created_at')
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .gt('expires_at', now),
+    supabase
+      .from('user_enforcements')
+      .select('id, action, restrictions, reason, starts_at, ends_at, lifted_at')
+      .eq('user_id', userId)
+      .neq('action', 'warning')
+      .is('lifted_at', null)
+      .or(`ends_at.is.null,ends_at.gt.${now}`)
+  ]);
+
+  if (strikesResult.error) throw strikesResult.error;
+  if (enforcementsResult.error) throw enforcementsResult.error;
+
+  return {
+    strikes: strikesResult.data || [],
+    enforcements: enforcementsResult.data || [],
+    loadedAt: Date.now()
+  };
+};
+
+/**
+ * Forget a user's cached standing, on every node
+ * @param {string} userId - User ID
+ */
+const clearStanding = async (userId) => {
+  await getSharedState().delete(STANDING_NAMESPACE, userId);
+};
+
+/**
+ * A user's standing: active strikes and the actions in force
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { status ('good', 'restricted', 'suspended' or 'banned'), points, strikes,
+ *   restrictions, enforcements, suspension, ban }
+ */
+const getStanding = async (userId) => {
+  const store = getSharedState();
+  let cached = await store.get(STANDING_NAMESPACE, userId);
+
+  if (!cached || Date.now() - cached.loadedAt >= STANDING_CACHE_TTL_MS) {
+    cached = await loadStanding(userId);
+    await store.set(STANDING_NAMESPACE, userId, cached);
+  }
+
+  // Cached rows may have expired since they were loaded
+  const now = new Date();
+  const strikes = cached.strikes.filter(strike => new Date(strike.expires_at) > now);
+  const enforcements = cached.enforcements.filter(enforcement => isInForce(enforcement, now));
+  const ban = enforcements.find(enforcement => enforcement.action === 'ban') || null;
+  const suspension = enforcements
+    .filter(enforcement => enforcement.action === 'suspension')
+    .sort((a, b) => new Date(b.ends_at) - new Date(a.ends_at))[0] || null;
+  const restrictions = [...new Set(enforcements
+    .filter(enforcement => enforcement.action === 'restriction')
+    .flatMap(enforcement => enforcement.restrictions || []))];
+
+  let status = 'good';
+  if (ban) status = 'banned';
+  else if (suspension) status = 'suspended';
+  else if (restrictions.length > 0) status = 'restricted';
+
+  return {
+    status,
+    points: strikes.reduce((total, strike) => total + strike.points, 0),
+    strikes,
+    restrictions,
+    enforcements: enforcements.map(toNotice),
+    suspension: suspension ? toNotice(suspension) : null,
+    ban: ban ? toNotice(ban) : null
+  };
+};
+
+/**
+ * Whether a user may use the app at all
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { success: true } or a failed result for suspended and banned users
+ */
+const checkAccountAccess = async (userId) => {
+  const standing = await getStanding(userId);
+
+  if (standing.ban) {
+    return fail(403, `Your account has been banned. Reason: ${standing.ban.reason}`, ACCOUNT_BANNED_CODE, {
+      enforcement: standing.ban
+    });
+  }
+
+  if (standing.suspension) {
+    return fail(403, `Your account is suspended until ${formatDate(standing.suspension.endsAt)}. Reason: ${standing.suspension.reason}`, ACCOUNT_SUSPENDED_CODE, {
+      enforcement: standing.suspension
+    });
+  }
+
+  return { success: true, standing };
+};
+
+/**
+ * Count a message against a rate-limited user's allowance
+ * @param {string} userId - User ID
+ * @param {object} enforcement - Restriction in force
+ * @returns {Promise<object>} { success: true } or a failed result once the allowance is used
+ */
+const useMessageAllowance = async (userId, enforcement) => {
+  const store = getSharedState();
+  const now = Date.now();
+  const recent = ((await store.get(MESSAGE_RATE_NAMESPACE, userId)) || []).filter(at => now - at < MESSAGE_RATE_WINDOW_MS);
+
+  if (recent.length >= RESTRICTED_MESSAGES_PER_MINUTE) {
+    return fail(429, `Your messages are limited to ${RESTRICTED_MESSAGES_PER_MINUTE} a minute until ${formatDate(enforcement.endsAt)}`, MESSAGE_RATE_LIMITED_CODE, {
+      enforcement,
+      retryAfterSeconds: Math.ceil((recent[0] + MESSAGE_RATE_WINDOW_MS - now) / 1000)
+    });
+  }
+
+  await store.set(MESSAGE_RATE_NAMESPACE, userId, [...recent, now]);
+  return { success: true };
+};
+
+/**
+ * Whether a user may use a feature right now
+ * Messaging under a rate limit counts the message being sent
+ * @param {string} userId - User ID
+ * @param {string} feature - 'matching', 'posting' or 'messaging'
+ * @returns {Promise<object>} { success: true } or a failed result
+ */
+const checkFeature = async (userId, feature) => {
+  const access = await checkAccountAccess(userId);
+  if (!access.success) {
+    return access;
+  }
+
+  const restriction = FEATURE_RESTRICTIONS[feature];
+  if (!access.standing.restrictions.includes(restriction)) {
+    return { success: true };
+  }
+
+  // The restriction that lasts longest is the one to report
+  const enforcement = access.standing.enforcements
+    .filter(notice => notice.restrictions.includes(restriction))
+    .sort((a, b) => new Date(b.endsAt) - new Date(a.endsAt))[0];
+
+  if (restriction === 'messaging_rate') {
+    return useMessageAllowance(userId, enforcement);
+  }
+
+  return fail(403, `You can't ${RESTRICTION_DESCRIPTIONS[restriction]} until ${formatDate(enforcement.endsAt)}. Reason: ${enforcement.reason}`, FEATURE_RESTRICTED_CODE, {
+    enforcement
+  });
+};
+
+/**
+ * Record an action in admin_activities
+ * Never throws: a failed write is logged and the action stands
+ * @param {string} adminId - Admin (or the AI moderator) who acted
+ * @param {string} activityType - e.g. user_strike, user_suspension
+ * @param {string} description - Human-readable summary
+ * @param {string} targetId - User acted on
+ * @param {object} details - Structured details
+ */
+const logActivity = async (adminId, activityType, description, targetId, details) => {
+  try {
+    const { error } = await supabase
+      .from('admin_activities')
+      .insert({
+        admin_id: adminId,
+        activity_type: activityType,
+        description,
+        target_id: targetId,
+        details,
+        created_at: new Date()
+      });
+
+    if (error) throw error;
+  } catch (err) {
+    logger.error(`Error logging ${activityType} for user ${targetId}: ${err.message}`);
+  }
+};
+
+/**
+ * Title and text of the notice sent to a user about an action
+ * @param {object} enforcement - user_enforcements row
+ * @returns {object} { title, message }
+ */
+const describeEnforcement = (enforcement) => {
+  const reason = `Reason: ${enforcement.reason}`;
+
+  switch (enforcement.action) {
+    case 'warning':
+      return {
+        title: 'Community guidelines warning',
+        message: `You received a warning. ${reason}. More violations will limit your account.`
+      };
+    case 'restriction':
+      return {
+        title: 'Your account is limited',
+        message: `Until ${formatDate(enforcement.ends_at)} you can't ${enforcement.restrictions.map(restriction => RESTRICTION_DESCRIPTIONS[restriction]).join(', ')}. ${reason}`
+      };
+    case 'suspension':
+      return {
+        title: 'Your account is suspended',
+        message: `Your account is suspended until ${formatDate(enforcement.ends_at)}. ${reason}`
+      };
+    default:
+      return {
+        title: 'Your account has been banned',
+        message: `Your account has been banned. ${reason}`
+      };
+  }
+};
+
+/**
+ * Notify a user about an action on their account
+ * Never throws: the action stands even if the notice can't be sent
+ * @param {string} userId - User ID
+ * @param {object} notice - { title, message }
+ * @param {object} enforcement - user_enforcements row
+ * @param {string} event - 'applied', 'lifted' or 'ended'
+ */
+const notifyUser = async (userId, { title, message }, enforcement, event) => {
+  try {
+    await createNotification(userId, NotificationType.ACCOUNT_ENFORCEMENT, {
+      title,
+      message,
+      event,
+      ...toNotice(enforcement)
+    });
+  } catch (err) {
+    logger.error(`Error notifying user ${userId} of enforcement ${enforcement.id}: ${err.message}`);
+  }
+};
+
+/**
+ * Mirror the suspension or ban in force on the users row, for existing admin views
+ * @param {string} userId - User ID
+ */
+const syncBanStatus = async (userId) => {
+  const { ban, suspension } = await getStanding(userId);
+  const blocking = ban || suspension;
+
+  const { error } = await supabase
+    .from('users')
+    .update(blocking
+      ? { is_banned: true, ban_reason: blocking.reason, banned_at: new Date(), ban_until: blocking.endsAt }
+      : { is_banned: false, ban_reason: null, banned_at: null, ban_until: null })
+    .eq('id', userId);
+
+  if (error) {
+    logger.error(`Error syncing ban status of user ${userId}: ${error.message}`);
+  }
+};
+
+/**
+ * Apply an action to a user: record it, notify the user, and log it
+ * Suspended and banned users are disconnected; users who can't match leave the queue
+ * @param {string} userId - User ID
+ * @param {object} action - { action, reason, restrictions, durationHours }
+ * @param {string} issuedBy - Admin (or the AI moderator) applying it
+ * @param {object} options - { strikeId }
+ * @returns {Promise<object>} { success, enforcement } or failed result
+ */
+const applyEnforcement = async (userId, action, issuedBy, { strikeId = null } = {}) => {
+  const { error: validationError, value } = enforcementSchema.validate(action);
+  if (validationError) {
+    return fail(400, validationError.details[0].message);
+  }
+
+  const now = new Date();
+  const { data: enforcement, error } = await supabase
+    .from('user_enforcements')
+    .insert({
+      user_id: userId,
+      strike_id: strikeId,
+      action: value.action,
+      restrictions: value.restrictions || [],
+      reason: value.reason,
+      issued_by: issuedBy,
+      starts_at: now,
+      ends_at: value.durationHours ? new Date(now.getTime() + value.durationHours * HOUR_MS) : null
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23503') {
+      return fail(404, 'User not found');
+    }
+    logger.error(`Error applying ${value.action} to user ${userId}: ${error.message}`);
+    throw error;
+  }
+
+  await clearStanding(userId);
+
+  const blocksAccount = ['suspension', 'ban'].includes(enforcement.action);
+  if (blocksAccount) {
+    await syncBanStatus(userId);
+  }
+
+  await logActivity(issuedBy, `user_${enforcement.action}`,
+    `${enforcement.action} applied${enforcement.ends_at ? ` until ${formatDate(enforcement.ends_at)}` : ''}: ${enforcement.reason}`,
+    userId, { enforcementId: enforcement.id, strikeId, restrictions: enforcement.restrictions, endsAt: enforcement.ends_at });
+
+  const notice = describeEnforcement(enforcement);
+  await notifyUser(userId, notice, enforcement, 'applied');
+
+  if (blocksAccount || enforcement.restrictions.includes('matching')) {
+    removeUserFromMatchmaking(userId, 'unavailable').catch(err => {
+      logger.error(`Error removing user ${userId} from matchmaking: ${err.message}`);
+    });
+  }
+
+  if (blocksAccount) {
+    const { disconnectUser } = require('../socket/socketManager');
+    disconnectUser(userId, 'account:enforcement', { ...notice, ...toNotice(enforcement) });
+  }
+
+  logger.info(`Applied ${enforcement.action} to user ${userId} (by ${issuedBy})`);
+  return { success: true, enforcement };
+};
+
+/**
+ * Ladder step for a number of active strike points
+ * @param {number} points - Active strike points
+ * @returns {object|null} Step, or null below the first step
+ */
+const getLadderStep = (points) => ENFORCEMENT_LADDER
+  .filter(step => points >= step.points)
+  .pop() || null;
+
+/**
+ * Give a user a strike and apply the ladder step their active strikes reach
+ * @param {string} userId - User ID
+ * @param {object} strike - { reason, points, source ('report', 'moderation' or 'admin'), sourceId }
+ * @param {string} issuedBy - Admin (or the AI moderator) issuing it
+ * @returns {Promise<object>} { success, strike, points, enforcement } or failed result
+ */
+const issueStrike = async (userId, strike, issuedBy) => {
+  const { error: validationError, value } = strikeSchema.validate(strike);
+  if (validationError) {
+    return fail(400, validationError.details[0].message);
+  }
+
+  const { data: created, error } = await supabase
+    .from('user_strikes')
+    .insert({
+      user_id: userId,
+      points: value.points,
+      reason: value.reason,
+      source: value.source,
+      source_id: value.sourceId,
+      issued_by: issuedBy,
+      expires_at: new Date(Date.now() + STRIKE_DECAY_DAYS * 24 * HOUR_MS)
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23503') {
+      return fail(404, 'User not found');
+    }
+    logger.error(`Error issuing strike to user ${userId}: ${error.message}`);
+    throw error;
+  }
+
+  await clearStanding(userId);
+  const { points } = await getStanding(userId);
+
+  await logActivity(issuedBy, 'user_strike', `Strike issued (${points} active points): ${created.reason}`, userId, {
+    strikeId: created.id,
+    points: created.points,
+    activePoints: points,
+    source: value.source,
+    sourceId: value.sourceId
+  });
+
+  const step = getLadderStep(points);
+  if (!step) {
+    return { success: true, strike: created, points, enforcement: null };
+  }
+
+  const result = await applyEnforcement(userId, {
+    action: step.action,
+    restrictions: step.restrictions,
+    durationHours: step.durationHours,
+    reason: created.reason
+  }, issuedBy, { strikeId: created.id });
+
+  return { success: true, strike: created, points, enforcement: result.enforcement || null };
+};
+
+/**
+ * Revoke a strike; actions it already caused stay until lifted
+ * @param {string} strikeId - Strike ID
+ * @param {object} review - { reason }
+ * @param {string} revokedBy - Admin ID
+ * @returns {Promise<object>} { success, strike } or failed result
+ */
+const revokeStrike = async (strikeId, review, revokedBy) => {
+  const { error: validationError, value } = enforcementReviewSchema.validate(review || {});
+  if (validationError) {
+    return fail(400, validationError.details[0].message);
+  }
+
+  const { data: strike, error } = await supabase
+    .from('user_strikes')
+    .update({ revoked_at: new Date(), revoked_by: revokedBy, revoke_reason: value.reason || null })
+    .eq('id', strikeId)
+    .is('revoked_at', null)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!strike) {
+    return fail(404, 'Strike not found or already revoked');
+  }
+
+  await clearStanding(strike.user_id);
+  await logActivity(revokedBy, 'user_strike_revoked', `Strike revoked${value.reason ? `: ${value.reason}` : ''}`, strike.user_id, {
+    strikeId,
+    reason: value.reason || null
+  });
+
+  return { success: true, strike };
+};
+
+/**
+ * End an action before its time and tell the user
+ * @param {string} enforcementId - Enforcement ID
+ * @param {object} review - { reason }
+ * @param {string} liftedBy - Admin ID
+ * @param {object} options - { notify: false when the caller tells the user itself }
+ * @returns {Promise<object>} { success, enforcement } or failed result
+ */
+const liftEnforcement = async (enforcementId, review, liftedBy, { notify = true } = {}) => {
+  const { error: validationError, value } = enforcementReviewSchema.validate(review || {});
+  if (validationError) {
+    return fail(400, validationError.details[0].message);
+  }
+
+  const { data: enforcement, error } = await supabase
+    .from('user_enforcements')
+    .update({ lifted_at: new Date(), lifted_by: liftedBy, lift_reason: value.reason || null })
+    .eq('id', enforcementId)
+    .is('lifted_at', null)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!enforcement) {
+    return fail(404, 'Enforcement not found or already lifted');
+  }
+
+  await clearStanding(enforcement.user_id);
+  if (['suspension', 'ban'].includes(enforcement.action)) {
+    await syncBanStatus(enforcement.user_id);
+  }
+
+  await logActivity(liftedBy, 'user_enforcement_lifted', `${enforcement.action} lifted${value.reason ? `: ${value.reason}` : ''}`, enforcement.user_id, {
+    enforcementId,
+    action: enforcement.action,
+    reason: value.reason || null
+  });
+
+  if (notify && enforcement.action !== 'warning') {
+    await notifyUser(enforcement.user_id, {
+      title: 'Your account is back to normal',
+      message: `The ${enforcement.action} on your account has been lifted.`
+    }, enforcement, 'lifted');
+  }
+
+  return { success: true, enforcement };
+};
+
+/**
+ * Revoke a strike and lift the actions it caused (an overturned decision)
+ * @param {string} strikeId - Strike ID
+ * @param {object} review - { reason }
+ * @param {string} revokedBy - Admin ID
+ * @param {object} options - { notify: false when the caller tells the user itself }
+ * @returns {Promise<object>} { success, strike, lifted } or failed result
+ */
+const reverseStrike = async (strikeId, review, revokedBy, { notify = true } = {}) => {
+  const revoked = await revokeStrike(strikeId, review, revokedBy);
+  if (!revoked.success) {
+    return revoked;
+  }
+
+  const { data: caused, error } = await supabase
+    .from('user_enforcements')
+    .select('id')
+    .eq('strike_id', strikeId)
+    .is('lifted_at', null);
+
+  if (error) throw error;
+
+  const lifted = [];
+  for (const { id } of caused || []) {
+    const result = await liftEnforcement(id, review, revokedBy, { notify });
+    if (result.success) {
+      lifted.push(result.enforcement);
+    }
+  }
+
+  return { success: true, strike: revoked.strike, lifted };
+};
+
+/**
+ * Lift every suspension and ban in force on a user (the manual unban)
+ * @param {string} userId - User ID
+ * @param {object} review - { reason }
+ * @param {string} liftedBy - Admin ID
+ * @returns {Promise<object>} { success, lifted }
+ */
+const liftAccountBlocks = async (userId, review, liftedBy) => {
+  await clearStanding(userId);
+  const { ban, suspension, enforcements } = await getStanding(userId);
+  const blocking = enforcements.filter(enforcement => ['suspension', 'ban'].includes(enforcement.action));
+
+  const lifted = [];
+  for (const enforcement of blocking) {
+    const result = await liftEnforcement(enforcement.id, review, liftedBy);
+    if (result.success) {
+      lifted.push(result.enforcement);
+    }
+  }
+
+  // Nothing was in force; clear a ban set before the ladder existed
+  if (!ban && !suspension) {
+    await syncBanStatus(userId);
+  }
+
+  return { success: true, lifted };
+};
+
+/**
+ * A user's full enforcement history, for admins
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { standing, strikes, enforcements }
+ */
+const getEnforcementHistory = async (userId) => {
+  const [standing, strikesResult, enforcementsResult] = await Promise.all([
+    getStanding(userId),
+    supabase
+      .from('user_strikes')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(HISTORY_LIMIT),
+    supabase
+      .from('user_enforcements')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(HISTORY_LIMIT)
+  ]);
+
+  if (strikesResult.error) throw strikesResult.error;
+  if (enforcementsResult.error) throw enforcementsResult.error;
+
+  return {
+    standing,
+    strikes: strikesResult.data || [],
+    enforcements: enforcementsResult.data || []
+  };
+};
+
+/**
+ * Tell users whose restriction or suspension has run out, and clear the ban mirror
+ * @returns {Promise<number>} Number of actions that ended
+ */
+const releaseEndedEnforcements = async () => {
+  const now = new Date();
+  const { data: ended, error } = await supabase
+    .from('user_enforcements')
+    .select('*')
+    .is('lifted_at', null)
+    .is('ended_notified_at', null)
+    .not('ends_at', 'is', null)
+    .lte('ends_at', now.toISOString())
+    .order('ends_at', { ascending: true })
+    .limit(ENDED_BATCH_SIZE);
+
+  if (error) throw error;
+
+  let released = 0;
+  for (const enforcement of ended || []) {
+    // Claim the row, so only one node tells the user
+    const { data: claimed, error: updateError } = await supabase
+      .from('user_enforcements')
+      .update({ ended_notified_at: now })
+      .eq('id', enforcement.id)
+      .is('ended_notified_at', null)
+      .select('id')
+      .maybeSingle();
+
+    if (updateError) {
+      logger.error(`Error marking enforcement ${enforcement.id} ended: ${updateError.message}`);
+      continue;
+    }
+    if (!claimed) {
+      continue;
+    }
+    released++;
+
+    await clearStanding(enforcement.user_id);
+    if (enforcement.action === 'suspension') {
+      await syncBanStatus(enforcement.user_id);
+    }
+
+    await notifyUser(enforcement.user_id, {
+      title: 'Your account is back to normal',
+      message: `The ${enforcement.action} on your account has ended.`
+    }, enforcement, 'ended');
+  }
+
+  return released;
+};
+
+/**
+ * Drop cached standings and message allowances that are no longer current
+ * @returns {Promise<number>} Entries removed
+ */
+const pruneEnforcementCache = async () => {
+  const store = getSharedState();
+  const now = Date.now();
+  let removed = 0;
+
+  for (const [userId, cached] of await store.entries(STANDING_NAMESPACE)) {
+    if (!cached || now - cached.loadedAt >= STANDING_CACHE_TTL_MS) {
+      await store.delete(STANDING_NAMESPACE, userId);
+      removed++;
+    }
+  }
+
+  for (const [userId, recent] of await store.entries(MESSAGE_RATE_NAMESPACE)) {
+    if (!(recent || []).some(at => now - at < MESSAGE_RATE_WINDOW_MS)) {
+      await store.delete(MESSAGE_RATE_NAMESPACE, userId);
+      removed++;
+    }
+  }
+
+  return removed;
+};
+
+module.exports = {
+  ACCOUNT_SUSPENDED_CODE,
+  ACCOUNT_BANNED_CODE,
+  FEATURE_RESTRICTED_CODE,
+  MESSAGE_RATE_LIMITED_CODE,
+  STANDING_UNAVAILABLE_CODE,
+  ENFORCEMENT_LADDER,
+  STRIKE_DECAY_DAYS,
+  RESTRICTED_MESSAGES_PER_MINUTE,
+  getStanding,
+  getLadderStep,
+  checkAccountAccess,
+  checkFeature,
+  standingUnavailable,
+  issueStrike,
+  applyEnforcement,
+  revokeStrike,
+  reverseStrike,
+  liftEnforcement,
+  liftAccountBlocks,
+  logActivity,
+  getEnforcementHistory,
+  releaseEndedEnforcements,
+  pruneEnforcementCache
+};
@@ -0,0 +1,71 @@
+/**
+ * Internal event bus
+ * Services publish what happened (a message was sent, a match was accepted) and
+ * other services subscribe to it, so features such as achievements don't need
+ * to be called from every place a thing can happen. Events stay in this process;
+ * every payload carries the userId it is about.
+ */
+
+const logger = require('../utils/logger');
+
+const EVENTS = {
+  MESSAGE_SENT: 'message.sent',
+  MATCH_ACCEPTED: 'match.accepted',
+  GAME_COMPLETED: 'game.completed',
+  GAME_WON: 'game.won',
+  GAME_RANKED: 'game.ranked',
+  STREAK_MILESTONE: 'streak.milestone',
+  VERIFICATION_APPROVED: 'verification.approved',
+  PROFILE_UPDATED: 'profile.updated',
+  USER_REGISTERED: 'user.registered'
+};
+
+const subscribers = new Map();
+
+/**
+ * Subscribe to an event type
+ * @param {string} type - Event type, one of EVENTS
+ * @param {Function} handler - async (payload, type) => result
+ * @returns {Function} Unsubscribes the handler
+ */
+const subscribe = (type, handler) => {
+  if (!subscribers.has(type)) {
+    subscribers.set(type, new Set());
+  }
+  subscribers.get(type).add(handler);
+
+  return () => subscribers.get(type).delete(handler);
+};
+
+/**
+ * Publish an event to its subscribers
+ * Handlers run one after another; a failing handler is logged and doesn't stop the others,
+ * and publishing never throws, so callers don't fail because of a subscriber
+ * @param {string} type - Event type, one of EVENTS
+ * @param {object} payload - Event payload, with the userId it is about
+ * @returns {Promise<Array>} Results of the handlers, arrays flattened
+ */
+const publish = async (type, payload) => {
+  const results = [];
+
+  for (const handler of subscribers.get(type) || []) {
+    try {
+      const result = await handler(payload, type);
+      if (Array.isArray(result)) {
+        results.push(...result);
+      } else if (result !== undefined) {
+        results.push(result);
+      }
+    } catch (error) {
+      logger.error(`Error handling ${type} event for user ${payload?.userId}: ${error.message}`);
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  EVENTS,
+  subscribe,
+  publish
+};
@@ -0,0 +1,404 @@
+/**
+ * Game content service
+ * Stores imported content packs (question banks) and draws the content of a new
+ * game for a pair of players, so the same two users don't see an item twice until
+ * they have seen everything that fits. The pack format and sampling live in
+ * services/games/content. Rule violations are returned as
+ * { success: false, status, message, code? }; database errors are thrown.
+ */
+
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+const { CONTENT_PACK_FORMAT, MAX_PACK_ITEMS, validateContentPack } = require('../models/gameContent');
+const {
+  BUILT_IN_PACKS,
+  contentItemId,
+  getBuiltInPack,
+  getBuiltInItems,
+  contentLocales,
+  sampleContent
+} = require('./games/content');
+
+const CONTENT_PACK_VERSION_CONFLICT_CODE = 'CONTENT_PACK_VERSION_CONFLICT';
+const IMPORT_BATCH_SIZE = 500;
+
+/**
+ * Build a failed result
+ * @param {number} status - HTTP status to report
+ * @param {string} message - Error message
+ * @param {string} code - Optional error code
+ * @returns {object} Failed result
+ */
+const fail = (status, message, code = null) => ({
+  success: false,
+  status,
+  message,
+  ...(code ? { code } : {})
+});
+
+/**
+ * The two players of a game in the order history rows store them
+ * @param {Array<string>} playerIds - Both players
+ * @returns {object} { user_low, user_high }
+ */
+const pairColumns = (playerIds) => {
+  const [userLow, userHigh] = [...playerIds].sort();
+  return { user_low: userLow, user_high: userHigh };
+};
+
+/**
+ * Summary of a pack for the admin API
+ * @param {object} pack - game_content_packs row
+ * @returns {object} Summary
+ */
+const toPackSummary = (pack) => ({
+  id: pack.id,
+  version: pack.version,
+  gameType: pack.game_type,
+  name: pack.name,
+  description: pack.description,
+  locale: pack.locale,
+  enabled: pack.enabled,
+  itemCount: pack.item_count,
+  builtIn: false,
+  importedBy: pack.imported_by,
+  createdAt: pack.created_at,
+  updatedAt: pack.updated_at
+});
+
+/**
+ * Summary of a built-in pack
+ * @param {object} pack - Built-in content pack
+ * @param {Array<object>} imported - Imported pack rows
+ * @returns {object} Summary
+ */
+const toBuiltInSummary = (pack, imported) => ({
+  id: pack.id,
+  version: pack.version,
+  gameType: pack.gameType,
+  name: pack.name,
+  description: pack.description || null,
+  locale: pack.locale,
+  // Built-in packs stand in until an enabled pack for the game type is imported
+  enabled: !imported.some(row => row.game_type === pack.gameType && row.enabled),
+  itemCount: pack.items.length,
+  builtIn: true
+});
+
+/**
+ * List content packs, imported and built-in
+ * @param {string} gameType - Optional game type filter
+ * @returns {Promise<Array<object>>} Pack summaries
+ */
+const listPacks = async (gameType = null) => {
+  let query = supabase
+    .from('game_content_packs')
+    .select('*')
+    .order('game_type')
+    .order('id');
+
+  if (gameType) {
+    query = query.eq('game_type', gameType);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const imported = data || [];
+  const builtIn = BUILT_IN_PACKS
+    .filter(pack => !gameType || pack.gameType === gameType)
+    .filter(pack => !imported.some(row => row.id === pack.id))
+    .map(pack => toBuiltInSummary(pack, imported));
+
+  return [...imported.map(toPackSummary), ...builtIn];
+};
+
+/**
+ * Import a content pack, or a newer version of one
+ * Items missing from the new version are removed; item IDs of kept keys don't change
+ * @param {object} pack - Content pack JSON
+ * @param {string} adminId - Importing admin
+ * @returns {Promise<object>} { success, pack, created } or a failed result
+ */
+const importPack = async (pack, adminId) => {
+  const { error: validationError, value } = validateContentPack(pack);
+  if (validationError) {
+    return fail(400, validationError.message);
+  }
+
+  const { data: existing, error: existingError } = await supabase
+    .from('game_content_packs')
+    .select('id, version, game_type, enabled')
+    .eq('id', value.id)
+    .maybeSingle();
+
+  if (existingError) throw existingError;
+
+  if (existing && existing.game_type !== value.gameType) {
+    return fail(409, `Pack ${value.id} is a ${existing.game_type} pack`);
+  }
+
+  if (existing && existing.version >= value.version) {
+    return fail(409, `Pack ${value.id} is already at version ${existing.version}`, CONTENT_PACK_VERSION_CONFLICT_CODE);
+  }
+
+  const now = new Date().toISOString();
+
+  const { data: saved, error: packError } = await supabase
+    .from('game_content_packs')
+    .upsert({
+      id: value.id,
+      version: value.version,
+      game_type: value.gameType,
+      name: value.name,
+      description: value.description || null,
+      locale: value.locale,
+      enabled: existing ? existing.enabled : true,
+      item_count: value.items.length,
+      imported_by: adminId,
+      updated_at: now
+    }, { onConflict: 'id' })
+    .select()
+    .single();
+
+  if (packError) throw packError;
+
+  const items = value.items.map(item => ({
+    id: contentItemId(value.id, item.key),
+    pack_id: value.id,
+    pack_version: value.version,
+    item_key: item.key,
+    game_type: value.gameType,
+    category: item.category,
+    difficulty: item.difficulty,
+    locale: item.locale,
+    content: item.content
+  }));
+
+  for (let i = 0; i < items.length; i += IMPORT_BATCH_SIZE) {
+    const { error: itemsError } = await supabase
+      .from('game_content_items')
+      .upsert(items.slice(i, i + IMPORT_BATCH_SIZE), { onConflict: 'id' });
+
+    if (itemsError) throw itemsError;
+  }
+
+  // Drop the items the new version no longer has
+  const { error: pruneError } = await supabase
+    .from('game_content_items')
+    .delete()
+    .eq('pack_id', value.id)
+    .lt('pack_version', value.version);
+
+  if (pruneError) throw pruneError;
+
+  logger.info(`Content pack ${value.id} v${value.version} imported by ${adminId} (${items.length} items)`);
+
+  return { success: true, pack: toPackSummary(saved), created: !existing };
+};
+
+/**
+ * Export a pack in the import format
+ * @param {string} packId - Pack ID
+ * @returns {Promise<object>} { success, pack } or a failed result
+ */
+const exportPack = async (packId) => {
+  const { data: pack, error } = await supabase
+    .from('game_content_packs')
+    .select('*')
+    .eq('id', packId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!pack) {
+    const builtIn = getBuiltInPack(packId);
+    return builtIn ? { success: true, pack: builtIn } : fail(404, 'Content pack not found');
+  }
+
+  const { data: items, error: itemsError } = await supabase
+    .from('game_content_items')
+    .select('item_key, category, difficulty, locale, content')
+    .eq('pack_id', packId)
+    .order('item_key')
+    .limit(MAX_PACK_ITEMS);
+
+  if (itemsError) throw itemsError;
+
+  return {
+    success: true,
+    pack: {
+      format: CONTENT_PACK_FORMAT,
+      id: pack.id,
+      version: pack.version,
+      gameType: pack.game_type,
+      name: pack.name,
+      description: pack.description,
+      locale: pack.locale,
+      items: (items || []).map(item => ({
+        key: item.item_key,
+        category: item.category,
+        difficulty: item.difficulty,
+        locale: item.locale,
+        content: item.content
+      }))
+    }
+  };
+};
+
+/**
+ * Enable or disable an imported pack
+ * @param {string} packId - Pack ID
+ * @param {boolean} enabled - Whether games draw from the pack
+ * @returns {Promise<object>} { success, pack } or a failed result
+ */
+const setPackEnabled = async (packId, enabled) => {
+  const { data, error } = await supabase
+    .from('game_content_packs')
+    .update({ enabled, updated_at: new Date().toISOString() })
+    .eq('id', packId)
+    .select();
+
+  if (error) throw error;
+
+  if (!data || data.length === 0) {
+    return fail(404, getBuiltInPack(packId) ? 'Built-in packs can only be replaced by importing a pack' : 'Content pack not found');
+  }
+
+  return { success: true, pack: toPackSummary(data[0]) };
+};
+
+/**
+ * Delete an imported pack and its items (players' history is kept)
+ * @param {string} packId - Pack ID
+ * @returns {Promise<object>} { success } or a failed result
+ */
+const deletePack = async (packId) => {
+  const { data, error } = await supabase
+    .from('game_content_packs')
+    .delete()
+    .eq('id', packId)
+    .select('id');
+
+  if (error) throw error;
+
+  if (!data || data.length === 0) {
+    return fail(404, 'Content pack not found');
+  }
+
+  logger.info(`Content pack ${packId} deleted`);
+  return { success: true };
+};
+
+/**
+ * Items a game type can draw from in a locale
+ * Imported packs replace the built-in ones once any enabled pack matches
+ * @param {string} gameType - Game type
+ * @param {string} locale - Requested locale
+ * @returns {Promise<Array<object>>} Items { id, category, difficulty, locale, content }
+ */
+const getContentCandidates = async (gameType, locale) => {
+  const { data: packs, error } = await supabase
+    .from('game_content_packs')
+    .select('id')
+    .eq('game_type', gameType)
+    .eq('enabled', true);
+
+  if (error) throw error;
+
+  if (!packs || packs.length === 0) {
+    return getBuiltInItems(gameType);
+  }
+
+  const { data: items, error: itemsError } = await supabase
+    .from('game_content_items')
+    .select('id, category, difficulty, locale, content')
+    .in('pack_id', packs.map(pack => pack.id))
+    .in('locale', contentLocales(locale))
+    .limit(MAX_PACK_ITEMS);
+
+  if (itemsError) throw itemsError;
+
+  return items && items.length > 0 ? items : getBuiltInItems(gameType);
+};
+
+/**
+ * When two players last saw each item of a game type
+ * @param {string} gameType - Game type
+ * @param {Array<string>} playerIds - Both players
+ * @returns {Promise<Map<string, string>>} Item ID to last use
+ */
+const getContentHistory = async (gameType, playerIds) => {
+  const { user_low: userLow, user_high: userHigh } = pairColumns(playerIds);
+
+  const { data, error } = await supabase
+    .from('game_content_history')
+    .select('item_id, used_at')
+    .eq('user_low', userLow)
+    .eq('user_high', userHigh)
+    .eq('game_type', gameType);
+
+  if (error) throw error;
+
+  return new Map((data || []).map(row => [row.item_id, row.used_at]));
+};
+
+/**
+ * Draw the content of a new game
+ * @param {object} engine - Game engine with contentRequest
+ * @param {object} rules - Resolved game rules
+ * @param {object} options - { locale, playerIds }
+ * @returns {Promise<Array<Array<object>>>} Items per draw, for engine.init
+ */
+const drawContent = async (engine, rules, { locale, playerIds }) => {
+  const [candidates, seenAt] = await Promise.all([
+    getContentCandidates(engine.type, locale),
+    getContentHistory(engine.type, playerIds)
+  ]);
+
+  return sampleContent(candidates, engine.contentRequest(rules), { locale, seenAt });
+};
+
+/**
+ * Remember the content a pair of players got, so it isn't drawn for them again
+ * Failures are logged; they only make a repeat possible
+ * @param {string} gameType - Game type
+ * @param {Array<string>} playerIds - Both players
+ * @param {string} gameInstanceId - Game the content was drawn for
+ * @param {Array<object>} items - Drawn items
+ */
+const recordContentUse = async (gameType, playerIds, gameInstanceId, items) => {
+  if (items.length === 0) {
+    return;
+  }
+
+  try {
+    const pair = pairColumns(playerIds);
+    const usedAt = new Date().toISOString();
+
+    const { error } = await supabase
+      .from('game_content_history')
+      .upsert(items.map(item => ({
+        ...pair,
+        item_id: item.id,
+        game_type: gameType,
+        game_instance_id: gameInstanceId,
+        used_at: usedAt
+      })), { onConflict: 'user_low,user_high,item_id' });
+
+    if (error) throw error;
+  } catch (error) {
+    logger.error(`Error recording content history for game ${gameInstanceId}: ${error.message}`);
+  }
+};
+
+module.exports = {
+  CONTENT_PACK_VERSION_CONFLICT_CODE,
+  listPacks,
+  importPack,
+  exportPack,
+  setPackEnabled,
+  deletePack,
+  drawContent,
+  recordContentUse
+};
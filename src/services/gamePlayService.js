@@ -0,0 +1,496 @@
+/**
+ * Game play service
+ * Runs a mini-game from invitation to the end for both the REST and socket entry
+ * points: it applies the action through gameService and posts the game messages
+ * into the conversation (or group timeline). When a game of a series ends, the
+ * series moves on and its next game is returned as nextGame. Broadcasting
+ * game:state is left to the caller. Rule violations are returned as
+ * { success: false, status, message, code? }.
+ */
+
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+const { isValidUUID } = require('../utils/validators');
+const { contentLocaleSchema } = require('../models/gameContent');
+const gameService = require('./gameService');
+const gameSeriesService = require('./gameSeriesService');
+const groupService = require('./groupService');
+const { USER_BLOCKED_CODE, isBlockedBetween } = require('./blockService');
+
+const GAME_REMATCH_EXISTS_CODE = 'GAME_REMATCH_EXISTS';
+
+/**
+ * Build a failed result
+ * @param {number} status - HTTP status to report
+ * @param {string} message - Error message
+ * @param {string} code - Optional error code
+ * @returns {object} Failed result
+ */
+const fail = (status, message, code = null) => ({
+  success: false,
+  status,
+  message,
+  ...(code ? { code } : {})
+});
+
+/**
+ * Fields that route a game message into its conversation
+ * Games in a group conversation post into the group timeline instead of to one user
+ * @param {object|null} group - Group the game belongs to
+ * @param {string} receiverId - Other player (one-to-one games)
+ * @returns {object} Fields to merge into the message insert
+ */
+const gameMessageTarget = (group, receiverId) => (
+  group ? { group_id: group.id, receiver_id: null } : { receiver_id: receiverId }
+);
+
+/**
+ * The other player of a game
+ * @param {object} gameInstance - Game instance
+ * @param {string} userId - One player
+ * @returns {string} Other player
+ */
+const getOpponentId = (gameInstance, userId) => (
+  userId === gameInstance.initiator_id ? gameInstance.responder_id : gameInstance.initiator_id
+);
+
+/**
+ * Post a game message into the game's conversation
+ * A failed message is logged but doesn't fail the game action
+ * @param {object} gameInstance - Game instance
+ * @param {object|null} group - Group the game belongs to
+ * @param {string} senderId - Player the message is from
+ * @param {string} content - Message text
+ * @param {string} messageType - game_invitation, game_accepted, game_move or game_completed
+ * @param {object} metadata - Message metadata
+ */
+const postGameMessage = async (gameInstance, group, senderId, content, messageType, metadata) => {
+  try {
+    const { error } = await supabase
+      .from('messages')
+      .insert({
+        conversation_id: gameInstance.conversation_id,
+        sender_id: senderId,
+        ...gameMessageTarget(group, getOpponentId(gameInstance, senderId)),
+        content,
+        message_type: messageType,
+        metadata: {
+          gameInstanceId: gameInstance.id,
+          gameType: gameInstance.gameDetails.type,
+          gameName: gameInstance.gameDetails.name,
+          ...metadata
+        },
+        created_at: new Date(),
+        updated_at: new Date()
+      });
+
+    if (error) {
+      logger.error(`Failed to create ${messageType} message for game ${gameInstance.id}: ${error.message}`);
+    }
+  } catch (err) {
+    logger.error(`Error sending ${messageType} message for game ${gameInstance.id}: ${err.message}`);
+  }
+};
+
+/**
+ * Create a message describing a game move
+ * @param {string} gameType - Type of game
+ * @param {object} moveData - Move data
+ * @param {boolean} isComplete - Whether the game is complete
+ * @returns {string} Message text
+ */
+const createMoveMessage = (gameType, moveData, isComplete) => {
+  if (isComplete) {
+    return 'Completed their turn and finished the game';
+  }
+
+  switch (gameType) {
+    case 'emoji_guess':
+      return `Guessed: "${moveData.guess}"`;
+
+    case 'word_association':
+      return `Responded with: "${moveData.word}"`;
+
+    case 'truth_or_dare':
+      return `Chose ${moveData.type}: "${moveData.response}"`;
+
+    case 'trivia':
+      return 'Answered the trivia question';
+
+    case 'two_truths_lie':
+      if (moveData.statements) {
+        return 'Submitted their statements';
+      } else if (moveData.guess !== undefined) {
+        return `Made their guess for the lie`;
+      }
+      return 'Made their move';
+
+    default:
+      return 'Made their move';
+  }
+};
+
+/**
+ * Group a game is played in, if any
+ * @param {object} gameInstance - Game instance
+ * @returns {Promise<object|null>} Group row
+ */
+const getGameGroup = (gameInstance) => groupService.getGroup(gameInstance.conversation_id);
+
+/**
+ * Text of a game invitation message
+ * @param {object} gameDetails - mini_games row
+ * @param {object} invite - { bestOf, rematchOf, seriesGameNumber }
+ * @returns {string} Message text
+ */
+const createInvitationMessage = (gameDetails, { bestOf, rematchOf, seriesGameNumber }) => {
+  if (seriesGameNumber > 1) {
+    return `Game ${seriesGameNumber} of the ${gameDetails.name} series is ready`;
+  }
+
+  const game = bestOf > 1 ? `a best-of-${bestOf} series of ${gameDetails.name}` : gameDetails.name;
+  return rematchOf ? `Challenged you to a rematch: ${game}` : `Invited you to play ${game}`;
+};
+
+/**
+ * Move a series on after one of its games ended, posting its result or next invitation
+ * @param {object} gameInstance - Finished game instance (with gameDetails)
+ * @param {object|null} group - Group the game belongs to
+ * @returns {Promise<object>} { series, nextGame } (both null for games outside a running series)
+ */
+const continueSeries = async (gameInstance, group) => {
+  const progress = await gameSeriesService.advanceSeries(gameInstance);
+  if (!progress) {
+    return { series: null, nextGame: null };
+  }
+
+  const { series, nextGame } = progress;
+
+  if (nextGame) {
+    await postGameMessage(nextGame, group, nextGame.initiator_id,
+      createInvitationMessage(nextGame.gameDetails, { seriesGameNumber: nextGame.series_game_number }), 'game_invitation', {
+        gameDescription: nextGame.gameDetails.description,
+        seriesId: series.id,
+        seriesGameNumber: nextGame.series_game_number,
+        bestOf: series.bestOf
+      });
+  } else if (series.status === 'completed') {
+    const [first, second] = [series.initiatorId, series.responderId];
+    const winnerId = series.winnerId;
+    const loserId = winnerId === first ? second : first;
+    const gameName = gameInstance.gameDetails.name;
+
+    const content = winnerId
+      ? `Won the best-of-${series.bestOf} ${gameName} series ${series.wins[winnerId]}-${series.wins[loserId]}`
+      : `The best-of-${series.bestOf} ${gameName} series ended in a draw`;
+
+    await postGameMessage(gameInstance, group, winnerId || gameInstance.initiator_id, content, 'game_completed', {
+      seriesId: series.id,
+      seriesWinnerId: winnerId,
+      seriesWins: series.wins,
+      seriesScore: series.score
+    });
+  }
+
+  return { series, nextGame };
+};
+
+/**
+ * Invite a user to a game, or to a best-of-N series of it
+ * @param {string} initiatorId - Inviting player
+ * @param {object} invite - { conversationId, gameType, responderId, locale, bestOf }
+ * @param {object} options - { rematchOf: game the invitation is a rematch of }
+ * @returns {object} { success, game, series, group }
+ */
+const inviteToGame = async (initiatorId, { conversationId, gameType, responderId, locale, bestOf } = {}, { rematchOf = null } = {}) => {
+  if (!conversationId || !gameType || !responderId) {
+    return fail(400, 'Missing required fields');
+  }
+
+  if (!isValidUUID(conversationId) || !isValidUUID(responderId)) {
+    return fail(400, 'Invalid ID format');
+  }
+
+  if (responderId === initiatorId) {
+    return fail(400, 'You cannot play a game against yourself');
+  }
+
+  // Invitations and rematches are messages too, so blocked users can't send them
+  if (await isBlockedBetween(initiatorId, responderId)) {
+    return fail(403, 'You cannot play a game with this user', USER_BLOCKED_CODE);
+  }
+
+  const { error: localeError, value: contentLocale } = contentLocaleSchema.validate(locale);
+  if (localeError) {
+    return fail(400, 'Invalid locale');
+  }
+
+  const isSeries = bestOf !== undefined && bestOf !== null && Number(bestOf) !== 1;
+  if (isSeries && !gameSeriesService.SERIES_LENGTHS.includes(Number(bestOf))) {
+    return fail(400, `bestOf must be one of 1, ${gameSeriesService.SERIES_LENGTHS.join(', ')}`);
+  }
+
+  // Group games are between two members of the group
+  const group = await groupService.getGroup(conversationId);
+  if (group) {
+    const [initiator, responder] = await Promise.all([
+      groupService.getMembership(conversationId, initiatorId),
+      groupService.getMembership(conversationId, responderId)
+    ]);
+
+    if (!initiator || !responder) {
+      return fail(403, 'Both players must be members of the group');
+    }
+  }
+
+  const result = isSeries
+    ? await gameSeriesService.createSeries(gameType, conversationId, initiatorId, responderId, {
+      bestOf: Number(bestOf),
+      locale: contentLocale,
+      rematchOf
+    })
+    : await gameService.createGame(gameType, conversationId, initiatorId, responderId, {
+      locale: contentLocale,
+      rematchOf
+    });
+
+  if (!result.success) {
+    return fail(400, result.message);
+  }
+
+  const { gameDetails } = result.game;
+  const series = result.series || null;
+
+  await postGameMessage(result.game, group, initiatorId,
+    createInvitationMessage(gameDetails, { bestOf: series ? series.bestOf : 1, rematchOf }), 'game_invitation', {
+      gameDescription: gameDetails.description,
+      ...(series ? { seriesId: series.id, seriesGameNumber: 1, bestOf: series.bestOf } : {}),
+      ...(rematchOf ? { rematchOf } : {})
+    });
+
+  return { success: true, game: result.game, series, group };
+};
+
+/**
+ * Offer a rematch of a finished game with the same game, players, conversation and
+ * content locale. A rematch of a game from a finished series starts a new series of
+ * the same length; a series that is still running continues with its own next game.
+ * @param {string} gameInstanceId - Finished game instance ID
+ * @param {string} userId - Player asking for the rematch (invites the other player)
+ * @returns {object} { success, game, series, group }
+ */
+const rematchGame = async (gameInstanceId, userId) => {
+  if (!isValidUUID(gameInstanceId)) {
+    return fail(400, 'Invalid game instance ID');
+  }
+
+  const gameInstance = await gameService.getGameInstance(gameInstanceId);
+  if (!gameInstance) {
+    return fail(404, 'Game not found');
+  }
+
+  if (gameInstance.initiator_id !== userId && gameInstance.responder_id !== userId) {
+    return fail(403, 'Only players can ask for a rematch');
+  }
+
+  if (!gameService.FINISHED_GAME_STATUSES.includes(gameInstance.status)) {
+    return fail(409, 'The game has not finished yet');
+  }
+
+  let bestOf = 1;
+  if (gameInstance.series_id) {
+    const series = await gameSeriesService.getSeries(gameInstance.series_id);
+    if (series && series.status === 'active') {
+      return fail(409, 'The series continues with its next game');
+    }
+    bestOf = series ? series.best_of : 1;
+  }
+
+  const existing = await gameService.getRematch(gameInstanceId);
+  if (existing) {
+    return fail(409, 'A rematch was already offered', GAME_REMATCH_EXISTS_CODE);
+  }
+
+  return inviteToGame(userId, {
+    conversationId: gameInstance.conversation_id,
+    gameType: gameInstance.gameDetails.type,
+    responderId: getOpponentId(gameInstance, userId),
+    locale: gameInstance.locale || undefined,
+    bestOf
+  }, { rematchOf: gameInstance.id });
+};
+
+/**
+ * Accept a game invitation
+ * @param {string} gameInstanceId - Game instance ID
+ * @param {string} userId - Invited player
+ * @returns {object} { success, message, gameState, turnExpiresAt, gameInstance, group }
+ */
+const acceptInvitation = async (gameInstanceId, userId) => {
+  if (!isValidUUID(gameInstanceId)) {
+    return fail(400, 'Invalid game instance ID');
+  }
+
+  const result = await gameService.acceptGame(gameInstanceId, userId);
+
+  if (!result.success) {
+    return fail(400, result.message);
+  }
+
+  const gameInstance = await gameService.getGameInstance(gameInstanceId);
+  if (!gameInstance) {
+    return result;
+  }
+
+  const group = await getGameGroup(gameInstance);
+
+  await postGameMessage(gameInstance, group, userId,
+    `Accepted the invitation to play ${gameInstance.gameDetails.name}`, 'game_accepted', {
+      currentTurn: result.gameState.currentTurn
+    });
+
+  return { ...result, gameInstance, group };
+};
+
+/**
+ * Make a move in a game
+ * @param {string} gameInstanceId - Game instance ID
+ * @param {string} userId - Player making the move
+ * @param {object} moveData - Move data
+ * @returns {object} { success, state, score, isComplete, turnExpiresAt, ratingChanges, gameInstance, group, opponentId,
+ *   series, nextGame }
+ */
+const playMove = async (gameInstanceId, userId, moveData) => {
+  if (!isValidUUID(gameInstanceId)) {
+    return fail(400, 'Invalid game instance ID');
+  }
+
+  const gameInstanceBefore = await gameService.getGameInstance(gameInstanceId);
+  if (!gameInstanceBefore) {
+    return fail(404, 'Game not found');
+  }
+
+  const result = await gameService.makeMove(gameInstanceId, userId, moveData);
+
+  if (!result.success) {
+    return fail(400, result.message);
+  }
+
+  const group = await getGameGroup(gameInstanceBefore);
+
+  await postGameMessage(gameInstanceBefore, group, userId,
+    createMoveMessage(gameInstanceBefore.gameDetails.type, moveData, result.isComplete),
+    result.isComplete ? 'game_completed' : 'game_move', {
+      moveData,
+      isComplete: result.isComplete,
+      newState: result.state,
+      score: result.score
+    });
+
+  const gameInstance = await gameService.getGameInstance(gameInstanceId) || gameInstanceBefore;
+  const seriesProgress = result.isComplete
+    ? await continueSeries(gameInstance, group)
+    : { series: null, nextGame: null };
+
+  return {
+    ...result,
+    ...seriesProgress,
+    gameInstance,
+    group,
+    opponentId: getOpponentId(gameInstanceBefore, userId)
+  };
+};
+
+/**
+ * Forfeit a game, or decline or cancel an invitation
+ * @param {string} gameInstanceId - Game instance ID
+ * @param {string} userId - Player forfeiting
+ * @returns {object} { success, gameInstance, winnerId, ratingChanges, group, series, nextGame }
+ */
+const forfeitGame = async (gameInstanceId, userId) => {
+  if (!isValidUUID(gameInstanceId)) {
+    return fail(400, 'Invalid game instance ID');
+  }
+
+  const result = await gameService.forfeitGame(gameInstanceId, userId);
+
+  if (!result.success) {
+    return fail(result.message === 'Game not found' ? 404 : 400, result.message);
+  }
+
+  const { gameInstance, winnerId, ratingChanges } = result;
+  const group = await getGameGroup(gameInstance);
+  const gameName = gameInstance.gameDetails.name;
+
+  let content = `Forfeited ${gameName}`;
+  if (!winnerId) {
+    content = userId === gameInstance.responder_id
+      ? `Declined the invitation to play ${gameName}`
+      : `Cancelled the invitation to play ${gameName}`;
+  }
+
+  await postGameMessage(gameInstance, group, userId, content, 'game_completed', {
+    forfeitedBy: userId,
+    winnerId,
+    score: gameInstance.score
+  });
+
+  const seriesProgress = await continueSeries(gameInstance, group);
+
+  return { success: true, gameInstance, winnerId, ratingChanges, group, ...seriesProgress };
+};
+
+/**
+ * Skip or forfeit every turn whose timer ran out, and expire invitations nobody accepted
+ * @returns {Promise<Array<object>>} Handled games { action, playerId, gameInstance, winnerId, group, series, nextGame }
+ *   (action is 'skipped', 'completed', 'forfeited' or 'expired')
+ */
+const expireTurns = async () => {
+  const expired = await gameService.getExpiredTurns();
+  const handled = [];
+
+  for (const gameInstance of expired) {
+    const result = await gameService.expireTurn(gameInstance);
+
+    // Already handled by another node, or the player moved just in time
+    if (!result.success) continue;
+
+    const group = await getGameGroup(result.gameInstance);
+
+    if (result.action === 'forfeited') {
+      await postGameMessage(result.gameInstance, group, result.playerId,
+        `Ran out of time and forfeited ${result.gameInstance.gameDetails.name}`, 'game_completed', {
+          forfeitedBy: result.playerId,
+          winnerId: result.winnerId,
+          score: result.gameInstance.score
+        });
+    }
+
+    const seriesProgress = result.action === 'skipped'
+      ? { series: null, nextGame: null }
+      : await continueSeries(result.gameInstance, group);
+
+    handled.push({ ...result, group, ...seriesProgress });
+  }
+
+  for (const gameInstance of await gameService.expireInvitations()) {
+    const group = await getGameGroup(gameInstance);
+    const seriesProgress = await continueSeries(gameInstance, group);
+
+    handled.push({ success: true, action: 'expired', playerId: null, gameInstance, group, ...seriesProgress });
+  }
+
+  return handled;
+};
+
+module.exports = {
+  GAME_REMATCH_EXISTS_CODE,
+  getOpponentId,
+  getGameGroup,
+  inviteToGame,
+  rematchGame,
+  acceptInvitation,
+  playMove,
+  forfeitGame,
+  expireTurns
+};
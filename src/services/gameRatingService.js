@@ -0,0 +1,361 @@
+/**
+ * Game rating service
+ * Elo ratings, lifetime stats and leaderboards of the mini-games. A finished game is
+ * rated by the record_game_result database function, which updates both players'
+ * ratings and stats in one transaction and never rates a game twice.
+ */
+
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+const { EVENTS, publish } = require('./eventBus');
+
+const RATING_K_FACTOR = 32; // Most rating points a single game can move
+
+const PLAYER_PROFILE_FIELDS = 'id, first_name, last_name, username, profile_picture_url';
+
+/**
+ * Score of the initiator for the Elo update: 1 for a win, 0 for a loss, 0.5 for a draw
+ * @param {object} gameInstance - Game instance
+ * @param {object} outcome - { finalScore, winnerId } (a winnerId overrides the score, as on a forfeit)
+ * @returns {number} Initiator's score
+ */
+const initiatorResult = (gameInstance, { finalScore = {}, winnerId = null }) => {
+  if (winnerId) {
+    return winnerId === gameInstance.initiator_id ? 1 : 0;
+  }
+
+  const initiatorScore = finalScore[gameInstance.initiator_id] || 0;
+  const responderScore = finalScore[gameInstance.responder_id] || 0;
+
+  if (initiatorScore === responderScore) {
+    return 0.5;
+  }
+  return initiatorScore > responderScore ? 1 : 0;
+};
+
+/**
+ * Start of the leaderboard week (Monday 00:00 UTC)
+ * @param {Date} now - Current time
+ * @returns {Date} Start of the week
+ */
+const startOfWeek = (now = new Date()) => {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+};
+
+/**
+ * Number rows by a descending value; equal values share a rank (1, 2, 2, 4)
+ * @param {Array<object>} rows - Rows sorted by value, highest first
+ * @param {Function} valueOf - Value a row is ranked by
+ * @returns {Array<object>} Rows with rank
+ */
+const withRanks = (rows, valueOf) => {
+  let rank = 0;
+
+  return rows.map((row, index) => {
+    if (index === 0 || valueOf(row) !== valueOf(rows[index - 1])) {
+      rank = index + 1;
+    }
+    return { ...row, rank };
+  });
+};
+
+/**
+ * Leaderboard entry of a game_ratings row
+ * @param {object} row - game_ratings row with rank and user
+ * @returns {object} Entry
+ */
+const toRatingEntry = (row) => ({
+  rank: row.rank,
+  userId: row.user_id,
+  user: row.user || null,
+  rating: row.rating,
+  peakRating: row.peak_rating,
+  gamesPlayed: row.games_played,
+  wins: row.wins,
+  losses: row.losses,
+  draws: row.draws,
+  currentStreak: row.current_streak,
+  bestStreak: row.best_streak,
+  lastPlayedAt: row.last_played_at
+});
+
+/**
+ * Rate a finished game and publish the players' leaderboard ranks
+ * Failures are logged; they don't undo the game
+ * @param {object} gameInstance - Game instance (with gameDetails)
+ * @param {object} outcome - { finalScore, winnerId }
+ * @returns {Promise<Array<object>>} Rating changes { userId, result, ratingBefore, ratingAfter } (empty if already rated)
+ */
+const recordGameResult = async (gameInstance, outcome) => {
+  try {
+    const gameType = gameInstance.gameDetails.type;
+
+    const { data, error } = await supabase.rpc('record_game_result', {
+      p_game_instance_id: gameInstance.id,
+      p_game_type: gameType,
+      p_player_a: gameInstance.initiator_id,
+      p_player_b: gameInstance.responder_id,
+      p_score_a: initiatorResult(gameInstance, outcome),
+      p_k_factor: RATING_K_FACTOR
+    });
+
+    if (error) throw error;
+
+    const changes = (data || []).map(event => ({
+      userId: event.user_id,
+      result: event.result,
+      ratingBefore: event.rating_before,
+      ratingAfter: event.rating_after
+    }));
+
+    for (const change of changes) {
+      const rank = await getPlayerRank(change.userId, gameType);
+      if (rank) {
+        await publish(EVENTS.GAME_RANKED, { userId: change.userId, gameType, rank });
+      }
+    }
+
+    if (changes.length > 0) {
+      logger.info(`Game ${gameInstance.id} rated: ${changes.map(change =>
+        `${change.userId} ${change.ratingBefore} -> ${change.ratingAfter}`).join(', ')}`);
+    }
+
+    return changes;
+  } catch (error) {
+    logger.error(`Error rating game ${gameInstance.id}: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * A player's global rank in a game type
+ * @param {string} userId - User ID
+ * @param {string} gameType - Game type
+ * @returns {Promise<number|null>} Rank, or null if they haven't played it
+ */
+const getPlayerRank = async (userId, gameType) => {
+  const { data: rating, error } = await supabase
+    .from('game_ratings')
+    .select('rating')
+    .eq('user_id', userId)
+    .eq('game_type', gameType)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!rating) return null;
+
+  const { count, error: countError } = await supabase
+    .from('game_ratings')
+    .select('user_id', { count: 'exact', head: true })
+    .eq('game_type', gameType)
+    .gt('rating', rating.rating);
+
+  if (countError) throw countError;
+
+  return (count || 0) + 1;
+};
+
+/**
+ * A player's lifetime stats and rating in each game type
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { stats, ratings }
+ */
+const getPlayerStats = async (userId) => {
+  const [statsResult, ratingsResult] = await Promise.all([
+    supabase
+      .from('game_player_stats')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle(),
+    supabase
+      .from('game_ratings')
+      .select('*')
+      .eq('user_id', userId)
+      .order('rating', { ascending: false })
+  ]);
+
+  if (statsResult.error) throw statsResult.error;
+  if (ratingsResult.error) throw ratingsResult.error;
+
+  const stats = statsResult.data || {};
+
+  return {
+    stats: {
+      gamesPlayed: stats.games_played || 0,
+      wins: stats.wins || 0,
+      losses: stats.losses || 0,
+      draws: stats.draws || 0,
+      currentStreak: stats.current_streak || 0,
+      bestStreak: stats.best_streak || 0,
+      lastPlayedAt: stats.last_played_at || null
+    },
+    ratings: (ratingsResult.data || []).map(row => ({
+      gameType: row.game_type,
+      rating: row.rating,
+      peakRating: row.peak_rating,
+      gamesPlayed: row.games_played,
+      wins: row.wins,
+      losses: row.losses,
+      draws: row.draws,
+      currentStreak: row.current_streak,
+      bestStreak: row.best_streak,
+      lastPlayedAt: row.last_played_at
+    }))
+  };
+};
+
+/**
+ * Top players of a game type by rating, and the caller's entry
+ * @param {string} userId - Requesting user
+ * @param {string} gameType - Game type
+ * @param {number} limit - Entries to return
+ * @returns {Promise<object>} { entries, me }
+ */
+const getGlobalLeaderboard = async (userId, gameType, limit) => {
+  const { data, error } = await supabase
+    .from('game_ratings')
+    .select(`*, user:users(${PLAYER_PROFILE_FIELDS})`)
+    .eq('game_type', gameType)
+    .order('rating', { ascending: false })
+    .order('games_played', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+
+  const entries = withRanks(data || [], row => row.rating).map(toRatingEntry);
+  let me = entries.find(entry => entry.userId === userId) || null;
+
+  if (!me) {
+    const { data: own, error: ownError } = await supabase
+      .from('game_ratings')
+      .select(`*, user:users(${PLAYER_PROFILE_FIELDS})`)
+      .eq('user_id', userId)
+      .eq('game_type', gameType)
+      .maybeSingle();
+
+    if (ownError) throw ownError;
+
+    if (own) {
+      me = toRatingEntry({ ...own, rank: await getPlayerRank(userId, gameType) });
+    }
+  }
+
+  return { entries, me };
+};
+
+/**
+ * Leaderboard of a user and the people they matched with
+ * @param {string} userId - Requesting user
+ * @param {string} gameType - Game type
+ * @param {number} limit - Entries to return
+ * @returns {Promise<object>} { entries, me }
+ */
+const getMatchesLeaderboard = async (userId, gameType, limit) => {
+  const { data: matches, error: matchError } = await supabase
+    .from('matches')
+    .select('user1_id, user2_id')
+    .or(`user1_id.eq.${userId},user2_id.eq.${userId}`)
+    .eq('status', 'accepted');
+
+  if (matchError) throw matchError;
+
+  const userIds = [...new Set([
+    userId,
+    ...(matches || []).map(match => (match.user1_id === userId ? match.user2_id : match.user1_id))
+  ])];
+
+  const { data, error } = await supabase
+    .from('game_ratings')
+    .select(`*, user:users(${PLAYER_PROFILE_FIELDS})`)
+    .eq('game_type', gameType)
+    .in('user_id', userIds)
+    .order('rating', { ascending: false })
+    .order('games_played', { ascending: false });
+
+  if (error) throw error;
+
+  const ranked = withRanks(data || [], row => row.rating).map(toRatingEntry);
+
+  return {
+    entries: ranked.slice(0, limit),
+    me: ranked.find(entry => entry.userId === userId) || null
+  };
+};
+
+/**
+ * Leaderboard of the rating gained this week
+ * @param {string} userId - Requesting user
+ * @param {string} gameType - Game type
+ * @param {number} limit - Entries to return
+ * @returns {Promise<object>} { entries, me, since }
+ */
+const getWeeklyLeaderboard = async (userId, gameType, limit) => {
+  const since = startOfWeek();
+
+  const { data, error } = await supabase.rpc('get_weekly_game_leaderboard', {
+    p_game_type: gameType,
+    p_since: since.toISOString(),
+    p_limit: limit,
+    p_user_id: userId
+  });
+
+  if (error) throw error;
+
+  const rows = data || [];
+  let profiles = [];
+
+  if (rows.length > 0) {
+    const { data: users, error: usersError } = await supabase
+      .from('users')
+      .select(PLAYER_PROFILE_FIELDS)
+      .in('id', rows.map(row => row.player_id));
+
+    if (usersError) throw usersError;
+    profiles = users || [];
+  }
+
+  const toEntry = (row) => ({
+    rank: Number(row.player_rank),
+    userId: row.player_id,
+    user: profiles.find(profile => profile.id === row.player_id) || null,
+    ratingChange: Number(row.rating_change),
+    gamesPlayed: Number(row.games_played),
+    wins: Number(row.wins)
+  });
+
+  const entries = rows.filter(row => Number(row.player_rank) <= limit).slice(0, limit).map(toEntry);
+  const own = rows.find(row => row.player_id === userId);
+
+  return { entries, me: own ? toEntry(own) : null, since: since.toISOString() };
+};
+
+/**
+ * Get a leaderboard
+ * @param {string} userId - Requesting user
+ * @param {object} query - { gameType, scope: 'global'|'matches'|'weekly', limit }
+ * @returns {Promise<object>} { scope, gameType, entries, me, since? }
+ */
+const getLeaderboard = async (userId, { gameType, scope, limit }) => {
+  let leaderboard;
+
+  if (scope === 'matches') {
+    leaderboard = await getMatchesLeaderboard(userId, gameType, limit);
+  } else if (scope === 'weekly') {
+    leaderboard = await getWeeklyLeaderboard(userId, gameType, limit);
+  } else {
+    leaderboard = await getGlobalLeaderboard(userId, gameType, limit);
+  }
+
+  return { scope, gameType, ...leaderboard };
+};
+
+module.exports = {
+  RATING_K_FACTOR,
+  startOfWeek,
+  recordGameResult,
+  getPlayerRank,
+  getPlayerStats,
+  getLeaderboard
+};
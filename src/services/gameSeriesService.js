@@ -0,0 +1,312 @@
+/**
+ * Game series service
+ * A best-of-N series is played as one game instance after another between the same
+ * two players. Its standings are recomputed from its finished games after each one,
+ * and the next game is created as a new invitation until a player has won the
+ * majority (or all N games were played). Declining, cancelling or letting a series
+ * invitation expire cancels the series.
+ */
+
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+const gameService = require('./gameService');
+
+const SERIES_LENGTHS = [3, 5, 7];
+
+/**
+ * Summary of a series for API and socket payloads
+ * @param {object} series - game_series row
+ * @returns {object} Summary
+ */
+const toSeriesSummary = (series) => ({
+  id: series.id,
+  gameType: series.gameDetails ? series.gameDetails.type : null,
+  conversationId: series.conversation_id,
+  initiatorId: series.initiator_id,
+  responderId: series.responder_id,
+  bestOf: series.best_of,
+  status: series.status,
+  wins: series.wins,
+  score: series.score,
+  gamesPlayed: series.games_played,
+  winnerId: series.winner_id,
+  createdAt: series.created_at,
+  completedAt: series.completed_at
+});
+
+/**
+ * Whether a finished game was played, rather than declined, cancelled or left to expire
+ * @param {object} game - Game instance
+ * @returns {boolean} True if the game counts for the series
+ */
+const wasPlayed = (game) => (
+  game.status === 'completed' ||
+  (game.status === 'forfeited' && Boolean(game.state && game.state.currentTurn))
+);
+
+/**
+ * Winner of a played game: the higher score, or the opponent of a player who forfeited
+ * @param {object} game - Game instance
+ * @returns {string|null} Winner, or null for a draw
+ */
+const getGameWinner = (game) => {
+  if (game.status === 'forfeited') {
+    return game.forfeited_by === game.initiator_id ? game.responder_id : game.initiator_id;
+  }
+
+  const score = game.score || {};
+  const initiatorScore = score[game.initiator_id] || 0;
+  const responderScore = score[game.responder_id] || 0;
+
+  if (initiatorScore === responderScore) return null;
+  return initiatorScore > responderScore ? game.initiator_id : game.responder_id;
+};
+
+/**
+ * Standings of a series from its games
+ * A player wins by taking the majority of the N games; draws don't count for either
+ * player. If all N games are played without that, the most wins, then the higher
+ * total score, takes the series; otherwise it's a draw.
+ * @param {object} series - game_series row
+ * @param {Array<object>} games - The series' game instances
+ * @returns {object} { wins, score, gamesPlayed, decided, winnerId }
+ */
+const summarizeSeries = (series, games) => {
+  const players = [series.initiator_id, series.responder_id];
+  const wins = { [players[0]]: 0, [players[1]]: 0 };
+  const score = { [players[0]]: 0, [players[1]]: 0 };
+  let gamesPlayed = 0;
+
+  games.filter(wasPlayed).forEach(game => {
+    gamesPlayed++;
+    players.forEach(playerId => {
+      score[playerId] += (game.score && game.score[playerId]) || 0;
+    });
+
+    const winnerId = getGameWinner(game);
+    if (winnerId) wins[winnerId]++;
+  });
+
+  const majority = Math.ceil(series.best_of / 2);
+  const clinched = players.find(playerId => wins[playerId] >= majority);
+
+  if (clinched) {
+    return { wins, score, gamesPlayed, decided: true, winnerId: clinched };
+  }
+
+  if (gamesPlayed < series.best_of) {
+    return { wins, score, gamesPlayed, decided: false, winnerId: null };
+  }
+
+  const [first, second] = players;
+  let winnerId = null;
+  if (wins[first] !== wins[second]) {
+    winnerId = wins[first] > wins[second] ? first : second;
+  } else if (score[first] !== score[second]) {
+    winnerId = score[first] > score[second] ? first : second;
+  }
+
+  return { wins, score, gamesPlayed, decided: true, winnerId };
+};
+
+/**
+ * Get a series
+ * @param {string} seriesId - Series ID
+ * @returns {Promise<object|null>} game_series row with gameDetails
+ */
+const getSeries = async (seriesId) => {
+  const { data, error } = await supabase
+    .from('game_series')
+    .select(`
+      *,
+      gameDetails:mini_games(*)
+    `)
+    .eq('id', seriesId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return data;
+};
+
+/**
+ * Get the series played in a conversation, newest first
+ * @param {string} conversationId - Conversation ID
+ * @param {number} limit - Series to return
+ * @returns {Promise<Array<object>>} Series summaries
+ */
+const getSeriesByConversation = async (conversationId, limit = 20) => {
+  const { data, error } = await supabase
+    .from('game_series')
+    .select(`
+      *,
+      gameDetails:mini_games(*)
+    `)
+    .eq('conversation_id', conversationId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+
+  return (data || []).map(toSeriesSummary);
+};
+
+/**
+ * Start a series with its first game
+ * @param {string} gameType - Type of game
+ * @param {string} conversationId - Conversation ID
+ * @param {string} initiatorId - User who starts the series
+ * @param {string} responderId - Invited user
+ * @param {object} options - { bestOf, locale, rematchOf }
+ * @returns {Promise<object>} { success, game, series } or { success: false, message }
+ */
+const createSeries = async (gameType, conversationId, initiatorId, responderId, { bestOf, locale, rematchOf = null }) => {
+  const game = await gameService.getGameByType(gameType);
+  if (!game) {
+    return { success: false, message: `Game type ${gameType} not found` };
+  }
+
+  const { data: series, error } = await supabase
+    .from('game_series')
+    .insert({
+      game_id: game.id,
+      conversation_id: conversationId,
+      initiator_id: initiatorId,
+      responder_id: responderId,
+      best_of: bestOf,
+      locale: locale || null,
+      wins: { [initiatorId]: 0, [responderId]: 0 },
+      score: { [initiatorId]: 0, [responderId]: 0 }
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const result = await gameService.createGame(gameType, conversationId, initiatorId, responderId, {
+    locale,
+    seriesId: series.id,
+    seriesGameNumber: 1,
+    rematchOf
+  });
+
+  if (!result.success) {
+    await supabase.from('game_series').delete().eq('id', series.id);
+    return result;
+  }
+
+  logger.info(`Best-of-${bestOf} ${gameType} series ${series.id} started by ${initiatorId}`);
+
+  return {
+    success: true,
+    game: result.game,
+    series: toSeriesSummary({ ...series, gameDetails: game })
+  };
+};
+
+/**
+ * Save a series' new standings, if it is still running
+ * @param {string} seriesId - Series ID
+ * @param {object} changes - Columns to update
+ * @returns {Promise<object|null>} Updated row, or null if the series already ended
+ */
+const updateActiveSeries = async (seriesId, changes) => {
+  const { data, error } = await supabase
+    .from('game_series')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', seriesId)
+    .eq('status', 'active')
+    .select();
+
+  if (error) throw error;
+
+  return data && data.length > 0 ? data[0] : null;
+};
+
+/**
+ * Move a series on after one of its games ended
+ * Ends the series when it is decided, or creates its next game; the players take
+ * turns being the one who invites.
+ * @param {object} gameInstance - Finished game instance of the series
+ * @returns {Promise<object|null>} { series, nextGame, ended } or null if the game isn't in a running series
+ */
+const advanceSeries = async (gameInstance) => {
+  if (!gameInstance.series_id) {
+    return null;
+  }
+
+  try {
+    const series = await getSeries(gameInstance.series_id);
+    if (!series || series.status !== 'active') {
+      return null;
+    }
+
+    // A series invitation that was turned down or ignored ends the series
+    if (!wasPlayed(gameInstance)) {
+      const cancelled = await updateActiveSeries(series.id, {
+        status: 'cancelled',
+        completed_at: new Date().toISOString()
+      });
+
+      return cancelled
+        ? { series: toSeriesSummary({ ...cancelled, gameDetails: series.gameDetails }), nextGame: null, ended: true }
+        : null;
+    }
+
+    const { data: games, error } = await supabase
+      .from('game_instances')
+      .select('*')
+      .eq('series_id', series.id)
+      .order('series_game_number');
+
+    if (error) throw error;
+
+    const summary = summarizeSeries(series, games || []);
+    const now = new Date().toISOString();
+
+    const updated = await updateActiveSeries(series.id, {
+      wins: summary.wins,
+      score: summary.score,
+      games_played: summary.gamesPlayed,
+      ...(summary.decided ? { status: 'completed', winner_id: summary.winnerId, completed_at: now } : {})
+    });
+
+    if (!updated) {
+      return null;
+    }
+
+    const seriesSummary = toSeriesSummary({ ...updated, gameDetails: series.gameDetails });
+
+    if (summary.decided) {
+      logger.info(`Series ${series.id} completed, winner ${summary.winnerId || 'none (draw)'}`);
+      return { series: seriesSummary, nextGame: null, ended: true };
+    }
+
+    const gameNumber = (games || []).length + 1;
+    const [initiatorId, responderId] = gameNumber % 2 === 1
+      ? [series.initiator_id, series.responder_id]
+      : [series.responder_id, series.initiator_id];
+
+    // The unique (series_id, series_game_number) index stops a second node creating the same game
+    const next = await gameService.createGame(series.gameDetails.type, series.conversation_id, initiatorId, responderId, {
+      locale: series.locale,
+      seriesId: series.id,
+      seriesGameNumber: gameNumber
+    });
+
+    return { series: seriesSummary, nextGame: next.success ? next.game : null, ended: false };
+  } catch (error) {
+    logger.error(`Error advancing series ${gameInstance.series_id}: ${error.message}`);
+    return null;
+  }
+};
+
+module.exports = {
+  SERIES_LENGTHS,
+  toSeriesSummary,
+  summarizeSeries,
+  getSeries,
+  getSeriesByConversation,
+  createSeries,
+  advanceSeries
+};
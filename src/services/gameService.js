@@ -1,9 +1,18 @@
 const supabase = require('../config/database');
 const logger = require('../utils/logger');
-const achievementService = require('./achievementService');
+const { EVENTS, publish } = require('./eventBus');
+const gameContentService = require('./gameContentService');
+const gameRatingService = require('./gameRatingService');
+const { hasGameEngine, getGameEngine, resolveRules } = require('./games');
 
 // Constants
 const GAME_EXPIRE_HOURS = 24; // Games expire after 24 hours of inactivity
+const DEFAULT_TURN_SECONDS = 60; // Turn limit for games whose rules don't set time_limit_seconds
+const MAX_MISSED_TURNS = 3; // Consecutive timed-out turns before a player forfeits
+const EXPIRED_TURN_BATCH_SIZE = 50; // Expired turns handled per sweep
+const OPEN_GAME_STATUSES = ['pending', 'active'];
+const FINISHED_GAME_STATUSES = ['completed', 'forfeited', 'expired'];
+const GAME_HISTORY_LIMIT = 20; // Finished games listed per conversation
 
 /**
  * Get all available game types
@@ -18,7 +27,14 @@ const getAvailableGames = async () => {
     
     if (error) throw error;
     
-    return data || [];
+    // A mini_games row without an engine can't be played
+    return (data || []).filter(game => {
+      if (!hasGameEngine(game.type)) {
+        logger.error(`Mini-game ${game.name} has type ${game.type} with no registered game engine`);
+        return false;
+      }
+      return true;
+    });
   } catch (error) {
     logger.error(`Error getting available games: ${error.message}`);
     return [];
@@ -53,8 +69,14 @@ const getGameByType = async (type) => {
  * @param {string} conversationId - Conversation ID
  * @param {string} initiatorId - User who initiated the game
  * @param {string} responderId - User who will respond to the game
+ * @param {object} options - { locale, seriesId, seriesGameNumber, rematchOf }
  */
-const createGame = async (gameType, conversationId, initiatorId, responderId) => {
+const createGame = async (gameType, conversationId, initiatorId, responderId, {
+  locale,
+  seriesId = null,
+  seriesGameNumber = null,
+  rematchOf = null
+} = {}) => {
   try {
     // Get game details
     const game = await getGameByType(gameType);
@@ -66,12 +88,34 @@ const createGame = async (gameType, conversationId, initiatorId, responderId) =>
       };
     }
     
+    if (!hasGameEngine(game.type)) {
+      logger.error(`Cannot create game: no game engine registered for type ${game.type}`);
+      return {
+        success: false,
+        message: `Game type ${gameType} is not supported`
+      };
+    }
+    
     // Calculate expiry time
     const expiresAt = new Date();
     expiresAt.setHours(expiresAt.getHours() + GAME_EXPIRE_HOURS);
     
-    // Initialize game state based on type
-    const initialState = generateInitialState(game);
+    // Draw content the two players haven't seen, then initialize game state
+    const engine = getGameEngine(game.type);
+    const rules = resolveRules(engine, game.rules);
+    const content = typeof engine.contentRequest === 'function'
+      ? await gameContentService.drawContent(engine, rules, { locale, playerIds: [initiatorId, responderId] })
+      : undefined;
+    
+    if (content && content.every(items => items.length === 0)) {
+      logger.error(`Cannot create game: no content available for type ${game.type}`);
+      return {
+        success: false,
+        message: `${game.name} has no content available`
+      };
+    }
+    
+    const initialState = engine.init(rules, content);
     
     // Create game instance
     const { data, error } = await supabase
@@ -84,6 +128,10 @@ const createGame = async (gameType, conversationId, initiatorId, responderId) =>
         status: 'pending',
         state: initialState,
         score: { [initiatorId]: 0, [responderId]: 0 },
+        locale: locale || null,
+        series_id: seriesId,
+        series_game_number: seriesGameNumber,
+        rematch_of: rematchOf,
         expires_at: expiresAt.toISOString(),
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
@@ -93,6 +141,10 @@ const createGame = async (gameType, conversationId, initiatorId, responderId) =>
     
     if (error) throw error;
     
+    if (content) {
+      await gameContentService.recordContentUse(game.type, [initiatorId, responderId], data.id, content.flat());
+    }
+    
     return {
       success: true,
       game: {
@@ -110,67 +162,30 @@ const createGame = async (gameType, conversationId, initiatorId, responderId) =>
 };
 
 /**
- * Generate initial game state based on game type
- * @param {object} game - Game details
+ * Context passed to the game engine for a move
+ * @param {object} gameInstance - Game instance
+ * @param {string} userId - User making the move
+ * @param {object} engine - Game engine
  */
-const generateInitialState = (game) => {
-  const state = {
-    currentRound: 1,
-    totalRounds: game.rules.rounds || 5,
-    currentTurn: null, // Will be set when game is accepted
-    gameData: {}
-  };
-  
-  // Game-specific initialization
-  switch (game.type) {
-    case 'emoji_guess':
-      state.gameData = {
-        emojiSets: generateEmojiSets(state.totalRounds),
-        guessTimeLimit: game.rules.time_limit_seconds || 30
-      };
-      break;
-      
-    case 'word_association':
-      state.gameData = {
-        currentWord: getRandomStartWord(),
-        usedWords: [],
-        timeLimit: game.rules.time_limit_seconds || 15,
-        disallowedWords: game.rules.disallowed_words || []
-      };
-      break;
-      
-    case 'truth_or_dare':
-      state.gameData = {
-        tasks: generateTruthDareTasks(state.totalRounds, 
-          game.rules.truth_ratio || 0.6, 
-          game.rules.dare_ratio || 0.4)
-      };
-      break;
-      
-    case 'trivia':
-      state.gameData = {
-        questions: generateTriviaQuestions(
-          state.totalRounds,
-          game.rules.categories || ["general"],
-          game.rules.difficulty_levels || ["easy", "medium"]
-        )
-      };
-      break;
-      
-    case 'two_truths_lie':
-      // For this game, no initial data needed as players input their own statements
-      state.gameData = {
-        statements: {},
-        guesses: {}
-      };
-      break;
-      
-    default:
-      // Generic state for unknown game types
-      state.gameData = {};
-  }
-  
-  return state;
+const buildMoveContext = (gameInstance, userId, engine) => ({
+  userId,
+  opponentId: userId === gameInstance.initiator_id
+    ? gameInstance.responder_id
+    : gameInstance.initiator_id,
+  initiatorId: gameInstance.initiator_id,
+  responderId: gameInstance.responder_id,
+  rules: resolveRules(engine, gameInstance.gameDetails.rules)
+});
+
+/**
+ * Deadline of a turn starting now
+ * @param {object} gameDetails - mini_games row
+ * @returns {string} ISO timestamp
+ */
+const getTurnDeadline = (gameDetails) => {
+  const engine = getGameEngine(gameDetails.type);
+  const seconds = resolveRules(engine, gameDetails.rules).time_limit_seconds || DEFAULT_TURN_SECONDS;
+  return new Date(Date.now() + seconds * 1000).toISOString();
 };
 
 /**
@@ -198,6 +213,33 @@ const getActiveGamesByConversation = async (conversationId) => {
   }
 };
 
+/**
+ * Get the finished games of a conversation, newest first
+ * @param {string} conversationId - Conversation ID
+ * @param {number} limit - Games to return
+ */
+const getFinishedGamesByConversation = async (conversationId, limit = GAME_HISTORY_LIMIT) => {
+  try {
+    const { data, error } = await supabase
+      .from('game_instances')
+      .select(`
+        *,
+        gameDetails:mini_games(*)
+      `)
+      .eq('conversation_id', conversationId)
+      .in('status', FINISHED_GAME_STATUSES)
+      .order('updated_at', { ascending: false })
+      .limit(limit);
+    
+    if (error) throw error;
+    
+    return data || [];
+  } catch (error) {
+    logger.error(`Error getting game history for conversation ${conversationId}: ${error.message}`);
+    return [];
+  }
+};
+
 /**
  * Get game instance by ID
  * @param {string} gameInstanceId - Game instance ID
@@ -267,22 +309,35 @@ const acceptGame = async (gameInstanceId, userId) => {
       currentTurn: determineFirstPlayer(gameInstance.initiator_id, gameInstance.responder_id)
     };
     
-    // Update game instance
-    const { error } = await supabase
+    const turnExpiresAt = getTurnDeadline(gameInstance.gameDetails);
+    
+    // Update game instance (only if nobody accepted or cancelled it meanwhile)
+    const { data: accepted, error } = await supabase
       .from('game_instances')
       .update({
         status: 'active',
         state: updatedState,
+        turn_expires_at: turnExpiresAt,
         updated_at: new Date().toISOString()
       })
-      .eq('id', gameInstanceId);
+      .eq('id', gameInstanceId)
+      .eq('status', 'pending')
+      .select('id');
     
     if (error) throw error;
     
+    if (!accepted || accepted.length === 0) {
+      return {
+        success: false,
+        message: 'Game is no longer pending'
+      };
+    }
+    
     return {
       success: true,
       message: 'Game accepted',
-      gameState: updatedState
+      gameState: updatedState,
+      turnExpiresAt
     };
   } catch (error) {
     logger.error(`Error accepting game ${gameInstanceId}: ${error.message}`);
@@ -337,29 +392,6 @@ const makeMove = async (gameInstanceId, userId, moveData) => {
       };
     }
     
-    // Get move number (count existing moves + 1)
-    const { data: moveCount, error: countError } = await supabase
-      .from('game_moves')
-      .select('id', { count: 'exact', head: true })
-      .eq('game_instance_id', gameInstanceId);
-    
-    if (countError) throw countError;
-    
-    const moveNumber = (moveCount || 0) + 1;
-    
-    // Record the move
-    const { error: moveError } = await supabase
-      .from('game_moves')
-      .insert({
-        game_instance_id: gameInstanceId,
-        user_id: userId,
-        move_data: moveData,
-        move_number: moveNumber,
-        created_at: new Date().toISOString()
-      });
-    
-    if (moveError) throw moveError;
-    
     // Process move and update game state
     const { newState, newScore, isComplete } = processMove(gameInstance, userId, moveData);
     
@@ -367,6 +399,7 @@ const makeMove = async (gameInstanceId, userId, moveData) => {
     const updateData = {
       state: newState,
       score: newScore,
+      turn_expires_at: isComplete ? null : getTurnDeadline(gameInstance.gameDetails),
       updated_at: new Date().toISOString()
     };
     
@@ -376,23 +409,55 @@ const makeMove = async (gameInstanceId, userId, moveData) => {
       updateData.completed_at = new Date().toISOString();
     }
     
-    const { error: updateError } = await supabase
+    // Only apply the move to the state it was validated against; the turn timer may have moved on
+    const { data: updated, error: updateError } = await supabase
       .from('game_instances')
       .update(updateData)
-      .eq('id', gameInstanceId);
+      .eq('id', gameInstanceId)
+      .eq('status', 'active')
+      .eq('updated_at', gameInstance.updated_at)
+      .select('id');
     
     if (updateError) throw updateError;
     
-    // If game is complete, update achievements
-    if (isComplete) {
-      await processGameCompletion(gameInstance, newScore);
+    if (!updated || updated.length === 0) {
+      return {
+        success: false,
+        message: 'The game changed before your move was made, please try again'
+      };
     }
     
+    // Get move number (count existing moves + 1)
+    const { count: moveCount, error: countError } = await supabase
+      .from('game_moves')
+      .select('id', { count: 'exact', head: true })
+      .eq('game_instance_id', gameInstanceId);
+    
+    if (countError) throw countError;
+    
+    // Record the move
+    const { error: moveError } = await supabase
+      .from('game_moves')
+      .insert({
+        game_instance_id: gameInstanceId,
+        user_id: userId,
+        move_data: moveData,
+        move_number: (moveCount || 0) + 1,
+        created_at: new Date().toISOString()
+      });
+    
+    if (moveError) throw moveError;
+    
+    // If game is complete, update achievements and ratings
+    const ratingChanges = isComplete ? await processGameCompletion(gameInstance, newScore) : [];
+    
     return {
       success: true,
       state: newState,
       score: newScore,
-      isComplete
+      isComplete,
+      turnExpiresAt: updateData.turn_expires_at,
+      ratingChanges
     };
   } catch (error) {
     logger.error(`Error making move in game ${gameInstanceId}: ${error.message}`);
@@ -404,34 +469,45 @@ const makeMove = async (gameInstanceId, userId, moveData) => {
 };
 
 /**
- * Process game completion and award achievements
- * @param {object} gameInstance - Game instance
+ * Process game completion: award achievements and rate the game
+ * @param {object} gameInstance - Game instance (with gameDetails)
  * @param {object} finalScore - Final game score
+ * @returns {Promise<Array<object>>} Rating changes of the players
  */
 const processGameCompletion = async (gameInstance, finalScore) => {
   try {
-    // Check mini-game achievement for both users
-    await achievementService.checkMiniGameCompletion(gameInstance.initiator_id);
-    await achievementService.checkMiniGameCompletion(gameInstance.responder_id);
-    
-    // Determine winner
-    const initiatorScore = finalScore[gameInstance.initiator_id] || 0;
-    const responderScore = finalScore[gameInstance.responder_id] || 0;
-    
-    if (initiatorScore > responderScore) {
-      await achievementService.checkMiniGameWin(gameInstance.initiator_id);
-    } else if (responderScore > initiatorScore) {
-      await achievementService.checkMiniGameWin(gameInstance.responder_id);
+    const players = [
+      [gameInstance.initiator_id, gameInstance.responder_id],
+      [gameInstance.responder_id, gameInstance.initiator_id]
+    ];
+
+    for (const [userId, opponentId] of players) {
+      const event = {
+        userId,
+        opponentId,
+        gameInstanceId: gameInstance.id,
+        gameType: gameInstance.gameDetails?.type
+      };
+
+      await publish(EVENTS.GAME_COMPLETED, event);
+
+      // The winner scored higher than their opponent
+      if ((finalScore[userId] || 0) > (finalScore[opponentId] || 0)) {
+        await publish(EVENTS.GAME_WON, event);
+      }
     }
     
     logger.info(`Game ${gameInstance.id} completed with scores: ${JSON.stringify(finalScore)}`);
+    
+    return await gameRatingService.recordGameResult(gameInstance, { finalScore });
   } catch (error) {
     logger.error(`Error processing game completion: ${error.message}`);
+    return [];
   }
 };
 
 /**
- * Validate a move based on game type
+ * Validate a move with the game's engine
  * @param {object} gameInstance - Game instance
  * @param {string} userId - User making the move
  * @param {object} moveData - Move data
@@ -442,72 +518,8 @@ const validateMove = (gameInstance, userId, moveData) => {
     return { valid: false, message: 'No move data provided' };
   }
   
-  const gameType = gameInstance.gameDetails.type;
-  
-  switch (gameType) {
-    case 'emoji_guess':
-      // Validate emoji guess
-      if (!moveData.guess) {
-        return { valid: false, message: 'Guess is required' };
-      }
-      break;
-      
-    case 'word_association':
-      // Validate word
-      if (!moveData.word) {
-        return { valid: false, message: 'Word is required' };
-      }
-      
-      // Check if word is in disallowed list
-      if (gameInstance.state.gameData.disallowedWords.includes(moveData.word.toLowerCase())) {
-        return { valid: false, message: 'Word is not allowed' };
-      }
-      
-      // Check if word has been used already
-      if (gameInstance.state.gameData.usedWords.includes(moveData.word.toLowerCase())) {
-        return { valid: false, message: 'Word has already been used' };
-      }
-      break;
-      
-    case 'truth_or_dare':
-      // Validate truth or dare response
-      if (moveData.type !== 'truth' && moveData.type !== 'dare') {
-        return { valid: false, message: 'Invalid response type' };
-      }
-      
-      if (!moveData.response) {
-        return { valid: false, message: 'Response is required' };
-      }
-      break;
-      
-    case 'trivia':
-      // Validate answer
-      if (moveData.answer === undefined) {
-        return { valid: false, message: 'Answer is required' };
-      }
-      break;
-      
-    case 'two_truths_lie':
-      // Validate statements or guess
-      if (gameInstance.state.currentRound <= 2) {
-        // First two rounds are for submitting statements
-        if (!Array.isArray(moveData.statements) || moveData.statements.length !== 3) {
-          return { valid: false, message: 'Three statements are required' };
-        }
-      } else {
-        // Last round is for guesses
-        if (moveData.guess === undefined || moveData.guess < 0 || moveData.guess > 2) {
-          return { valid: false, message: 'Valid guess is required (0-2)' };
-        }
-      }
-      break;
-      
-    default:
-      // Generic validation for unknown game types
-      return { valid: true };
-  }
-  
-  return { valid: true };
+  const engine = getGameEngine(gameInstance.gameDetails.type);
+  return engine.validate(gameInstance.state, moveData, buildMoveContext(gameInstance, userId, engine));
 };
 
 /**
@@ -517,367 +529,314 @@ const validateMove = (gameInstance, userId, moveData) => {
  * @param {object} moveData - Move data
  */
 const processMove = (gameInstance, userId, moveData) => {
-  const currentState = gameInstance.state;
-  const currentScore = gameInstance.score;
+  const engine = getGameEngine(gameInstance.gameDetails.type);
+  const context = buildMoveContext(gameInstance, userId, engine);
   
-  // Create copies to modify
-  const newState = JSON.parse(JSON.stringify(currentState));
-  const newScore = JSON.parse(JSON.stringify(currentScore));
+  // Points are scored against the state the move was made in
+  const points = engine.score(gameInstance.state, moveData, context);
+  const newState = engine.apply(gameInstance.state, moveData, context);
   
-  // Get opponent ID
-  const opponentId = userId === gameInstance.initiator_id 
-    ? gameInstance.responder_id 
-    : gameInstance.initiator_id;
+  // Playing a turn resets the player's count of timed-out turns
+  if (newState.missedTurns && newState.missedTurns[userId]) {
+    newState.missedTurns = { ...newState.missedTurns, [userId]: 0 };
+  }
   
-  // Initialize scores if they don't exist
-  if (!newScore[userId]) newScore[userId] = 0;
-  if (!newScore[opponentId]) newScore[opponentId] = 0;
+  const newScore = JSON.parse(JSON.stringify(gameInstance.score || {}));
+  for (const playerId of [userId, context.opponentId]) {
+    newScore[playerId] = (newScore[playerId] || 0) + (points[playerId] || 0);
+  }
   
-  // Process based on game type
-  const gameType = gameInstance.gameDetails.type;
-  let isComplete = false;
+  return { newState, newScore, isComplete: engine.isFinished(newState) };
+};
+
+/**
+ * End a game because a player forfeited it
+ * @param {object} gameInstance - Game instance (with gameDetails)
+ * @param {string} forfeitedBy - Player who forfeited
+ * @returns {object} { success, gameInstance, winnerId, ratingChanges } or { success: false, message }
+ */
+const endByForfeit = async (gameInstance, forfeitedBy) => {
+  const now = new Date().toISOString();
   
-  switch (gameType) {
-    case 'emoji_guess':
-      // Process emoji guess
-      const currentEmoji = newState.gameData.emojiSets[newState.currentRound - 1];
-      
-      // Check if guess is correct (case insensitive partial match)
-      const isCorrect = currentEmoji.meaning.toLowerCase()
-        .includes(moveData.guess.toLowerCase());
-      
-      // Award points
-      if (isCorrect) {
-        newScore[userId] += gameInstance.gameDetails.rules.points_correct || 10;
-        
-        // Add time bonus if applicable
-        if (moveData.timeRemaining && moveData.timeRemaining > 0) {
-          newScore[userId] += gameInstance.gameDetails.rules.points_fast_bonus || 5;
-        }
-      }
-      
-      // Move to next round or complete game
-      if (newState.currentRound >= newState.totalRounds) {
-        isComplete = true;
-      } else {
-        newState.currentRound += 1;
-        newState.currentTurn = opponentId;
-      }
-      break;
-      
-    case 'word_association':
-      // Process word association
-      newState.gameData.usedWords.push(moveData.word.toLowerCase());
-      newState.gameData.currentWord = moveData.word;
-      
-      // Award points
-      newScore[userId] += gameInstance.gameDetails.rules.points_per_word || 5;
-      
-      // Move to next round or complete game
-      if (newState.currentRound >= newState.totalRounds) {
-        isComplete = true;
-      } else {
-        newState.currentRound += 1;
-        newState.currentTurn = opponentId;
-      }
-      break;
-      
-    case 'truth_or_dare':
-      // Process truth or dare
-      
-      // Award points for completion
-      newScore[userId] += gameInstance.gameDetails.rules.points_per_completion || 10;
-      
-      // Move to next round or complete game
-      if (newState.currentRound >= newState.totalRounds) {
-        isComplete = true;
-      } else {
-        newState.currentRound += 1;
-        newState.currentTurn = opponentId;
-      }
-      break;
-      
-    case 'trivia':
-      // Process trivia answer
-      const currentQuestion = newState.gameData.questions[newState.currentRound - 1];
-      
-      // Check if answer is correct
-      const isAnswerCorrect = moveData.answer === currentQuestion.correctAnswer;
-      
-      // Award points based on difficulty
-      if (isAnswerCorrect) {
-        switch (currentQuestion.difficulty) {
-          case 'easy':
-            newScore[userId] += gameInstance.gameDetails.rules.points_easy || 5;
-            break;
-          case 'medium':
-            newScore[userId] += gameInstance.gameDetails.rules.points_medium || 10;
-            break;
-          case 'hard':
-            newScore[userId] += gameInstance.gameDetails.rules.points_hard || 15;
-            break;
-        }
-      }
-      
-      // Move to next round or complete game
-      if (newState.currentRound >= newState.totalRounds) {
-        isComplete = true;
-      } else {
-        newState.currentRound += 1;
-        newState.currentTurn = opponentId;
-      }
-      break;
-      
-    case 'two_truths_lie':
-      // Process two truths and a lie
-      if (newState.currentRound <= 2) {
-        // First two rounds are for submitting statements
-        newState.gameData.statements[userId] = moveData.statements;
-        newState.gameData.truth_index = moveData.truth_index;
-        
-        // Move to next player's submission or to guessing phase
-        if (newState.currentRound === 1) {
-          newState.currentRound += 1;
-          newState.currentTurn = opponentId;
-        } else {
-          newState.currentRound += 1;
-          // First player guesses second player's statements
-          newState.currentTurn = gameInstance.initiator_id;
-        }
-      } else {
-        // Record guess
-        newState.gameData.guesses[userId] = moveData.guess;
-        
-        // Check if guess is correct
-        const targetStatements = newState.gameData.statements[opponentId];
-        const lieIndex = targetStatements.findIndex(s => !s.isTrue);
-        
-        if (moveData.guess === lieIndex) {
-          // Award points for correct guess
-          newScore[userId] += gameInstance.gameDetails.rules.points_correct_guess || 10;
-        } else {
-          // Award points for successful deception to the opponent
-          newScore[opponentId] += gameInstance.gameDetails.rules.points_successful_deception || 15;
-        }
-        
-        // If both players have guessed, game is complete
-        if (Object.keys(newState.gameData.guesses).length === 2) {
-          isComplete = true;
-        } else {
-          // Other player's turn to guess
-          newState.currentTurn = opponentId;
-        }
-      }
-      break;
-      
-    default:
-      // Generic processing for unknown game types
-      if (newState.currentRound >= newState.totalRounds) {
-        isComplete = true;
-      } else {
-        newState.currentRound += 1;
-        newState.currentTurn = opponentId;
-      }
+  const { data, error } = await supabase
+    .from('game_instances')
+    .update({
+      status: 'forfeited',
+      forfeited_by: forfeitedBy,
+      turn_expires_at: null,
+      completed_at: now,
+      updated_at: now
+    })
+    .eq('id', gameInstance.id)
+    .in('status', OPEN_GAME_STATUSES)
+    .eq('updated_at', gameInstance.updated_at)
+    .select();
+  
+  if (error) throw error;
+  
+  if (!data || data.length === 0) {
+    return {
+      success: false,
+      message: 'The game changed before it could be forfeited, please try again'
+    };
   }
   
-  return { newState, newScore, isComplete };
+  // Declining an invitation doesn't make anyone the winner
+  const winnerId = gameInstance.status !== 'active'
+    ? null
+    : forfeitedBy === gameInstance.initiator_id ? gameInstance.responder_id : gameInstance.initiator_id;
+  
+  logger.info(`Game ${gameInstance.id} forfeited by ${forfeitedBy}`);
+  
+  // A forfeited game counts as a loss for the rating; a declined invitation isn't rated
+  const ratingChanges = winnerId
+    ? await gameRatingService.recordGameResult(gameInstance, { winnerId })
+    : [];
+  
+  return {
+    success: true,
+    gameInstance: { ...data[0], gameDetails: gameInstance.gameDetails },
+    winnerId,
+    ratingChanges
+  };
 };
 
 /**
- * Determine which player goes first
+ * Forfeit a game (or decline an invitation)
+ * @param {string} gameInstanceId - Game instance ID
+ * @param {string} userId - Player forfeiting
  */
-const determineFirstPlayer = (initiatorId, responderId) => {
-  // Randomly determine who goes first
-  return Math.random() < 0.5 ? initiatorId : responderId;
+const forfeitGame = async (gameInstanceId, userId) => {
+  try {
+    const gameInstance = await getGameInstance(gameInstanceId);
+    
+    if (!gameInstance) {
+      return {
+        success: false,
+        message: 'Game not found'
+      };
+    }
+    
+    if (gameInstance.initiator_id !== userId && gameInstance.responder_id !== userId) {
+      return {
+        success: false,
+        message: 'Only players can forfeit the game'
+      };
+    }
+    
+    if (!OPEN_GAME_STATUSES.includes(gameInstance.status)) {
+      return {
+        success: false,
+        message: `Game is already ${gameInstance.status}`
+      };
+    }
+    
+    return await endByForfeit(gameInstance, userId);
+  } catch (error) {
+    logger.error(`Error forfeiting game ${gameInstanceId}: ${error.message}`);
+    return {
+      success: false,
+      message: 'Error forfeiting game'
+    };
+  }
 };
 
 /**
- * Helper functions for generating game content
+ * Get active games whose turn timer ran out
+ * @returns {Array<object>} Game instances with gameDetails
  */
+const getExpiredTurns = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('game_instances')
+      .select(`
+        *,
+        gameDetails:mini_games(*)
+      `)
+      .eq('status', 'active')
+      .lte('turn_expires_at', new Date().toISOString())
+      .order('turn_expires_at', { ascending: true })
+      .limit(EXPIRED_TURN_BATCH_SIZE);
+    
+    if (error) throw error;
+    
+    return data || [];
+  } catch (error) {
+    logger.error(`Error getting expired game turns: ${error.message}`);
+    return [];
+  }
+};
 
-// Generate emoji sets for guessing
-const generateEmojiSets = (count) => {
-  const emojiSets = [
-    { emojis: '🏃‍♂️💨', meaning: 'Running fast' },
-    { emojis: '🧠💭', meaning: 'Thinking' },
-    { emojis: '❤️💔', meaning: 'Heartbreak' },
-    { emojis: '🌧️☂️', meaning: 'Rainy day' },
-    { emojis: '🔥📱', meaning: 'Hot phone' },
-    { emojis: '🎭👨‍👩‍👧‍👦', meaning: 'Family drama' },
-    { emojis: '🌍✈️', meaning: 'World travel' },
-    { emojis: '🍽️👑', meaning: 'Fancy dinner' },
-    { emojis: '🎓📚', meaning: 'Graduation' },
-    { emojis: '🎂🕯️', meaning: 'Birthday' }
-  ];
-  
-  // Shuffle and take the requested number
-  return shuffleArray(emojiSets).slice(0, count);
+/**
+ * Handle a turn whose timer ran out: skip it, or forfeit the game for the player
+ * if the game can't skip turns or they missed too many in a row
+ * @param {object} gameInstance - Game instance from getExpiredTurns
+ * @returns {object} { success, action: 'skipped'|'completed'|'forfeited', playerId, gameInstance, winnerId?, ratingChanges }
+ */
+const expireTurn = async (gameInstance) => {
+  try {
+    const engine = getGameEngine(gameInstance.gameDetails.type);
+    const playerId = gameInstance.state.currentTurn;
+    const missedTurns = { ...(gameInstance.state.missedTurns || {}) };
+    missedTurns[playerId] = (missedTurns[playerId] || 0) + 1;
+    
+    if (typeof engine.skip !== 'function' || missedTurns[playerId] >= MAX_MISSED_TURNS) {
+      const result = await endByForfeit(gameInstance, playerId);
+      return result.success ? { ...result, action: 'forfeited', playerId } : result;
+    }
+    
+    const newState = {
+      ...engine.skip(gameInstance.state, buildMoveContext(gameInstance, playerId, engine)),
+      missedTurns
+    };
+    const isComplete = engine.isFinished(newState);
+    const now = new Date().toISOString();
+    
+    const updateData = {
+      state: newState,
+      turn_expires_at: isComplete ? null : getTurnDeadline(gameInstance.gameDetails),
+      updated_at: now
+    };
+    
+    if (isComplete) {
+      updateData.status = 'completed';
+      updateData.completed_at = now;
+    }
+    
+    // Another node may have handled this turn, or the player moved just in time
+    const { data, error } = await supabase
+      .from('game_instances')
+      .update(updateData)
+      .eq('id', gameInstance.id)
+      .eq('status', 'active')
+      .eq('updated_at', gameInstance.updated_at)
+      .select();
+    
+    if (error) throw error;
+    
+    if (!data || data.length === 0) {
+      return {
+        success: false,
+        message: 'Turn was already handled'
+      };
+    }
+    
+    const ratingChanges = isComplete
+      ? await processGameCompletion(gameInstance, gameInstance.score || {})
+      : [];
+    
+    return {
+      success: true,
+      action: isComplete ? 'completed' : 'skipped',
+      playerId,
+      gameInstance: { ...data[0], gameDetails: gameInstance.gameDetails },
+      ratingChanges
+    };
+  } catch (error) {
+    logger.error(`Error expiring turn in game ${gameInstance.id}: ${error.message}`);
+    return {
+      success: false,
+      message: 'Error expiring turn'
+    };
+  }
 };
 
-// Generate starting word for word association
-const getRandomStartWord = () => {
-  const startWords = [
-    'beach', 'mountain', 'coffee', 'sunset', 'book', 
-    'music', 'journey', 'dream', 'smile', 'garden',
-    'ocean', 'star', 'forest', 'laugh', 'dance'
-  ];
-  
-  return startWords[Math.floor(Math.random() * startWords.length)];
+/**
+ * Expire the invitations nobody accepted within GAME_EXPIRE_HOURS
+ * The update claims each invitation, so only one node handles it
+ * @returns {Promise<Array<object>>} Expired game instances (with gameDetails)
+ */
+const expireInvitations = async () => {
+  try {
+    const now = new Date().toISOString();
+    
+    const { data, error } = await supabase
+      .from('game_instances')
+      .update({
+        status: 'expired',
+        updated_at: now
+      })
+      .eq('status', 'pending')
+      .lt('expires_at', now)
+      .select(`
+        *,
+        gameDetails:mini_games(*)
+      `);
+    
+    if (error) throw error;
+    
+    return data || [];
+  } catch (error) {
+    logger.error(`Error expiring game invitations: ${error.message}`);
+    return [];
+  }
 };
 
-// Generate truth or dare tasks
-const generateTruthDareTasks = (count, truthRatio, dareRatio) => {
-  const truths = [
-    'What is your biggest fear?',
-    'What is your most embarrassing moment?',
-    'What is a secret you\'ve never told anyone?',
-    'What is your biggest regret?',
-    'Who is your celebrity crush?',
-    'What is the most childish thing you still do?',
-    'What is the worst gift you\'ve ever received?',
-    'What is your guilty pleasure?',
-    'What is your most unusual talent?',
-    'What was your most awkward date?'
-  ];
-  
-  const dares = [
-    'Send a selfie with a funny face',
-    'Write a short poem about your day',
-    'Record a 10-second dance clip',
-    'Tell a joke',
-    'Share your most recent embarrassing photo',
-    'Do an impression of a celebrity',
-    'Draw a self-portrait and share it',
-    'Sing the chorus of your favorite song',
-    'Share your most used emoji and explain why',
-    'Invent a new word and use it in a sentence'
-  ];
-  
-  // Calculate number of truths and dares based on ratio
-  const truthCount = Math.round(count * truthRatio);
-  const dareCount = count - truthCount;
-  
-  // Shuffle and slice the arrays
-  const shuffledTruths = shuffleArray(truths).slice(0, truthCount);
-  const shuffledDares = shuffleArray(dares).slice(0, dareCount);
+/**
+ * Get the rematch already offered for a game, if any
+ * @param {string} gameInstanceId - Finished game instance ID
+ * @returns {Promise<object|null>} Rematch game instance
+ */
+const getRematch = async (gameInstanceId) => {
+  const { data, error } = await supabase
+    .from('game_instances')
+    .select('id, status, initiator_id')
+    .eq('rematch_of', gameInstanceId)
+    .maybeSingle();
   
-  // Combine and shuffle again
-  const combined = [
-    ...shuffledTruths.map(text => ({ type: 'truth', text })),
-    ...shuffledDares.map(text => ({ type: 'dare', text }))
-  ];
+  if (error) throw error;
   
-  return shuffleArray(combined);
+  return data;
 };
 
-// Generate trivia questions
-const generateTriviaQuestions = (count, categories, difficultyLevels) => {
-  const questions = [
-    {
-      category: 'general',
-      difficulty: 'easy',
-      question: 'What is the capital of France?',
-      options: ['London', 'Berlin', 'Paris', 'Madrid'],
-      correctAnswer: 2
-    },
-    {
-      category: 'general',
-      difficulty: 'easy',
-      question: 'Which planet is known as the Red Planet?',
-      options: ['Venus', 'Mars', 'Jupiter', 'Saturn'],
-      correctAnswer: 1
-    },
-    {
-      category: 'general',
-      difficulty: 'medium',
-      question: 'Who painted the Mona Lisa?',
-      options: ['Vincent van Gogh', 'Pablo Picasso', 'Leonardo da Vinci', 'Michelangelo'],
-      correctAnswer: 2
-    },
-    {
-      category: 'science',
-      difficulty: 'medium',
-      question: 'What is the chemical symbol for gold?',
-      options: ['Go', 'Gd', 'Au', 'Ag'],
-      correctAnswer: 2
-    },
-    {
-      category: 'science',
-      difficulty: 'hard',
-      question: 'What is the smallest prime number?',
-      options: ['0', '1', '2', '3'],
-      correctAnswer: 2
-    },
-    {
-      category: 'entertainment',
-      difficulty: 'easy',
-      question: 'Who played Iron Man in the Marvel Cinematic Universe?',
-      options: ['Chris Evans', 'Robert Downey Jr.', 'Chris Hemsworth', 'Mark Ruffalo'],
-      correctAnswer: 1
-    },
-    {
-      category: 'entertainment',
-      difficulty: 'medium',
-      question: 'Which band released the album "Abbey Road"?',
-      options: ['The Rolling Stones', 'Led Zeppelin', 'The Beatles', 'Pink Floyd'],
-      correctAnswer: 2
-    },
-    {
-      category: 'history',
-      difficulty: 'medium',
-      question: 'In which year did World War II end?',
-      options: ['1943', '1945', '1947', '1950'],
-      correctAnswer: 1
-    },
-    {
-      category: 'history',
-      difficulty: 'hard',
-      question: 'Who was the first Emperor of Rome?',
-      options: ['Julius Caesar', 'Augustus', 'Nero', 'Constantine'],
-      correctAnswer: 1
-    },
-    {
-      category: 'geography',
-      difficulty: 'easy',
-      question: 'What is the largest ocean on Earth?',
-      options: ['Atlantic Ocean', 'Indian Ocean', 'Arctic Ocean', 'Pacific Ocean'],
-      correctAnswer: 3
-    }
-  ];
-  
-  // Filter questions by category and difficulty
-  const filteredQuestions = questions.filter(q => 
-    categories.includes(q.category) && difficultyLevels.includes(q.difficulty)
-  );
-  
-  // If not enough questions after filtering, add more from other categories
-  if (filteredQuestions.length < count) {
-    const remainingQuestions = questions.filter(q => 
-      !filteredQuestions.includes(q) && difficultyLevels.includes(q.difficulty)
-    );
-    filteredQuestions.push(...remainingQuestions);
+/**
+ * Get a user's pending and active games
+ * @param {string} userId - User ID
+ */
+const getUserOpenGames = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('game_instances')
+      .select(`
+        *,
+        gameDetails:mini_games(*)
+      `)
+      .or(`initiator_id.eq.${userId},responder_id.eq.${userId}`)
+      .in('status', OPEN_GAME_STATUSES)
+      .order('updated_at', { ascending: false });
+    
+    if (error) throw error;
+    
+    return data || [];
+  } catch (error) {
+    logger.error(`Error getting open games for user ${userId}: ${error.message}`);
+    return [];
   }
-  
-  // Shuffle and take requested number
-  return shuffleArray(filteredQuestions).slice(0, count);
 };
 
-// Helper function to shuffle an array
-const shuffleArray = (array) => {
-  const shuffled = [...array];
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-  }
-  return shuffled;
+/**
+ * Determine which player goes first
+ */
+const determineFirstPlayer = (initiatorId, responderId) => {
+  // Randomly determine who goes first
+  return Math.random() < 0.5 ? initiatorId : responderId;
 };
 
 module.exports = {
+  OPEN_GAME_STATUSES,
+  FINISHED_GAME_STATUSES,
   getAvailableGames,
   getGameByType,
   createGame,
   getActiveGamesByConversation,
+  getFinishedGamesByConversation,
   getGameInstance,
   acceptGame,
-  makeMove
+  makeMove,
+  forfeitGame,
+  getExpiredTurns,
+  expireTurn,
+  expireInvitations,
+  getRematch,
+  getUserOpenGames
 }; 
\ No newline at end of file
@@ -0,0 +1,167 @@
+/**
+ * Conformance checks every game engine must pass
+ * Run them for all registered engines with test_scripts/test_game_engines.js
+ */
+const { resolveRules } = require('./index');
+const { getBuiltInItems, sampleContent } = require('./content');
+
+const PLAYERS = ['player-one', 'player-two'];
+
+/**
+ * Whether a value survives a JSON round trip unchanged (states are stored as JSONB)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if serializable
+ */
+const isSerializable = (value) => {
+  try {
+    return JSON.stringify(JSON.parse(JSON.stringify(value))) === JSON.stringify(value);
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Move context as gameService builds it
+ * @param {string} userId - Player making the move
+ * @param {object} rules - Game rules
+ * @returns {object} Context
+ */
+const contextFor = (userId, rules) => ({
+  userId,
+  opponentId: userId === PLAYERS[0] ? PLAYERS[1] : PLAYERS[0],
+  initiatorId: PLAYERS[0],
+  responderId: PLAYERS[1],
+  rules
+});
+
+/**
+ * Play one game to the end with example moves
+ * @param {object} engine - Game module
+ * @param {object} rules - Game rules
+ * @param {string} firstPlayer - Player who moves first
+ * @returns {Array<string>} Failures
+ */
+const playThrough = (engine, rules, firstPlayer) => {
+  const failures = [];
+  const content = typeof engine.contentRequest === 'function'
+    ? sampleContent(getBuiltInItems(engine.type), engine.contentRequest(rules))
+    : undefined;
+
+  if (content && content.every(items => items.length === 0)) {
+    return ['contentRequest drew nothing from the built-in content packs'];
+  }
+
+  let state = engine.init(rules, content);
+
+  if (!state || state.currentRound !== 1 || !Number.isInteger(state.totalRounds) || state.totalRounds < 1) {
+    return ['init must return { currentRound: 1, totalRounds > 0, ... }'];
+  }
+  if (state.currentTurn !== null) {
+    failures.push('init must leave currentTurn null (set when the game is accepted)');
+  }
+  if (!state.gameData || typeof state.gameData !== 'object') {
+    failures.push('init must return a gameData object');
+  }
+  if (!isSerializable(state)) {
+    failures.push('init must return a JSON-serializable state');
+  }
+  if (engine.isFinished(state)) {
+    failures.push('isFinished must be false for a new game');
+  }
+
+  const emptyMove = engine.validate(state, {}, contextFor(firstPlayer, rules));
+  if (!emptyMove || emptyMove.valid !== false || !emptyMove.message) {
+    failures.push('validate must reject an empty move with a message');
+  }
+
+  state = { ...state, currentTurn: firstPlayer };
+  const maxMoves = state.totalRounds * 4 + 10;
+
+  for (let moves = 0; !engine.isFinished(state); moves++) {
+    if (moves >= maxMoves) {
+      failures.push(`game did not finish within ${maxMoves} example moves`);
+      break;
+    }
+
+    if (!PLAYERS.includes(state.currentTurn)) {
+      failures.push(`currentTurn must be a player while the game runs (got ${state.currentTurn})`);
+      break;
+    }
+
+    const context = contextFor(state.currentTurn, rules);
+
+    if (typeof engine.skip === 'function') {
+      const before = JSON.stringify(state);
+      const skipped = engine.skip(state, context);
+
+      if (JSON.stringify(state) !== before) {
+        failures.push('skip must not modify the given state');
+      }
+      if (!skipped || skipped === state || !isSerializable(skipped) ||
+        (!engine.isFinished(skipped) && skipped.currentTurn !== context.opponentId)) {
+        failures.push('skip must return a new state with the turn passed to the opponent');
+      }
+    }
+
+    const move = engine.exampleMove(state, context);
+    const validation = engine.validate(state, move, context);
+
+    if (!validation || validation.valid !== true) {
+      failures.push(`exampleMove was rejected in round ${state.currentRound}: ${validation && validation.message}`);
+      break;
+    }
+
+    const before = JSON.stringify(state);
+    const points = engine.score(state, move, context);
+
+    if (!points || typeof points !== 'object' ||
+      Object.entries(points).some(([userId, value]) => !PLAYERS.includes(userId) || !Number.isFinite(value))) {
+      failures.push('score must return { [playerId]: number }');
+    }
+
+    const next = engine.apply(state, move, context);
+
+    if (JSON.stringify(state) !== before) {
+      failures.push('score and apply must not modify the given state');
+    }
+    if (!next || next === state || !isSerializable(next)) {
+      failures.push('apply must return a new JSON-serializable state');
+      break;
+    }
+
+    state = next;
+  }
+
+  return failures;
+};
+
+/**
+ * Check a game engine against the contract in games/index.js
+ * @param {object} engine - Game module
+ * @param {object} options - { rules (mini_games rules to test with), playthroughs }
+ * @returns {object} { type, passed, failures }
+ */
+const checkGameEngine = (engine, { rules = {}, playthroughs = 3 } = {}) => {
+  const failures = [];
+  const resolvedRules = resolveRules(engine, rules);
+
+  for (let i = 0; i < playthroughs; i++) {
+    try {
+      playThrough(engine, resolvedRules, PLAYERS[i % 2]).forEach(failure => {
+        if (!failures.includes(failure)) failures.push(failure);
+      });
+    } catch (err) {
+      failures.push(`threw during playthrough: ${err.message}`);
+    }
+  }
+
+  return {
+    type: engine.type,
+    passed: failures.length === 0,
+    failures
+  };
+};
+
+module.exports = {
+  checkGameEngine
+};
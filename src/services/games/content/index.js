@@ -0,0 +1,101 @@
+/**
+ * Built-in content packs and content sampling
+ *
+ * A content pack is versioned JSON (see src/models/gameContent.js):
+ * { format, id, version, gameType, name, description, locale,
+ *   items: [{ key, category, difficulty, locale, content }] }
+ * An item's ID is "<pack id>/<item key>", so it stays the same across pack versions.
+ * The packs in this directory are used for a game type until a pack for it is imported.
+ */
+const { shuffleArray } = require('../shared');
+const { DEFAULT_CONTENT_LOCALE } = require('../../../models/gameContent');
+
+const BUILT_IN_PACKS = [
+  require('./trivia.json'),
+  require('./emojiGuess.json'),
+  require('./truthOrDare.json'),
+  require('./wordAssociation.json')
+];
+
+/**
+ * ID of a content item
+ * @param {string} packId - Pack ID
+ * @param {string} key - Item key within the pack
+ * @returns {string} Item ID
+ */
+const contentItemId = (packId, key) => `${packId}/${key}`;
+
+/**
+ * Get a built-in pack
+ * @param {string} packId - Pack ID
+ * @returns {object|null} Content pack
+ */
+const getBuiltInPack = (packId) => BUILT_IN_PACKS.find(pack => pack.id === packId) || null;
+
+/**
+ * Items of the built-in packs for a game type
+ * @param {string} gameType - Game type
+ * @returns {Array<object>} Items { id, category, difficulty, locale, content }
+ */
+const getBuiltInItems = (gameType) => BUILT_IN_PACKS
+  .filter(pack => pack.gameType === gameType)
+  .flatMap(pack => pack.items.map(item => ({
+    id: contentItemId(pack.id, item.key),
+    category: item.category,
+    difficulty: item.difficulty,
+    locale: item.locale || pack.locale,
+    content: item.content
+  })));
+
+/**
+ * Locales to draw content in, most preferred first ("pt-BR" falls back to "pt", then the default)
+ * @param {string} locale - Requested locale
+ * @returns {Array<string>} Locales
+ */
+const contentLocales = (locale = DEFAULT_CONTENT_LOCALE) => (
+  [...new Set([locale, locale.split('-')[0], DEFAULT_CONTENT_LOCALE])]
+);
+
+/**
+ * Pick the items of each draw of an engine's content request
+ * Items the players haven't seen come first, in the closest locale; when those run out,
+ * the items they saw longest ago are reused. An item is picked at most once per request.
+ * @param {Array<object>} candidates - Items { id, category, difficulty, locale, content }
+ * @param {Array<object>} draws - [{ count, categories, difficulties }] (filters are optional)
+ * @param {object} options - { locale, seenAt: Map of item ID to when the players last saw it }
+ * @returns {Array<Array<object>>} Picked items per draw
+ */
+const sampleContent = (candidates, draws, { locale = DEFAULT_CONTENT_LOCALE, seenAt = new Map() } = {}) => {
+  const locales = contentLocales(locale);
+  const picked = new Set();
+
+  const rank = (item) => {
+    const localeRank = locales.indexOf(item.locale);
+    return (seenAt.has(item.id) ? locales.length : 0) + (localeRank === -1 ? locales.length - 1 : localeRank);
+  };
+
+  return draws.map(({ count, categories, difficulties }) => {
+    const matching = shuffleArray(candidates.filter(item =>
+      !picked.has(item.id) &&
+      (!categories || categories.includes(item.category)) &&
+      (!difficulties || difficulties.includes(item.difficulty))
+    ));
+
+    // sort is stable, so items of the same rank stay shuffled
+    matching.sort((a, b) => rank(a) - rank(b) ||
+      String(seenAt.get(a.id) || '').localeCompare(String(seenAt.get(b.id) || '')));
+
+    const items = matching.slice(0, count);
+    items.forEach(item => picked.add(item.id));
+    return items;
+  });
+};
+
+module.exports = {
+  BUILT_IN_PACKS,
+  contentItemId,
+  getBuiltInPack,
+  getBuiltInItems,
+  contentLocales,
+  sampleContent
+};
@@ -0,0 +1,89 @@
+const { VALID, invalid, cloneState, createRoundState, advanceRound, roundsFinished } = require('./shared');
+
+/**
+ * Emoji Guess: players take turns guessing what an emoji combination means
+ */
+
+const defaultRules = {
+  rounds: 5,
+  time_limit_seconds: 30,
+  points_correct: 10,
+  points_fast_bonus: 5
+};
+
+/**
+ * One emoji set per round
+ * @param {object} rules - Game rules
+ * @returns {Array<object>} Content draws
+ */
+const contentRequest = (rules) => [{ count: rules.rounds }];
+
+/**
+ * Create the initial state
+ * @param {object} rules - Game rules
+ * @param {Array<Array<object>>} content - Items drawn for contentRequest
+ * @returns {object} Game state
+ */
+const init = (rules, [items]) => {
+  const emojiSets = items.map(item => item.content);
+
+  return createRoundState(emojiSets.length, {
+    emojiSets,
+    guessTimeLimit: rules.time_limit_seconds
+  });
+};
+
+/**
+ * Validate a guess ({ guess, timeRemaining })
+ */
+const validate = (state, move) => {
+  if (typeof move.guess !== 'string' || !move.guess.trim()) {
+    return invalid('Guess is required');
+  }
+  return VALID;
+};
+
+/**
+ * Points for a guess; a case-insensitive partial match counts, answering in time adds a bonus
+ */
+const score = (state, move, { userId, rules }) => {
+  const currentEmoji = state.gameData.emojiSets[state.currentRound - 1];
+
+  if (!currentEmoji.meaning.toLowerCase().includes(move.guess.toLowerCase())) {
+    return {};
+  }
+
+  const bonus = move.timeRemaining && move.timeRemaining > 0 ? rules.points_fast_bonus : 0;
+  return { [userId]: rules.points_correct + bonus };
+};
+
+/**
+ * Apply a guess and pass the turn
+ */
+const apply = (state, move, { opponentId }) => advanceRound(cloneState(state), opponentId);
+
+/**
+ * Pass the turn without scoring when the turn timer runs out
+ */
+const skip = (state, { opponentId }) => advanceRound(cloneState(state), opponentId);
+
+/**
+ * A valid move for the current state (used by the conformance harness)
+ */
+const exampleMove = (state) => ({
+  guess: state.gameData.emojiSets[state.currentRound - 1].meaning,
+  timeRemaining: 5
+});
+
+module.exports = {
+  type: 'emoji_guess',
+  defaultRules,
+  contentRequest,
+  init,
+  validate,
+  apply,
+  isFinished: roundsFinished,
+  score,
+  skip,
+  exampleMove
+};
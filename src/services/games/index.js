@@ -0,0 +1,103 @@
+/**
+ * Mini-game engine registry
+ *
+ * Each game type is a module exporting:
+ * - type: the mini_games.type it plays
+ * - defaultRules: rules used where the mini_games row doesn't set them
+ * - init(rules, content): initial state { currentRound, totalRounds, currentTurn: null, gameData }
+ * - contentRequest(rules) (optional): content items the game needs, as draws
+ *   [{ count, categories, difficulties }]; init gets the drawn items per draw (see ./content)
+ * - validate(state, move, context): { valid, message }
+ * - score(state, move, context): points earned by the move, { [userId]: points }
+ * - apply(state, move, context): the next state (never modifies the given state)
+ * - isFinished(state): whether the game is over
+ * - exampleMove(state, context): a valid move, used by the conformance harness
+ * - skip(state, context) (optional): the next state when the player's turn timer runs out;
+ *   games without it are forfeited instead
+ *
+ * context is { userId, opponentId, initiatorId, responderId, rules }.
+ * To add a game, write a module and register it below; gameService needs no changes.
+ */
+const emojiGuess = require('./emojiGuess');
+const wordAssociation = require('./wordAssociation');
+const truthOrDare = require('./truthOrDare');
+const trivia = require('./trivia');
+const twoTruthsLie = require('./twoTruthsLie');
+
+const UNKNOWN_GAME_TYPE_CODE = 'UNKNOWN_GAME_TYPE';
+
+const ENGINE_FUNCTIONS = ['init', 'validate', 'score', 'apply', 'isFinished', 'exampleMove'];
+
+const engines = new Map();
+
+/**
+ * Register a game engine
+ * @param {object} engine - Game module
+ * @throws {Error} If the module is incomplete or the type is already registered
+ */
+const registerGame = (engine) => {
+  if (!engine || typeof engine.type !== 'string' || !engine.type) {
+    throw new Error('Game engine must export a type');
+  }
+
+  const missing = ENGINE_FUNCTIONS.filter(name => typeof engine[name] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Game engine ${engine.type} is missing ${missing.join(', ')}`);
+  }
+
+  if (engines.has(engine.type)) {
+    throw new Error(`Game engine ${engine.type} is already registered`);
+  }
+
+  engines.set(engine.type, engine);
+};
+
+/**
+ * Whether a game type has an engine
+ * @param {string} type - Game type
+ * @returns {boolean} True if registered
+ */
+const hasGameEngine = (type) => engines.has(type);
+
+/**
+ * Get the engine of a game type
+ * @param {string} type - Game type
+ * @returns {object} Game module
+ * @throws {Error} With code UNKNOWN_GAME_TYPE if no engine is registered
+ */
+const getGameEngine = (type) => {
+  const engine = engines.get(type);
+
+  if (!engine) {
+    const unknownType = new Error(`No game engine registered for type ${type}`);
+    unknownType.code = UNKNOWN_GAME_TYPE_CODE;
+    throw unknownType;
+  }
+
+  return engine;
+};
+
+/**
+ * Registered game types
+ * @returns {Array<string>} Game types
+ */
+const getGameTypes = () => Array.from(engines.keys());
+
+/**
+ * Rules of a game: the engine defaults overlaid with the mini_games row
+ * @param {object} engine - Game module
+ * @param {object} rules - Rules from mini_games
+ * @returns {object} Rules
+ */
+const resolveRules = (engine, rules) => ({ ...(engine.defaultRules || {}), ...(rules || {}) });
+
+[emojiGuess, wordAssociation, truthOrDare, trivia, twoTruthsLie].forEach(registerGame);
+
+module.exports = {
+  UNKNOWN_GAME_TYPE_CODE,
+  registerGame,
+  hasGameEngine,
+  getGameEngine,
+  getGameTypes,
+  resolveRules
+};
@@ -0,0 +1,83 @@
+/**
+ * Helpers shared by the mini-game engines
+ */
+
+/**
+ * Result of a successful validation
+ */
+const VALID = Object.freeze({ valid: true });
+
+/**
+ * Result of a failed validation
+ * @param {string} message - Reason shown to the player
+ * @returns {object} { valid: false, message }
+ */
+const invalid = (message) => ({ valid: false, message });
+
+/**
+ * Shuffle an array without modifying it
+ * @param {Array} array - Items to shuffle
+ * @returns {Array} Shuffled copy
+ */
+const shuffleArray = (array) => {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Deep copy of a game state, so engines never modify the stored state
+ * @param {object} state - Game state
+ * @returns {object} Copy
+ */
+const cloneState = (state) => JSON.parse(JSON.stringify(state));
+
+/**
+ * Initial state of a round-based game
+ * currentTurn is set by gameService when the game is accepted
+ * @param {number} totalRounds - Number of rounds
+ * @param {object} gameData - Game-specific data
+ * @returns {object} Game state
+ */
+const createRoundState = (totalRounds, gameData) => ({
+  currentRound: 1,
+  totalRounds,
+  currentTurn: null,
+  gameData
+});
+
+/**
+ * Hand the turn to the opponent, or mark the game completed after the last round
+ * @param {object} state - Game state (already copied)
+ * @param {string} opponentId - Player who moves next
+ * @returns {object} The same state
+ */
+const advanceRound = (state, opponentId) => {
+  if (state.currentRound >= state.totalRounds) {
+    state.completed = true;
+  } else {
+    state.currentRound += 1;
+    state.currentTurn = opponentId;
+  }
+  return state;
+};
+
+/**
+ * Whether a round-based game has played its last round
+ * @param {object} state - Game state
+ * @returns {boolean} True when finished
+ */
+const roundsFinished = (state) => state.completed === true;
+
+module.exports = {
+  VALID,
+  invalid,
+  shuffleArray,
+  cloneState,
+  createRoundState,
+  advanceRound,
+  roundsFinished
+};
@@ -0,0 +1,89 @@
+const { VALID, invalid, cloneState, createRoundState, advanceRound, roundsFinished } = require('./shared');
+
+/**
+ * Trivia Challenge: players take turns answering multiple-choice questions
+ */
+
+const defaultRules = {
+  rounds: 5,
+  categories: ['general'],
+  difficulty_levels: ['easy', 'medium'],
+  points_easy: 5,
+  points_medium: 10,
+  points_hard: 15
+};
+
+/**
+ * Questions from the allowed categories, topped up from other categories at the same difficulty
+ * @param {object} rules - Game rules
+ * @returns {Array<object>} Content draws
+ */
+const contentRequest = (rules) => [
+  { count: rules.rounds, categories: rules.categories, difficulties: rules.difficulty_levels },
+  { count: rules.rounds, difficulties: rules.difficulty_levels }
+];
+
+/**
+ * Create the initial state
+ * @param {object} rules - Game rules
+ * @param {Array<Array<object>>} content - Items drawn for contentRequest
+ * @returns {object} Game state
+ */
+const init = (rules, [preferred, topUp]) => {
+  const questions = [...preferred, ...topUp]
+    .slice(0, rules.rounds)
+    .map(item => ({ ...item.content, category: item.category, difficulty: item.difficulty }));
+
+  return createRoundState(questions.length, { questions });
+};
+
+/**
+ * Validate an answer ({ answer: option index })
+ */
+const validate = (state, move) => {
+  if (move.answer === undefined) {
+    return invalid('Answer is required');
+  }
+  return VALID;
+};
+
+/**
+ * Correct answers score by difficulty
+ */
+const score = (state, move, { userId, rules }) => {
+  const currentQuestion = state.gameData.questions[state.currentRound - 1];
+
+  if (move.answer !== currentQuestion.correctAnswer) {
+    return {};
+  }
+
+  return { [userId]: rules[`points_${currentQuestion.difficulty}`] || 0 };
+};
+
+/**
+ * Pass the turn
+ */
+const apply = (state, move, { opponentId }) => advanceRound(cloneState(state), opponentId);
+
+/**
+ * Pass the turn without scoring when the turn timer runs out
+ */
+const skip = (state, { opponentId }) => advanceRound(cloneState(state), opponentId);
+
+/**
+ * A valid move for the current state (used by the conformance harness)
+ */
+const exampleMove = (state) => ({ answer: state.gameData.questions[state.currentRound - 1].correctAnswer });
+
+module.exports = {
+  type: 'trivia',
+  defaultRules,
+  contentRequest,
+  init,
+  validate,
+  apply,
+  isFinished: roundsFinished,
+  score,
+  skip,
+  exampleMove
+};
@@ -0,0 +1,88 @@
+const { VALID, invalid, shuffleArray, cloneState, createRoundState, advanceRound, roundsFinished } = require('./shared');
+
+/**
+ * Truth or Dare: players take turns answering a question or completing a dare
+ */
+
+const defaultRules = {
+  rounds: 6,
+  truth_ratio: 0.6,
+  dare_ratio: 0.4,
+  points_per_completion: 10
+};
+
+/**
+ * Truths and dares in the ratio set by the rules
+ * @param {object} rules - Game rules
+ * @returns {Array<object>} Content draws
+ */
+const contentRequest = (rules) => {
+  const truthCount = Math.round(rules.rounds * rules.truth_ratio);
+
+  return [
+    { count: truthCount, categories: ['truth'] },
+    { count: rules.rounds - truthCount, categories: ['dare'] }
+  ];
+};
+
+/**
+ * Create the initial state
+ * @param {object} rules - Game rules
+ * @param {Array<Array<object>>} content - Items drawn for contentRequest
+ * @returns {object} Game state
+ */
+const init = (rules, [truths, dares]) => {
+  const tasks = shuffleArray([...truths, ...dares].map(item => ({ type: item.category, text: item.content.text })));
+  return createRoundState(tasks.length, { tasks });
+};
+
+/**
+ * Validate a response ({ type: 'truth'|'dare', response })
+ */
+const validate = (state, move) => {
+  if (move.type !== 'truth' && move.type !== 'dare') {
+    return invalid('Invalid response type');
+  }
+
+  if (!move.response) {
+    return invalid('Response is required');
+  }
+
+  return VALID;
+};
+
+/**
+ * Completing a task scores
+ */
+const score = (state, move, { userId, rules }) => ({ [userId]: rules.points_per_completion });
+
+/**
+ * Pass the turn
+ */
+const apply = (state, move, { opponentId }) => advanceRound(cloneState(state), opponentId);
+
+/**
+ * Pass the turn without scoring when the turn timer runs out
+ */
+const skip = (state, { opponentId }) => advanceRound(cloneState(state), opponentId);
+
+/**
+ * A valid move for the current state (used by the conformance harness)
+ */
+const exampleMove = (state) => ({
+  type: state.gameData.tasks[state.currentRound - 1].type,
+  response: 'Done!'
+});
+
+module.exports = {
+  type: 'truth_or_dare',
+  defaultRules,
+  contentRequest,
+  init,
+  validate,
+  apply,
+  isFinished: roundsFinished,
+  score,
+  skip,
+  exampleMove
+};
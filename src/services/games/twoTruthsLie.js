@@ -0,0 +1,103 @@
+const { VALID, invalid, cloneState, createRoundState } = require('./shared');
+
+/**
+ * Two Truths and a Lie: each player submits three statements ({ text, isTrue }),
+ * then each guesses which of the other's statements is the lie
+ */
+
+// Rounds 1 and 2 collect statements, round 3 collects guesses
+const STATEMENT_ROUNDS = 2;
+
+const defaultRules = {
+  rounds: 3,
+  points_correct_guess: 10,
+  points_successful_deception: 15
+};
+
+/**
+ * Create the initial state
+ * @returns {object} Game state
+ */
+const init = () => createRoundState(STATEMENT_ROUNDS + 1, {
+  statements: {},
+  guesses: {}
+});
+
+/**
+ * Validate statements ({ statements: [3] }) or a guess ({ guess: 0-2 })
+ */
+const validate = (state, move) => {
+  if (state.currentRound <= STATEMENT_ROUNDS) {
+    if (!Array.isArray(move.statements) || move.statements.length !== 3) {
+      return invalid('Three statements are required');
+    }
+  } else if (move.guess === undefined || move.guess < 0 || move.guess > 2) {
+    return invalid('Valid guess is required (0-2)');
+  }
+
+  return VALID;
+};
+
+/**
+ * A correct guess scores for the guesser, a wrong one for the opponent who fooled them
+ */
+const score = (state, move, { userId, opponentId, rules }) => {
+  if (state.currentRound <= STATEMENT_ROUNDS) {
+    return {};
+  }
+
+  const lieIndex = state.gameData.statements[opponentId].findIndex(statement => !statement.isTrue);
+
+  return move.guess === lieIndex
+    ? { [userId]: rules.points_correct_guess }
+    : { [opponentId]: rules.points_successful_deception };
+};
+
+/**
+ * Record statements or a guess and pass the turn
+ */
+const apply = (state, move, { userId, opponentId, initiatorId }) => {
+  const newState = cloneState(state);
+
+  if (newState.currentRound <= STATEMENT_ROUNDS) {
+    newState.gameData.statements[userId] = move.statements;
+    newState.gameData.truth_index = move.truth_index;
+    newState.currentRound += 1;
+    // After both submissions the initiator guesses first
+    newState.currentTurn = newState.currentRound > STATEMENT_ROUNDS ? initiatorId : opponentId;
+  } else {
+    newState.gameData.guesses[userId] = move.guess;
+    newState.currentTurn = opponentId;
+  }
+
+  return newState;
+};
+
+/**
+ * Finished once both players have guessed
+ */
+const isFinished = (state) => Object.keys(state.gameData.guesses).length === 2;
+
+/**
+ * A valid move for the current state (used by the conformance harness)
+ */
+const exampleMove = (state) => (state.currentRound <= STATEMENT_ROUNDS
+  ? {
+    statements: [
+      { text: 'I have climbed a mountain', isTrue: true },
+      { text: 'I speak three languages', isTrue: true },
+      { text: 'I have been to the moon', isTrue: false }
+    ]
+  }
+  : { guess: 2 });
+
+module.exports = {
+  type: 'two_truths_lie',
+  defaultRules,
+  init,
+  validate,
+  apply,
+  isFinished,
+  score,
+  exampleMove
+};
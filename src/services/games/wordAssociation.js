@@ -0,0 +1,92 @@
+const { VALID, invalid, cloneState, createRoundState, advanceRound, roundsFinished } = require('./shared');
+
+/**
+ * Word Association: players take turns answering with a word related to the last one
+ */
+
+const defaultRules = {
+  rounds: 10,
+  time_limit_seconds: 15,
+  points_per_word: 5,
+  disallowed_words: ['the', 'a', 'an', 'and', 'but', 'or']
+};
+
+/**
+ * A start word
+ * @returns {Array<object>} Content draws
+ */
+const contentRequest = () => [{ count: 1 }];
+
+/**
+ * Create the initial state
+ * @param {object} rules - Game rules
+ * @param {Array<Array<object>>} content - Items drawn for contentRequest
+ * @returns {object} Game state
+ */
+const init = (rules, [[startWord]]) => createRoundState(rules.rounds, {
+  currentWord: startWord.content.word,
+  usedWords: [],
+  timeLimit: rules.time_limit_seconds,
+  disallowedWords: (rules.disallowed_words || []).map(word => word.toLowerCase())
+});
+
+/**
+ * Validate a word ({ word }); stop words and repeats are rejected
+ */
+const validate = (state, move) => {
+  if (typeof move.word !== 'string' || !move.word.trim()) {
+    return invalid('Word is required');
+  }
+
+  const word = move.word.toLowerCase();
+
+  if (state.gameData.disallowedWords.includes(word)) {
+    return invalid('Word is not allowed');
+  }
+
+  if (state.gameData.usedWords.includes(word)) {
+    return invalid('Word has already been used');
+  }
+
+  return VALID;
+};
+
+/**
+ * Every accepted word scores
+ */
+const score = (state, move, { userId, rules }) => ({ [userId]: rules.points_per_word });
+
+/**
+ * Record the word and pass the turn
+ */
+const apply = (state, move, { opponentId }) => {
+  const newState = cloneState(state);
+
+  newState.gameData.usedWords.push(move.word.toLowerCase());
+  newState.gameData.currentWord = move.word;
+
+  return advanceRound(newState, opponentId);
+};
+
+/**
+ * Pass the turn without scoring when the turn timer runs out
+ */
+const skip = (state, { opponentId }) => advanceRound(cloneState(state), opponentId);
+
+/**
+ * A valid move for the current state (used by the conformance harness)
+ */
+const exampleMove = (state) => ({ word: `${state.gameData.currentWord}${state.gameData.usedWords.length + 1}` });
+
+module.exports = {
+  type: 'word_association',
+  defaultRules,
+  contentRequest,
+  init,
+  validate,
+  apply,
+  isFinished: roundsFinished,
+  score,
+  skip,
+  exampleMove
+};
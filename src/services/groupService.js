@@ -0,0 +1,910 @@
+/**
+ * Group conversation service
+ * Groups ("circles") sit next to one-to-one messaging: a group message is a row
+ * in messages with group_id set and no receiver. Members have a role (owner,
+ * admin, member) and a read pointer used for per-member read receipts.
+ * Rule violations are returned as { success: false, status, message } so the
+ * REST and socket entry points can report them; database errors are thrown.
+ */
+
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+const { USER_BLOCKED_CODE, isBlockedBetween } = require('./blockService');
+const { applyCursor, buildPage } = require('../utils/pagination');
+const { EVENTS, publish } = require('./eventBus');
+const { screenContent, recordScreening, blockedError } = require('./moderationService');
+
+const GROUP_ROLES = ['owner', 'admin', 'member'];
+const MAX_GROUP_MEMBERS = 50;
+
+// Higher rank can manage lower rank
+const ROLE_RANK = {
+  member: 1,
+  admin: 2,
+  owner: 3
+};
+
+const MEMBER_PROFILE_FIELDS = 'id, first_name, last_name, username, profile_picture_url';
+
+/**
+ * Socket.IO room for a group
+ * @param {string} groupId - Group ID
+ * @returns {string} Room name
+ */
+const groupRoom = (groupId) => `group:${groupId}`;
+
+/**
+ * Build a failed result
+ * @param {number} status - HTTP status to report
+ * @param {string} message - Error message
+ * @param {string} code - Optional error code
+ * @returns {object} Failed result
+ */
+const fail = (status, message, code = null) => ({
+  success: false,
+  status,
+  message,
+  ...(code ? { code } : {})
+});
+
+/**
+ * Check whether a role can act as at least another role
+ * @param {string} role - Actor role
+ * @param {string} requiredRole - Minimum role
+ * @returns {boolean} True if allowed
+ */
+const hasRole = (role, requiredRole) => (ROLE_RANK[role] || 0) >= ROLE_RANK[requiredRole];
+
+/**
+ * Get a group by ID
+ * @param {string} groupId - Group ID
+ * @returns {Promise<object|null>} Group row
+ */
+const getGroup = async (groupId) => {
+  const { data, error } = await supabase
+    .from('groups')
+    .select('*')
+    .eq('id', groupId)
+    .maybeSingle();
+
+  if (error) {
+    logger.error(`Error fetching group ${groupId}: ${error.message}`);
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Get a user's membership in a group
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User ID
+ * @returns {Promise<object|null>} Membership row or null if not a member
+ */
+const getMembership = async (groupId, userId) => {
+  const { data, error } = await supabase
+    .from('group_members')
+    .select('*')
+    .eq('group_id', groupId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    logger.error(`Error fetching membership of ${userId} in group ${groupId}: ${error.message}`);
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * List the members of a group with basic profiles
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Array>} Membership rows, oldest member first
+ */
+const getMembers = async (groupId) => {
+  const { data, error } = await supabase
+    .from('group_members')
+    .select(`
+      user_id,
+      role,
+      joined_at,
+      last_read_message_id,
+      last_read_at,
+      user:user_id(${MEMBER_PROFILE_FIELDS})
+    `)
+    .eq('group_id', groupId)
+    .order('joined_at', { ascending: true });
+
+  if (error) {
+    logger.error(`Error fetching members of group ${groupId}: ${error.message}`);
+    throw error;
+  }
+
+  return data || [];
+};
+
+/**
+ * Count the members of a group
+ * @param {string} groupId - Group ID
+ * @returns {Promise<number>} Member count
+ */
+const getMemberCount = async (groupId) => {
+  const { count, error } = await supabase
+    .from('group_members')
+    .select('user_id', { count: 'exact', head: true })
+    .eq('group_id', groupId);
+
+  if (error) {
+    logger.error(`Error counting members of group ${groupId}: ${error.message}`);
+    throw error;
+  }
+
+  return count || 0;
+};
+
+/**
+ * Get the IDs of the groups a user belongs to
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} Group IDs
+ */
+const getUserGroupIds = async (userId) => {
+  const { data, error } = await supabase
+    .from('group_members')
+    .select('group_id')
+    .eq('user_id', userId);
+
+  if (error) {
+    logger.error(`Error fetching groups of user ${userId}: ${error.message}`);
+    return [];
+  }
+
+  return (data || []).map(row => row.group_id);
+};
+
+/**
+ * List a user's groups with last message and unread count
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Groups, most recently active first
+ */
+const getUserGroups = async (userId) => {
+  const { data: memberships, error } = await supabase
+    .from('group_members')
+    .select('role, last_read_at, group:group_id(*)')
+    .eq('user_id', userId);
+
+  if (error) {
+    logger.error(`Error fetching groups of user ${userId}: ${error.message}`);
+    throw error;
+  }
+
+  const groups = [];
+
+  for (const membership of memberships || []) {
+    const group = membership.group;
+    if (!group) {
+      continue;
+    }
+
+    const { data: lastMessages } = await supabase
+      .from('messages')
+      .select('id, content, sender_id, created_at')
+      .eq('group_id', group.id)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    let unreadQuery = supabase
+      .from('messages')
+      .select('id', { count: 'exact', head: true })
+      .eq('group_id', group.id)
+      .neq('sender_id', userId);
+
+    if (membership.last_read_at) {
+      unreadQuery = unreadQuery.gt('created_at', membership.last_read_at);
+    }
+
+    const { count: unreadCount } = await unreadQuery;
+    const lastMessage = lastMessages && lastMessages.length > 0 ? lastMessages[0] : null;
+
+    groups.push({
+      ...group,
+      role: membership.role,
+      lastMessage: lastMessage
+        ? {
+            id: lastMessage.id,
+            content: lastMessage.content,
+            senderId: lastMessage.sender_id,
+            createdAt: lastMessage.created_at
+          }
+        : null,
+      updatedAt: lastMessage ? lastMessage.created_at : group.updated_at,
+      unreadCount: unreadCount || 0
+    });
+  }
+
+  groups.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  return groups;
+};
+
+/**
+ * Invite a user to a group (admins and the owner only)
+ * @param {string} groupId - Group ID
+ * @param {string} inviterId - User sending the invite
+ * @param {string} inviteeId - User being invited
+ * @returns {Promise<object>} { success, invite } or failed result
+ */
+const inviteMember = async (groupId, inviterId, inviteeId) => {
+  const inviter = await getMembership(groupId, inviterId);
+  if (!inviter) {
+    return fail(404, 'Group not found');
+  }
+
+  if (!hasRole(inviter.role, 'admin')) {
+    return fail(403, 'Only group admins can invite members');
+  }
+
+  if (inviteeId === inviterId || await getMembership(groupId, inviteeId)) {
+    return fail(409, 'User is already a member of this group');
+  }
+
+  const { data: invitee } = await supabase
+    .from('users')
+    .select('id')
+    .eq('id', inviteeId)
+    .maybeSingle();
+
+  if (!invitee) {
+    return fail(404, 'User not found');
+  }
+
+  if (await isBlockedBetween(inviterId, inviteeId)) {
+    return fail(403, 'You cannot invite this user', USER_BLOCKED_CODE);
+  }
+
+  if (await getMemberCount(groupId) >= MAX_GROUP_MEMBERS) {
+    return fail(400, `Groups are limited to ${MAX_GROUP_MEMBERS} members`);
+  }
+
+  const { data: existing } = await supabase
+    .from('group_invites')
+    .select('*')
+    .eq('group_id', groupId)
+    .eq('invitee_id', inviteeId)
+    .eq('status', 'pending')
+    .maybeSingle();
+
+  if (existing) {
+    return { success: true, invite: existing };
+  }
+
+  const { data: invite, error } = await supabase
+    .from('group_invites')
+    .insert({
+      group_id: groupId,
+      inviter_id: inviterId,
+      invitee_id: inviteeId,
+      status: 'pending',
+      created_at: new Date()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error(`Error inviting ${inviteeId} to group ${groupId}: ${error.message}`);
+    throw error;
+  }
+
+  logger.info(`User ${inviterId} invited ${inviteeId} to group ${groupId}`);
+  return { success: true, invite };
+};
+
+/**
+ * Create a group owned by the creator and invite the initial members
+ * @param {string} ownerId - Creator
+ * @param {object} details - { name, description, avatarUrl, memberIds }
+ * @returns {Promise<object>} { success, group, invites, skipped }
+ */
+const createGroup = async (ownerId, { name, description = null, avatarUrl = null, memberIds = [] }) => {
+  const now = new Date();
+
+  const { data: group, error } = await supabase
+    .from('groups')
+    .insert({
+      name,
+      description: description || null,
+      avatar_url: avatarUrl || null,
+      owner_id: ownerId,
+      created_at: now,
+      updated_at: now
+    })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error(`Error creating group for ${ownerId}: ${error.message}`);
+    throw error;
+  }
+
+  const { error: memberError } = await supabase
+    .from('group_members')
+    .insert({
+      group_id: group.id,
+      user_id: ownerId,
+      role: 'owner',
+      joined_at: now
+    });
+
+  if (memberError) {
+    logger.error(`Error adding owner to group ${group.id}: ${memberError.message}`);
+    await supabase.from('groups').delete().eq('id', group.id);
+    throw memberError;
+  }
+
+  const invites = [];
+  const skipped = [];
+
+  for (const memberId of memberIds.filter(id => id !== ownerId)) {
+    const result = await inviteMember(group.id, ownerId, memberId);
+    if (result.success) {
+      invites.push(result.invite);
+    } else {
+      skipped.push({ userId: memberId, message: result.message });
+    }
+  }
+
+  logger.info(`User ${ownerId} created group ${group.id} with ${invites.length} invites`);
+  return { success: true, group, invites, skipped };
+};
+
+/**
+ * Update group details (admins and the owner only)
+ * @param {string} groupId - Group ID
+ * @param {string} actorId - User making the change
+ * @param {object} updates - { name, description, avatarUrl }
+ * @returns {Promise<object>} { success, group } or failed result
+ */
+const updateGroup = async (groupId, actorId, updates) => {
+  const actor = await getMembership(groupId, actorId);
+  if (!actor) {
+    return fail(404, 'Group not found');
+  }
+
+  if (!hasRole(actor.role, 'admin')) {
+    return fail(403, 'Only group admins can edit the group');
+  }
+
+  const changes = { updated_at: new Date() };
+  if (updates.name !== undefined) changes.name = updates.name;
+  if (updates.description !== undefined) changes.description = updates.description || null;
+  if (updates.avatarUrl !== undefined) changes.avatar_url = updates.avatarUrl || null;
+
+  const { data: group, error } = await supabase
+    .from('groups')
+    .update(changes)
+    .eq('id', groupId)
+    .select()
+    .single();
+
+  if (error) {
+    logger.error(`Error updating group ${groupId}: ${error.message}`);
+    throw error;
+  }
+
+  return { success: true, group };
+};
+
+/**
+ * Delete a group and its messages (owner only)
+ * @param {string} groupId - Group ID
+ * @param {string} actorId - User deleting the group
+ * @returns {Promise<object>} { success, memberIds } or failed result
+ */
+const deleteGroup = async (groupId, actorId) => {
+  const actor = await getMembership(groupId, actorId);
+  if (!actor) {
+    return fail(404, 'Group not found');
+  }
+
+  if (actor.role !== 'owner') {
+    return fail(403, 'Only the group owner can delete the group');
+  }
+
+  const memberIds = (await getMembers(groupId)).map(member => member.user_id);
+
+  const { error } = await supabase
+    .from('groups')
+    .delete()
+    .eq('id', groupId);
+
+  if (error) {
+    logger.error(`Error deleting group ${groupId}: ${error.message}`);
+    throw error;
+  }
+
+  logger.info(`User ${actorId} deleted group ${groupId}`);
+  return { success: true, memberIds };
+};
+
+/**
+ * List pending invites for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Invites with group and inviter details
+ */
+const getPendingInvites = async (userId) => {
+  const { data, error } = await supabase
+    .from('group_invites')
+    .select(`
+      id,
+      status,
+      created_at,
+      group:group_id(id, name, description, avatar_url),
+      inviter:inviter_id(${MEMBER_PROFILE_FIELDS})
+    `)
+    .eq('invitee_id', userId)
+    .eq('status', 'pending')
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    logger.error(`Error fetching group invites for ${userId}: ${error.message}`);
+    throw error;
+  }
+
+  return data || [];
+};
+
+/**
+ * Accept or decline an invite
+ * @param {string} inviteId - Invite ID
+ * @param {string} userId - Invited user
+ * @param {boolean} accept - True to join the group
+ * @returns {Promise<object>} { success, invite, membership } or failed result
+ */
+const respondToInvite = async (inviteId, userId, accept) => {
+  const { data: invite, error } = await supabase
+    .from('group_invites')
+    .select('*')
+    .eq('id', inviteId)
+    .maybeSingle();
+
+  if (error) {
+    logger.error(`Error fetching group invite ${inviteId}: ${error.message}`);
+    throw error;
+  }
+
+  if (!invite || invite.invitee_id !== userId) {
+    return fail(404, 'Invite not found');
+  }
+
+  if (invite.status !== 'pending') {
+    return fail(409, `Invite has already been ${invite.status}`);
+  }
+
+  let membership = null;
+
+  if (accept) {
+    if (await getMemberCount(invite.group_id) >= MAX_GROUP_MEMBERS) {
+      return fail(400, `Groups are limited to ${MAX_GROUP_MEMBERS} members`);
+    }
+
+    const { data: member, error: memberError } = await supabase
+      .from('group_members')
+      .upsert({
+        group_id: invite.group_id,
+        user_id: userId,
+        role: 'member',
+        joined_at: new Date()
+      }, { onConflict: 'group_id,user_id', ignoreDuplicates: true })
+      .select()
+      .maybeSingle();
+
+    if (memberError) {
+      logger.error(`Error adding ${userId} to group ${invite.group_id}: ${memberError.message}`);
+      throw memberError;
+    }
+
+    membership = member || await getMembership(invite.group_id, userId);
+  }
+
+  const { data: updatedInvite, error: updateError } = await supabase
+    .from('group_invites')
+    .update({
+      status: accept ? 'accepted' : 'declined',
+      responded_at: new Date()
+    })
+    .eq('id', inviteId)
+    .select()
+    .single();
+
+  if (updateError) {
+    logger.error(`Error updating group invite ${inviteId}: ${updateError.message}`);
+    throw updateError;
+  }
+
+  return { success: true, invite: updatedInvite, membership };
+};
+
+/**
+ * Remove a membership row
+ * @param {string} groupId - Group ID
+ * @param {string} userId - Member to remove
+ */
+const deleteMembership = async (groupId, userId) => {
+  const { error } = await supabase
+    .from('group_members')
+    .delete()
+    .eq('group_id', groupId)
+    .eq('user_id', userId);
+
+  if (error) {
+    logger.error(`Error removing ${userId} from group ${groupId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Change a member's role
+ * @param {string} groupId - Group ID
+ * @param {string} userId - Member
+ * @param {string} role - New role
+ */
+const saveRole = async (groupId, userId, role) => {
+  const { error } = await supabase
+    .from('group_members')
+    .update({ role })
+    .eq('group_id', groupId)
+    .eq('user_id', userId);
+
+  if (error) {
+    logger.error(`Error setting role of ${userId} in group ${groupId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Make a member the owner of a group
+ * @param {string} groupId - Group ID
+ * @param {string} userId - New owner
+ */
+const saveOwner = async (groupId, userId) => {
+  await saveRole(groupId, userId, 'owner');
+
+  const { error } = await supabase
+    .from('groups')
+    .update({ owner_id: userId, updated_at: new Date() })
+    .eq('id', groupId);
+
+  if (error) {
+    logger.error(`Error transferring ownership of group ${groupId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Leave a group
+ * An owner leaving hands the group to the longest-serving admin (or member);
+ * the last member leaving deletes the group.
+ * @param {string} groupId - Group ID
+ * @param {string} userId - Member leaving
+ * @returns {Promise<object>} { success, newOwnerId, groupDeleted } or failed result
+ */
+const leaveGroup = async (groupId, userId) => {
+  const membership = await getMembership(groupId, userId);
+  if (!membership) {
+    return fail(404, 'Group not found');
+  }
+
+  let newOwnerId = null;
+
+  if (membership.role === 'owner') {
+    const others = (await getMembers(groupId)).filter(member => member.user_id !== userId);
+
+    if (others.length === 0) {
+      const { error } = await supabase.from('groups').delete().eq('id', groupId);
+      if (error) {
+        logger.error(`Error deleting empty group ${groupId}: ${error.message}`);
+        throw error;
+      }
+      logger.info(`Group ${groupId} deleted after its last member left`);
+      return { success: true, newOwnerId: null, groupDeleted: true };
+    }
+
+    // Members are ordered by join date, so this picks the longest-serving admin
+    const successor = others.find(member => member.role === 'admin') || others[0];
+    newOwnerId = successor.user_id;
+    await saveOwner(groupId, newOwnerId);
+  }
+
+  await deleteMembership(groupId, userId);
+
+  logger.info(`User ${userId} left group ${groupId}`);
+  return { success: true, newOwnerId, groupDeleted: false };
+};
+
+/**
+ * Remove another member from a group
+ * Admins can remove members; the owner can remove anyone
+ * @param {string} groupId - Group ID
+ * @param {string} actorId - User removing the member
+ * @param {string} targetId - Member being removed
+ * @returns {Promise<object>} { success } or failed result
+ */
+const removeMember = async (groupId, actorId, targetId) => {
+  if (actorId === targetId) {
+    return fail(400, 'Use leave to remove yourself from a group');
+  }
+
+  const actor = await getMembership(groupId, actorId);
+  if (!actor) {
+    return fail(404, 'Group not found');
+  }
+
+  const target = await getMembership(groupId, targetId);
+  if (!target) {
+    return fail(404, 'User is not a member of this group');
+  }
+
+  if (!hasRole(actor.role, 'admin') || ROLE_RANK[actor.role] <= ROLE_RANK[target.role]) {
+    return fail(403, 'You do not have permission to remove this member');
+  }
+
+  await deleteMembership(groupId, targetId);
+
+  logger.info(`User ${actorId} removed ${targetId} from group ${groupId}`);
+  return { success: true };
+};
+
+/**
+ * Change a member's role (owner only)
+ * Setting another member as owner transfers ownership and makes the old owner an admin
+ * @param {string} groupId - Group ID
+ * @param {string} actorId - Owner
+ * @param {string} targetId - Member whose role changes
+ * @param {string} role - 'owner', 'admin' or 'member'
+ * @returns {Promise<object>} { success, role } or failed result
+ */
+const setMemberRole = async (groupId, actorId, targetId, role) => {
+  const actor = await getMembership(groupId, actorId);
+  if (!actor) {
+    return fail(404, 'Group not found');
+  }
+
+  if (actor.role !== 'owner') {
+    return fail(403, 'Only the group owner can change roles');
+  }
+
+  if (actorId === targetId) {
+    return fail(400, 'Transfer ownership to another member instead');
+  }
+
+  const target = await getMembership(groupId, targetId);
+  if (!target) {
+    return fail(404, 'User is not a member of this group');
+  }
+
+  if (role === 'owner') {
+    await saveOwner(groupId, targetId);
+    await saveRole(groupId, actorId, 'admin');
+  } else {
+    await saveRole(groupId, targetId, role);
+  }
+
+  logger.info(`User ${actorId} set role of ${targetId} in group ${groupId} to ${role}`);
+  return { success: true, role };
+};
+
+/**
+ * Add read receipts to group messages
+ * @param {Array} messages - Message rows
+ * @param {Array} members - Membership rows
+ * @returns {Array} Messages with readBy (IDs of other members who have read them)
+ */
+const withReadReceipts = (messages, members) => messages.map(message => ({
+  ...message,
+  readBy: members
+    .filter(member => member.user_id !== message.sender_id
+      && member.last_read_at
+      && new Date(member.last_read_at) >= new Date(message.created_at))
+    .map(member => member.user_id)
+}));
+
+/**
+ * Get one page of group messages
+ * @param {string} groupId - Group ID
+ * @param {string} userId - Member reading
+ * @param {object} page - { limit, cursor } from parsePageParams
+ * @returns {Promise<object>} { success, messages (oldest first), pagination } or failed result
+ */
+const getGroupMessagesPage = async (groupId, userId, page) => {
+  if (!await getMembership(groupId, userId)) {
+    return fail(404, 'Group not found');
+  }
+
+  const query = supabase
+    .from('messages')
+    .select('*')
+    .eq('group_id', groupId)
+    .not('hidden_for', 'cs', `{${userId}}`);
+
+  const { data, error } = await applyCursor(query, page);
+
+  if (error) {
+    logger.error(`Error fetching messages of group ${groupId}: ${error.message}`);
+    throw error;
+  }
+
+  const { items, pagination } = buildPage(data || [], page);
+  const members = await getMembers(groupId);
+
+  return {
+    success: true,
+    messages: withReadReceipts(items.reverse(), members),
+    pagination
+  };
+};
+
+/**
+ * Send a message to a group
+ * @param {string} groupId - Group ID
+ * @param {string} senderId - Member sending
+ * @param {object} message - { content, mediaUrl, replyToMessageId }
+ * @returns {Promise<object>} { success, message } or failed result
+ */
+const sendGroupMessage = async (groupId, senderId, { content, mediaUrl = null, replyToMessageId = null }) => {
+  if (!await getMembership(groupId, senderId)) {
+    return fail(404, 'Group not found');
+  }
+
+  let replyTo = null;
+  if (replyToMessageId) {
+    const { data: original } = await supabase
+      .from('messages')
+      .select('id, content, sender_id')
+      .eq('id', replyToMessageId)
+      .eq('group_id', groupId)
+      .maybeSingle();
+
+    if (!original) {
+      return fail(404, 'Original message not found');
+    }
+    replyTo = original;
+  }
+
+  const screening = await screenContent({ userId: senderId, surface: 'message', content });
+  if (screening.action === 'block') {
+    const { code, message } = blockedError(screening);
+    return fail(422, message, code);
+  }
+
+  const now = new Date();
+
+  const { data: message, error } = await supabase
+    .from('messages')
+    .insert({
+      group_id: groupId,
+      sender_id: senderId,
+      receiver_id: null,
+      content,
+      media_url: mediaUrl || null,
+      moderation: screening.moderation,
+      is_read: false,
+      created_at: now,
+      updated_at: now,
+      ...(replyTo ? {
+        reply_to_message_id: replyTo.id,
+        reply_to_content: (replyTo.content || '').substring(0, 100)
+      } : {})
+    })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error(`Error sending message to group ${groupId}: ${error.message}`);
+    throw error;
+  }
+
+  recordScreening(screening, message.id);
+
+  // Senders have read everything up to their own message
+  await supabase
+    .from('group_members')
+    .update({ last_read_message_id: message.id, last_read_at: message.created_at })
+    .eq('group_id', groupId)
+    .eq('user_id', senderId);
+
+  // Achievements are evaluated in the background, they don't hold up the send
+  publish(EVENTS.MESSAGE_SENT, { userId: senderId, groupId, hasMedia: Boolean(mediaUrl) });
+
+  return {
+    success: true,
+    message: replyTo
+      ? { ...message, replyTo: { messageId: replyTo.id, content: replyTo.content, senderId: replyTo.sender_id } }
+      : message
+  };
+};
+
+/**
+ * Move a member's read pointer forward to a message
+ * @param {string} groupId - Group ID
+ * @param {string} userId - Member
+ * @param {string} messageId - Latest message the member has seen
+ * @returns {Promise<object>} { success, messageId, readAt, updated } or failed result
+ */
+const markGroupRead = async (groupId, userId, messageId) => {
+  const membership = await getMembership(groupId, userId);
+  if (!membership) {
+    return fail(404, 'Group not found');
+  }
+
+  const { data: message } = await supabase
+    .from('messages')
+    .select('id, created_at')
+    .eq('id', messageId)
+    .eq('group_id', groupId)
+    .maybeSingle();
+
+  if (!message) {
+    return fail(404, 'Message not found');
+  }
+
+  // Never move the pointer backwards
+  if (membership.last_read_at && new Date(membership.last_read_at) >= new Date(message.created_at)) {
+    return { success: true, messageId: membership.last_read_message_id, readAt: membership.last_read_at, updated: false };
+  }
+
+  const { error } = await supabase
+    .from('group_members')
+    .update({ last_read_message_id: message.id, last_read_at: message.created_at })
+    .eq('group_id', groupId)
+    .eq('user_id', userId);
+
+  if (error) {
+    logger.error(`Error marking group ${groupId} read for ${userId}: ${error.message}`);
+    throw error;
+  }
+
+  return { success: true, messageId: message.id, readAt: message.created_at, updated: true };
+};
+
+/**
+ * Hide a group message for one member (delete for self)
+ * @param {object} message - Message row (with hidden_for)
+ * @param {string} userId - Member hiding the message
+ */
+const hideGroupMessage = async (message, userId) => {
+  const hiddenFor = Array.from(new Set([...(message.hidden_for || []), userId]));
+
+  const { error } = await supabase
+    .from('messages')
+    .update({ hidden_for: hiddenFor })
+    .eq('id', message.id);
+
+  if (error) {
+    logger.error(`Error hiding message ${message.id} for ${userId}: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  GROUP_ROLES,
+  MAX_GROUP_MEMBERS,
+  groupRoom,
+  hasRole,
+  getGroup,
+  getMembership,
+  getMembers,
+  getUserGroupIds,
+  getUserGroups,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  inviteMember,
+  getPendingInvites,
+  respondToInvite,
+  leaveGroup,
+  removeMember,
+  setMemberRole,
+  getGroupMessagesPage,
+  sendGroupMessage,
+  markGroupRead,
+  hideGroupMessage
+};
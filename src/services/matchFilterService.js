@@ -0,0 +1,229 @@
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+const { calculateDistance, calculateAge } = require('./compatibilityService');
+
+// Filters applied when a user has never saved any
+const DEFAULT_MATCH_FILTERS = {
+  ageRange: null,
+  maxDistance: null,
+  genders: [],
+  verifiedOnly: false
+};
+
+/**
+ * Convert a user_match_filters row to the API shape
+ * @param {object} row - Database row
+ * @returns {object} Match filters
+ */
+const formatFilters = (row) => {
+  if (!row) {
+    return { ...DEFAULT_MATCH_FILTERS };
+  }
+
+  return {
+    ageRange: row.min_age !== null && row.max_age !== null
+      ? { min: row.min_age, max: row.max_age }
+      : null,
+    maxDistance: row.max_distance_km,
+    genders: row.genders || [],
+    verifiedOnly: row.verified_only === true
+  };
+};
+
+/**
+ * Get a user's saved match filters
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} Match filters (defaults if none saved)
+ */
+const getMatchFilters = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('user_match_filters')
+      .select('*')
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    return formatFilters(data);
+  } catch (error) {
+    logger.error(`Error fetching match filters for user ${userId}: ${error.message}`);
+    // Don't block matchmaking if filters can't be loaded
+    return { ...DEFAULT_MATCH_FILTERS };
+  }
+};
+
+/**
+ * Get saved match filters for several users in one query
+ * @param {Array<string>} userIds - User IDs
+ * @returns {Promise<Map>} Map of userId to match filters
+ */
+const getMatchFiltersForUsers = async (userIds) => {
+  const filtersByUser = new Map(userIds.map(id => [id, { ...DEFAULT_MATCH_FILTERS }]));
+
+  if (userIds.length === 0) {
+    return filtersByUser;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('user_match_filters')
+      .select('*')
+      .in('user_id', userIds);
+
+    if (error) {
+      throw error;
+    }
+
+    (data || []).forEach(row => filtersByUser.set(row.user_id, formatFilters(row)));
+  } catch (error) {
+    logger.error(`Error fetching match filters for ${userIds.length} users: ${error.message}`);
+  }
+
+  return filtersByUser;
+};
+
+/**
+ * Save a user's match filters
+ * @param {string} userId - User ID
+ * @param {object} filters - Validated filters from matchFiltersSchema
+ * @returns {Promise<object>} Saved match filters
+ */
+const saveMatchFilters = async (userId, filters) => {
+  const { data, error } = await supabase
+    .from('user_match_filters')
+    .upsert({
+      user_id: userId,
+      min_age: filters.ageRange ? filters.ageRange.min : null,
+      max_age: filters.ageRange ? filters.ageRange.max : null,
+      max_distance_km: filters.maxDistance ?? null,
+      genders: filters.genders || [],
+      verified_only: filters.verifiedOnly === true,
+      updated_at: new Date()
+    }, { onConflict: 'user_id' })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error(`Error saving match filters for user ${userId}: ${error.message}`);
+    throw error;
+  }
+
+  return formatFilters(data);
+};
+
+/**
+ * Remove a user's saved match filters, restoring the defaults
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} Default match filters
+ */
+const deleteMatchFilters = async (userId) => {
+  const { error } = await supabase
+    .from('user_match_filters')
+    .delete()
+    .eq('user_id', userId);
+
+  if (error) {
+    logger.error(`Error deleting match filters for user ${userId}: ${error.message}`);
+    throw error;
+  }
+
+  return { ...DEFAULT_MATCH_FILTERS };
+};
+
+/**
+ * Check whether a candidate satisfies one user's filters
+ * Candidates missing the data a filter needs (no birth date, no location) are excluded
+ * @param {object} user - User who owns the filters
+ * @param {object} candidate - Candidate user
+ * @param {object} filters - Match filters
+ * @returns {object} { passes: boolean, reason: string|null }
+ */
+const passesMatchFilters = (user, candidate, filters) => {
+  if (!filters) {
+    return { passes: true, reason: null };
+  }
+
+  if (filters.verifiedOnly && !candidate.is_verified) {
+    return { passes: false, reason: 'not_verified' };
+  }
+
+  if (filters.genders && filters.genders.length > 0) {
+    const candidateGender = candidate.gender ? candidate.gender.toLowerCase() : null;
+    if (!candidateGender || !filters.genders.includes(candidateGender)) {
+      return { passes: false, reason: 'gender' };
+    }
+  }
+
+  if (filters.ageRange) {
+    if (!candidate.date_of_birth) {
+      return { passes: false, reason: 'age_unknown' };
+    }
+    const age = calculateAge(candidate.date_of_birth);
+    if (age < filters.ageRange.min || age > filters.ageRange.max) {
+      return { passes: false, reason: 'age' };
+    }
+  }
+
+  if (filters.maxDistance) {
+    const hasLocation = (location) => location &&
+      typeof location.latitude === 'number' && typeof location.longitude === 'number';
+    if (!hasLocation(user.location) || !hasLocation(candidate.location)) {
+      return { passes: false, reason: 'distance_unknown' };
+    }
+    if (calculateDistance(user.location, candidate.location) > filters.maxDistance) {
+      return { passes: false, reason: 'distance' };
+    }
+  }
+
+  return { passes: true, reason: null };
+};
+
+/**
+ * Check filters in both directions - a pair only matches if each satisfies the other's filters
+ * @param {object} user1 - First user
+ * @param {object} filters1 - First user's filters
+ * @param {object} user2 - Second user
+ * @param {object} filters2 - Second user's filters
+ * @returns {object} { passes: boolean, reason: string|null }
+ */
+const passesMutualMatchFilters = (user1, filters1, user2, filters2) => {
+  const forward = passesMatchFilters(user1, user2, filters1);
+  if (!forward.passes) {
+    return forward;
+  }
+
+  const reverse = passesMatchFilters(user2, user1, filters2);
+  return reverse.passes ? reverse : { passes: false, reason: `reverse_${reverse.reason}` };
+};
+
+/**
+ * Overlay saved filters onto loose matchmaking criteria so scoring uses the same ranges
+ * @param {object} criteria - Matchmaking criteria
+ * @param {object} filters - Match filters
+ * @returns {object} Criteria for the compatibility engine
+ */
+const applyFiltersToCriteria = (criteria = {}, filters) => {
+  if (!filters) {
+    return criteria;
+  }
+
+  return {
+    ...criteria,
+    ...(filters.ageRange ? { ageRange: filters.ageRange } : {}),
+    ...(filters.maxDistance ? { maxDistance: filters.maxDistance } : {})
+  };
+};
+
+module.exports = {
+  DEFAULT_MATCH_FILTERS,
+  getMatchFilters,
+  getMatchFiltersForUsers,
+  saveMatchFilters,
+  deleteMatchFilters,
+  passesMatchFilters,
+  passesMutualMatchFilters,
+  applyFiltersToCriteria
+};
@@ -0,0 +1,813 @@
+/**
+ * Matchmaking service
+ * Single matchmaking engine shared by the REST API and Socket.IO entry points.
+ * Owns the waiting queue, pairing, match acceptance and timeouts. Pending
+ * matches live in the shared state store so any node can accept them.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const supabase = require('../../config/database');
+const { isRedisConfigured, getRedisClient } = require('../../config/redis');
+const logger = require('../../utils/logger');
+const { calculateCompatibility } = require('../compatibilityService');
+const {
+  getMatchFilters,
+  getMatchFiltersForUsers,
+  passesMutualMatchFilters,
+  applyFiltersToCriteria
+} = require('../matchFilterService');
+const { getBlockedPairs, hasBlockedPair } = require('../blockService');
+const { getMatchmakingBoosts } = require('../rewardEffectService');
+const { EVENTS, publish } = require('../eventBus');
+const { createMemoryQueue } = require('./memoryQueue');
+const { createRedisQueue } = require('./redisQueue');
+const {
+  withLock,
+  getPendingMatch,
+  savePendingMatch,
+  deletePendingMatch,
+  listPendingMatches,
+  getPendingMatchCount
+} = require('../sharedState/sharedStateService');
+
+const MATCH_ACCEPTANCE_TIMEOUT = 30000; // 30 seconds for both users to accept
+const QUEUE_TIMEOUT = 10 * 60 * 1000; // Drop users who have waited 10 minutes
+const MATCH_LIMIT_PER_CYCLE = 50; // Max matches to make per processing cycle
+
+// Gender categories that are matched with each other for Dating
+const LGBTQ_GENDER_CATEGORIES = [
+  'transgender', 'trans', 'non-binary', 'nonbinary', 'genderqueer',
+  'genderfluid', 'agender', 'bigender', 'two-spirit', 'third-gender',
+  'queer', 'questioning', 'intersex', 'other'
+];
+
+// Pending matches waiting for both acceptances are kept in the shared state store
+// Format: { id, users: [userId1, userId2], acceptances: { userId: boolean }, profiles, sharedInterests, compatibility, preference, createdAt }
+
+// Acceptance timeouts for matches created on this node, keyed by match ID
+const acceptanceTimeouts = new Map();
+
+// Queue backend (in-memory until initializeMatchmakingService picks another)
+let queue = createMemoryQueue();
+let isProcessingQueue = false;
+
+// Optional async hook deciding whether a queued user can still be matched (e.g. socket still connected)
+let availabilityCheck = null;
+
+/**
+ * Lazily load the socket manager to avoid a circular require
+ * @returns {object} Socket manager module
+ */
+const getSocketManager = () => require('../../socket/socketManager');
+
+/**
+ * Emit an event to a user if they are connected
+ * @param {string} userId - User ID
+ * @param {string} event - Event name
+ * @param {object} payload - Event payload
+ * @returns {boolean} True if the event was emitted
+ */
+const emitToUser = (userId, event, payload) => {
+  try {
+    return getSocketManager().emitToUser(userId, event, payload);
+  } catch (error) {
+    logger.error(`Error emitting ${event} to user ${userId}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Pick the queue backend from configuration
+ * MATCHMAKING_QUEUE_BACKEND=redis uses Redis and requires REDIS_URL, with no fallback
+ * to a per-node queue
+ * @throws {Error} If the redis backend is configured but Redis can't be reached
+ */
+const initializeMatchmakingService = async () => {
+  const backend = (process.env.MATCHMAKING_QUEUE_BACKEND || 'memory').toLowerCase();
+
+  if (backend === 'redis') {
+    if (!isRedisConfigured()) {
+      throw new Error('MATCHMAKING_QUEUE_BACKEND=redis but REDIS_URL is missing');
+    }
+
+    try {
+      const client = await getRedisClient();
+      setQueueBackend(createRedisQueue(client));
+    } catch (error) {
+      throw new Error(`Could not connect the Redis matchmaking queue: ${error.message}`);
+    }
+  }
+
+  logger.info(`Matchmaking queue backend: ${queue.name}`);
+  return queue;
+};
+
+/**
+ * Replace the queue backend (used by initialization and tests)
+ * @param {object} backend - Queue backend implementing the memoryQueue interface
+ */
+const setQueueBackend = (backend) => {
+  queue = backend;
+};
+
+const getQueueBackend = () => queue;
+
+/**
+ * Register a check used to drop queued users who can no longer be matched
+ * @param {Function} check - (entry) => boolean|Promise<boolean>
+ */
+const setAvailabilityCheck = (check) => {
+  availabilityCheck = check;
+};
+
+/**
+ * Get the user object used for scoring, with the preference chosen for this queue entry
+ * @param {object} entry - Queue entry
+ * @returns {object} User
+ */
+const entryUser = (entry) => ({
+  ...entry.user,
+  preference: entry.criteria.preference || entry.user.preference
+});
+
+/**
+ * Apply the gender rules for a preference
+ * Dating pairs male with female, and LGBTQ+ users with each other. Friendship has no restrictions.
+ * @param {object} user1 - First user
+ * @param {object} user2 - Second user
+ * @param {string} preference - Dating or Friendship
+ * @returns {boolean} True if the pair is allowed
+ */
+const passesGenderRules = (user1, user2, preference) => {
+  const gender1 = user1.gender ? user1.gender.toLowerCase() : 'unknown';
+  const gender2 = user2.gender ? user2.gender.toLowerCase() : 'unknown';
+
+  if (gender1 === 'unknown' || gender2 === 'unknown') {
+    return false;
+  }
+
+  if (preference !== 'Dating') {
+    return true;
+  }
+
+  const isBinary = (gender) => gender === 'male' || gender === 'female';
+  if (isBinary(gender1) && isBinary(gender2)) {
+    return gender1 !== gender2;
+  }
+
+  return LGBTQ_GENDER_CATEGORIES.includes(gender1) && LGBTQ_GENDER_CATEGORIES.includes(gender2);
+};
+
+/**
+ * Decide whether two queue entries can be matched and how well
+ * @param {object} entry - Queue entry looking for a match
+ * @param {object} candidate - Candidate queue entry
+ * @returns {object} { compatible: boolean, compatibility, reason }
+ */
+const evaluatePair = (entry, candidate) => {
+  const user = entryUser(entry);
+  const other = entryUser(candidate);
+
+  if (!user.preference || user.preference !== other.preference) {
+    return { compatible: false, reason: 'preference_mismatch' };
+  }
+
+  if (!passesGenderRules(user, other, user.preference)) {
+    return { compatible: false, reason: 'gender_rules' };
+  }
+
+  const filterCheck = passesMutualMatchFilters(user, entry.filters, other, candidate.filters);
+  if (!filterCheck.passes) {
+    return { compatible: false, reason: `filters_${filterCheck.reason}` };
+  }
+
+  const compatibility = calculateCompatibility(
+    user,
+    other,
+    applyFiltersToCriteria(entry.criteria, entry.filters),
+    applyFiltersToCriteria(candidate.criteria, candidate.filters)
+  );
+  if (compatibility.score <= 0) {
+    return { compatible: false, reason: compatibility.reason || 'incompatible' };
+  }
+
+  return { compatible: true, compatibility, reason: null };
+};
+
+/**
+ * Add a user to the matchmaking queue
+ * @param {object} user - Full user record
+ * @param {object} options - { criteria, source: 'rest' | 'socket' }
+ * @returns {Promise<object>} { success, queueSize } or { success: false, code, message }
+ */
+const joinQueue = async (user, { criteria = {}, source = 'rest' } = {}) => {
+  if (!user.interests || !Array.isArray(user.interests) || user.interests.length === 0) {
+    return {
+      success: false,
+      code: 'NO_INTERESTS',
+      message: 'You need to add interests to your profile before matchmaking'
+    };
+  }
+
+  const preference = criteria.preference || user.preference;
+  if (!preference) {
+    return {
+      success: false,
+      code: 'NO_PREFERENCE',
+      message: 'You need to set your preference (Dating or Friendship) before matchmaking'
+    };
+  }
+
+  const filters = await getMatchFilters(user.id);
+  const queueSize = await queue.add({
+    userId: user.id,
+    user,
+    criteria: { ...criteria, preference },
+    filters,
+    source,
+    joinedAt: new Date()
+  });
+
+  logger.info(`User ${user.id} joined matchmaking via ${source} (${preference}). Queue size: ${queueSize}`);
+
+  return { success: true, queueSize };
+};
+
+/**
+ * Remove a user from the matchmaking queue
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if the user was queued
+ */
+const leaveQueue = async (userId) => {
+  const removed = await queue.remove(userId);
+  if (removed) {
+    logger.info(`User ${userId} left matchmaking`);
+  }
+  return removed;
+};
+
+const isInQueue = (userId) => queue.has(userId);
+
+const getQueueEntry = (userId) => queue.get(userId);
+
+const getQueueEntries = () => queue.list();
+
+const getQueueSize = () => queue.size();
+
+const isQueueProcessing = () => isProcessingQueue;
+
+/**
+ * Update the filters of a queued user so changes apply without re-queueing
+ * @param {string} userId - User ID
+ * @param {object} filters - Match filters
+ */
+const updateQueuedFilters = async (userId, filters) => {
+  await queue.update(userId, { filters });
+};
+
+/**
+ * Drop queue entries that timed out or whose user is no longer reachable
+ * @param {Array} entries - Queue entries
+ * @returns {Promise<Array>} Entries that are still eligible
+ */
+const pruneQueue = async (entries) => {
+  const now = Date.now();
+  const eligible = [];
+
+  for (const entry of entries) {
+    if (now - new Date(entry.joinedAt).getTime() > QUEUE_TIMEOUT) {
+      await queue.remove(entry.userId);
+      logger.info(`Removed user ${entry.userId} from matchmaking queue after timeout`);
+      emitToUser(entry.userId, 'match:notFound', {
+        message: 'No suitable matches found at this time. Try again later.',
+        reason: 'queue_timeout'
+      });
+      continue;
+    }
+
+    if (availabilityCheck && !(await availabilityCheck(entry))) {
+      await queue.remove(entry.userId);
+      logger.info(`Removed unavailable user ${entry.userId} from matchmaking queue`);
+      continue;
+    }
+
+    eligible.push(entry);
+  }
+
+  return eligible;
+};
+
+/**
+ * Load saved filters for entries that were queued without them
+ * @param {Array} entries - Queue entries
+ */
+const hydrateFilters = async (entries) => {
+  const missing = entries.filter(entry => entry.filters === undefined).map(entry => entry.userId);
+  if (missing.length === 0) {
+    return;
+  }
+
+  const filtersByUser = await getMatchFiltersForUsers(missing);
+  for (const entry of entries) {
+    if (filtersByUser.has(entry.userId)) {
+      entry.filters = filtersByUser.get(entry.userId);
+      await queue.update(entry.userId, { filters: entry.filters });
+    }
+  }
+};
+
+/**
+ * Matchmaking boosts of the queued users, from claimed wheel rewards
+ * A failed lookup only loses the boosts for this cycle
+ * @param {Array} entries - Queue entries
+ * @returns {Promise<Map<string, number>>} Boost percentage by user
+ */
+const loadBoosts = async (entries) => {
+  try {
+    return await getMatchmakingBoosts(entries.map(entry => entry.userId));
+  } catch (error) {
+    logger.warn(`Could not load matchmaking boosts: ${error.message}`);
+    return new Map();
+  }
+};
+
+/**
+ * Clear the acceptance timeout for a match
+ * @param {string} matchId - Match ID
+ */
+const clearAcceptanceTimeout = (matchId) => {
+  const timeoutId = acceptanceTimeouts.get(matchId);
+  if (timeoutId) {
+    clearTimeout(timeoutId);
+    acceptanceTimeouts.delete(matchId);
+  }
+};
+
+/**
+ * Run a function while holding the lock for a pending match
+ * @param {string} matchId - Match ID
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} Result of fn
+ */
+const withMatchLock = (matchId, fn) => withLock(`pending_match:${matchId}`, fn);
+
+/**
+ * Expire a pending match that wasn't accepted in time
+ * @param {string} matchId - Match ID
+ */
+const expireMatch = async (matchId) => {
+  acceptanceTimeouts.delete(matchId);
+
+  const match = await withMatchLock(matchId, async () => {
+    const pending = await getPendingMatch(matchId);
+    if (pending) {
+      await deletePendingMatch(matchId);
+    }
+    return pending;
+  });
+
+  // Already accepted or declined (possibly on another node)
+  if (!match) {
+    return;
+  }
+
+  const nonAcceptingUsers = match.users.filter(userId => !match.acceptances[userId]);
+  logger.info(`Match ${matchId} timed out. Users who didn't accept: ${nonAcceptingUsers.join(', ')}`);
+
+  match.users.forEach(userId => {
+    emitToUser(userId, 'match:timeout', {
+      matchId,
+      message: 'Match timed out due to missing acceptances'
+    });
+  });
+};
+
+/**
+ * Expire pending matches whose acceptance timer was lost (e.g. the node that created them stopped)
+ */
+const expireStaleMatches = async () => {
+  const cutoff = Date.now() - MATCH_ACCEPTANCE_TIMEOUT * 2;
+  const matches = await listPendingMatches();
+
+  for (const match of matches) {
+    if (!match.isBot && !acceptanceTimeouts.has(match.id) && new Date(match.createdAt).getTime() < cutoff) {
+      await expireMatch(match.id);
+    }
+  }
+};
+
+/**
+ * Notify both users about a new pending match
+ * @param {object} match - Pending match
+ */
+const notifyMatchFound = (match) => {
+  const { createMatchData } = getSocketManager();
+
+  match.users.forEach(userId => {
+    const otherUserId = match.users.find(id => id !== userId);
+    const matchData = createMatchData(
+      match.profiles[otherUserId],
+      match.sharedInterests,
+      match.id,
+      match.preference,
+      match.compatibility
+    );
+    emitToUser(userId, 'match:found', { match: matchData });
+  });
+};
+
+/**
+ * Pair two queue entries into a pending match
+ * @param {object} entry - First queue entry
+ * @param {object} candidate - Second queue entry
+ * @param {object} compatibility - Compatibility result
+ * @returns {Promise<object|null>} Pending match, or null if either user was claimed elsewhere
+ */
+const createPendingMatch = async (entry, candidate, compatibility) => {
+  if (!(await queue.claim(entry.userId))) {
+    return null;
+  }
+  if (!(await queue.claim(candidate.userId))) {
+    await queue.release(entry.userId);
+    return null;
+  }
+
+  await queue.remove(entry.userId);
+  await queue.remove(candidate.userId);
+
+  const matchId = uuidv4();
+  const match = {
+    id: matchId,
+    users: [entry.userId, candidate.userId],
+    acceptances: {
+      [entry.userId]: false,
+      [candidate.userId]: false
+    },
+    profiles: {
+      [entry.userId]: entry.user,
+      [candidate.userId]: candidate.user
+    },
+    sharedInterests: compatibility.sharedInterests,
+    compatibility,
+    preference: entry.criteria.preference,
+    createdAt: new Date().toISOString()
+  };
+
+  await savePendingMatch(match);
+  acceptanceTimeouts.set(matchId, setTimeout(() => {
+    expireMatch(matchId).catch(err => logger.error(`Error expiring match ${matchId}: ${err.message}`));
+  }, MATCH_ACCEPTANCE_TIMEOUT));
+
+  logger.info(`Created pending match ${matchId} between ${entry.userId} (${entry.source}) and ${candidate.userId} (${candidate.source}) with score ${compatibility.score}`);
+
+  notifyMatchFound(match);
+  return match;
+};
+
+/**
+ * Run one matching cycle over the whole queue
+ * Each user is paired with their highest scoring eligible candidate
+ * @returns {Promise<number>} Number of matches created
+ */
+const processQueue = async () => {
+  if (isProcessingQueue) {
+    return 0;
+  }
+
+  isProcessingQueue = true;
+  let matchesCreated = 0;
+
+  try {
+    await expireStaleMatches();
+
+    const entries = await pruneQueue(await queue.list());
+    if (entries.length < 2) {
+      return 0;
+    }
+
+    await hydrateFilters(entries);
+    const blockedPairs = await getBlockedPairs(entries.map(entry => entry.userId));
+
+    const boosts = await loadBoosts(entries);
+    const boostOf = (userId) => boosts.get(userId) || 0;
+
+    // Boosted entries get first pick, the largest boost first, then the oldest entries
+    entries.sort((a, b) => (
+      boostOf(b.userId) - boostOf(a.userId) ||
+      new Date(a.joinedAt) - new Date(b.joinedAt)
+    ));
+    const matchedUsers = new Set();
+
+    for (const entry of entries) {
+      if (matchesCreated >= MATCH_LIMIT_PER_CYCLE) {
+        logger.info(`Reached match limit of ${MATCH_LIMIT_PER_CYCLE} for this cycle`);
+        break;
+      }
+
+      if (matchedUsers.has(entry.userId)) {
+        continue;
+      }
+
+      const candidates = [];
+      for (const candidate of entries) {
+        if (candidate.userId === entry.userId || matchedUsers.has(candidate.userId)) {
+          continue;
+        }
+
+        // Never pair users who have blocked each other
+        if (hasBlockedPair(blockedPairs, entry.userId, candidate.userId)) {
+          continue;
+        }
+
+        const evaluation = evaluatePair(entry, candidate);
+        if (evaluation.compatible) {
+          candidates.push({ candidate, compatibility: evaluation.compatibility });
+        }
+      }
+
+      // Equally compatible candidates: the boosted one first
+      candidates.sort((a, b) => (
+        b.compatibility.score - a.compatibility.score ||
+        boostOf(b.candidate.userId) - boostOf(a.candidate.userId)
+      ));
+
+      for (const { candidate, compatibility } of candidates) {
+        const match = await createPendingMatch(entry, candidate, compatibility);
+        if (match) {
+          matchedUsers.add(entry.userId);
+          matchedUsers.add(candidate.userId);
+          matchesCreated++;
+          break;
+        }
+      }
+    }
+
+    if (matchesCreated > 0) {
+      logger.info(`Matchmaking cycle completed. Created ${matchesCreated} matches. ${entries.length - matchedUsers.size} users still waiting.`);
+    }
+  } catch (error) {
+    logger.error(`Error in matchmaking cycle: ${error.message}`);
+  } finally {
+    isProcessingQueue = false;
+  }
+
+  return matchesCreated;
+};
+
+/**
+ * Create or update the accepted match record in the database
+ * @param {string} matchId - Match ID
+ * @param {string} user1Id - First user ID
+ * @param {string} user2Id - Second user ID
+ * @param {object} compatibility - Optional compatibility result {score, breakdown}
+ */
+const createMatchInDatabase = async (matchId, user1Id, user2Id, compatibility = null) => {
+  try {
+    logger.info(`Creating match record in database: ${matchId} between ${user1Id} and ${user2Id}`);
+
+    // First, check if a match already exists between these users
+    const { data: existingMatch, error: queryError } = await supabase
+      .from('matches')
+      .select('id')
+      .or(`and(user1_id.eq.${user1Id},user2_id.eq.${user2Id}),and(user1_id.eq.${user2Id},user2_id.eq.${user1Id})`)
+      .limit(1);
+
+    if (queryError) {
+      logger.error(`Error checking for existing match: ${queryError.message}`);
+    }
+
+    const matchData = await getPendingMatch(matchId);
+
+    // Prefer an explicit score, then the one computed when the match was found
+    const matchCompatibility = compatibility || matchData?.compatibility || null;
+    const compatibilityScore = matchCompatibility ? matchCompatibility.score : 100; // Default score for accepted matches
+    const compatibilityBreakdown = matchCompatibility ? matchCompatibility.breakdown : null;
+
+    const currentTime = new Date();
+
+    // If a match already exists, update it instead of creating a new one
+    if (existingMatch && existingMatch.length > 0) {
+      const dbMatchId = existingMatch[0].id;
+      logger.info(`Match already exists between users ${user1Id} and ${user2Id}, updating ${dbMatchId}`);
+
+      const { error } = await supabase
+        .from('matches')
+        .update({
+          status: 'accepted',
+          compatibility_score: compatibilityScore,
+          compatibility_breakdown: compatibilityBreakdown,
+          shared_interests: matchData?.sharedInterests || [],
+          chat_room_id: matchId, // Use our UUID for the chat room
+          updated_at: currentTime,
+          accepted_at: currentTime
+        })
+        .eq('id', dbMatchId);
+
+      if (error) {
+        logger.error(`Error updating existing match in database: ${error.message}`);
+        return { success: false, error };
+      }
+    } else {
+      const { error } = await supabase
+        .from('matches')
+        .insert({
+          id: matchId,
+          user1_id: user1Id,
+          user2_id: user2Id,
+          status: 'accepted',
+          compatibility_score: compatibilityScore,
+          compatibility_breakdown: compatibilityBreakdown,
+          shared_interests: matchData?.sharedInterests || [],
+          chat_room_id: matchId, // Use our UUID for the chat room
+          created_at: currentTime,
+          updated_at: currentTime,
+          accepted_at: currentTime
+        });
+
+      if (error) {
+        logger.error(`Error creating match in database: ${error.message}`);
+        return { success: false, error };
+      }
+    }
+
+    // Update user records to indicate they're in a match
+    for (const userId of [user1Id, user2Id]) {
+      const { error: userError } = await supabase
+        .from('users')
+        .update({
+          current_match_id: matchId,
+          updated_at: new Date()
+        })
+        .eq('id', userId);
+
+      if (userError) {
+        logger.error(`Error updating user ${userId} with match: ${userError.message}`);
+      }
+    }
+
+    return { success: true, matchId };
+  } catch (error) {
+    logger.error(`Error creating match in database: ${error.message}`);
+    return { success: false, error };
+  }
+};
+
+/**
+ * Record a user's response to a pending match
+ * @param {string} matchId - Match ID
+ * @param {string} userId - Responding user ID
+ * @param {boolean} accepted - Whether the user accepted
+ * @returns {Promise<object|null>} { status: 'waiting'|'accepted'|'declined'|'forbidden', otherUserId } or null if not pending
+ */
+const respondToMatch = async (matchId, userId, accepted) => {
+  // Both users may respond at the same time from different nodes
+  const outcome = await withMatchLock(matchId, async () => {
+    const match = await getPendingMatch(matchId);
+    if (!match) {
+      return null;
+    }
+
+    if (!match.users.includes(userId)) {
+      return { status: 'forbidden' };
+    }
+
+    const otherUserId = match.users.find(id => id !== userId);
+
+    if (!accepted) {
+      await deletePendingMatch(matchId);
+      return { status: 'declined', otherUserId, match };
+    }
+
+    match.acceptances[userId] = true;
+
+    if (!match.users.every(id => match.acceptances[id])) {
+      await savePendingMatch(match);
+      return { status: 'waiting', otherUserId, match };
+    }
+
+    const result = await createMatchInDatabase(matchId, match.users[0], match.users[1], match.compatibility);
+    if (!result.success) {
+      // Keep the match pending so the users can retry
+      throw new Error(`Failed to save match ${matchId}: ${result.error?.message || 'unknown error'}`);
+    }
+
+    await deletePendingMatch(matchId);
+    return { status: 'accepted', otherUserId, match };
+  });
+
+  if (!outcome || outcome.status === 'forbidden') {
+    return outcome;
+  }
+
+  const { status, otherUserId, match } = outcome;
+
+  if (status === 'declined') {
+    clearAcceptanceTimeout(matchId);
+
+    emitToUser(otherUserId, 'match:rejected', {
+      matchId,
+      rejectedBy: userId
+    });
+
+    logger.info(`Match ${matchId} declined by ${userId}`);
+    return { status, otherUserId };
+  }
+
+  if (status === 'waiting') {
+    emitToUser(otherUserId, 'match:userAccepted', {
+      matchId,
+      userId
+    });
+    return { status, otherUserId };
+  }
+
+  clearAcceptanceTimeout(matchId);
+  logger.info(`Match ${matchId} accepted by both users`);
+
+  match.users.forEach(uid => {
+    const otherId = match.users.find(id => id !== uid);
+    emitToUser(uid, 'match:accepted', {
+      matchId,
+      status: 'matched',
+      otherUserId: otherId,
+      timestamp: new Date().toISOString()
+    });
+    emitToUser(uid, 'match:confirmed', {
+      matchId,
+      users: match.users,
+      status: 'confirmed'
+    });
+  });
+
+  for (const uid of match.users) {
+    await publish(EVENTS.MATCH_ACCEPTED, {
+      userId: uid,
+      matchId,
+      otherUserId: match.users.find(id => id !== uid),
+      compatibilityScore: match.compatibility ? match.compatibility.score : null
+    });
+  }
+
+  return { status, otherUserId };
+};
+
+/**
+ * Get the pending matches a user is part of
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Pending matches
+ */
+const getUserActiveMatches = async (userId) => {
+  const matches = await listPendingMatches();
+  return matches.filter(match => match.users.includes(userId));
+};
+
+const getActiveMatchCount = () => getPendingMatchCount();
+
+/**
+ * Remove a user from the queue and cancel their pending matches
+ * @param {string} userId - User ID
+ * @param {string} reason - Reason sent to the other user
+ */
+const removeUserFromMatchmaking = async (userId, reason = 'disconnected') => {
+  await queue.remove(userId);
+
+  for (const match of await getUserActiveMatches(userId)) {
+    clearAcceptanceTimeout(match.id);
+    if (!(await deletePendingMatch(match.id))) {
+      continue;
+    }
+
+    const otherUserId = match.users.find(id => id !== userId);
+    emitToUser(otherUserId, 'match:userLeft', {
+      matchId: match.id,
+      userId,
+      reason
+    });
+  }
+};
+
+module.exports = {
+  MATCH_ACCEPTANCE_TIMEOUT,
+  QUEUE_TIMEOUT,
+  MATCH_LIMIT_PER_CYCLE,
+  initializeMatchmakingService,
+  setQueueBackend,
+  getQueueBackend,
+  setAvailabilityCheck,
+  passesGenderRules,
+  evaluatePair,
+  joinQueue,
+  leaveQueue,
+  isInQueue,
+  getQueueEntry,
+  getQueueEntries,
+  getQueueSize,
+  isQueueProcessing,
+  updateQueuedFilters,
+  processQueue,
+  createMatchInDatabase,
+  respondToMatch,
+  getUserActiveMatches,
+  getActiveMatchCount,
+  removeUserFromMatchmaking
+};
@@ -0,0 +1,88 @@
+/**
+ * In-memory matchmaking queue backend
+ * Entries live in a process-local Map, so this is only suitable for a single
+ * instance (and for tests). Use the Redis backend when running several nodes.
+ */
+
+/**
+ * Create an in-memory queue backend
+ * @returns {object} Queue backend
+ */
+const createMemoryQueue = () => {
+  const entries = new Map();
+  // Users currently claimed by a matching cycle
+  const claims = new Set();
+
+  return {
+    name: 'memory',
+
+    /**
+     * Add or replace a queue entry
+     * @param {object} entry - Queue entry (must have userId)
+     * @returns {Promise<number>} Queue size after adding
+     */
+    add: async (entry) => {
+      entries.set(entry.userId, { ...entry });
+      return entries.size;
+    },
+
+    /**
+     * Remove a user from the queue
+     * @param {string} userId - User ID
+     * @returns {Promise<boolean>} True if the user was queued
+     */
+    remove: async (userId) => {
+      claims.delete(userId);
+      return entries.delete(userId);
+    },
+
+    get: async (userId) => entries.get(userId) || null,
+
+    has: async (userId) => entries.has(userId),
+
+    /**
+     * Merge changes into an existing entry
+     * @param {string} userId - User ID
+     * @param {object} changes - Fields to update
+     * @returns {Promise<object|null>} Updated entry or null if not queued
+     */
+    update: async (userId, changes) => {
+      if (!entries.has(userId)) {
+        return null;
+      }
+      const updated = { ...entries.get(userId), ...changes };
+      entries.set(userId, updated);
+      return updated;
+    },
+
+    list: async () => Array.from(entries.values()),
+
+    size: async () => entries.size,
+
+    /**
+     * Claim a user for matching so concurrent cycles don't pair them twice
+     * @param {string} userId - User ID
+     * @returns {Promise<boolean>} True if the claim succeeded
+     */
+    claim: async (userId) => {
+      if (!entries.has(userId) || claims.has(userId)) {
+        return false;
+      }
+      claims.add(userId);
+      return true;
+    },
+
+    release: async (userId) => {
+      claims.delete(userId);
+    },
+
+    clear: async () => {
+      entries.clear();
+      claims.clear();
+    }
+  };
+};
+
+module.exports = {
+  createMemoryQueue
+};
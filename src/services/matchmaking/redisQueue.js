@@ -0,0 +1,121 @@
+/**
+ * Redis-backed matchmaking queue
+ * Entries are stored as JSON in one hash so every instance sees the same queue.
+ * Claims use SET NX with an expiry so a crashed node can't hold users forever.
+ * Updates are a compare-and-set script, so two nodes updating the same entry
+ * can't overwrite each other's changes.
+ */
+
+const CLAIM_TTL_MS = 30000;
+
+// Attempts at an update before giving up when other nodes keep changing the entry
+const UPDATE_MAX_ATTEMPTS = 5;
+
+// Replace the entry only if it still holds the JSON it was read as
+const COMPARE_AND_SET_SCRIPT = `
+if redis.call('HGET', KEYS[1], ARGV[1]) == ARGV[2] then
+  redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+  return 1
+end
+return 0
+`;
+
+/**
+ * Restore Date fields after a JSON round-trip
+ * @param {string} raw - Stored JSON
+ * @returns {object|null} Queue entry
+ */
+const parseEntry = (raw) => {
+  if (!raw) {
+    return null;
+  }
+  const entry = JSON.parse(raw);
+  entry.joinedAt = new Date(entry.joinedAt);
+  return entry;
+};
+
+/**
+ * Create a Redis queue backend
+ * @param {object} client - Connected node-redis (v4) compatible client
+ * @param {object} options - { prefix }
+ * @returns {object} Queue backend
+ */
+const createRedisQueue = (client, { prefix = 'circle:matchmaking' } = {}) => {
+  const queueKey = `${prefix}:queue`;
+  const claimKey = (userId) => `${prefix}:claim:${userId}`;
+
+  return {
+    name: 'redis',
+
+    add: async (entry) => {
+      await client.hSet(queueKey, entry.userId, JSON.stringify(entry));
+      return client.hLen(queueKey);
+    },
+
+    remove: async (userId) => {
+      await client.del(claimKey(userId));
+      const removed = await client.hDel(queueKey, userId);
+      return removed > 0;
+    },
+
+    get: async (userId) => parseEntry(await client.hGet(queueKey, userId)),
+
+    has: async (userId) => Boolean(await client.hExists(queueKey, userId)),
+
+    /**
+     * Merge changes into a queued entry
+     * Retried when another node changed the entry between the read and the write
+     * @param {string} userId - User ID
+     * @param {object} changes - Fields to update
+     * @returns {Promise<object|null>} Updated entry, or null if the user isn't queued
+     * @throws {Error} If the entry kept changing for UPDATE_MAX_ATTEMPTS attempts
+     */
+    update: async (userId, changes) => {
+      for (let attempt = 0; attempt < UPDATE_MAX_ATTEMPTS; attempt++) {
+        const raw = await client.hGet(queueKey, userId);
+        if (!raw) {
+          return null;
+        }
+
+        const updated = { ...parseEntry(raw), ...changes };
+        const written = await client.eval(COMPARE_AND_SET_SCRIPT, {
+          keys: [queueKey],
+          arguments: [userId, raw, JSON.stringify(updated)]
+        });
+
+        if (written === 1) {
+          return updated;
+        }
+      }
+
+      throw new Error(`Queue entry for user ${userId} kept changing during update`);
+    },
+
+    list: async () => {
+      const all = await client.hGetAll(queueKey);
+      return Object.values(all || {}).map(parseEntry);
+    },
+
+    size: async () => client.hLen(queueKey),
+
+    claim: async (userId) => {
+      if (!(await client.hExists(queueKey, userId))) {
+        return false;
+      }
+      const result = await client.set(claimKey(userId), '1', { NX: true, PX: CLAIM_TTL_MS });
+      return result === 'OK';
+    },
+
+    release: async (userId) => {
+      await client.del(claimKey(userId));
+    },
+
+    clear: async () => {
+      await client.del(queueKey);
+    }
+  };
+};
+
+module.exports = {
+  createRedisQueue
+};
@@ -0,0 +1,768 @@
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+const { applyCursor, buildPage } = require('../utils/pagination');
+const { getUserGroupIds } = require('./groupService');
+const { isBlockedBetween } = require('./blockService');
+
+// Characters of context kept either side of the first search hit
+const SNIPPET_BEFORE = 40;
+const SNIPPET_AFTER = 120;
+
+// File extensions matched by the media type search filter (media URLs are S3 keys)
+const MEDIA_EXTENSIONS = {
+  image: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'heic'],
+  video: ['mp4', 'mov', 'webm', 'quicktime'],
+  audio: ['mp3', 'm4a', 'aac', 'ogg', 'wav', 'mpeg'],
+  file: ['pdf', 'doc', 'docx', 'txt', 'zip']
+};
+
+// Delivery states in order; a message only ever moves forward through them
+const MESSAGE_STATUSES = ['sent', 'delivered', 'read'];
+
+// Scheduled messages released / expired messages purged per scheduler run
+const SCHEDULER_BATCH_SIZE = 100;
+
+// A scheduled message claimed for this long without being delivered was left behind
+// by a scheduler that stopped, and is released again
+const SCHEDULED_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Messages replayed per sync:since round trip
+const SYNC_DEFAULT_LIMIT = 200;
+const SYNC_MAX_LIMIT = 500;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Sequence key of a one-to-one conversation (mirrors the assign_message_seq trigger)
+ * @param {string} userId - First user ID
+ * @param {string} otherUserId - Second user ID
+ * @returns {string} Conversation key
+ */
+const conversationKey = (userId, otherUserId) => {
+  const [first, second] = [userId, otherUserId].sort();
+  return `dm:${first}:${second}`;
+};
+
+/**
+ * Sequence key of a group conversation
+ * @param {string} groupId - Group ID
+ * @returns {string} Conversation key
+ */
+const groupConversationKey = (groupId) => `group:${groupId}`;
+
+/**
+ * PostgREST filter for messages between two users
+ * @param {string} userId - First user ID
+ * @param {string} otherUserId - Second user ID
+ * @returns {string} Filter for .or()
+ */
+const participantsFilter = (userId, otherUserId) =>
+  `and(sender_id.eq.${userId},receiver_id.eq.${otherUserId}),and(sender_id.eq.${otherUserId},receiver_id.eq.${userId})`;
+
+/**
+ * PostgREST filter for messages a user can still see
+ * Leaves out messages the user deleted for themselves (deleted_by_sender / deleted_by_receiver)
+ * @param {string} userId - User ID
+ * @returns {string} Filter for .or()
+ */
+const visibleToFilter = (userId) =>
+  `and(sender_id.eq.${userId},deleted_by_sender.not.is.true),and(receiver_id.eq.${userId},deleted_by_receiver.not.is.true)`;
+
+/**
+ * Get one page of the message history between two users
+ * Shared by the REST conversation endpoint and the socket history handler
+ * @param {string} userId - Current user ID
+ * @param {string} otherUserId - Other participant
+ * @param {object} page - { limit, cursor } from parsePageParams
+ * @returns {Promise<object>} { messages (oldest first), pagination }
+ */
+const getConversationPage = async (userId, otherUserId, page) => {
+  const query = supabase
+    .from('messages')
+    .select('*')
+    .or(participantsFilter(userId, otherUserId))
+    .or(visibleToFilter(userId));
+
+  const { data, error } = await applyCursor(query, page);
+
+  if (error) {
+    logger.error(`Error fetching conversation between ${userId} and ${otherUserId}: ${error.message}`);
+    throw error;
+  }
+
+  const { items, pagination } = buildPage(data || [], page);
+
+  return {
+    // Chat UIs render oldest first
+    messages: items.reverse(),
+    pagination
+  };
+};
+
+/**
+ * Get the page of a conversation centred on one message (jump to a search result)
+ * @param {string} userId - Current user ID
+ * @param {string} otherUserId - Other participant
+ * @param {string} messageId - Message to open around
+ * @param {number} limit - Total messages to return, including the anchor
+ * @returns {Promise<object|null>} { messages (oldest first), pagination }, or null if the message isn't visible
+ */
+const getConversationAround = async (userId, otherUserId, messageId, limit) => {
+  const { data: anchor, error } = await supabase
+    .from('messages')
+    .select('*')
+    .eq('id', messageId)
+    .or(participantsFilter(userId, otherUserId))
+    .or(visibleToFilter(userId))
+    .maybeSingle();
+
+  if (error) {
+    logger.error(`Error fetching message ${messageId} for context: ${error.message}`);
+    throw error;
+  }
+
+  if (!anchor) {
+    return null;
+  }
+
+  // Leave room for at least one message either side of the anchor
+  const size = Math.max(limit, 3);
+  const position = { createdAt: anchor.created_at, id: anchor.id };
+  const olderLimit = Math.floor((size - 1) / 2);
+
+  const older = await getConversationPage(userId, otherUserId, {
+    limit: olderLimit,
+    cursor: { ...position, direction: 'older' }
+  });
+  const newer = await getConversationPage(userId, otherUserId, {
+    limit: size - 1 - olderLimit,
+    cursor: { ...position, direction: 'newer' }
+  });
+
+  return {
+    messages: [...older.messages, anchor, ...newer.messages],
+    anchorId: anchor.id,
+    pagination: {
+      limit: size,
+      hasMore: older.pagination.hasMore || newer.pagination.hasMore,
+      nextCursor: older.pagination.nextCursor,
+      prevCursor: newer.pagination.prevCursor
+    }
+  };
+};
+
+/**
+ * Words from a search query worth highlighting
+ * @param {string} q - Search query (websearch syntax)
+ * @returns {Array<string>} Lower-case terms
+ */
+const searchTerms = (q) => q
+  .replace(/["()]/g, ' ')
+  .split(/\s+/)
+  .filter(term => term && !term.startsWith('-') && term.toLowerCase() !== 'or')
+  .map(term => term.toLowerCase());
+
+/**
+ * Build a snippet of a message around the first search hit
+ * @param {string} content - Message content
+ * @param {Array<string>} terms - Search terms
+ * @returns {object} { snippet, highlights: [[start, end], ...] offsets into the snippet }
+ */
+const buildSnippet = (content = '', terms) => {
+  const text = content || '';
+  const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = escaped.length > 0 ? new RegExp(escaped.join('|'), 'gi') : null;
+
+  const firstHit = pattern ? text.search(pattern) : -1;
+  const start = Math.max(0, (firstHit === -1 ? 0 : firstHit) - SNIPPET_BEFORE);
+  const end = Math.min(text.length, (firstHit === -1 ? 0 : firstHit) + SNIPPET_AFTER);
+
+  const prefix = start > 0 ? '…' : '';
+  const body = text.slice(start, end);
+  const snippet = `${prefix}${body}${end < text.length ? '…' : ''}`;
+
+  const highlights = [];
+  if (pattern) {
+    for (const match of body.matchAll(pattern)) {
+      highlights.push([prefix.length + match.index, prefix.length + match.index + match[0].length]);
+    }
+  }
+
+  return { snippet, highlights };
+};
+
+/**
+ * Full-text search over messages a user sent or received
+ * @param {string} userId - Current user ID
+ * @param {object} filters - { q, withUserId, from, to, mediaType }
+ * @param {object} page - { limit, cursor } from parsePageParams
+ * @returns {Promise<object>} { results (newest first), pagination }
+ */
+const searchMessages = async (userId, { q, withUserId, from, to, mediaType }, page) => {
+  let query = supabase
+    .from('messages')
+    .select('*')
+    .textSearch('search_vector', q, { type: 'websearch', config: 'simple' })
+    .is('group_id', null)
+    .or(visibleToFilter(userId));
+
+  if (withUserId) {
+    query = query.or(participantsFilter(userId, withUserId));
+  }
+
+  if (from) {
+    query = query.gte('created_at', new Date(from).toISOString());
+  }
+
+  if (to) {
+    query = query.lte('created_at', new Date(to).toISOString());
+  }
+
+  if (mediaType === 'any') {
+    query = query.not('media_url', 'is', null);
+  } else if (mediaType) {
+    const byExtension = MEDIA_EXTENSIONS[mediaType].map(ext => `media_url.ilike.*.${ext}`);
+    query = query.or([`message_type.eq.${mediaType}`, ...byExtension].join(','));
+  }
+
+  const { data, error } = await applyCursor(query, page);
+
+  if (error) {
+    logger.error(`Error searching messages for user ${userId}: ${error.message}`);
+    throw error;
+  }
+
+  const { items, pagination } = buildPage(data || [], page);
+  const terms = searchTerms(q);
+
+  const results = items.map(message => {
+    const otherUserId = message.sender_id === userId ? message.receiver_id : message.sender_id;
+
+    return {
+      message,
+      withUserId: otherUserId,
+      ...buildSnippet(message.content, terms),
+      // Open with GET /api/messages/conversation/:withUserId?around=:messageId
+      anchor: {
+        withUserId: otherUserId,
+        messageId: message.id
+      }
+    };
+  });
+
+  return { results, pagination };
+};
+
+/**
+ * Whether a user can still see a message they received in a sync
+ * @param {object} message - Message row
+ * @param {string} userId - User ID
+ * @returns {boolean} True if visible
+ */
+const isVisibleTo = (message, userId) => {
+  if (message.group_id) {
+    return !(message.hidden_for || []).includes(userId);
+  }
+
+  if (message.sender_id === userId) {
+    return !message.deleted_by_sender;
+  }
+
+  return !message.deleted_by_receiver;
+};
+
+/**
+ * Whether a user can ask to sync a conversation key
+ * A one-to-one key must be exactly the key of the user and another user; a group key
+ * must belong to one of the user's groups. Keys end up in a PostgREST filter, so
+ * nothing else gets through.
+ * @param {string} key - Conversation key sent by the client
+ * @param {string} userId - User ID
+ * @param {Set<string>} groupKeys - Keys of the user's groups
+ * @returns {boolean} True if the key can be synced
+ */
+const isSyncableKey = (key, userId, groupKeys) => {
+  if (groupKeys.has(key)) {
+    return true;
+  }
+
+  const parts = typeof key === 'string' ? key.split(':') : [];
+  if (parts.length !== 3 || parts[0] !== 'dm' || !parts.slice(1).every(id => UUID_PATTERN.test(id))) {
+    return false;
+  }
+
+  const otherUserId = parts[1] === userId ? parts[2] : parts[1];
+  return UUID_PATTERN.test(userId) && key === conversationKey(userId, otherUserId);
+};
+
+/**
+ * Whether a user takes part in a message's conversation
+ * @param {object} message - Message row
+ * @param {string} userId - User ID
+ * @param {Set<string>} groupKeys - Keys of the user's groups
+ * @returns {boolean} True if the user sent or received it, or is in its group
+ */
+const takesPartIn = (message, userId, groupKeys) => {
+  if (message.group_id) {
+    return groupKeys.has(groupConversationKey(message.group_id));
+  }
+
+  return message.sender_id === userId || message.receiver_id === userId;
+};
+
+/**
+ * Move messages received by a user forward to a delivery state
+ * Messages already at or past the state are left alone
+ * @param {string} userId - Receiver ID
+ * @param {Array<string>} messageIds - Message IDs
+ * @param {string} status - 'delivered' or 'read'
+ * @returns {Promise<Array>} Updated messages (id, sender_id, receiver_id, conversation_key, seq, status, delivered_at, read_at)
+ */
+const advanceMessageStatus = async (userId, messageIds, status) => {
+  const index = MESSAGE_STATUSES.indexOf(status);
+
+  if (index < 1 || !Array.isArray(messageIds) || messageIds.length === 0) {
+    return [];
+  }
+
+  const now = new Date().toISOString();
+  const updates = status === 'read'
+    ? { status, read_at: now, is_read: true, updated_at: now }
+    : { status, delivered_at: now };
+
+  const { data, error } = await supabase
+    .from('messages')
+    .update(updates)
+    .in('id', messageIds)
+    .eq('receiver_id', userId)
+    .in('status', MESSAGE_STATUSES.slice(0, index))
+    .select('id, sender_id, receiver_id, conversation_key, seq, status, delivered_at, read_at');
+
+  if (error) {
+    logger.error(`Error marking messages ${status} for user ${userId}: ${error.message}`);
+    throw error;
+  }
+
+  return data || [];
+};
+
+/**
+ * Replay everything a user missed since their last known sequence numbers
+ * Conversations the client doesn't know yet are picked up through messages never delivered to it.
+ * Replayed messages addressed to the user are marked delivered.
+ * @param {string} userId - User ID
+ * @param {object} since - Map of conversation key to the last sequence number the client has
+ * @param {number} limit - Maximum messages to replay; call again with the returned lastSeq values when hasMore
+ * @returns {Promise<object>} { conversations: [{ conversationKey, withUserId|groupId, lastSeq, messages }], hasMore, delivered }
+ */
+const syncMessagesSince = async (userId, since = {}, limit = SYNC_DEFAULT_LIMIT) => {
+  const groupKeys = new Set((await getUserGroupIds(userId)).map(groupConversationKey));
+
+  // Only conversations the user takes part in can be requested
+  const filters = Object.entries(since || {})
+    .filter(([key, seq]) => Number.isInteger(seq) && seq >= 0 && isSyncableKey(key, userId, groupKeys))
+    .map(([key, seq]) => `and(conversation_key.eq."${key}",seq.gt.${seq})`);
+
+  filters.push(`and(receiver_id.eq.${userId},status.eq.sent)`);
+
+  const { data, error } = await supabase
+    .from('messages')
+    .select('*')
+    .or(filters.join(','))
+    .order('conversation_key', { ascending: true })
+    .order('seq', { ascending: true })
+    .limit(limit + 1);
+
+  if (error) {
+    logger.error(`Error syncing messages for user ${userId}: ${error.message}`);
+    throw error;
+  }
+
+  const rows = data || [];
+  const hasMore = rows.length > limit;
+  const conversations = new Map();
+
+  // The filter should only return the user's own conversations; never replay anything else
+  const page = rows.slice(0, limit).filter(message => {
+    if (takesPartIn(message, userId, groupKeys)) {
+      return true;
+    }
+    logger.warn(`Sync for user ${userId} returned message ${message.id} from a conversation they aren't in`);
+    return false;
+  });
+
+  for (const message of page) {
+    let conversation = conversations.get(message.conversation_key);
+
+    if (!conversation) {
+      conversation = message.group_id
+        ? { conversationKey: message.conversation_key, groupId: message.group_id }
+        : {
+          conversationKey: message.conversation_key,
+          withUserId: message.sender_id === userId ? message.receiver_id : message.sender_id
+        };
+      conversation.lastSeq = 0;
+      conversation.messages = [];
+      conversations.set(message.conversation_key, conversation);
+    }
+
+    // lastSeq also moves past messages the user deleted for themselves, so they aren't seen as gaps
+    conversation.lastSeq = message.seq;
+
+    if (isVisibleTo(message, userId)) {
+      conversation.messages.push(message);
+    }
+  }
+
+  const undelivered = page
+    .filter(message => message.receiver_id === userId && message.status === 'sent')
+    .map(message => message.id);
+
+  const delivered = await advanceMessageStatus(userId, undelivered, 'delivered');
+  const deliveredAt = new Map(delivered.map(message => [message.id, message.delivered_at]));
+
+  for (const conversation of conversations.values()) {
+    conversation.messages.forEach(message => {
+      if (deliveredAt.has(message.id)) {
+        message.status = 'delivered';
+        message.delivered_at = deliveredAt.get(message.id);
+      }
+    });
+  }
+
+  return {
+    conversations: Array.from(conversations.values()),
+    hasMore,
+    delivered
+  };
+};
+
+/**
+ * Hold a message back until its delivery time
+ * @param {string} senderId - Sender ID
+ * @param {object} message - { receiverId, content, mediaUrl, deliverAt, ttlSeconds } (validated by messageCreateSchema),
+ *   and the moderation to deliver it with
+ * @returns {Promise<object>} Scheduled message row
+ */
+const scheduleMessage = async (senderId, { receiverId, content, mediaUrl = null, deliverAt, ttlSeconds = null, moderation = null }) => {
+  const { data, error } = await supabase
+    .from('scheduled_messages')
+    .insert({
+      sender_id: senderId,
+      receiver_id: receiverId,
+      content,
+      media_url: mediaUrl || null,
+      ttl_seconds: ttlSeconds || null,
+      moderation,
+      deliver_at: new Date(deliverAt).toISOString(),
+      status: 'scheduled'
+    })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error(`Error scheduling message from ${senderId} to ${receiverId}: ${error.message}`);
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Get a user's messages that are still waiting to be delivered
+ * @param {string} senderId - Sender ID
+ * @returns {Promise<Array>} Scheduled messages, soonest first
+ */
+const getScheduledMessages = async (senderId) => {
+  const { data, error } = await supabase
+    .from('scheduled_messages')
+    .select('*')
+    .eq('sender_id', senderId)
+    .eq('status', 'scheduled')
+    .order('deliver_at', { ascending: true });
+
+  if (error) {
+    logger.error(`Error fetching scheduled messages for ${senderId}: ${error.message}`);
+    throw error;
+  }
+
+  return data || [];
+};
+
+/**
+ * Cancel a scheduled message before it is delivered
+ * @param {string} scheduledId - Scheduled message ID
+ * @param {string} senderId - Sender ID
+ * @returns {Promise<object>} { success: true, scheduledMessage } or { success: false, status, message }
+ */
+const cancelScheduledMessage = async (scheduledId, senderId) => {
+  const { data, error } = await supabase
+    .from('scheduled_messages')
+    .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+    .eq('id', scheduledId)
+    .eq('sender_id', senderId)
+    .eq('status', 'scheduled')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    logger.error(`Error cancelling scheduled message ${scheduledId}: ${error.message}`);
+    throw error;
+  }
+
+  if (data) {
+    return { success: true, scheduledMessage: data };
+  }
+
+  const { data: existing } = await supabase
+    .from('scheduled_messages')
+    .select('status')
+    .eq('id', scheduledId)
+    .eq('sender_id', senderId)
+    .maybeSingle();
+
+  return existing
+    ? { success: false, status: 409, message: `Scheduled message is already ${existing.status}` }
+    : { success: false, status: 404, message: 'Scheduled message not found' };
+};
+
+/**
+ * Put scheduled messages whose claim timed out back in line for delivery
+ * A scheduler that stops between claiming and delivering a message would otherwise
+ * leave it in 'sending' for good. If it stopped after inserting the message, the
+ * message is delivered twice rather than never.
+ * @returns {Promise<number>} Number of messages released again
+ */
+const releaseStaleClaims = async () => {
+  const { data, error } = await supabase
+    .from('scheduled_messages')
+    .update({ status: 'scheduled', claimed_at: null, updated_at: new Date().toISOString() })
+    .eq('status', 'sending')
+    .lt('claimed_at', new Date(Date.now() - SCHEDULED_CLAIM_TIMEOUT_MS).toISOString())
+    .select('id');
+
+  if (error) {
+    logger.error(`Error releasing stale scheduled message claims: ${error.message}`);
+    return 0;
+  }
+
+  if (data && data.length > 0) {
+    logger.warn(`Released ${data.length} scheduled messages left in sending: ${data.map(row => row.id).join(', ')}`);
+  }
+
+  return (data || []).length;
+};
+
+/**
+ * Move due scheduled messages into the conversation
+ * Each message is claimed first, so several instances can run the scheduler at once;
+ * claims older than SCHEDULED_CLAIM_TIMEOUT_MS are taken back first.
+ * Messages between users who blocked each other in the meantime are dropped.
+ * @returns {Promise<Array>} [{ scheduledMessage, message }] for every message delivered
+ */
+const releaseDueMessages = async () => {
+  await releaseStaleClaims();
+
+  const { data: due, error } = await supabase
+    .from('scheduled_messages')
+    .select('*')
+    .eq('status', 'scheduled')
+    .lte('deliver_at', new Date().toISOString())
+    .order('deliver_at', { ascending: true })
+    .limit(SCHEDULER_BATCH_SIZE);
+
+  if (error) {
+    logger.error(`Error fetching due scheduled messages: ${error.message}`);
+    throw error;
+  }
+
+  const released = [];
+
+  for (const scheduled of due || []) {
+    const { data: claimed } = await supabase
+      .from('scheduled_messages')
+      .update({ status: 'sending', claimed_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq('id', scheduled.id)
+      .eq('status', 'scheduled')
+      .select()
+      .maybeSingle();
+
+    if (!claimed) {
+      continue;
+    }
+
+    try {
+      if (await isBlockedBetween(scheduled.sender_id, scheduled.receiver_id)) {
+        await supabase
+          .from('scheduled_messages')
+          .update({ status: 'failed', updated_at: new Date().toISOString() })
+          .eq('id', scheduled.id);
+        continue;
+      }
+
+      const now = new Date().toISOString();
+      const { data: message, error: insertError } = await supabase
+        .from('messages')
+        .insert({
+          sender_id: scheduled.sender_id,
+          receiver_id: scheduled.receiver_id,
+          content: scheduled.content,
+          media_url: scheduled.media_url,
+          ttl_seconds: scheduled.ttl_seconds,
+          moderation: scheduled.moderation || null,
+          is_read: false,
+          created_at: now,
+          updated_at: now
+        })
+        .select()
+        .single();
+
+      if (insertError) {
+        throw insertError;
+      }
+
+      const { data: delivered } = await supabase
+        .from('scheduled_messages')
+        .update({ status: 'delivered', message_id: message.id, delivered_at: now, updated_at: now })
+        .eq('id', scheduled.id)
+        .select()
+        .single();
+
+      released.push({ scheduledMessage: delivered || scheduled, message });
+    } catch (releaseError) {
+      logger.error(`Error delivering scheduled message ${scheduled.id}: ${releaseError.message}`);
+      await supabase
+        .from('scheduled_messages')
+        .update({ status: 'failed', updated_at: new Date().toISOString() })
+        .eq('id', scheduled.id);
+    }
+  }
+
+  return released;
+};
+
+/**
+ * Delete disappearing messages whose time ran out after being read
+ * @returns {Promise<Array>} Deleted messages (id, sender_id, receiver_id)
+ */
+const purgeExpiredMessages = async () => {
+  const { data: expired, error } = await supabase
+    .from('messages')
+    .select('id, sender_id, receiver_id')
+    .lte('expires_at', new Date().toISOString())
+    .limit(SCHEDULER_BATCH_SIZE);
+
+  if (error) {
+    logger.error(`Error fetching expired messages: ${error.message}`);
+    throw error;
+  }
+
+  if (!expired || expired.length === 0) {
+    return [];
+  }
+
+  const { error: deleteError } = await supabase
+    .from('messages')
+    .delete()
+    .in('id', expired.map(message => message.id));
+
+  if (deleteError) {
+    logger.error(`Error deleting expired messages: ${deleteError.message}`);
+    throw deleteError;
+  }
+
+  return expired;
+};
+
+/**
+ * Hide a message from both participants on moderation, keeping it so it can be restored
+ * @param {string} messageId - Message ID
+ * @param {object} removal - { removedBy, reason }
+ * @returns {Promise<object|null>} Removed message, or null if it doesn't exist or is already removed
+ */
+const removeMessage = async (messageId, { removedBy, reason }) => {
+  const { data: message, error } = await supabase
+    .from('messages')
+    .select('id, sender_id, receiver_id, deleted_by_sender, deleted_by_receiver, removal')
+    .eq('id', messageId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!message || message.removal) {
+    return null;
+  }
+
+  const { data: removed, error: updateError } = await supabase
+    .from('messages')
+    .update({
+      deleted_by_sender: true,
+      deleted_by_receiver: true,
+      removal: {
+        removedAt: new Date().toISOString(),
+        removedBy,
+        reason,
+        deletedBySender: Boolean(message.deleted_by_sender),
+        deletedByReceiver: Boolean(message.deleted_by_receiver)
+      }
+    })
+    .eq('id', messageId)
+    .is('removal', null)
+    .select()
+    .maybeSingle();
+
+  if (updateError) throw updateError;
+  return removed;
+};
+
+/**
+ * Restore a message removed by moderation, as each participant last saw it
+ * @param {string} messageId - Message ID
+ * @returns {Promise<object|null>} Restored message, or null if it wasn't removed
+ */
+const restoreMessage = async (messageId) => {
+  const { data: message, error } = await supabase
+    .from('messages')
+    .select('id, removal')
+    .eq('id', messageId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!message || !message.removal) {
+    return null;
+  }
+
+  const { data: restored, error: updateError } = await supabase
+    .from('messages')
+    .update({
+      deleted_by_sender: message.removal.deletedBySender,
+      deleted_by_receiver: message.removal.deletedByReceiver,
+      removal: null
+    })
+    .eq('id', messageId)
+    .not('removal', 'is', null)
+    .select()
+    .maybeSingle();
+
+  if (updateError) throw updateError;
+  return restored;
+};
+
+module.exports = {
+  MESSAGE_STATUSES,
+  SYNC_DEFAULT_LIMIT,
+  SYNC_MAX_LIMIT,
+  conversationKey,
+  groupConversationKey,
+  advanceMessageStatus,
+  syncMessagesSince,
+  scheduleMessage,
+  getScheduledMessages,
+  cancelScheduledMessage,
+  releaseDueMessages,
+  purgeExpiredMessages,
+  removeMessage,
+  restoreMessage,
+  getConversationPage,
+  getConversationAround,
+  searchMessages
+};
@@ -0,0 +1,140 @@
+/**
+ * Moderation evaluation datasets
+ * A dataset is a JSONL file with one labeled sample per line (see
+ * moderationEvalSampleSchema); blank lines and lines starting with // are skipped.
+ * The policies to evaluate are a JSON array of policy definitions, as admins
+ * create them, so candidate policies can be measured before they are added.
+ */
+
+const fs = require('fs').promises;
+const {
+  moderationEvalSampleSchema,
+  moderationPolicySchema,
+  validatePolicyConfig
+} = require('../../models/moderation');
+
+const MAX_REPORTED_PROBLEMS = 10;
+
+/**
+ * Error listing what is wrong with a file
+ * @param {string} what - What was being read
+ * @param {Array<string>} problems - Problems found
+ * @returns {Error} Error
+ */
+const invalid = (what, problems) => new Error(
+  `Invalid ${what}:\n  ${problems.slice(0, MAX_REPORTED_PROBLEMS).join('\n  ')}` +
+  (problems.length > MAX_REPORTED_PROBLEMS ? `\n  ...and ${problems.length - MAX_REPORTED_PROBLEMS} more` : '')
+);
+
+/**
+ * Parse and validate a dataset
+ * @param {string} text - JSONL content
+ * @returns {Array<object>} Samples, with defaults filled in
+ * @throws {Error} Listing every invalid line and duplicate ID
+ */
+const parseDataset = (text) => {
+  const samples = [];
+  const problems = [];
+  const ids = new Set();
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('//')) {
+      return;
+    }
+
+    let sample;
+    try {
+      sample = JSON.parse(trimmed);
+    } catch (err) {
+      problems.push(`line ${index + 1}: ${err.message}`);
+      return;
+    }
+
+    const { error, value } = moderationEvalSampleSchema.validate(sample);
+    if (error) {
+      problems.push(`line ${index + 1}: ${error.details[0].message}`);
+      return;
+    }
+    if (ids.has(value.id)) {
+      problems.push(`line ${index + 1}: duplicate id "${value.id}"`);
+      return;
+    }
+
+    ids.add(value.id);
+    samples.push(value);
+  });
+
+  if (problems.length > 0) {
+    throw invalid('dataset', problems);
+  }
+  if (samples.length === 0) {
+    throw new Error('Dataset has no samples');
+  }
+
+  return samples;
+};
+
+/**
+ * Validate policy definitions
+ * @param {Array<object>} definitions - Policy definitions
+ * @returns {Array<object>} Policies shaped like moderation_policies rows, inactive ones included
+ * @throws {Error} Listing every invalid policy and duplicate key
+ */
+const parsePolicies = (definitions) => {
+  if (!Array.isArray(definitions)) {
+    throw new Error('Policies must be a JSON array');
+  }
+
+  const policies = [];
+  const problems = [];
+  const keys = new Set();
+
+  definitions.forEach((definition, index) => {
+    const { error, value } = moderationPolicySchema.validate(definition);
+    if (error) {
+      problems.push(`policy ${index + 1}: ${error.details[0].message}`);
+      return;
+    }
+
+    const { error: configError, value: policy } = validatePolicyConfig(value);
+    if (configError) {
+      problems.push(`policy ${value.key}: ${configError.message}`);
+      return;
+    }
+    if (keys.has(policy.key)) {
+      problems.push(`policy ${index + 1}: duplicate key "${policy.key}"`);
+      return;
+    }
+
+    keys.add(policy.key);
+    policies.push({ id: policy.key, ...policy });
+  });
+
+  if (problems.length > 0) {
+    throw invalid('policies', problems);
+  }
+
+  return policies;
+};
+
+/**
+ * Read a dataset file
+ * @param {string} filePath - Path of the JSONL file
+ * @returns {Promise<Array<object>>} Samples
+ */
+const loadDataset = async (filePath) => parseDataset(await fs.readFile(filePath, 'utf8'));
+
+/**
+ * Read a policies file
+ * @param {string} filePath - Path of the JSON file
+ * @returns {Promise<Array<object>>} Policies
+ */
+const loadPolicies = async (filePath) => parsePolicies(JSON.parse(await fs.readFile(filePath, 'utf8')));
+
+module.exports = {
+  parseDataset,
+  parsePolicies,
+  loadDataset,
+  loadPolicies
+};
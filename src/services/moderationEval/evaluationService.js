@@ -0,0 +1,227 @@
+/**
+ * Moderation evaluation
+ * Replays a labeled dataset through the moderation pipeline and measures it:
+ * - reports: samples with a label are analysed as reported messages, the way
+ *   processReportWithAI does, and decided with each set of thresholds given
+ *   (decideReport). Every set sees the same analyses, so a candidate is compared
+ *   with the current thresholds on equal terms.
+ * - policies: samples with expected policies are screened against the given
+ *   policies (screenWithPolicies), in dataset order, with their own spam history.
+ * Nothing is written to the database. The AI answers come from the provider
+ * passed in, normally a recorded or fake one so runs are repeatable.
+ */
+
+const { AI_FEATURES, setProvider } = require('../ai/aiService');
+const {
+  MODERATION_LABELS,
+  REPORT_OUTCOMES,
+  REPORT_THRESHOLDS,
+  analyzeMessageContent,
+  decideReport
+} = require('../ai/contentModeration');
+const { screenWithPolicies } = require('../moderationService');
+const { createMemoryStore } = require('../sharedState/memoryStore');
+const {
+  createConfusionMatrix,
+  addToMatrix,
+  binaryMetrics,
+  cellMetrics,
+  predictedRate
+} = require('./metrics');
+
+// processReportWithAI analyses reports without a reason with this one
+const DEFAULT_REPORT_REASON = 'No reason provided';
+
+// From least to most strict
+const SCREENING_ACTIONS = ['allow', 'flag', 'blur', 'block'];
+
+const LABELS = Object.values(MODERATION_LABELS);
+const OUTCOMES = Object.values(REPORT_OUTCOMES);
+
+/**
+ * Analyse every labeled sample once
+ * Sequential, as providers rate limit; a failed analysis is kept as failed
+ * @param {Array<object>} samples - Labeled samples
+ * @returns {Promise<Array<object>>} { sample, analysis, error }
+ */
+const analyseSamples = async (samples) => {
+  const analysed = [];
+
+  for (const sample of samples) {
+    try {
+      const analysis = await analyzeMessageContent(sample.content, { reportReason: sample.reportReason || DEFAULT_REPORT_REASON });
+      analysed.push({ sample, analysis, error: null });
+    } catch (err) {
+      analysed.push({ sample, analysis: null, error: err.code || err.message });
+    }
+  }
+
+  return analysed;
+};
+
+/**
+ * Decide every analysed sample with a set of thresholds
+ * A failed analysis waits for review, as in processReportWithAI
+ * @param {Array<object>} analysed - From analyseSamples
+ * @param {object} thresholds - { resolveConfidence, rejectConfidence }
+ * @returns {object} { thresholds, outcomes, resolve, reject, reviewRate, mistakes }
+ */
+const scoreReports = (analysed, thresholds) => {
+  const outcomes = createConfusionMatrix(LABELS, OUTCOMES);
+  const mistakes = [];
+
+  analysed.forEach(({ sample, analysis }) => {
+    const outcome = analysis ? decideReport(analysis, thresholds) : REPORT_OUTCOMES.PENDING_REVIEW;
+    addToMatrix(outcomes, sample.label, outcome);
+
+    // Automatic decisions a human would have made differently
+    const wrong = (outcome === REPORT_OUTCOMES.RESOLVED && sample.label !== MODERATION_LABELS.INAPPROPRIATE) ||
+      (outcome === REPORT_OUTCOMES.REJECTED && sample.label !== MODERATION_LABELS.ACCEPTABLE);
+
+    if (wrong) {
+      mistakes.push({
+        id: sample.id,
+        label: sample.label,
+        outcome,
+        classification: analysis.classification,
+        confidence: analysis.confidence
+      });
+    }
+  });
+
+  return {
+    thresholds,
+    outcomes,
+    resolve: cellMetrics(outcomes, MODERATION_LABELS.INAPPROPRIATE, REPORT_OUTCOMES.RESOLVED),
+    reject: cellMetrics(outcomes, MODERATION_LABELS.ACCEPTABLE, REPORT_OUTCOMES.REJECTED),
+    reviewRate: predictedRate(outcomes, REPORT_OUTCOMES.PENDING_REVIEW),
+    mistakes
+  };
+};
+
+/**
+ * Evaluate report handling
+ * @param {Array<object>} samples - Dataset samples; those without a label are skipped
+ * @param {object} thresholdSets - { name: thresholds }
+ * @returns {Promise<object>} { samples, providerFailures, classification, perLabel, thresholds: { name: scoreReports result } }
+ */
+const evaluateReports = async (samples, thresholdSets) => {
+  const analysed = await analyseSamples(samples.filter(sample => sample.label));
+  const classification = createConfusionMatrix(LABELS);
+
+  analysed
+    .filter(({ analysis }) => analysis)
+    .forEach(({ sample, analysis }) => addToMatrix(classification, sample.label, analysis.classification));
+
+  return {
+    samples: analysed.length,
+    providerFailures: analysed.filter(({ error }) => error).map(({ sample, error }) => ({ id: sample.id, error })),
+    classification,
+    perLabel: Object.fromEntries(LABELS.map(label => [label, cellMetrics(classification, label, label)])),
+    thresholds: Object.fromEntries(Object.entries(thresholdSets)
+      .map(([name, thresholds]) => [name, scoreReports(analysed, thresholds)]))
+  };
+};
+
+/**
+ * Evaluate pre-send policies
+ * A policy only counts for samples on its surfaces. AI policies don't run once a
+ * local policy blocks, so those samples are counted as skipped, not as misses.
+ * @param {Array<object>} samples - Dataset samples; those without expected policies are skipped
+ * @param {Array<object>} policies - Policies from loadPolicies
+ * @returns {Promise<object>} { samples, policies: { key: metrics }, actions, mistakes, unknownPolicies }
+ */
+const evaluatePolicies = async (samples, policies) => {
+  const store = createMemoryStore();
+  const counts = Object.fromEntries(policies.map(policy => [policy.key, { tp: 0, fp: 0, fn: 0, tn: 0, skipped: 0 }]));
+  const actions = createConfusionMatrix(SCREENING_ACTIONS);
+  const mistakes = [];
+  const knownKeys = new Set(policies.map(policy => policy.key));
+  const unknownPolicies = new Set();
+
+  const expectedSamples = samples.filter(sample => sample.policies);
+
+  for (const sample of expectedSamples) {
+    sample.policies.filter(key => !knownKeys.has(key)).forEach(key => unknownPolicies.add(key));
+
+    const screening = await screenWithPolicies(policies, {
+      userId: sample.userId || sample.id,
+      surface: sample.surface,
+      content: sample.content,
+      dryRun: true,
+      store
+    });
+
+    const matched = new Set(screening.violations.map(violation => violation.policyKey));
+    const blockedLocally = screening.violations.some(violation => violation.action === 'block' && violation.detector !== 'ai');
+    let expectedAction = 'allow';
+
+    policies
+      .filter(policy => policy.surfaces.includes(sample.surface))
+      .forEach(policy => {
+        const expected = sample.policies.includes(policy.key);
+        const policyCounts = counts[policy.key];
+
+        if (expected && SCREENING_ACTIONS.indexOf(policy.action) > SCREENING_ACTIONS.indexOf(expectedAction)) {
+          expectedAction = policy.action;
+        }
+
+        if (policy.detector === 'ai' && blockedLocally) {
+          policyCounts.skipped += 1;
+          return;
+        }
+
+        const hit = matched.has(policy.key);
+        policyCounts[expected ? (hit ? 'tp' : 'fn') : (hit ? 'fp' : 'tn')] += 1;
+
+        if (expected !== hit) {
+          mistakes.push({ id: sample.id, policy: policy.key, expected, matched: hit });
+        }
+      });
+
+    addToMatrix(actions, expectedAction, screening.action);
+  }
+
+  return {
+    samples: expectedSamples.length,
+    policies: Object.fromEntries(Object.entries(counts)
+      .map(([key, { skipped, ...policyCounts }]) => [key, { ...binaryMetrics(policyCounts), skipped }])),
+    actions,
+    mistakes,
+    unknownPolicies: [...unknownPolicies]
+  };
+};
+
+/**
+ * Evaluate the moderation pipeline on a dataset
+ * @param {Array<object>} samples - Samples from loadDataset
+ * @param {object} options - { policies, thresholds, provider }
+ *   policies: from loadPolicies; without them only reports are evaluated
+ *   thresholds: { name: { resolveConfidence, rejectConfidence } }, { current: REPORT_THRESHOLDS } by default
+ *   provider: AI provider answering the moderation feature for the run; the configured one otherwise
+ * @returns {Promise<object>} { samples, reports, policies }
+ */
+const runEvaluation = async (samples, { policies = [], thresholds = { current: REPORT_THRESHOLDS }, provider = null } = {}) => {
+  if (provider) {
+    setProvider(AI_FEATURES.MODERATION, provider);
+  }
+
+  try {
+    return {
+      samples: samples.length,
+      reports: await evaluateReports(samples, thresholds),
+      policies: policies.length > 0 ? await evaluatePolicies(samples, policies) : null
+    };
+  } finally {
+    if (provider) {
+      setProvider(AI_FEATURES.MODERATION, null);
+    }
+  }
+};
+
+module.exports = {
+  SCREENING_ACTIONS,
+  runEvaluation,
+  evaluateReports,
+  evaluatePolicies
+};
@@ -0,0 +1,102 @@
+/**
+ * Evaluation metrics
+ * Confusion matrices count samples by actual row and predicted column; binary
+ * metrics read one cell of a matrix, or a policy's own counts, as the positive class.
+ */
+
+/**
+ * Create an empty confusion matrix
+ * @param {Array<string>} actualLabels - Row labels (ground truth)
+ * @param {Array<string>} predictedLabels - Column labels (what the pipeline did)
+ * @returns {object} { actualLabels, predictedLabels, counts: { actual: { predicted: n } } }
+ */
+const createConfusionMatrix = (actualLabels, predictedLabels = actualLabels) => ({
+  actualLabels,
+  predictedLabels,
+  counts: Object.fromEntries(actualLabels.map(actual => [
+    actual,
+    Object.fromEntries(predictedLabels.map(predicted => [predicted, 0]))
+  ]))
+});
+
+/**
+ * Count a sample in a confusion matrix
+ * @param {object} matrix - Confusion matrix
+ * @param {string} actual - Ground truth
+ * @param {string} predicted - What the pipeline did
+ */
+const addToMatrix = (matrix, actual, predicted) => {
+  matrix.counts[actual][predicted] += 1;
+};
+
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+/**
+ * Precision, recall and F1 from true/false positive/negative counts
+ * A ratio with nothing to divide by is null rather than 0
+ * @param {object} counts - { tp, fp, fn, tn }
+ * @returns {object} Counts with precision, recall and f1
+ */
+const binaryMetrics = ({ tp, fp, fn, tn }) => {
+  const precision = ratio(tp, tp + fp);
+  const recall = ratio(tp, tp + fn);
+  const f1 = precision !== null && recall !== null && precision + recall > 0
+    ? (2 * precision * recall) / (precision + recall)
+    : null;
+
+  return { tp, fp, fn, tn, precision, recall, f1 };
+};
+
+/**
+ * Binary metrics of one cell of a confusion matrix against everything else
+ * e.g. (INAPPROPRIATE, RESOLVED): how many resolved reports were inappropriate, and
+ * how many inappropriate reports were resolved
+ * @param {object} matrix - Confusion matrix
+ * @param {string} actual - Positive ground truth
+ * @param {string} predicted - Positive prediction
+ * @returns {object} binaryMetrics result
+ */
+const cellMetrics = (matrix, actual, predicted) => {
+  const counts = { tp: 0, fp: 0, fn: 0, tn: 0 };
+
+  matrix.actualLabels.forEach(row => {
+    matrix.predictedLabels.forEach(column => {
+      const count = matrix.counts[row][column];
+      if (row === actual) {
+        counts[column === predicted ? 'tp' : 'fn'] += count;
+      } else {
+        counts[column === predicted ? 'fp' : 'tn'] += count;
+      }
+    });
+  });
+
+  return binaryMetrics(counts);
+};
+
+/**
+ * Samples counted in a matrix
+ * @param {object} matrix - Confusion matrix
+ * @returns {number} Total
+ */
+const matrixTotal = (matrix) => Object.values(matrix.counts)
+  .reduce((total, row) => total + Object.values(row).reduce((sum, count) => sum + count, 0), 0);
+
+/**
+ * Share of the samples a matrix predicted as some label
+ * @param {object} matrix - Confusion matrix
+ * @param {string} predicted - Column label
+ * @returns {number|null} Rate from 0 to 1
+ */
+const predictedRate = (matrix, predicted) => ratio(
+  matrix.actualLabels.reduce((sum, actual) => sum + matrix.counts[actual][predicted], 0),
+  matrixTotal(matrix)
+);
+
+module.exports = {
+  createConfusionMatrix,
+  addToMatrix,
+  binaryMetrics,
+  cellMetrics,
+  matrixTotal,
+  predictedRate
+};
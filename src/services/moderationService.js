@@ -0,0 +1,572 @@
+/**
+ * Pre-send moderation
+ * Messages, comments and posts are screened before they are saved, against the
+ * active moderation policies. A policy pairs a detector with an action:
+ *
+ *   keyword - listed words or phrases          block - the content isn't sent
+ *   regex   - listed patterns                  blur  - sent with a warning; clients hide it behind a tap
+ *   url     - links, except allowed domains    flag  - sent as is and queued for admin review
+ *   phone   - phone numbers
+ *   spam    - the same text repeated within a window
+ *   ai      - the AI moderation provider's classification
+ *
+ * The strictest matching action wins. Local detectors run first; AI policies only
+ * run when nothing blocks already, and allow the content if the provider doesn't
+ * answer within the policy's timeout (a late violation is still flagged).
+ * Screening fails open: if policies can't be loaded, content is allowed.
+ */
+
+const crypto = require('crypto');
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+const { getSharedState } = require('./sharedState/sharedStateService');
+const { analyzeMessageContent, MODERATION_LABELS } = require('./ai/contentModeration');
+const { applyCursor, buildPage } = require('../utils/pagination');
+const { MAX_REGEX_INPUT_LENGTH } = require('../utils/regexSafety');
+const {
+  moderationPolicySchema,
+  moderationPolicyUpdateSchema,
+  validatePolicyConfig
+} = require('../models/moderation');
+
+const CONTENT_BLOCKED_CODE = 'CONTENT_BLOCKED';
+const ACTION_ALLOW = 'allow';
+const ACTION_SEVERITY = { allow: 0, flag: 1, blur: 2, block: 3 };
+const POLICY_CACHE_TTL_MS = 60 * 1000;
+const SPAM_NAMESPACE = 'moderation_recent';
+const MAX_SPAM_HISTORY = 50;
+const EXCERPT_LENGTH = 500;
+const DEFAULT_BLUR_WARNING = 'This content may be sensitive.';
+const UNIQUE_VIOLATION = '23505';
+
+const POLICY_FIELDS = ['key', 'name', 'description', 'detector', 'config', 'action', 'surfaces', 'warning', 'is_active'];
+
+// Common top-level domains, so bare domains ("example.com") are caught without matching "e.g."
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>]+|\b(?:[a-z0-9-]+\.)+(?:com|net|org|io|co|me|app|dev|info|biz|xyz|ly|gg|tv|us|uk|de|fr|ru|in|link|site|online|club)\b(?:\/[^\s<>]*)?/giu;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{5,}\d/gu;
+const INVISIBLE_CHARACTERS = /[\u00AD\u200B-\u200D\u2060\uFEFF]/g;
+
+// Active policies; other nodes pick up admin changes when the cache expires
+let policyCache = null;
+// Compiled keyword and regex matchers, per policy config
+const compiledMatchers = new WeakMap();
+
+/**
+ * Failed service result
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {object} Failed result
+ */
+const fail = (status, message) => ({ success: false, status, message });
+
+/**
+ * Normalise text before matching: compatibility forms (full-width letters...) and
+ * invisible characters used to split words
+ * @param {string} content - Text
+ * @returns {string} Normalised text
+ */
+const normaliseContent = (content) => String(content).normalize('NFKC').replace(INVISIBLE_CHARACTERS, '');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compile a policy's matchers once per config object
+ * @param {object} config - Policy config
+ * @param {Function} compile - (config) => Array<RegExp>
+ * @returns {Array<RegExp>} Matchers
+ */
+const getMatchers = (config, compile) => {
+  if (!compiledMatchers.has(config)) {
+    compiledMatchers.set(config, compile(config));
+  }
+  return compiledMatchers.get(config);
+};
+
+/**
+ * Distinct matches of some patterns
+ * @param {Array<RegExp>} patterns - Global patterns
+ * @param {string} content - Normalised text
+ * @returns {Array<string>} Matches
+ */
+const findMatches = (patterns, content) => [...new Set(patterns.flatMap(regex => [...content.matchAll(regex)].map(match => match[0])))];
+
+/**
+ * Whether a link points at an allowed domain or one of its subdomains
+ */
+const isAllowedLink = (link, allowDomains) => {
+  const host = link.replace(/^https?:\/\//i, '').replace(/^www\./i, '').split(/[/?#:]/)[0].toLowerCase();
+  return allowDomains.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+};
+
+/**
+ * Detectors, by name: (content, config, context) => details of the match, or null
+ * content is normalised; context is { userId, surface, policy, dryRun, store }
+ */
+const DETECTORS = {
+  keyword: async (content, config) => {
+    const [matcher] = getMatchers(config, ({ terms }) => [
+      new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(term => escapeRegExp(normaliseContent(term))).join('|')})(?![\\p{L}\\p{N}])`, 'giu')
+    ]);
+    const matches = findMatches([matcher], content);
+    return matches.length > 0 ? { matches } : null;
+  },
+
+  regex: async (content, config) => {
+    const patterns = getMatchers(config, ({ patterns: sources, caseSensitive }) =>
+      sources.map(source => new RegExp(source, caseSensitive ? 'gu' : 'giu')));
+    const matches = findMatches(patterns, content.slice(0, MAX_REGEX_INPUT_LENGTH));
+    return matches.length > 0 ? { matches } : null;
+  },
+
+  url: async (content, config) => {
+    const links = findMatches([URL_PATTERN], content).filter(link => !isAllowedLink(link, config.allowDomains || []));
+    return links.length > 0 ? { matches: links } : null;
+  },
+
+  phone: async (content, config) => {
+    const minDigits = config.minDigits || 9;
+    const numbers = findMatches([PHONE_PATTERN], content).filter(candidate => {
+      const digits = candidate.replace(/\D/g, '').length;
+      return digits >= minDigits && digits <= 15;
+    });
+    return numbers.length > 0 ? { matches: numbers } : null;
+  },
+
+  // A given store keeps its own history, which is updated even in a dry run
+  spam: async (content, config, { userId, policy, dryRun, store }) => {
+    const maxRepeats = config.maxRepeats || 3;
+    const windowMs = (config.windowSeconds || 60) * 1000;
+    const now = Date.now();
+    const hash = crypto.createHash('sha256').update(content.toLowerCase().replace(/\s+/g, ' ').trim()).digest('hex');
+    const key = `${policy.key}:${userId}`;
+
+    const history = store || getSharedState();
+    const recent = ((await history.get(SPAM_NAMESPACE, key)) || []).filter(entry => now - entry.at < windowMs);
+    const repeats = recent.filter(entry => entry.hash === hash).length;
+
+    if (!dryRun || store) {
+      await history.set(SPAM_NAMESPACE, key, [...recent, { hash, at: now }].slice(-MAX_SPAM_HISTORY));
+    }
+
+    return repeats >= maxRepeats ? { repeats: repeats + 1, windowSeconds: windowMs / 1000 } : null;
+  },
+
+  ai: async (content, config) => {
+    const analysis = await analyzeMessageContent(content);
+    const labels = config.includeBorderline
+      ? [MODERATION_LABELS.INAPPROPRIATE, MODERATION_LABELS.BORDERLINE]
+      : [MODERATION_LABELS.INAPPROPRIATE];
+
+    if (!labels.includes(analysis.classification) || analysis.confidence < (config.minConfidence ?? 0.85)) {
+      return null;
+    }
+
+    return { classification: analysis.classification, confidence: analysis.confidence, explanation: analysis.explanation };
+  }
+};
+
+/**
+ * Active policies
+ * Policies saved before a validation rule existed (such as the regex safety checks)
+ * are checked again and skipped if they no longer pass
+ * @returns {Promise<Array<object>>} moderation_policies rows
+ */
+const getActivePolicies = async () => {
+  if (policyCache && Date.now() - policyCache.loadedAt < POLICY_CACHE_TTL_MS) {
+    return policyCache.policies;
+  }
+
+  const { data, error } = await supabase
+    .from('moderation_policies')
+    .select('*')
+    .eq('is_active', true);
+
+  if (error) throw error;
+
+  const policies = (data || []).filter(policy => {
+    const { error: configError } = validatePolicyConfig(policy);
+    if (configError) {
+      logger.error(`Skipping moderation policy ${policy.key}: ${configError.message}`);
+    }
+    return !configError;
+  });
+
+  policyCache = { policies, loadedAt: Date.now() };
+  return policyCache.policies;
+};
+
+const clearPolicyCache = () => {
+  policyCache = null;
+};
+
+/**
+ * Store what a screening found, for admins to review
+ * Never throws: a failed write is logged and the content goes ahead
+ * @param {object} screening - Result of screenContent
+ * @param {string|null} contentId - ID of the saved message, comment or post (none for blocked content)
+ * @param {Array<object>} violations - Violations to record, all of the screening's by default
+ */
+const recordScreening = async (screening, contentId = null, violations = screening.violations) => {
+  if (!screening || screening.dryRun || violations.length === 0) {
+    return;
+  }
+
+  try {
+    const { error } = await supabase
+      .from('moderation_flags')
+      .insert(violations.map(violation => ({
+        user_id: screening.userId,
+        policy_id: violation.policyId,
+        policy_key: violation.policyKey,
+        surface: screening.surface,
+        content_id: contentId,
+        content_excerpt: screening.content.substring(0, EXCERPT_LENGTH),
+        action: violation.action,
+        details: violation.details
+      })));
+
+    if (error) throw error;
+  } catch (err) {
+    logger.error(`Error recording moderation flags for user ${screening.userId}: ${err.message}`);
+  }
+};
+
+/**
+ * A matched policy, as screenContent reports it
+ */
+const toViolation = (policy, details) => ({
+  policyId: policy.id,
+  policyKey: policy.key,
+  name: policy.name,
+  detector: policy.detector,
+  action: policy.action,
+  warning: policy.warning || null,
+  details
+});
+
+/**
+ * Run one policy's detector
+ * @returns {Promise<object|null>} Violation, or null if the policy doesn't match or its detector failed
+ */
+const runPolicy = async (policy, content, context) => {
+  try {
+    const details = await DETECTORS[policy.detector](content, policy.config || {}, { ...context, policy });
+    return details ? toViolation(policy, details) : null;
+  } catch (err) {
+    logger.error(`Moderation policy ${policy.key} failed: ${err.message}`);
+    return null;
+  }
+};
+
+/**
+ * Run an AI policy, giving up after its timeout
+ * A violation found after the timeout is recorded as a flag, since the content has been sent
+ */
+const runAiPolicy = (policy, content, context, screening) => {
+  const timeoutMs = policy.config?.timeoutMs || 1500;
+  const check = runPolicy(policy, content, context);
+  let timer;
+
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve('timeout'), timeoutMs);
+  });
+
+  return Promise.race([check, timeout]).then(result => {
+    clearTimeout(timer);
+
+    if (result !== 'timeout') {
+      return result;
+    }
+
+    logger.warn(`Moderation policy ${policy.key} timed out after ${timeoutMs}ms; content allowed`);
+    check.then(lateViolation => {
+      if (lateViolation) {
+        recordScreening(screening, null, [{ ...lateViolation, action: 'flag', details: { ...lateViolation.details, late: true } }]);
+      }
+    });
+    return null;
+  });
+};
+
+/**
+ * Screen content against some policies; unlike screenContent, blocked content isn't recorded
+ * Used by screenContent with the active policies, and by evaluations with candidate ones
+ * @param {Array<object>} allPolicies - moderation_policies rows; those not applying to the surface are skipped
+ * @param {object} options - { userId, surface, content, dryRun, store } as for screenContent;
+ *   store replaces the shared spam history
+ * @returns {Promise<object>} Screening, as returned by screenContent
+ */
+const screenWithPolicies = async (allPolicies, { userId, surface, content, dryRun = false, store = null }) => {
+  const screening = { userId, surface, content: String(content || ''), dryRun, action: ACTION_ALLOW, violations: [], moderation: null };
+
+  if (!screening.content.trim()) {
+    return screening;
+  }
+
+  const policies = allPolicies.filter(policy => (policy.surfaces || []).includes(surface));
+  const normalised = normaliseContent(screening.content);
+  const context = { userId, surface, dryRun, store };
+
+  const local = await Promise.all(policies
+    .filter(policy => policy.detector !== 'ai')
+    .map(policy => runPolicy(policy, normalised, context)));
+  screening.violations = local.filter(Boolean);
+
+  if (!screening.violations.some(violation => violation.action === 'block')) {
+    const ai = await Promise.all(policies
+      .filter(policy => policy.detector === 'ai')
+      .map(policy => runAiPolicy(policy, normalised, context, screening)));
+    screening.violations.push(...ai.filter(Boolean));
+  }
+
+  screening.action = screening.violations.reduce(
+    (strictest, violation) => (ACTION_SEVERITY[violation.action] > ACTION_SEVERITY[strictest] ? violation.action : strictest),
+    ACTION_ALLOW
+  );
+
+  if (screening.action === 'blur') {
+    const blurs = screening.violations.filter(violation => violation.action === 'blur');
+    screening.moderation = {
+      action: 'blur',
+      warning: blurs.find(violation => violation.warning)?.warning || DEFAULT_BLUR_WARNING,
+      policies: blurs.map(violation => violation.policyKey)
+    };
+  }
+
+  return screening;
+};
+
+/**
+ * Screen content before it is sent
+ * @param {object} options - { userId, surface ('message', 'comment' or 'post'), content, dryRun }
+ *   dryRun checks without recording anything (spam history included)
+ * @returns {Promise<object>} { action ('allow', 'flag', 'blur' or 'block'), violations, moderation }
+ *   moderation is what to store with blurred content ({ action, warning, policies }), otherwise null.
+ *   Blocked content is recorded here; call recordScreening with the saved ID for the other actions.
+ */
+const screenContent = async ({ userId, surface, content, dryRun = false }) => {
+  let policies;
+  try {
+    policies = String(content || '').trim() ? await getActivePolicies() : [];
+  } catch (err) {
+    logger.error(`Could not load moderation policies, allowing content: ${err.message}`);
+    policies = [];
+  }
+
+  const screening = await screenWithPolicies(policies, { userId, surface, content, dryRun });
+
+  if (screening.action === 'block') {
+    await recordScreening(screening);
+  }
+
+  return screening;
+};
+
+/**
+ * Error to send back when content is blocked
+ * @param {object} screening - Result of screenContent
+ * @returns {object} { code, message, reasons }
+ */
+const blockedError = (screening) => ({
+  code: CONTENT_BLOCKED_CODE,
+  message: 'This content goes against our community guidelines and was not sent',
+  reasons: screening.violations.filter(violation => violation.action === 'block').map(violation => violation.name)
+});
+
+/**
+ * Admin view of a policy
+ */
+const toPolicy = (policy) => ({
+  id: policy.id,
+  key: policy.key,
+  name: policy.name,
+  description: policy.description,
+  detector: policy.detector,
+  config: policy.config,
+  action: policy.action,
+  surfaces: policy.surfaces,
+  warning: policy.warning,
+  isActive: policy.is_active,
+  updatedBy: policy.updated_by,
+  createdAt: policy.created_at,
+  updatedAt: policy.updated_at
+});
+
+/**
+ * List moderation policies
+ * @returns {Promise<Array<object>>} Policies
+ */
+const listPolicies = async () => {
+  const { data, error } = await supabase
+    .from('moderation_policies')
+    .select('*')
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(toPolicy);
+};
+
+/**
+ * Create a moderation policy
+ * @param {object} definition - Policy definition
+ * @param {string} adminId - Creating admin
+ * @returns {Promise<object>} { success, policy } or a failed result
+ */
+const createPolicy = async (definition, adminId) => {
+  const { error: validationError, value } = moderationPolicySchema.validate(definition);
+  if (validationError) {
+    return fail(400, validationError.details[0].message);
+  }
+
+  const { error: configError, value: policy } = validatePolicyConfig(value);
+  if (configError) {
+    return fail(400, configError.message);
+  }
+
+  const { data, error } = await supabase
+    .from('moderation_policies')
+    .insert({ ...policy, updated_by: adminId })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      return fail(409, `A policy with key ${policy.key} already exists`);
+    }
+    throw error;
+  }
+
+  clearPolicyCache();
+  logger.info(`Moderation policy ${data.key} created by admin ${adminId}`);
+  return { success: true, policy: toPolicy(data) };
+};
+
+/**
+ * Update a moderation policy
+ * @param {string} policyId - Policy ID
+ * @param {object} changes - Fields to change
+ * @param {string} adminId - Updating admin
+ * @returns {Promise<object>} { success, policy } or a failed result
+ */
+const updatePolicy = async (policyId, changes, adminId) => {
+  const { error: validationError, value } = moderationPolicyUpdateSchema.validate(changes);
+  if (validationError) {
+    return fail(400, validationError.details[0].message);
+  }
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('moderation_policies')
+    .select('*')
+    .eq('id', policyId)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  if (!existing) {
+    return fail(404, 'Moderation policy not found');
+  }
+
+  const { error: configError, value: policy } = validatePolicyConfig({ ...existing, ...value });
+  if (configError) {
+    return fail(400, configError.message);
+  }
+
+  const { data, error } = await supabase
+    .from('moderation_policies')
+    .update({
+      ...Object.fromEntries(POLICY_FIELDS.map(field => [field, policy[field]])),
+      updated_by: adminId,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', policyId)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  clearPolicyCache();
+  logger.info(`Moderation policy ${data.key} updated by admin ${adminId}`);
+  return { success: true, policy: toPolicy(data) };
+};
+
+/**
+ * Delete a moderation policy (its flags are kept)
+ * @param {string} policyId - Policy ID
+ * @param {string} adminId - Deleting admin
+ * @returns {Promise<object>} { success } or a failed result
+ */
+const deletePolicy = async (policyId, adminId) => {
+  const { data, error } = await supabase
+    .from('moderation_policies')
+    .delete()
+    .eq('id', policyId)
+    .select('key');
+
+  if (error) throw error;
+  if (!data || data.length === 0) {
+    return fail(404, 'Moderation policy not found');
+  }
+
+  clearPolicyCache();
+  logger.info(`Moderation policy ${data[0].key} deleted by admin ${adminId}`);
+  return { success: true };
+};
+
+/**
+ * List moderation flags, newest first
+ * @param {object} page - { limit, cursor } from parsePageParams
+ * @param {object} filters - { reviewed, action, policyKey, userId }
+ * @returns {Promise<object>} { flags, pagination }
+ */
+const listFlags = async (page, { reviewed, action, policyKey, userId } = {}) => {
+  let query = supabase
+    .from('moderation_flags')
+    .select('*');
+
+  if (reviewed === true) query = query.not('reviewed_at', 'is', null);
+  if (reviewed === false) query = query.is('reviewed_at', null);
+  if (action) query = query.eq('action', action);
+  if (policyKey) query = query.eq('policy_key', policyKey);
+  if (userId) query = query.eq('user_id', userId);
+
+  const { data, error } = await applyCursor(query, page);
+  if (error) throw error;
+
+  const { items, pagination } = buildPage(data || [], page);
+  return { flags: items, pagination };
+};
+
+/**
+ * Mark a flag as reviewed
+ * @param {string} flagId - Flag ID
+ * @param {string} adminId - Reviewing admin
+ * @returns {Promise<object>} { success, flag } or a failed result
+ */
+const reviewFlag = async (flagId, adminId) => {
+  const { data, error } = await supabase
+    .from('moderation_flags')
+    .update({ reviewed_at: new Date().toISOString(), reviewed_by: adminId })
+    .eq('id', flagId)
+    .is('reviewed_at', null)
+    .select();
+
+  if (error) throw error;
+  if (!data || data.length === 0) {
+    return fail(404, 'Flag not found or already reviewed');
+  }
+
+  return { success: true, flag: data[0] };
+};
+
+module.exports = {
+  CONTENT_BLOCKED_CODE,
+  screenContent,
+  screenWithPolicies,
+  recordScreening,
+  blockedError,
+  listPolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  listFlags,
+  reviewFlag
+};
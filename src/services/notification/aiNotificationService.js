@@ -1,7 +1,7 @@
 const logger = require('../../utils/logger');
 const { supabase } = require('../../config/database');
 const userService = require('../userService');
-const notificationService = require('./notificationService');
+const { selectUsersAtLocalTime, notifyOutsideQuietHours } = require('./quietHours');
 
 /**
  * Get a random re-engagement message from predefined templates
@@ -36,9 +36,10 @@ const getReEngagementMessage = async (userId) => {
 
 /**
  * Sends personalized notifications to re-engage inactive users
+ * @param {object} localTime - { hour, weekday } the users' local time must be in to be notified now
  * @returns {Promise<{success: boolean, count: number, error: any}>}
  */
-const sendPersonalizedReEngagementNotifications = async () => {
+const sendPersonalizedReEngagementNotifications = async (localTime) => {
   try {
     logger.info('Starting personalized re-engagement notification process');
     
@@ -50,7 +51,9 @@ const sendPersonalizedReEngagementNotifications = async () => {
     const sevenDaysAgo = new Date(currentDate);
     sevenDaysAgo.setDate(currentDate.getDate() - 7);
     
-    const inactiveUsers = await userService.getInactiveUsersSince(sevenDaysAgo.toISOString(), threeDaysAgo.toISOString());
+    const candidates = await userService.getInactiveUsersSince(sevenDaysAgo.toISOString(), threeDaysAgo.toISOString()) || [];
+    const settings = await selectUsersAtLocalTime(candidates.map(user => user.id), localTime, currentDate);
+    const inactiveUsers = candidates.filter(user => settings.has(user.id));
     
     if (!inactiveUsers || inactiveUsers.length === 0) {
       logger.info('No inactive users found for re-engagement');
@@ -68,15 +71,14 @@ const sendPersonalizedReEngagementNotifications = async () => {
         const reEngagementMessage = await getReEngagementMessage(user.id);
         
         // Create notification with template-based content
-        await notificationService.createNotification({
-          user_id: user.id,
+        await notifyOutsideQuietHours(user.id, {
           type: 'RE_ENGAGEMENT',
-          content: reEngagementMessage,
+          message: reEngagementMessage,
           data: {
             source: 'template',
             generated_at: new Date().toISOString()
           }
-        });
+        }, { settings: settings.get(user.id) });
         
         successCount++;
       } catch (userError) {
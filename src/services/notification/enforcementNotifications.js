@@ -0,0 +1,49 @@
+const cron = require('node-cron');
+const logger = require('../../utils/logger');
+const { releaseEndedEnforcements, pruneEnforcementCache } = require('../enforcementService');
+
+// Guard so a slow run isn't overlapped by the next tick
+let releasing = false;
+
+/**
+ * Tell users whose restriction or suspension ran out, then drop stale cached standings
+ * @returns {Promise<number>} Number of actions that ended
+ */
+const releaseEnforcements = async () => {
+  if (releasing) {
+    return 0;
+  }
+
+  releasing = true;
+  try {
+    const released = await releaseEndedEnforcements();
+    await pruneEnforcementCache();
+
+    if (released > 0) {
+      logger.info(`Ended ${released} restrictions and suspensions`);
+    }
+    return released;
+  } catch (err) {
+    logger.error(`Error in releaseEnforcements: ${err.message}`);
+    return 0;
+  } finally {
+    releasing = false;
+  }
+};
+
+/**
+ * Initialize enforcement jobs
+ */
+const initializeEnforcementNotifications = () => {
+  // End restrictions and suspensions - runs every minute
+  cron.schedule('* * * * *', async () => {
+    await releaseEnforcements();
+  });
+
+  logger.info('Enforcement jobs initialized');
+};
+
+module.exports = {
+  initializeEnforcementNotifications,
+  releaseEnforcements
+};
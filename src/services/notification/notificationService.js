@@ -1,6 +1,7 @@
 const supabase = require('../../config/database');
 const { info, error } = require('../../utils/logger');
 const { getUserById } = require('../../services/userService');
+const { applyCursor, buildPage } = require('../../utils/pagination');
 
 /**
  * Notification types
@@ -12,7 +13,9 @@ const NotificationType = {
   NEW_MATCH: 'new_match',
   MESSAGE_RECEIVED: 'message_received',
   MATCH_ACCEPTED: 'match_accepted',
-  PROFILE_VIEW: 'profile_view'
+  PROFILE_VIEW: 'profile_view',
+  ACCOUNT_ENFORCEMENT: 'account_enforcement',
+  APPEAL_DECIDED: 'appeal_decided'
 };
 
 /**
@@ -47,11 +50,8 @@ const createNotification = async (userId, type, data = {}, isSilent = false) =>
     }
 
     // If connected to socket, send real-time notification
-    const { connectedUsers, ioInstance } = require('../../socket/socketManager');
-    if (connectedUsers && connectedUsers.has(userId) && ioInstance) {
-      const socketId = connectedUsers.get(userId);
-      ioInstance.to(socketId).emit('notification:new', createdNotification);
-    }
+    const { emitToUser } = require('../../socket/socketManager');
+    emitToUser(userId, 'notification:new', createdNotification);
 
     info(`Created notification for user ${userId} of type ${type}`);
     return createdNotification;
@@ -182,6 +182,34 @@ const getUserNotifications = async (userId, { limit = 20, offset = 0, unreadOnly
   }
 };
 
+/**
+ * Get one cursor page of user notifications
+ * 
+ * @param {string} userId - User ID
+ * @param {object} page - { limit, cursor } from parsePageParams
+ * @param {object} options - { unreadOnly }
+ * @returns {Promise<object>} { items, pagination }
+ */
+const getUserNotificationPage = async (userId, page, { unreadOnly = false } = {}) => {
+  let query = supabase
+    .from('notifications')
+    .select('*')
+    .eq('user_id', userId);
+
+  if (unreadOnly) {
+    query = query.eq('is_read', false);
+  }
+
+  const { data: notifications, error: fetchError } = await applyCursor(query, page);
+
+  if (fetchError) {
+    error(`Error fetching notifications for user ${userId}: ${fetchError.message}`);
+    throw fetchError;
+  }
+
+  return buildPage(notifications || [], page);
+};
+
 /**
  * Delete a notification
  * 
@@ -215,5 +243,6 @@ module.exports = {
   createMatchReminders,
   markNotificationRead,
   getUserNotifications,
+  getUserNotificationPage,
   deleteNotification
 }; 
\ No newline at end of file
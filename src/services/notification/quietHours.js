@@ -0,0 +1,142 @@
+/**
+ * Quiet hours for scheduled notifications
+ * Scheduled jobs run on the server clock. Daily jobs run hourly and pick the users
+ * whose local time is the hour they target (selectUsersAtLocalTime), and every
+ * scheduled notification goes through notifyOutsideQuietHours, which holds it in
+ * deferred_notifications while the user is in their quiet hours. Held notifications
+ * are delivered when the quiet hours end, or dropped if they expire first (a streak
+ * warning is useless once the streak is lost).
+ */
+
+const supabase = require('../../config/database');
+const logger = require('../../utils/logger');
+const userService = require('../userService');
+const { getLocalTime, isWithinQuietHours, getQuietHoursEnd } = require('../../utils/timezone');
+
+const DEFERRED_BATCH_SIZE = 500;
+
+/**
+ * Users whose local time is in a given hour, with their settings
+ * @param {Array<string>} userIds - Candidate user IDs
+ * @param {object} localTime - { hour, weekday } to match; weekday 0 is Sunday and is optional
+ * @param {Date} now - Current time
+ * @returns {Promise<Map<string, object>>} Settings of the matching users
+ */
+const selectUsersAtLocalTime = async (userIds, { hour, weekday }, now = new Date()) => {
+  const settings = await userService.getTimeZoneSettings(userIds);
+
+  return new Map([...settings].filter(([, userSettings]) => {
+    const local = getLocalTime(userSettings.timezone, now);
+    return local.hour === hour && (weekday === undefined || local.weekday === weekday);
+  }));
+};
+
+/**
+ * Store a notification and push it to the user if they're connected
+ * @param {string} userId - User ID
+ * @param {object} notification - notifications columns besides user_id
+ * @returns {Promise<object>} Created notification
+ */
+const insertNotification = async (userId, notification) => {
+  const { data, error } = await supabase
+    .from('notifications')
+    .insert({
+      is_read: false,
+      created_at: new Date(),
+      ...notification,
+      user_id: userId
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const { emitToUser } = require('../../socket/socketManager');
+  emitToUser(userId, 'notification:new', data);
+
+  return data;
+};
+
+/**
+ * Send a scheduled notification now, or hold it until the user's quiet hours end
+ * @param {string} userId - User ID
+ * @param {object} notification - notifications columns besides user_id
+ * @param {object} options - { settings, expiresAt, now }; settings are looked up when not given
+ * @returns {Promise<string>} 'sent', 'deferred', or 'dropped' if it would expire before the quiet hours end
+ */
+const notifyOutsideQuietHours = async (userId, notification, { settings = null, expiresAt = null, now = new Date() } = {}) => {
+  const userSettings = settings || (await userService.getTimeZoneSettings([userId])).get(userId);
+
+  if (!isWithinQuietHours(userSettings, now)) {
+    await insertNotification(userId, notification);
+    return 'sent';
+  }
+
+  const deliverAt = getQuietHoursEnd(userSettings, now);
+
+  if (expiresAt && new Date(expiresAt) <= deliverAt) {
+    logger.info(`Dropped ${notification.type} notification for user ${userId}: it expires during their quiet hours`);
+    return 'dropped';
+  }
+
+  const { error } = await supabase
+    .from('deferred_notifications')
+    .insert({
+      user_id: userId,
+      notification,
+      deliver_at: deliverAt.toISOString(),
+      expires_at: expiresAt ? new Date(expiresAt).toISOString() : null
+    });
+
+  if (error) throw error;
+
+  return 'deferred';
+};
+
+/**
+ * Deliver held notifications whose quiet hours have ended, and drop expired ones
+ * This would be run as a scheduled job
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Notifications delivered
+ */
+const deliverDeferredNotifications = async (now = new Date()) => {
+  const { data: due, error } = await supabase
+    .from('deferred_notifications')
+    .select('*')
+    .lte('deliver_at', now.toISOString())
+    .order('deliver_at', { ascending: true })
+    .limit(DEFERRED_BATCH_SIZE);
+
+  if (error) throw error;
+
+  let delivered = 0;
+
+  for (const deferred of due || []) {
+    try {
+      // Deleting first claims the row, so a notification is never delivered twice
+      const { data: claimed, error: claimError } = await supabase
+        .from('deferred_notifications')
+        .delete()
+        .eq('id', deferred.id)
+        .select('id');
+
+      if (claimError) throw claimError;
+      if (!claimed || claimed.length === 0) continue;
+
+      if (deferred.expires_at && new Date(deferred.expires_at) <= now) continue;
+
+      await insertNotification(deferred.user_id, deferred.notification);
+      delivered++;
+    } catch (deliveryError) {
+      logger.error(`Error delivering deferred notification ${deferred.id}: ${deliveryError.message}`);
+    }
+  }
+
+  return delivered;
+};
+
+module.exports = {
+  selectUsersAtLocalTime,
+  notifyOutsideQuietHours,
+  deliverDeferredNotifications
+};
@@ -0,0 +1,133 @@
+const cron = require('node-cron');
+const logger = require('../../utils/logger');
+const { releaseDueMessages, purgeExpiredMessages } = require('../messageService');
+const streakService = require('../streakService');
+const { EVENTS, publish } = require('../eventBus');
+
+// Guards so a slow run isn't overlapped by the next tick
+let releasing = false;
+let purging = false;
+
+/**
+ * Tell both participants a scheduled message arrived and count it like a sent message
+ * @param {object} scheduledMessage - Delivered scheduled_messages row
+ * @param {object} message - Message it created
+ */
+const announceDelivery = async (scheduledMessage, message) => {
+  const { emitToUser } = require('../../socket/socketManager');
+
+  emitToUser(message.receiver_id, 'message:received', {
+    ...message,
+    messageId: message.id,
+    senderId: message.sender_id,
+    receiverId: message.receiver_id,
+    mediaUrl: message.media_url,
+    timestamp: message.created_at,
+    conversationKey: message.conversation_key
+  });
+
+  emitToUser(message.sender_id, 'message:scheduledDelivered', {
+    scheduledId: scheduledMessage.id,
+    message
+  });
+
+  // The streak counts the day the message arrives, not the day it was written
+  await streakService.updateConversationStreak(
+    streakService.getConversationId(message.sender_id, message.receiver_id),
+    message.sender_id,
+    message.receiver_id,
+    message.created_at
+  );
+
+  await publish(EVENTS.MESSAGE_SENT, {
+    userId: message.sender_id,
+    receiverId: message.receiver_id,
+    hasMedia: Boolean(message.media_url)
+  });
+};
+
+/**
+ * Deliver scheduled messages that are due
+ * Released messages are already saved, so a failure announcing one is logged
+ * and the rest of the batch is still announced
+ * @returns {Promise<number>} Number of messages delivered
+ */
+const deliverScheduledMessages = async () => {
+  if (releasing) {
+    return 0;
+  }
+
+  releasing = true;
+  try {
+    const released = await releaseDueMessages();
+
+    for (const { scheduledMessage, message } of released) {
+      try {
+        await announceDelivery(scheduledMessage, message);
+      } catch (err) {
+        logger.error(`Error announcing scheduled message ${scheduledMessage.id} (message ${message.id}): ${err.message}`);
+      }
+    }
+
+    if (released.length > 0) {
+      logger.info(`Delivered ${released.length} scheduled messages`);
+    }
+    return released.length;
+  } catch (err) {
+    logger.error(`Error in deliverScheduledMessages: ${err.message}`);
+    return 0;
+  } finally {
+    releasing = false;
+  }
+};
+
+/**
+ * Remove disappearing messages whose time ran out and tell both participants
+ * @returns {Promise<number>} Number of messages removed
+ */
+const removeExpiredMessages = async () => {
+  if (purging) {
+    return 0;
+  }
+
+  purging = true;
+  try {
+    const expired = await purgeExpiredMessages();
+    const { notifyMessageDeletion } = require('../../socket/socketManager');
+
+    expired.forEach(message => notifyMessageDeletion(message.id, message.sender_id, message.receiver_id));
+
+    if (expired.length > 0) {
+      logger.info(`Removed ${expired.length} expired disappearing messages`);
+    }
+    return expired.length;
+  } catch (err) {
+    logger.error(`Error in removeExpiredMessages: ${err.message}`);
+    return 0;
+  } finally {
+    purging = false;
+  }
+};
+
+/**
+ * Initialize scheduled and disappearing message jobs
+ */
+const initializeScheduledMessages = () => {
+  // Release send-later messages - runs every 15 seconds
+  cron.schedule('*/15 * * * * *', async () => {
+    await deliverScheduledMessages();
+  });
+
+  // Purge disappearing messages - runs every 30 seconds
+  cron.schedule('*/30 * * * * *', async () => {
+    await removeExpiredMessages();
+  });
+
+  logger.info('Scheduled message jobs initialized');
+};
+
+module.exports = {
+  initializeScheduledMessages,
+  deliverScheduledMessages,
+  removeExpiredMessages
+};
@@ -3,7 +3,17 @@ const logger = require('../../utils/logger');
 const { supabase } = require('../../config/database');
 const notificationService = require('./notificationService');
 const userService = require('../userService');
+const streakService = require('../streakService');
 const { sendPersonalizedReEngagementNotifications } = require('./aiNotificationService');
+const { generatePersonalizedNotification } = require('../ai/aiCopilotService');
+const { selectUsersAtLocalTime, notifyOutsideQuietHours, deliverDeferredNotifications } = require('./quietHours');
+
+// Local times the daily and weekly notifications are sent at; the jobs run hourly to reach every timezone
+const INACTIVE_CONVERSATION_HOUR = 10;
+const MATCH_SUGGESTION_HOUR = 19;
+const RE_ENGAGEMENT_HOUR = 17;
+const WEEKLY_DIGEST_HOUR = 12;
+const WEEKLY_DIGEST_WEEKDAY = 0; // Sunday
 
 /**
  * Initialize scheduled notification tasks
@@ -11,26 +21,36 @@ const { sendPersonalizedReEngagementNotifications } = require('./aiNotificationS
 const initScheduledNotifications = () => {
   logger.info('Starting scheduled notification system...');
   
-  // Daily inactive conversation reminders - runs at 10:00 AM every day
-  cron.schedule('0 10 * * *', async () => {
+  // Daily inactive conversation reminders - sent at 10:00 AM local time
+  cron.schedule('0 * * * *', async () => {
     await handleInactiveConversations();
   });
   
-  // Streak alerts - runs every 6 hours
-  cron.schedule('0 */6 * * *', async () => {
+  // Streak alerts - runs hourly for streaks in their last hour
+  cron.schedule('0 * * * *', async () => {
     await handleConversationStreaks();
   });
   
-  // Daily match suggestions - runs at 7:00 PM every day
-  cron.schedule('0 19 * * *', async () => {
+  // Daily match suggestions - sent at 7:00 PM local time
+  cron.schedule('0 * * * *', async () => {
     await sendDailyMatchSuggestions();
   });
   
-  // AI-powered personalized notifications - runs at 5:00 PM every day
-  cron.schedule('0 17 * * *', async () => {
+  // AI-powered personalized notifications - sent at 5:00 PM local time
+  cron.schedule('0 * * * *', async () => {
     await sendPersonalizedNotifications();
   });
   
+  // Notifications held during quiet hours - delivered every 15 minutes once the hours end
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      const count = await deliverDeferredNotifications();
+      logger.info(`Delivered ${count} deferred notifications`);
+    } catch (err) {
+      logger.error(`Error delivering deferred notifications: ${err.message}`);
+    }
+  });
+  
   logger.info('Scheduled notification system initialized');
 };
 
@@ -55,36 +75,46 @@ const handleInactiveConversations = async () => {
       return 0;
     }
     
+    // Only participants for whom it is now 10 AM are reminded
+    const settings = await selectUsersAtLocalTime(
+      conversations.flatMap(conversation => [conversation.user1_id, conversation.user2_id]),
+      { hour: INACTIVE_CONVERSATION_HOUR }
+    );
+    
     let notificationCount = 0;
     
     for (const conversation of conversations) {
       try {
-        // Create notification for both participants
-        await notificationService.createNotification(
-          conversation.user1_id,
-          'CONVERSATION_INACTIVE',
-          {
-            conversationId: conversation.id,
-            userId: conversation.user2_id,
-            userName: conversation.user2_name,
-            userPhoto: conversation.user2_photo,
-            lastMessageAt: conversation.last_message_at
-          }
-        );
-        
-        await notificationService.createNotification(
-          conversation.user2_id,
-          'CONVERSATION_INACTIVE',
-          {
-            conversationId: conversation.id,
-            userId: conversation.user1_id,
-            userName: conversation.user1_name,
-            userPhoto: conversation.user1_photo,
-            lastMessageAt: conversation.last_message_at
-          }
-        );
+        // Create notification for each participant
+        if (settings.has(conversation.user1_id)) {
+          await notifyOutsideQuietHours(conversation.user1_id, {
+            type: 'CONVERSATION_INACTIVE',
+            data: {
+              conversationId: conversation.id,
+              userId: conversation.user2_id,
+              userName: conversation.user2_name,
+              userPhoto: conversation.user2_photo,
+              lastMessageAt: conversation.last_message_at
+            }
+          }, { settings: settings.get(conversation.user1_id) });
+          
+          notificationCount++;
+        }
         
-        notificationCount += 2;
+        if (settings.has(conversation.user2_id)) {
+          await notifyOutsideQuietHours(conversation.user2_id, {
+            type: 'CONVERSATION_INACTIVE',
+            data: {
+              conversationId: conversation.id,
+              userId: conversation.user1_id,
+              userName: conversation.user1_name,
+              userPhoto: conversation.user1_photo,
+              lastMessageAt: conversation.last_message_at
+            }
+          }, { settings: settings.get(conversation.user2_id) });
+          
+          notificationCount++;
+        }
       } catch (err) {
         logger.error(`Error processing conversation ${conversation.id}: ${err.message}`);
       }
@@ -106,49 +136,30 @@ const handleConversationStreaks = async () => {
   try {
     logger.info('Running conversation streak check');
     
-    // Get active streaks that might expire soon (23-24 hours since last message)
-    const { data: streaks, error: streakError } = await supabase.rpc(
-      'get_expiring_streaks',
-      { hours_lower: 23, hours_upper: 24 }
-    );
-    
-    if (streakError) {
-      logger.error(`Error fetching expiring streaks: ${streakError.message}`);
-      return 0;
-    }
+    // Get active streaks that expire within the hour, on the pair's calendar
+    const streaks = await streakService.findExpiringStreaks(0, 1);
     
     let notificationCount = 0;
     
     for (const streak of streaks) {
       try {
-        // Notify both users about the expiring streak
-        await notificationService.createNotification(
-          streak.user1_id,
-          'STREAK_ALERT',
-          {
-            conversationId: streak.conversation_id,
-            userId: streak.user2_id,
-            userName: streak.user2_name,
-            currentStreak: streak.current_streak,
-            expiresAt: streak.expires_at
-          }
-        );
-        
-        await notificationService.createNotification(
-          streak.user2_id,
-          'STREAK_ALERT',
-          {
-            conversationId: streak.conversation_id,
-            userId: streak.user1_id,
-            userName: streak.user1_name,
-            currentStreak: streak.current_streak,
-            expiresAt: streak.expires_at
-          }
-        );
-        
-        notificationCount += 2;
+        // Notify both users about the expiring streak; an alert held for quiet hours is dropped once the streak expires
+        for (const [user, otherUser] of [[streak.user1, streak.user2], [streak.user2, streak.user1]]) {
+          const status = await notifyOutsideQuietHours(user.id, {
+            type: 'STREAK_ALERT',
+            data: {
+              conversationId: streak.conversationId,
+              userId: otherUser.id,
+              userName: otherUser.firstName || otherUser.username,
+              currentStreak: streak.currentStreak,
+              expiresAt: streak.expiresAt
+            }
+          }, { expiresAt: streak.expiresAt });
+          
+          if (status !== 'dropped') notificationCount++;
+        }
       } catch (err) {
-        logger.error(`Error processing streak for conversation ${streak.conversation_id}: ${err.message}`);
+        logger.error(`Error processing streak for conversation ${streak.conversationId}: ${err.message}`);
       }
     }
     
@@ -181,9 +192,12 @@ const sendDailyMatchSuggestions = async () => {
       return 0;
     }
     
+    // Only users for whom it is now 7 PM get their suggestions
+    const settings = await selectUsersAtLocalTime(users.map(user => user.id), { hour: MATCH_SUGGESTION_HOUR });
+    
     let notificationCount = 0;
     
-    for (const user of users) {
+    for (const user of users.filter(candidate => settings.has(candidate.id))) {
       try {
         // Find potential matches for this user
         const { data: potentialMatches, error: matchError } = await supabase.rpc(
@@ -199,10 +213,9 @@ const sendDailyMatchSuggestions = async () => {
         }
         
         // Create a notification with match suggestions
-        await notificationService.createNotification(
-          user.id,
-          'DAILY_MATCH_SUGGESTIONS',
-          {
+        await notifyOutsideQuietHours(user.id, {
+          type: 'DAILY_MATCH_SUGGESTIONS',
+          data: {
             matches: potentialMatches.map(match => ({
               userId: match.id,
               userName: match.username,
@@ -210,7 +223,7 @@ const sendDailyMatchSuggestions = async () => {
               compatibility: match.compatibility_score
             }))
           }
-        );
+        }, { settings: settings.get(user.id) });
         
         notificationCount++;
       } catch (err) {
@@ -253,9 +266,12 @@ const sendPersonalizedNotifications = async () => {
       return 0;
     }
     
+    // Only users for whom it is now 5 PM are notified
+    const settings = await selectUsersAtLocalTime(inactiveUsers.map(user => user.id), { hour: RE_ENGAGEMENT_HOUR });
+    
     let notificationCount = 0;
     
-    for (const user of inactiveUsers) {
+    for (const user of inactiveUsers.filter(candidate => settings.has(candidate.id))) {
       try {
         // Gather user activity data for personalized notification
         const [unreadMessages, newMatches, streakData] = await Promise.all([
@@ -278,18 +294,17 @@ const sendPersonalizedNotifications = async () => {
           currentStreakDays: streakData ? streakData.streak_days : 0
         };
         
-        // Generate personalized notification using Gemini AI
+        // Generate personalized notification with AI
         const notification = await generatePersonalizedNotification(userActivity);
         
         // Create notification with generated content
-        await notificationService.createNotification(
-          user.id,
-          notification.type,
-          {
+        await notifyOutsideQuietHours(user.id, {
+          type: notification.type,
+          data: {
             message: notification.text,
             priority: notification.priority
           }
-        );
+        }, { settings: settings.get(user.id) });
         
         notificationCount++;
       } catch (err) {
@@ -415,13 +430,13 @@ const getUserActiveConversationsCount = async (userId) => {
 
 // Schedule for daily notification for inactive users
 const scheduleReEngagementNotifications = () => {
-  // Run at 5:00 PM every day (17:00)
-  cron.schedule('0 17 * * *', async () => {
+  // Run hourly, for the users for whom it is 5:00 PM (17:00)
+  cron.schedule('0 * * * *', async () => {
     try {
       logger.info('Running scheduled re-engagement notifications');
       
       // Send AI-powered personalized notifications
-      const aiResult = await sendPersonalizedReEngagementNotifications();
+      const aiResult = await sendPersonalizedReEngagementNotifications({ hour: RE_ENGAGEMENT_HOUR });
       
       if (aiResult.success) {
         logger.info(`Successfully sent ${aiResult.count} AI-powered re-engagement notifications`);
@@ -439,9 +454,12 @@ const scheduleReEngagementNotifications = () => {
           return;
         }
         
-        logger.info(`Found ${inactiveUsers.length} inactive users for template notifications`);
+        const settings = await selectUsersAtLocalTime(inactiveUsers.map(user => user.id), { hour: RE_ENGAGEMENT_HOUR });
+        const dueUsers = inactiveUsers.filter(user => settings.has(user.id));
         
-        for (const user of inactiveUsers) {
+        logger.info(`Found ${dueUsers.length} inactive users for template notifications`);
+        
+        for (const user of dueUsers) {
           try {
             // Get the number of new matches and messages for this user
             const { data: newMatches } = await notificationService.getUnreadMatchesCount(user.id);
@@ -454,16 +472,15 @@ const scheduleReEngagementNotifications = () => {
               content = `You have ${newMatches} new matches and ${newMessages} unread messages waiting for you!`;
             }
             
-            await notificationService.createNotification({
-              user_id: user.id,
+            await notifyOutsideQuietHours(user.id, {
               type: 'RE_ENGAGEMENT',
-              content: content,
+              message: content,
               data: {
                 source: 'template',
                 new_matches: newMatches,
                 new_messages: newMessages
               }
-            });
+            }, { settings: settings.get(user.id) });
           } catch (userError) {
             logger.error(`Failed to send template notification to user ${user.id}`, userError);
           }
@@ -474,12 +491,12 @@ const scheduleReEngagementNotifications = () => {
     }
   });
   
-  logger.info('Scheduled re-engagement notifications at 5:00 PM daily');
+  logger.info('Scheduled re-engagement notifications at 5:00 PM local time daily');
 };
 
-// Schedule for weekly matches digest (every Sunday at noon)
+// Schedule for weekly matches digest (every Sunday at noon, local time)
 const scheduleWeeklyMatchesDigest = () => {
-  cron.schedule('0 12 * * 0', async () => {
+  cron.schedule('0 * * * *', async () => {
     try {
       logger.info('Running weekly matches digest');
       
@@ -491,9 +508,15 @@ const scheduleWeeklyMatchesDigest = () => {
         return;
       }
       
-      logger.info(`Sending weekly digest to ${users.length} users`);
+      const settings = await selectUsersAtLocalTime(
+        users.map(user => user.id),
+        { hour: WEEKLY_DIGEST_HOUR, weekday: WEEKLY_DIGEST_WEEKDAY }
+      );
+      const dueUsers = users.filter(user => settings.has(user.id));
+      
+      logger.info(`Sending weekly digest to ${dueUsers.length} users`);
       
-      for (const user of users) {
+      for (const user of dueUsers) {
         try {
           // Get matches from the past week
           const oneWeekAgo = new Date();
@@ -502,15 +525,14 @@ const scheduleWeeklyMatchesDigest = () => {
           const { data: weeklyMatches } = await notificationService.getMatchesSince(user.id, oneWeekAgo.toISOString());
           
           if (weeklyMatches && weeklyMatches.length > 0) {
-            await notificationService.createNotification({
-              user_id: user.id,
+            await notifyOutsideQuietHours(user.id, {
               type: 'WEEKLY_DIGEST',
-              content: `You had ${weeklyMatches.length} new matches this week! Check them out!`,
+              message: `You had ${weeklyMatches.length} new matches this week! Check them out!`,
               data: {
                 matches_count: weeklyMatches.length,
                 period: 'weekly'
               }
-            });
+            }, { settings: settings.get(user.id) });
           }
         } catch (userError) {
           logger.error(`Failed to send weekly digest to user ${user.id}`, userError);
@@ -521,7 +543,7 @@ const scheduleWeeklyMatchesDigest = () => {
     }
   });
   
-  logger.info('Scheduled weekly matches digest for Sundays at noon');
+  logger.info('Scheduled weekly matches digest for Sundays at noon local time');
 };
 
 // Initialize all scheduled notifications
@@ -1,14 +1,14 @@
 const schedule = require('node-schedule');
 const streakService = require('../streakService');
-const supabase = require('../../config/database');
 const logger = require('../../utils/logger');
+const { notifyOutsideQuietHours } = require('./quietHours');
 
 /**
- * Initialize streak notification job to run daily
+ * Initialize streak notification jobs
  */
 const initializeStreakNotifications = () => {
-  // Run once at midnight
-  schedule.scheduleJob('0 0 * * *', async () => {
+  // Run hourly; milestones reached by users in their quiet hours are held until the hours end
+  schedule.scheduleJob('15 * * * *', async () => {
     try {
       logger.info('Running streak notifications job');
       await sendStreakMilestoneNotifications();
@@ -18,7 +18,18 @@ const initializeStreakNotifications = () => {
     }
   });
   
-  // Run hourly to check for expiring streaks (between 20-23 hours of inactivity)
+  // Run hourly to use freezes on streaks that missed a day, and break the rest
+  schedule.scheduleJob('30 * * * *', async () => {
+    try {
+      logger.info('Running lapsed streak job');
+      await sendLapsedStreakNotifications();
+      logger.info('Lapsed streak job completed');
+    } catch (error) {
+      logger.error(`Error in lapsed streak job: ${error.message}`);
+    }
+  });
+  
+  // Run hourly to warn about streaks that expire in 3-4 hours
   schedule.scheduleJob('0 * * * *', async () => {
     try {
       logger.info('Running expiring streak check job');
@@ -34,40 +45,31 @@ const initializeStreakNotifications = () => {
 
 /**
  * Send notifications for expiring streaks
+ * Each streak is found by one hourly run; a warning held for quiet hours is dropped if the streak expires first
  */
 const sendExpiringStreakNotifications = async () => {
   try {
-    // Find streaks that will expire in 20-23 hours
-    const expiringStreaks = await streakService.findExpiringStreaks(20, 23);
+    // Find streaks that will expire in 3-4 hours
+    const expiringStreaks = await streakService.findExpiringStreaks(3, 4);
     logger.info(`Found ${expiringStreaks.length} expiring streaks`);
     
     for (const streak of expiringStreaks) {
       // Create notifications for both users
-      await createStreakNotification(
-        streak.user1_id,
-        'Your streak is about to expire!',
-        `Your ${streak.current_streak}-day streak with ${streak.user2_name} will expire soon. Send a message to keep it going!`,
-        'streak_expiring',
-        {
-          conversationId: streak.conversation_id,
-          otherUserId: streak.user2_id,
-          currentStreak: streak.current_streak,
-          expiresAt: streak.expires_at
-        }
-      );
-      
-      await createStreakNotification(
-        streak.user2_id,
-        'Your streak is about to expire!',
-        `Your ${streak.current_streak}-day streak with ${streak.user1_name} will expire soon. Send a message to keep it going!`,
-        'streak_expiring',
-        {
-          conversationId: streak.conversation_id,
-          otherUserId: streak.user1_id,
-          currentStreak: streak.current_streak,
-          expiresAt: streak.expires_at
-        }
-      );
+      for (const [user, otherUser] of [[streak.user1, streak.user2], [streak.user2, streak.user1]]) {
+        await createStreakNotification(
+          user.id,
+          'Your streak is about to expire!',
+          `Your ${streak.currentStreak}-day streak with ${otherUser.firstName || otherUser.username} will expire soon. Send a message to keep it going!`,
+          'streak_expiring',
+          {
+            conversationId: streak.conversationId,
+            otherUserId: otherUser.id,
+            currentStreak: streak.currentStreak,
+            expiresAt: streak.expiresAt
+          },
+          streak.expiresAt
+        );
+      }
     }
     
     return expiringStreaks.length;
@@ -77,6 +79,54 @@ const sendExpiringStreakNotifications = async () => {
   }
 };
 
+/**
+ * Process lapsed streaks and tell both users whether a freeze saved their streak or it broke
+ */
+const sendLapsedStreakNotifications = async () => {
+  try {
+    const outcomes = await streakService.processLapsedStreaks();
+    logger.info(`Processed ${outcomes.length} lapsed streaks`);
+    
+    for (const outcome of outcomes) {
+      for (const userId of [outcome.user1Id, outcome.user2Id]) {
+        if (outcome.action === 'frozen') {
+          await createStreakNotification(
+            userId,
+            'Your streak was frozen',
+            `A streak freeze kept your ${outcome.currentStreak}-day streak alive. Send a message to keep it going!`,
+            'streak_frozen',
+            {
+              conversationId: outcome.conversationId,
+              currentStreak: outcome.currentStreak,
+              freezesUsed: outcome.freezesUsed,
+              frozenUntil: outcome.frozenUntil
+            },
+            outcome.frozenUntil
+          );
+        } else if (outcome.repairUntil) {
+          await createStreakNotification(
+            userId,
+            'Your streak ended',
+            `Your ${outcome.currentStreak}-day streak ended. You can repair it for free for the next ${streakService.STREAK_REPAIR_HOURS} hours.`,
+            'streak_broken',
+            {
+              conversationId: outcome.conversationId,
+              lostStreak: outcome.currentStreak,
+              repairUntil: outcome.repairUntil
+            },
+            outcome.repairUntil
+          );
+        }
+      }
+    }
+    
+    return outcomes.length;
+  } catch (error) {
+    logger.error(`Error sending lapsed streak notifications: ${error.message}`);
+    throw error;
+  }
+};
+
 /**
  * Send notifications for streak milestones
  */
@@ -126,29 +176,12 @@ const sendStreakMilestoneNotifications = async () => {
 };
 
 /**
- * Create a notification for a user
+ * Create a notification for a user, held until their quiet hours end
+ * @param {string|Date|null} expiresAt - When the notification stops being useful
  */
-const createStreakNotification = async (userId, title, message, type, metadata) => {
+const createStreakNotification = async (userId, title, message, type, metadata, expiresAt = null) => {
   try {
-    const { error } = await supabase
-      .from('notifications')
-      .insert({
-        user_id: userId,
-        title,
-        message,
-        type,
-        metadata,
-        is_read: false,
-        created_at: new Date()
-      });
-    
-    if (error) {
-      logger.error(`Error creating streak notification: ${error.message}`);
-      throw error;
-    }
-    
-    // Real-time notification could be handled through socket here
-    
+    await notifyOutsideQuietHours(userId, { title, message, type, metadata }, { expiresAt });
   } catch (error) {
     logger.error(`Error creating streak notification: ${error.message}`);
     throw error;
@@ -158,5 +191,6 @@ const createStreakNotification = async (userId, title, message, type, metadata)
 module.exports = {
   initializeStreakNotifications,
   sendExpiringStreakNotifications,
+  sendLapsedStreakNotifications,
   sendStreakMilestoneNotifications
 }; 
\ No newline at end of file
@@ -2,6 +2,9 @@ const schedule = require('node-schedule');
 const wheelService = require('../wheelService');
 const supabase = require('../../config/database');
 const logger = require('../../utils/logger');
+const { selectUsersAtLocalTime, notifyOutsideQuietHours } = require('./quietHours');
+
+const WHEEL_REMINDER_HOUR = 20; // Local time reminders are sent at
 
 /**
  * Initialize wheel notification jobs
@@ -18,8 +21,8 @@ const initializeWheelNotifications = () => {
     }
   });
   
-  // Remind users who haven't spun the wheel today at 8 PM
-  schedule.scheduleJob('0 20 * * *', async () => {
+  // Remind users who haven't spun the wheel today at 8 PM their time
+  schedule.scheduleJob('0 * * * *', async () => {
     try {
       logger.info('Running wheel reminder job');
       await sendWheelReminders();
@@ -33,10 +36,12 @@ const initializeWheelNotifications = () => {
 };
 
 /**
- * Send reminders to users who haven't spun the wheel today
+ * Send reminders to users who haven't spun the wheel today and for whom it is now 8 PM
  */
 const sendWheelReminders = async () => {
   try {
+    const now = new Date();
+    
     // Get users who haven't spun the wheel today
     const { data: eligibleUsers, error } = await supabase.rpc(
       'get_users_eligible_for_wheel_spin',
@@ -46,8 +51,6 @@ const sendWheelReminders = async () => {
     if (error) {
       // If the RPC doesn't exist, perform query directly
       if (error.message.includes('does not exist')) {
-        const now = new Date();
-        
         // Find users with no spin record or whose next_available_spin_at has passed
         const { data: users, error: usersError } = await supabase
           .from('users')
@@ -60,25 +63,14 @@ const sendWheelReminders = async () => {
         
         if (usersError) throw usersError;
         
-        // Send notifications to eligible users
-        for (const user of users || []) {
-          await sendWheelReminderNotification(user.id, user.first_name || user.username);
-        }
-        
-        logger.info(`Sent wheel reminders to ${users?.length || 0} users`);
-        return users?.length || 0;
+        return sendReminders(users || [], now);
       } else {
         throw error;
       }
     }
     
     // Send notifications to eligible users from RPC
-    for (const user of eligibleUsers || []) {
-      await sendWheelReminderNotification(user.id, user.first_name || user.username);
-    }
-    
-    logger.info(`Sent wheel reminders to ${eligibleUsers?.length || 0} users`);
-    return eligibleUsers?.length || 0;
+    return sendReminders(eligibleUsers || [], now);
   } catch (error) {
     logger.error(`Error sending wheel reminders: ${error.message}`);
     throw error;
@@ -86,33 +78,39 @@ const sendWheelReminders = async () => {
 };
 
 /**
- * Send a wheel reminder notification to a user
+ * Remind the eligible users for whom it is the reminder hour
+ * @param {Array<object>} users - Eligible users { id, first_name, username }
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Reminders sent or held for quiet hours
+ */
+const sendReminders = async (users, now) => {
+  const settings = await selectUsersAtLocalTime(users.map(user => user.id), { hour: WHEEL_REMINDER_HOUR }, now);
+  const dueUsers = users.filter(user => settings.has(user.id));
+  
+  for (const user of dueUsers) {
+    await sendWheelReminderNotification(user.id, user.first_name || user.username, settings.get(user.id));
+  }
+  
+  logger.info(`Sent wheel reminders to ${dueUsers.length} users`);
+  return dueUsers.length;
+};
+
+/**
+ * Send a wheel reminder notification to a user, held until their quiet hours end
  * @param {string} userId - User ID
  * @param {string} userName - User's name
+ * @param {object} settings - User's timezone settings
  */
-const sendWheelReminderNotification = async (userId, userName) => {
+const sendWheelReminderNotification = async (userId, userName, settings) => {
   try {
-    const { error } = await supabase
-      .from('notifications')
-      .insert({
-        user_id: userId,
-        title: 'Daily Wheel Spin Available!',
-        message: `Hey ${userName}! You haven't spun the wheel today. Spin now for a chance to win special rewards!`,
-        type: 'wheel_reminder',
-        metadata: {
-          action: 'wheel_spin'
-        },
-        is_read: false,
-        created_at: new Date()
-      });
-    
-    if (error) {
-      logger.error(`Error creating wheel reminder notification: ${error.message}`);
-      throw error;
-    }
-    
-    // Real-time notification could be handled through socket here
-    
+    await notifyOutsideQuietHours(userId, {
+      title: 'Daily Wheel Spin Available!',
+      message: `Hey ${userName}! You haven't spun the wheel today. Spin now for a chance to win special rewards!`,
+      type: 'wheel_reminder',
+      metadata: {
+        action: 'wheel_spin'
+      }
+    }, { settings });
   } catch (error) {
     logger.error(`Error creating wheel reminder notification: ${error.message}`);
     throw error;
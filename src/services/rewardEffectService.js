@@ -0,0 +1,281 @@
+/**
+ * Reward effect service
+ * Claiming a wheel reward turns the effects configured in its value.effects into
+ * user_reward_effects rows. Other features consult the active ones: matchmaking
+ * pairs boosted users first, the wheel grants extra spins, the feed features
+ * spotlighted profiles and profile responses show badges. Effects end when they
+ * expire (see expireEffects) or, for counted effects, when they are used up.
+ */
+
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+const { rewardEffectSchema } = require('../models/rewardEffect');
+
+/**
+ * How long each effect type lasts unless its config sets duration_hours,
+ * and whether it is used up by count
+ */
+const REWARD_EFFECTS = {
+  matchmaking_boost: { defaultDurationHours: 24 },
+  extra_spins: { defaultDurationHours: 24 * 30, counted: true },
+  profile_spotlight: { defaultDurationHours: 24 },
+  profile_badge: { defaultDurationHours: 24 * 7 }
+};
+
+/**
+ * Effect summary for API responses
+ * @param {object} row - user_reward_effects row
+ * @returns {object} Effect
+ */
+const toEffect = (row) => ({
+  id: row.id,
+  type: row.type,
+  config: row.config,
+  remaining: row.remaining,
+  startsAt: row.starts_at,
+  expiresAt: row.expires_at
+});
+
+/**
+ * Effects configured on a wheel reward
+ * Entries that don't validate are logged and skipped, so a bad config can't break claiming
+ * @param {object} wheelReward - wheel_rewards row
+ * @returns {Array<object>} Validated effect configs
+ */
+const getConfiguredEffects = (wheelReward) => {
+  const effects = (wheelReward && wheelReward.value && wheelReward.value.effects) || [];
+
+  return (Array.isArray(effects) ? effects : []).reduce((valid, effect) => {
+    const { error, value } = rewardEffectSchema.validate(effect);
+    if (error) {
+      logger.warn(`Skipping invalid effect of wheel reward ${wheelReward.id}: ${error.message}`);
+      return valid;
+    }
+    return [...valid, value];
+  }, []);
+};
+
+/**
+ * Start the effects of a claimed reward
+ * @param {object} userReward - Claimed user_rewards row
+ * @param {object} wheelReward - Its wheel_rewards row
+ * @returns {Promise<Array<object>>} Effects that started
+ */
+const applyRewardEffects = async (userReward, wheelReward) => {
+  const configs = getConfiguredEffects(wheelReward);
+  if (configs.length === 0) {
+    return [];
+  }
+
+  const now = new Date();
+
+  const rows = configs.map(({ type, duration_hours: durationHours, ...config }) => {
+    const definition = REWARD_EFFECTS[type];
+    const expiresAt = new Date(now.getTime() + (durationHours || definition.defaultDurationHours) * 60 * 60 * 1000);
+
+    return {
+      user_id: userReward.user_id,
+      user_reward_id: userReward.id,
+      type,
+      config,
+      remaining: definition.counted ? config.count : null,
+      starts_at: now.toISOString(),
+      expires_at: expiresAt.toISOString()
+    };
+  });
+
+  // The unique (user_reward_id, type) constraint keeps a retried claim from stacking effects
+  const { data, error } = await supabase
+    .from('user_reward_effects')
+    .upsert(rows, { onConflict: 'user_reward_id,type', ignoreDuplicates: true })
+    .select();
+
+  if (error) throw error;
+
+  logger.info(`Started ${rows.map(row => row.type).join(', ')} for user ${userReward.user_id} from reward ${userReward.id}`);
+
+  return (data || []).map(toEffect);
+};
+
+/**
+ * Active effects of a type
+ * @param {string} type - Effect type
+ * @param {Array<string>|null} userIds - Users to look up, or null for everyone
+ * @returns {Promise<Array<object>>} user_reward_effects rows, newest first
+ */
+const getActiveEffects = async (type, userIds = null) => {
+  if (Array.isArray(userIds) && userIds.length === 0) {
+    return [];
+  }
+
+  let query = supabase
+    .from('user_reward_effects')
+    .select('*')
+    .eq('type', type)
+    .eq('status', 'active')
+    .gt('expires_at', new Date().toISOString())
+    .order('starts_at', { ascending: false });
+
+  if (userIds) {
+    query = query.in('user_id', userIds);
+  }
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+
+  return (data || []).filter(row => row.remaining === null || row.remaining > 0);
+};
+
+/**
+ * A user's active effects
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<object>>} Effects, newest first
+ */
+const getUserEffects = async (userId) => {
+  const { data, error } = await supabase
+    .from('user_reward_effects')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('status', 'active')
+    .gt('expires_at', new Date().toISOString())
+    .order('starts_at', { ascending: false });
+
+  if (error) throw error;
+
+  return (data || [])
+    .filter(row => row.remaining === null || row.remaining > 0)
+    .map(toEffect);
+};
+
+/**
+ * Matchmaking boost of each user; overlapping boosts don't add up, the largest applies
+ * @param {Array<string>} userIds - User IDs
+ * @returns {Promise<Map<string, number>>} Boost percentage by user, for boosted users only
+ */
+const getMatchmakingBoosts = async (userIds) => {
+  const effects = await getActiveEffects('matchmaking_boost', userIds);
+
+  return effects.reduce((boosts, effect) => {
+    const boost = effect.config.boost_percentage || 0;
+    if (boost > (boosts.get(effect.user_id) || 0)) {
+      boosts.set(effect.user_id, boost);
+    }
+    return boosts;
+  }, new Map());
+};
+
+/**
+ * Users in the spotlight, most recently started first
+ * @param {number} limit - Users to return
+ * @returns {Promise<Array<string>>} User IDs
+ */
+const getSpotlightUserIds = async (limit) => {
+  const effects = await getActiveEffects('profile_spotlight');
+  return [...new Set(effects.map(effect => effect.user_id))].slice(0, limit);
+};
+
+/**
+ * Badges a user's profile shows
+ * Badges are cosmetic, so a failed lookup shows none instead of failing the profile
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<object>>} Badges { badge, expiresAt }
+ */
+const getProfileBadges = async (userId) => {
+  try {
+    const effects = await getActiveEffects('profile_badge', [userId]);
+    const badges = new Map();
+
+    effects.forEach(effect => {
+      if (!badges.has(effect.config.badge)) {
+        badges.set(effect.config.badge, { badge: effect.config.badge, expiresAt: effect.expires_at });
+      }
+    });
+
+    return [...badges.values()];
+  } catch (err) {
+    logger.error(`Error getting profile badges for user ${userId}: ${err.message}`);
+    return [];
+  }
+};
+
+/**
+ * Uses left across a user's active counted effects of a type
+ * @param {string} userId - User ID
+ * @param {string} type - Counted effect type
+ * @returns {Promise<number>} Uses left
+ */
+const countRemaining = async (userId, type) => {
+  const effects = await getActiveEffects(type, [userId]);
+  return effects.reduce((sum, effect) => sum + effect.remaining, 0);
+};
+
+/**
+ * Use one unit of a counted effect, taking from the one that expires first
+ * @param {string} userId - User ID
+ * @param {string} type - Counted effect type
+ * @returns {Promise<boolean>} True if a unit was used, false if none was left
+ */
+const consumeEffect = async (userId, type) => {
+  const effects = (await getActiveEffects(type, [userId]))
+    .sort((a, b) => new Date(a.expires_at) - new Date(b.expires_at));
+
+  for (const effect of effects) {
+    const remaining = effect.remaining - 1;
+
+    // Conditional on the count we read, so two requests can't use the same unit
+    const { data, error } = await supabase
+      .from('user_reward_effects')
+      .update({
+        remaining,
+        status: remaining === 0 ? 'consumed' : 'active',
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', effect.id)
+      .eq('status', 'active')
+      .eq('remaining', effect.remaining)
+      .select('id');
+
+    if (error) throw error;
+
+    if (data && data.length > 0) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Mark effects past their expiry as expired
+ * This would be run as a scheduled job
+ * @returns {Promise<number>} Effects expired
+ */
+const expireEffects = async () => {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('user_reward_effects')
+    .update({ status: 'expired', updated_at: now })
+    .eq('status', 'active')
+    .lt('expires_at', now)
+    .select('id');
+
+  if (error) throw error;
+
+  return data ? data.length : 0;
+};
+
+module.exports = {
+  REWARD_EFFECTS,
+  getConfiguredEffects,
+  applyRewardEffects,
+  getActiveEffects,
+  getUserEffects,
+  getMatchmakingBoosts,
+  getSpotlightUserIds,
+  getProfileBadges,
+  countRemaining,
+  consumeEffect,
+  expireEffects
+};
@@ -0,0 +1,129 @@
+/**
+ * In-memory shared state store
+ * Keeps presence, match state, locks and pub/sub inside this process. Only
+ * suitable for a single instance (and for tests); use the Redis store when
+ * running several nodes. Values go through a JSON round-trip so code behaves
+ * the same against both stores.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+/**
+ * Copy a value the way the Redis store would serialise it
+ * @param {*} value - Value to store
+ * @returns {*} JSON copy of the value
+ */
+const serialise = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Create an in-memory shared state store
+ * @returns {object} Shared state store
+ */
+const createMemoryStore = () => {
+  // Namespace -> Map of key -> value
+  const namespaces = new Map();
+  // Lock key -> { token, expiresAt }
+  const locks = new Map();
+  const bus = new EventEmitter();
+  bus.setMaxListeners(0);
+
+  const namespace = (name) => {
+    if (!namespaces.has(name)) {
+      namespaces.set(name, new Map());
+    }
+    return namespaces.get(name);
+  };
+
+  return {
+    name: 'memory',
+
+    get: async (ns, key) => {
+      const value = namespace(ns).get(key);
+      return value === undefined ? null : serialise(value);
+    },
+
+    set: async (ns, key, value) => {
+      namespace(ns).set(key, serialise(value));
+    },
+
+    /**
+     * Remove a key from a namespace
+     * @param {string} ns - Namespace
+     * @param {string} key - Key
+     * @returns {Promise<boolean>} True if the key existed
+     */
+    delete: async (ns, key) => namespace(ns).delete(key),
+
+    has: async (ns, key) => namespace(ns).has(key),
+
+    list: async (ns) => Array.from(namespace(ns).values()).map(serialise),
+
+    keys: async (ns) => Array.from(namespace(ns).keys()),
+
+    entries: async (ns) => Array.from(namespace(ns).entries()).map(([key, value]) => [key, serialise(value)]),
+
+    size: async (ns) => namespace(ns).size,
+
+    /**
+     * Acquire a short-lived lock
+     * @param {string} key - Lock key
+     * @param {number} ttlMs - Lock expiry in milliseconds
+     * @returns {Promise<string|null>} Token to release the lock with, or null if it is held
+     */
+    acquireLock: async (key, ttlMs) => {
+      const lock = locks.get(key);
+      if (lock && lock.expiresAt > Date.now()) {
+        return null;
+      }
+      const token = crypto.randomUUID();
+      locks.set(key, { token, expiresAt: Date.now() + ttlMs });
+      return token;
+    },
+
+    /**
+     * Release a lock, unless it expired and someone else holds it now
+     * @param {string} key - Lock key
+     * @param {string} token - Token from acquireLock
+     * @returns {Promise<boolean>} True if the lock was released
+     */
+    releaseLock: async (key, token) => {
+      const lock = locks.get(key);
+      if (!lock || lock.token !== token) {
+        return false;
+      }
+      locks.delete(key);
+      return true;
+    },
+
+    publish: async (channel, message) => {
+      bus.emit(channel, serialise(message));
+    },
+
+    /**
+     * Subscribe to a channel
+     * @param {string} channel - Channel name
+     * @param {Function} handler - Called with each message
+     * @returns {Promise<Function>} Unsubscribe function
+     */
+    subscribe: async (channel, handler) => {
+      bus.on(channel, handler);
+      return async () => {
+        bus.off(channel, handler);
+      };
+    },
+
+    clear: async () => {
+      namespaces.clear();
+      locks.clear();
+    },
+
+    close: async () => {
+      bus.removeAllListeners();
+    }
+  };
+};
+
+module.exports = {
+  createMemoryStore
+};
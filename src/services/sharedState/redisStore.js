@@ -0,0 +1,115 @@
+/**
+ * Redis-backed shared state store
+ * Each namespace is one hash of JSON values, locks use SET NX with an expiry and a
+ * random token (released with a compare-and-delete script, so an expired lock can't
+ * release its next holder's) and pub/sub uses a dedicated subscriber connection.
+ * Only plain Redis commands and EVAL are used, so any Redis-protocol server with
+ * scripting works as a stand-in.
+ */
+
+const crypto = require('crypto');
+
+// Delete the lock only if it still holds this token
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Parse a stored JSON value
+ * @param {string|null} raw - Stored JSON
+ * @returns {*} Parsed value or null
+ */
+const parse = (raw) => (raw === null || raw === undefined ? null : JSON.parse(raw));
+
+/**
+ * Create a Redis shared state store
+ * @param {object} client - Connected node-redis (v4) compatible client
+ * @param {object} options - { prefix, subscriber }
+ * @returns {object} Shared state store
+ */
+const createRedisStore = (client, { prefix = 'circle:state', subscriber = null } = {}) => {
+  const hashKey = (ns) => `${prefix}:${ns}`;
+  const lockKey = (key) => `${prefix}:lock:${key}`;
+  const channelKey = (channel) => `${prefix}:events:${channel}`;
+
+  // Subscriber connection, created on first subscribe
+  let subscriberClient = subscriber;
+  let subscriberPromise = null;
+
+  const getSubscriber = async () => {
+    if (subscriberClient && subscriberClient.isOpen) {
+      return subscriberClient;
+    }
+    if (!subscriberPromise) {
+      subscriberClient = subscriberClient || client.duplicate();
+      subscriberPromise = subscriberClient.connect().then(() => subscriberClient);
+    }
+    return subscriberPromise;
+  };
+
+  return {
+    name: 'redis',
+
+    get: async (ns, key) => parse(await client.hGet(hashKey(ns), key)),
+
+    set: async (ns, key, value) => {
+      await client.hSet(hashKey(ns), key, JSON.stringify(value === undefined ? null : value));
+    },
+
+    delete: async (ns, key) => (await client.hDel(hashKey(ns), key)) > 0,
+
+    has: async (ns, key) => Boolean(await client.hExists(hashKey(ns), key)),
+
+    list: async (ns) => (await client.hVals(hashKey(ns))).map(parse),
+
+    keys: async (ns) => client.hKeys(hashKey(ns)),
+
+    entries: async (ns) => Object.entries(await client.hGetAll(hashKey(ns)))
+      .map(([key, raw]) => [key, parse(raw)]),
+
+    size: async (ns) => client.hLen(hashKey(ns)),
+
+    acquireLock: async (key, ttlMs) => {
+      const token = crypto.randomUUID();
+      const result = await client.set(lockKey(key), token, { NX: true, PX: ttlMs });
+      return result === 'OK' ? token : null;
+    },
+
+    releaseLock: async (key, token) => {
+      const released = await client.eval(RELEASE_LOCK_SCRIPT, { keys: [lockKey(key)], arguments: [String(token)] });
+      return released === 1;
+    },
+
+    publish: async (channel, message) => {
+      await client.publish(channelKey(channel), JSON.stringify(message));
+    },
+
+    subscribe: async (channel, handler) => {
+      const sub = await getSubscriber();
+      const listener = (raw) => handler(parse(raw));
+      await sub.subscribe(channelKey(channel), listener);
+      return async () => {
+        await sub.unsubscribe(channelKey(channel), listener);
+      };
+    },
+
+    clear: async () => {
+      for await (const key of client.scanIterator({ MATCH: `${prefix}:*` })) {
+        await client.del(key);
+      }
+    },
+
+    close: async () => {
+      if (subscriberClient && subscriberClient.isOpen) {
+        await subscriberClient.quit();
+      }
+    }
+  };
+};
+
+module.exports = {
+  createRedisStore
+};
@@ -0,0 +1,269 @@
+/**
+ * Shared state service
+ * Cross-node state for Socket.IO: presence, pending matches, locks and event
+ * fan-out. Every instance behind the load balancer must use the same backend.
+ */
+
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const { isRedisConfigured, getRedisClient } = require('../../config/redis');
+const logger = require('../../utils/logger');
+const { createMemoryStore } = require('./memoryStore');
+const { createRedisStore } = require('./redisStore');
+
+// Namespaces used in the store
+const PRESENCE_NAMESPACE = 'presence';
+const PENDING_MATCHES_NAMESPACE = 'pending_matches';
+const NODES_NAMESPACE = 'nodes';
+
+// Each node refreshes its heartbeat this often; once it is older than the TTL the node
+// counts as gone and its presence records are dropped
+const NODE_HEARTBEAT_INTERVAL_MS = 15000;
+const NODE_HEARTBEAT_TTL_MS = 45000;
+
+const LOCK_TTL_MS = 10000;
+const LOCK_RETRY_DELAY_MS = 50;
+const LOCK_MAX_ATTEMPTS = 40;
+
+// Identifies this process in presence records
+const NODE_ID = process.env.NODE_ID || `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+
+// Store backend (in-memory until initializeSharedState picks another)
+let store = createMemoryStore();
+
+/**
+ * Pick the shared state backend from configuration
+ * SHARED_STATE_BACKEND=redis uses Redis and requires REDIS_URL. There is no fallback:
+ * nodes quietly keeping their own state would split presence and matches.
+ * @returns {Promise<object>} Active store
+ * @throws {Error} If the redis backend is configured but Redis can't be reached
+ */
+const initializeSharedState = async () => {
+  const backend = (process.env.SHARED_STATE_BACKEND || 'memory').toLowerCase();
+
+  if (backend === 'redis') {
+    if (!isRedisConfigured()) {
+      throw new Error('SHARED_STATE_BACKEND=redis but REDIS_URL is missing');
+    }
+
+    try {
+      const client = await getRedisClient();
+      setSharedState(createRedisStore(client));
+    } catch (error) {
+      throw new Error(`Could not connect the Redis shared state: ${error.message}`);
+    }
+  }
+
+  await sendNodeHeartbeat();
+
+  logger.info(`Shared state backend: ${store.name} (node ${NODE_ID})`);
+  return store;
+};
+
+/**
+ * Replace the store backend (used by initialization and tests)
+ * @param {object} backend - Store implementing the memoryStore interface
+ */
+const setSharedState = (backend) => {
+  store = backend;
+};
+
+const getSharedState = () => store;
+
+/**
+ * Create the Socket.IO adapter matching the store backend
+ * The Redis adapter fans room and socket emits out to every node
+ * @returns {Promise<Function|null>} Adapter constructor, or null to keep the default in-memory adapter
+ */
+const createSocketAdapter = async () => {
+  if (store.name !== 'redis') {
+    return null;
+  }
+
+  const { createAdapter } = require('@socket.io/redis-adapter');
+  const pubClient = await getRedisClient();
+  const subClient = pubClient.duplicate();
+  subClient.on('error', (err) => logger.error(`Socket.IO adapter subscriber error: ${err.message}`));
+  await subClient.connect();
+
+  return createAdapter(pubClient, subClient, { key: 'circle:socket.io' });
+};
+
+/**
+ * Run a function while holding a cross-node lock
+ * @param {string} key - Lock key
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} Result of fn
+ */
+const withLock = async (key, fn) => {
+  let token = null;
+  for (let attempt = 0; attempt < LOCK_MAX_ATTEMPTS && !token; attempt++) {
+    token = await store.acquireLock(key, LOCK_TTL_MS);
+    if (!token) {
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY_MS));
+    }
+  }
+
+  if (!token) {
+    throw new Error(`Timed out waiting for lock ${key}`);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    if (!(await store.releaseLock(key, token))) {
+      logger.warn(`Lock ${key} expired before it was released`);
+    }
+  }
+};
+
+/**
+ * Record that a user is connected to this node
+ * @param {string} userId - User ID
+ * @param {string} socketId - Socket ID
+ */
+const setPresence = async (userId, socketId) => {
+  await store.set(PRESENCE_NAMESPACE, userId, {
+    socketId,
+    nodeId: NODE_ID,
+    connectedAt: new Date().toISOString()
+  });
+};
+
+/**
+ * Remove a user's presence record if it still points at the given socket
+ * @param {string} userId - User ID
+ * @param {string} socketId - Socket ID that disconnected (omit to remove unconditionally)
+ * @returns {Promise<boolean>} True if the record was removed
+ */
+const clearPresence = async (userId, socketId = null) => {
+  if (socketId) {
+    const presence = await store.get(PRESENCE_NAMESPACE, userId);
+    if (presence && presence.socketId !== socketId) {
+      // User already reconnected with another socket
+      return false;
+    }
+  }
+
+  return store.delete(PRESENCE_NAMESPACE, userId);
+};
+
+const getPresence = (userId) => store.get(PRESENCE_NAMESPACE, userId);
+
+const isUserOnline = (userId) => store.has(PRESENCE_NAMESPACE, userId);
+
+const getOnlineCount = () => store.size(PRESENCE_NAMESPACE);
+
+/**
+ * Remove presence records owned by this node (e.g. left over from a previous run)
+ * @returns {Promise<number>} Number of records removed
+ */
+const clearNodePresence = async () => {
+  const records = await store.keys(PRESENCE_NAMESPACE);
+  let removed = 0;
+
+  for (const userId of records) {
+    const presence = await store.get(PRESENCE_NAMESPACE, userId);
+    if (presence && presence.nodeId === NODE_ID) {
+      await store.delete(PRESENCE_NAMESPACE, userId);
+      removed++;
+    }
+  }
+
+  return removed;
+};
+
+/**
+ * Record that this node is alive until NODE_HEARTBEAT_TTL_MS from now
+ */
+const sendNodeHeartbeat = async () => {
+  await store.set(NODES_NAMESPACE, NODE_ID, {
+    nodeId: NODE_ID,
+    expiresAt: Date.now() + NODE_HEARTBEAT_TTL_MS
+  });
+};
+
+/**
+ * Remove presence records of nodes whose heartbeat expired
+ * A node that crashed can't clear its own records (and may come back with another
+ * NODE_ID), so the nodes still running drop them
+ * @returns {Promise<Array>} Removed records { userId, socketId, nodeId }
+ */
+const clearExpiredPresence = async () => {
+  const now = Date.now();
+  const liveNodes = new Set([NODE_ID]);
+
+  for (const [nodeId, heartbeat] of await store.entries(NODES_NAMESPACE)) {
+    if (heartbeat && heartbeat.expiresAt > now) {
+      liveNodes.add(nodeId);
+    } else {
+      await store.delete(NODES_NAMESPACE, nodeId);
+    }
+  }
+
+  const removed = [];
+
+  for (const [userId, presence] of await store.entries(PRESENCE_NAMESPACE)) {
+    if (!presence || liveNodes.has(presence.nodeId)) {
+      continue;
+    }
+
+    // The user may have reconnected to a live node since the records were read
+    if (await clearPresence(userId, presence.socketId)) {
+      removed.push({ userId, socketId: presence.socketId, nodeId: presence.nodeId });
+    }
+  }
+
+  return removed;
+};
+
+const getPendingMatch = (matchId) => store.get(PENDING_MATCHES_NAMESPACE, matchId);
+
+const savePendingMatch = (match) => store.set(PENDING_MATCHES_NAMESPACE, match.id, match);
+
+const deletePendingMatch = (matchId) => store.delete(PENDING_MATCHES_NAMESPACE, matchId);
+
+const listPendingMatches = () => store.list(PENDING_MATCHES_NAMESPACE);
+
+const getPendingMatchCount = () => store.size(PENDING_MATCHES_NAMESPACE);
+
+/**
+ * Publish an event to every node
+ * @param {string} channel - Channel name
+ * @param {object} message - JSON-serialisable payload
+ */
+const publishEvent = (channel, message) => store.publish(channel, { ...message, sourceNode: NODE_ID });
+
+/**
+ * Subscribe to events published by any node (including this one)
+ * @param {string} channel - Channel name
+ * @param {Function} handler - Called with each message
+ * @returns {Promise<Function>} Unsubscribe function
+ */
+const subscribeEvent = (channel, handler) => store.subscribe(channel, handler);
+
+module.exports = {
+  NODE_ID,
+  NODE_HEARTBEAT_INTERVAL_MS,
+  NODE_HEARTBEAT_TTL_MS,
+  initializeSharedState,
+  setSharedState,
+  getSharedState,
+  createSocketAdapter,
+  withLock,
+  setPresence,
+  clearPresence,
+  getPresence,
+  isUserOnline,
+  getOnlineCount,
+  clearNodePresence,
+  sendNodeHeartbeat,
+  clearExpiredPresence,
+  getPendingMatch,
+  savePendingMatch,
+  deletePendingMatch,
+  listPendingMatches,
+  getPendingMatchCount,
+  publishEvent,
+  subscribeEvent
+};
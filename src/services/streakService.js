@@ -1,15 +1,290 @@
 const supabase = require('../config/database');
 const logger = require('../utils/logger');
 const notificationService = require('./notification/notificationService');
-const achievementService = require('./achievementService');
+const { EVENTS, publish } = require('./eventBus');
+const userService = require('./userService');
+const { getPairDay, getPairDayStart } = require('../utils/timezone');
 
 // Streak constants
-const STREAK_RESET_HOURS = 24; // Streak resets after 24 hours of inactivity
+const STREAK_RESET_HOURS = 24; // Length of a streak day; a streak resets after a whole day without messages
+const STREAK_MIN_DAY_HOURS = 23; // Shortest a day can be, when daylight saving starts
 const STREAK_MILESTONE_THRESHOLDS = [3, 7, 14, 30, 60, 100]; // Days when special milestone bonuses are awarded
+const STREAK_FREEZE_REWARDS = { 7: 1, 30: 1, 60: 2, 100: 2 }; // Freezes each user earns at a milestone
+const STREAK_FREEZE_HOURS = 24; // One freeze covers one missed day
+const STREAK_REPAIR_HOURS = 48; // A broken streak can be repaired for free within 48 hours
+const STREAK_REPAIR_COOLDOWN_DAYS = 30; // One repair per conversation every 30 days
+const STREAK_EVENT_LIMIT = 50;
+const LAPSED_STREAK_BATCH_SIZE = 500;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Get the streak conversation ID for two users (same for either order)
+ * @param {string} user1Id - First user ID
+ * @param {string} user2Id - Second user ID
+ * @returns {string} Conversation ID
+ */
+const getConversationId = (user1Id, user2Id) => {
+  const [first, second] = [user1Id, user2Id].sort();
+  return `conv_${first}_${second}`;
+};
+
+/**
+ * Timezones of each streak's participants, which set where the pair's days begin
+ * @param {Array<object>} streaks - conversation_streaks rows
+ * @returns {Promise<Map<string, Array<string>>>} [user1 timezone, user2 timezone] by streak ID
+ */
+const getStreakTimeZones = async (streaks) => {
+  const settings = await userService.getTimeZoneSettings(
+    streaks.flatMap(streak => [streak.user1_id, streak.user2_id])
+  );
+
+  return new Map(streaks.map(streak => [
+    streak.id,
+    [streak.user1_id, streak.user2_id].map(userId => settings.get(userId).timezone)
+  ]));
+};
+
+/**
+ * When a streak is lost unless someone messages: at the end of the pair's day after
+ * the last message, or later if freezes protect it
+ * @param {object} streak - conversation_streaks row
+ * @param {Array<string>} timeZones - Participants' timezones
+ * @returns {Date} Deadline
+ */
+const getStreakDeadline = (streak, timeZones) => {
+  const lastMessageDay = getPairDay(timeZones, new Date(streak.last_message_at));
+  const deadline = getPairDayStart(timeZones, lastMessageDay + 2);
+  const frozenUntil = streak.frozen_until ? new Date(streak.frozen_until) : null;
+  return frozenUntil && frozenUntil > deadline ? frozenUntil : deadline;
+};
+
+/**
+ * Whether a broken streak can be repaired now
+ * @param {object} streak - conversation_streaks row
+ * @param {Date} now - Current time
+ * @returns {object} { available, repairableStreak, repairUntil, reason }
+ */
+const getRepairStatus = (streak, now = new Date()) => {
+  const status = {
+    available: false,
+    repairableStreak: streak.repairable_streak || null,
+    repairUntil: streak.repair_until || null,
+    reason: null
+  };
+
+  if (!streak.repairable_streak || !streak.repair_until) {
+    return { ...status, reason: 'There is no broken streak to repair' };
+  }
+
+  if (new Date(streak.repair_until) <= now) {
+    return { ...status, reason: 'The repair window has closed' };
+  }
+
+  const cooldownEnd = streak.last_repaired_at
+    ? new Date(new Date(streak.last_repaired_at).getTime() + STREAK_REPAIR_COOLDOWN_DAYS * 24 * HOUR_MS)
+    : null;
+
+  if (cooldownEnd && cooldownEnd > now) {
+    return { ...status, reason: `This streak was already repaired in the last ${STREAK_REPAIR_COOLDOWN_DAYS} days` };
+  }
+
+  return { ...status, available: true };
+};
+
+/**
+ * Changes that end a streak and open its repair window
+ * Streaks of a single day aren't worth repairing
+ * @param {object} streak - conversation_streaks row
+ * @param {Date} now - Current time
+ * @returns {object} Columns to update
+ */
+const getBreakChanges = (streak, now) => {
+  const repairable = streak.current_streak >= 2;
+
+  return {
+    frozen_until: null,
+    repairable_streak: repairable ? streak.current_streak : null,
+    repair_until: repairable ? new Date(now.getTime() + STREAK_REPAIR_HOURS * HOUR_MS).toISOString() : null
+  };
+};
+
+/**
+ * Update a streak unless it changed since it was read
+ * @param {object} streak - conversation_streaks row as read
+ * @param {object} changes - Columns to update
+ * @returns {Promise<object|null>} Updated row, or null if it changed in the meantime
+ */
+const updateStreakIfUnchanged = async (streak, changes) => {
+  const { data, error } = await supabase
+    .from('conversation_streaks')
+    .update({ ...changes, streak_updated_at: new Date().toISOString() })
+    .eq('id', streak.id)
+    .eq('streak_updated_at', streak.streak_updated_at)
+    .select();
+
+  if (error) throw error;
+
+  return data && data.length > 0 ? data[0] : null;
+};
+
+/**
+ * Record a freeze, repair or reset in a streak's history
+ * The history is informational, so failures are only logged
+ * @param {object} streak - conversation_streaks row
+ * @param {string} type - 'freeze', 'repair' or 'reset'
+ * @param {string|null} userId - User whose freeze was used, or who repaired
+ * @param {number} streakCount - Streak the event applies to
+ * @param {object} details - Event details
+ */
+const addStreakEvent = async (streak, type, userId, streakCount, details = {}) => {
+  const { error } = await supabase
+    .from('streak_events')
+    .insert({
+      streak_id: streak.id,
+      conversation_id: streak.conversation_id,
+      type,
+      user_id: userId,
+      streak_count: streakCount,
+      details
+    });
+
+  if (error) {
+    logger.error(`Error recording streak ${type} for conversation ${streak.conversation_id}: ${error.message}`);
+  }
+};
+
+/**
+ * Give a user streak freezes
+ * @param {string} userId - User ID
+ * @param {number} count - Freezes to give
+ * @param {string} source - 'wheel_reward' or 'milestone'
+ * @param {string} sourceId - Reward or milestone that grants them; each grants its freezes once
+ * @returns {Promise<number>} Freezes granted
+ */
+const grantStreakFreezes = async (userId, count, source, sourceId) => {
+  try {
+    const rows = Array.from({ length: count }, (_, index) => ({
+      user_id: userId,
+      source,
+      source_id: `${sourceId}:${index + 1}`
+    }));
+
+    const { data, error } = await supabase
+      .from('streak_freezes')
+      .upsert(rows, { onConflict: 'user_id,source,source_id', ignoreDuplicates: true })
+      .select('id');
+
+    if (error) throw error;
+
+    const granted = data ? data.length : 0;
+    if (granted > 0) {
+      logger.info(`Granted ${granted} streak freezes to user ${userId} from ${source} ${sourceId}`);
+    }
+
+    return granted;
+  } catch (error) {
+    logger.error(`Error granting streak freezes to user ${userId}: ${error.message}`);
+    return 0;
+  }
+};
+
+/**
+ * Use one of the participants' freezes on a streak, the oldest first
+ * @param {object} streak - conversation_streaks row
+ * @returns {Promise<object|null>} Used streak_freezes row, or null if neither has one
+ */
+const useStreakFreeze = async (streak) => {
+  const { data: freezes, error } = await supabase
+    .from('streak_freezes')
+    .select('*')
+    .in('user_id', [streak.user1_id, streak.user2_id])
+    .eq('status', 'available')
+    .order('earned_at', { ascending: true })
+    .limit(5);
+
+  if (error) throw error;
+
+  for (const freeze of freezes || []) {
+    // Conditional on the status, so a freeze is never used twice
+    const { data: used, error: useError } = await supabase
+      .from('streak_freezes')
+      .update({
+        status: 'used',
+        used_conversation_id: streak.conversation_id,
+        used_at: new Date().toISOString()
+      })
+      .eq('id', freeze.id)
+      .eq('status', 'available')
+      .select();
+
+    if (useError) throw useError;
+
+    if (used && used.length > 0) {
+      return used[0];
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Give back a freeze that ended up not being needed
+ * @param {string} freezeId - Freeze ID
+ */
+const releaseStreakFreeze = async (freezeId) => {
+  const { error } = await supabase
+    .from('streak_freezes')
+    .update({ status: 'available', used_conversation_id: null, used_at: null })
+    .eq('id', freezeId);
+
+  if (error) throw error;
+};
+
+/**
+ * Use a freeze for each day a streak has lapsed, as long as the participants have them
+ * @param {object} streak - conversation_streaks row
+ * @param {Date} now - Time the streak is checked at
+ * @param {Array<string>} timeZones - Participants' timezones
+ * @returns {Promise<object>} { streak, freezesUsed } with the streak as updated
+ */
+const applyStreakFreezes = async (streak, now, timeZones) => {
+  let current = streak;
+  let freezesUsed = 0;
+
+  while (current.current_streak > 0 && getStreakDeadline(current, timeZones) <= now) {
+    const freeze = await useStreakFreeze(current);
+    if (!freeze) break;
+
+    const missedDeadline = getStreakDeadline(current, timeZones);
+    const frozenUntil = new Date(missedDeadline.getTime() + STREAK_FREEZE_HOURS * HOUR_MS);
+    const updated = await updateStreakIfUnchanged(current, { frozen_until: frozenUntil.toISOString() });
+
+    // Someone else moved the streak on first; the freeze wasn't needed
+    if (!updated) {
+      await releaseStreakFreeze(freeze.id);
+      break;
+    }
+
+    await addStreakEvent(updated, 'freeze', freeze.user_id, updated.current_streak, {
+      freezeId: freeze.id,
+      missedDeadline: missedDeadline.toISOString(),
+      frozenUntil: frozenUntil.toISOString()
+    });
+
+    current = updated;
+    freezesUsed++;
+  }
+
+  return { streak: current, freezesUsed };
+};
 
 /**
  * Create or update a conversation streak
- * Called whenever a new message is sent in a conversation
+ * Called whenever a new message is delivered in a conversation, over REST or the socket.
+ * Scheduled messages count when the scheduler delivers them, with their delivery time
+ * as messageTimestamp.
+ * @returns {Promise<object>} { currentStreak, longestStreak, isNewStreak, isNewDay, expiresAt }
  */
 const updateConversationStreak = async (conversationId, senderId, receiverId, messageTimestamp) => {
   try {
@@ -43,28 +318,57 @@ const updateConversationStreak = async (conversationId, senderId, receiverId, me
       if (insertError) throw insertError;
       
       logger.info(`Created new streak for conversation ${conversationId}`);
-      return { currentStreak: 1, isNewStreak: true, isNewDay: true };
+      const newTimeZones = (await getStreakTimeZones([{ id: conversationId, user1_id: senderId, user2_id: receiverId }])).get(conversationId);
+      return {
+        currentStreak: 1,
+        longestStreak: 1,
+        isNewStreak: true,
+        isNewDay: true,
+        expiresAt: getStreakDeadline({ last_message_at: messageTime }, newTimeZones)
+      };
     }
     
     // Calculate hours since last message
     const hoursDiff = (messageTime - new Date(existingStreak.last_message_at)) / (1000 * 60 * 60);
     
-    // Check if message was sent in a different day (at least 8 hours later but less than STREAK_RESET_HOURS)
-    const isNewDay = hoursDiff >= 8 && hoursDiff < STREAK_RESET_HOURS;
+    // A message older than the last counted one can't move the streak back in time
+    if (hoursDiff < 0) {
+      return {
+        currentStreak: existingStreak.current_streak,
+        longestStreak: existingStreak.longest_streak,
+        isNewStreak: false,
+        isNewDay: false
+      };
+    }
+    
+    // Days follow the pair's shared local calendar
+    const timeZones = (await getStreakTimeZones([existingStreak])).get(existingStreak.id);
+    
+    // Freezes cover the days missed since the last message, if the participants have any
+    const { streak } = await applyStreakFreezes(existingStreak, messageTime, timeZones);
     
-    // Check if streak should be reset (no messages for STREAK_RESET_HOURS)
-    const shouldResetStreak = hoursDiff >= STREAK_RESET_HOURS;
+    // Check if streak should be reset (a whole day without messages and no freezes left,
+    // or already broken by the lapsed streak job)
+    const shouldResetStreak = streak.current_streak === 0 || messageTime >= getStreakDeadline(streak, timeZones);
+    
+    // Check if message was sent on a later day of the pair's calendar, before the streak lapsed
+    const isNewDay = !shouldResetStreak &&
+      getPairDay(timeZones, messageTime) > getPairDay(timeZones, new Date(streak.last_message_at));
     
     // Check if this message is from the same user as the last one
-    const isSameUserAsLastMessage = (senderId === existingStreak.last_sender_id);
+    const isSameUserAsLastMessage = (senderId === streak.last_sender_id);
     
-    let currentStreak = existingStreak.current_streak;
-    let longestStreak = existingStreak.longest_streak;
+    let currentStreak = streak.current_streak;
+    let longestStreak = streak.longest_streak;
     let streakIncremented = false;
+    let breakChanges = {};
     
     // Calculate new streak value
     if (shouldResetStreak) {
-      // Reset streak if too much time has passed
+      // Reset streak if too much time has passed; a streak that was still running can be repaired
+      if (streak.current_streak > 0) {
+        breakChanges = getBreakChanges(streak, messageTime);
+      }
       currentStreak = 1;
       streakIncremented = false;
     } else if (isNewDay && !isSameUserAsLastMessage) {
@@ -82,32 +386,42 @@ const updateConversationStreak = async (conversationId, senderId, receiverId, me
     const { error: updateError } = await supabase
       .from('conversation_streaks')
       .update({
+        ...breakChanges,
         current_streak: currentStreak,
         longest_streak: longestStreak,
         last_message_at: messageTime,
         last_sender_id: senderId,
         streak_updated_at: new Date()
       })
-      .eq('id', existingStreak.id);
+      .eq('id', streak.id);
     
     if (updateError) throw updateError;
     
+    if (shouldResetStreak && streak.current_streak > 0) {
+      await addStreakEvent(streak, 'reset', null, streak.current_streak, {
+        lastMessageAt: streak.last_message_at,
+        repairUntil: breakChanges.repair_until
+      });
+    }
+    
     // Check for milestone if streak was incremented
     if (streakIncremented && STREAK_MILESTONE_THRESHOLDS.includes(currentStreak)) {
       await recordStreakMilestone(conversationId, senderId, receiverId, currentStreak);
     }
     
-    // Check for achievements for both users
+    // Each new streak day counts towards both users' achievements
     if (streakIncremented) {
-      await achievementService.checkConversationStreak(senderId, conversationId, currentStreak);
-      await achievementService.checkConversationStreak(receiverId, conversationId, currentStreak);
+      for (const userId of [senderId, receiverId]) {
+        await publish(EVENTS.STREAK_MILESTONE, { userId, conversationId, streakDays: currentStreak });
+      }
     }
     
     return { 
       currentStreak, 
       longestStreak, 
       isNewStreak: streakIncremented,
-      isNewDay
+      isNewDay,
+      expiresAt: getStreakDeadline({ ...streak, last_message_at: messageTime }, timeZones)
     };
   } catch (error) {
     logger.error(`Error updating conversation streak for ${conversationId}: ${error.message}`);
@@ -156,6 +470,11 @@ const recordStreakMilestone = async (conversationId, user1Id, user2Id, streakCou
         
         if (insertError) throw insertError;
         
+        // Some milestones come with streak freezes
+        const freezesEarned = STREAK_FREEZE_REWARDS[streakCount]
+          ? await grantStreakFreezes(userId, STREAK_FREEZE_REWARDS[streakCount], 'milestone', `${conversationId}:${streakCount}`)
+          : 0;
+        
         // Get information about the other user for the notification
         const otherId = userId === user1Id ? user2Id : user1Id;
         const { data: otherUser, error: userError } = await supabase
@@ -179,7 +498,8 @@ const recordStreakMilestone = async (conversationId, user1Id, user2Id, streakCou
             bonus: bonus ? {
               bonusType: bonus.bonus_type,
               bonusData: bonus.bonus_data
-            } : null
+            } : null,
+            freezesEarned
           }
         );
         
@@ -353,16 +673,45 @@ const getUserStreakMilestones = async (userId) => {
 };
 
 /**
- * Find conversations with streaks about to expire
- * Used for scheduled alerts to keep streaks alive
+ * Shape a streak for expiry alerts and monitoring
+ * @param {object} streak - Streak row with u1 and u2 joined
+ * @param {Date} expiresAt - When the streak is lost
+ * @param {Date} now - Current time
+ * @returns {object} Streak with expiration info
  */
-const findExpiringStreaks = async (hoursLower = 20, hoursUpper = 23) => {
+const formatExpiringStreak = (streak, expiresAt, now) => ({
+  conversationId: streak.conversation_id,
+  currentStreak: streak.current_streak,
+  longestStreak: streak.longest_streak,
+  lastMessageAt: streak.last_message_at,
+  expiresAt,
+  hoursRemaining: Math.round((expiresAt - now) / (1000 * 60 * 60)),
+  user1: {
+    id: streak.user1_id,
+    username: streak.u1.username,
+    firstName: streak.u1.first_name,
+    profilePictureUrl: streak.u1.profile_picture_url
+  },
+  user2: {
+    id: streak.user2_id,
+    username: streak.u2.username,
+    firstName: streak.u2.first_name,
+    profilePictureUrl: streak.u2.profile_picture_url
+  }
+});
+
+/**
+ * Find conversations whose last message was sent a number of hours ago
+ * The original selection of the admin expiring streaks endpoint
+ * @param {number} hoursLower - Least hours since the last message
+ * @param {number} hoursUpper - Most hours since the last message
+ */
+const findStreaksByLastMessage = async (hoursLower = 20, hoursUpper = 23) => {
   try {
     const now = new Date();
     const lowerBound = new Date(now.getTime() - (hoursUpper * 60 * 60 * 1000));
     const upperBound = new Date(now.getTime() - (hoursLower * 60 * 60 * 1000));
     
-    // Find streaks where the last message was sent between lowerBound and upperBound hours ago
     const { data, error } = await supabase
       .from('conversation_streaks')
       .select(`
@@ -377,35 +726,54 @@ const findExpiringStreaks = async (hoursLower = 20, hoursUpper = 23) => {
     
     if (error) throw error;
     
-    // Format the data with expiration info
-    const formattedStreaks = data.map(streak => {
-      const lastMessageTime = new Date(streak.last_message_at);
-      const expiresAt = new Date(lastMessageTime.getTime() + (STREAK_RESET_HOURS * 60 * 60 * 1000));
-      const hoursRemaining = (expiresAt - now) / (1000 * 60 * 60);
-      
-      return {
-        conversationId: streak.conversation_id,
-        currentStreak: streak.current_streak,
-        longestStreak: streak.longest_streak,
-        lastMessageAt: streak.last_message_at,
-        expiresAt,
-        hoursRemaining: Math.round(hoursRemaining),
-        user1: {
-          id: streak.user1_id,
-          username: streak.u1.username,
-          firstName: streak.u1.first_name,
-          profilePictureUrl: streak.u1.profile_picture_url
-        },
-        user2: {
-          id: streak.user2_id,
-          username: streak.u2.username,
-          firstName: streak.u2.first_name,
-          profilePictureUrl: streak.u2.profile_picture_url
-        }
-      };
-    });
+    const timeZones = await getStreakTimeZones(data);
     
-    return formattedStreaks;
+    return data.map(streak => formatExpiringStreak(streak, getStreakDeadline(streak, timeZones.get(streak.id)), now));
+  } catch (error) {
+    logger.error(`Error finding streaks by last message: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Find conversations with streaks about to expire
+ * Used for scheduled alerts to keep streaks alive
+ * @param {number} hoursLower - Least hours left before the streak is lost (exclusive)
+ * @param {number} hoursUpper - Most hours left before the streak is lost (inclusive)
+ */
+const findExpiringStreaks = async (hoursLower = 0, hoursUpper = 4) => {
+  try {
+    const now = new Date();
+    const lowerBound = new Date(now.getTime() + (hoursLower * 60 * 60 * 1000));
+    const upperBound = new Date(now.getTime() + (hoursUpper * 60 * 60 * 1000));
+    
+    // A streak lasts at least a day after its last message, so only older ones can expire by upperBound;
+    // the exact deadline depends on the participants' timezones
+    const { data, error } = await supabase
+      .from('conversation_streaks')
+      .select(`
+        *,
+        u1:user1_id (id, username, first_name, profile_picture_url),
+        u2:user2_id (id, username, first_name, profile_picture_url)
+      `)
+      .lte('last_message_at', new Date(upperBound.getTime() - STREAK_MIN_DAY_HOURS * HOUR_MS).toISOString())
+      .or(`frozen_until.is.null,frozen_until.lte.${upperBound.toISOString()}`)
+      .gt('current_streak', 1) // Only care about streaks > 1
+      .order('current_streak', { ascending: false });
+    
+    if (error) throw error;
+    
+    const timeZones = await getStreakTimeZones(data);
+    
+    // Keep the streaks whose deadline falls in the window
+    return data.reduce((expiring, streak) => {
+      const expiresAt = getStreakDeadline(streak, timeZones.get(streak.id));
+      if (expiresAt <= lowerBound || expiresAt > upperBound) {
+        return expiring;
+      }
+      
+      return [...expiring, formatExpiringStreak(streak, expiresAt, now)];
+    }, []);
   } catch (error) {
     logger.error(`Error finding expiring streaks: ${error.message}`);
     return [];
@@ -500,16 +868,258 @@ const markMilestoneNotified = async (milestoneId) => {
   }
 };
 
+/**
+ * Streak of a conversation with its freezes, repair window and history, for one of its participants
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Requesting user
+ * @returns {Promise<object|null>} Streak details, or null if there is no streak or the user isn't in it
+ */
+const getConversationStreakDetails = async (conversationId, userId) => {
+  const { data: streak, error } = await supabase
+    .from('conversation_streaks')
+    .select('*')
+    .eq('conversation_id', conversationId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!streak || (streak.user1_id !== userId && streak.user2_id !== userId)) {
+    return null;
+  }
+
+  const [eventsResult, freezesResult, timeZones] = await Promise.all([
+    supabase
+      .from('streak_events')
+      .select('*')
+      .eq('streak_id', streak.id)
+      .order('created_at', { ascending: false })
+      .limit(STREAK_EVENT_LIMIT),
+    supabase
+      .from('streak_freezes')
+      .select('user_id')
+      .in('user_id', [streak.user1_id, streak.user2_id])
+      .eq('status', 'available'),
+    getStreakTimeZones([streak])
+  ]);
+
+  if (eventsResult.error) throw eventsResult.error;
+  if (freezesResult.error) throw freezesResult.error;
+
+  const freezes = freezesResult.data || [];
+
+  return {
+    conversationId: streak.conversation_id,
+    currentStreak: streak.current_streak,
+    longestStreak: streak.longest_streak,
+    lastMessageAt: streak.last_message_at,
+    expiresAt: streak.current_streak > 0 ? getStreakDeadline(streak, timeZones.get(streak.id)).toISOString() : null,
+    frozenUntil: streak.frozen_until,
+    freezes: {
+      mine: freezes.filter(freeze => freeze.user_id === userId).length,
+      total: freezes.length
+    },
+    repair: getRepairStatus(streak),
+    events: (eventsResult.data || []).map(event => ({
+      id: event.id,
+      type: event.type,
+      userId: event.user_id,
+      streakCount: event.streak_count,
+      details: event.details,
+      createdAt: event.created_at
+    }))
+  };
+};
+
+/**
+ * A user's streak freezes
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { available, freezes } with the 50 most recent freezes
+ */
+const getUserStreakFreezes = async (userId) => {
+  const { data, error } = await supabase
+    .from('streak_freezes')
+    .select('*')
+    .eq('user_id', userId)
+    .order('earned_at', { ascending: false })
+    .limit(STREAK_EVENT_LIMIT);
+
+  if (error) throw error;
+
+  const { count, error: countError } = await supabase
+    .from('streak_freezes')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .eq('status', 'available');
+
+  if (countError) throw countError;
+
+  return {
+    available: count || 0,
+    freezes: (data || []).map(freeze => ({
+      id: freeze.id,
+      source: freeze.source,
+      status: freeze.status,
+      usedConversationId: freeze.used_conversation_id,
+      earnedAt: freeze.earned_at,
+      usedAt: freeze.used_at
+    }))
+  };
+};
+
+/**
+ * Repair a broken streak for free while its repair window is open
+ * Restores the streak it had, plus any days counted since it broke
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Participant who repairs it
+ * @returns {Promise<object>} { success, streak } or { success: false, status, message }
+ */
+const repairStreak = async (conversationId, userId) => {
+  const { data: streak, error } = await supabase
+    .from('conversation_streaks')
+    .select('*')
+    .eq('conversation_id', conversationId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!streak || (streak.user1_id !== userId && streak.user2_id !== userId)) {
+    return { success: false, status: 404, message: 'Streak not found' };
+  }
+
+  const now = new Date();
+  const repair = getRepairStatus(streak, now);
+
+  if (!repair.available) {
+    return { success: false, status: 400, message: repair.reason };
+  }
+
+  const restoredStreak = streak.repairable_streak + streak.current_streak;
+
+  const updated = await updateStreakIfUnchanged(streak, {
+    current_streak: restoredStreak,
+    longest_streak: Math.max(streak.longest_streak, restoredStreak),
+    repairable_streak: null,
+    repair_until: null,
+    last_repaired_at: now.toISOString(),
+    // A streak broken before anyone wrote again gets a full day from the repair
+    frozen_until: streak.current_streak === 0
+      ? new Date(now.getTime() + STREAK_RESET_HOURS * HOUR_MS).toISOString()
+      : streak.frozen_until
+  });
+
+  if (!updated) {
+    return { success: false, status: 409, message: 'The streak just changed, please try again' };
+  }
+
+  const timeZones = await getStreakTimeZones([updated]);
+
+  await addStreakEvent(updated, 'repair', userId, restoredStreak, {
+    repairedStreak: streak.repairable_streak,
+    streakBeforeRepair: streak.current_streak
+  });
+
+  logger.info(`User ${userId} repaired the streak of conversation ${conversationId} to ${restoredStreak} days`);
+
+  return {
+    success: true,
+    streak: {
+      conversationId: updated.conversation_id,
+      currentStreak: updated.current_streak,
+      longestStreak: updated.longest_streak,
+      lastMessageAt: updated.last_message_at,
+      expiresAt: getStreakDeadline(updated, timeZones.get(updated.id)).toISOString()
+    }
+  };
+};
+
+/**
+ * Use freezes on streaks whose day passed without messages, and break those without any
+ * Run periodically so freezes are used when the day is missed, not when the next message comes
+ * @param {Date} now - Current time
+ * @returns {Promise<Array<object>>} { action: 'frozen'|'broken', conversationId, user1Id, user2Id, currentStreak, freezesUsed, repairUntil }
+ */
+const processLapsedStreaks = async (now = new Date()) => {
+  try {
+    // A streak lasts at least a day after its last message; which of these lapsed depends on timezones
+    const cutoff = new Date(now.getTime() - STREAK_MIN_DAY_HOURS * HOUR_MS).toISOString();
+
+    const { data: streaks, error } = await supabase
+      .from('conversation_streaks')
+      .select('*')
+      .gt('current_streak', 0)
+      .lt('last_message_at', cutoff)
+      .or(`frozen_until.is.null,frozen_until.lte.${now.toISOString()}`)
+      .order('last_message_at', { ascending: true })
+      .limit(LAPSED_STREAK_BATCH_SIZE);
+
+    if (error) throw error;
+
+    const timeZones = await getStreakTimeZones(streaks || []);
+    const outcomes = [];
+
+    for (const candidate of streaks || []) {
+      try {
+        const pairTimeZones = timeZones.get(candidate.id);
+        if (getStreakDeadline(candidate, pairTimeZones) > now) {
+          continue;
+        }
+
+        const { streak, freezesUsed } = await applyStreakFreezes(candidate, now, pairTimeZones);
+
+        if (getStreakDeadline(streak, pairTimeZones) > now) {
+          outcomes.push({ action: 'frozen', streak, freezesUsed });
+          continue;
+        }
+
+        const broken = await updateStreakIfUnchanged(streak, { ...getBreakChanges(streak, now), current_streak: 0 });
+        if (!broken) continue;
+
+        await addStreakEvent(broken, 'reset', null, streak.current_streak, {
+          lastMessageAt: streak.last_message_at,
+          repairUntil: broken.repair_until
+        });
+
+        outcomes.push({ action: 'broken', streak: { ...broken, current_streak: streak.current_streak }, freezesUsed });
+      } catch (streakError) {
+        logger.error(`Error processing lapsed streak ${candidate.conversation_id}: ${streakError.message}`);
+      }
+    }
+
+    return outcomes.map(({ action, streak, freezesUsed }) => ({
+      action,
+      conversationId: streak.conversation_id,
+      user1Id: streak.user1_id,
+      user2Id: streak.user2_id,
+      currentStreak: streak.current_streak,
+      freezesUsed,
+      frozenUntil: streak.frozen_until,
+      repairUntil: streak.repair_until
+    }));
+  } catch (error) {
+    logger.error(`Error processing lapsed streaks: ${error.message}`);
+    return [];
+  }
+};
+
 module.exports = {
+  getConversationId,
   updateConversationStreak,
   getConversationStreak,
+  getConversationStreakDetails,
+  getUserStreakFreezes,
+  grantStreakFreezes,
+  repairStreak,
+  processLapsedStreaks,
   getUserActiveStreaks,
   getStreakBetweenUsers,
   getStreakBonuses,
   getUserStreakMilestones,
   findExpiringStreaks,
+  findStreaksByLastMessage,
   getRecentMilestones,
   markMilestoneNotified,
   STREAK_RESET_HOURS,
-  STREAK_MILESTONE_THRESHOLDS
+  STREAK_MILESTONE_THRESHOLDS,
+  STREAK_FREEZE_REWARDS,
+  STREAK_REPAIR_HOURS
 }; 
\ No newline at end of file
@@ -1,5 +1,10 @@
 const supabase = require('../config/database');
 const { info, error } = require('../utils/logger');
+const {
+  DEFAULT_TIMEZONE,
+  DEFAULT_QUIET_HOURS_START,
+  DEFAULT_QUIET_HOURS_END
+} = require('../utils/timezone');
 
 /**
  * Get user by ID
@@ -323,6 +328,67 @@ async function getUsersWithNotificationPreference(preferenceKey, preferenceValue
   }
 }
 
+/**
+ * Timezone and quiet hours of users
+ * Users that aren't found get the defaults, so every requested ID has settings
+ * @param {Array<string>} userIds - User IDs
+ * @returns {Promise<Map<string, object>>} { timezone, quietHoursEnabled, quietHoursStart, quietHoursEnd } by user
+ */
+const getTimeZoneSettings = async (userIds) => {
+  const ids = [...new Set(userIds)];
+  if (ids.length === 0) {
+    return new Map();
+  }
+
+  const { data, error: settingsError } = await supabase
+    .from('users')
+    .select('id, timezone, quiet_hours_enabled, quiet_hours_start, quiet_hours_end')
+    .in('id', ids);
+
+  if (settingsError) {
+    error(`Error fetching timezone settings: ${settingsError.message}`);
+    throw settingsError;
+  }
+
+  const rows = new Map((data || []).map(row => [row.id, row]));
+
+  return new Map(ids.map(id => {
+    const row = rows.get(id) || {};
+    return [id, {
+      timezone: row.timezone || DEFAULT_TIMEZONE,
+      quietHoursEnabled: row.quiet_hours_enabled !== false,
+      quietHoursStart: row.quiet_hours_start || DEFAULT_QUIET_HOURS_START,
+      quietHoursEnd: row.quiet_hours_end || DEFAULT_QUIET_HOURS_END
+    }];
+  }));
+};
+
+// Required fields make up 80% of a complete profile, optional ones the other 20%
+const PROFILE_REQUIRED_FIELDS = ['first_name', 'last_name', 'username', 'email', 'bio', 'date_of_birth', 'location', 'profile_picture_url'];
+const PROFILE_OPTIONAL_FIELDS = ['phone_number', 'voice_bio_url', 'website', 'occupation'];
+
+/**
+ * Facts about a user's profile, as published in profile.updated events
+ * @param {object} user - User row
+ * @returns {object} { completion, hasVoiceBio, pictureCount } with completion in percent
+ */
+const getProfileFacts = (user) => {
+  const isFilled = field => user[field] !== null && user[field] !== undefined && user[field].toString().trim() !== '';
+  const filledRequired = PROFILE_REQUIRED_FIELDS.filter(isFilled).length;
+  const filledOptional = PROFILE_OPTIONAL_FIELDS.filter(isFilled).length;
+
+  const completion = Math.min(100, Math.round(
+    (filledRequired / PROFILE_REQUIRED_FIELDS.length) * 80 + (filledOptional / PROFILE_OPTIONAL_FIELDS.length) * 20
+  ));
+
+  return {
+    completion,
+    hasVoiceBio: isFilled('voice_bio_url') ? 1 : 0,
+    // Only the main picture is stored on the profile
+    pictureCount: isFilled('profile_picture_url') ? 1 : 0
+  };
+};
+
 module.exports = {
   getUserById,
   updateUserOnlineStatus,
@@ -331,5 +397,7 @@ module.exports = {
   getUsersWithMatchingInterests,
   getRecentlyActiveUsers,
   getInactiveUsersSince,
-  getUsersWithNotificationPreference
+  getUsersWithNotificationPreference,
+  getTimeZoneSettings,
+  getProfileFacts
 }; 
\ No newline at end of file
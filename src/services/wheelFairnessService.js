@@ -0,0 +1,460 @@
+/**
+ * Wheel fairness service
+ * Provably-fair spins by commit and reveal. Each user has a secret server seed for
+ * their next spin, and only its SHA-256 hash is published before the spin. The spin
+ * outcome is derived from that seed and a client seed, the seed is revealed in the
+ * spin result and replaced by a new one, and the spin is logged with the reward table
+ * it used, so anyone can recompute it. The same derivation drives the admin odds
+ * report and the probability table simulator.
+ */
+
+const crypto = require('crypto');
+const supabase = require('../config/database');
+const logger = require('../utils/logger');
+
+const FAIRNESS_ALGORITHM = 'roll = first 52 bits of HMAC-SHA256(key: serverSeed, message: clientSeed) / 2^52; ' +
+  'the reward is the first entry of rewardTable whose cumulative probability exceeds roll * total probability';
+
+const SPIN_HISTORY_LIMIT = 50;
+const REPORT_PAGE_SIZE = 1000;
+const MAX_REPORT_SPINS = 100000;
+const EXPECTED_RANGE_Z = 3; // Observed counts more than 3 standard deviations off are flagged
+
+/**
+ * New random seed
+ * @returns {string} 64 hex characters
+ */
+const generateSeed = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Commitment to a server seed
+ * @param {string} serverSeed - Server seed
+ * @returns {string} SHA-256 hex digest
+ */
+const hashServerSeed = (serverSeed) => crypto.createHash('sha256').update(serverSeed).digest('hex');
+
+/**
+ * Deterministic roll of a spin
+ * @param {string} serverSeed - Revealed server seed
+ * @param {string} clientSeed - Client seed
+ * @returns {number} Roll in [0, 1)
+ */
+const computeRoll = (serverSeed, clientSeed) => {
+  const digest = crypto.createHmac('sha256', serverSeed).update(clientSeed).digest('hex');
+  return parseInt(digest.slice(0, 13), 16) / 2 ** 52;
+};
+
+/**
+ * Reward table a spin is drawn from, in a stable order
+ * @param {Array<object>} rewards - wheel_rewards rows (or simulated rewards)
+ * @returns {Array<object>} Entries { id, name, type, probability }, ordered by id
+ */
+const toRewardTable = (rewards) => rewards
+  .map(reward => ({
+    id: String(reward.id || reward.name),
+    name: reward.name,
+    type: reward.type || null,
+    probability: reward.probability
+  }))
+  .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+/**
+ * Reward a roll lands on
+ * @param {Array<object>} rewardTable - Reward table
+ * @param {number} roll - Roll in [0, 1)
+ * @returns {object|null} Reward table entry, or null if no reward has a probability
+ */
+const pickReward = (rewardTable, roll) => {
+  const total = rewardTable.reduce((sum, reward) => sum + reward.probability, 0);
+  if (total <= 0) {
+    return null;
+  }
+
+  const target = roll * total;
+  let cumulative = 0;
+
+  for (const reward of rewardTable) {
+    cumulative += reward.probability;
+    if (target < cumulative) {
+      return reward;
+    }
+  }
+
+  return rewardTable.filter(reward => reward.probability > 0).pop();
+};
+
+/**
+ * Spin summary for API responses
+ * @param {object} spin - wheel_spins row
+ * @returns {object} Spin
+ */
+const toSpinSummary = (spin) => ({
+  id: spin.id,
+  rewardId: spin.reward_id,
+  userRewardId: spin.user_reward_id,
+  serverSeed: spin.server_seed,
+  serverSeedHash: spin.server_seed_hash,
+  clientSeed: spin.client_seed,
+  roll: Number(spin.roll),
+  rewardTable: spin.reward_table,
+  usedExtraSpin: spin.used_extra_spin,
+  createdAt: spin.created_at
+});
+
+/**
+ * Recompute a logged spin
+ * @param {object} spin - wheel_spins row
+ * @returns {object} { valid, checks, expectedRoll, expectedRewardId }
+ */
+const verifySpin = (spin) => {
+  const expectedRoll = computeRoll(spin.server_seed, spin.client_seed);
+  const expected = pickReward(spin.reward_table, expectedRoll);
+  const expectedRewardId = expected ? expected.id : null;
+
+  const checks = {
+    seedMatchesCommitment: hashServerSeed(spin.server_seed) === spin.server_seed_hash,
+    rollMatches: Math.abs(expectedRoll - Number(spin.roll)) < 1e-12,
+    rewardMatches: expectedRewardId !== null && expectedRewardId === spin.reward_id
+  };
+
+  return {
+    valid: Object.values(checks).every(Boolean),
+    checks,
+    expectedRoll,
+    expectedRewardId
+  };
+};
+
+/**
+ * Round a ratio for reports
+ * @param {number} value - Value
+ * @returns {number} Value rounded to 4 decimals
+ */
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Compare configured probabilities with observed outcomes
+ * Each spin is expected to follow the reward table it was drawn from, so tables that
+ * changed during the period are accounted for.
+ * @param {Array<object>} spins - { reward_id, reward_table }
+ * @returns {object} { totalSpins, rewards, chiSquare, degreesOfFreedom }
+ */
+const buildOddsReport = (spins) => {
+  const stats = new Map();
+  const statsOf = (entry) => {
+    if (!stats.has(entry.id)) {
+      stats.set(entry.id, { rewardId: entry.id, name: entry.name, type: entry.type, observed: 0, expected: 0, variance: 0 });
+    }
+    return stats.get(entry.id);
+  };
+
+  spins.forEach(spin => {
+    const table = spin.reward_table || [];
+    const total = table.reduce((sum, entry) => sum + entry.probability, 0);
+
+    table.forEach(entry => {
+      const share = total > 0 ? entry.probability / total : 0;
+      const row = statsOf(entry);
+      row.name = entry.name;
+      row.type = entry.type;
+      row.expected += share;
+      row.variance += share * (1 - share);
+    });
+
+    const won = table.find(entry => entry.id === spin.reward_id);
+    if (won) {
+      statsOf(won).observed++;
+    }
+  });
+
+  const totalSpins = spins.length;
+  let chiSquare = 0;
+  let categories = 0;
+
+  const rewards = [...stats.values()].map(row => {
+    if (row.expected > 0) {
+      chiSquare += (row.observed - row.expected) ** 2 / row.expected;
+      categories++;
+    }
+
+    const zScore = row.variance > 0 ? (row.observed - row.expected) / Math.sqrt(row.variance) : null;
+
+    return {
+      rewardId: row.rewardId,
+      name: row.name,
+      type: row.type,
+      configuredShare: totalSpins > 0 ? round(row.expected / totalSpins) : 0,
+      observedShare: totalSpins > 0 ? round(row.observed / totalSpins) : 0,
+      expectedCount: round(row.expected),
+      observedCount: row.observed,
+      zScore: zScore === null ? null : round(zScore),
+      withinExpectedRange: zScore === null ? row.observed === 0 : Math.abs(zScore) <= EXPECTED_RANGE_Z
+    };
+  }).sort((a, b) => b.configuredShare - a.configuredShare);
+
+  return {
+    totalSpins,
+    rewards,
+    chiSquare: round(chiSquare),
+    degreesOfFreedom: Math.max(categories - 1, 0)
+  };
+};
+
+/**
+ * Dry-run a probability table
+ * Rolls use the production derivation, so a simulation with the same seed is reproducible.
+ * @param {Array<object>} rewards - Rewards with probability weights
+ * @param {object} options - { spins, seed }
+ * @returns {object} Odds report of the simulated spins, with the seed used
+ */
+const simulateSpins = (rewards, { spins, seed = generateSeed() }) => {
+  const rewardTable = toRewardTable(rewards);
+  const simulated = [];
+
+  for (let i = 0; i < spins; i++) {
+    const reward = pickReward(rewardTable, computeRoll(seed, `simulation:${i}`));
+    simulated.push({ reward_id: reward ? reward.id : null, reward_table: rewardTable });
+  }
+
+  return { seed, ...buildOddsReport(simulated) };
+};
+
+/**
+ * A user's seed commitment row, created on first use
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} wheel_seed_commitments row
+ */
+const getCommitmentRow = async (userId) => {
+  const { data, error } = await supabase
+    .from('wheel_seed_commitments')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (data) return data;
+
+  const serverSeed = generateSeed();
+
+  // Another request may create it first; either way the stored seed is the committed one
+  const { error: insertError } = await supabase
+    .from('wheel_seed_commitments')
+    .upsert({
+      user_id: userId,
+      server_seed: serverSeed,
+      server_seed_hash: hashServerSeed(serverSeed)
+    }, { onConflict: 'user_id', ignoreDuplicates: true });
+
+  if (insertError) throw insertError;
+
+  const { data: created, error: fetchError } = await supabase
+    .from('wheel_seed_commitments')
+    .select('*')
+    .eq('user_id', userId)
+    .single();
+
+  if (fetchError) throw fetchError;
+
+  return created;
+};
+
+/**
+ * Commitment to the server seed of a user's next spin
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { serverSeedHash, algorithm }
+ */
+const getCommitment = async (userId) => {
+  const commitment = await getCommitmentRow(userId);
+
+  return {
+    serverSeedHash: commitment.server_seed_hash,
+    algorithm: FAIRNESS_ALGORITHM
+  };
+};
+
+/**
+ * Take the committed server seed for a spin and commit to the next one
+ * @param {string} userId - User ID
+ * @returns {Promise<object|null>} { serverSeed, serverSeedHash, nextServerSeedHash }, or null if a concurrent spin took it
+ */
+const takeServerSeed = async (userId) => {
+  const commitment = await getCommitmentRow(userId);
+  const nextSeed = generateSeed();
+  const nextServerSeedHash = hashServerSeed(nextSeed);
+
+  // Conditional on the seed we read, so two spins can never use the same seed
+  const { data, error } = await supabase
+    .from('wheel_seed_commitments')
+    .update({
+      server_seed: nextSeed,
+      server_seed_hash: nextServerSeedHash,
+      updated_at: new Date().toISOString()
+    })
+    .eq('user_id', userId)
+    .eq('server_seed_hash', commitment.server_seed_hash)
+    .select('user_id');
+
+  if (error) throw error;
+
+  if (!data || data.length === 0) {
+    return null;
+  }
+
+  return {
+    serverSeed: commitment.server_seed,
+    serverSeedHash: commitment.server_seed_hash,
+    nextServerSeedHash
+  };
+};
+
+/**
+ * Put back a seed taken for a spin that didn't happen
+ * The seed was never revealed, so it stays the commitment for the next spin. Nothing is
+ * restored if another spin has already taken the replacement seed.
+ * @param {string} userId - User ID
+ * @param {object} seed - Result of takeServerSeed
+ * @returns {Promise<boolean>} True if the seed was restored
+ */
+const restoreServerSeed = async (userId, seed) => {
+  const { data, error } = await supabase
+    .from('wheel_seed_commitments')
+    .update({
+      server_seed: seed.serverSeed,
+      server_seed_hash: seed.serverSeedHash,
+      updated_at: new Date().toISOString()
+    })
+    .eq('user_id', userId)
+    .eq('server_seed_hash', seed.nextServerSeedHash)
+    .select('user_id');
+
+  if (error) throw error;
+
+  return Boolean(data && data.length > 0);
+};
+
+/**
+ * Log a spin
+ * @param {object} spin - { userId, rewardId, userRewardId, serverSeed, serverSeedHash, clientSeed, roll, rewardTable, usedExtraSpin }
+ * @returns {Promise<object>} wheel_spins row
+ */
+const recordSpin = async (spin) => {
+  const { data, error } = await supabase
+    .from('wheel_spins')
+    .insert({
+      user_id: spin.userId,
+      reward_id: spin.rewardId,
+      user_reward_id: spin.userRewardId || null,
+      server_seed: spin.serverSeed,
+      server_seed_hash: spin.serverSeedHash,
+      client_seed: spin.clientSeed,
+      roll: spin.roll,
+      reward_table: spin.rewardTable,
+      used_extra_spin: Boolean(spin.usedExtraSpin)
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  return data;
+};
+
+/**
+ * A user's recent spins with their revealed seeds
+ * @param {string} userId - User ID
+ * @param {number} limit - Spins to return
+ * @returns {Promise<Array<object>>} Spins, newest first
+ */
+const getSpinHistory = async (userId, limit = SPIN_HISTORY_LIMIT) => {
+  const { data, error } = await supabase
+    .from('wheel_spins')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+
+  return (data || []).map(toSpinSummary);
+};
+
+/**
+ * Recompute one of a user's spins
+ * @param {string} userId - User ID
+ * @param {string} spinId - Spin ID
+ * @returns {Promise<object|null>} { spin, verification }, or null if not their spin
+ */
+const verifyUserSpin = async (userId, spinId) => {
+  const { data: spin, error } = await supabase
+    .from('wheel_spins')
+    .select('*')
+    .eq('id', spinId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!spin) return null;
+
+  return { spin: toSpinSummary(spin), verification: verifySpin(spin) };
+};
+
+/**
+ * Odds report of the logged spins in a period
+ * @param {object} period - { since, until } (Dates, both optional)
+ * @returns {Promise<object>} Odds report, with truncated set if the period had more than MAX_REPORT_SPINS spins
+ */
+const getOddsReport = async ({ since, until } = {}) => {
+  const spins = [];
+  let truncated = false;
+
+  for (let from = 0; ; from += REPORT_PAGE_SIZE) {
+    let query = supabase
+      .from('wheel_spins')
+      .select('reward_id, reward_table')
+      .order('created_at', { ascending: true })
+      .range(from, from + REPORT_PAGE_SIZE - 1);
+
+    if (since) query = query.gte('created_at', since.toISOString());
+    if (until) query = query.lt('created_at', until.toISOString());
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    spins.push(...(data || []));
+
+    if (!data || data.length < REPORT_PAGE_SIZE) break;
+
+    if (spins.length >= MAX_REPORT_SPINS) {
+      truncated = true;
+      logger.warn(`Wheel odds report stopped after ${spins.length} spins`);
+      break;
+    }
+  }
+
+  return {
+    since: since ? since.toISOString() : null,
+    until: until ? until.toISOString() : null,
+    truncated,
+    ...buildOddsReport(spins)
+  };
+};
+
+module.exports = {
+  FAIRNESS_ALGORITHM,
+  generateSeed,
+  hashServerSeed,
+  computeRoll,
+  toRewardTable,
+  pickReward,
+  verifySpin,
+  buildOddsReport,
+  simulateSpins,
+  getCommitment,
+  takeServerSeed,
+  restoreServerSeed,
+  recordSpin,
+  getSpinHistory,
+  verifyUserSpin,
+  getOddsReport
+};
@@ -1,5 +1,8 @@
 const supabase = require('../config/database');
 const logger = require('../utils/logger');
+const rewardEffectService = require('./rewardEffectService');
+const wheelFairnessService = require('./wheelFairnessService');
+const streakService = require('./streakService');
 
 // Constants
 const SPIN_COOLDOWN_HOURS = 24; // Users can spin once every 24 hours
@@ -39,8 +42,13 @@ const checkSpinAvailability = async (userId) => {
     const hoursRemaining = Math.ceil(timeRemaining / (1000 * 60 * 60));
     const minutesRemaining = Math.ceil((timeRemaining % (1000 * 60 * 60)) / (1000 * 60));
     
+    // Extra spins from claimed rewards can be used during the cooldown
+    const extraSpins = await rewardEffectService.countRemaining(userId, 'extra_spins');
+    
     return {
-      canSpin: false,
+      canSpin: extraSpins > 0,
+      usesExtraSpin: extraSpins > 0,
+      extraSpins,
       nextSpinAt,
       timeRemaining,
       hoursRemaining,
@@ -52,12 +60,50 @@ const checkSpinAvailability = async (userId) => {
   }
 };
 
+/**
+ * ID of the user_rewards row granted by spin_wheel_transaction
+ * @param {*} data - RPC result: the ID, or a row (or rows) with user_reward_id
+ * @returns {string|null} User reward ID
+ */
+const getGrantedRewardId = (data) => {
+  const result = Array.isArray(data) ? data[0] : data;
+  
+  if (!result) {
+    return null;
+  }
+  
+  if (typeof result === 'object') {
+    return result.user_reward_id || null;
+  }
+  
+  return String(result);
+};
+
+/**
+ * Put back the seed of a spin that failed before its reward was granted
+ * Never throws, so the error that stopped the spin is the one reported
+ * @param {string} userId - User ID
+ * @param {object} seed - Result of takeServerSeed
+ */
+const restoreSeed = async (userId, seed) => {
+  try {
+    if (!(await wheelFairnessService.restoreServerSeed(userId, seed))) {
+      logger.warn(`Wheel seed ${seed.serverSeedHash} of user ${userId} was not restored: the commitment changed`);
+    }
+  } catch (restoreError) {
+    logger.error(`Error restoring wheel seed of user ${userId}: ${restoreError.message}`);
+  }
+};
+
 /**
  * Spin the wheel and get a reward
+ * The outcome is derived from the user's committed server seed and a client seed,
+ * and the spin is logged so it can be verified afterwards
  * @param {string} userId - User ID
- * @returns {Promise<Object>} - Wheel spin result with reward
+ * @param {Object} options - { clientSeed } (generated if omitted)
+ * @returns {Promise<Object>} - Wheel spin result with reward and fairness proof
  */
-const spinWheel = async (userId) => {
+const spinWheel = async (userId, { clientSeed = wheelFairnessService.generateSeed() } = {}) => {
   try {
     // First check if user can spin
     const spinCheck = await checkSpinAvailability(userId);
@@ -88,98 +134,138 @@ const spinWheel = async (userId) => {
       };
     }
     
-    // Calculate total probability for weighted selection
-    const totalProbability = rewards.reduce((sum, reward) => sum + reward.probability, 0);
-    
-    // Generate a random number between 0 and total probability
-    const randomValue = Math.random() * totalProbability;
+    // Take the committed seed; a concurrent spin of the same user already took it
+    const seed = await wheelFairnessService.takeServerSeed(userId);
     
-    // Select a reward based on probability
-    let selectedReward = null;
-    let cumulativeProbability = 0;
-    
-    for (const reward of rewards) {
-      cumulativeProbability += reward.probability;
-      if (randomValue <= cumulativeProbability) {
-        selectedReward = reward;
-        break;
-      }
-    }
-    
-    // If somehow no reward was selected (should never happen), pick the first one
-    if (!selectedReward && rewards.length > 0) {
-      selectedReward = rewards[0];
+    if (!seed) {
+      return {
+        success: false,
+        message: 'You cannot spin the wheel yet',
+        nextSpinAt: spinCheck.nextSpinAt,
+        timeRemaining: spinCheck.timeRemaining
+      };
     }
     
-    // Calculate next available spin time
-    const now = new Date();
-    const nextSpinAt = new Date(now);
-    nextSpinAt.setHours(nextSpinAt.getHours() + SPIN_COOLDOWN_HOURS);
-    
-    // Begin a transaction
-    const { data, error } = await supabase.rpc('spin_wheel_transaction', {
-      p_user_id: userId,
-      p_reward_id: selectedReward.id,
-      p_next_spin_at: nextSpinAt.toISOString(),
-      p_expires_at: getRewardExpiryDate(selectedReward)
-    });
-    
-    // If RPC function doesn't exist, handle manually
-    if (error && error.message.includes('does not exist')) {
-      // Start transaction with separate operations
+    // Until the reward is granted the seed is unrevealed, and it is put back if the spin doesn't happen
+    let granted = false;
+    let selectedReward;
+    let roll;
+    let rewardTable;
+    let nextSpinAt;
+    let userRewardId = null;
+    
+    try {
+      // An extra spin doesn't reset the cooldown of the daily spin
+      if (spinCheck.usesExtraSpin) {
+        const consumed = await rewardEffectService.consumeEffect(userId, 'extra_spins');
+        
+        if (!consumed) {
+          return {
+            success: false,
+            message: 'You cannot spin the wheel yet',
+            nextSpinAt: spinCheck.nextSpinAt,
+            timeRemaining: spinCheck.timeRemaining
+          };
+        }
+      }
       
-      // Update or insert spin record
-      const { data: spinRecord, error: spinError } = await supabase
-        .from('user_wheel_spins')
-        .select('id, total_spins')
-        .eq('user_id', userId)
-        .single();
+      // Select a reward based on probability, deterministically from the seeds
+      rewardTable = wheelFairnessService.toRewardTable(rewards);
+      roll = wheelFairnessService.computeRoll(seed.serverSeed, clientSeed);
+      const picked = wheelFairnessService.pickReward(rewardTable, roll);
       
-      if (spinError && spinError.code !== 'PGRST116') {
-        throw spinError;
+      if (!picked) {
+        return {
+          success: false,
+          message: 'No rewards available at this time'
+        };
       }
       
-      if (spinRecord) {
-        // Update existing record
-        const { error: updateError } = await supabase
-          .from('user_wheel_spins')
-          .update({
-            last_spin_at: now.toISOString(),
-            next_available_spin_at: nextSpinAt.toISOString(),
-            total_spins: spinRecord.total_spins + 1
-          })
-          .eq('id', spinRecord.id);
+      selectedReward = rewards.find(reward => reward.id === picked.id);
+      
+      // Calculate next available spin time
+      const now = new Date();
+      nextSpinAt = spinCheck.usesExtraSpin ? new Date(spinCheck.nextSpinAt) : new Date(now);
+      if (!spinCheck.usesExtraSpin) {
+        nextSpinAt.setHours(nextSpinAt.getHours() + SPIN_COOLDOWN_HOURS);
+      }
+      
+      // Begin a transaction
+      const { data, error } = await supabase.rpc('spin_wheel_transaction', {
+        p_user_id: userId,
+        p_reward_id: selectedReward.id,
+        p_next_spin_at: nextSpinAt.toISOString(),
+        p_expires_at: getRewardExpiryDate(selectedReward)
+      });
+      
+      // If RPC function doesn't exist, handle manually
+      if (error && error.message.includes('does not exist')) {
+        // Start transaction with separate operations
         
-        if (updateError) throw updateError;
-      } else {
-        // Create new record
-        const { error: insertError } = await supabase
+        // Update or insert spin record
+        const { data: spinRecord, error: spinError } = await supabase
           .from('user_wheel_spins')
+          .select('id, total_spins')
+          .eq('user_id', userId)
+          .single();
+        
+        if (spinError && spinError.code !== 'PGRST116') {
+          throw spinError;
+        }
+        
+        if (spinRecord) {
+          // Update existing record
+          const { error: updateError } = await supabase
+            .from('user_wheel_spins')
+            .update({
+              last_spin_at: now.toISOString(),
+              next_available_spin_at: nextSpinAt.toISOString(),
+              total_spins: spinRecord.total_spins + 1
+            })
+            .eq('id', spinRecord.id);
+          
+          if (updateError) throw updateError;
+        } else {
+          // Create new record
+          const { error: insertError } = await supabase
+            .from('user_wheel_spins')
+            .insert({
+              user_id: userId,
+              last_spin_at: now.toISOString(),
+              next_available_spin_at: nextSpinAt.toISOString(),
+              total_spins: 1
+            });
+          
+          if (insertError) throw insertError;
+        }
+        
+        // Create reward record
+        const expiryDate = getRewardExpiryDate(selectedReward);
+        const { data: userReward, error: rewardError } = await supabase
+          .from('user_rewards')
           .insert({
             user_id: userId,
-            last_spin_at: now.toISOString(),
-            next_available_spin_at: nextSpinAt.toISOString(),
-            total_spins: 1
-          });
+            reward_id: selectedReward.id,
+            expires_at: expiryDate ? expiryDate.toISOString() : null,
+            created_at: now.toISOString()
+          })
+          .select('id')
+          .single();
         
-        if (insertError) throw insertError;
+        if (rewardError) throw rewardError;
+        userRewardId = userReward.id;
+      } else if (error) {
+        // Handle other errors from RPC
+        throw error;
+      } else {
+        userRewardId = getGrantedRewardId(data);
       }
       
-      // Create reward record
-      const expiryDate = getRewardExpiryDate(selectedReward);
-      const { error: rewardError } = await supabase
-        .from('user_rewards')
-        .insert({
-          user_id: userId,
-          reward_id: selectedReward.id,
-          expires_at: expiryDate ? expiryDate.toISOString() : null,
-          created_at: now.toISOString()
-        });
-      
-      if (rewardError) throw rewardError;
-    } else if (error) {
-      // Handle other errors from RPC
-      throw error;
+      granted = true;
+    } finally {
+      if (!granted) {
+        await restoreSeed(userId, seed);
+      }
     }
     
     // Get the user's name for personalized response
@@ -191,6 +277,24 @@ const spinWheel = async (userId) => {
     
     const userName = user?.first_name || user?.username || 'User';
     
+    // Audit log of the spin; the reward was already granted, so a failure here is only logged
+    let spinRecord = null;
+    try {
+      spinRecord = await wheelFairnessService.recordSpin({
+        userId,
+        rewardId: selectedReward.id,
+        userRewardId,
+        serverSeed: seed.serverSeed,
+        serverSeedHash: seed.serverSeedHash,
+        clientSeed,
+        roll,
+        rewardTable,
+        usedExtraSpin: spinCheck.usesExtraSpin
+      });
+    } catch (recordError) {
+      logger.error(`Error recording wheel spin for user ${userId}: ${recordError.message}`);
+    }
+    
     // Return success with reward info
     return {
       success: true,
@@ -198,7 +302,16 @@ const spinWheel = async (userId) => {
       message: `Congratulations ${userName}! You won: ${selectedReward.name}`,
       description: selectedReward.description,
       nextSpinAt: nextSpinAt.toISOString(),
-      wheelPosition: calculateWheelPosition(rewards, selectedReward)
+      usedExtraSpin: Boolean(spinCheck.usesExtraSpin),
+      wheelPosition: calculateWheelPosition(rewards, selectedReward),
+      fairness: {
+        spinId: spinRecord ? spinRecord.id : null,
+        serverSeed: seed.serverSeed,
+        serverSeedHash: seed.serverSeedHash,
+        clientSeed,
+        roll,
+        nextServerSeedHash: seed.nextServerSeedHash
+      }
     };
   } catch (error) {
     logger.error(`Error during wheel spin for user ${userId}: ${error.message}`);
@@ -222,9 +335,11 @@ const getRewardExpiryDate = (reward) => {
     return expiryDate;
   }
   
-  // Rewards with counters (super_like, conversation_starter, match_peek, extra_matches)
-  // typically expire after 30 days
-  if (['super_like', 'conversation_starter', 'match_peek', 'extra_matches'].includes(reward.type)) {
+  // Rewards with counters or effects that start on claim typically expire after 30 days
+  if ([
+    'super_like', 'conversation_starter', 'match_peek', 'extra_matches',
+    'extra_spins', 'profile_spotlight', 'profile_badge', 'streak_freeze'
+  ].includes(reward.type)) {
     const expiryDate = new Date(now);
     expiryDate.setDate(expiryDate.getDate() + 30);
     return expiryDate;
@@ -284,7 +399,7 @@ const getUserRewards = async (userId) => {
 };
 
 /**
- * Claim a user reward
+ * Claim a user reward and start its effects
  * @param {string} userId - User ID
  * @param {string} rewardId - Reward ID to claim
  */
@@ -293,7 +408,10 @@ const claimReward = async (userId, rewardId) => {
     // Verify the user owns this reward and it's not claimed
     const { data: reward, error: fetchError } = await supabase
       .from('user_rewards')
-      .select('*')
+      .select(`
+        *,
+        reward:reward_id (*)
+      `)
       .eq('id', rewardId)
       .eq('user_id', userId)
       .eq('claimed', false)
@@ -306,25 +424,39 @@ const claimReward = async (userId, rewardId) => {
       };
     }
     
-    // Update the reward as claimed
-    const { error: updateError } = await supabase
+    // Update the reward as claimed, unless a concurrent request just did
+    const { data: claimed, error: updateError } = await supabase
       .from('user_rewards')
       .update({
         claimed: true,
         claimed_at: new Date().toISOString()
       })
-      .eq('id', rewardId);
+      .eq('id', rewardId)
+      .eq('claimed', false)
+      .select('id');
     
     if (updateError) throw updateError;
     
-    // Process the reward based on type
-    // This would involve updating user data or other tables
-    const rewardType = reward.reward_id;
+    if (!claimed || claimed.length === 0) {
+      return {
+        success: false,
+        message: 'Reward not found or already claimed'
+      };
+    }
+    
+    const effects = await rewardEffectService.applyRewardEffects(reward, reward.reward);
+    
+    // Streak freezes go to the user's freeze inventory
+    const streakFreezes = reward.reward?.type === 'streak_freeze'
+      ? await streakService.grantStreakFreezes(userId, reward.reward.value?.count || 1, 'wheel_reward', reward.id)
+      : 0;
     
     // Return success
     return {
       success: true,
-      message: 'Reward claimed successfully'
+      message: 'Reward claimed successfully',
+      effects,
+      streakFreezes
     };
   } catch (error) {
     logger.error(`Error claiming reward ${rewardId} for user ${userId}: ${error.message}`);
@@ -335,6 +467,20 @@ const claimReward = async (userId, rewardId) => {
   }
 };
 
+/**
+ * Get a user's active reward effects
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Active effects
+ */
+const getActiveRewardEffects = async (userId) => {
+  try {
+    return await rewardEffectService.getUserEffects(userId);
+  } catch (error) {
+    logger.error(`Error getting reward effects for user ${userId}: ${error.message}`);
+    return [];
+  }
+};
+
 /**
  * Get all available wheel rewards
  */
@@ -356,7 +502,7 @@ const getWheelRewards = async () => {
 };
 
 /**
- * Update all expired user rewards
+ * Update all expired user rewards and end their expired effects
  * This would be run as a scheduled job
  */
 const cleanupExpiredRewards = async () => {
@@ -367,11 +513,14 @@ const cleanupExpiredRewards = async () => {
       .from('user_rewards')
       .update({ claimed: true, claimed_at: now })
       .lt('expires_at', now)
-      .eq('claimed', false);
+      .eq('claimed', false)
+      .select('id');
     
     if (error) throw error;
     
-    logger.info(`Cleaned up ${data?.length || 0} expired rewards`);
+    const expiredEffects = await rewardEffectService.expireEffects();
+    
+    logger.info(`Cleaned up ${data?.length || 0} expired rewards and ${expiredEffects} expired reward effects`);
     return data?.length || 0;
   } catch (error) {
     logger.error(`Error cleaning up expired rewards: ${error.message}`);
@@ -384,6 +533,7 @@ module.exports = {
   spinWheel,
   getUserRewards,
   claimReward,
+  getActiveRewardEffects,
   getWheelRewards,
   cleanupExpiredRewards,
   SPIN_COOLDOWN_HOURS
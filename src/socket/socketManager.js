@@ -3,8 +3,61 @@ const supabase = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
 const { info, error, warn } = require('../utils/logger');
 const { sendMessageNotification } = require('../services/firebase/notificationService');
+const {
+  initializeMatchmakingService,
+  setAvailabilityCheck,
+  joinQueue,
+  leaveQueue,
+  isInQueue,
+  getQueueSize,
+  processQueue,
+  createMatchInDatabase,
+  respondToMatch,
+  removeUserFromMatchmaking
+} = require('../services/matchmaking/matchmakingService');
+const {
+  NODE_ID,
+  NODE_HEARTBEAT_INTERVAL_MS,
+  initializeSharedState,
+  createSocketAdapter,
+  setPresence,
+  clearPresence,
+  getSharedState,
+  clearNodePresence,
+  sendNodeHeartbeat,
+  clearExpiredPresence,
+  getPendingMatch,
+  savePendingMatch,
+  publishEvent,
+  subscribeEvent
+} = require('../services/sharedState/sharedStateService');
+const { USER_BLOCKED_CODE, isBlockedBetween } = require('../services/blockService');
+const { screenContent, recordScreening, blockedError: contentBlockedError } = require('../services/moderationService');
+const { checkAccountAccess, checkFeature, standingUnavailable } = require('../services/enforcementService');
+const { EVENTS, publish } = require('../services/eventBus');
+const {
+  SYNC_DEFAULT_LIMIT,
+  SYNC_MAX_LIMIT,
+  advanceMessageStatus,
+  syncMessagesSince,
+  scheduleMessage,
+  cancelScheduledMessage,
+  getConversationPage
+} = require('../services/messageService');
+const { messageCreateSchema } = require('../models/message');
+const { parsePageParams } = require('../utils/pagination');
+const groupService = require('../services/groupService');
+const gameService = require('../services/gameService');
+const gamePlayService = require('../services/gamePlayService');
+const {
+  generateMessageSuggestions,
+  generateProfileBio,
+  generateIcebreakers,
+  detectConversationMood
+} = require('../services/ai/aiCopilotService');
 
 // Track connected users and their socket IDs
+// Mirrors the shared presence store, so it includes users connected to other nodes
 const connectedUsers = new Map();
 
 // Track connection rate limiting
@@ -13,139 +66,386 @@ const connectionRateLimit = new Map();
 // Reference to Socket.IO instance
 let ioInstance;
 
-// Track active matches with acceptance status
-// Format: { matchId: { users: [userId1, userId2], acceptances: { userId1: boolean, userId2: boolean } } }
-const activeMatches = new Map();
+const MATCHMAKING_INTERVAL = 5000; // Run a matching cycle every 5 seconds
 
-// Track user timeouts for matchmaking
-const userTimeouts = new Map();
+// Global interval for continuous matchmaking
+let matchmakingIntervalId = null;
 
-// Track users in matchmaking pool waiting for matches
-const matchmakingPool = new Map();
+const GAME_TURN_CHECK_INTERVAL = 5000; // Look for expired game turns every 5 seconds
 
-// Match acceptance timeout (in milliseconds)
-const MATCH_ACCEPTANCE_TIMEOUT = 30000; // 30 seconds
-const MATCHMAKING_INTERVAL = 5000; // Check for matches every 5 seconds
-const POOL_CLEANUP_INTERVAL = 30000; // Clean the pool every 30 seconds
+// Interval that enforces game turn timers, and whether a sweep is still running
+let gameTurnIntervalId = null;
+let gameTurnSweepRunning = false;
 
-// Global interval for continuous matchmaking
-let matchmakingIntervalId = null;
-let poolCleanupIntervalId = null;
+// Interval that keeps this node's heartbeat fresh and drops presence left by stopped nodes
+let presenceHeartbeatIntervalId = null;
+
+// Events that use a feature the enforcement ladder can restrict: everything that
+// writes content another user sees, and everything that starts a match
+const RESTRICTED_SOCKET_EVENTS = {
+  'message:send': 'messaging',
+  'message:reply': 'messaging',
+  'message:edit': 'messaging',
+  'message:react': 'messaging',
+  'match:message': 'messaging',
+  'group:message': 'messaging',
+  'match:find': 'matching',
+  'match:accept': 'matching',
+  'findRandomMatch': 'matching',
+  'matchmaking:join': 'matching',
+  'find:match': 'matching'
+};
 
 /**
- * Clean up the matchmaking pool by removing disconnected users
+ * Emit an event to a connected user
+ * Socket IDs are rooms, so this reaches users connected to other nodes through the adapter
+ * @param {string} userId - User ID
+ * @param {string} event - Event name
+ * @param {object} payload - Event payload
+ * @returns {boolean} True if the user is online
  */
-const cleanMatchmakingPool = () => {
-  // Skip verbose logging if the pool is empty
-  const poolSize = matchmakingPool.size;
-  if (poolSize === 0) {
-    // No need to log anything if the pool is already empty
-    return;
+const emitToUser = (userId, event, payload) => {
+  const socketId = connectedUsers.get(userId);
+  if (!socketId || !ioInstance) {
+    return false;
   }
   
-  // Only log when there are actually users in the pool
-  info(`Running matchmaking pool cleanup. Current pool size: ${poolSize}`);
-  
-  // Track how many users were removed
-  let removedCount = 0;
-  
-  // Check each user in the pool
-  for (const [userId, userData] of matchmakingPool.entries()) {
-    let shouldRemove = false;
-    
-    // Check if user is connected
-    if (!connectedUsers.has(userId)) {
-      info(`Cleanup: User ${userId} is not in connected users map. Removing from pool.`);
-      shouldRemove = true;
-    } else {
-      // Check if socket is valid
-      const socketId = connectedUsers.get(userId);
-      const socket = ioInstance.sockets.sockets.get(socketId);
-      if (!socket) {
-        info(`Cleanup: User ${userId} has invalid socket ID ${socketId}. Removing from pool.`);
-        shouldRemove = true;
-        // Also remove from connected users map
-        connectedUsers.delete(userId);
-      }
+  ioInstance.to(socketId).emit(event, payload);
+  return true;
+};
+
+/**
+ * Tell a user why, then close their socket
+ * @param {string} userId - User ID
+ * @param {string} event - Event name
+ * @param {object} payload - Event payload
+ * @returns {boolean} True if the user was connected
+ */
+const disconnectUser = (userId, event, payload) => {
+  const socketId = connectedUsers.get(userId);
+  if (!socketId || !ioInstance) {
+    return false;
+  }
+
+  ioInstance.to(socketId).emit(event, payload);
+  ioInstance.in(socketId).disconnectSockets(true);
+  return true;
+};
+
+/**
+ * Emit an event to every member of a group connected to any node
+ * @param {string} groupId - Group ID
+ * @param {string} event - Event name
+ * @param {object} payload - Event payload
+ */
+const emitToGroup = (groupId, event, payload) => {
+  if (ioInstance) {
+    ioInstance.to(groupService.groupRoom(groupId)).emit(event, payload);
+  }
+};
+
+/**
+ * Add a connected user's socket to a group room (works across nodes through the adapter)
+ * @param {string} userId - User ID
+ * @param {string} groupId - Group ID
+ */
+const joinGroupRoom = (userId, groupId) => {
+  const socketId = connectedUsers.get(userId);
+  if (socketId && ioInstance) {
+    ioInstance.in(socketId).socketsJoin(groupService.groupRoom(groupId));
+  }
+};
+
+/**
+ * Remove a connected user's socket from a group room
+ * @param {string} userId - User ID
+ * @param {string} groupId - Group ID
+ */
+const leaveGroupRoom = (userId, groupId) => {
+  const socketId = connectedUsers.get(userId);
+  if (socketId && ioInstance) {
+    ioInstance.in(socketId).socketsLeave(groupService.groupRoom(groupId));
+  }
+};
+
+/**
+ * Remove every socket from a group room (group deleted)
+ * @param {string} groupId - Group ID
+ */
+const closeGroupRoom = (groupId) => {
+  if (ioInstance) {
+    const room = groupService.groupRoom(groupId);
+    ioInstance.in(room).socketsLeave(room);
+  }
+};
+
+/**
+ * Tell senders that their messages moved to a new delivery state
+ * @param {Array<object>} messages - Updated messages from advanceMessageStatus
+ */
+const notifyMessageStatus = (messages) => {
+  const bySender = new Map();
+
+  for (const message of messages) {
+    if (!bySender.has(message.sender_id)) {
+      bySender.set(message.sender_id, []);
     }
-    
-    // Remove user if needed
-    if (shouldRemove) {
-      matchmakingPool.delete(userId);
-      removedCount++;
-      
-      // Clear any timeouts
-      clearMatchmakingTimeouts(userId);
+    bySender.get(message.sender_id).push(message);
+  }
+
+  bySender.forEach((senderMessages, senderId) => {
+    emitToUser(senderId, 'message:status', {
+      messages: senderMessages.map(message => ({
+        messageId: message.id,
+        conversationKey: message.conversation_key,
+        seq: message.seq,
+        status: message.status,
+        deliveredAt: message.delivered_at,
+        readAt: message.read_at
+      }))
+    });
+  });
+};
+
+/**
+ * game:state payload for a game instance
+ * @param {object} gameInstance - Game instance
+ * @param {string|null} groupId - Group the game belongs to
+ * @param {object} details - Extra payload fields, e.g. { event: 'move', lastMove }
+ * @returns {object} Payload
+ */
+const buildGameStatePayload = (gameInstance, groupId, details) => ({
+  gameInstanceId: gameInstance.id,
+  gameType: gameInstance.gameDetails ? gameInstance.gameDetails.type : null,
+  conversationId: gameInstance.conversation_id,
+  groupId,
+  status: gameInstance.status,
+  initiatorId: gameInstance.initiator_id,
+  responderId: gameInstance.responder_id,
+  currentTurn: gameInstance.state ? gameInstance.state.currentTurn : null,
+  turnExpiresAt: gameInstance.turn_expires_at || null,
+  state: gameInstance.state,
+  score: gameInstance.score,
+  forfeitedBy: gameInstance.forfeited_by || null,
+  seriesId: gameInstance.series_id || null,
+  seriesGameNumber: gameInstance.series_game_number || null,
+  rematchOf: gameInstance.rematch_of || null,
+  ...details
+});
+
+/**
+ * Send a game's current state to both players (or the whole group for group games)
+ * @param {object} gameInstance - Game instance
+ * @param {object|null} group - Group the game belongs to
+ * @param {object} details - Extra payload fields, e.g. { event: 'move', lastMove }
+ */
+const emitGameState = (gameInstance, group = null, details = {}) => {
+  const payload = buildGameStatePayload(gameInstance, group ? group.id : null, details);
+
+  if (group) {
+    emitToGroup(group.id, 'game:state', payload);
+  } else {
+    emitToUser(gameInstance.initiator_id, 'game:state', payload);
+    emitToUser(gameInstance.responder_id, 'game:state', payload);
+  }
+};
+
+/**
+ * Skip or forfeit expired game turns, expire stale invitations and broadcast the new states
+ * Every node sweeps; gameService claims each game so only one node handles it
+ */
+const processExpiredGameTurns = async () => {
+  if (gameTurnSweepRunning) {
+    return;
+  }
+
+  gameTurnSweepRunning = true;
+  try {
+    const handled = await gamePlayService.expireTurns();
+
+    handled.forEach(({ action, playerId, gameInstance, winnerId, ratingChanges, group, series, nextGame }) => {
+      emitGameState(gameInstance, group, {
+        event: action === 'skipped' ? 'turnSkipped' : action,
+        ...(playerId ? { timedOutPlayerId: playerId } : {}),
+        ...(action === 'forfeited' ? { winnerId } : {}),
+        ...(action === 'completed' || action === 'forfeited' ? { ratingChanges } : {}),
+        ...(series ? { series } : {})
+      });
+
+      if (nextGame) {
+        emitGameState(nextGame, group, { event: 'invited', series });
+      }
+    });
+
+    if (handled.length > 0) {
+      info(`Handled ${handled.length} expired game turns and invitations`);
     }
+  } catch (err) {
+    error(`Error processing expired game turns: ${err.message}`);
+  } finally {
+    gameTurnSweepRunning = false;
   }
-  
-  // Only log if users were actually removed or if debug logging is enabled
-  if (removedCount > 0) {
-    info(`Matchmaking pool cleanup completed. Removed ${removedCount} users. New pool size: ${matchmakingPool.size}`);
+};
+
+/**
+ * Start enforcing game turn timers
+ */
+const startGameTurnTimers = () => {
+  if (gameTurnIntervalId !== null) {
+    return;
   }
+
+  info('Starting game turn timers');
+  gameTurnIntervalId = setInterval(processExpiredGameTurns, GAME_TURN_CHECK_INTERVAL);
 };
 
 /**
- * Find matches for all users in the matchmaking pool
+ * Stop enforcing game turn timers
  */
-const findMatchesForAllUsers = () => {
-  // Clean up the pool first to ensure all users are valid
-  cleanMatchmakingPool();
-  
-  // Skip all processing if the pool is empty
-  const poolSize = matchmakingPool.size;
-  if (poolSize === 0) {
-    // No users in pool, nothing to do
+const stopGameTurnTimers = () => {
+  if (gameTurnIntervalId === null) {
+    return;
+  }
+
+  info('Stopping game turn timers');
+  clearInterval(gameTurnIntervalId);
+  gameTurnIntervalId = null;
+};
+
+/**
+ * Record a user's socket locally and in the shared presence store
+ * @param {string} userId - User ID
+ * @param {string} socketId - Socket ID
+ */
+const trackUserSocket = (userId, socketId) => {
+  if (connectedUsers.get(userId) === socketId) {
     return;
   }
   
-  // For normal matching, require at least 2 users
-  if (poolSize < 2) {
-    // Only log this once every 12 checks (once per minute) to reduce spam
-    // Using a timestamp-based approach to avoid needing to store state
-    const now = Date.now();
-    if (now % (MATCHMAKING_INTERVAL * 12) < MATCHMAKING_INTERVAL) {
-      info(`Not enough users in matchmaking pool (${poolSize}). Need at least 2 users.`);
-    }
+  connectedUsers.set(userId, socketId);
+  setPresence(userId, socketId)
+    .then(() => publishEvent('presence', { userId, socketId, online: true }))
+    .catch(err => error(`Error saving presence for user ${userId}: ${err.message}`));
+};
+
+/**
+ * Remove a user's socket locally and from the shared presence store
+ * Does nothing if the user has since connected with another socket
+ * @param {string} userId - User ID
+ * @param {string} socketId - Socket ID that went away (omit to remove unconditionally)
+ */
+const untrackUserSocket = (userId, socketId = null) => {
+  if (socketId && connectedUsers.get(userId) !== socketId) {
     return;
   }
   
-  info(`Running global matchmaking for ${poolSize} users in pool`);
+  connectedUsers.delete(userId);
+  clearPresence(userId, socketId)
+    .then(removed => removed && publishEvent('presence', { userId, socketId, online: false }))
+    .catch(err => error(`Error clearing presence for user ${userId}: ${err.message}`));
+};
+
+/**
+ * Load presence from the shared store and follow changes made by other nodes
+ */
+const syncPresence = async () => {
+  await clearNodePresence();
   
-  // Convert the map to array for easier processing
-  const usersInPool = Array.from(matchmakingPool.values());
-  const processedUsers = new Set();
+  const records = await getSharedState().entries('presence');
+  records.forEach(([userId, presence]) => {
+    if (presence && !connectedUsers.has(userId)) {
+      connectedUsers.set(userId, presence.socketId);
+    }
+  });
   
-  // Process each user
-  for (const user of usersInPool) {
-    const userId = user.userId;
-    
-    // Skip if user was already processed, removed from pool, or is being processed
-    if (processedUsers.has(userId) || !matchmakingPool.has(userId) || matchmakingPool.get(userId).isBeingProcessed) {
-      continue;
+  await subscribeEvent('presence', ({ userId, socketId, online, sourceNode }) => {
+    if (sourceNode === NODE_ID) {
+      return;
     }
     
-    // Get user socket
-    const socketId = connectedUsers.get(userId);
-    if (!socketId) {
-      info(`User ${userId} has no socket ID in connected users map, removing from pool`);
-      matchmakingPool.delete(userId);
-      continue;
+    if (online) {
+      connectedUsers.set(userId, socketId);
+    } else if (!socketId || connectedUsers.get(userId) === socketId) {
+      connectedUsers.delete(userId);
     }
-    
-    const socket = ioInstance.sockets.sockets.get(socketId);
-    if (!socket) {
-      info(`User ${userId} socket not found, removing from pool`);
-      matchmakingPool.delete(userId);
-      continue;
+  });
+  
+  // Users deleted on another node must be cleaned up wherever they are connected
+  await subscribeEvent('user:deleted', ({ userId, sourceNode }) => {
+    if (sourceNode !== NODE_ID) {
+      cleanupLocalUserState(userId);
     }
-    
-    // Find a match
-    findMatchForUser(socket);
-    
-    // Mark as processed
-    processedUsers.add(userId);
+  });
+};
+
+/**
+ * Refresh this node's heartbeat and drop presence records of nodes that stopped
+ * sending theirs, so users of a crashed node don't stay online everywhere else
+ */
+const refreshPresence = async () => {
+  try {
+    await sendNodeHeartbeat();
+
+    const removed = await clearExpiredPresence();
+    removed.forEach(({ userId, socketId }) => {
+      if (connectedUsers.get(userId) === socketId) {
+        connectedUsers.delete(userId);
+      }
+      publishEvent('presence', { userId, socketId, online: false })
+        .catch(err => error(`Error publishing presence for user ${userId}: ${err.message}`));
+    });
+
+    if (removed.length > 0) {
+      info(`Cleared ${removed.length} presence records left by stopped nodes`);
+    }
+  } catch (err) {
+    error(`Error refreshing presence: ${err.message}`);
+  }
+};
+
+/**
+ * Start the presence heartbeat
+ */
+const startPresenceHeartbeat = () => {
+  if (presenceHeartbeatIntervalId !== null) {
+    return;
+  }
+
+  presenceHeartbeatIntervalId = setInterval(refreshPresence, NODE_HEARTBEAT_INTERVAL_MS);
+};
+
+/**
+ * Stop the presence heartbeat
+ */
+const stopPresenceHeartbeat = () => {
+  if (presenceHeartbeatIntervalId === null) {
+    return;
   }
+
+  clearInterval(presenceHeartbeatIntervalId);
+  presenceHeartbeatIntervalId = null;
+};
+
+/**
+ * Check whether a queued user can still be matched
+ * Socket users must still be connected (to any node); REST users stay queued until they cancel or time out
+ * @param {object} entry - Matchmaking queue entry
+ * @returns {boolean} True if the user is still available
+ */
+const isQueueEntryAvailable = (entry) => {
+  if (entry.source !== 'socket') {
+    return true;
+  }
+  
+  return connectedUsers.has(entry.userId);
+};
+
+/**
+ * Run a matching cycle for everyone in the shared matchmaking queue
+ * @returns {Promise<number>} Number of matches created
+ */
+const findMatchesForAllUsers = () => {
+  return processQueue();
 };
 
 /**
@@ -159,16 +459,8 @@ const startGlobalMatchmaking = () => {
   
   info('Starting global matchmaking system');
   
-  matchmakingIntervalId = setInterval(() => {
-    // Run matchmaking for real users
-    findMatchesForAllUsers();
-  }, MATCHMAKING_INTERVAL);
-  
-  // Also start the pool cleanup interval
-  if (poolCleanupIntervalId === null) {
-    info('Starting matchmaking pool cleanup system');
-    poolCleanupIntervalId = setInterval(cleanMatchmakingPool, POOL_CLEANUP_INTERVAL);
-  }
+  setAvailabilityCheck(isQueueEntryAvailable);
+  matchmakingIntervalId = setInterval(findMatchesForAllUsers, MATCHMAKING_INTERVAL);
 };
 
 /**
@@ -183,32 +475,22 @@ const stopGlobalMatchmaking = () => {
   info('Stopping global matchmaking system');
   clearInterval(matchmakingIntervalId);
   matchmakingIntervalId = null;
-  
-  // Also stop the pool cleanup interval
-  if (poolCleanupIntervalId !== null) {
-    info('Stopping matchmaking pool cleanup system');
-    clearInterval(poolCleanupIntervalId);
-    poolCleanupIntervalId = null;
-  }
-};
-
-/**
- * Clear any existing matchmaking timeouts for a user
- * @param {string} userId - User ID to clear timeouts for
- */
-const clearMatchmakingTimeouts = (userId) => {
-  const timeoutId = userTimeouts.get(userId);
-  if (timeoutId) {
-    clearTimeout(timeoutId);
-    userTimeouts.delete(userId);
-    info(`Cleared timeout for user ${userId}`);
-  }
 };
 
 /**
  * Initialize Socket.IO with authentication
  * @param {object} io - Socket.IO server instance
  */
+/**
+ * Stop the process when a configured shared backend can't be used
+ * @param {string} backend - What failed to start
+ * @param {Error} err - Failure
+ */
+const stopOnBackendFailure = (backend, err) => {
+  error(`Could not start the ${backend}, shutting down: ${err.message}`);
+  process.exit(1);
+};
+
 const initializeSocket = (io) => {
   // Store IO instance for global access
   ioInstance = io;
@@ -254,8 +536,29 @@ const initializeSocket = (io) => {
     }
   });
   
-  // Start the global matchmaking system
-  startGlobalMatchmaking();
+  // Connect shared state so presence, pending matches and emits work across nodes.
+  // A configured Redis backend that can't be reached stops the server rather than
+  // leaving this node with state the others can't see.
+  initializeSharedState()
+    .then(async () => {
+      const adapter = await createSocketAdapter();
+      if (adapter) {
+        io.adapter(adapter);
+        info('Socket.IO Redis adapter enabled');
+      }
+      await syncPresence();
+      await refreshPresence();
+      startPresenceHeartbeat();
+    }, err => stopOnBackendFailure('shared state', err))
+    .catch(err => error(`Error initializing shared state: ${err.message}`));
+  
+  // Pick the matchmaking queue backend, then start the global matchmaking system;
+  // ticks must not run against a queue that isn't ready yet
+  initializeMatchmakingService()
+    .then(() => startGlobalMatchmaking(), err => stopOnBackendFailure('matchmaking queue', err));
+  
+  // Skip or forfeit game turns that run out of time
+  startGameTurnTimers();
   
   // Global socket activity middleware to prevent connection staleness
   io.use((socket, next) => {
@@ -413,6 +716,17 @@ const initializeSocket = (io) => {
       if (error || !user) {
         return next(new Error('Authentication error: User not found'));
       }
+
+      // Suspended and banned users can't connect, nor can anyone while standing can't be checked
+      const access = await checkAccountAccess(user.id).catch(err => {
+        warn(`Could not check account standing of user ${user.id}: ${err.message}`);
+        return standingUnavailable();
+      });
+      if (!access.success) {
+        const accessError = new Error(access.message);
+        accessError.data = { code: access.code, enforcement: access.enforcement };
+        return next(accessError);
+      }
       
       // Attach user to socket
       socket.user = user;
@@ -449,8 +763,39 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
   io.on('connection', (socket) => {
     console.log(`User connected: ${socket.user.id} (${socket.user.username})`);
     
-    // Add user to connected users map
-    connectedUsers.set(socket.user.id, socket.id);
+    // Add user to connected users map and shared presence
+    trackUserSocket(socket.user.id, socket.id);
+
+    // Events restricted by the enforcement ladder are checked before their handlers run
+    socket.use(async ([event, ...args], next) => {
+      const feature = RESTRICTED_SOCKET_EVENTS[event];
+      if (!feature) {
+        return next();
+      }
+
+      let result;
+      try {
+        result = await checkFeature(socket.user.id, feature);
+      } catch (err) {
+        error(`Error checking ${feature} restriction of user ${socket.user.id}: ${err.message}`);
+        result = standingUnavailable();
+      }
+
+      if (result.success) {
+        return next();
+      }
+
+      const enforcementError = {
+        code: result.code,
+        message: result.message,
+        enforcement: result.enforcement,
+        ...(result.retryAfterSeconds ? { retryAfterSeconds: result.retryAfterSeconds } : {})
+      };
+      socket.emit('error', { source: event, ...enforcementError });
+
+      const callback = args[args.length - 1];
+      if (typeof callback === 'function') callback({ success: false, error: enforcementError });
+    });
     
     // Update user's online status in database immediately
     updateUserOnlineStatus(socket.user.id, true);
@@ -468,6 +813,11 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
       lastSeen: new Date().toISOString()
     });
     
+    // Join the rooms of the user's group conversations
+    groupService.getUserGroupIds(socket.user.id)
+      .then(groupIds => groupIds.forEach(groupId => socket.join(groupService.groupRoom(groupId))))
+      .catch(err => error(`Failed to join group rooms for ${socket.user.id}: ${err.message}`));
+    
     // Initialize socket's active conversations
     socket.activeConversations = new Set();
     
@@ -616,10 +966,63 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
       }
     });
     
+    // Replay messages missed since the client's last known sequence numbers ({ since: { [conversationKey]: seq }, limit })
+    const replayMissedMessages = async (data = {}) => {
+      const limit = Math.min(Math.max(parseInt(data.limit, 10) || SYNC_DEFAULT_LIMIT, 1), SYNC_MAX_LIMIT);
+      const since = data.since && typeof data.since === 'object' ? data.since : {};
+      const { conversations, hasMore, delivered } = await syncMessagesSince(socket.user.id, since, limit);
+
+      notifyMessageStatus(delivered);
+      return { conversations, hasMore };
+    };
+
+    // Send the state of the user's pending and active games (after connecting or reconnecting)
+    const sendOpenGames = async () => {
+      const [games, groupIds] = await Promise.all([
+        gameService.getUserOpenGames(socket.user.id),
+        groupService.getUserGroupIds(socket.user.id)
+      ]);
+
+      games.forEach(gameInstance => {
+        const groupId = groupIds.includes(gameInstance.conversation_id) ? gameInstance.conversation_id : null;
+        socket.emit('game:state', buildGameStatePayload(gameInstance, groupId, { event: 'sync' }));
+      });
+    };
+    
+    sendOpenGames()
+      .catch(err => error(`Failed to send open games to ${socket.user.id}: ${err.message}`));
+    
+    // Catch up after a reconnect or a gap in sequence numbers; call again with the new lastSeq values while hasMore
+    socket.on('sync:since', async (data = {}, callback) => {
+      try {
+        const sync = await replayMissedMessages(data);
+
+        socket.emit('sync:since', sync);
+        if (typeof callback === 'function') callback({ success: true, ...sync });
+      } catch (err) {
+        error(`Error syncing messages for user ${socket.user.id}: ${err.message}`);
+        const syncError = { message: 'Failed to sync messages' };
+        socket.emit('error', { source: 'sync:since', ...syncError });
+        if (typeof callback === 'function') callback({ success: false, error: syncError });
+      }
+    });
+
+    // Receivers acknowledge messages they got ({ messageIds })
+    socket.on('message:delivered', async (data = {}) => {
+      try {
+        const messageIds = Array.isArray(data.messageIds) ? data.messageIds : [data.messageId].filter(Boolean);
+        const delivered = await advanceMessageStatus(socket.user.id, messageIds, 'delivered');
+
+        notifyMessageStatus(delivered);
+      } catch (err) {
+        error(`Error marking messages delivered for user ${socket.user.id}: ${err.message}`);
+      }
+    });
+    
     // Track client-side reconnection attempts
-    socket.on('client:reconnect', () => {
+    socket.on('client:reconnect', async (data = {}) => {
       // Re-establish connection information
-      connectedUsers.set(socket.user.id, socket.id);
+      trackUserSocket(socket.user.id, socket.id);
       updateUserOnlineStatus(socket.user.id, true);
       
       // Cancel any pending disconnection timeout for this user
@@ -650,6 +1053,14 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
         socket.connectionStability.connectionHealth = 100;
         socket.connectionStability.missedPings = 0;
       }
+
+      // Replay anything missed while disconnected
+      try {
+        socket.emit('sync:since', await replayMissedMessages(data));
+        await sendOpenGames();
+      } catch (err) {
+        error(`Error syncing messages after reconnect for ${socket.user.id}: ${err.message}`);
+      }
     });
     
     // NEW: Handle conversation initialization to ensure typing indicators work
@@ -679,21 +1090,21 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
           // Notify the other user that this user has started a conversation
           const receiverSocketId = connectedUsers.get(userId);
           if (receiverSocketId) {
+            // Add to the receiver's active conversations as well (only possible on the receiver's node)
             const receiverSocket = io.sockets.sockets.get(receiverSocketId);
             if (receiverSocket) {
-              // Add to the receiver's active conversations as well
               if (!receiverSocket.activeConversations) {
                 receiverSocket.activeConversations = new Set();
               }
               receiverSocket.activeConversations.add(socket.user.id);
-              
-              // Alert the receiver that a conversation has been initialized
-              receiverSocket.emit('conversation:init', {
-                userId: socket.user.id,
-                username: socket.user.username,
-                profilePictureUrl: socket.user.profile_picture_url
-              });
             }
+            
+            // Alert the receiver that a conversation has been initialized
+            io.to(receiverSocketId).emit('conversation:init', {
+              userId: socket.user.id,
+              username: socket.user.username,
+              profilePictureUrl: socket.user.profile_picture_url
+            });
           }
         }
         
@@ -708,16 +1119,56 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
       }
     });
     
+    // Load a page of message history, older pages via pagination.nextCursor
+    socket.on('conversation:history', async (data = {}, callback) => {
+      try {
+        const { userId } = data;
+        const page = parsePageParams(data, { defaultLimit: 50 });
+
+        if (!userId || page.error) {
+          const historyError = { message: page.error || 'User ID is required' };
+          socket.emit('error', { source: 'conversation:history', ...historyError });
+          if (typeof callback === 'function') callback({ success: false, error: historyError });
+          return;
+        }
+
+        const { messages, pagination } = await getConversationPage(socket.user.id, userId, page);
+        const history = { userId, messages, pagination };
+
+        socket.emit('conversation:history', history);
+        if (typeof callback === 'function') callback({ success: true, ...history });
+      } catch (err) {
+        console.error('Error loading conversation history:', err);
+        const historyError = { message: 'Failed to load conversation history' };
+        socket.emit('error', { source: 'conversation:history', ...historyError });
+        if (typeof callback === 'function') callback({ success: false, error: historyError });
+      }
+    });
+    
     // Emit online status to other users
     io.emit('user:status', {
       userId: socket.user.id,
       online: true
     });
     
+    // Screen outgoing content against the moderation policies
+    // Blocked content is reported to the client and null returned
+    const screenOutgoing = async (source, content, callback) => {
+      const screening = await screenContent({ userId: socket.user.id, surface: 'message', content });
+      if (screening.action !== 'block') {
+        return screening;
+      }
+
+      const moderationError = contentBlockedError(screening);
+      socket.emit('error', { source, ...moderationError });
+      if (typeof callback === 'function') callback({ success: false, error: moderationError });
+      return null;
+    };
+
     // Handle private messages
     socket.on('message:send', async (data, callback) => {
       try {
-        const { receiverId, content, mediaUrl } = data;
+        const { receiverId, content, mediaUrl, deliverAt, ttlSeconds } = data;
         const senderId = socket.user.id;
         
         // Validate required fields
@@ -727,8 +1178,39 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
           if (typeof callback === 'function') callback({ success: false, error });
           return;
         }
+
+        // Send-later and disappearing messages go through the full message schema
+        if (deliverAt || ttlSeconds) {
+          const { error: validationError } = messageCreateSchema.validate({ receiverId, content, mediaUrl, deliverAt, ttlSeconds });
+          if (validationError) {
+            const error = { message: validationError.details[0].message };
+            socket.emit('error', { source: 'message:send', ...error });
+            if (typeof callback === 'function') callback({ success: false, error });
+            return;
+          }
+        }
+
+        // Blocked users can't message each other
+        if (await isBlockedBetween(senderId, receiverId)) {
+          const blockedError = { code: USER_BLOCKED_CODE, message: 'You cannot message this user' };
+          socket.emit('error', { source: 'message:send', ...blockedError });
+          if (typeof callback === 'function') callback({ success: false, error: blockedError });
+          return;
+        }
+
+        const screening = await screenOutgoing('message:send', content, callback);
+        if (!screening) return;
+
+        // Send-later messages are held back until the scheduler delivers them
+        if (deliverAt) {
+          const scheduledMessage = await scheduleMessage(senderId, { receiverId, content, mediaUrl, deliverAt, ttlSeconds, moderation: screening.moderation });
+          recordScreening(screening);
+          socket.emit('message:scheduled', scheduledMessage);
+          if (typeof callback === 'function') callback({ success: true, scheduled: true, scheduledMessage });
+          return;
+        }
         
-        // Create ordered message sequence tracking
+        // Order of sends on this socket, used to resend pending messages in order
         if (!socket.messageSequence) {
           socket.messageSequence = 0;
         }
@@ -773,10 +1255,11 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
             receiver_id: receiverId,
             content,
             media_url: mediaUrl || null,
+            ttl_seconds: ttlSeconds || null,
+            moderation: screening.moderation,
             is_read: false,
             created_at: new Date(),
-              updated_at: new Date(),
-              sequence: currentSequence // Store sequence for ordering
+              updated_at: new Date()
           })
           .select()
           .single();
@@ -794,6 +1277,8 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
             if (typeof callback === 'function') callback({ success: false, error: dbError });
           return;
         }
+
+        recordScreening(screening, message.id);
         
         // Add sender info to the message object
         message.sender = {
@@ -809,14 +1294,15 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
         if (receiverSocketId) {
             const receiverSocket = io.sockets.sockets.get(receiverSocketId);
             if (receiverSocket) {
-              // Add to receiver's active conversations
+              // Add to receiver's active conversations (only possible on the receiver's node)
               if (!receiverSocket.activeConversations) {
                 receiverSocket.activeConversations = new Set();
               }
               receiverSocket.activeConversations.add(senderId);
+            }
 
               // Emit message:received event to recipient with complete message data
-              receiverSocket.emit('message:received', {
+              io.to(receiverSocketId).emit('message:received', {
                 id: message.id,
                 messageId: message.id, // Add duplicate for compatibility
                 senderId: senderId,
@@ -832,6 +1318,14 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
                 created_at: message.created_at, // Add duplicate for compatibility
                 isRead: false,
                 is_read: false, // Add duplicate for compatibility
+                // Per-conversation sequence number; acknowledge with message:delivered
+                conversationKey: message.conversation_key,
+                seq: message.seq,
+                status: message.status,
+                // Disappearing messages are removed this many seconds after being read
+                ttlSeconds: message.ttl_seconds,
+                // { action: 'blur', warning } when the content should be hidden behind the warning
+                moderation: message.moderation,
                 profilePic: socket.user.profile_picture_url,
                 profilePictureUrl: socket.user.profile_picture_url,
                 sender: {
@@ -842,7 +1336,6 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
                   profilePictureUrl: socket.user.profile_picture_url
                 }
               });
-            }
           }
           
           // Acknowledge successful message delivery to sender
@@ -850,7 +1343,11 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
             callback({ 
               success: true, 
               messageId: message.id, 
-              sequence: currentSequence,
+              conversationKey: message.conversation_key,
+              sequence: message.seq,
+              seq: message.seq,
+              status: message.status,
+              moderation: message.moderation,
               timestamp: message.created_at
             });
           }
@@ -863,35 +1360,34 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
               socket.connectionStability.connectionHealth + 5);
           }
           
-          // Process conversation streak
+          // Process conversation streak, on the pair's calendar like REST and scheduled messages
           try {
-            const { processConversationStreak } = require('../services/achievement/streakService');
-            const { checkMessageAchievements } = require('../services/achievement/achievementService');
-            
-            // Track streak for this conversation
-            const streakInfo = await processConversationStreak(senderId, receiverId);
-            if (streakInfo) {
+            const streakService = require('../services/streakService');
+            const streakConversationId = streakService.getConversationId(senderId, receiverId);
+            const streakInfo = await streakService.updateConversationStreak(
+              streakConversationId,
+              senderId,
+              receiverId,
+              message.created_at
+            );
+            if (!streakInfo.error) {
+              const streakUpdate = {
+                conversationId: streakConversationId,
+                streakDays: streakInfo.currentStreak,
+                longestStreak: streakInfo.longestStreak,
+                isNewDay: streakInfo.isNewDay,
+                expiresAt: streakInfo.expiresAt
+              };
+
               // Add streak info to message delivery data for both users
               if (receiverSocketId) {
-                const receiverSocket = io.sockets.sockets.get(receiverSocketId);
-                if (receiverSocket) {
-                  receiverSocket.emit('conversation:streak', {
-                    conversationId: streakInfo.conversation_id,
-                    streakDays: streakInfo.streak_days,
-                    expiresAt: streakInfo.expires_at
-                  });
-                }
+                io.to(receiverSocketId).emit('conversation:streak', streakUpdate);
               }
-              
-              socket.emit('conversation:streak', {
-                conversationId: streakInfo.conversation_id,
-                streakDays: streakInfo.streak_days,
-                expiresAt: streakInfo.expires_at
-              });
+              socket.emit('conversation:streak', streakUpdate);
             }
             
             // Check for message achievements
-            await checkMessageAchievements(senderId);
+            await publish(EVENTS.MESSAGE_SENT, { userId: senderId, receiverId, hasMedia: Boolean(mediaUrl) });
           } catch (achievementError) {
             console.error('Error processing achievements:', achievementError);
             // Non-blocking, don't fail the message send operation
@@ -909,6 +1405,134 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
       }
     });
     
+    // Cancel a send-later message before it is delivered
+    socket.on('message:cancelScheduled', async (data = {}, callback) => {
+      try {
+        const { scheduledId } = data;
+        if (!scheduledId) {
+          const cancelError = { message: 'Scheduled message ID is required' };
+          socket.emit('error', { source: 'message:cancelScheduled', ...cancelError });
+          if (typeof callback === 'function') callback({ success: false, error: cancelError });
+          return;
+        }
+
+        const result = await cancelScheduledMessage(scheduledId, socket.user.id);
+        if (!result.success) {
+          const cancelError = { message: result.message };
+          socket.emit('error', { source: 'message:cancelScheduled', ...cancelError });
+          if (typeof callback === 'function') callback({ success: false, error: cancelError });
+          return;
+        }
+
+        socket.emit('message:scheduledCancelled', { scheduledId });
+        if (typeof callback === 'function') callback({ success: true, scheduledMessage: result.scheduledMessage });
+      } catch (err) {
+        error(`Error cancelling scheduled message for ${socket.user.id}: ${err.message}`);
+        const cancelError = { message: 'Failed to cancel scheduled message' };
+        socket.emit('error', { source: 'message:cancelScheduled', ...cancelError });
+        if (typeof callback === 'function') callback({ success: false, error: cancelError });
+      }
+    });
+    
+    // Handle group messages
+    socket.on('group:message', async (data = {}, callback) => {
+      try {
+        const { groupId, content, mediaUrl, replyToMessageId } = data;
+        const senderId = socket.user.id;
+
+        if (!groupId || !content) {
+          const groupError = { message: 'Group ID and content are required' };
+          socket.emit('error', { source: 'group:message', ...groupError });
+          if (typeof callback === 'function') callback({ success: false, error: groupError });
+          return;
+        }
+
+        const result = await groupService.sendGroupMessage(groupId, senderId, { content, mediaUrl, replyToMessageId });
+
+        if (!result.success) {
+          const groupError = { message: result.message, ...(result.code ? { code: result.code } : {}) };
+          socket.emit('error', { source: 'group:message', ...groupError });
+          if (typeof callback === 'function') callback({ success: false, error: groupError });
+          return;
+        }
+
+        const message = {
+          ...result.message,
+          sender: {
+            id: socket.user.id,
+            username: socket.user.username,
+            firstName: socket.user.first_name,
+            lastName: socket.user.last_name,
+            profilePictureUrl: socket.user.profile_picture_url
+          }
+        };
+
+        socket.to(groupService.groupRoom(groupId)).emit('group:message', { groupId, message });
+
+        if (typeof callback === 'function') {
+          callback({ success: true, messageId: message.id, timestamp: message.created_at });
+        }
+
+        // Group streak; sendGroupMessage publishes the message for achievements
+        try {
+          const { processGroupStreak } = require('../services/achievement/streakService');
+
+          const streakInfo = await processGroupStreak(groupId, message.created_at);
+          if (streakInfo) {
+            emitToGroup(groupId, 'group:streak', {
+              groupId,
+              streakDays: streakInfo.streak_days,
+              expiresAt: streakInfo.expires_at
+            });
+          }
+        } catch (achievementError) {
+          console.error('Error processing group achievements:', achievementError);
+        }
+      } catch (err) {
+        console.error('Group message error:', err);
+        const serverError = { message: 'Server error while sending group message' };
+        socket.emit('error', { source: 'group:message', ...serverError });
+        if (typeof callback === 'function') callback({ success: false, error: serverError });
+      }
+    });
+
+    // Per-member read receipts for groups
+    socket.on('group:read', async (data = {}) => {
+      try {
+        const { groupId, messageId } = data;
+
+        if (!groupId || !messageId) {
+          socket.emit('error', {
+            source: 'group:read',
+            message: 'Group ID and message ID are required'
+          });
+          return;
+        }
+
+        const result = await groupService.markGroupRead(groupId, socket.user.id, messageId);
+
+        if (!result.success) {
+          socket.emit('error', { source: 'group:read', message: result.message });
+          return;
+        }
+
+        if (result.updated) {
+          emitToGroup(groupId, 'group:read', {
+            groupId,
+            userId: socket.user.id,
+            messageId: result.messageId,
+            readAt: result.readAt
+          });
+        }
+      } catch (err) {
+        console.error('Group read receipt error:', err);
+        socket.emit('error', {
+          source: 'group:read',
+          message: 'Server error processing read receipt'
+        });
+      }
+    });
+    
     // Handle messages in match rooms
     socket.on('match:message', async (data, callback) => {
       console.log(`===== MATCH:MESSAGE EVENT =====`);
@@ -963,6 +1587,17 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
             matchData.user2_id : matchData.user1_id;
           
           console.log(`Found valid match ${matchId} between ${userId} and ${recipientId}`);
+
+          if (await isBlockedBetween(userId, recipientId)) {
+            const blockedError = { code: USER_BLOCKED_CODE, message: 'You cannot message this user' };
+            socket.emit('error', { source: 'match:message', ...blockedError });
+            if (typeof callback === 'function') callback({ success: false, error: blockedError });
+            return;
+          }
+
+          const screening = await screenOutgoing('match:message', message, callback);
+          if (!screening) return;
+          messageObject.moderation = screening.moderation;
           
           // Save message to database
           try {
@@ -973,12 +1608,16 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
                 sender_id: userId,
                 receiver_id: recipientId,
                 content: message,
+                moderation: screening.moderation,
                 is_read: false,
                 created_at: timestamp,
                 updated_at: timestamp
               });
             
             console.log(`Message ${messageId} saved to database`);
+            recordScreening(screening, messageId);
+
+            publish(EVENTS.MESSAGE_SENT, { userId, receiverId: recipientId, hasMedia: false });
           } catch (dbError) {
             console.log(`Error saving message to database: ${dbError.message}`);
             // Continue anyway to at least deliver the message in real-time
@@ -1042,18 +1681,200 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
           console.log(`Database error in match:message: ${dbError.message}`);
           throw dbError;
         }
-      } catch (error) {
-        console.log(`ERROR in match:message: ${error.message}`);
-        socket.emit('error', {
-          source: 'match:message',
-          message: 'Failed to process message' 
+      } catch (error) {
+        console.log(`ERROR in match:message: ${error.message}`);
+        socket.emit('error', {
+          source: 'match:message',
+          message: 'Failed to process message' 
+        });
+        if (typeof callback === 'function') callback({ success: false, error: { message: error.message } });
+      }
+    });
+
+    // Report a failed game action to the client
+    const gameActionFailed = (source, message, callback, code = null) => {
+      const gameError = { message, ...(code ? { code } : {}) };
+      socket.emit('error', { source, ...gameError });
+      if (typeof callback === 'function') callback({ success: false, error: gameError });
+    };
+
+    // Send a new game invitation to the invited player (or the group)
+    const sendGameInvitation = ({ game, series, group }) => {
+      const invitation = { gameInstance: game, series, sender: socket.user.id };
+
+      if (group) {
+        emitToGroup(group.id, 'game:invite', { ...invitation, groupId: group.id });
+      } else {
+        emitToUser(game.responder_id, 'game:invite', invitation);
+      }
+      emitGameState(game, group, { event: 'invited', series });
+    };
+
+    // Invite a user to a mini-game ({ conversationId, gameType, responderId, locale, bestOf })
+    socket.on('game:invite', async (data = {}, callback) => {
+      try {
+        const result = await gamePlayService.inviteToGame(socket.user.id, data);
+        if (!result.success) {
+          gameActionFailed('game:invite', result.message, callback, result.code);
+          return;
+        }
+
+        sendGameInvitation(result);
+
+        if (typeof callback === 'function') callback({ success: true, game: result.game, series: result.series });
+      } catch (err) {
+        error(`Error inviting to game for ${socket.user.id}: ${err.message}`);
+        gameActionFailed('game:invite', 'Failed to create game', callback);
+      }
+    });
+
+    // Offer a rematch of a finished game ({ gameInstanceId })
+    socket.on('game:rematch', async (data = {}, callback) => {
+      try {
+        const result = await gamePlayService.rematchGame(data.gameInstanceId, socket.user.id);
+        if (!result.success) {
+          gameActionFailed('game:rematch', result.message, callback, result.code);
+          return;
+        }
+
+        sendGameInvitation(result);
+
+        if (typeof callback === 'function') callback({ success: true, game: result.game, series: result.series });
+      } catch (err) {
+        error(`Error offering rematch for ${socket.user.id}: ${err.message}`);
+        gameActionFailed('game:rematch', 'Failed to offer rematch', callback);
+      }
+    });
+
+    // Accept a game invitation ({ gameInstanceId }); the first turn timer starts now
+    socket.on('game:accept', async (data = {}, callback) => {
+      try {
+        const { gameInstance, group, ...result } = await gamePlayService.acceptInvitation(data.gameInstanceId, socket.user.id);
+        if (!result.success) {
+          gameActionFailed('game:accept', result.message, callback);
+          return;
+        }
+
+        if (gameInstance) {
+          emitGameState(gameInstance, group, { event: 'accepted' });
+        }
+
+        if (typeof callback === 'function') {
+          callback({ success: true, gameState: result.gameState, turnExpiresAt: result.turnExpiresAt });
+        }
+      } catch (err) {
+        error(`Error accepting game for ${socket.user.id}: ${err.message}`);
+        gameActionFailed('game:accept', 'Failed to accept game', callback);
+      }
+    });
+
+    // Make a move ({ gameInstanceId, move })
+    socket.on('game:move', async (data = {}, callback) => {
+      try {
+        const { gameInstanceId, move } = data;
+        const { gameInstance, group, ...result } = await gamePlayService.playMove(gameInstanceId, socket.user.id, move);
+        if (!result.success) {
+          gameActionFailed('game:move', result.message, callback);
+          return;
+        }
+
+        emitGameState(gameInstance, group, {
+          event: result.isComplete ? 'completed' : 'move',
+          lastMove: { userId: socket.user.id, moveData: move },
+          ...(result.isComplete ? { ratingChanges: result.ratingChanges } : {}),
+          ...(result.series ? { series: result.series } : {})
         });
-        if (typeof callback === 'function') callback({ success: false, error: { message: error.message } });
+
+        if (result.nextGame) {
+          emitGameState(result.nextGame, group, { event: 'invited', series: result.series });
+        }
+
+        if (typeof callback === 'function') {
+          callback({
+            success: true,
+            state: result.state,
+            score: result.score,
+            isComplete: result.isComplete,
+            turnExpiresAt: result.turnExpiresAt,
+            ratingChanges: result.ratingChanges,
+            series: result.series,
+            nextGame: result.nextGame
+          });
+        }
+      } catch (err) {
+        error(`Error making game move for ${socket.user.id}: ${err.message}`);
+        gameActionFailed('game:move', 'Failed to make move', callback);
+      }
+    });
+
+    // Get the current state of a game ({ gameInstanceId }), or of all open games without an ID
+    socket.on('game:state', async (data = {}, callback) => {
+      try {
+        const { gameInstanceId } = data;
+
+        if (!gameInstanceId) {
+          await sendOpenGames();
+          if (typeof callback === 'function') callback({ success: true });
+          return;
+        }
+
+        const gameInstance = await gameService.getGameInstance(gameInstanceId);
+        const group = gameInstance ? await gamePlayService.getGameGroup(gameInstance) : null;
+        const isPlayer = gameInstance &&
+          (gameInstance.initiator_id === socket.user.id || gameInstance.responder_id === socket.user.id);
+        const canWatch = isPlayer || (group && await groupService.getMembership(group.id, socket.user.id));
+
+        if (!canWatch) {
+          gameActionFailed('game:state', 'Game not found', callback);
+          return;
+        }
+
+        const payload = buildGameStatePayload(gameInstance, group ? group.id : null, { event: 'sync' });
+        socket.emit('game:state', payload);
+        if (typeof callback === 'function') callback({ success: true, game: payload });
+      } catch (err) {
+        error(`Error getting game state for ${socket.user.id}: ${err.message}`);
+        gameActionFailed('game:state', 'Failed to get game state', callback);
+      }
+    });
+
+    // Forfeit a game, or decline or cancel an invitation ({ gameInstanceId })
+    socket.on('game:forfeit', async (data = {}, callback) => {
+      try {
+        const result = await gamePlayService.forfeitGame(data.gameInstanceId, socket.user.id);
+        if (!result.success) {
+          gameActionFailed('game:forfeit', result.message, callback);
+          return;
+        }
+
+        emitGameState(result.gameInstance, result.group, {
+          event: 'forfeited',
+          winnerId: result.winnerId,
+          ratingChanges: result.ratingChanges,
+          ...(result.series ? { series: result.series } : {})
+        });
+
+        if (result.nextGame) {
+          emitGameState(result.nextGame, result.group, { event: 'invited', series: result.series });
+        }
+
+        if (typeof callback === 'function') {
+          callback({
+            success: true,
+            winnerId: result.winnerId,
+            ratingChanges: result.ratingChanges,
+            series: result.series,
+            nextGame: result.nextGame
+          });
+        }
+      } catch (err) {
+        error(`Error forfeiting game for ${socket.user.id}: ${err.message}`);
+        gameActionFailed('game:forfeit', 'Failed to forfeit game', callback);
       }
     });
 
     // Add reconnection handling
-    socket.on('reconnect:check', async () => {
+    socket.on('reconnect:check', async (data = {}) => {
       try {
         const userId = socket.user.id;
         info(`Reconnection check for user ${userId}`);
@@ -1092,8 +1913,11 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
         updateUserOnlineStatus(userId, true);
         
         // Refresh connectedUsers map
-        connectedUsers.set(userId, socket.id);
+        trackUserSocket(userId, socket.id);
         
+        // Replay messages missed while disconnected, then the current state of open games
+        socket.emit('sync:since', await replayMissedMessages(data));
+        await sendOpenGames();
       } catch (err) {
         error(`Error handling reconnection for user ${socket.user.id}: ${err.message}`);
       }
@@ -1112,6 +1936,8 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
           .from('messages')
           .update({
             is_read: true,
+            status: 'read',
+            read_at: new Date(),
             updated_at: new Date()
           })
           .eq('id', messageId)
@@ -1225,6 +2051,8 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
           .from('messages')
           .update({
             is_read: true,
+            status: 'read',
+            read_at: readAt,
             updated_at: readAt
           })
           .eq('receiver_id', userId)
@@ -1309,12 +2137,17 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
           });
           return;
         }
+
+        // The new text is screened like a new message; a clean edit clears an earlier blur
+        const screening = await screenOutgoing('message:edit', content);
+        if (!screening) return;
         
         // Update the message
         const { data: updatedMessage, error: updateError } = await supabase
           .from('messages')
           .update({
             content: content,
+            moderation: screening.moderation,
             updated_at: new Date(),
             is_edited: true
           })
@@ -1330,23 +2163,38 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
           });
           return;
         }
+
+        recordScreening(screening, messageId);
         
-        // Notify receiver about edit
-        const receiverSocketId = connectedUsers.get(message.receiver_id);
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit('message:edited', {
+        // Notify the other participants about the edit
+        if (message.group_id) {
+          socket.to(groupService.groupRoom(message.group_id)).emit('message:edited', {
             messageId,
-            conversationId: message.receiver_id,
+            groupId: message.group_id,
             content: updatedMessage.content,
+            moderation: updatedMessage.moderation,
             updatedAt: updatedMessage.updated_at
           });
+        } else {
+          const receiverSocketId = connectedUsers.get(message.receiver_id);
+          if (receiverSocketId) {
+            io.to(receiverSocketId).emit('message:edited', {
+              messageId,
+              conversationId: message.receiver_id,
+              content: updatedMessage.content,
+              moderation: updatedMessage.moderation,
+              updatedAt: updatedMessage.updated_at
+            });
+          }
         }
         
         // Confirm to sender
         socket.emit('message:editConfirmed', {
           messageId,
           conversationId: message.receiver_id,
+          groupId: message.group_id || undefined,
           content: updatedMessage.content,
+          moderation: updatedMessage.moderation,
           updatedAt: updatedMessage.updated_at
         });
           
@@ -1381,6 +2229,52 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
           return;
         }
         
+        // Group messages: the sender or a group admin can delete for everyone, any member can delete for self
+        if (message.group_id) {
+          const membership = await groupService.getMembership(message.group_id, userId);
+          if (!membership) {
+            socket.emit('error', {
+              source: 'message:delete',
+              message: 'You do not have permission to delete this message'
+            });
+            return;
+          }
+          
+          const canDeleteForEveryone = message.sender_id === userId || groupService.hasRole(membership.role, 'admin');
+          
+          if (forEveryone && canDeleteForEveryone) {
+            const { error: deleteError } = await supabase
+              .from('messages')
+              .delete()
+              .eq('id', messageId);
+              
+            if (deleteError) {
+              console.error('Error deleting group message:', deleteError);
+              socket.emit('error', {
+                source: 'message:delete',
+                message: 'Failed to delete message'
+              });
+              return;
+            }
+            
+            socket.to(groupService.groupRoom(message.group_id)).emit('message:deleted', {
+              messageId,
+              groupId: message.group_id,
+              deletedBy: userId,
+              deletedForEveryone: true
+            });
+          } else {
+            await groupService.hideGroupMessage(message, userId);
+          }
+          
+          socket.emit('message:deleteConfirmed', {
+            messageId,
+            groupId: message.group_id,
+            deletedForEveryone: forEveryone && canDeleteForEveryone
+          });
+          return;
+        }
+        
         // Verify the user is either the sender (can delete for everyone) or receiver (can delete for self)
         if (message.sender_id !== userId && message.receiver_id !== userId) {
           socket.emit('error', {
@@ -1487,14 +2381,27 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
           return;
         }
         
-        // Verify user is part of the conversation
-        if (message.sender_id !== userId && message.receiver_id !== userId) {
+        // Verify user is part of the conversation (or a member of the group)
+        const canReact = message.group_id
+          ? Boolean(await groupService.getMembership(message.group_id, userId))
+          : message.sender_id === userId || message.receiver_id === userId;
+        
+        if (!canReact) {
           socket.emit('error', {
             source: 'message:react',
             message: 'You cannot react to this message'
           });
           return;
         }
+
+        // Blocked users can't reach each other through reactions either
+        if (!message.group_id) {
+          const otherUserId = message.sender_id === userId ? message.receiver_id : message.sender_id;
+          if (await isBlockedBetween(userId, otherUserId)) {
+            socket.emit('error', { source: 'message:react', code: USER_BLOCKED_CODE, message: 'You cannot message this user' });
+            return;
+          }
+        }
         
         // Check if message_reactions table exists, if not create it
         // This assumes you'll add a message_reactions table to your database
@@ -1550,6 +2457,24 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
           return acc;
         }, {}) : {};
         
+        if (message.group_id) {
+          socket.to(groupService.groupRoom(message.group_id)).emit('message:reacted', {
+            messageId,
+            userId,
+            reaction,
+            groupId: message.group_id,
+            reactionsSummary
+          });
+          
+          socket.emit('message:reactConfirmed', {
+            messageId,
+            reaction,
+            groupId: message.group_id,
+            reactionsSummary
+          });
+          return;
+        }
+        
         // Determine other party in the conversation
         const otherUserId = message.sender_id === userId ? message.receiver_id : message.sender_id;
         
@@ -1585,9 +2510,46 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
     // Send a reply to a specific message
     socket.on('message:reply', async (data) => {
       try {
-        const { receiverId, content, replyToMessageId, mediaUrl } = data;
+        const { receiverId, groupId, content, replyToMessageId, mediaUrl } = data;
         const senderId = socket.user.id;
         
+        // Group replies go through the group message path
+        if (groupId) {
+          if (!content || !replyToMessageId) {
+            socket.emit('error', {
+              source: 'message:reply',
+              message: 'Content and replyToMessageId are required'
+            });
+            return;
+          }
+          
+          const result = await groupService.sendGroupMessage(groupId, senderId, { content, mediaUrl, replyToMessageId });
+          
+          if (!result.success) {
+            socket.emit('error', {
+              source: 'message:reply',
+              message: result.message,
+              ...(result.code ? { code: result.code } : {})
+            });
+            return;
+          }
+          
+          const groupReply = {
+            ...result.message,
+            sender: {
+              id: socket.user.id,
+              firstName: socket.user.first_name,
+              lastName: socket.user.last_name,
+              username: socket.user.username,
+              profilePictureUrl: socket.user.profile_picture_url
+            }
+          };
+          
+          socket.emit('message:sent', groupReply);
+          socket.to(groupService.groupRoom(groupId)).emit('group:message', { groupId, message: groupReply });
+          return;
+        }
+        
         // Validate required fields
         if (!receiverId || !content || !replyToMessageId) {
           socket.emit('error', {
@@ -1596,6 +2558,12 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
           });
           return;
         }
+
+        // Blocked users can't message each other, replies included
+        if (await isBlockedBetween(senderId, receiverId)) {
+          socket.emit('error', { source: 'message:reply', code: USER_BLOCKED_CODE, message: 'You cannot message this user' });
+          return;
+        }
         
         // Fetch the original message being replied to
         const { data: originalMessage, error: fetchError } = await supabase
@@ -1612,6 +2580,9 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
           });
           return;
         }
+
+        const screening = await screenOutgoing('message:reply', content);
+        if (!screening) return;
         
         // Create message with reply metadata
         const { data: message, error } = await supabase
@@ -1621,6 +2592,7 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
             receiver_id: receiverId,
             content,
             media_url: mediaUrl || null,
+            moderation: screening.moderation,
             is_read: false,
             created_at: new Date(),
             updated_at: new Date(),
@@ -1638,6 +2610,8 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
           });
           return;
         }
+
+        recordScreening(screening, message.id);
         
         // Add sender info to the message object
         message.sender = {
@@ -1663,6 +2637,8 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
         if (receiverSocketId) {
           io.to(receiverSocketId).emit('message:received', message);
         }
+        
+        publish(EVENTS.MESSAGE_SENT, { userId: senderId, receiverId, hasMedia: Boolean(mediaUrl) });
           
       } catch (error) {
         console.error('Error in message:reply:', error);
@@ -1809,7 +2785,7 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
     // Enhanced typing indicators
     socket.on('typing:start', (data) => {
       try {
-        const { receiverId, matchId } = data;
+        const { receiverId, matchId, groupId } = data;
         const userId = socket.user.id;
         
         // For private chat
@@ -1823,45 +2799,73 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
           // Ensure the user is actually in our connected users before attempting to emit
           const receiverSocketId = connectedUsers.get(receiverId);
           if (receiverSocketId) {
+            // Add to receiver's active conversations as well (only possible on the receiver's node)
             const receiverSocket = io.sockets.sockets.get(receiverSocketId);
             if (receiverSocket) {
-              // Add to receiver's active conversations as well
               if (!receiverSocket.activeConversations) {
                 receiverSocket.activeConversations = new Set();
               }
               receiverSocket.activeConversations.add(userId);
-              
-              // Store last typing time to prevent flooding
-              const now = Date.now();
-              if (!socket.lastTypingEmit || now - socket.lastTypingEmit > 1000) {
-            io.to(receiverSocketId).emit('typing:start', {
+            }
+
+            // Store last typing time to prevent flooding
+            const now = Date.now();
+            if (!socket.lastTypingEmit || now - socket.lastTypingEmit > 1000) {
+          io.to(receiverSocketId).emit('typing:start', {
+            userId,
+                username: socket.user.username,
+            timestamp: new Date().toISOString()
+          });
+              socket.lastTypingEmit = now;
+            }
+
+            // Set a timeout to automatically send typing:stop if not refreshed
+            if (socket.typingTimeout) {
+              clearTimeout(socket.typingTimeout);
+            }
+
+            socket.typingTimeout = setTimeout(() => {
+              // Auto-stop typing after 5 seconds of no typing activity
+              io.to(receiverSocketId).emit('typing:stop', {
+                userId,
+                timestamp: new Date().toISOString()
+              });
+              socket.isTyping = false;
+            }, 5000);
+
+            socket.isTyping = true;
+          }
+        }
+        
+        // For group chat (only members' sockets are in the group room)
+        const groupRoom = groupId ? groupService.groupRoom(groupId) : null;
+        if (groupRoom && socket.rooms.has(groupRoom)) {
+          const now = Date.now();
+          if (!socket.lastGroupTypingEmit || now - socket.lastGroupTypingEmit > 1000) {
+            socket.to(groupRoom).emit('group:typing', {
+              groupId,
               userId,
-                  username: socket.user.username,
+              username: socket.user.username,
+              isTyping: true,
               timestamp: new Date().toISOString()
             });
-                socket.lastTypingEmit = now;
-              }
-              
-              // Set a timeout to automatically send typing:stop if not refreshed
-              if (socket.typingTimeout) {
-                clearTimeout(socket.typingTimeout);
-              }
-              
-              socket.typingTimeout = setTimeout(() => {
-                // Auto-stop typing after 5 seconds of no typing activity
-                io.to(receiverSocketId).emit('typing:stop', {
-                  userId,
-                  timestamp: new Date().toISOString()
-                });
-                socket.isTyping = false;
-              }, 5000);
-              
-              socket.isTyping = true;
-            } else {
-              // Socket ID exists but socket is invalid, clean up
-              connectedUsers.delete(receiverId);
-            }
+            socket.lastGroupTypingEmit = now;
+          }
+          
+          if (socket.groupTypingTimeout) {
+            clearTimeout(socket.groupTypingTimeout);
           }
+          
+          socket.groupTypingTimeout = setTimeout(() => {
+            // Auto-stop typing after 5 seconds of inactivity
+            socket.to(groupRoom).emit('group:typing', {
+              groupId,
+              userId,
+              username: socket.user.username,
+              isTyping: false,
+              timestamp: new Date().toISOString()
+            });
+          }, 5000);
         }
         
         // For match chat
@@ -1900,7 +2904,7 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
 
     socket.on('typing:stop', (data) => {
       try {
-        const { receiverId, matchId } = data;
+        const { receiverId, matchId, groupId } = data;
         const userId = socket.user.id;
         
         // Clear any typing timeouts
@@ -1920,6 +2924,22 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
           socket.isTyping = false;
         }
         
+        // For group chat
+        const groupRoom = groupId ? groupService.groupRoom(groupId) : null;
+        if (groupRoom && socket.rooms.has(groupRoom)) {
+          if (socket.groupTypingTimeout) {
+            clearTimeout(socket.groupTypingTimeout);
+          }
+          
+          socket.to(groupRoom).emit('group:typing', {
+            groupId,
+            userId,
+            username: socket.user.username,
+            isTyping: false,
+            timestamp: new Date().toISOString()
+          });
+        }
+        
         // For match chat
         if (matchId) {
           if (socket.matchTypingTimeout) {
@@ -2002,6 +3022,8 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
             .from('messages')
             .update({
               is_read: true,
+              status: 'read',
+              read_at: new Date(),
               updated_at: new Date()
             })
             .eq('id', messageId)
@@ -2031,69 +3053,14 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
     // Handle matchmaking events
     socket.on('match:find', async (criteria = {}) => {
       try {
-        // Clear any existing matchmaking timeouts for this user
-        const userId = socket.user.id;
-        clearMatchmakingTimeouts(userId);
-        
-        console.log(`Finding match for user: ${userId}`);
+        console.log(`Finding match for user: ${socket.user.id}`);
         console.log('Match criteria:', JSON.stringify(criteria));
         
-        // Extract preference from incoming criteria if available
-        const clientPreference = criteria.preferences?.chatType;
-        
-        // Handle preference mapping from client format to server format
-        if (clientPreference) {
-          // Update socket user preference with client preference (properly capitalized)
-          if (clientPreference.toLowerCase() === 'friendship') {
-            socket.user.preference = 'Friendship';
-          } else if (clientPreference.toLowerCase() === 'dating') {
-            socket.user.preference = 'Dating';
-          }
-          console.log(`Updated user preference from client request: ${socket.user.preference}`);
-        }
-        
-        console.log(`User interests: ${JSON.stringify(socket.user.interests)}`);
-        console.log(`User preference: ${socket.user.preference}`);
-        
-        // Validate that user has interests
-        if (!socket.user.interests || socket.user.interests.length === 0) {
-          console.log(`User ${userId} has no interests. Aborting match.`);
-          socket.emit('error', { 
-            source: 'matchmaking',
-            message: 'You need to add interests to your profile before matchmaking' 
-          });
-          return;
-        }
-        
-        // Validate that user has a preference set
-        if (!socket.user.preference) {
-          console.log(`User ${userId} has no preference set. Aborting match.`);
-          socket.emit('error', { 
-            source: 'matchmaking',
-            message: 'You need to set your preference (Dating or Friendship) before matchmaking' 
-          });
+        const queued = await queueSocketUser(socket, criteria, 'matchmaking');
+        if (!queued) {
           return;
         }
         
-        // Verify socket is connected
-        const socketId = connectedUsers.get(userId);
-        if (!socketId || socketId !== socket.id) {
-          console.log(`User ${userId} has inconsistent socket information. Updating socket ID.`);
-          connectedUsers.set(userId, socket.id);
-        }
-        
-        // Add user to matchmaking pool with updated preference
-        matchmakingPool.set(userId, {
-          userId,
-          socketId: socket.id,
-          user: socket.user,
-          criteria,
-          interests: socket.user.interests,
-          joinedAt: new Date(),
-          isBeingProcessed: false
-        });
-        
-        console.log(`Added user ${userId} to matchmaking pool. Pool size: ${matchmakingPool.size}`);
         socket.emit('match:waiting', { 
           message: `Searching for a ${socket.user.preference} match with similar interests...` 
         });
@@ -2112,66 +3079,13 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
     // Add handler for 'findRandomMatch' event (frontend naming convention)
     socket.on('findRandomMatch', async (criteria = {}) => {
       try {
-        const userId = socket.user.id;
-        console.log(`User ${userId} is looking for a random match with criteria:`, criteria);
-        
-        // Extract preference from incoming criteria if available
-        const clientPreference = criteria.preferences?.chatType;
-        
-        // Handle preference mapping from client format to server format
-        if (clientPreference) {
-          // Update socket user preference with client preference (properly capitalized)
-          if (clientPreference.toLowerCase() === 'friendship') {
-            socket.user.preference = 'Friendship';
-          } else if (clientPreference.toLowerCase() === 'dating') {
-            socket.user.preference = 'Dating';
-          }
-          console.log(`Updated user preference from client request: ${socket.user.preference}`);
-        }
-        
-        console.log(`User preference: ${socket.user.preference}`);
-        
-        // Clear any existing matchmaking timeouts for this user
-        clearMatchmakingTimeouts(userId);
-        
-        // Validate that user has defined interests
-        if (!socket.user.interests || !Array.isArray(socket.user.interests) || socket.user.interests.length === 0) {
-          socket.emit('error', {
-            source: 'findRandomMatch',
-            message: 'You must have at least one interest defined in your profile'
-          });
-          return;
-        }
+        console.log(`User ${socket.user.id} is looking for a random match with criteria:`, criteria);
         
-        // Validate that user has a preference set
-        if (!socket.user.preference) {
-          console.log(`User ${userId} has no preference set. Aborting match.`);
-          socket.emit('error', { 
-            source: 'findRandomMatch',
-            message: 'You need to set your preference (Dating or Friendship) before matchmaking' 
-          });
+        const queued = await queueSocketUser(socket, criteria, 'findRandomMatch');
+        if (!queued) {
           return;
         }
         
-        // Verify socket is connected
-        const socketId = connectedUsers.get(userId);
-        if (!socketId || socketId !== socket.id) {
-          console.log(`User ${userId} has inconsistent socket information. Updating socket ID.`);
-          connectedUsers.set(userId, socket.id);
-        }
-        
-        // Add user to matchmaking pool with updated preference
-        matchmakingPool.set(userId, {
-          userId,
-          socketId: socket.id,
-          user: socket.user,
-          criteria,
-          interests: socket.user.interests,
-          joinedAt: new Date(),
-          isBeingProcessed: false
-        });
-        
-        console.log(`Added user ${userId} to matchmaking pool. Pool size: ${matchmakingPool.size}`);
         socket.emit('match:waiting', {
           message: `Looking for users with similar interests who also want ${socket.user.preference}...`
         });
@@ -2188,15 +3102,15 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
     });
     
     // Handle cancel matchmaking request
-    socket.on('cancelRandomMatch', () => {
+    socket.on('cancelRandomMatch', async () => {
       const userId = socket.user.id;
       console.log(`User ${userId} cancelled matchmaking`);
       
-      // Remove from matchmaking pool
-      matchmakingPool.delete(userId);
-      
-      // Clear any timeouts
-      clearMatchmakingTimeouts(userId);
+      try {
+        await leaveQueue(userId);
+      } catch (error) {
+        console.error('Error cancelling matchmaking:', error);
+      }
       
       socket.emit('match:cancelled', {
         message: 'Matchmaking cancelled'
@@ -2210,10 +3124,11 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
         
         // Only update status after a grace period to allow for short reconnects
         const disconnectTimeout = setTimeout(async () => {
-          // Check if user is still connected via a different socket
+          // Check if user is still connected via a different socket (on this or another node)
+          const currentSocketId = connectedUsers.get(socket.user.id);
           const isUserStillConnected = Array.from(io.sockets.sockets.values()).some(
             s => s.user && s.user.id === socket.user.id && s.id !== socket.id
-          );
+          ) || (!!currentSocketId && currentSocketId !== socket.id);
           
           if (!isUserStillConnected) {
             // Update user's online status in database
@@ -2229,10 +3144,8 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
             // Log status change for monitoring
             info(`User ${socket.user.id} (${socket.user.username}) marked as offline after disconnect`);
             
-            // Remove from connected users map
-            if (connectedUsers.get(socket.user.id) === socket.id) {
-              connectedUsers.delete(socket.user.id);
-            }
+            // Remove from connected users map and shared presence
+            untrackUserSocket(socket.user.id, socket.id);
             
             // Clean up any active matches and conversations
             cleanupUserMatches(socket.user.id);
@@ -2391,10 +3304,10 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
     socket.on('achievement:get', async () => {
       try {
         const userId = socket.user.id;
-        const { getUserAchievements, getUserPoints } = require('../services/achievement/achievementService');
+        const { getUserAchievements, getUserAchievementProgress } = require('../services/achievementService');
         
         const achievements = await getUserAchievements(userId);
-        const points = await getUserPoints(userId);
+        const { points } = await getUserAchievementProgress(userId);
         
         socket.emit('achievement:data', {
           achievements,
@@ -2413,7 +3326,7 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
     socket.on('streak:getAll', async () => {
       try {
       const userId = socket.user.id;
-        const { getUserActiveStreaks } = require('../services/achievement/streakService');
+        const { getUserActiveStreaks } = require('../services/streakService');
         
         const streaks = await getUserActiveStreaks(userId);
         
@@ -2429,10 +3342,6 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
       }
     });
 
-    // In the connection handler, after all existing socket event handlers, add these new AI-powered event handlers
-
-    // Add these AI feature handlers at the end of the connection handler
-    
     // AI message suggestions handler
     socket.on('ai:messageSuggestions', async ({ conversationId }, callback) => {
       try {
@@ -2445,7 +3354,7 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
           });
         }
         
-        const suggestions = await generateMessageSuggestions(conversationId);
+        const suggestions = await generateMessageSuggestions(socket.user.id, conversationId);
         
         callback({
           success: true,
@@ -2492,7 +3401,7 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
           });
         }
         
-        const icebreakers = await generateIcebreakers(matchId);
+        const icebreakers = await generateIcebreakers(socket.user.id, matchId);
         
         callback({
           success: true,
@@ -2519,7 +3428,7 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
           });
         }
         
-        const { mood, confidence } = await detectConversationMood(conversationId);
+        const { mood, confidence } = await detectConversationMood(socket.user.id, conversationId);
         
         callback({
           success: true,
@@ -2539,7 +3448,7 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
     // Note: These will be added to the existing socket handlers
 
     // Handle matchmaking join request - allows users to explicitly join matchmaking
-    socket.on('matchmaking:join', (data) => {
+    socket.on('matchmaking:join', async (data) => {
       try {
         if (!socket.user) {
           socket.emit('error', { source: 'matchmaking', message: 'Not authenticated' });
@@ -2547,49 +3456,27 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
         }
         
         const userId = socket.user.id;
-        const userPreference = data?.preference || socket.user.preference || 'Friendship';
-        const userInterests = socket.user.interests || [];
-        
-        // Validate that user has interests
-        if (!userInterests || userInterests.length === 0) {
-          socket.emit('error', {
-            source: 'matchmaking', 
-            message: 'You need to add interests to your profile before matchmaking' 
-          });
-          return;
+        if (data?.preference) {
+          socket.user.preference = data.preference;
         }
         
-        // Validate that user has a preference set
-        if (!userPreference) {
-          socket.emit('error', { 
-            source: 'matchmaking', 
-            message: 'You need to set your preference (Dating or Friendship) before matchmaking' 
-          });
+        const queued = await queueSocketUser(socket, data?.criteria || {}, 'matchmaking');
+        if (!queued) {
           return;
         }
         
-        // Add user to matchmaking pool
-              matchmakingPool.set(userId, {
-                userId,
-                socketId: socket.id,
-                user: socket.user,
-          interests: userInterests,
-          joinedAt: new Date(),
-          isBeingProcessed: false
-        });
-        
-        info(`User ${userId} joined matchmaking with preference: ${userPreference}`);
+        info(`User ${userId} joined matchmaking with preference: ${socket.user.preference}`);
         
         // Confirm to user
         socket.emit('matchmaking:status', { 
           status: 'joined', 
           message: 'You have joined matchmaking. Searching for a match...', 
-          poolSize: matchmakingPool.size 
+          poolSize: await getQueueSize() 
         });
         
         // Set a timeout to find match soon
         setTimeout(() => {
-          if (connectedUsers.has(userId) && matchmakingPool.has(userId)) {
+          if (connectedUsers.has(userId)) {
             findMatchForUser(socket, false); // Try to find a human match first
           }
         }, 2000);
@@ -2603,27 +3490,23 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
     });
     
     // Handle matchmaking leave request
-    socket.on('matchmaking:leave', () => {
+    socket.on('matchmaking:leave', async () => {
       try {
         if (!socket.user) {
           return;
         }
         
-      const userId = socket.user.id;
-      
-      // Remove user from matchmaking pool
-        if (matchmakingPool.has(userId)) {
-      matchmakingPool.delete(userId);
+        const userId = socket.user.id;
+        
+        // Remove user from the matchmaking queue
+        if (await leaveQueue(userId)) {
           info(`User ${userId} left matchmaking`);
-      
-          // Clear any timeouts
-      clearMatchmakingTimeouts(userId);
-      
+          
           // Confirm to user
           socket.emit('matchmaking:status', { 
             status: 'left', 
             message: 'You have left matchmaking', 
-            poolSize: matchmakingPool.size 
+            poolSize: await getQueueSize() 
           });
         }
       } catch (err) {
@@ -2632,23 +3515,21 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
     });
     
     // Handle matchmaking status check
-    socket.on('matchmaking:status', () => {
+    socket.on('matchmaking:status', async () => {
       try {
         if (!socket.user) {
           socket.emit('error', { source: 'matchmaking', message: 'Not authenticated' });
           return;
         }
         
-        const userId = socket.user.id;
-        const status = matchmakingPool.has(userId) ? 'joined' : 'not_joined';
-        const message = matchmakingPool.has(userId) 
-          ? 'You are currently in matchmaking' 
-          : 'You are not currently in matchmaking';
+        const inQueue = await isInQueue(socket.user.id);
         
         socket.emit('matchmaking:status', { 
-          status, 
-          message, 
-          poolSize: matchmakingPool.size 
+          status: inQueue ? 'joined' : 'not_joined', 
+          message: inQueue 
+            ? 'You are currently in matchmaking' 
+            : 'You are not currently in matchmaking', 
+          poolSize: await getQueueSize() 
         });
       } catch (err) {
         error(`Error in matchmaking:status handler: ${err.message}`);
@@ -2656,7 +3537,7 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
     });
     
     // Handle explicit match request - allows users to request a match directly
-    socket.on('find:match', (data) => {
+    socket.on('find:match', async (data) => {
       try {
         if (!socket.user) {
           socket.emit('error', { source: 'matchmaking', message: 'Not authenticated' });
@@ -2667,16 +3548,11 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
         const forceBotMatch = data?.forceBotMatch === true;
         
         // Check if user is already in matchmaking
-        if (!matchmakingPool.has(userId)) {
-          // Add user to matchmaking pool
-          matchmakingPool.set(userId, {
-            userId,
-            socketId: socket.id,
-            user: socket.user,
-            interests: socket.user.interests || [],
-            joinedAt: new Date(),
-            isBeingProcessed: false
-          });
+        if (!(await isInQueue(userId))) {
+          const queued = await queueSocketUser(socket, data?.criteria || {}, 'matchmaking');
+          if (!queued) {
+            return;
+          }
           
           info(`User ${userId} joined matchmaking via find:match`);
         }
@@ -2685,7 +3561,7 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
         socket.emit('matchmaking:status', { 
           status: 'searching', 
           message: 'Searching for a match...', 
-          poolSize: matchmakingPool.size 
+          poolSize: await getQueueSize() 
         });
         
         // Find a match immediately
@@ -2770,7 +3646,7 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
         }
         
         // Update connection mapping for reliability
-        connectedUsers.set(userId, socket.id);
+        trackUserSocket(userId, socket.id);
         
         // Check if this is a bot match in memory
         if (!botMatches.has(matchId)) {
@@ -3000,24 +3876,34 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
           }
           
           // Bot automatically accepts, so just update user acceptance
-          if (activeMatches.has(matchId)) {
-            const matchData = activeMatches.get(matchId);
+          const matchData = await getPendingMatch(matchId);
+          if (matchData) {
             matchData.acceptances[userId] = true;
-            activeMatches.set(matchId, matchData);
+            await savePendingMatch(matchData);
+          }
+        } else {
+          // Matches between users are handled by the shared matchmaking service
+          const result = await respondToMatch(matchId, userId, true);
+          if (!result || result.status === 'forbidden') {
+            socket.emit('error', {
+              source: 'match:accept',
+              message: 'Match not found'
+            });
+            return;
+          }
+          
+          if (!socket.rooms.has(matchId)) {
+            socket.join(matchId);
+          }
+          
+          // The service notifies both users once the second acceptance arrives
+          if (result.status === 'waiting') {
+            socket.emit('match:accepted', {
+              matchId,
+              userId: result.otherUserId,
+              status: 'accepted'
+            });
           }
-        } else if (activeMatches.has(matchId)) {
-          // Regular match between users
-          const matchData = activeMatches.get(matchId);
-          otherUserId = matchData.users.find(id => id !== userId);
-          
-          // Update user acceptance
-          matchData.acceptances[userId] = true;
-          activeMatches.set(matchId, matchData);
-        } else {
-          socket.emit('error', {
-            source: 'match:accept',
-            message: 'Match not found'
-          });
           return;
         }
         
@@ -3129,50 +4015,6 @@ Bot chat interactions require 'chat:open' to be emitted when a user opens a chat
               }, 300);
             }, 1500 + Math.random() * 1000);
           }, 1000);
-        } else {
-          // Regular match processing for real users
-          // Notify other user
-          const otherUserSocketId = connectedUsers.get(otherUserId);
-          if (otherUserSocketId) {
-            ioInstance.to(otherUserSocketId).emit('match:userAccepted', {
-              matchId,
-              userId
-            });
-          }
-          
-          // Send confirmation to user
-          socket.emit('match:accepted', {
-            matchId,
-            userId: otherUserId,
-            status: 'accepted'
-          });
-          
-          // Check if both users have accepted
-          if (activeMatches.has(matchId)) {
-            const matchData = activeMatches.get(matchId);
-            const bothAccepted = matchData.users.every(uid => matchData.acceptances[uid]);
-            
-            if (bothAccepted) {
-              // Clear timeout
-              const timeoutId = userTimeouts.get(userId);
-              if (timeoutId) {
-                clearTimeout(timeoutId);
-                userTimeouts.delete(userId);
-              }
-              
-              // Notify both users that match is confirmed
-              matchData.users.forEach(uid => {
-                const userSocketId = connectedUsers.get(uid);
-                if (userSocketId) {
-                  ioInstance.to(userSocketId).emit('match:confirmed', {
-                    matchId,
-                    users: matchData.users,
-                    status: 'confirmed'
-                  });
-                }
-              });
-            }
-          }
         }
       } catch (error) {
         console.error('Error accepting match:', error);
@@ -3215,243 +4057,8 @@ const updateUserOnlineStatus = async (userId, online) => {
   }
 };
 
-/**
- * Create a match record in the database
- * @param {string} matchId - Match ID
- * @param {string} user1Id - First user ID
- * @param {string} user2Id - Second user ID
- */
-const createMatchInDatabase = async (matchId, user1Id, user2Id) => {
-  try {
-    console.log(`Creating match record in database: ${matchId} between ${user1Id} and ${user2Id}`);
-    
-    // First, check if a match already exists between these users
-    const { data: existingMatch, error: queryError } = await supabase
-      .from('matches')
-      .select('id')
-      .or(`user1_id.eq.${user1Id},user1_id.eq.${user2Id}`)
-      .or(`user2_id.eq.${user1Id},user2_id.eq.${user2Id}`)
-      .limit(1);
-    
-    if (queryError) {
-      console.error('Error checking for existing match:', queryError);
-    }
-    
-    // Get the match data from active matches if it exists
-    let matchData = null;
-    if (activeMatches.has(matchId)) {
-      matchData = activeMatches.get(matchId);
-    }
-    
-    const currentTime = new Date();
-    let dbMatchId = matchId; // Store the DB match ID, initialize with our UUID
-    
-    // If a match already exists, update it instead of creating a new one
-    if (existingMatch && existingMatch.length > 0) {
-      console.log(`Match already exists between users ${user1Id} and ${user2Id}, updating existing match`);
-      
-      // Store the existing match ID from the database for reference
-      dbMatchId = existingMatch[0].id;
-      console.log(`Using existing database match ID: ${dbMatchId}`);
-      
-      const { data, error } = await supabase
-        .from('matches')
-        .update({
-          status: 'accepted',
-          compatibility_score: 100, // Default score for accepted matches
-          shared_interests: matchData?.sharedInterests || [],
-          chat_room_id: matchId, // Use our UUID for the chat room
-          updated_at: currentTime,
-          accepted_at: currentTime
-        })
-        .eq('id', dbMatchId);
-        
-      if (error) {
-        console.error('Error updating existing match in database:', error);
-        return { success: false, error };
-      }
-      
-      console.log(`Successfully updated existing match in database: ${dbMatchId}`);
-    } else {
-      // Insert a new match
-      const { data, error } = await supabase
-      .from('matches')
-      .insert({
-        id: matchId, // Use our UUID for the match ID
-        user1_id: user1Id,
-        user2_id: user2Id,
-        status: 'accepted',
-          compatibility_score: 100, // Default score for accepted matches
-          shared_interests: matchData?.sharedInterests || [],
-          chat_room_id: matchId, // Use our UUID for the chat room
-          created_at: currentTime,
-          updated_at: currentTime,
-          accepted_at: currentTime
-      });
-      
-    if (error) {
-      console.error('Error creating match in database:', error);
-        return { success: false, error };
-      }
-      
-      console.log(`Successfully created match record in database: ${matchId}`);
-    }
-    
-    // Always use the UUID for updating user records
-    console.log(`Updating users with match ID: ${matchId} (uuid format)`);
-    
-    // Update user records to indicate they're in a match
-    const updateUser1 = await supabase
-      .from('users')
-      .update({
-        current_match_id: matchId, // Use the UUID matchId for the user record
-        updated_at: new Date()
-      })
-      .eq('id', user1Id);
-      
-    const updateUser2 = await supabase
-      .from('users')
-      .update({
-        current_match_id: matchId, // Use the UUID matchId for the user record
-        updated_at: new Date()
-      })
-      .eq('id', user2Id);
-      
-    if (updateUser1.error) {
-      console.error(`Error updating user ${user1Id} with match:`, updateUser1.error);
-    }
-    
-    if (updateUser2.error) {
-      console.error(`Error updating user ${user2Id} with match:`, updateUser2.error);
-    }
-    
-    return { success: true, matchId };
-  } catch (error) {
-    console.error('Error creating match in database:', error);
-    return { success: false, error };
-  }
-};
-
-/**
- * Notify users when a match is found
- * @param {object} user1 - User 1
- * @param {object} user2 - User 2
- * @param {array} sharedInterests - Array of shared interests
- */
-const notifyMatchFound = (user1, user2, sharedInterests) => {
-  // Verify both users have the same preference
-  if (user1.preference !== user2.preference) {
-    console.error(`Cannot match users with different preferences: ${user1.id} (${user1.preference}) and ${user2.id} (${user2.preference})`);
-    return null;
-  }
-
-  const preference = user1.preference || 'Unknown'; // Both should have the same preference
-  
-  // Create a unique match ID using UUID
-  const matchId = uuidv4();
-  console.log(`Generated UUID match ID: ${matchId}`);
-  
-  // Add to active matches with appropriate data
-  activeMatches.set(matchId, {
-    id: matchId,
-    users: [user1.id, user2.id],
-    sharedInterests,
-    preference,
-    timestamp: new Date(),
-    acceptances: {
-      [user1.id]: false,
-      [user2.id]: false
-    }
-  });
-  
-  console.log(`Match created: ${matchId} between ${user1.id} and ${user2.id} with ${sharedInterests.length} shared interests for ${preference}`);
-  console.log(`Match data: ${JSON.stringify(activeMatches.get(matchId))}`);
-  
-  // Create properly formatted match data for Flutter client
-  const user1MatchData = createMatchData(user2, sharedInterests, matchId, preference);
-  const user2MatchData = createMatchData(user1, sharedInterests, matchId, preference);
-  
-  // Get socket IDs directly from the connectedUsers map
-  const socket1Id = connectedUsers.get(user1.id);
-  const socket2Id = connectedUsers.get(user2.id);
-  
-  console.log(`User 1 (${user1.id}) socket ID: ${socket1Id || 'not found'}`);
-  console.log(`User 2 (${user2.id}) socket ID: ${socket2Id || 'not found'}`);
-  
-  let bothNotified = true;
-  
-  // Emit match found event to both users
-  if (socket1Id) {
-    // Double check that socket is valid
-    const socket1 = ioInstance.sockets.sockets.get(socket1Id);
-    if (socket1) {
-      ioInstance.to(socket1Id).emit('match:found', { match: user1MatchData });
-      console.log(`Notified user ${user1.id} about ${preference} match with ${user2.id} using match:found event`);
-      console.log(`Emitted data: ${JSON.stringify({ match: user1MatchData })}`);
-    } else {
-      console.error(`Failed to notify user ${user1.id}: Socket exists in map but is invalid`);
-      bothNotified = false;
-    }
-  } else {
-    console.error(`Failed to notify user ${user1.id}: Socket ID not found`);
-    bothNotified = false;
-  }
-  
-  if (socket2Id) {
-    // Double check that socket is valid
-    const socket2 = ioInstance.sockets.sockets.get(socket2Id);
-    if (socket2) {
-      ioInstance.to(socket2Id).emit('match:found', { match: user2MatchData });
-      console.log(`Notified user ${user2.id} about match with ${user1.id} using match:found event`);
-      console.log(`Emitted data: ${JSON.stringify({ match: user2MatchData })}`);
-    } else {
-      console.error(`Failed to notify user ${user2.id}: Socket exists in map but is invalid`);
-      bothNotified = false;
-    }
-  } else {
-    console.error(`Failed to notify user ${user2.id}: Socket ID not found`);
-    bothNotified = false;
-  }
-  
-  // If either user couldn't be notified, put them back in the matchmaking pool
-  if (!bothNotified) {
-    // Clean up the match
-    activeMatches.delete(matchId);
-    
-    // Check user 1 socket
-    const socket1 = socket1Id ? ioInstance.sockets.sockets.get(socket1Id) : null;
-    if (socket1) {
-      console.log(`Returning user ${user1.id} to matchmaking pool due to notification failure`);
-      matchmakingPool.set(user1.id, {
-        userId: user1.id,
-        socketId: socket1Id,
-        user: user1,
-        interests: user1.interests,
-        joinedAt: new Date(),
-        isBeingProcessed: false
-      });
-    }
-    
-    // Check user 2 socket
-    const socket2 = socket2Id ? ioInstance.sockets.sockets.get(socket2Id) : null;
-    if (socket2) {
-      console.log(`Returning user ${user2.id} to matchmaking pool due to notification failure`);
-      matchmakingPool.set(user2.id, {
-        userId: user2.id,
-        socketId: socket2Id,
-        user: user2,
-        interests: user2.interests,
-        joinedAt: new Date(),
-        isBeingProcessed: false
-      });
-    }
-  }
-  
-  return matchId;
-};
-
 // Function to create match data in format expected by Flutter client
-const createMatchData = (otherUser, sharedInterests, matchId, preference) => {
+const createMatchData = (otherUser, sharedInterests, matchId, preference, compatibility = null) => {
   // Calculate age from date_of_birth if available
   let age = null;
   if (otherUser.date_of_birth) {
@@ -3485,348 +4092,88 @@ const createMatchData = (otherUser, sharedInterests, matchId, preference) => {
     matchingInterests: sharedInterests,
     createdAt: new Date().toISOString(),
     isPending: true,
-    preference: preference || otherUser.preference || 'Unknown' // Include preference in match data
+    preference: preference || otherUser.preference || 'Unknown', // Include preference in match data
+    compatibilityScore: compatibility ? compatibility.score : null,
+    compatibilityBreakdown: compatibility ? compatibility.breakdown : null
   };
 };
 
+/**
+ * Add a socket user to the shared matchmaking queue
+ * @param {object} socket - User's socket
+ * @param {object} criteria - Matchmaking criteria from the client
+ * @param {string} source - Error source reported back to the client
+ * @returns {Promise<boolean>} True if the user was queued
+ */
+const queueSocketUser = async (socket, criteria = {}, source = 'matchmaking') => {
+  const userId = socket.user.id;
+  
+  // Handle preference mapping from client format to server format
+  const clientPreference = criteria.preferences?.chatType;
+  if (clientPreference) {
+    if (clientPreference.toLowerCase() === 'friendship') {
+      socket.user.preference = 'Friendship';
+    } else if (clientPreference.toLowerCase() === 'dating') {
+      socket.user.preference = 'Dating';
+    }
+    console.log(`Updated user preference from client request: ${socket.user.preference}`);
+  }
+  
+  // Verify socket is connected
+  const socketId = connectedUsers.get(userId);
+  if (!socketId || socketId !== socket.id) {
+    console.log(`User ${userId} has inconsistent socket information. Updating socket ID.`);
+    trackUserSocket(userId, socket.id);
+  }
+  
+  const result = await joinQueue(socket.user, { criteria, source: 'socket' });
+  if (!result.success) {
+    console.log(`User ${userId} could not join matchmaking: ${result.code}`);
+    socket.emit('error', {
+      source,
+      message: result.message
+    });
+    return false;
+  }
+  
+  return true;
+};
+
 /**
  * Find a match for a specific user
+ * Runs a matching cycle on the shared queue and reports back if the user is still waiting
  * @param {object} socket - User's socket
+ * @param {boolean} forceBotMatch - Fall back to a bot match if no user is available
  * @returns {Promise<void>}
  */
-const findMatchForUser = async (socket) => {
+const findMatchForUser = async (socket, forceBotMatch = false) => {
+  const userId = socket.user.id;
+  
   try {
-    const userId = socket.user.id;
-    
-    // If there are not enough users, just notify the user and return
-    if (matchmakingPool.size < 2) {
-      console.log(`Not enough users in pool for user ${userId}`);
-      
-      socket.emit('match:notFound', {
-        message: 'Sorry, no matches found. Please try again later.'
-      });
-      
-      // Remove user from matchmaking pool
-      matchmakingPool.delete(userId);
+    if (!(await isInQueue(userId))) {
+      console.log(`User ${userId} not in matchmaking queue, skipping match search`);
       return;
     }
     
-    // Skip if user not in matchmaking pool or is already being processed
-    if (!matchmakingPool.has(userId)) {
-      console.log(`User ${userId} not in matchmaking pool, skipping match search`);
-      return;
-    }
+    await processQueue();
     
-    if (matchmakingPool.get(userId).isBeingProcessed) {
-      console.log(`User ${userId} is already being processed for a match, skipping`);
+    // Matched users are removed from the queue and notified by the service
+    if (!(await isInQueue(userId))) {
       return;
     }
     
-    // Mark this user as being processed
-    const userPoolData = matchmakingPool.get(userId);
-    userPoolData.isBeingProcessed = true;
-    matchmakingPool.set(userId, userPoolData);
-    
-    const userInterests = socket.user.interests || [];
-    const userPreference = socket.user.preference || null;
-    
-    if (userInterests.length === 0) {
-      console.log(`User ${userId} has no interests. Cannot find match.`);
-      socket.emit('error', { 
-        source: 'findRandomMatch',
-        message: 'You need to add interests to your profile before matchmaking' 
-      });
-      // Reset processing flag
-      userPoolData.isBeingProcessed = false;
-      matchmakingPool.set(userId, userPoolData);
-      return;
-    }
+    console.log(`No suitable matches found for user ${userId}`);
     
-    if (!userPreference) {
-      console.log(`User ${userId} has no preference set. Cannot find match.`);
-      socket.emit('error', { 
-        source: 'findRandomMatch',
-        message: 'You need to set your preference (Dating or Friendship) before matchmaking' 
-      });
-      // Reset processing flag
-      userPoolData.isBeingProcessed = false;
-      matchmakingPool.set(userId, userPoolData);
+    // If we should force a bot match, create one
+    if (forceBotMatch) {
+      createBotMatchForUser(socket);
       return;
     }
     
-    console.log(`Finding match for user ${userId} with interests: ${userInterests.join(', ')} and preference: ${userPreference}`);
-    
-    // Debug: Log all users in matchmaking pool
-    console.log(`Current matchmaking pool size: ${matchmakingPool.size}`);
-    for (const [poolUserId, poolUser] of matchmakingPool.entries()) {
-      if (poolUserId !== userId) {
-        console.log(`Pool user ${poolUserId} with interests: ${poolUser.interests ? poolUser.interests.join(', ') : 'none'} and preference: ${poolUser.user ? poolUser.user.preference : 'unknown'}`);
-      }
-    }
-    
-    // Array of potential matches with compatibility scores
-    const potentialMatches = [];
-    
-    // Check all users in the matchmaking pool
-    for (const [otherUserId, otherUser] of matchmakingPool.entries()) {
-      // Skip self
-      if (otherUserId === userId) continue;
-      
-      // Skip users that are already being processed
-      if (otherUser.isBeingProcessed) {
-        console.log(`Skipping user ${otherUserId} as they are already being processed`);
-        continue;
-      }
-      
-      // Verify that the other user has a valid socket connection
-      if (!connectedUsers.has(otherUserId)) {
-        console.log(`User ${otherUserId} is in matchmaking pool but has no socket connection. Removing from pool.`);
-        matchmakingPool.delete(otherUserId);
-        continue;
-      }
-      
-      // Verify that the other user's socket ID is valid
-      const otherUserSocketId = connectedUsers.get(otherUserId);
-      const otherUserSocket = ioInstance.sockets.sockets.get(otherUserSocketId);
-      if (!otherUserSocket) {
-        console.log(`User ${otherUserId} has invalid socket ID ${otherUserSocketId}. Removing from pool.`);
-        matchmakingPool.delete(otherUserId);
-        continue;
-      }
-      
-      // Skip users who don't have matching preferences
-      const otherUserPreference = otherUser.user ? otherUser.user.preference : null;
-      if (!otherUserPreference || otherUserPreference !== userPreference) {
-        console.log(`Skipping user ${otherUserId} due to preference mismatch: User wants ${userPreference}, Other user wants ${otherUserPreference || 'unknown'}`);
-        continue;
-      }
-      
-      const otherUserInterests = otherUser.interests || [];
-      
-      // Skip users with no interests
-      if (otherUserInterests.length === 0) continue;
-      
-      // Apply gender matching rules
-      const userGender = socket.user.gender?.toLowerCase() || 'unknown';
-      const otherUserGender = otherUser.user?.gender?.toLowerCase() || 'unknown';
-      
-      // Define LGBTQ+ gender categories
-      const lgbtqGenderCategories = [
-        'transgender', 'trans', 'non-binary', 'nonbinary', 'genderqueer', 
-        'genderfluid', 'agender', 'bigender', 'two-spirit', 'third-gender',
-        'queer', 'questioning', 'intersex', 'other'
-      ];
-      
-      const isUserLgbtq = lgbtqGenderCategories.includes(userGender);
-      const isOtherUserLgbtq = lgbtqGenderCategories.includes(otherUserGender);
-      
-      if (userGender === 'unknown' || otherUserGender === 'unknown') {
-        console.log(`Skipping user ${otherUserId} due to missing gender information`);
-        continue;
-      }
-      
-      // For Dating preference: 
-      // 1. Match male with female (heterosexual)
-      // 2. Match LGBTQ+ users with other LGBTQ+ users
-      if (userPreference === 'Dating') {
-        // For heterosexual matching (male-female only)
-        if ((userGender === 'male' || userGender === 'female') && 
-            (otherUserGender === 'male' || otherUserGender === 'female')) {
-          const isHeterosexualMatch = 
-            (userGender === 'male' && otherUserGender === 'female') || 
-            (userGender === 'female' && otherUserGender === 'male');
-          
-          if (!isHeterosexualMatch) {
-            console.log(`Skipping user ${otherUserId} for heterosexual dating - gender mismatch: User is ${userGender}, Other user is ${otherUserGender}`);
-            continue;
-          }
-        }
-        // For LGBTQ+ community matching - they can match with each other
-        else if (isUserLgbtq && isOtherUserLgbtq) {
-          console.log(`Found potential LGBTQ+ dating match between users ${userId} (${userGender}) and ${otherUserId} (${otherUserGender})`);
-          // Allow the match to continue
-        }
-        // Skip cross-matching between heterosexual and LGBTQ+ users for dating
-        else {
-          console.log(`Skipping cross-category match for dating: User is ${userGender}, Other user is ${otherUserGender}`);
-          continue;
-        }
-      }
-      
-      // For Friendship preference: allow LGBTQ+ users to match with any gender
-      if (userPreference === 'Friendship') {
-        // No gender restrictions for friendship - anyone can match with anyone
-        console.log(`Found potential friendship match between users ${userId} (${userGender}) and ${otherUserId} (${otherUserGender})`);
-        // Allow the match to continue
-      }
-      
-      // Find shared interests (case-insensitive comparison)
-      const sharedInterests = [];
-      for (const interest of userInterests) {
-        for (const otherInterest of otherUserInterests) {
-          if (interest.toLowerCase() === otherInterest.toLowerCase() && 
-              !sharedInterests.includes(interest)) {
-            sharedInterests.push(interest);
-          }
-        }
-      }
-      
-      // Only consider matches with at least one shared interest
-      if (sharedInterests.length > 0) {
-        console.log(`Found ${sharedInterests.length} shared interests between users ${userId} and ${otherUserId} with matching preference: ${userPreference}`);
-        
-        // Calculate compatibility score (higher with more shared interests)
-        const userScore = sharedInterests.length / userInterests.length;
-        const otherUserScore = sharedInterests.length / otherUserInterests.length;
-        
-        // Average of both scores weighted by interest count
-        const combinedScore = ((userScore + otherUserScore) / 2) * 100;
-        
-        potentialMatches.push({
-          userId: otherUserId,
-          socketId: otherUserSocketId,
-          user: otherUser.user,
-          sharedInterests,
-          score: combinedScore, // Better scoring based on relative interest match
-          preference: otherUserPreference
-        });
-      }
-    }
-    
-    // Sort by score (highest first)
-    potentialMatches.sort((a, b) => b.score - a.score);
+    // Otherwise, notify the user that no match was found
+    socket.emit('match:notFound', { message: 'No suitable matches found at this time. Try again later.' });
     
-    if (potentialMatches.length > 0) {
-      // Get the best match
-      const bestMatch = potentialMatches[0];
-      console.log(`Found best match for user ${userId}: ${bestMatch.userId} with score ${bestMatch.score.toFixed(2)}, ${bestMatch.sharedInterests.length} shared interests, and matching preference: ${bestMatch.preference}`);
-      
-      // Generate a match ID
-      const matchId = uuidv4();
-      
-      // Get match data for the other user
-      const matchUser = matchmakingPool.get(bestMatch.userId);
-      if (!matchUser) {
-        console.log(`Match user ${bestMatch.userId} no longer in pool, skipping match`);
-        
-        // Reset processing flag
-        userPoolData.isBeingProcessed = false;
-        matchmakingPool.set(userId, userPoolData);
-        
-        // Try again with a bot match if forced
-        if (forceBotMatch) {
-          createBotMatchForUser(socket);
-        }
-        
-        return;
-      }
-      
-      // Mark other user as being processed
-      matchUser.isBeingProcessed = true;
-      matchmakingPool.set(bestMatch.userId, matchUser);
-      
-      // Create match in database
-      try {
-        await createMatchInDatabase(matchId, userId, bestMatch.userId);
-      } catch (dbError) {
-        error(`Error creating match in database: ${dbError.message}`);
-        
-        // Reset processing flags
-        userPoolData.isBeingProcessed = false;
-        matchmakingPool.set(userId, userPoolData);
-        
-        matchUser.isBeingProcessed = false;
-        matchmakingPool.set(bestMatch.userId, matchUser);
-        
-        // Try again with a bot match if forced
-        if (forceBotMatch) {
-          createBotMatchForUser(socket);
-        }
-        
-        return;
-      }
-      
-      // Get other user's socket
-      const otherUserSocket = ioInstance.sockets.sockets.get(bestMatch.socketId);
-      
-      // Create match data for both users
-      notifyMatchFound(socket.user, bestMatch.user, bestMatch.sharedInterests, matchId, userPreference);
-      
-      // Remove both users from matchmaking pool
-      matchmakingPool.delete(userId);
-      matchmakingPool.delete(bestMatch.userId);
-      
-      // Clear timeouts
-      clearMatchmakingTimeouts(userId);
-      clearMatchmakingTimeouts(bestMatch.userId);
-      
-      // Create match acceptance tracking
-      activeMatches.set(matchId, {
-        users: [userId, bestMatch.userId],
-        acceptances: {
-          [userId]: false,
-          [bestMatch.userId]: false
-        },
-        sharedInterests: bestMatch.sharedInterests,
-        preference: userPreference,
-        createdAt: new Date()
-      });
-      
-      // Set timeout for match acceptance
-      const timeoutId = setTimeout(() => {
-        // Check if match still exists
-        if (activeMatches.has(matchId)) {
-          const matchData = activeMatches.get(matchId);
-          
-          // Check which users haven't accepted
-          const nonAcceptingUsers = [];
-          for (const userId of matchData.users) {
-            if (!matchData.acceptances[userId]) {
-              nonAcceptingUsers.push(userId);
-            }
-          }
-          
-          console.log(`Match ${matchId} timed out. Users who didn't accept: ${nonAcceptingUsers.join(', ')}`);
-          
-          // Notify all users in the match
-          for (const userId of matchData.users) {
-              const socketId = connectedUsers.get(userId);
-              if (socketId) {
-                ioInstance.to(socketId).emit('match:timeout', {
-                matchId,
-                message: 'Match timed out due to missing acceptances'
-              });
-            }
-          }
-          
-          // Clean up
-          activeMatches.delete(matchId);
-        }
-      }, MATCH_ACCEPTANCE_TIMEOUT);
-      
-      // Store timeout IDs for both users
-      userTimeouts.set(userId, timeoutId);
-      userTimeouts.set(bestMatch.userId, timeoutId);
-      
-      return;
-    } else {
-      console.log(`No suitable matches found for user ${userId}`);
-      
-      // Reset processing flag
-      userPoolData.isBeingProcessed = false;
-      matchmakingPool.set(userId, userPoolData);
-      
-      // If we should force a bot match, create one
-      if (forceBotMatch) {
-        createBotMatchForUser(socket);
-        return;
-      }
-      
-      // Otherwise, notify the user that no match was found
-      socket.emit('match:notFound', { message: 'No suitable matches found at this time. Try again later.' });
-      
-      // Keep user in pool for future matches
-    }
+    // Keep user in queue for future matching cycles
   } catch (error) {
     console.error('Error finding match:', error);
     socket.emit('error', { 
@@ -3834,14 +4181,6 @@ const findMatchForUser = async (socket) => {
       message: 'Server error finding a match' 
     });
     
-    // If user exists in pool, reset processing flag
-    const userId = socket.user.id;
-    if (matchmakingPool.has(userId)) {
-      const userPoolData = matchmakingPool.get(userId);
-      userPoolData.isBeingProcessed = false;
-      matchmakingPool.set(userId, userPoolData);
-    }
-    
     // If we should force a bot match, create one despite the error
     if (forceBotMatch) {
       try {
@@ -4028,7 +4367,8 @@ const createBotMatchForUser = async (socket) => {
       }
       
       // Add to active matches
-      activeMatches.set(matchId, {
+      await savePendingMatch({
+        id: matchId,
         users: [userId, botProfile.id],
         acceptances: {
           [userId]: false,
@@ -4036,19 +4376,12 @@ const createBotMatchForUser = async (socket) => {
         },
         sharedInterests,
         preference: userPreference,
-        createdAt: new Date(),
+        createdAt: new Date().toISOString(),
         isBot: true
       });
       
-      // Remove user from matchmaking pool
-      matchmakingPool.delete(userId);
-      
-      // Reset processing flag if user was in pool
-      if (matchmakingPool.has(userId)) {
-        const userPoolData = matchmakingPool.get(userId);
-        userPoolData.isBeingProcessed = false;
-        matchmakingPool.set(userId, userPoolData);
-      }
+      // Remove user from the matchmaking queue
+      await leaveQueue(userId);
       
     // Create match in database with retries
     let matchCreated = false;
@@ -4307,33 +4640,10 @@ const notifyConversationDeleted = (currentUserId, otherUserId) => {
  * @param {string} userId - ID of the disconnected user
  */
 const cleanupUserMatches = (userId) => {
-  try {
-    // Remove user from matchmaking pool
-    if (matchmakingPool.has(userId)) {
-      matchmakingPool.delete(userId);
-      info(`Removed disconnected user ${userId} from matchmaking pool`);
-    }
-    
-    // Clean up any active matches
-    for (const [matchId, matchData] of activeMatches.entries()) {
-      if (matchData.users.includes(userId)) {
-        // Notify other user in the match
-        const otherUserId = matchData.users.find(id => id !== userId);
-        if (otherUserId) {
-          const otherUserSocketId = connectedUsers.get(otherUserId);
-          if (otherUserSocketId) {
-            ioInstance.to(otherUserSocketId).emit('match:userLeft', {
-              matchId,
-              userId,
-              reason: 'disconnected'
-            });
-          }
-        }
-      }
-    }
-  } catch (error) {
-    error(`Error cleaning up matches for user ${userId}: ${error.message}`);
-  }
+  // Remove user from the matchmaking queue and cancel their pending matches
+  removeUserFromMatchmaking(userId, 'disconnected')
+    .then(() => info(`Removed disconnected user ${userId} from matchmaking`))
+    .catch(err => error(`Error cleaning up matches for user ${userId}: ${err.message}`));
 };
 
 /**
@@ -4445,6 +4755,26 @@ const handleBotResponse = async (matchId, userMessage, socket) => {
   }
 };
 
+/**
+ * Clear per-process state kept for a user (timers and buffers on this node)
+ * @param {string} userId - User ID
+ */
+const cleanupLocalUserState = (userId) => {
+  // Remove from connected users map
+  connectedUsers.delete(userId);
+
+  // Cancel any pending timeouts
+  if (global.disconnectTimeouts && global.disconnectTimeouts.has(userId)) {
+    clearTimeout(global.disconnectTimeouts.get(userId));
+    global.disconnectTimeouts.delete(userId);
+  }
+
+  // Clean up any user-specific data in memory
+  if (global.userMessageBuffers && global.userMessageBuffers.has(userId)) {
+    global.userMessageBuffers.delete(userId);
+  }
+};
+
 /**
  * Clean up all socket connections and references for a deleted user
  * @param {string} userId - The ID of the user being deleted
@@ -4459,54 +4789,30 @@ const cleanupUserConnections = (userId) => {
     const socketId = connectedUsers.get(userId);
     
     if (socketId) {
-      // Get the socket instance
-      const socket = ioInstance.sockets.sockets.get(socketId);
-      
-      // If socket exists, force disconnect
-      if (socket) {
-        // Notify other users this user will no longer be available
-        socket.broadcast.emit('user:status', {
-          userId,
-          online: false,
-          lastSeen: new Date().toISOString(),
-          reason: 'user_deleted'
-        });
-
-        // Disconnect the socket
-        socket.disconnect(true);
-        console.log(`Forced disconnect for deleted user ${userId}`);
-      }
-    }
-
-    // Remove from any active matches
-    if (activeMatches) {
-      activeMatches.forEach((match, matchId) => {
-        if (match.user1Id === userId || match.user2Id === userId) {
-          console.log(`Removing deleted user ${userId} from match ${matchId}`);
-          activeMatches.delete(matchId);
-        }
+      // Notify other users this user will no longer be available
+      ioInstance.except(socketId).emit('user:status', {
+        userId,
+        online: false,
+        lastSeen: new Date().toISOString(),
+        reason: 'user_deleted'
       });
-    }
-    
-    // Remove from matchmaking pool
-    if (matchmakingPool) {
-      console.log(`Removing deleted user ${userId} from matchmaking pool`);
-      matchmakingPool.delete(userId);
-    }
 
-    // Remove from connected users map
-    connectedUsers.delete(userId);
-
-    // Cancel any pending timeouts
-    if (global.disconnectTimeouts && global.disconnectTimeouts.has(userId)) {
-      clearTimeout(global.disconnectTimeouts.get(userId));
-      global.disconnectTimeouts.delete(userId);
+      // Disconnect the socket, wherever it is connected
+      ioInstance.in(socketId).disconnectSockets(true);
+      console.log(`Forced disconnect for deleted user ${userId}`);
     }
 
-    // Clean up any user-specific data in memory
-    if (global.userMessageBuffers && global.userMessageBuffers.has(userId)) {
-      global.userMessageBuffers.delete(userId);
-    }
+    // Remove from the matchmaking queue and any pending matches
+    removeUserFromMatchmaking(userId, 'user_deleted').catch(err => {
+      console.error(`Error removing deleted user ${userId} from matchmaking:`, err);
+    });
+
+    // Remove from shared presence, then clear state on this and every other node
+    untrackUserSocket(userId);
+    cleanupLocalUserState(userId);
+    publishEvent('user:deleted', { userId }).catch(err => {
+      console.error(`Error publishing deletion of user ${userId}:`, err);
+    });
 
     console.log(`Completed socket cleanup for deleted user ${userId}`);
   } catch (error) {
@@ -4527,13 +4833,20 @@ module.exports = {
   findMatchForUser,
   createBotMatchForUser,
   createMatchData,
-  notifyMatchFound,
+  emitToUser,
+  disconnectUser,
+  emitToGroup,
+  joinGroupRoom,
+  leaveGroupRoom,
+  closeGroupRoom,
+  emitGameState,
   findMatchesForAllUsers,
   startGlobalMatchmaking,
   stopGlobalMatchmaking,
-  cleanMatchmakingPool,
-  clearMatchmakingTimeouts,
+  startGameTurnTimers,
+  stopGameTurnTimers,
+  startPresenceHeartbeat,
+  stopPresenceHeartbeat,
   cleanupUserConnections,
-  activeMatches,
-  matchmakingPool
-}; 
\ No newline at end of file
+  connectedUsers
+};
@@ -0,0 +1,192 @@
+/**
+ * Cursor pagination helpers
+ * Lists are ordered newest first on (created_at, id). A cursor is an opaque
+ * token holding the position of an item and the direction to read in, so a
+ * client only ever passes back the nextCursor (older items) or prevCursor
+ * (newer items) it was given. Unlike offsets, items arriving mid-scroll don't
+ * shift the pages, so nothing is duplicated or skipped.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const DIRECTION_OLDER = 'older';
+const DIRECTION_NEWER = 'newer';
+
+/**
+ * Encode a cursor
+ * @param {object} position - { createdAt, id } of the item to read from
+ * @param {string} direction - 'older' or 'newer'
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = ({ createdAt, id }, direction = DIRECTION_OLDER) =>
+  Buffer.from(JSON.stringify({ t: createdAt, id, d: direction })).toString('base64url');
+
+/**
+ * Decode a cursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {object|null} { createdAt, id, direction } or null if the cursor is invalid
+ */
+const decodeCursor = (cursor) => {
+  if (!cursor || typeof cursor !== 'string') {
+    return null;
+  }
+
+  try {
+    const { t, id, d } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (typeof t !== 'string' || Number.isNaN(Date.parse(t)) || typeof id !== 'string' || !id) {
+      return null;
+    }
+
+    // Only characters that can't break out of a PostgREST filter
+    if (!/^[\w-]+$/.test(id) || !/^[\d\-:.T +Z]+$/.test(t)) {
+      return null;
+    }
+
+    if (![DIRECTION_OLDER, DIRECTION_NEWER].includes(d)) {
+      return null;
+    }
+
+    return { createdAt: t, id, direction: d };
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Read limit and cursor from query string or socket payload
+ * @param {object} params - { limit, cursor }
+ * @param {object} options - { defaultLimit, maxLimit }
+ * @returns {object} { limit, cursor } or { error } if the cursor is invalid
+ */
+const parsePageParams = (params = {}, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) => {
+  const limit = Math.min(Math.max(parseInt(params.limit) || defaultLimit, 1), maxLimit);
+
+  if (!params.cursor) {
+    return { limit, cursor: null };
+  }
+
+  const cursor = decodeCursor(params.cursor);
+  if (!cursor) {
+    return { error: 'Invalid cursor' };
+  }
+
+  return { limit, cursor };
+};
+
+/**
+ * Apply cursor filter, ordering and limit to a Supabase query
+ * Fetches one extra row so buildPage can tell whether more items exist
+ * @param {object} query - Supabase query builder
+ * @param {object} page - { limit, cursor } from parsePageParams
+ * @param {string} column - Timestamp column to order on
+ * @returns {object} Query builder
+ */
+const applyCursor = (query, { limit, cursor }, column = 'created_at') => {
+  const newer = Boolean(cursor) && cursor.direction === DIRECTION_NEWER;
+  let paged = query;
+
+  if (cursor) {
+    const op = newer ? 'gt' : 'lt';
+    paged = paged.or(`${column}.${op}."${cursor.createdAt}",and(${column}.eq."${cursor.createdAt}",id.${op}.${cursor.id})`);
+  }
+
+  return paged
+    .order(column, { ascending: newer })
+    .order('id', { ascending: newer })
+    .limit(limit + 1);
+};
+
+/**
+ * Default cursor position of a database row
+ * @param {object} row - Row with created_at and id
+ * @returns {object} { createdAt, id }
+ */
+const rowPosition = (row) => ({ createdAt: row.created_at, id: row.id });
+
+/**
+ * Turn the rows fetched with applyCursor into a page
+ * @param {Array} rows - Rows in query order
+ * @param {object} page - { limit, cursor } from parsePageParams
+ * @param {Function} getPosition - Maps an item to { createdAt, id }
+ * @returns {object} { items (newest first), pagination: { limit, hasMore, nextCursor, prevCursor } }
+ */
+const buildPage = (rows, { limit, cursor }, getPosition = rowPosition) => {
+  const newer = Boolean(cursor) && cursor.direction === DIRECTION_NEWER;
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+
+  if (newer) {
+    items.reverse();
+  }
+
+  const newest = items[0];
+  const oldest = items[items.length - 1];
+
+  // Reading newer items always leaves older ones behind (at least the cursor item)
+  const hasOlder = newer || hasMore;
+
+  let prevCursor = null;
+  if (newest) {
+    prevCursor = encodeCursor(getPosition(newest), DIRECTION_NEWER);
+  } else if (newer) {
+    // Nothing newer yet, keep polling from the same position
+    prevCursor = encodeCursor(cursor, DIRECTION_NEWER);
+  }
+
+  return {
+    items,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: oldest && hasOlder ? encodeCursor(getPosition(oldest), DIRECTION_OLDER) : null,
+      prevCursor
+    }
+  };
+};
+
+/**
+ * Compare two cursor positions
+ * @param {object} a - { createdAt, id }
+ * @param {object} b - { createdAt, id }
+ * @returns {number} Negative if a is older than b, positive if newer, 0 if equal
+ */
+const comparePositions = (a, b) => {
+  const diff = new Date(a.createdAt) - new Date(b.createdAt);
+  if (diff !== 0) {
+    return diff;
+  }
+  return a.id < b.id ? -1 : (a.id > b.id ? 1 : 0);
+};
+
+/**
+ * Paginate a list that was assembled in memory
+ * @param {Array} items - Items sorted newest first
+ * @param {object} page - { limit, cursor } from parsePageParams
+ * @param {Function} getPosition - Maps an item to { createdAt, id }
+ * @returns {object} Same shape as buildPage
+ */
+const paginateList = (items, { limit, cursor }, getPosition = rowPosition) => {
+  let rows = items;
+
+  if (cursor && cursor.direction === DIRECTION_NEWER) {
+    // Closest newer items first, as the database query would return them
+    rows = items.filter(item => comparePositions(getPosition(item), cursor) > 0).reverse();
+  } else if (cursor) {
+    rows = items.filter(item => comparePositions(getPosition(item), cursor) < 0);
+  }
+
+  return buildPage(rows.slice(0, limit + 1), { limit, cursor }, getPosition);
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parsePageParams,
+  applyCursor,
+  buildPage,
+  paginateList
+};
@@ -0,0 +1,126 @@
+/**
+ * Regular expression safety checks
+ * Admin-defined patterns run on every message, so a pattern that backtracks
+ * exponentially would stall the event loop. Node has no linear-time regex engine
+ * built in, so patterns are checked for the constructs that cause it instead:
+ * - nested quantifiers, e.g. (a+)+ or (\w*\s?)*
+ * - repeated alternation, e.g. (a|ab)+; a character class such as [\s-]+ does the same safely
+ * - backreferences, e.g. (\w+)\1
+ * Matching input is capped as well, which bounds the remaining polynomial cases.
+ */
+
+// Longest text a regex detector is run on; longer content is cut before matching
+const MAX_REGEX_INPUT_LENGTH = 5000;
+
+/**
+ * Read a quantifier at a position
+ * @param {string} source - Pattern
+ * @param {number} index - Position right after an atom
+ * @returns {object|null} { length, repeats } where repeats is true if it can match more than once
+ */
+const readQuantifier = (source, index) => {
+  const char = source[index];
+
+  if (char === '*' || char === '+') {
+    return { length: 1, repeats: true };
+  }
+  if (char === '?') {
+    return { length: 1, repeats: false };
+  }
+  if (char === '{') {
+    const bounds = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(index));
+    if (bounds) {
+      const max = bounds[2] === undefined ? Number(bounds[1]) : (bounds[3] === '' ? Infinity : Number(bounds[3]));
+      return { length: bounds[0].length, repeats: max > 1 };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Find a construct that can make a pattern backtrack exponentially
+ * Expects a pattern that compiles with the u flag
+ * @param {string} source - Pattern
+ * @returns {string|null} Description of the construct, or null if none was found
+ */
+const findUnsafeConstruct = (source) => {
+  // One entry per open group: whether it contains a quantifier, and an alternation
+  const groups = [{ quantified: false, alternates: false }];
+  let inClass = false;
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+    let atomEnd = index + 1;
+    let closedGroup = null;
+
+    if (char === '\\') {
+      const next = source[index + 1];
+      if (!inClass && (/[1-9]/.test(next) || (next === 'k' && source[index + 2] === '<'))) {
+        return 'backreferences';
+      }
+      // \p{...} and \u{...} are one atom, braces included
+      atomEnd = /[pPu]/.test(next) && source[index + 2] === '{' ? source.indexOf('}', index) + 1 : index + 2;
+      if (inClass) {
+        index = atomEnd;
+        continue;
+      }
+    } else if (inClass) {
+      if (char === ']') {
+        inClass = false;
+      }
+      index = atomEnd;
+      continue;
+    } else if (char === '[') {
+      inClass = true;
+      index = atomEnd;
+      continue;
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternates: false });
+      // Skip the group modifier (?:, (?=, (?<name> ...) so its ? isn't read as a quantifier
+      const modifier = /^\(\?(<[=!]|<[^>]*>|[:=!])/.exec(source.slice(index));
+      index += modifier ? modifier[0].length : 1;
+      continue;
+    } else if (char === '|') {
+      groups[groups.length - 1].alternates = true;
+      index = atomEnd;
+      continue;
+    } else if (char === ')') {
+      closedGroup = groups.pop();
+    }
+
+    const quantifier = readQuantifier(source, atomEnd);
+
+    if (closedGroup) {
+      if (quantifier && quantifier.repeats && closedGroup.quantified) {
+        return 'nested quantifiers';
+      }
+      if (quantifier && quantifier.repeats && closedGroup.alternates) {
+        return 'repeated alternation';
+      }
+      // A group with a quantifier inside makes every enclosing group quantified too
+      if (closedGroup.quantified || quantifier) {
+        groups[groups.length - 1].quantified = true;
+      }
+    } else if (quantifier) {
+      groups[groups.length - 1].quantified = true;
+    }
+
+    index = atomEnd;
+    if (quantifier) {
+      index += quantifier.length;
+      // Lazy modifier
+      if (source[index] === '?') {
+        index += 1;
+      }
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  MAX_REGEX_INPUT_LENGTH,
+  findUnsafeConstruct
+};
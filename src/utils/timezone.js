@@ -0,0 +1,210 @@
+/**
+ * Timezone helpers
+ * Users keep an IANA timezone on their profile. A streak's days follow the
+ * pair's shared local calendar: midnight at the average of both users' UTC
+ * offsets, rounded to a quarter hour, so the day boundary falls at the same
+ * instant for both of them. Quiet hours are a local clock range ('22:00' to
+ * '08:00') during which scheduled notifications are held back.
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+const DEFAULT_QUIET_HOURS_START = '22:00';
+const DEFAULT_QUIET_HOURS_END = '08:00';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+const DAY_MS = DAY_MINUTES * MINUTE_MS;
+const PAIR_OFFSET_STEP_MINUTES = 15;
+
+const CLOCK_TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatters = new Map();
+
+/**
+ * Canonical name of a timezone
+ * @param {string} timeZone - IANA timezone, in any letter case
+ * @returns {string|null} Canonical name, or null if it isn't a known timezone
+ */
+const normalizeTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') {
+    return null;
+  }
+
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: timeZone.trim() }).resolvedOptions().timeZone;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Whether a timezone is known
+ * @param {string} timeZone - IANA timezone
+ * @returns {boolean} True if it is
+ */
+const isValidTimeZone = (timeZone) => normalizeTimeZone(timeZone) !== null;
+
+/**
+ * Formatter of a timezone's wall clock; unknown timezones fall back to UTC
+ * @param {string} timeZone - IANA timezone
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+const getFormatter = (timeZone) => {
+  const key = timeZone || DEFAULT_TIMEZONE;
+
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone: normalizeTimeZone(key) || DEFAULT_TIMEZONE,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  return formatters.get(key);
+};
+
+/**
+ * Wall clock time in a timezone
+ * @param {string} timeZone - IANA timezone
+ * @param {Date} date - Instant
+ * @returns {object} { year, month, day, hour, minute, second, weekday } with weekday 0 for Sunday
+ */
+const getLocalTime = (timeZone, date = new Date()) => {
+  const parts = getFormatter(timeZone).formatToParts(date)
+    .reduce((values, { type, value }) => ({ ...values, [type]: value }), {});
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+/**
+ * Offset of a timezone from UTC at an instant
+ * @param {string} timeZone - IANA timezone
+ * @param {Date} date - Instant
+ * @returns {number} Minutes ahead of UTC
+ */
+const getUtcOffsetMinutes = (timeZone, date = new Date()) => {
+  const local = getLocalTime(timeZone, date);
+  const localAsUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+
+  return Math.round((localAsUtc - wholeSeconds) / MINUTE_MS);
+};
+
+/**
+ * Offset of a pair's shared calendar: the average of both users' offsets, to the quarter hour
+ * @param {Array<string>} timeZones - Both users' timezones
+ * @param {Date} date - Instant
+ * @returns {number} Minutes ahead of UTC
+ */
+const getPairOffsetMinutes = (timeZones, date = new Date()) => {
+  const offsets = timeZones.map(timeZone => getUtcOffsetMinutes(timeZone, date));
+  const average = offsets.reduce((sum, offset) => sum + offset, 0) / offsets.length;
+
+  return Math.round(average / PAIR_OFFSET_STEP_MINUTES) * PAIR_OFFSET_STEP_MINUTES;
+};
+
+/**
+ * Day of a pair's shared calendar an instant falls on
+ * @param {Array<string>} timeZones - Both users' timezones
+ * @param {Date} date - Instant
+ * @returns {number} Days since 1970-01-01 on the pair's calendar
+ */
+const getPairDay = (timeZones, date) =>
+  Math.floor((date.getTime() + getPairOffsetMinutes(timeZones, date) * MINUTE_MS) / DAY_MS);
+
+/**
+ * When a day of a pair's shared calendar begins
+ * @param {Array<string>} timeZones - Both users' timezones
+ * @param {number} day - Day, as returned by getPairDay
+ * @returns {Date} Start of the day
+ */
+const getPairDayStart = (timeZones, day) => {
+  const midnight = day * DAY_MS;
+  // The offset at the estimated start, in case daylight saving changed it since the UTC midnight
+  const estimate = midnight - getPairOffsetMinutes(timeZones, new Date(midnight)) * MINUTE_MS;
+
+  return new Date(midnight - getPairOffsetMinutes(timeZones, new Date(estimate)) * MINUTE_MS);
+};
+
+/**
+ * Minutes since midnight of a clock time
+ * @param {string} clockTime - 'HH:MM'
+ * @returns {number|null} Minutes, or null if it isn't a clock time
+ */
+const parseClockTime = (clockTime) => {
+  const match = CLOCK_TIME_PATTERN.exec(clockTime || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+/**
+ * Whether an instant falls in a user's quiet hours
+ * The range wraps past midnight when it ends earlier than it starts
+ * @param {object} settings - { timezone, quietHoursEnabled, quietHoursStart, quietHoursEnd }
+ * @param {Date} date - Instant
+ * @returns {boolean} True if it does
+ */
+const isWithinQuietHours = (settings, date = new Date()) => {
+  const start = parseClockTime(settings.quietHoursStart);
+  const end = parseClockTime(settings.quietHoursEnd);
+
+  if (!settings.quietHoursEnabled || start === null || end === null || start === end) {
+    return false;
+  }
+
+  const local = getLocalTime(settings.timezone, date);
+  const minutes = local.hour * 60 + local.minute;
+
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+/**
+ * When a user's quiet hours end
+ * @param {object} settings - { timezone, quietHoursEnabled, quietHoursStart, quietHoursEnd }
+ * @param {Date} date - Instant
+ * @returns {Date} The instant itself outside quiet hours, otherwise the end of the current quiet hours
+ */
+const getQuietHoursEnd = (settings, date = new Date()) => {
+  if (!isWithinQuietHours(settings, date)) {
+    return date;
+  }
+
+  const local = getLocalTime(settings.timezone, date);
+  const minutesLeft = (parseClockTime(settings.quietHoursEnd) - (local.hour * 60 + local.minute) + DAY_MINUTES) % DAY_MINUTES;
+  const minuteStart = Math.floor(date.getTime() / MINUTE_MS) * MINUTE_MS;
+
+  return new Date(minuteStart + minutesLeft * MINUTE_MS);
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_QUIET_HOURS_START,
+  DEFAULT_QUIET_HOURS_END,
+  CLOCK_TIME_PATTERN,
+  normalizeTimeZone,
+  isValidTimeZone,
+  getLocalTime,
+  getUtcOffsetMinutes,
+  getPairOffsetMinutes,
+  getPairDay,
+  getPairDayStart,
+  parseClockTime,
+  isWithinQuietHours,
+  getQuietHoursEnd
+};
@@ -0,0 +1,231 @@
+// Replays a labeled moderation dataset through the moderation pipeline and reports
+// precision, recall and confusion matrices for report handling and each pre-send policy.
+// No server or database is needed:
+//
+//   node eval_moderation.js moderation_eval/sample.jsonl --policies moderation_eval/sample_policies.json
+//
+// Options:
+//   --policies <file>    JSON array of policy definitions to evaluate (as admins create them)
+//   --provider <name>    recorded (default): answers from the recordings file
+//                        fake: the fake provider, with --rules <file> (JSON array of fake rules)
+//                        live: the provider configured for moderation (AI_PROVIDER_MODERATION / AI_PROVIDER)
+//   --recordings <file>  Recordings file, <dataset>.recordings.json by default
+//   --record             Save the fake or live provider's answers to the recordings file
+//   --resolve <n>        Candidate confidence to resolve an INAPPROPRIATE report automatically
+//   --reject <n>         Candidate confidence to reject an ACCEPTABLE report automatically
+//   --out <file>         Also write the full results as JSON
+const fs = require('fs');
+const path = require('path');
+
+// Nothing reaches the database, but loading the services creates the client
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'offline';
+
+const { getProvider, AI_FEATURES } = require('../src/services/ai/aiService');
+const { createFakeProvider } = require('../src/services/ai/fakeProvider');
+const { createRecordedProvider } = require('../src/services/ai/recordedProvider');
+const { REPORT_THRESHOLDS } = require('../src/services/ai/contentModeration');
+const { loadDataset, loadPolicies } = require('../src/services/moderationEval/dataset');
+const { runEvaluation } = require('../src/services/moderationEval/evaluationService');
+
+const VALUE_OPTIONS = ['--policies', '--provider', '--rules', '--recordings', '--resolve', '--reject', '--out'];
+const PROVIDERS = ['recorded', 'fake', 'live'];
+const MAX_LISTED_MISTAKES = 20;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {object} { dataset, options }
+ */
+const parseArgs = (args) => {
+  const options = { provider: 'recorded', record: false };
+  let dataset = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--record') {
+      options.record = true;
+    } else if (VALUE_OPTIONS.includes(arg)) {
+      if (args[i + 1] === undefined) {
+        throw new Error(`${arg} needs a value`);
+      }
+      options[arg.slice(2)] = args[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (!dataset) {
+      dataset = arg;
+    } else {
+      throw new Error(`Unexpected argument ${arg}`);
+    }
+  }
+
+  if (!dataset) {
+    throw new Error('Usage: node eval_moderation.js <dataset.jsonl> [--policies <file>] [--provider recorded|fake|live] [--record] [--resolve <n>] [--reject <n>] [--out <file>]');
+  }
+  if (!PROVIDERS.includes(options.provider)) {
+    throw new Error(`--provider must be one of: ${PROVIDERS.join(', ')}`);
+  }
+  if (options.record && options.provider === 'recorded') {
+    throw new Error('--record needs --provider fake or live');
+  }
+
+  ['resolve', 'reject'].forEach(name => {
+    if (options[name] !== undefined) {
+      const value = Number(options[name]);
+      if (!(value >= 0 && value <= 1)) {
+        throw new Error(`--${name} must be a confidence from 0 to 1`);
+      }
+      options[name] = value;
+    }
+  });
+
+  return { dataset, options };
+};
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const defaultRecordingsPath = (dataset) => path.join(path.dirname(dataset), `${path.basename(dataset, path.extname(dataset))}.recordings.json`);
+
+const percent = (value) => (value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`);
+
+/**
+ * Format rows as a left-aligned text table
+ * @param {Array<Array<*>>} rows - Rows, the first being the header
+ * @returns {string} Table
+ */
+const table = (rows) => {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column]).length)));
+  return rows.map(row => `  ${row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ')}`.trimEnd()).join('\n');
+};
+
+const matrixTable = (matrix) => table([
+  ['actual \\ predicted', ...matrix.predictedLabels],
+  ...matrix.actualLabels.map(actual => [actual, ...matrix.predictedLabels.map(predicted => matrix.counts[actual][predicted])])
+]);
+
+const metricsRow = (name, metrics) => [name, metrics.tp, metrics.fp, metrics.fn, metrics.tn, percent(metrics.precision), percent(metrics.recall), percent(metrics.f1)];
+
+const METRICS_HEADER = ['', 'tp', 'fp', 'fn', 'tn', 'precision', 'recall', 'f1'];
+
+const listMistakes = (mistakes, describe) => {
+  if (mistakes.length === 0) {
+    return;
+  }
+  console.log(`\n  Mistakes (${mistakes.length}):`);
+  mistakes.slice(0, MAX_LISTED_MISTAKES).forEach(mistake => console.log(`    ${describe(mistake)}`));
+  if (mistakes.length > MAX_LISTED_MISTAKES) {
+    console.log(`    ...and ${mistakes.length - MAX_LISTED_MISTAKES} more (see --out)`);
+  }
+};
+
+const printReports = (reports) => {
+  console.log(`\nReport classification (${reports.samples} samples, ${reports.providerFailures.length} provider failures)\n`);
+  console.log(matrixTable(reports.classification));
+  console.log('');
+  console.log(table([METRICS_HEADER, ...Object.entries(reports.perLabel).map(([label, metrics]) => metricsRow(label, metrics))]));
+
+  reports.providerFailures.slice(0, MAX_LISTED_MISTAKES).forEach(({ id, error }) => console.log(`  ! ${id}: ${error}`));
+
+  Object.entries(reports.thresholds).forEach(([name, result]) => {
+    const { resolveConfidence, rejectConfidence } = result.thresholds;
+    console.log(`\nReport outcomes, ${name} thresholds (resolve >= ${resolveConfidence}, reject >= ${rejectConfidence})\n`);
+    console.log(matrixTable(result.outcomes));
+    console.log('');
+    console.log(table([
+      METRICS_HEADER,
+      metricsRow('auto-resolve', result.resolve),
+      metricsRow('auto-reject', result.reject)
+    ]));
+    console.log(`\n  Left for human review: ${percent(result.reviewRate)}`);
+    listMistakes(result.mistakes, ({ id, label, outcome, classification, confidence }) =>
+      `${id}: ${label} was ${outcome} (${classification} ${confidence})`);
+  });
+
+  const { current, candidate } = reports.thresholds;
+  if (current && candidate) {
+    const change = (before, after) => (before === null || after === null ? '-' : `${after >= before ? '+' : ''}${((after - before) * 100).toFixed(1)}`);
+    const row = (name, before, after) => [name, percent(before), percent(after), change(before, after)];
+
+    console.log('\nCandidate against current thresholds\n');
+    console.log(table([
+      ['', 'current', 'candidate', 'change (points)'],
+      row('auto-resolve precision', current.resolve.precision, candidate.resolve.precision),
+      row('auto-resolve recall', current.resolve.recall, candidate.resolve.recall),
+      row('auto-reject precision', current.reject.precision, candidate.reject.precision),
+      row('auto-reject recall', current.reject.recall, candidate.reject.recall),
+      row('human review rate', current.reviewRate, candidate.reviewRate)
+    ]));
+  }
+};
+
+const printPolicies = (policies) => {
+  console.log(`\nPre-send policies (${policies.samples} samples)\n`);
+  console.log(table([
+    [...METRICS_HEADER, 'skipped'],
+    ...Object.entries(policies.policies).map(([key, metrics]) => [...metricsRow(key, metrics), metrics.skipped])
+  ]));
+  console.log('\n  Actions, expected against actual\n');
+  console.log(matrixTable(policies.actions));
+  listMistakes(policies.mistakes, ({ id, policy, expected }) =>
+    `${id}: ${policy} ${expected ? 'missed' : 'matched unexpectedly'}`);
+
+  if (policies.unknownPolicies.length > 0) {
+    console.log(`\n  ! Samples expect policies that weren't evaluated: ${policies.unknownPolicies.join(', ')}`);
+  }
+};
+
+const run = async () => {
+  const { dataset, options } = parseArgs(process.argv.slice(2));
+  const samples = await loadDataset(dataset);
+  const policies = options.policies ? await loadPolicies(options.policies) : [];
+  const recordingsPath = options.recordings || defaultRecordingsPath(dataset);
+
+  let provider;
+  if (options.provider === 'recorded') {
+    provider = createRecordedProvider({ recordings: fs.existsSync(recordingsPath) ? readJson(recordingsPath) : {} });
+  } else {
+    const source = options.provider === 'fake'
+      ? createFakeProvider({ rules: options.rules ? readJson(options.rules) : [] })
+      : getProvider(AI_FEATURES.MODERATION);
+    provider = options.record
+      ? createRecordedProvider({ recordings: fs.existsSync(recordingsPath) ? readJson(recordingsPath) : {}, provider: source })
+      : source;
+  }
+
+  const thresholds = { current: REPORT_THRESHOLDS };
+  if (options.resolve !== undefined || options.reject !== undefined) {
+    thresholds.candidate = {
+      resolveConfidence: options.resolve !== undefined ? options.resolve : REPORT_THRESHOLDS.resolveConfidence,
+      rejectConfidence: options.reject !== undefined ? options.reject : REPORT_THRESHOLDS.rejectConfidence
+    };
+  }
+
+  console.log(`Evaluating moderation on ${dataset} (${samples.length} samples, ${options.provider} provider)`);
+
+  const results = await runEvaluation(samples, { policies, thresholds, provider });
+
+  printReports(results.reports);
+  if (results.policies) {
+    printPolicies(results.policies);
+  }
+
+  if (provider.misses && provider.misses.length > 0) {
+    console.log(`\n! ${provider.misses.length} requests had no recorded answer and were treated as provider failures; record them with --provider live --record`);
+  }
+
+  if (options.record) {
+    fs.writeFileSync(recordingsPath, `${JSON.stringify(provider.recordings, null, 2)}\n`);
+    console.log(`\nSaved ${Object.keys(provider.recordings).length} recordings to ${recordingsPath}`);
+  }
+
+  if (options.out) {
+    fs.writeFileSync(options.out, `${JSON.stringify({ dataset, provider: options.provider, ...results }, null, 2)}\n`);
+    console.log(`\nWrote results to ${options.out}`);
+  }
+};
+
+run().catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
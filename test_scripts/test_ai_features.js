@@ -0,0 +1,184 @@
+// Runs every AI feature against the deterministic fake provider, and checks the
+// fallbacks when a provider isn't configured.
+// No server, database or API key is needed: node test_ai_features.js
+const assert = require('assert');
+
+// The data-only features never reach the database, but loading the services creates the client
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'offline';
+delete process.env.GEMINI_API_KEY;
+delete process.env.OPENAI_API_KEY;
+delete process.env.OPENAI_BASE_URL;
+
+const aiService = require('../src/services/ai/aiService');
+const { createFakeProvider } = require('../src/services/ai/fakeProvider');
+const { validateJson, exampleFor } = require('../src/services/ai/jsonSchema');
+const { analyzeMessageContent, evaluateUserHistory } = require('../src/services/ai/contentModeration');
+const copilot = require('../src/services/ai/aiCopilotService');
+
+const { AI_FEATURES } = aiService;
+
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+const useProvider = (provider) => Object.values(AI_FEATURES).forEach(feature => aiService.setProvider(feature, provider));
+
+const expectCode = async (promise, code) => {
+  await assert.rejects(promise, err => err.code === code);
+};
+
+check('JSON schema examples satisfy their schema', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      label: { type: 'string', enum: ['A', 'B'] },
+      score: { type: 'number', minimum: 0.2, maximum: 1 },
+      tags: { type: 'array', items: { type: 'string', minLength: 3 }, minItems: 2 }
+    },
+    required: ['label', 'score', 'tags'],
+    additionalProperties: false
+  };
+
+  assert.deepStrictEqual(validateJson(exampleFor(schema), schema), []);
+  assert.strictEqual(validateJson({ label: 'C', score: 2, tags: [], extra: 1 }, schema).length, 4);
+});
+
+check('Provider is picked per feature from configuration', () => {
+  useProvider(null);
+  process.env.AI_PROVIDER = 'gemini';
+  process.env.AI_PROVIDER_MODERATION = 'fake';
+  process.env.AI_PROVIDER_ASSISTANT = 'openai:local-model';
+
+  assert.strictEqual(aiService.getProvider(AI_FEATURES.MODERATION).name, 'fake');
+  assert.strictEqual(aiService.getProvider(AI_FEATURES.NOTIFICATIONS).name, 'gemini');
+  assert.strictEqual(aiService.getProvider(AI_FEATURES.ASSISTANT).model, 'local-model');
+
+  process.env.AI_PROVIDER_ASSISTANT = 'nope';
+  assert.throws(() => aiService.getProvider(AI_FEATURES.ASSISTANT), err => err.code === aiService.AI_NOT_CONFIGURED_CODE);
+
+  delete process.env.AI_PROVIDER;
+  delete process.env.AI_PROVIDER_MODERATION;
+  delete process.env.AI_PROVIDER_ASSISTANT;
+});
+
+check('Fake provider is deterministic', async () => {
+  const first = await createFakeProvider().generateText('hello');
+  const second = await createFakeProvider().generateText('hello');
+
+  assert.strictEqual(first, second);
+  assert.notStrictEqual(first, await createFakeProvider().generateText('hello again'));
+});
+
+check('Unconfigured hosted providers fail with AI_NOT_CONFIGURED', async () => {
+  useProvider(null);
+  process.env.AI_PROVIDER = 'gemini';
+  await expectCode(aiService.generateText(AI_FEATURES.ASSISTANT, 'hi'), aiService.AI_NOT_CONFIGURED_CODE);
+  process.env.AI_PROVIDER = 'openai';
+  await expectCode(aiService.generateText(AI_FEATURES.ASSISTANT, 'hi'), aiService.AI_NOT_CONFIGURED_CODE);
+  delete process.env.AI_PROVIDER;
+});
+
+check('JSON output is unfenced and validated', async () => {
+  const schema = { type: 'object', properties: { ok: { type: 'boolean' } }, required: ['ok'] };
+  const replies = ['```json\n{"ok": true}\n```', 'Sure! {"ok": "yes"}', 'no json here'];
+  useProvider({ name: 'scripted', generateText: async () => '', generateJson: async () => replies.shift() });
+
+  assert.deepStrictEqual(await aiService.generateJson(AI_FEATURES.ASSISTANT, 'p', schema), { ok: true });
+  await expectCode(aiService.generateJson(AI_FEATURES.ASSISTANT, 'p', schema), aiService.AI_INVALID_RESPONSE_CODE);
+  await expectCode(aiService.generateJson(AI_FEATURES.ASSISTANT, 'p', schema), aiService.AI_INVALID_RESPONSE_CODE);
+});
+
+check('Classification goes through JSON for providers without classify', async () => {
+  useProvider({
+    name: 'scripted',
+    generateText: async () => '',
+    generateJson: async () => '{"label": "B", "confidence": 0.8, "explanation": "because"}'
+  });
+
+  assert.deepStrictEqual(
+    await aiService.classify(AI_FEATURES.MODERATION, 'text', ['A', 'B']),
+    { label: 'B', confidence: 0.8, explanation: 'because' }
+  );
+});
+
+check('Moderation classifies messages with fake rules', async () => {
+  useProvider(createFakeProvider({
+    rules: [{ match: /kill you/i, label: 'INAPPROPRIATE', confidence: 0.95, explanation: 'Threat' }]
+  }));
+
+  const threat = await analyzeMessageContent('I will kill you', { reportReason: 'threat' });
+  assert.strictEqual(threat.classification, 'INAPPROPRIATE');
+  assert.strictEqual(threat.recommendedAction, 'DELETE');
+
+  // Unmatched messages get low confidence, which leaves them to human review
+  const unknown = await analyzeMessageContent('see you tomorrow');
+  assert.strictEqual(unknown.classification, 'ACCEPTABLE');
+  assert.ok(unknown.confidence < 0.9);
+
+  const decision = await evaluateUserHistory([], threat);
+  assert.ok(['BANNED', 'WARNED', 'NO_ACTION'].includes(decision.action));
+});
+
+check('Copilot features answer from the fake provider', async () => {
+  const fake = createFakeProvider({
+    rules: [
+      { match: 'profile bio', text: '"I love hiking and bad puns."' },
+      { match: 'messages I could send', json: { suggestions: ['Hi!', 'How was the hike?', 'Coffee soon?'] } }
+    ]
+  });
+  useProvider(fake);
+
+  const user = { id: 'u1', first_name: 'Sam', interests: ['Hiking'] };
+  const messages = [
+    { sender_id: 'u2', content: 'Just got back from a hike' },
+    { sender_id: 'u1', content: 'Nice, where?' }
+  ];
+
+  assert.strictEqual(await copilot.writeProfileBio(user), 'I love hiking and bad puns.');
+  assert.deepStrictEqual(await copilot.suggestMessages({ user, messages }), ['Hi!', 'How was the hike?', 'Coffee soon?']);
+  assert.strictEqual((await copilot.writeIcebreakers({ user, otherUser: null, sharedInterests: ['Hiking'] })).length, 3);
+
+  const mood = await copilot.detectMood(messages);
+  assert.ok(copilot.CONVERSATION_MOODS.includes(mood.mood));
+
+  const notification = await copilot.generatePersonalizedNotification({ unreadMessages: 2, newMatches: 0, streakAboutToExpire: false });
+  assert.strictEqual(notification.type, 'RE_ENGAGEMENT');
+  assert.ok(notification.text.startsWith('Fake response'));
+  assert.ok(fake.calls.length >= 5);
+});
+
+check('Copilot features fall back when the provider fails', async () => {
+  useProvider(null);
+  process.env.AI_PROVIDER = 'gemini';
+
+  assert.strictEqual((await copilot.suggestMessages({ user: { id: 'u1' }, messages: [] })).length, 3);
+  assert.ok((await copilot.writeProfileBio({ id: 'u1' })).length > 0);
+  assert.deepStrictEqual(await copilot.detectMood([{ sender_id: 'u1', content: 'hey' }]), { mood: 'neutral', confidence: 0.5 });
+
+  const notification = await copilot.generatePersonalizedNotification({ streakAboutToExpire: true, currentStreakDays: 7 });
+  assert.strictEqual(notification.priority, 'high');
+  assert.ok(notification.text.includes('7-day streak'));
+
+  delete process.env.AI_PROVIDER;
+});
+
+const run = async () => {
+  console.log('Checking AI features against the fake provider...\n');
+
+  let failed = 0;
+  for (const { name, fn } of checks) {
+    try {
+      await fn();
+      console.log(`PASS ${name}`);
+    } catch (err) {
+      failed++;
+      console.log(`FAIL ${name}\n     - ${err.message}`);
+    }
+  }
+
+  useProvider(null);
+  console.log(`\n${checks.length - failed}/${checks.length} checks passed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+};
+
+run();
@@ -0,0 +1,32 @@
+// Runs the conformance checks against every registered mini-game engine.
+// No server or database is needed: node test_game_engines.js
+const { getGameEngine, getGameTypes } = require('../src/services/games');
+const { checkGameEngine } = require('../src/services/games/conformance');
+const { BUILT_IN_PACKS } = require('../src/services/games/content');
+const { validateContentPack } = require('../src/models/gameContent');
+
+const run = () => {
+  console.log('Checking mini-game engines...\n');
+
+  const results = getGameTypes().map(type => checkGameEngine(getGameEngine(type), { playthroughs: 5 }));
+
+  for (const result of results) {
+    console.log(`${result.passed ? 'PASS' : 'FAIL'} ${result.type}`);
+    result.failures.forEach(failure => console.log(`     - ${failure}`));
+  }
+
+  const failed = results.filter(result => !result.passed);
+  console.log(`\n${results.length - failed.length}/${results.length} engines passed`);
+
+  console.log('\nChecking built-in content packs...\n');
+
+  const invalidPacks = BUILT_IN_PACKS.filter(pack => {
+    const { error } = validateContentPack(JSON.parse(JSON.stringify(pack)));
+    console.log(`${error ? 'FAIL' : 'PASS'} ${pack.id}${error ? `\n     - ${error.message}` : ''}`);
+    return Boolean(error);
+  });
+
+  process.exitCode = failed.length > 0 || invalidPacks.length > 0 ? 1 : 0;
+};
+
+run();
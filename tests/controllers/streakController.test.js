@@ -0,0 +1,46 @@
+jest.mock('../../src/services/streakService', () => ({
+  findExpiringStreaks: jest.fn().mockResolvedValue([]),
+  findStreaksByLastMessage: jest.fn().mockResolvedValue([])
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const streakService = require('../../src/services/streakService');
+const { getExpiringStreaks } = require('../../src/controllers/streakController');
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const request = (query) => ({ user: { id: 'admin', is_admin: true }, query });
+
+describe('getExpiringStreaks', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('keeps hoursLower and hoursUpper as hours since the last message', async () => {
+    await getExpiringStreaks(request({}), response());
+    expect(streakService.findStreaksByLastMessage).toHaveBeenCalledWith(20, 23);
+
+    await getExpiringStreaks(request({ hoursLower: '10', hoursUpper: '12' }), response());
+    expect(streakService.findStreaksByLastMessage).toHaveBeenCalledWith(10, 12);
+    expect(streakService.findExpiringStreaks).not.toHaveBeenCalled();
+  });
+
+  it('selects by hours left with hoursLeftMin and hoursLeftMax', async () => {
+    const res = response();
+
+    await getExpiringStreaks(request({ hoursLeftMax: '2' }), res);
+
+    expect(streakService.findExpiringStreaks).toHaveBeenCalledWith(0, 2);
+    expect(streakService.findStreaksByLastMessage).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+});
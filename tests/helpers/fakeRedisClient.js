@@ -0,0 +1,93 @@
+/**
+ * In-process stand-in for the node-redis (v4) client commands the Redis stores use
+ * EVAL only understands the compare-and-delete lock release script and the queue's
+ * compare-and-set script.
+ */
+
+const { EventEmitter } = require('events');
+
+const createFakeRedisClient = ({ strings = new Map(), hashes = new Map(), lists = new Map(), bus = new EventEmitter() } = {}) => {
+  const hash = (key) => {
+    if (!hashes.has(key)) hashes.set(key, new Map());
+    return hashes.get(key);
+  };
+
+  const getString = (key) => {
+    const entry = strings.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      strings.delete(key);
+      return null;
+    }
+    return entry ? entry.value : null;
+  };
+
+  const listeners = new Map();
+
+  return {
+    isOpen: true,
+
+    connect: async () => {},
+    quit: async () => {},
+    duplicate: () => createFakeRedisClient({ strings, hashes, lists, bus }),
+
+    hGet: async (key, field) => (hash(key).has(field) ? hash(key).get(field) : null),
+    hSet: async (key, field, value) => {
+      hash(key).set(field, value);
+      return 1;
+    },
+    hDel: async (key, field) => (hash(key).delete(field) ? 1 : 0),
+    hExists: async (key, field) => hash(key).has(field),
+    hVals: async (key) => Array.from(hash(key).values()),
+    hKeys: async (key) => Array.from(hash(key).keys()),
+    hGetAll: async (key) => Object.fromEntries(hash(key)),
+    hLen: async (key) => hash(key).size,
+
+    set: async (key, value, { NX, PX } = {}) => {
+      if (NX && getString(key) !== null) return null;
+      strings.set(key, { value, expiresAt: PX ? Date.now() + PX : null });
+      return 'OK';
+    },
+    get: async (key) => getString(key),
+    del: async (key) => {
+      const existed = getString(key) !== null || hashes.has(key) || lists.has(key);
+      strings.delete(key);
+      hashes.delete(key);
+      lists.delete(key);
+      return existed ? 1 : 0;
+    },
+    eval: async (script, { keys, arguments: args }) => {
+      if (script.includes('HSET')) {
+        const [field, expected, value] = args;
+        if ((hash(keys[0]).has(field) ? hash(keys[0]).get(field) : null) !== expected) return 0;
+        hash(keys[0]).set(field, value);
+        return 1;
+      }
+      if (getString(keys[0]) !== args[0]) return 0;
+      strings.delete(keys[0]);
+      return 1;
+    },
+
+    publish: async (channel, message) => {
+      bus.emit(channel, message);
+      return 1;
+    },
+    subscribe: async (channel, listener) => {
+      listeners.set(listener, (message) => listener(message));
+      bus.on(channel, listeners.get(listener));
+    },
+    unsubscribe: async (channel, listener) => {
+      bus.off(channel, listeners.get(listener));
+    },
+
+    scanIterator: async function* ({ MATCH }) {
+      const pattern = new RegExp(`^${MATCH.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+      for (const key of [...strings.keys(), ...hashes.keys(), ...lists.keys()]) {
+        if (pattern.test(key)) yield key;
+      }
+    }
+  };
+};
+
+module.exports = {
+  createFakeRedisClient
+};
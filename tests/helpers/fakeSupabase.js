@@ -0,0 +1,48 @@
+/**
+ * Minimal stand-in for the Supabase query builder
+ * Every query resolves to the result given for its table, or to what a function given
+ * for the table returns for the query ({ table, calls }); calls are recorded.
+ * RPC calls answer the same way, by function name.
+ */
+
+const CHAIN_METHODS = ['select', 'insert', 'update', 'upsert', 'delete', 'eq', 'neq', 'in', 'is', 'or', 'lt', 'lte', 'gt', 'gte', 'order', 'limit', 'range'];
+
+const createFakeSupabase = (results = {}) => {
+  const calls = [];
+
+  const from = (table) => {
+    const query = { table, calls: [] };
+    const result = () => {
+      const answer = typeof results[table] === 'function' ? results[table](query) : results[table];
+      return Promise.resolve(answer || { data: null, error: null });
+    };
+    const builder = {
+      then: (resolve, reject) => result().then(resolve, reject),
+      single: result,
+      maybeSingle: result
+    };
+
+    CHAIN_METHODS.forEach(method => {
+      builder[method] = (...args) => {
+        query.calls.push([method, ...args]);
+        return builder;
+      };
+    });
+
+    calls.push(query);
+    return builder;
+  };
+
+  // RPC results are keyed by function name, like tables
+  const rpc = (name, params) => {
+    calls.push({ table: name, calls: [['rpc', params]] });
+    const answer = typeof results[name] === 'function' ? results[name](params) : results[name];
+    return Promise.resolve(answer || { data: null, error: null });
+  };
+
+  return { from, rpc, calls, results };
+};
+
+module.exports = {
+  createFakeSupabase
+};
@@ -0,0 +1,87 @@
+jest.mock('../../src/config/database', () => require('../helpers/fakeSupabase').createFakeSupabase());
+jest.mock('../../src/services/enforcementService', () => ({
+  ...jest.requireActual('../../src/services/enforcementService'),
+  checkAccountAccess: jest.fn(),
+  checkFeature: jest.fn()
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { checkAccountAccess, checkFeature, STANDING_UNAVAILABLE_CODE } = require('../../src/services/enforcementService');
+const { enforceAccountStanding, requireFeature } = require('../../src/middlewares/enforcement');
+
+const createResponse = () => {
+  const res = { headers: {} };
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+    return res;
+  });
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const request = (url = '/api/posts') => ({ originalUrl: url, user: { id: 'u1' } });
+
+describe('enforcement middleware', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('lets users in good standing through', async () => {
+    checkAccountAccess.mockResolvedValue({ success: true });
+    const next = jest.fn();
+
+    await enforceAccountStanding(request(), createResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('turns away suspended users', async () => {
+    checkAccountAccess.mockResolvedValue({ success: false, status: 403, code: 'ACCOUNT_SUSPENDED', message: 'Suspended' });
+    const res = createResponse();
+    const next = jest.fn();
+
+    await enforceAccountStanding(request(), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('refuses the request when standing cannot be checked', async () => {
+    checkAccountAccess.mockRejectedValue(new Error('database unavailable'));
+    const res = createResponse();
+    const next = jest.fn();
+
+    await enforceAccountStanding(request(), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: false, code: STANDING_UNAVAILABLE_CODE }));
+    expect(res.headers['Retry-After']).toBeDefined();
+  });
+
+  it('skips the check for routes reachable while suspended', async () => {
+    const next = jest.fn();
+
+    await enforceAccountStanding(request('/api/reports/appeals'), createResponse(), next);
+
+    expect(checkAccountAccess).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('refuses a restricted feature when the restriction cannot be checked', async () => {
+    checkFeature.mockRejectedValue(new Error('database unavailable'));
+    const res = createResponse();
+    const next = jest.fn();
+
+    await requireFeature('messaging')(request(), res, next);
+
+    expect(checkFeature).toHaveBeenCalledWith('u1', 'messaging');
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(503);
+  });
+});
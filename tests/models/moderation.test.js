@@ -0,0 +1,26 @@
+const { validatePolicyConfig } = require('../../src/models/moderation');
+
+const regexPolicy = (patterns) => ({ key: 'test', detector: 'regex', config: { patterns } });
+
+describe('validatePolicyConfig', () => {
+  it('accepts safe patterns', () => {
+    const { error, value } = validatePolicyConfig(regexPolicy(['free\\s+money']));
+
+    expect(error).toBeUndefined();
+    expect(value.config).toEqual({ patterns: ['free\\s+money'], caseSensitive: false });
+  });
+
+  it('rejects patterns that backtrack exponentially', () => {
+    const { error } = validatePolicyConfig(regexPolicy(['(a+)+$']));
+
+    expect(error.message).toMatch(/nested quantifiers/);
+  });
+
+  it('rejects patterns that do not compile', () => {
+    expect(validatePolicyConfig(regexPolicy(['(a'])).error.message).toMatch(/Invalid pattern/);
+  });
+
+  it('rejects long patterns', () => {
+    expect(validatePolicyConfig(regexPolicy(['a'.repeat(201)])).error).toBeDefined();
+  });
+});
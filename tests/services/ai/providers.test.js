@@ -0,0 +1,131 @@
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const aiService = require('../../../src/services/ai/aiService');
+const { createFakeProvider } = require('../../../src/services/ai/fakeProvider');
+const { createRecordedProvider, recordingKey } = require('../../../src/services/ai/recordedProvider');
+const { analyzeMessageContent, MODERATION_LABELS } = require('../../../src/services/ai/contentModeration');
+
+const { AI_FEATURES, AI_REQUEST_FAILED_CODE, AI_INVALID_RESPONSE_CODE } = aiService;
+
+const LABELS = ['SPAM', 'OK'];
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 3 },
+    tags: { type: 'array', items: { type: 'string' }, minItems: 1 }
+  },
+  required: ['title', 'tags'],
+  additionalProperties: false
+};
+
+describe('fake provider', () => {
+  afterEach(() => {
+    aiService.setProvider(AI_FEATURES.ASSISTANT, null);
+  });
+
+  it('gives the same answer to the same prompt', async () => {
+    const provider = createFakeProvider();
+
+    const first = await provider.generateText('Suggest an icebreaker');
+
+    expect(await provider.generateText('Suggest an icebreaker')).toBe(first);
+    expect(await provider.generateText('Suggest a game')).not.toBe(first);
+    expect(provider.calls).toHaveLength(3);
+  });
+
+  it('answers from the first matching rule', async () => {
+    const provider = createFakeProvider({
+      rules: [
+        { match: /buy now/i, label: 'SPAM', confidence: 0.97 },
+        { match: 'icebreaker', text: 'What made you smile today?' }
+      ]
+    });
+
+    expect(await provider.generateText('Suggest an ICEBREAKER')).toBe('What made you smile today?');
+    expect(await provider.classify('Buy now, cheap!', LABELS)).toMatchObject({ label: 'SPAM', confidence: 0.97 });
+  });
+
+  it('leaves classifications without a rule to a human', async () => {
+    const result = await createFakeProvider().classify('Hello', LABELS);
+
+    expect(result).toMatchObject({ label: 'SPAM', confidence: 0.5 });
+  });
+
+  it('answers JSON requests with a value matching the schema', async () => {
+    aiService.setProvider(AI_FEATURES.ASSISTANT, createFakeProvider());
+
+    const value = await aiService.generateJson(AI_FEATURES.ASSISTANT, 'Describe a profile', SCHEMA);
+
+    expect(value).toEqual({ title: expect.any(String), tags: [expect.any(String)] });
+    expect(value.title.length).toBeGreaterThanOrEqual(3);
+  });
+
+  it('fails JSON that does not match the schema with AI_INVALID_RESPONSE', async () => {
+    aiService.setProvider(AI_FEATURES.ASSISTANT, createFakeProvider({ rules: [{ match: 'profile', json: { title: 'x' } }] }));
+
+    await expect(aiService.generateJson(AI_FEATURES.ASSISTANT, 'Describe a profile', SCHEMA))
+      .rejects.toMatchObject({ code: AI_INVALID_RESPONSE_CODE });
+  });
+
+  it('drives moderation offline', async () => {
+    aiService.setProvider(AI_FEATURES.MODERATION, createFakeProvider({
+      rules: [{ match: 'idiot', label: MODERATION_LABELS.INAPPROPRIATE, confidence: 0.92 }]
+    }));
+
+    try {
+      const analysis = await analyzeMessageContent('You are an idiot', { reportReason: 'harassment' });
+      expect(analysis).toMatchObject({ classification: MODERATION_LABELS.INAPPROPRIATE, confidence: 0.92 });
+    } finally {
+      aiService.setProvider(AI_FEATURES.MODERATION, null);
+    }
+  });
+});
+
+describe('recorded provider', () => {
+  it('records the answers of the provider it wraps', async () => {
+    const source = createFakeProvider({ rules: [{ match: 'hello', text: 'Hi there' }] });
+    const recorder = createRecordedProvider({ provider: source });
+
+    expect(await recorder.generateText('hello')).toBe('Hi there');
+    expect(recorder.model).toBe('fake:fake');
+    expect(recorder.recordings[recordingKey('generateText', ['hello', {}])]).toEqual({
+      method: 'generateText',
+      input: 'hello',
+      output: 'Hi there'
+    });
+  });
+
+  it('replays recordings without calling a provider', async () => {
+    const source = createFakeProvider({ rules: [{ match: 'spam', label: 'SPAM', confidence: 0.99 }] });
+    const recorder = createRecordedProvider({ provider: source });
+    await recorder.classify('spam spam', LABELS);
+
+    const replay = createRecordedProvider({ recordings: JSON.parse(JSON.stringify(recorder.recordings)) });
+
+    expect(typeof replay.classify).toBe('function');
+    expect(await replay.classify('spam spam', LABELS)).toMatchObject({ label: 'SPAM', confidence: 0.99 });
+    expect(replay.misses).toEqual([]);
+  });
+
+  it('fails requests that were not recorded like an unavailable provider', async () => {
+    const replay = createRecordedProvider({ recordings: {} });
+
+    await expect(replay.generateText('anything')).rejects.toMatchObject({ code: AI_REQUEST_FAILED_CODE });
+    expect(replay.misses).toEqual([recordingKey('generateText', ['anything', {}])]);
+    expect(replay.classify).toBeUndefined();
+  });
+
+  it('needs a new recording when the request changes', async () => {
+    const recorder = createRecordedProvider({ provider: createFakeProvider() });
+    await recorder.generateText('hello', { temperature: 0 });
+
+    const replay = createRecordedProvider({ recordings: recorder.recordings });
+
+    await expect(replay.generateText('hello', { temperature: 1 })).rejects.toMatchObject({ code: AI_REQUEST_FAILED_CODE });
+  });
+});
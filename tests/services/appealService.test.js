@@ -0,0 +1,126 @@
+jest.mock('../../src/config/database', () => require('../helpers/fakeSupabase').createFakeSupabase());
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/services/messageService', () => ({
+  restoreMessage: jest.fn()
+}));
+jest.mock('../../src/services/enforcementService', () => ({
+  reverseStrike: jest.fn(),
+  liftEnforcement: jest.fn(),
+  logActivity: jest.fn()
+}));
+jest.mock('../../src/services/notification/notificationService', () => ({
+  createNotification: jest.fn(),
+  NotificationType: { APPEAL_DECIDED: 'appeal_decided' }
+}));
+
+const supabase = require('../../src/config/database');
+const { liftEnforcement } = require('../../src/services/enforcementService');
+const { createNotification } = require('../../src/services/notification/notificationService');
+const { approveAppeal, denyAppeal } = require('../../src/services/appealService');
+
+const ENFORCEMENT_ID = 'enf-1';
+
+/**
+ * moderation_appeals backed by one row, honouring the status filters of updates
+ */
+const useAppealTable = (row) => {
+  const appeal = { ...row };
+
+  supabase.results.moderation_appeals = ({ calls }) => {
+    const update = calls.find(([method]) => method === 'update');
+    if (!update) {
+      return { data: { ...appeal }, error: null };
+    }
+
+    const matches = calls.every(([method, column, value]) => (
+      (method !== 'in' || column !== 'status' || value.includes(appeal.status)) &&
+      (method !== 'eq' || column !== 'status' || value === appeal.status)
+    ));
+    if (!matches) {
+      return { data: null, error: null };
+    }
+
+    Object.assign(appeal, update[1]);
+    return { data: { ...appeal }, error: null };
+  };
+
+  return appeal;
+};
+
+const statusUpdates = () => supabase.calls
+  .filter(query => query.table === 'moderation_appeals')
+  .map(query => query.calls.find(([method]) => method === 'update'))
+  .filter(Boolean)
+  .map(([, values]) => values.status);
+
+describe('appealService decisions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    supabase.calls.length = 0;
+    supabase.results.user_enforcements = { data: { id: ENFORCEMENT_ID, strike_id: null, lifted_at: null }, error: null };
+    liftEnforcement.mockResolvedValue({ success: true });
+  });
+
+  it('claims the appeal before reversing the decision', async () => {
+    const appeal = useAppealTable({ id: 'a1', user_id: 'u1', enforcement_id: ENFORCEMENT_ID, status: 'in_review' });
+    liftEnforcement.mockImplementation(async () => {
+      expect(appeal.status).toBe('deciding');
+      return { success: true };
+    });
+
+    const result = await approveAppeal('a1', { note: 'Context missed' }, 'admin-1');
+
+    expect(result.success).toBe(true);
+    expect(result.appeal).toMatchObject({ status: 'approved', decided_by: 'admin-1', reversal: { liftedEnforcementIds: [ENFORCEMENT_ID] } });
+    expect(statusUpdates()).toEqual(['deciding', 'approved']);
+    expect(createNotification).toHaveBeenCalledWith('u1', 'appeal_decided', expect.objectContaining({ status: 'approved' }));
+  });
+
+  it('does not reverse anything when another admin claimed the appeal first', async () => {
+    const appeal = useAppealTable({ id: 'a1', user_id: 'u1', enforcement_id: ENFORCEMENT_ID, status: 'pending' });
+    const claimed = supabase.results.moderation_appeals;
+    supabase.results.moderation_appeals = (query) => {
+      // The other admin's claim lands between the read and this one
+      if (query.calls.some(([method]) => method === 'update')) {
+        appeal.status = 'deciding';
+      }
+      return claimed(query);
+    };
+
+    const result = await approveAppeal('a1', {}, 'admin-1');
+
+    expect(result).toMatchObject({ success: false, status: 409 });
+    expect(liftEnforcement).not.toHaveBeenCalled();
+  });
+
+  it('refuses an appeal that is being decided', async () => {
+    useAppealTable({ id: 'a1', user_id: 'u1', enforcement_id: ENFORCEMENT_ID, status: 'deciding' });
+
+    const result = await denyAppeal('a1', {}, 'admin-1');
+
+    expect(result).toMatchObject({ success: false, status: 409, message: 'Appeal is being decided' });
+  });
+
+  it('gives the appeal back when the reversal fails', async () => {
+    const appeal = useAppealTable({ id: 'a1', user_id: 'u1', enforcement_id: ENFORCEMENT_ID, status: 'in_review' });
+    liftEnforcement.mockRejectedValue(new Error('database unavailable'));
+
+    await expect(approveAppeal('a1', {}, 'admin-1')).rejects.toThrow('database unavailable');
+
+    expect(appeal).toMatchObject({ status: 'in_review', decided_by: null });
+    expect(createNotification).not.toHaveBeenCalled();
+  });
+
+  it('denies without reversing', async () => {
+    useAppealTable({ id: 'a1', user_id: 'u1', enforcement_id: ENFORCEMENT_ID, status: 'pending' });
+
+    const result = await denyAppeal('a1', { note: 'Upheld' }, 'admin-1');
+
+    expect(result.appeal).toMatchObject({ status: 'denied', reversal: null, decision_note: 'Upheld' });
+    expect(liftEnforcement).not.toHaveBeenCalled();
+  });
+});
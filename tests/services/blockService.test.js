@@ -0,0 +1,61 @@
+jest.mock('../../src/config/database', () => require('../helpers/fakeSupabase').createFakeSupabase());
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const supabase = require('../../src/config/database');
+const {
+  isBlockedBetween,
+  getBlockedUserIds,
+  getHiddenUserIds,
+  getBlockedPairs,
+  hasBlockedPair
+} = require('../../src/services/blockService');
+
+const lookupError = { message: 'connection reset' };
+
+describe('blockService', () => {
+  afterEach(() => {
+    delete supabase.results.user_blocks;
+  });
+
+  it('finds a block in either direction', async () => {
+    supabase.results.user_blocks = { data: [{ id: 'b1' }], error: null };
+    expect(await isBlockedBetween('u1', 'u2')).toBe(true);
+
+    supabase.results.user_blocks = { data: [], error: null };
+    expect(await isBlockedBetween('u1', 'u2')).toBe(false);
+  });
+
+  it('lists the other user of each block', async () => {
+    supabase.results.user_blocks = {
+      data: [{ blocker_id: 'u1', blocked_id: 'u2' }, { blocker_id: 'u3', blocked_id: 'u1' }],
+      error: null
+    };
+
+    expect(await getBlockedUserIds('u1')).toEqual(new Set(['u2', 'u3']));
+    expect(await getHiddenUserIds('u1')).toEqual(new Set(['u2', 'u3']));
+  });
+
+  it('keys blocked pairs regardless of direction', async () => {
+    supabase.results.user_blocks = { data: [{ blocker_id: 'u2', blocked_id: 'u1' }], error: null };
+    const pairs = await getBlockedPairs(['u1', 'u2', 'u3']);
+
+    expect(hasBlockedPair(pairs, 'u1', 'u2')).toBe(true);
+    expect(hasBlockedPair(pairs, 'u1', 'u3')).toBe(false);
+  });
+
+  // A failed lookup must never let blocked users reach each other
+  it.each([
+    ['isBlockedBetween', () => isBlockedBetween('u1', 'u2')],
+    ['getBlockedUserIds', () => getBlockedUserIds('u1')],
+    ['getHiddenUserIds', () => getHiddenUserIds('u1')],
+    ['getBlockedPairs', () => getBlockedPairs(['u1', 'u2'])]
+  ])('%s fails closed when the lookup fails', async (name, lookup) => {
+    supabase.results.user_blocks = { data: null, error: lookupError };
+
+    await expect(lookup()).rejects.toBe(lookupError);
+  });
+});
@@ -0,0 +1,57 @@
+const { calculateCompatibility } = require('../../src/services/compatibilityService');
+
+const HOUR = 60 * 60 * 1000;
+
+const yearsAgo = (years) => {
+  const date = new Date();
+  date.setFullYear(date.getFullYear() - years);
+  date.setDate(date.getDate() - 1);
+  return date.toISOString();
+};
+
+const user = (overrides = {}) => ({
+  interests: ['Movies', 'Music'],
+  preference: 'Friendship',
+  date_of_birth: yearsAgo(25),
+  is_online: true,
+  ...overrides
+});
+
+describe('calculateCompatibility', () => {
+  it('scores age against both users\' ranges and keeps the lower score', () => {
+    const looking = user({ date_of_birth: yearsAgo(40) });
+    const candidate = user({ date_of_birth: yearsAgo(25) });
+
+    const oneWay = calculateCompatibility(looking, candidate, { ageRange: { min: 20, max: 30 } });
+    expect(oneWay.breakdown.age.score).toBe(1);
+
+    // The candidate only wants people up to 35, so the 40 year old is 5 years outside
+    const twoWay = calculateCompatibility(looking, candidate, { ageRange: { min: 20, max: 30 } }, { ageRange: { min: 20, max: 35 } });
+    expect(twoWay.breakdown.age).toMatchObject({ score: 0, age: 25, userAge: 40 });
+    expect(twoWay.score).toBeLessThan(oneWay.score);
+  });
+
+  it('is symmetric when each side passes its own criteria', () => {
+    const first = user({ date_of_birth: yearsAgo(22), is_online: false, last_active: new Date(Date.now() - 24 * HOUR).toISOString() });
+    const second = user({ date_of_birth: yearsAgo(33) });
+    const firstCriteria = { ageRange: { min: 30, max: 40 } };
+    const secondCriteria = { ageRange: { min: 25, max: 35 } };
+
+    const forward = calculateCompatibility(first, second, firstCriteria, secondCriteria);
+    const backward = calculateCompatibility(second, first, secondCriteria, firstCriteria);
+
+    expect(forward.breakdown.age.score).toBe(backward.breakdown.age.score);
+    expect(forward.breakdown.activity.score).toBe(backward.breakdown.activity.score);
+    expect(forward.score).toBe(backward.score);
+  });
+
+  it('scores activity for both users and keeps the lower score', () => {
+    const inactive = user({ is_online: false, last_active: new Date(Date.now() - 72 * HOUR).toISOString() });
+    const online = user();
+
+    const { breakdown } = calculateCompatibility(inactive, online);
+
+    expect(breakdown.activity.score).toBeCloseTo(Math.exp(-1), 2);
+    expect(breakdown.activity).toMatchObject({ hoursInactive: 0, userHoursInactive: 72 });
+  });
+});
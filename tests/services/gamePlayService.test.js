@@ -0,0 +1,29 @@
+jest.mock('../../src/config/database', () => require('../helpers/fakeSupabase').createFakeSupabase());
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const supabase = require('../../src/config/database');
+const { USER_BLOCKED_CODE } = require('../../src/services/blockService');
+const { inviteToGame } = require('../../src/services/gamePlayService');
+
+const INITIATOR = '11111111-1111-4111-8111-111111111111';
+const RESPONDER = '22222222-2222-4222-8222-222222222222';
+const CONVERSATION = '33333333-3333-4333-8333-333333333333';
+
+describe('inviteToGame', () => {
+  afterEach(() => {
+    delete supabase.results.user_blocks;
+  });
+
+  it('refuses to invite a blocked user', async () => {
+    supabase.results.user_blocks = { data: [{ id: 'b1' }], error: null };
+
+    const result = await inviteToGame(INITIATOR, { conversationId: CONVERSATION, gameType: 'trivia', responderId: RESPONDER });
+
+    expect(result).toEqual({ success: false, status: 403, message: 'You cannot play a game with this user', code: USER_BLOCKED_CODE });
+    expect(supabase.calls.some(call => call.table === 'game_instances' || call.table === 'messages')).toBe(false);
+  });
+});
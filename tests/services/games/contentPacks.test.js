@@ -0,0 +1,10 @@
+const { BUILT_IN_PACKS } = require('../../../src/services/games/content');
+const { validateContentPack } = require('../../../src/models/gameContent');
+
+describe('built-in content packs', () => {
+  it.each(BUILT_IN_PACKS.map(pack => [pack.id, pack]))('%s is valid', (id, pack) => {
+    const { error } = validateContentPack(JSON.parse(JSON.stringify(pack)));
+
+    expect(error).toBeUndefined();
+  });
+});
@@ -0,0 +1,59 @@
+const {
+  UNKNOWN_GAME_TYPE_CODE,
+  registerGame,
+  hasGameEngine,
+  getGameEngine,
+  getGameTypes
+} = require('../../../src/services/games');
+const { checkGameEngine } = require('../../../src/services/games/conformance');
+
+const BUILT_IN_TYPES = ['emoji_guess', 'word_association', 'truth_or_dare', 'trivia', 'two_truths_lie'];
+
+describe('game engine registry', () => {
+  it('registers every built-in game', () => {
+    expect(getGameTypes()).toEqual(expect.arrayContaining(BUILT_IN_TYPES));
+    BUILT_IN_TYPES.forEach(type => expect(hasGameEngine(type)).toBe(true));
+  });
+
+  it('fails loudly for unknown game types', () => {
+    expect(hasGameEngine('chess')).toBe(false);
+    expect(() => getGameEngine('chess')).toThrow(expect.objectContaining({ code: UNKNOWN_GAME_TYPE_CODE }));
+  });
+
+  it('refuses incomplete and duplicate engines', () => {
+    expect(() => registerGame({ type: 'incomplete', init: () => ({}) })).toThrow(/missing validate/);
+    expect(() => registerGame(getGameEngine('trivia'))).toThrow(/already registered/);
+    expect(hasGameEngine('incomplete')).toBe(false);
+  });
+});
+
+describe.each(BUILT_IN_TYPES)('%s engine', (type) => {
+  it('passes the conformance checks', () => {
+    const result = checkGameEngine(getGameEngine(type), { playthroughs: 5 });
+
+    expect(result.failures).toEqual([]);
+    expect(result.passed).toBe(true);
+  });
+});
+
+describe('conformance checks', () => {
+  it('report an engine whose init is wrong', () => {
+    const engine = { ...getGameEngine('trivia'), init: () => ({ currentRound: 0 }) };
+
+    const result = checkGameEngine(engine, { playthroughs: 1 });
+
+    expect(result.passed).toBe(false);
+    expect(result.failures).toEqual([expect.stringMatching(/^init must return/)]);
+  });
+
+  it('report an engine that throws', () => {
+    const engine = {
+      ...getGameEngine('emoji_guess'),
+      apply: () => {
+        throw new Error('broken');
+      }
+    };
+
+    expect(checkGameEngine(engine, { playthroughs: 1 }).failures).toContainEqual(expect.stringContaining('broken'));
+  });
+});
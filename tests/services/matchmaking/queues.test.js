@@ -0,0 +1,66 @@
+const { createMemoryQueue } = require('../../../src/services/matchmaking/memoryQueue');
+const { createRedisQueue } = require('../../../src/services/matchmaking/redisQueue');
+const { createFakeRedisClient } = require('../../helpers/fakeRedisClient');
+
+const entry = (userId) => ({ userId, criteria: { maxDistance: 50 }, filters: null, joinedAt: new Date('2024-07-01T00:00:00Z') });
+
+// Both queues must behave the same; the Redis queue runs against an in-process client
+const queues = [
+  ['memory', () => createMemoryQueue()],
+  ['redis', () => createRedisQueue(createFakeRedisClient())]
+];
+
+describe.each(queues)('%s matchmaking queue', (name, createQueue) => {
+  let queue;
+
+  beforeEach(() => {
+    queue = createQueue();
+  });
+
+  it('is named after its backend', () => {
+    expect(queue.name).toBe(name);
+  });
+
+  it('merges updates into queued entries only', async () => {
+    await queue.add(entry('u1'));
+
+    expect(await queue.update('u1', { filters: { minAge: 21 } })).toEqual({ ...entry('u1'), filters: { minAge: 21 } });
+    expect(await queue.get('u1')).toEqual({ ...entry('u1'), filters: { minAge: 21 } });
+    expect(await queue.update('u2', { filters: null })).toBeNull();
+    expect(await queue.has('u2')).toBe(false);
+  });
+
+  it('lets one claim hold a user until released', async () => {
+    await queue.add(entry('u1'));
+
+    expect(await queue.claim('u1')).toBe(true);
+    expect(await queue.claim('u1')).toBe(false);
+    await queue.release('u1');
+    expect(await queue.claim('u1')).toBe(true);
+    expect(await queue.claim('u2')).toBe(false);
+  });
+});
+
+describe('redis matchmaking queue across nodes', () => {
+  it('keeps both changes when two nodes update the same entry at once', async () => {
+    const client = createFakeRedisClient();
+    const [node1, node2] = [createRedisQueue(client), createRedisQueue(client.duplicate())];
+    await node1.add(entry('u1'));
+
+    await Promise.all([
+      node1.update('u1', { filters: { minAge: 21 } }),
+      node2.update('u1', { criteria: { maxDistance: 10 } })
+    ]);
+
+    expect(await node1.get('u1')).toEqual({ ...entry('u1'), filters: { minAge: 21 }, criteria: { maxDistance: 10 } });
+  });
+
+  it('gives up on an entry that keeps changing', async () => {
+    const client = createFakeRedisClient();
+    const queue = createRedisQueue(client);
+    await queue.add(entry('u1'));
+    client.eval = async () => 0;
+
+    await expect(queue.update('u1', { filters: null })).rejects.toThrow('kept changing');
+  });
+});
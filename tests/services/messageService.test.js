@@ -0,0 +1,109 @@
+jest.mock('../../src/config/database', () => require('../helpers/fakeSupabase').createFakeSupabase());
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const supabase = require('../../src/config/database');
+const { conversationKey, syncMessagesSince, releaseDueMessages } = require('../../src/services/messageService');
+
+const USER = '11111111-1111-4111-8111-111111111111';
+const FRIEND = '22222222-2222-4222-8222-222222222222';
+const STRANGER = '33333333-3333-4333-8333-333333333333';
+const GROUP = '44444444-4444-4444-8444-444444444444';
+
+const syncFilter = () => {
+  const query = supabase.calls.filter(call => call.table === 'messages').pop();
+  return query.calls.find(([method]) => method === 'or')[1];
+};
+
+describe('syncMessagesSince', () => {
+  beforeEach(() => {
+    supabase.calls.length = 0;
+    supabase.results.group_members = { data: [{ group_id: GROUP }], error: null };
+    supabase.results.messages = { data: [], error: null };
+  });
+
+  it('syncs the user\'s own conversations', async () => {
+    const dmKey = conversationKey(USER, FRIEND);
+
+    await syncMessagesSince(USER, { [dmKey]: 4, [`group:${GROUP}`]: 9 });
+
+    expect(syncFilter()).toBe([
+      `and(conversation_key.eq."${dmKey}",seq.gt.4)`,
+      `and(conversation_key.eq."group:${GROUP}",seq.gt.9)`,
+      `and(receiver_id.eq.${USER},status.eq.sent)`
+    ].join(','));
+  });
+
+  it('drops keys that could change the filter or belong to someone else', async () => {
+    await syncMessagesSince(USER, {
+      [`dm:${USER}:x",seq.gt.0),and(conversation_key.neq."`]: 0,
+      [`dm:${USER}:${STRANGER}:extra`]: 0,
+      [`dm:${FRIEND}:${STRANGER}`]: 0,
+      [`dm:${FRIEND}:${USER}`.replace(FRIEND, FRIEND.toUpperCase())]: 0,
+      [`group:${STRANGER}`]: 0
+    });
+
+    expect(syncFilter()).toBe(`and(receiver_id.eq.${USER},status.eq.sent)`);
+  });
+
+  it('only replays messages the user sent, received or can see in a group', async () => {
+    supabase.results.messages = {
+      data: [
+        { id: 'm1', conversation_key: conversationKey(USER, FRIEND), seq: 1, sender_id: FRIEND, receiver_id: USER, status: 'read' },
+        { id: 'm2', conversation_key: conversationKey(FRIEND, STRANGER), seq: 1, sender_id: FRIEND, receiver_id: STRANGER, status: 'read' },
+        { id: 'm3', conversation_key: `group:${GROUP}`, group_id: GROUP, seq: 1, sender_id: STRANGER, status: 'sent' },
+        { id: 'm4', conversation_key: `group:${STRANGER}`, group_id: STRANGER, seq: 1, sender_id: STRANGER, status: 'sent' }
+      ],
+      error: null
+    };
+
+    const { conversations } = await syncMessagesSince(USER, {});
+
+    expect(conversations.flatMap(conversation => conversation.messages.map(message => message.id))).toEqual(['m1', 'm3']);
+  });
+});
+
+describe('releaseDueMessages', () => {
+  beforeEach(() => {
+    supabase.calls.length = 0;
+    supabase.results.scheduled_messages = { data: [], error: null };
+  });
+
+  afterEach(() => {
+    delete supabase.results.scheduled_messages;
+  });
+
+  it('puts messages whose claim timed out back in line before releasing due ones', async () => {
+    const before = Date.now();
+    await releaseDueMessages();
+
+    const [reclaim, due] = supabase.calls.filter(call => call.table === 'scheduled_messages');
+    const [, updates] = reclaim.calls.find(([method]) => method === 'update');
+    const [, , claimedBefore] = reclaim.calls.find(([method]) => method === 'lt');
+
+    expect(updates).toMatchObject({ status: 'scheduled', claimed_at: null });
+    expect(reclaim.calls).toContainEqual(['eq', 'status', 'sending']);
+    expect(new Date(claimedBefore).getTime()).toBeGreaterThanOrEqual(before - 5 * 60 * 1000);
+    expect(new Date(claimedBefore).getTime()).toBeLessThanOrEqual(Date.now() - 5 * 60 * 1000);
+    expect(due.calls).toContainEqual(['eq', 'status', 'scheduled']);
+  });
+
+  it('records when a message was claimed', async () => {
+    supabase.results.scheduled_messages = (query) => {
+      const update = query.calls.find(([method]) => method === 'update');
+      if (update && update[1].status === 'sending') {
+        return { data: null, error: null };
+      }
+      return { data: update ? [] : [{ id: 's1', sender_id: USER, receiver_id: FRIEND }], error: null };
+    };
+
+    expect(await releaseDueMessages()).toEqual([]);
+
+    const claim = supabase.calls.find(call => call.table === 'scheduled_messages' &&
+      call.calls.some(([method, value]) => method === 'update' && value.status === 'sending'));
+    expect(claim.calls.find(([method]) => method === 'update')[1].claimed_at).toEqual(expect.any(String));
+  });
+});
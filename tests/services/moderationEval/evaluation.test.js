@@ -0,0 +1,155 @@
+jest.mock('../../../src/config/database', () => require('../../helpers/fakeSupabase').createFakeSupabase());
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const path = require('path');
+const { AI_FEATURES, getProvider } = require('../../../src/services/ai/aiService');
+const { createFakeProvider } = require('../../../src/services/ai/fakeProvider');
+const { createRecordedProvider } = require('../../../src/services/ai/recordedProvider');
+const { parseDataset, parsePolicies, loadDataset, loadPolicies } = require('../../../src/services/moderationEval/dataset');
+const { runEvaluation } = require('../../../src/services/moderationEval/evaluationService');
+const {
+  createConfusionMatrix,
+  addToMatrix,
+  binaryMetrics,
+  cellMetrics,
+  predictedRate
+} = require('../../../src/services/moderationEval/metrics');
+
+const SAMPLES_DIR = path.join(__dirname, '../../../test_scripts/moderation_eval');
+
+const jsonl = (samples) => samples.map(sample => JSON.stringify(sample)).join('\n');
+
+describe('metrics', () => {
+  it('computes precision, recall and F1, null when undefined', () => {
+    expect(binaryMetrics({ tp: 3, fp: 1, fn: 3, tn: 5 })).toEqual({ tp: 3, fp: 1, fn: 3, tn: 5, precision: 0.75, recall: 0.5, f1: 0.6 });
+    expect(binaryMetrics({ tp: 0, fp: 0, fn: 0, tn: 4 })).toMatchObject({ precision: null, recall: null, f1: null });
+  });
+
+  it('reads one cell of a confusion matrix against the rest', () => {
+    const matrix = createConfusionMatrix(['bad', 'ok'], ['removed', 'kept']);
+    addToMatrix(matrix, 'bad', 'removed');
+    addToMatrix(matrix, 'bad', 'kept');
+    addToMatrix(matrix, 'ok', 'removed');
+    addToMatrix(matrix, 'ok', 'kept');
+    addToMatrix(matrix, 'ok', 'kept');
+
+    expect(cellMetrics(matrix, 'bad', 'removed')).toMatchObject({ tp: 1, fn: 1, fp: 1, tn: 2 });
+    expect(predictedRate(matrix, 'kept')).toBe(0.6);
+  });
+});
+
+describe('datasets', () => {
+  it('fill in defaults and skip comments', () => {
+    const samples = parseDataset(`// comment\n\n${jsonl([{ id: 'a', content: 'hi', label: 'ACCEPTABLE' }])}`);
+
+    expect(samples).toEqual([{ id: 'a', content: 'hi', label: 'ACCEPTABLE', surface: 'message' }]);
+  });
+
+  it('list every invalid line', () => {
+    const text = [
+      JSON.stringify({ id: 'a', content: 'hi', label: 'ACCEPTABLE' }),
+      '{not json',
+      JSON.stringify({ id: 'b', content: 'no ground truth' }),
+      JSON.stringify({ id: 'a', content: 'again', label: 'ACCEPTABLE' })
+    ].join('\n');
+
+    expect(() => parseDataset(text)).toThrow(/line 2: .*\n {2}line 3: .*\n {2}line 4: duplicate id "a"/);
+  });
+
+  it('reject unsafe and duplicate policies', () => {
+    const policy = { key: 'swears', name: 'Swears', detector: 'regex', action: 'flag', config: { patterns: ['(a+)+'] } };
+
+    expect(() => parsePolicies([policy])).toThrow(/policy swears: .*nested quantifiers/);
+    expect(() => parsePolicies([{ ...policy, config: { patterns: ['darn'] } }, { ...policy, config: { patterns: ['heck'] } }]))
+      .toThrow(/duplicate key "swears"/);
+  });
+});
+
+describe('runEvaluation', () => {
+  const samples = parseDataset(jsonl([
+    { id: 'insult', content: 'you are an idiot', label: 'INAPPROPRIATE', policies: [] },
+    { id: 'veiled', content: 'people like you should disappear', label: 'INAPPROPRIATE', policies: [] },
+    { id: 'hello', content: 'hello there', label: 'ACCEPTABLE', policies: [] },
+    { id: 'link', content: 'see https://example.com', label: 'ACCEPTABLE', policies: ['links'] },
+    { id: 'call', content: 'call me on 555 123 4567', policies: ['phone_numbers'] }
+  ]));
+
+  const provider = () => createFakeProvider({
+    rules: [
+      { match: 'idiot', label: 'INAPPROPRIATE', confidence: 0.95 },
+      { match: 'disappear', label: 'INAPPROPRIATE', confidence: 0.6 },
+      { match: 'hello', label: 'ACCEPTABLE', confidence: 0.95 },
+      { match: 'example.com', label: 'INAPPROPRIATE', confidence: 0.9 }
+    ]
+  });
+
+  it('scores report handling with every set of thresholds', async () => {
+    const { reports } = await runEvaluation(samples, {
+      provider: provider(),
+      thresholds: {
+        current: { resolveConfidence: 0.85, rejectConfidence: 0.9 },
+        candidate: { resolveConfidence: 0.5, rejectConfidence: 0.9 }
+      }
+    });
+
+    expect(reports.samples).toBe(4);
+    expect(reports.providerFailures).toEqual([]);
+    expect(reports.perLabel.INAPPROPRIATE).toMatchObject({ tp: 2, fp: 1, fn: 0 });
+
+    const { current, candidate } = reports.thresholds;
+    expect(current.resolve).toMatchObject({ tp: 1, fp: 1, fn: 1 });
+    expect(current.reject).toMatchObject({ tp: 1, fp: 0, fn: 1 });
+    expect(current.reviewRate).toBe(0.25);
+    expect(current.mistakes).toEqual([expect.objectContaining({ id: 'link', outcome: 'RESOLVED' })]);
+    expect(candidate.resolve).toMatchObject({ tp: 2, fp: 1, fn: 0 });
+  });
+
+  it('scores pre-send policies on their own samples', async () => {
+    const policies = parsePolicies([
+      { key: 'links', name: 'Links', detector: 'url', action: 'flag' },
+      { key: 'phone_numbers', name: 'Phones', detector: 'phone', action: 'blur' }
+    ]);
+
+    const result = await runEvaluation(samples, { provider: provider(), policies });
+
+    expect(result.policies.samples).toBe(5);
+    expect(result.policies.policies.links).toMatchObject({ tp: 1, fp: 0, fn: 0, tn: 4, skipped: 0 });
+    expect(result.policies.policies.phone_numbers).toMatchObject({ tp: 1, fp: 0, fn: 0, tn: 4 });
+    expect(result.policies.mistakes).toEqual([]);
+    expect(result.policies.actions.counts.blur.blur).toBe(1);
+  });
+
+  it('counts a provider failure as a report left for review', async () => {
+    const { reports } = await runEvaluation(samples, { provider: createRecordedProvider({ recordings: {} }) });
+
+    expect(reports.providerFailures).toHaveLength(4);
+    expect(reports.thresholds.current.reviewRate).toBe(1);
+  });
+
+  it('gives the moderation feature back its configured provider', async () => {
+    const configured = getProvider(AI_FEATURES.MODERATION);
+
+    await runEvaluation(samples, { provider: provider() });
+
+    expect(getProvider(AI_FEATURES.MODERATION)).toBe(configured);
+  });
+
+  it('replays the sample dataset from its recordings', async () => {
+    const dataset = await loadDataset(path.join(SAMPLES_DIR, 'sample.jsonl'));
+    const policies = await loadPolicies(path.join(SAMPLES_DIR, 'sample_policies.json'));
+    const recordings = require(path.join(SAMPLES_DIR, 'sample.recordings.json'));
+
+    const recorded = createRecordedProvider({ recordings });
+    const first = await runEvaluation(dataset, { provider: recorded, policies });
+    const second = await runEvaluation(dataset, { provider: createRecordedProvider({ recordings }), policies });
+
+    expect(recorded.misses).toEqual([]);
+    expect(first.reports.providerFailures).toEqual([]);
+    expect(first.policies.unknownPolicies).toEqual([]);
+    expect(second).toEqual(first);
+  });
+});
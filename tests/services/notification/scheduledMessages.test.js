@@ -0,0 +1,60 @@
+jest.mock('node-cron', () => ({ schedule: jest.fn() }));
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../../src/services/messageService', () => ({
+  releaseDueMessages: jest.fn(),
+  purgeExpiredMessages: jest.fn()
+}));
+jest.mock('../../../src/services/streakService', () => ({
+  getConversationId: jest.fn((a, b) => `conv_${[a, b].sort().join('_')}`),
+  updateConversationStreak: jest.fn()
+}));
+jest.mock('../../../src/services/eventBus', () => ({
+  EVENTS: { MESSAGE_SENT: 'message.sent' },
+  publish: jest.fn()
+}));
+jest.mock('../../../src/socket/socketManager', () => ({
+  emitToUser: jest.fn(),
+  notifyMessageDeletion: jest.fn()
+}));
+
+const logger = require('../../../src/utils/logger');
+const { releaseDueMessages } = require('../../../src/services/messageService');
+const streakService = require('../../../src/services/streakService');
+const { publish } = require('../../../src/services/eventBus');
+const { emitToUser } = require('../../../src/socket/socketManager');
+const { deliverScheduledMessages } = require('../../../src/services/notification/scheduledMessages');
+
+const released = (id) => ({
+  scheduledMessage: { id: `scheduled-${id}` },
+  message: { id: `message-${id}`, sender_id: 'u1', receiver_id: 'u2', created_at: '2024-08-01T10:00:00.000Z' }
+});
+
+describe('deliverScheduledMessages', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('announces every released message and counts it', async () => {
+    releaseDueMessages.mockResolvedValue([released(1), released(2)]);
+
+    expect(await deliverScheduledMessages()).toBe(2);
+    expect(emitToUser).toHaveBeenCalledWith('u2', 'message:received', expect.objectContaining({ messageId: 'message-1' }));
+    expect(emitToUser).toHaveBeenCalledWith('u1', 'message:scheduledDelivered', expect.objectContaining({ scheduledId: 'scheduled-2' }));
+    expect(streakService.updateConversationStreak).toHaveBeenCalledWith('conv_u1_u2', 'u1', 'u2', '2024-08-01T10:00:00.000Z');
+    expect(publish).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps announcing the batch when one message fails', async () => {
+    releaseDueMessages.mockResolvedValue([released(1), released(2), released(3)]);
+    streakService.updateConversationStreak.mockRejectedValueOnce(new Error('streak unavailable'));
+
+    expect(await deliverScheduledMessages()).toBe(3);
+    expect(emitToUser.mock.calls.filter(([, event]) => event === 'message:received')).toHaveLength(3);
+    expect(publish).toHaveBeenCalledTimes(2);
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('scheduled-1'));
+  });
+});
@@ -0,0 +1,148 @@
+jest.mock('../../../src/config/redis', () => ({
+  isRedisConfigured: jest.fn(),
+  getRedisClient: jest.fn()
+}));
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const redis = require('../../../src/config/redis');
+const logger = require('../../../src/utils/logger');
+const { createMemoryStore } = require('../../../src/services/sharedState/memoryStore');
+const {
+  NODE_ID,
+  initializeSharedState,
+  setSharedState,
+  getSharedState,
+  withLock,
+  setPresence,
+  getPresence,
+  sendNodeHeartbeat,
+  clearExpiredPresence
+} = require('../../../src/services/sharedState/sharedStateService');
+const { createFakeRedisClient } = require('../../helpers/fakeRedisClient');
+
+describe('initializeSharedState', () => {
+  const backend = process.env.SHARED_STATE_BACKEND;
+
+  beforeEach(() => {
+    setSharedState(createMemoryStore());
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    process.env.SHARED_STATE_BACKEND = backend;
+  });
+
+  it('keeps the memory store by default', async () => {
+    delete process.env.SHARED_STATE_BACKEND;
+
+    expect((await initializeSharedState()).name).toBe('memory');
+    expect(redis.getRedisClient).not.toHaveBeenCalled();
+  });
+
+  it('fails when the redis backend has no REDIS_URL', async () => {
+    process.env.SHARED_STATE_BACKEND = 'redis';
+    redis.isRedisConfigured.mockReturnValue(false);
+
+    await expect(initializeSharedState()).rejects.toThrow('REDIS_URL is missing');
+    expect(getSharedState().name).toBe('memory');
+  });
+
+  it('fails when Redis is unreachable instead of keeping node-local state', async () => {
+    process.env.SHARED_STATE_BACKEND = 'redis';
+    redis.isRedisConfigured.mockReturnValue(true);
+    redis.getRedisClient.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    await expect(initializeSharedState()).rejects.toThrow('ECONNREFUSED');
+    expect(getSharedState().name).toBe('memory');
+  });
+
+  it('uses Redis once connected', async () => {
+    process.env.SHARED_STATE_BACKEND = 'redis';
+    redis.isRedisConfigured.mockReturnValue(true);
+    redis.getRedisClient.mockResolvedValue(createFakeRedisClient());
+
+    expect((await initializeSharedState()).name).toBe('redis');
+  });
+});
+
+describe('withLock', () => {
+  beforeEach(() => {
+    setSharedState(createMemoryStore());
+    jest.clearAllMocks();
+  });
+
+  it('runs one holder at a time and releases the lock', async () => {
+    const order = [];
+    const hold = (name) => withLock('queue', async () => {
+      order.push(`${name}:start`);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      order.push(`${name}:end`);
+      return name;
+    });
+
+    await expect(Promise.all([hold('a'), hold('b')])).resolves.toEqual(['a', 'b']);
+    expect(order).toEqual(['a:start', 'a:end', 'b:start', 'b:end']);
+    expect(await getSharedState().acquireLock('queue', 1000)).not.toBeNull();
+  });
+
+  it('releases the lock when the function throws', async () => {
+    await expect(withLock('queue', async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    expect(await getSharedState().acquireLock('queue', 1000)).not.toBeNull();
+  });
+
+  it('warns instead of releasing a lock another holder took over', async () => {
+    const store = getSharedState();
+
+    await withLock('queue', async () => {
+      // As if the lock had expired and another node took it
+      await store.clear();
+      await store.acquireLock('queue', 1000);
+    });
+
+    expect(logger.warn).toHaveBeenCalledWith('Lock queue expired before it was released');
+    expect(await store.acquireLock('queue', 1000)).toBeNull();
+  });
+});
+
+describe('clearExpiredPresence', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = createMemoryStore();
+    setSharedState(store);
+    await sendNodeHeartbeat();
+  });
+
+  it('drops presence of nodes whose heartbeat expired or never came', async () => {
+    await store.set('nodes', 'live', { nodeId: 'live', expiresAt: Date.now() + 60000 });
+    await store.set('nodes', 'crashed', { nodeId: 'crashed', expiresAt: Date.now() - 1 });
+    await store.set('presence', 'u1', { socketId: 's1', nodeId: 'live' });
+    await store.set('presence', 'u2', { socketId: 's2', nodeId: 'crashed' });
+    await store.set('presence', 'u3', { socketId: 's3', nodeId: 'unknown' });
+    await setPresence('u4', 's4');
+
+    const removed = await clearExpiredPresence();
+
+    expect(removed).toEqual([
+      { userId: 'u2', socketId: 's2', nodeId: 'crashed' },
+      { userId: 'u3', socketId: 's3', nodeId: 'unknown' }
+    ]);
+    expect((await store.keys('presence')).sort()).toEqual(['u1', 'u4']);
+    expect((await store.keys('nodes')).sort()).toEqual([NODE_ID, 'live'].sort());
+  });
+
+  it('keeps this node\'s records even if its heartbeat lapsed', async () => {
+    await store.delete('nodes', NODE_ID);
+    await setPresence('u1', 's1');
+
+    expect(await clearExpiredPresence()).toEqual([]);
+    expect(await getPresence('u1')).toEqual(expect.objectContaining({ socketId: 's1', nodeId: NODE_ID }));
+  });
+});
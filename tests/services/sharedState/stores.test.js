@@ -0,0 +1,90 @@
+const { createMemoryStore } = require('../../../src/services/sharedState/memoryStore');
+const { createRedisStore } = require('../../../src/services/sharedState/redisStore');
+const { createFakeRedisClient } = require('../../helpers/fakeRedisClient');
+
+// Both stores must behave the same; the Redis store runs against an in-process client
+const stores = [
+  ['memory', () => createMemoryStore()],
+  ['redis', () => createRedisStore(createFakeRedisClient())]
+];
+
+describe.each(stores)('%s shared state store', (name, createStore) => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore();
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  it('is named after its backend', () => {
+    expect(store.name).toBe(name);
+  });
+
+  it('stores JSON copies of values by namespace', async () => {
+    const value = { userId: 'u1', tags: ['a'] };
+    await store.set('presence', 'u1', value);
+    value.tags.push('b');
+
+    expect(await store.get('presence', 'u1')).toEqual({ userId: 'u1', tags: ['a'] });
+    expect(await store.get('other', 'u1')).toBeNull();
+    expect(await store.has('presence', 'u1')).toBe(true);
+  });
+
+  it('lists, counts and deletes entries', async () => {
+    await store.set('ns', 'a', 1);
+    await store.set('ns', 'b', 2);
+
+    expect((await store.keys('ns')).sort()).toEqual(['a', 'b']);
+    expect((await store.list('ns')).sort()).toEqual([1, 2]);
+    expect((await store.entries('ns')).sort()).toEqual([['a', 1], ['b', 2]]);
+    expect(await store.size('ns')).toBe(2);
+
+    expect(await store.delete('ns', 'a')).toBe(true);
+    expect(await store.delete('ns', 'a')).toBe(false);
+    expect(await store.size('ns')).toBe(1);
+  });
+
+  it('gives a lock to one holder at a time', async () => {
+    const token = await store.acquireLock('match', 1000);
+
+    expect(token).toEqual(expect.any(String));
+    expect(await store.acquireLock('match', 1000)).toBeNull();
+
+    expect(await store.releaseLock('match', token)).toBe(true);
+    expect(await store.acquireLock('match', 1000)).toEqual(expect.any(String));
+  });
+
+  it('does not release a lock taken over after it expired', async () => {
+    const expired = await store.acquireLock('match', 10);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const current = await store.acquireLock('match', 1000);
+
+    expect(current).not.toBeNull();
+    expect(await store.releaseLock('match', expired)).toBe(false);
+    expect(await store.acquireLock('match', 1000)).toBeNull();
+    expect(await store.releaseLock('match', current)).toBe(true);
+  });
+
+  it('delivers published messages until unsubscribed', async () => {
+    const received = [];
+    const unsubscribe = await store.subscribe('events', message => received.push(message));
+
+    await store.publish('events', { type: 'match' });
+    await unsubscribe();
+    await store.publish('events', { type: 'ignored' });
+
+    expect(received).toEqual([{ type: 'match' }]);
+  });
+
+  it('clears everything', async () => {
+    await store.set('ns', 'a', 1);
+    await store.acquireLock('match', 1000);
+    await store.clear();
+
+    expect(await store.size('ns')).toBe(0);
+    expect(await store.acquireLock('match', 1000)).not.toBeNull();
+  });
+});
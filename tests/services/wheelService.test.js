@@ -0,0 +1,79 @@
+jest.mock('../../src/config/database', () => require('../helpers/fakeSupabase').createFakeSupabase());
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/services/rewardEffectService', () => ({
+  countRemaining: jest.fn(),
+  consumeEffect: jest.fn()
+}));
+jest.mock('../../src/services/streakService', () => ({}));
+jest.mock('../../src/services/wheelFairnessService', () => ({
+  ...jest.requireActual('../../src/services/wheelFairnessService'),
+  takeServerSeed: jest.fn(),
+  restoreServerSeed: jest.fn(),
+  recordSpin: jest.fn()
+}));
+
+const supabase = require('../../src/config/database');
+const rewardEffectService = require('../../src/services/rewardEffectService');
+const wheelFairnessService = require('../../src/services/wheelFairnessService');
+const { spinWheel } = require('../../src/services/wheelService');
+
+const SEED = {
+  serverSeed: 'server-seed',
+  serverSeedHash: 'server-seed-hash',
+  nextServerSeedHash: 'next-seed-hash'
+};
+
+describe('spinWheel', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    supabase.results.user_wheel_spins = { data: null, error: { code: 'PGRST116' } };
+    supabase.results.wheel_rewards = { data: [{ id: 'coins', name: 'Coins', type: 'circle_coins', probability: 1 }], error: null };
+    supabase.results.users = { data: { first_name: 'Ada' }, error: null };
+    supabase.results.spin_wheel_transaction = { data: 'user-reward-1', error: null };
+    wheelFairnessService.takeServerSeed.mockResolvedValue(SEED);
+    wheelFairnessService.restoreServerSeed.mockResolvedValue(true);
+    wheelFairnessService.recordSpin.mockResolvedValue({ id: 'spin-1' });
+  });
+
+  it('records the reward granted by the transaction and reveals the seed', async () => {
+    const result = await spinWheel('u1', { clientSeed: 'client' });
+
+    expect(result.success).toBe(true);
+    expect(result.fairness).toMatchObject({ spinId: 'spin-1', serverSeed: 'server-seed', nextServerSeedHash: 'next-seed-hash' });
+    expect(wheelFairnessService.recordSpin).toHaveBeenCalledWith(expect.objectContaining({ rewardId: 'coins', userRewardId: 'user-reward-1' }));
+    expect(wheelFairnessService.restoreServerSeed).not.toHaveBeenCalled();
+  });
+
+  it('reads the reward ID from a row returned by the transaction', async () => {
+    supabase.results.spin_wheel_transaction = { data: [{ user_reward_id: 'user-reward-2' }], error: null };
+
+    await spinWheel('u1', { clientSeed: 'client' });
+
+    expect(wheelFairnessService.recordSpin).toHaveBeenCalledWith(expect.objectContaining({ userRewardId: 'user-reward-2' }));
+  });
+
+  it('puts the seed back when the transaction fails', async () => {
+    const failure = { message: 'deadlock detected' };
+    supabase.results.spin_wheel_transaction = { data: null, error: failure };
+
+    await expect(spinWheel('u1', { clientSeed: 'client' })).rejects.toBe(failure);
+
+    expect(wheelFairnessService.restoreServerSeed).toHaveBeenCalledWith('u1', SEED);
+    expect(wheelFairnessService.recordSpin).not.toHaveBeenCalled();
+  });
+
+  it('puts the seed back when the extra spin was used up in the meantime', async () => {
+    supabase.results.user_wheel_spins = { data: { next_available_spin_at: new Date(Date.now() + 60 * 60 * 1000).toISOString() }, error: null };
+    rewardEffectService.countRemaining.mockResolvedValue(1);
+    rewardEffectService.consumeEffect.mockResolvedValue(false);
+
+    const result = await spinWheel('u1', { clientSeed: 'client' });
+
+    expect(result.success).toBe(false);
+    expect(wheelFairnessService.restoreServerSeed).toHaveBeenCalledWith('u1', SEED);
+  });
+});
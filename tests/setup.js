@@ -0,0 +1,4 @@
+// Services create the database client when they load; specs never reach it
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'offline';
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
@@ -0,0 +1,124 @@
+const {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parsePageParams,
+  applyCursor,
+  paginateList
+} = require('../../src/utils/pagination');
+const { createFakeSupabase } = require('../helpers/fakeSupabase');
+
+const message = (n, createdAt = new Date(Date.UTC(2024, 7, 1, 12, 0, n)).toISOString()) => ({ id: `m${String(n).padStart(3, '0')}`, created_at: createdAt });
+
+// Newest first, as the lists are ordered
+const newestFirst = (items) => [...items].sort((a, b) => (
+  new Date(b.created_at) - new Date(a.created_at) || (a.id < b.id ? 1 : -1)
+));
+
+const ids = (page) => page.items.map(item => item.id);
+
+describe('cursors', () => {
+  it('round-trip a position and direction', () => {
+    const cursor = encodeCursor({ createdAt: '2024-08-01T12:00:00.000Z', id: 'abc-123' }, 'newer');
+
+    expect(decodeCursor(cursor)).toEqual({ createdAt: '2024-08-01T12:00:00.000Z', id: 'abc-123', direction: 'newer' });
+  });
+
+  it.each([
+    ['not base64 JSON', 'garbage'],
+    ['a bad date', encodeCursor({ createdAt: 'yesterday', id: 'a' })],
+    ['an id that could break out of a filter', encodeCursor({ createdAt: '2024-08-01T12:00:00.000Z', id: 'a),id.neq.(b' })],
+    ['an unknown direction', encodeCursor({ createdAt: '2024-08-01T12:00:00.000Z', id: 'a' }, 'sideways')]
+  ])('reject %s', (name, cursor) => {
+    expect(decodeCursor(cursor)).toBeNull();
+  });
+});
+
+describe('parsePageParams', () => {
+  it('clamps the limit', () => {
+    expect(parsePageParams({}).limit).toBe(DEFAULT_LIMIT);
+    expect(parsePageParams({ limit: '0' }).limit).toBe(DEFAULT_LIMIT);
+    expect(parsePageParams({ limit: '-5' }).limit).toBe(1);
+    expect(parsePageParams({ limit: '5000' }).limit).toBe(MAX_LIMIT);
+    expect(parsePageParams({ limit: 500 }, { maxLimit: 50 }).limit).toBe(50);
+  });
+
+  it('reports an invalid cursor', () => {
+    expect(parsePageParams({ cursor: 'garbage' })).toEqual({ error: 'Invalid cursor' });
+  });
+});
+
+describe('applyCursor', () => {
+  it('reads older items from the cursor, one extra to know if more exist', () => {
+    const supabase = createFakeSupabase();
+    const cursor = { createdAt: '2024-08-01T12:00:00.000Z', id: 'm001', direction: 'older' };
+
+    applyCursor(supabase.from('messages').select('*'), { limit: 10, cursor });
+
+    expect(supabase.calls[0].calls).toEqual([
+      ['select', '*'],
+      ['or', 'created_at.lt."2024-08-01T12:00:00.000Z",and(created_at.eq."2024-08-01T12:00:00.000Z",id.lt.m001)'],
+      ['order', 'created_at', { ascending: false }],
+      ['order', 'id', { ascending: false }],
+      ['limit', 11]
+    ]);
+  });
+
+  it('reads newer items in ascending order', () => {
+    const supabase = createFakeSupabase();
+    const cursor = { createdAt: '2024-08-01T12:00:00.000Z', id: 'm001', direction: 'newer' };
+
+    applyCursor(supabase.from('messages'), { limit: 10, cursor }, 'updated_at');
+
+    expect(supabase.calls[0].calls).toEqual([
+      ['or', 'updated_at.gt."2024-08-01T12:00:00.000Z",and(updated_at.eq."2024-08-01T12:00:00.000Z",id.gt.m001)'],
+      ['order', 'updated_at', { ascending: true }],
+      ['order', 'id', { ascending: true }],
+      ['limit', 11]
+    ]);
+  });
+});
+
+describe('paginateList', () => {
+  it('pages through older items without duplicates or gaps while new items arrive', () => {
+    let items = newestFirst(Array.from({ length: 25 }, (_, n) => message(n)));
+    const seen = [];
+    let page = paginateList(items, parsePageParams({ limit: 10 }));
+
+    seen.push(...ids(page));
+    while (page.pagination.nextCursor) {
+      // A message arrives mid-scroll, which would shift an offset by one
+      items = newestFirst([...items, message(100 + seen.length)]);
+      page = paginateList(items, parsePageParams({ limit: 10, cursor: page.pagination.nextCursor }));
+      seen.push(...ids(page));
+    }
+
+    expect(seen).toEqual(Array.from({ length: 25 }, (_, n) => `m${String(24 - n).padStart(3, '0')}`));
+    expect(page.pagination.hasMore).toBe(false);
+  });
+
+  it('orders items with the same timestamp by id', () => {
+    const sameTime = '2024-08-01T12:00:00.000Z';
+    const items = newestFirst(['a', 'b', 'c', 'd'].map(id => ({ id, created_at: sameTime })));
+
+    const first = paginateList(items, parsePageParams({ limit: 2 }));
+    const second = paginateList(items, parsePageParams({ limit: 2, cursor: first.pagination.nextCursor }));
+
+    expect([...ids(first), ...ids(second)]).toEqual(['d', 'c', 'b', 'a']);
+  });
+
+  it('catches up on newer items with the previous cursor', () => {
+    const items = newestFirst(Array.from({ length: 5 }, (_, n) => message(n)));
+    const first = paginateList(items, parsePageParams({ limit: 10 }));
+
+    const nothingNew = paginateList(items, parsePageParams({ cursor: first.pagination.prevCursor }));
+    expect(nothingNew.items).toEqual([]);
+    expect(nothingNew.pagination.prevCursor).toBe(first.pagination.prevCursor);
+
+    const updated = newestFirst([...items, message(10), message(11)]);
+    const newer = paginateList(updated, parsePageParams({ cursor: first.pagination.prevCursor }));
+    expect(ids(newer)).toEqual(['m011', 'm010']);
+    expect(decodeCursor(newer.pagination.nextCursor)).toMatchObject({ id: 'm010', direction: 'older' });
+  });
+});
@@ -0,0 +1,34 @@
+const { findUnsafeConstruct } = require('../../src/utils/regexSafety');
+
+describe('findUnsafeConstruct', () => {
+  it.each([
+    ['(a+)+', 'nested quantifiers'],
+    ['(\\w*\\s?)*', 'nested quantifiers'],
+    ['(?:a+){2,}', 'nested quantifiers'],
+    ['((a+)b)*', 'nested quantifiers'],
+    ['(?<!x)(\\w+)+$', 'nested quantifiers'],
+    ['(a|ab)+', 'repeated alternation'],
+    ['(?:\\s|-)*', 'repeated alternation'],
+    ['(\\w+)\\1', 'backreferences'],
+    ['(?<word>\\w+) \\k<word>', 'backreferences']
+  ])('rejects %s (%s)', (source, construct) => {
+    expect(findUnsafeConstruct(source)).toBe(construct);
+  });
+
+  it.each([
+    'free\\s+money',
+    '\\b(?:buy|sell)\\s+now\\b',
+    'b[\\s-]+x',
+    '(a+)?',
+    '(?:a{1,3}){1}',
+    '((a)+)',
+    '[(a+)+]',
+    '\\(a+\\)+',
+    '([\\d+])+',
+    '(\\p{L})+',
+    '(?<=a+)b',
+    'https?://\\S+'
+  ])('accepts %s', (source) => {
+    expect(findUnsafeConstruct(source)).toBeNull();
+  });
+});